@@ -8,8 +8,9 @@
  * - Pattern-based query templates
  * - Semantic query optimization
  * - Multi-database support (PostgreSQL, MySQL, SQLite)
- * - Query validation and security
- * - Performance optimization
+ * - Query validation and security (AST-based, via SQLParser)
+ * - Performance optimization (predicate pushdown, LIMIT injection)
+ * - Query plan explorer (EXPLAIN ANALYZE) with index suggestions
  */
 
 (function() {
@@ -26,6 +27,8 @@
             enableOptimization: true,
             enableSecurity: true,
             maxQueryComplexity: 100,
+            maxResultRows: 1000,
+            planWatchTables: ['patterns', 'chunk_registry'],
             usePatternTemplates: true
         },
 
@@ -39,6 +42,7 @@
             savedQueries: [],
             schemaCache: null,
             lastPerformance: null,
+            lastPlan: null,
             lastResults: null,
             lastSQL: null
         },
@@ -477,94 +481,69 @@
 
         /**
          * OPTIMIZE QUERY
+         * Rewrites the parsed query (predicate pushdown, LIMIT injection) and
+         * regenerates SQL from the AST. Unparseable SQL is returned unchanged
+         * so validateQuery can report the syntax error.
          */
         optimizeQuery(sql) {
-            if (!this.config.enableOptimization) return sql;
+            if (!this.config.enableOptimization || !window.SQLParser) return sql;
 
             console.log('⚡ Optimizing query...');
 
-            let optimized = sql;
-
-            // Remove unnecessary SELECT *
-            if (optimized.includes('SELECT *') && !optimized.includes('COUNT(*)')) {
-                console.log('  💡 Consider selecting specific columns instead of *');
-            }
-
-            // Add index hints
-            if (optimized.includes('WHERE') && !optimized.includes('INDEX')) {
-                console.log('  💡 Consider adding indexes on WHERE clause columns');
+            let result;
+            try {
+                result = window.SQLParser.optimize(sql, { maxRows: this.config.maxResultRows });
+            } catch (error) {
+                console.warn(`  ⚠️ Skipping optimization: ${error.message}`);
+                return sql;
             }
 
-            // Limit results if no LIMIT specified
-            if (!optimized.includes('LIMIT')) {
-                optimized += ' LIMIT 1000';
-                console.log('  ✓ Added LIMIT 1000 for safety');
-            }
+            result.changes.forEach(change => console.log(`  ✓ ${change}`));
+            result.hints.forEach(hint => console.log(`  💡 ${hint}`));
 
-            return optimized;
+            return result.sql;
         },
 
         /**
          * VALIDATE QUERY
+         * Parses the SQL and enforces the read-only allow-list of statements
+         * and functions plus the complexity limits (policy overrides merge in)
          */
-        validateQuery(sql) {
-            if (!this.config.enableSecurity) return { valid: true };
+        validateQuery(sql, policy = {}) {
+            if (!this.config.enableSecurity) return { valid: true, issues: [] };
 
             console.log('🔒 Validating query security...');
 
-            const issues = [];
-
-            // Check for SQL injection patterns
-            const injectionPatterns = [
-                /;\s*(DROP|DELETE|UPDATE|INSERT)/i,
-                /--/,
-                /\/\*/,
-                /xp_/i,
-                /sp_/i
-            ];
-
-            injectionPatterns.forEach(pattern => {
-                if (pattern.test(sql)) {
-                    issues.push('Potential SQL injection detected');
-                }
-            });
-
-            // Check for dangerous operations
-            if (/DROP|TRUNCATE|ALTER/i.test(sql)) {
-                issues.push('Dangerous DDL operation detected');
+            // Fail closed: without the parser nothing can be proven read-only
+            if (!window.SQLParser) {
+                return { valid: false, issues: ['SQL parser not loaded; cannot validate query'] };
             }
 
-            // Check complexity
-            const complexity = this.calculateComplexity(sql);
-            if (complexity > this.config.maxQueryComplexity) {
-                issues.push(`Query too complex (${complexity} > ${this.config.maxQueryComplexity})`);
-            }
+            const result = window.SQLParser.validate(sql, {
+                maxComplexity: this.config.maxQueryComplexity,
+                ...policy
+            });
 
             return {
-                valid: issues.length === 0,
-                issues
+                valid: result.valid,
+                issues: result.issues,
+                complexity: result.complexity,
+                tables: result.analysis ? result.analysis.tables : [],
+                ast: result.ast
             };
         },
 
         /**
          * CALCULATE COMPLEXITY
+         * Joins, subquery depth, conditions, grouping, set operations, CTEs
+         * and window functions, counted on the AST (accepts SQL or an AST)
          */
         calculateComplexity(sql) {
-            let complexity = 0;
-
-            // Count JOINs
-            complexity += (sql.match(/JOIN/gi) || []).length * 10;
-
-            // Count subqueries
-            complexity += (sql.match(/SELECT.*FROM.*SELECT/gi) || []).length * 20;
-
-            // Count WHERE conditions
-            complexity += (sql.match(/AND|OR/gi) || []).length * 2;
-
-            // Count GROUP BY
-            complexity += (sql.match(/GROUP BY/gi) || []).length * 5;
+            if (!window.SQLParser) {
+                throw new Error('SQL parser not loaded');
+            }
 
-            return complexity;
+            return window.SQLParser.complexity(sql);
         },
 
         /**
@@ -1130,7 +1109,7 @@
                             color: white;
                             border-radius: 6px;
                             cursor: pointer;
-                        ">📊 Analyze</button>
+                        ">🗺️ Explain Plan</button>
                     </div>
 
                     <button onclick="window.AdvancedQueryBuilder.executeRawSQL()" style="
@@ -1146,7 +1125,7 @@
                     ">🚀 Execute Query</button>
 
                     <div id="qbAnalysisResults" style="margin-top: 15px; display: none;">
-                        <h4 style="color: #00d4ff; margin-bottom: 10px;">Query Analysis:</h4>
+                        <h4 style="color: #00d4ff; margin-bottom: 10px;">Query Plan:</h4>
                         <div id="qbAnalysisContent" style="
                             background: rgba(0,0,0,0.3);
                             padding: 15px;
@@ -1345,7 +1324,7 @@
             const validation = this.validateQuery(sql);
             
             if (validation.valid) {
-                alert('✅ Query is valid and secure!');
+                alert(`✅ Query is valid and secure!\n\nComplexity: ${validation.complexity} / ${this.config.maxQueryComplexity}`);
             } else {
                 alert(`⚠️ Validation Issues:\n\n${validation.issues.join('\n')}`);
             }
@@ -1405,15 +1384,8 @@
                 analysisContent.innerHTML = '<p style="color: #00d4ff;">Analyzing query...</p>';
                 analysisContainer.style.display = 'block';
 
-                const results = await this.analyzeQuery(sql);
-                
-                let html = '<pre style="color: #00ff88; font-size: 12px; white-space: pre-wrap;">';
-                results.forEach(row => {
-                    html += Object.values(row).join(' ') + '\n';
-                });
-                html += '</pre>';
-
-                analysisContent.innerHTML = html;
+                const plan = await this.explainQuery(sql);
+                analysisContent.innerHTML = this.renderPlan(plan);
             } catch (error) {
                 console.error('Query analysis failed:', error);
                 const analysisContent = document.getElementById('qbAnalysisContent');
@@ -2060,6 +2032,13 @@
                     throw new Error('Database not available');
                 }
 
+                // EXPLAIN ANALYZE executes the statement, so it must pass validation first;
+                // the statement gets wrapped in EXPLAIN here, so EXPLAIN input is rejected
+                const validation = this.validateQuery(sql, { statements: ['select'] });
+                if (!validation.valid) {
+                    throw new Error(`Query validation failed: ${validation.issues.join(', ')}`);
+                }
+
                 const explainSQL = `EXPLAIN ANALYZE ${sql}`;
                 const result = await window.ComprehensiveDB.state.pglite.query(explainSQL);
 
@@ -2070,6 +2049,396 @@
             }
         },
 
+        /**
+         * EXPLAIN QUERY
+         * Runs EXPLAIN (ANALYZE, FORMAT JSON) on the query executeQuery would
+         * run and collects sequential scans and index suggestions
+         */
+        async explainQuery(sql) {
+            const pglite = window.ComprehensiveDB?.state?.pglite;
+            if (!pglite) {
+                throw new Error('Database not available');
+            }
+
+            // EXPLAIN ANALYZE executes the statement, so it must pass validation first;
+            // the statement gets wrapped in EXPLAIN here, so EXPLAIN input is rejected
+            const validation = this.validateQuery(sql, { statements: ['select'] });
+            if (!validation.valid) {
+                throw new Error(`Query validation failed: ${validation.issues.join(', ')}`);
+            }
+
+            const target = this.optimizeQuery(sql);
+            console.log('🗺️ Explaining query plan...');
+
+            const result = await pglite.query(`EXPLAIN (ANALYZE, FORMAT JSON) ${target}`);
+            let output = result.rows[0]?.['QUERY PLAN'];
+            if (typeof output === 'string') output = JSON.parse(output);
+
+            const explained = output?.[0];
+            if (!explained?.Plan) {
+                throw new Error('EXPLAIN returned no plan');
+            }
+
+            const nodes = this.flattenPlan(explained.Plan);
+            const watched = new Set(this.config.planWatchTables);
+            const seqScans = nodes
+                .filter(entry => entry.node['Node Type'] === 'Seq Scan')
+                .map(entry => ({ ...entry, watched: watched.has(entry.node['Relation Name']) }));
+
+            const indexes = await this.loadIndexes();
+            const schema = this.state.schemaCache || await this.loadSchema() || {};
+            const suggestions = this.suggestIndexes(seqScans.filter(scan => scan.watched), indexes, schema);
+
+            const plan = {
+                sql: target,
+                plan: explained.Plan,
+                planningTime: explained['Planning Time'],
+                executionTime: explained['Execution Time'],
+                nodes,
+                seqScans,
+                indexes,
+                suggestions,
+                timestamp: new Date().toISOString()
+            };
+
+            this.state.lastPlan = plan;
+            console.log(`  ✓ ${nodes.length} plan nodes, ${seqScans.length} sequential scans, ${suggestions.length} index suggestions`);
+
+            return plan;
+        },
+
+        /**
+         * FLATTEN PLAN (depth-first, parents before children)
+         */
+        flattenPlan(plan) {
+            const nodes = [];
+
+            const visit = (node, depth, parent) => {
+                const entry = { id: nodes.length, depth, node, parent };
+                nodes.push(entry);
+                (node.Plans || []).forEach(child => visit(child, depth + 1, entry));
+            };
+
+            visit(plan, 0, null);
+            return nodes;
+        },
+
+        /**
+         * LOAD INDEXES
+         * Indexes in the database, flagged when ComprehensiveDB.createIndexes declares them
+         */
+        async loadIndexes() {
+            const result = await window.ComprehensiveDB.state.pglite.query(`
+                SELECT tablename, indexname, indexdef
+                FROM pg_indexes
+                WHERE schemaname = 'public'
+            `);
+
+            const declared = (window.ComprehensiveDB.indexes || [])
+                .map(sql => this.parseIndexDefinition(sql))
+                .filter(Boolean);
+
+            const indexes = result.rows.map(row => ({
+                ...this.parseIndexDefinition(row.indexdef),
+                name: row.indexname,
+                table: row.tablename,
+                exists: true,
+                declared: declared.some(d => d.name === row.indexname)
+            }));
+
+            // Declared in createIndexes but missing from the database
+            declared.forEach(index => {
+                if (!indexes.some(i => i.name === index.name)) {
+                    indexes.push({ ...index, exists: false, declared: true });
+                }
+            });
+
+            return indexes;
+        },
+
+        /**
+         * PARSE INDEX DEFINITION (CREATE INDEX statement or pg_indexes.indexdef)
+         */
+        parseIndexDefinition(sql) {
+            const match = /INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?(\S+)\s+ON\s+(?:ONLY\s+)?(\S+?)\s*(?:USING\s+(\w+)\s*)?\((.*)\)/i.exec(sql);
+            if (!match) return null;
+
+            return {
+                name: match[1],
+                table: match[2].split('.').pop(),
+                method: (match[3] || 'btree').toLowerCase(),
+                columns: match[4].split(',').map(col => col.trim().replace(/\s+(ASC|DESC)$/i, '')),
+                definition: sql.trim()
+            };
+        },
+
+        /**
+         * EXTRACT PLAN COLUMNS
+         * Columns of `alias` used in a plan condition such as
+         * "((confidence > '0.5'::double precision) AND (pattern_id ~~ 'p1%'::text))",
+         * with how they are compared
+         */
+        extractPlanColumns(condition, alias, columnNames) {
+            if (!condition || !window.SQLParser) return [];
+
+            let tokens;
+            try {
+                tokens = window.SQLParser.tokenize(condition);
+            } catch (error) {
+                return [];
+            }
+
+            // Drop ::type casts so operands sit next to their operators
+            const significant = [];
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                if (token.type === 'operator' && token.value === '::') {
+                    i++;
+                    while (tokens[i + 1] && tokens[i + 1].type === 'word' &&
+                        ['PRECISION', 'VARYING', 'WITH', 'WITHOUT', 'TIME', 'ZONE'].includes(tokens[i + 1].upper)) {
+                        i++;
+                    }
+                    while (tokens[i + 1]?.value === '[' && tokens[i + 2]?.value === ']') i += 2;
+                    continue;
+                }
+                significant.push(token);
+            }
+
+            const columns = [];
+            const isName = (token) => token && (token.type === 'word' || token.type === 'identifier');
+            const operatorNear = (index, step) => {
+                let j = index + step;
+                while (significant[j] && significant[j].type === 'punct' && (significant[j].value === ')' || significant[j].value === '(')) j += step;
+                return significant[j]?.type === 'operator' ? { op: significant[j].value, index: j } : null;
+            };
+
+            significant.forEach((token, i) => {
+                if (!isName(token) || significant[i + 1]?.value === '(' || significant[i + 1]?.value === '.') return;
+
+                const qualified = significant[i - 1]?.value === '.';
+                const qualifier = qualified ? significant[i - 2]?.value : null;
+                if (qualified && qualifier !== alias) return;
+                if (!columnNames.has(token.value)) return;
+
+                let expression = null;
+                let near = operatorNear(i, 1);
+
+                // JSON field access: pattern_data ->> 'tag'
+                if (near && (near.op === '->>' || near.op === '->') && significant[near.index + 1]?.type === 'string') {
+                    const key = significant[near.index + 1].value.replace(/'/g, "''");
+                    expression = `(${token.value} ${near.op} '${key}')`;
+                    near = operatorNear(near.index + 1, 1);
+                }
+
+                const op = near ? near.op : operatorNear(qualified ? i - 2 : i, -1)?.op;
+                let kind = 'other';
+                let leadingWildcard = false;
+
+                if (op === '=') {
+                    kind = 'equality';
+                } else if (['<', '>', '<=', '>='].includes(op)) {
+                    kind = 'range';
+                } else if (['@>', '<@', '&&', '?'].includes(op)) {
+                    kind = 'containment';
+                } else if (['~~', '~~*', '!~~', '!~~*'].includes(op)) {
+                    kind = 'pattern';
+                    const patternToken = significant[near ? near.index + 1 : -1];
+                    leadingWildcard = Boolean(patternToken?.type === 'string' && /^[%_]/.test(patternToken.value)) || op.includes('*');
+                }
+
+                columns.push({ column: token.value, expression, kind, leadingWildcard });
+            });
+
+            return columns;
+        },
+
+        /**
+         * SUGGEST INDEXES for sequential scans on watched tables
+         */
+        suggestIndexes(seqScans, indexes, schema) {
+            const suggestions = new Map();
+
+            const covered = (table, method, leading) => indexes.some(index =>
+                index.exists && index.table === table && index.method === method &&
+                index.columns[0]?.replace(/\s/g, '') === leading.replace(/\s/g, ''));
+
+            const add = (table, method, columns, reason, scan) => {
+                const declared = indexes.find(index => index.declared && index.table === table &&
+                    index.method === method && index.columns[0] === columns[0]);
+
+                // Re-use the createIndexes definition when it never made it into the database
+                const name = `idx_${table}_${columns.map(c => c.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '')).join('_')}`;
+                const using = method === 'btree' ? '' : ` USING ${method}`;
+                const sql = declared && !declared.exists
+                    ? declared.definition
+                    : `CREATE INDEX IF NOT EXISTS ${name} ON ${table}${using}(${columns.join(', ')})`;
+                if (suggestions.has(sql)) return;
+
+                suggestions.set(sql, {
+                    table,
+                    method,
+                    columns,
+                    sql,
+                    reason: declared && !declared.exists
+                        ? `${reason}; declared in ComprehensiveDB.createIndexes but missing from the database`
+                        : `${reason}; missing from ComprehensiveDB.createIndexes`,
+                    rowsRemoved: scan.node['Rows Removed by Filter'] || 0,
+                    scanTime: scan.node['Actual Total Time']
+                });
+            };
+
+            seqScans.forEach(scan => {
+                const table = scan.node['Relation Name'];
+                const alias = scan.node.Alias || table;
+                const columnNames = new Set((schema[table] || []).map(col => col.column_name));
+
+                // Filter on the scan itself
+                const filterColumns = this.extractPlanColumns(scan.node.Filter, alias, columnNames);
+
+                filterColumns.filter(c => c.kind === 'containment').forEach(c => {
+                    if (!covered(table, 'gin', c.column)) add(table, 'gin', [c.column], `containment filter on ${c.column}`, scan);
+                });
+
+                filterColumns.filter(c => c.expression && c.kind !== 'containment').forEach(c => {
+                    if (!covered(table, 'btree', c.expression)) add(table, 'btree', [c.expression], `filter on ${c.expression}`, scan);
+                });
+
+                const btree = [
+                    ...filterColumns.filter(c => !c.expression && c.kind === 'equality'),
+                    ...filterColumns.filter(c => !c.expression && (c.kind === 'range' || (c.kind === 'pattern' && !c.leadingWildcard)))
+                ].map(c => c.column).filter((col, i, all) => all.indexOf(col) === i).slice(0, 3);
+
+                if (btree.length > 0 && !covered(table, 'btree', btree[0])) {
+                    add(table, 'btree', btree, `filter on ${btree.join(', ')}`, scan);
+                }
+
+                // Join keys from the join above (a Hash node sits between a hash join and its inner scan)
+                let parent = scan.parent;
+                if (parent && parent.node['Node Type'] === 'Hash') parent = parent.parent;
+                if (parent) {
+                    const condition = parent.node['Hash Cond'] || parent.node['Merge Cond'] || parent.node['Join Filter'];
+                    this.extractPlanColumns(condition, alias, columnNames)
+                        .filter(c => !c.expression && c.kind === 'equality')
+                        .forEach(c => {
+                            if (!covered(table, 'btree', c.column)) add(table, 'btree', [c.column], `join key ${c.column}`, scan);
+                        });
+                }
+            });
+
+            return Array.from(suggestions.values());
+        },
+
+        /**
+         * APPLY INDEX SUGGESTION
+         */
+        async applyIndexSuggestion(index) {
+            const suggestion = this.state.lastPlan?.suggestions[index];
+            if (!suggestion) return;
+
+            try {
+                await window.ComprehensiveDB.state.pglite.exec(suggestion.sql);
+                console.log(`✓ Created index: ${suggestion.sql}`);
+                console.log('  💡 Add it to ComprehensiveDB.indexes to create it on every install');
+                await this.analyzeRawSQL();
+            } catch (error) {
+                console.error('Index creation failed:', error);
+                alert(`Error: ${error.message}`);
+            }
+        },
+
+        /**
+         * RENDER PLAN
+         */
+        renderPlan(result) {
+            const formatMs = (ms) => (typeof ms === 'number' ? `${ms.toFixed(2)}ms` : 'n/a');
+            const watchedScans = result.seqScans.filter(scan => scan.watched);
+
+            let html = `
+                <div style="display: flex; gap: 15px; flex-wrap: wrap; margin-bottom: 10px; font-size: 13px;">
+                    <span>⏱️ Planning: <strong>${formatMs(result.planningTime)}</strong></span>
+                    <span>⚡ Execution: <strong>${formatMs(result.executionTime)}</strong></span>
+                    <span style="color: ${watchedScans.length > 0 ? '#ff3b30' : '#00ff88'};">
+                        🔎 Sequential scans on ${this.config.planWatchTables.join('/')}: <strong>${watchedScans.length}</strong>
+                    </span>
+                </div>
+                <div style="font-family: monospace; font-size: 12px; margin-bottom: 15px;">
+            `;
+
+            result.nodes.forEach(entry => {
+                const node = entry.node;
+                const isWatchedScan = node['Node Type'] === 'Seq Scan' && this.config.planWatchTables.includes(node['Relation Name']);
+                const relation = node['Relation Name']
+                    ? ` on <strong>${this.escapeHTML(node['Relation Name'])}</strong>${node.Alias && node.Alias !== node['Relation Name'] ? ` ${this.escapeHTML(node.Alias)}` : ''}`
+                    : '';
+                const index = node['Index Name'] ? ` using ${this.escapeHTML(node['Index Name'])}` : '';
+                const details = ['Filter', 'Index Cond', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Recheck Cond']
+                    .filter(key => node[key])
+                    .map(key => `<div style="color: #999;">${key}: ${this.escapeHTML(node[key])}</div>`);
+                if (node['Sort Key']) details.push(`<div style="color: #999;">Sort Key: ${this.escapeHTML(node['Sort Key'].join(', '))}</div>`);
+                if (node['Rows Removed by Filter']) details.push(`<div style="color: #ff9f0a;">Rows Removed by Filter: ${node['Rows Removed by Filter']}</div>`);
+
+                html += `
+                    <div style="
+                        margin: 4px 0 4px ${entry.depth * 18}px;
+                        padding: 6px 10px;
+                        border-left: 3px solid ${isWatchedScan ? '#ff3b30' : '#00d4ff'};
+                        background: ${isWatchedScan ? 'rgba(255, 59, 48, 0.15)' : 'rgba(255,255,255,0.03)'};
+                        border-radius: 4px;
+                    ">
+                        <div>
+                            ${isWatchedScan ? '<span style="color: #ff3b30; font-weight: 600;">⚠️ SEQ SCAN</span> ' : ''}
+                            <span style="color: #00ff88;">${this.escapeHTML(node['Node Type'])}</span>${relation}${index}
+                            <span style="color: #999;">
+                                · ${formatMs(node['Actual Total Time'])}
+                                · rows ${node['Actual Rows'] ?? '?'} (est. ${node['Plan Rows']})
+                                · loops ${node['Actual Loops'] ?? 1}
+                                · cost ${node['Total Cost']}
+                            </span>
+                        </div>
+                        ${details.join('')}
+                    </div>
+                `;
+            });
+
+            html += '</div>';
+
+            if (result.suggestions.length > 0) {
+                html += '<h4 style="color: #ff9f0a; margin: 10px 0;">💡 Suggested Indexes</h4>';
+                result.suggestions.forEach((suggestion, i) => {
+                    html += `
+                        <div style="margin-bottom: 8px; padding: 8px; background: rgba(255, 159, 10, 0.1); border-radius: 6px;">
+                            <code style="color: #00ff88;">${this.escapeHTML(suggestion.sql)}</code>
+                            <div style="color: #999; font-size: 12px; margin: 4px 0;">${this.escapeHTML(suggestion.reason)} · ${suggestion.rowsRemoved} rows removed by filter</div>
+                            <button onclick="window.AdvancedQueryBuilder.applyIndexSuggestion(${i})" style="
+                                padding: 4px 10px;
+                                background: rgba(255, 159, 10, 0.2);
+                                border: 1px solid #ff9f0a;
+                                color: white;
+                                border-radius: 4px;
+                                cursor: pointer;
+                            ">Create index</button>
+                        </div>
+                    `;
+                });
+            } else if (watchedScans.length > 0) {
+                html += '<p style="color: #999;">No index would help these scans (no selective filter or join key found).</p>';
+            }
+
+            return html;
+        },
+
+        /**
+         * ESCAPE HTML
+         */
+        escapeHTML(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
         /**
          * RENDER HISTORY
          */
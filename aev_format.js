@@ -0,0 +1,719 @@
+/**
+ * AEV CONTAINER FORMAT
+ *
+ * Single versioned binary container for .aev models, shared by every producer
+ * (AEVExtractor, NeuroArchitect, PatternEvolutionEnhanced, DynamicEvolutionLab,
+ * PerpetualRL) and consumer (AEVModelTester)
+ *
+ * Layout (little-endian, sections 8-byte aligned):
+ *
+ *   Header (32 bytes)
+ *     0   magic         8   \x89 A E V \r \n \x1a \n
+ *     8   major         u16
+ *     10  minor         u16
+ *     12  flags         u32
+ *     16  sectionCount  u32
+ *     20  headerCrc     u32 CRC-32 of bytes 0-19 and the section table
+ *     24  fileLength    u64
+ *   Section table (24 bytes per section)
+ *     tag u32 (fourCC) | crc32 u32 | offset u64 | length u64
+ *   META  UTF-8 JSON: everything in the model except patterns and embeddings
+ *   PTAB  pattern table: u32 count, u32 reserved, (count + 1) u64 record
+ *         offsets, then one UTF-8 JSON record per pattern
+ *   EMBD  embedding block: u32 count, u32 dimension, u32 dtype (1 = float32),
+ *         u32 reserved, presence bitmap (padded to 8 bytes), count x dimension
+ *         float32 rows
+ *
+ * The record offsets let readers load any slice of the pattern table without
+ * reading the rest of the file. Unknown sections are skipped, so minor
+ * versions may add sections; a newer major version is rejected. JSON-era
+ * files (format 1.x) are migrated on read when their producer is recognised.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('📦 Loading AEV Container Format...');
+
+    const MAGIC = [0x89, 0x41, 0x45, 0x56, 0x0D, 0x0A, 0x1A, 0x0A];
+    const HEADER_SIZE = 32;
+    const SECTION_ENTRY_SIZE = 24;
+    const DTYPE_FLOAT32 = 1;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    let crcTable = null;
+
+    const AevFormat = {
+        version: '1.0.0',
+
+        formatVersion: { major: 2, minor: 0 },
+
+        kinds: ['extracted', 'evolved', 'reasoning', 'reinforcement-learning'],
+
+        sections: {
+            META: 'META',
+            PTAB: 'PTAB',
+            EMBD: 'EMBD'
+        },
+
+        /**
+         * CREATE MODEL
+         * Builds the canonical in-memory model every producer emits:
+         * { format, formatVersion, name, kind, producer, created,
+         *   metadata, statistics, extras, patterns }
+         */
+        createModel(spec) {
+            const patterns = (spec.patterns || []).map((pattern, i) => ({
+                ...pattern,
+                id: pattern.id ?? `${spec.name}:${i}`
+            }));
+
+            const model = {
+                format: 'aev',
+                formatVersion: `${this.formatVersion.major}.${this.formatVersion.minor}`,
+                name: spec.name,
+                kind: spec.kind,
+                producer: spec.producer,
+                created: spec.created || new Date().toISOString(),
+                metadata: { ...(spec.metadata || {}), patternCount: patterns.length },
+                statistics: spec.statistics || this.calculateStatistics(patterns),
+                extras: spec.extras || {},
+                patterns
+            };
+
+            const { valid, errors } = this.validate(model);
+            if (!valid) {
+                throw new Error(`Invalid .aev model: ${errors.join('; ')}`);
+            }
+
+            return model;
+        },
+
+        calculateStatistics(patterns) {
+            const withConfidence = patterns.filter(p => typeof p.confidence === 'number');
+            const categories = {};
+            patterns.forEach(p => {
+                const category = p.category || p.categoryName || p.domain;
+                if (category) {
+                    categories[category] = (categories[category] || 0) + 1;
+                }
+            });
+
+            return {
+                avgConfidence: withConfidence.length
+                    ? withConfidence.reduce((sum, p) => sum + p.confidence, 0) / withConfidence.length
+                    : null,
+                categoryDistribution: categories,
+                embeddedPatterns: patterns.filter(p => Array.isArray(p.embedding)).length
+            };
+        },
+
+        /**
+         * VALIDATE
+         */
+        validate(model) {
+            const errors = [];
+
+            if (!model || typeof model !== 'object') {
+                return { valid: false, errors: ['model must be an object'] };
+            }
+            if (model.format !== 'aev') errors.push('format must be "aev"');
+            if (typeof model.name !== 'string' || !model.name) errors.push('name is required');
+            if (!this.kinds.includes(model.kind)) errors.push(`kind must be one of ${this.kinds.join(', ')}`);
+            if (typeof model.producer !== 'string' || !model.producer) errors.push('producer is required');
+            if (Number.isNaN(Date.parse(model.created))) errors.push('created must be an ISO date');
+            if (!Array.isArray(model.patterns)) {
+                errors.push('patterns must be an array');
+            } else {
+                const ids = new Set();
+                model.patterns.forEach((pattern, i) => {
+                    if (!pattern || typeof pattern !== 'object') {
+                        errors.push(`patterns[${i}] must be an object`);
+                    } else if (ids.has(pattern.id)) {
+                        errors.push(`duplicate pattern id ${pattern.id}`);
+                    } else {
+                        ids.add(pattern.id);
+                    }
+                });
+            }
+
+            return { valid: errors.length === 0, errors };
+        },
+
+        /**
+         * ENCODE
+         * Serializes a canonical model to the binary container
+         */
+        encode(model) {
+            const { valid, errors } = this.validate(model);
+            if (!valid) {
+                throw new Error(`Invalid .aev model: ${errors.join('; ')}`);
+            }
+
+            const { patterns, ...meta } = model;
+            meta.formatVersion = `${this.formatVersion.major}.${this.formatVersion.minor}`;
+
+            const sections = [
+                { tag: this.sections.META, bytes: encoder.encode(JSON.stringify(meta)) },
+                { tag: this.sections.PTAB, bytes: null },
+                { tag: this.sections.EMBD, bytes: null }
+            ];
+
+            // Embeddings of the dominant dimension go to the float32 block;
+            // any odd-sized vector stays inline in its pattern record
+            const dimension = this.dominantDimension(patterns);
+            const records = patterns.map((pattern) => {
+                if (Array.isArray(pattern.embedding) && pattern.embedding.length === dimension) {
+                    const { embedding, ...rest } = pattern;
+                    return encoder.encode(JSON.stringify(rest));
+                }
+                return encoder.encode(JSON.stringify(pattern));
+            });
+
+            sections[1].bytes = this.encodePatternTable(records);
+            sections[2].bytes = this.encodeEmbeddings(patterns, dimension);
+
+            const tableSize = sections.length * SECTION_ENTRY_SIZE;
+            let offset = this.align(HEADER_SIZE + tableSize);
+            for (const section of sections) {
+                section.offset = offset;
+                section.crc = this.crc32(section.bytes);
+                offset = this.align(offset + section.bytes.length);
+            }
+
+            const out = new Uint8Array(offset);
+            const view = new DataView(out.buffer);
+
+            out.set(MAGIC, 0);
+            view.setUint16(8, this.formatVersion.major, true);
+            view.setUint16(10, this.formatVersion.minor, true);
+            view.setUint32(12, 0, true);
+            view.setUint32(16, sections.length, true);
+            this.setUint64(view, 24, out.length);
+
+            sections.forEach((section, i) => {
+                const at = HEADER_SIZE + i * SECTION_ENTRY_SIZE;
+                view.setUint32(at, this.tagToInt(section.tag), true);
+                view.setUint32(at + 4, section.crc, true);
+                this.setUint64(view, at + 8, section.offset);
+                this.setUint64(view, at + 16, section.bytes.length);
+                out.set(section.bytes, section.offset);
+            });
+
+            view.setUint32(20, this.headerCrc(out.subarray(0, HEADER_SIZE + tableSize)), true);
+
+            return out;
+        },
+
+        encodePatternTable(records) {
+            const indexSize = 8 + (records.length + 1) * 8;
+            const total = indexSize + records.reduce((sum, r) => sum + r.length, 0);
+            const bytes = new Uint8Array(total);
+            const view = new DataView(bytes.buffer);
+
+            view.setUint32(0, records.length, true);
+            let position = 0;
+            records.forEach((record, i) => {
+                this.setUint64(view, 8 + i * 8, position);
+                bytes.set(record, indexSize + position);
+                position += record.length;
+            });
+            this.setUint64(view, 8 + records.length * 8, position);
+
+            return bytes;
+        },
+
+        encodeEmbeddings(patterns, dimension) {
+            const count = patterns.length;
+            const bitmapSize = this.align(Math.ceil(count / 8));
+            const bytes = new Uint8Array(16 + bitmapSize + count * dimension * 4);
+            const view = new DataView(bytes.buffer);
+
+            view.setUint32(0, count, true);
+            view.setUint32(4, dimension, true);
+            view.setUint32(8, DTYPE_FLOAT32, true);
+
+            const rowsStart = 16 + bitmapSize;
+            patterns.forEach((pattern, i) => {
+                if (!Array.isArray(pattern.embedding) || pattern.embedding.length !== dimension) return;
+
+                bytes[16 + (i >> 3)] |= 1 << (i & 7);
+                const rowStart = rowsStart + i * dimension * 4;
+                pattern.embedding.forEach((value, j) => {
+                    view.setFloat32(rowStart + j * 4, value, true);
+                });
+            });
+
+            return bytes;
+        },
+
+        dominantDimension(patterns) {
+            const counts = new Map();
+            for (const pattern of patterns) {
+                if (Array.isArray(pattern.embedding) && pattern.embedding.length > 0) {
+                    counts.set(pattern.embedding.length, (counts.get(pattern.embedding.length) || 0) + 1);
+                }
+            }
+
+            let best = 0;
+            let bestCount = 0;
+            for (const [dimension, count] of counts) {
+                if (count > bestCount) {
+                    best = dimension;
+                    bestCount = count;
+                }
+            }
+            return best;
+        },
+
+        /**
+         * OPEN
+         * Returns a reader over a .aev file without loading the pattern table.
+         * `input` may be an ArrayBuffer, typed array, Blob/File, or any
+         * { size, read(offset, length) => Promise<Uint8Array> } source (e.g.
+         * HTTP range requests). JSON-era files are migrated unless
+         * `allowLegacy` is false. `verify` checks every section checksum up front.
+         */
+        async open(input, options = {}) {
+            const { verify = false, allowLegacy = true } = options;
+            const source = this.createSource(input);
+
+            if (source.size < HEADER_SIZE) {
+                return this.openLegacy(source, allowLegacy);
+            }
+
+            const head = await source.read(0, HEADER_SIZE);
+            if (!MAGIC.every((byte, i) => head[i] === byte)) {
+                return this.openLegacy(source, allowLegacy);
+            }
+
+            const headView = new DataView(head.buffer, head.byteOffset, head.byteLength);
+            const major = headView.getUint16(8, true);
+            const minor = headView.getUint16(10, true);
+            const sectionCount = headView.getUint32(16, true);
+            const storedCrc = headView.getUint32(20, true);
+            const fileLength = this.getUint64(headView, 24);
+
+            if (major > this.formatVersion.major) {
+                throw new Error(`Unsupported .aev format ${major}.${minor}; this reader supports up to ${this.formatVersion.major}.x`);
+            }
+            if (fileLength !== source.size) {
+                throw new Error(`Truncated .aev file: expected ${fileLength} bytes, got ${source.size}`);
+            }
+
+            const tableBytes = await source.read(HEADER_SIZE, sectionCount * SECTION_ENTRY_SIZE);
+            const headerBytes = new Uint8Array(HEADER_SIZE + tableBytes.length);
+            headerBytes.set(head, 0);
+            headerBytes.set(tableBytes, HEADER_SIZE);
+            if (this.headerCrc(headerBytes) !== storedCrc) {
+                throw new Error('Corrupt .aev file: header checksum mismatch');
+            }
+
+            const tableView = new DataView(tableBytes.buffer, tableBytes.byteOffset, tableBytes.byteLength);
+            const sections = new Map();
+            for (let i = 0; i < sectionCount; i++) {
+                const at = i * SECTION_ENTRY_SIZE;
+                const section = {
+                    tag: this.intToTag(tableView.getUint32(at, true)),
+                    crc: tableView.getUint32(at + 4, true),
+                    offset: this.getUint64(tableView, at + 8),
+                    length: this.getUint64(tableView, at + 16)
+                };
+                if (section.offset + section.length > source.size) {
+                    throw new Error(`Corrupt .aev file: section ${section.tag} extends past end of file`);
+                }
+                sections.set(section.tag, section);
+            }
+
+            for (const tag of [this.sections.META, this.sections.PTAB]) {
+                if (!sections.has(tag)) {
+                    throw new Error(`Corrupt .aev file: missing ${tag} section`);
+                }
+            }
+
+            const reader = new AevReader(this, source, { major, minor, sections });
+            await reader.initialize(verify);
+            return reader;
+        },
+
+        /**
+         * DECODE
+         * Loads a whole .aev file into a canonical model
+         */
+        async decode(input, options = {}) {
+            const reader = await this.open(input, options);
+            return reader.load();
+        },
+
+        async openLegacy(source, allowLegacy) {
+            const bytes = await source.read(0, source.size);
+            let json;
+            try {
+                json = JSON.parse(decoder.decode(bytes));
+            } catch (error) {
+                throw new Error('Not an .aev file: missing container header');
+            }
+
+            if (!allowLegacy) {
+                throw new Error('Legacy JSON .aev files are not accepted');
+            }
+
+            const model = this.migrateLegacy(json);
+            console.warn(`⚠️ Migrated legacy JSON .aev model "${model.name}" from ${model.producer}`);
+            return new AevReader(this, null, { major: 1, minor: 0, sections: new Map(), legacyModel: model });
+        },
+
+        /**
+         * MIGRATE LEGACY
+         * Converts JSON-era models from each known producer to the canonical shape
+         */
+        migrateLegacy(json) {
+            if (!json || typeof json !== 'object') {
+                throw new Error('Unrecognised legacy .aev file');
+            }
+
+            if (json.format === 'aev' && json.formatVersion) {
+                // Canonical model saved as JSON (e.g. from localStorage)
+                return this.createModel(json);
+            }
+
+            if (json.protocol === 'aev' && json.type === 'reinforcement-learning') {
+                const { architecture, ...metadata } = json.metadata || {};
+                return this.createModel({
+                    name: json.model_name,
+                    kind: 'reinforcement-learning',
+                    producer: 'PerpetualRL',
+                    created: json.created_at,
+                    metadata: { ...metadata, legacyVersion: json.version },
+                    extras: { architecture, weights: json.weights, trainingHistory: json.trainingHistory || [] },
+                    patterns: []
+                });
+            }
+
+            if (json.format !== 'aev' || !Array.isArray(json.patterns)) {
+                throw new Error('Unrecognised legacy .aev file');
+            }
+
+            if (json.model_name && json.evolution) {
+                return this.createModel({
+                    name: json.model_name,
+                    kind: json.protocol === 'armsquare-reasoning' ? 'reasoning' : 'evolved',
+                    producer: 'DynamicEvolutionLab',
+                    created: json.created_at,
+                    metadata: { ...json.metadata, legacyVersion: json.version },
+                    extras: { evolution: json.evolution },
+                    patterns: json.patterns
+                });
+            }
+
+            if (json.model_name && json.protocol === 'armsquare-reasoning') {
+                return this.createModel({
+                    name: json.model_name,
+                    kind: 'reasoning',
+                    producer: 'PatternEvolutionEnhanced',
+                    created: json.created_at,
+                    metadata: { ...json.metadata, legacyVersion: json.version },
+                    extras: { reasoning: json.reasoning },
+                    patterns: json.patterns
+                });
+            }
+
+            if (json.metadata?.extractedFrom) {
+                return this.createModel({
+                    name: json.name,
+                    kind: 'extracted',
+                    producer: 'AEVExtractor',
+                    created: json.metadata.extractionDate,
+                    metadata: { ...json.metadata, legacyVersion: json.version },
+                    statistics: json.statistics,
+                    patterns: json.patterns
+                });
+            }
+
+            if (json.name && json.architecture === 'neurosymbolic') {
+                return this.createModel({
+                    name: json.name,
+                    kind: 'evolved',
+                    producer: 'NeuroArchitect',
+                    created: json.created,
+                    metadata: { ...json.metadata, legacyVersion: json.version },
+                    patterns: json.patterns
+                });
+            }
+
+            throw new Error('Unrecognised legacy .aev file');
+        },
+
+        /**
+         * BLOB / DOWNLOAD HELPERS
+         */
+        toBlob(model) {
+            return new Blob([this.encode(model)], { type: 'application/x-aev' });
+        },
+
+        toFile(model, filename = `${model.name}.aev`) {
+            return new File([this.encode(model)], filename, { type: 'application/x-aev' });
+        },
+
+        download(model, filename = `${model.name}.aev`) {
+            const blob = this.toBlob(model);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            console.log(`💾 Saved ${filename} (${blob.size.toLocaleString()} bytes, ${model.patterns.length} patterns)`);
+            return { filename, size: blob.size };
+        },
+
+        /**
+         * SOURCES
+         */
+        createSource(input) {
+            if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+                const bytes = input instanceof ArrayBuffer
+                    ? new Uint8Array(input)
+                    : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+                return {
+                    size: bytes.length,
+                    read: async (offset, length) => bytes.subarray(offset, offset + length)
+                };
+            }
+
+            if (typeof Blob !== 'undefined' && input instanceof Blob) {
+                return {
+                    size: input.size,
+                    read: async (offset, length) => new Uint8Array(await input.slice(offset, offset + length).arrayBuffer())
+                };
+            }
+
+            if (input && typeof input.read === 'function' && typeof input.size === 'number') {
+                return input;
+            }
+
+            throw new Error('Unsupported .aev source');
+        },
+
+        /**
+         * BINARY HELPERS
+         */
+        align(n) {
+            return (n + 7) & ~7;
+        },
+
+        setUint64(view, offset, value) {
+            view.setUint32(offset, value % 0x100000000, true);
+            view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+        },
+
+        getUint64(view, offset) {
+            return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+        },
+
+        tagToInt(tag) {
+            return new DataView(encoder.encode(tag).buffer).getUint32(0, true);
+        },
+
+        intToTag(value) {
+            const bytes = new Uint8Array(4);
+            new DataView(bytes.buffer).setUint32(0, value, true);
+            return decoder.decode(bytes);
+        },
+
+        // CRC-32 over the header with its own checksum field zeroed
+        headerCrc(headerBytes) {
+            const copy = headerBytes.slice();
+            copy.fill(0, 20, 24);
+            return this.crc32(copy);
+        },
+
+        crc32(bytes) {
+            if (!crcTable) {
+                crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    crcTable[n] = c >>> 0;
+                }
+            }
+
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+    };
+
+    /**
+     * AEV READER
+     * Random access over an opened container; pattern slices are read on demand
+     */
+    class AevReader {
+        constructor(format, source, header) {
+            this.format = format;
+            this.source = source;
+            this.header = header;
+            this.metadata = null;
+            this.patternCount = 0;
+            this.embeddingDimension = 0;
+            this.legacy = !!header.legacyModel;
+
+            if (this.legacy) {
+                const { patterns, ...meta } = header.legacyModel;
+                this.metadata = meta;
+                this.patternCount = patterns.length;
+            }
+        }
+
+        async initialize(verify) {
+            if (verify) {
+                for (const tag of this.header.sections.keys()) {
+                    await this.readSection(tag, true);
+                }
+            }
+
+            const meta = await this.readSection(this.format.sections.META, true);
+            this.metadata = JSON.parse(decoder.decode(meta));
+
+            const ptab = this.header.sections.get(this.format.sections.PTAB);
+            const counts = await this.source.read(ptab.offset, 8);
+            this.patternCount = new DataView(counts.buffer, counts.byteOffset, 8).getUint32(0, true);
+
+            const embd = this.header.sections.get(this.format.sections.EMBD);
+            if (embd && embd.length >= 16) {
+                const info = await this.source.read(embd.offset, 16);
+                this.embeddingDimension = new DataView(info.buffer, info.byteOffset, 16).getUint32(4, true);
+            }
+        }
+
+        async readSection(tag, checkCrc) {
+            const section = this.header.sections.get(tag);
+            const bytes = await this.source.read(section.offset, section.length);
+            if (checkCrc && this.format.crc32(bytes) !== section.crc) {
+                throw new Error(`Corrupt .aev file: ${tag} section checksum mismatch`);
+            }
+            return bytes;
+        }
+
+        /**
+         * READ PATTERNS
+         * Loads patterns [start, end) with their embeddings
+         */
+        async readPatterns(start = 0, end = this.patternCount, options = {}) {
+            const { embeddings = true } = options;
+            start = Math.max(0, start);
+            end = Math.min(end, this.patternCount);
+            if (end <= start) return [];
+
+            if (this.legacy) {
+                return this.header.legacyModel.patterns.slice(start, end);
+            }
+
+            const ptab = this.header.sections.get(this.format.sections.PTAB);
+            const indexSize = 8 + (this.patternCount + 1) * 8;
+            const indexBytes = await this.source.read(ptab.offset + 8 + start * 8, (end - start + 1) * 8);
+            const indexView = new DataView(indexBytes.buffer, indexBytes.byteOffset, indexBytes.byteLength);
+            const offsets = [];
+            for (let i = 0; i <= end - start; i++) {
+                offsets.push(this.format.getUint64(indexView, i * 8));
+            }
+
+            const records = await this.source.read(ptab.offset + indexSize + offsets[0], offsets[offsets.length - 1] - offsets[0]);
+            const patterns = [];
+            for (let i = 0; i < end - start; i++) {
+                const record = records.subarray(offsets[i] - offsets[0], offsets[i + 1] - offsets[0]);
+                patterns.push(JSON.parse(decoder.decode(record)));
+            }
+
+            if (embeddings && this.embeddingDimension > 0) {
+                const vectors = await this.readEmbeddings(start, end);
+                vectors.forEach((vector, i) => {
+                    if (vector) patterns[i].embedding = vector;
+                });
+            }
+
+            return patterns;
+        }
+
+        /**
+         * READ EMBEDDINGS
+         * Returns one array per pattern in [start, end), or null when absent
+         */
+        async readEmbeddings(start = 0, end = this.patternCount) {
+            const embd = this.header.sections.get(this.format.sections.EMBD);
+            const dimension = this.embeddingDimension;
+            if (!embd || dimension === 0) {
+                return new Array(Math.max(0, end - start)).fill(null);
+            }
+
+            const bitmapSize = this.format.align(Math.ceil(this.patternCount / 8));
+            const bitmap = await this.source.read(embd.offset + 16, bitmapSize);
+            const rows = await this.source.read(embd.offset + 16 + bitmapSize + start * dimension * 4, (end - start) * dimension * 4);
+            const rowView = new DataView(rows.buffer, rows.byteOffset, rows.byteLength);
+
+            const vectors = [];
+            for (let i = start; i < end; i++) {
+                if (!(bitmap[i >> 3] & (1 << (i & 7)))) {
+                    vectors.push(null);
+                    continue;
+                }
+                const vector = new Array(dimension);
+                const rowStart = (i - start) * dimension * 4;
+                for (let j = 0; j < dimension; j++) {
+                    vector[j] = rowView.getFloat32(rowStart + j * 4, true);
+                }
+                vectors.push(vector);
+            }
+            return vectors;
+        }
+
+        /**
+         * STREAM PATTERNS
+         * for await (const batch of reader.streamPatterns({ batchSize: 1000 }))
+         */
+        async *streamPatterns(options = {}) {
+            const { batchSize = 1000, embeddings = true } = options;
+            for (let start = 0; start < this.patternCount; start += batchSize) {
+                yield await this.readPatterns(start, start + batchSize, { embeddings });
+            }
+        }
+
+        /**
+         * LOAD
+         * Full canonical model; verifies pattern and embedding checksums
+         */
+        async load() {
+            if (this.legacy) {
+                return this.header.legacyModel;
+            }
+
+            for (const tag of [this.format.sections.PTAB, this.format.sections.EMBD]) {
+                if (this.header.sections.has(tag)) {
+                    await this.readSection(tag, true);
+                }
+            }
+
+            return { ...this.metadata, patterns: await this.readPatterns() };
+        }
+    }
+
+    // Export globally
+    root.AevFormat = AevFormat;
+    root.AevReader = AevReader;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { AevFormat, AevReader };
+    }
+
+    console.log('✅ AEV Container Format loaded');
+
+})();
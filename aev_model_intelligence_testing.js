@@ -2,6 +2,11 @@
  * AEV MODEL INTELLIGENCE TESTING & BENCHMARK SYSTEM
  * Comprehensive testing framework for .aev models
  * Auto-detects intelligence milestones and capability levels
+ * Benchmarks are measured against local datasets via BenchmarkRunner
+ * and kept per model hash in BenchmarkHistory (comparison, regression gate)
+ *
+ * No DOM: also loads under Node (aevov_cli.mjs). The testing panel lives in
+ * aev_model_intelligence_testing_ui.js.
  * 
  * Key Insight: .aev models are PATTERN DATABASES, not neural networks
  * - 1M patterns ≈ 350M parameter equivalent
@@ -15,6 +20,8 @@
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🧪 Loading AEV Model Intelligence Testing System...');
 
     const AEVModelTester = {
@@ -26,31 +33,36 @@
                 name: 'Basic Comprehension',
                 patternThreshold: 100000, // 100K patterns
                 equivalentParams: '35M',
-                tests: ['simple_qa', 'basic_reasoning', 'factual_recall']
+                tests: ['simple_qa', 'basic_reasoning', 'factual_recall'],
+                requirements: { mmlu: 0.30, hellaswag: 0.30 } // Minimum measured accuracy
             },
             intermediate: {
                 name: 'Intermediate Understanding',
                 patternThreshold: 1000000, // 1M patterns
                 equivalentParams: '350M',
-                tests: ['complex_qa', 'multi_step_reasoning', 'context_understanding']
+                tests: ['complex_qa', 'multi_step_reasoning', 'context_understanding'],
+                requirements: { mmlu: 0.50, hellaswag: 0.60, gsm8k: 0.20 }
             },
             advanced: {
                 name: 'Advanced Reasoning',
                 patternThreshold: 10000000, // 10M patterns
                 equivalentParams: '3B',
-                tests: ['abstract_reasoning', 'creative_writing', 'code_generation']
+                tests: ['abstract_reasoning', 'creative_writing', 'code_generation'],
+                requirements: { mmlu: 0.60, hellaswag: 0.70, gsm8k: 0.35, truthfulqa: 0.50 }
             },
             expert: {
                 name: 'Expert Level',
                 patternThreshold: 100000000, // 100M patterns
                 equivalentParams: '30B',
-                tests: ['domain_expertise', 'research_synthesis', 'advanced_coding']
+                tests: ['domain_expertise', 'research_synthesis', 'advanced_coding'],
+                requirements: { mmlu: 0.70, hellaswag: 0.75, gsm8k: 0.50, truthfulqa: 0.60 }
             },
             genius: {
                 name: 'Genius Level',
                 patternThreshold: 1000000000, // 1B patterns
                 equivalentParams: '300B',
-                tests: ['novel_insights', 'breakthrough_reasoning', 'agi_precursor']
+                tests: ['novel_insights', 'breakthrough_reasoning', 'agi_precursor'],
+                requirements: { mmlu: 0.85, hellaswag: 0.90, gsm8k: 0.80, truthfulqa: 0.80 }
             }
         },
 
@@ -98,284 +110,24 @@
             currentModel: null,
             testResults: [],
             detectedCapabilities: [],
-            milestonesPassed: []
+            milestonesPassed: [],
+            datasets: {}            // benchmarkKey -> { questions, skipped, sources }
         },
 
         async init() {
             console.log('⚡ Initializing AEV Model Testing System...');
-            this.createTestingUI();
             this.loadSavedResults();
             console.log('✅ Testing system ready');
         },
 
-        createTestingUI() {
-            const ui = `
-                <div id="aevTestingPanel" style="
-                    position: fixed;
-                    top: 0;
-                    right: -600px;
-                    width: 600px;
-                    height: 100%;
-                    background: linear-gradient(135deg, #0a192f 0%, #1a2744 100%);
-                    border-left: 3px solid #00d4ff;
-                    box-shadow: -5px 0 30px rgba(0, 212, 255, 0.3);
-                    z-index: 9999997;
-                    transition: right 0.3s;
-                    overflow-y: auto;
-                ">
-                    <div style="padding: 30px;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 25px;">
-                            <h2 style="color: #00d4ff; margin: 0;">🧪 AEV Model Testing</h2>
-                            <button onclick="window.AEVModelTester.closePanel()" style="
-                                background: rgba(255, 107, 107, 0.2);
-                                border: 2px solid #ff6b6b;
-                                color: #ff6b6b;
-                                width: 35px;
-                                height: 35px;
-                                border-radius: 50%;
-                                cursor: pointer;
-                                font-size: 18px;
-                            ">✕</button>
-                        </div>
-
-                        <!-- Model Info -->
-                        <div id="modelInfo" style="
-                            padding: 20px;
-                            background: rgba(0, 212, 255, 0.1);
-                            border: 2px solid #00d4ff;
-                            border-radius: 12px;
-                            margin-bottom: 20px;
-                        ">
-                            <h3 style="color: #00d4ff; margin-top: 0;">📊 Model Information</h3>
-                            <div id="modelStats" style="color: white; font-size: 14px;">
-                                No model loaded
-                            </div>
-                        </div>
-
-                        <!-- Intelligence Milestones -->
-                        <div style="margin-bottom: 25px;">
-                            <h3 style="color: #00d4ff;">🎯 Intelligence Milestones</h3>
-                            <div id="milestonesList"></div>
-                        </div>
-
-                        <!-- Benchmark Tests -->
-                        <div style="margin-bottom: 25px;">
-                            <h3 style="color: #00d4ff;">📈 Benchmark Suites</h3>
-                            <div id="benchmarksList"></div>
-                        </div>
-
-                        <!-- Quick Tests -->
-                        <div style="margin-bottom: 25px;">
-                            <h3 style="color: #00d4ff;">⚡ Quick Tests</h3>
-                            <div style="display: grid; gap: 10px;">
-                                <button onclick="window.AEVModelTester.runQuickTest('reasoning')" style="
-                                    padding: 12px;
-                                    background: rgba(0, 212, 255, 0.2);
-                                    border: 2px solid #00d4ff;
-                                    color: #00d4ff;
-                                    border-radius: 8px;
-                                    cursor: pointer;
-                                    font-weight: 600;
-                                ">🧠 Reasoning Test</button>
-                                
-                                <button onclick="window.AEVModelTester.runQuickTest('knowledge')" style="
-                                    padding: 12px;
-                                    background: rgba(0, 255, 136, 0.2);
-                                    border: 2px solid #00ff88;
-                                    color: #00ff88;
-                                    border-radius: 8px;
-                                    cursor: pointer;
-                                    font-weight: 600;
-                                ">📚 Knowledge Test</button>
-                                
-                                <button onclick="window.AEVModelTester.runQuickTest('coding')" style="
-                                    padding: 12px;
-                                    background: rgba(255, 159, 10, 0.2);
-                                    border: 2px solid #ff9f0a;
-                                    color: #ff9f0a;
-                                    border-radius: 8px;
-                                    cursor: pointer;
-                                    font-weight: 600;
-                                ">💻 Coding Test</button>
-                            </div>
-                        </div>
-
-                        <!-- Test Results -->
-                        <div>
-                            <h3 style="color: #00d4ff;">📋 Test Results</h3>
-                            <div id="testResults" style="
-                                background: rgba(0, 0, 0, 0.3);
-                                padding: 15px;
-                                border-radius: 8px;
-                                max-height: 300px;
-                                overflow-y: auto;
-                            ">
-                                <div style="color: rgba(255,255,255,0.5); text-align: center; padding: 20px;">
-                                    No tests run yet
-                                </div>
-                            </div>
-                        </div>
-
-                        <!-- Full Benchmark Suite -->
-                        <div style="margin-top: 25px;">
-                            <button onclick="window.AEVModelTester.runFullBenchmark()" style="
-                                width: 100%;
-                                padding: 15px;
-                                background: linear-gradient(135deg, #00ff88 0%, #00d4ff 100%);
-                                border: none;
-                                color: white;
-                                border-radius: 10px;
-                                cursor: pointer;
-                                font-weight: 600;
-                                font-size: 16px;
-                            ">🚀 Run Full Benchmark Suite</button>
-                        </div>
-                    </div>
-                </div>
-
-                <button onclick="window.AEVModelTester.openPanel()" style="
-                    position: fixed;
-                    top: 50%;
-                    right: 20px;
-                    transform: translateY(-50%);
-                    background: linear-gradient(135deg, #00d4ff, #0099cc);
-                    border: none;
-                    color: white;
-                    padding: 15px;
-                    border-radius: 10px 0 0 10px;
-                    cursor: pointer;
-                    box-shadow: -4px 0 20px rgba(0, 212, 255, 0.4);
-                    z-index: 9999996;
-                    writing-mode: vertical-rl;
-                    font-weight: 600;
-                ">🧪 AEV TESTING</button>
-            `;
-
-            document.body.insertAdjacentHTML('beforeend', ui);
-            this.renderMilestones();
-            this.renderBenchmarks();
-        },
-
-        openPanel() {
-            const panel = document.getElementById('aevTestingPanel');
-            if (panel) {
-                panel.style.right = '0';
-            }
-        },
-
-        closePanel() {
-            const panel = document.getElementById('aevTestingPanel');
-            if (panel) {
-                panel.style.right = '-600px';
-            }
-        },
-
-        renderMilestones() {
-            const container = document.getElementById('milestonesList');
-            if (!container) return;
-
-            container.innerHTML = Object.entries(this.milestones).map(([key, milestone]) => {
-                const isPassed = this.state.milestonesPassed.includes(key);
-                
-                return `
-                    <div style="
-                        padding: 15px;
-                        background: ${isPassed ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 255, 255, 0.05)'};
-                        border: 2px solid ${isPassed ? '#00ff88' : 'rgba(255, 255, 255, 0.1)'};
-                        border-radius: 10px;
-                        margin-bottom: 10px;
-                    ">
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <div>
-                                <div style="color: white; font-weight: 600; font-size: 15px;">
-                                    ${isPassed ? '✅' : '⏳'} ${milestone.name}
-                                </div>
-                                <div style="color: rgba(255,255,255,0.6); font-size: 12px; margin-top: 5px;">
-                                    ${milestone.patternThreshold.toLocaleString()} patterns ≈ ${milestone.equivalentParams} params
-                                </div>
-                            </div>
-                            <button onclick="window.AEVModelTester.testMilestone('${key}')" style="
-                                padding: 8px 15px;
-                                background: rgba(0, 212, 255, 0.2);
-                                border: 1px solid #00d4ff;
-                                color: #00d4ff;
-                                border-radius: 6px;
-                                cursor: pointer;
-                                font-size: 12px;
-                            ">Test</button>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        },
-
-        renderBenchmarks() {
-            const container = document.getElementById('benchmarksList');
-            if (!container) return;
-
-            container.innerHTML = Object.entries(this.benchmarks).map(([key, bench]) => {
-                const result = this.state.testResults.find(r => r.benchmark === key);
-                const score = result ? result.score : null;
-                
-                return `
-                    <div style="
-                        padding: 12px;
-                        background: rgba(255, 255, 255, 0.05);
-                        border-radius: 8px;
-                        margin-bottom: 8px;
-                    ">
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <div>
-                                <div style="color: white; font-weight: 600;">${bench.name}</div>
-                                ${score !== null ? `
-                                    <div style="color: ${this.getScoreColor(score, bench)}; font-size: 12px; margin-top: 3px;">
-                                        Score: ${(score * 100).toFixed(1)}%
-                                    </div>
-                                ` : ''}
-                            </div>
-                            <button onclick="window.AEVModelTester.runBenchmark('${key}')" style="
-                                padding: 6px 12px;
-                                background: rgba(138, 43, 226, 0.2);
-                                border: 1px solid #8a2be2;
-                                color: #8a2be2;
-                                border-radius: 6px;
-                                cursor: pointer;
-                                font-size: 11px;
-                            ">Run</button>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        },
-
-        getScoreColor(score, benchmark) {
-            if (score >= benchmark.excellentScore) return '#00ff88';
-            if (score >= benchmark.goodScore) return '#00d4ff';
-            if (score >= benchmark.passingScore) return '#ff9f0a';
-            return '#ff6b6b';
-        },
-
         async loadModel(modelPath) {
             console.log('📥 Loading .aev model:', modelPath);
 
             try {
                 const response = await fetch(modelPath);
-                const modelData = await response.json();
-
-                this.state.currentModel = {
-                    path: modelPath,
-                    name: modelData.name || 'Unnamed Model',
-                    version: modelData.version || '1.0.0',
-                    patternCount: modelData.patterns?.length || 0,
-                    domains: modelData.domains || [],
-                    extractedFrom: modelData.metadata?.extractedFrom || 'Unknown',
-                    compressionRatio: modelData.metadata?.compressionRatio || 1,
-                    timestamp: modelData.metadata?.timestamp || Date.now(),
-                    patterns: modelData.patterns || []
-                };
+                const modelData = await root.AevFormat.decode(await response.arrayBuffer());
 
-                this.updateModelInfo();
-                this.autoDetectCapabilities();
+                this.setModel(modelData, modelPath);
 
                 console.log('✅ Model loaded:', this.state.currentModel.name);
                 console.log(`📊 Patterns: ${this.state.currentModel.patternCount.toLocaleString()}`);
@@ -386,23 +138,27 @@
             }
         },
 
-        updateModelInfo() {
-            const container = document.getElementById('modelStats');
-            if (!container || !this.state.currentModel) return;
+        /**
+         * SET MODEL (decoded .aev model, e.g. straight from NeuroArchitect)
+         */
+        setModel(modelData, modelPath = null) {
+            this.state.currentModel = {
+                path: modelPath,
+                name: modelData.name,
+                version: modelData.formatVersion,
+                kind: modelData.kind,
+                patternCount: modelData.patterns.length,
+                domains: Object.keys(modelData.statistics?.categoryDistribution || modelData.statistics?.domainDistribution || {}),
+                extractedFrom: modelData.metadata?.extractedFrom || modelData.producer,
+                compressionRatio: modelData.metadata?.compressionRatio || 1,
+                timestamp: Date.parse(modelData.created),
+                hash: root.BenchmarkHistory ? root.BenchmarkHistory.hashModel(modelData) : null,
+                patterns: modelData.patterns
+            };
 
-            const model = this.state.currentModel;
-            const equivalentSize = this.calculateEquivalentSize(model.patternCount);
-
-            container.innerHTML = `
-                <div style="line-height: 1.8;">
-                    <div><strong>Name:</strong> ${model.name}</div>
-                    <div><strong>Patterns:</strong> ${model.patternCount.toLocaleString()}</div>
-                    <div><strong>Equivalent Size:</strong> ~${equivalentSize} parameters</div>
-                    <div><strong>Domains:</strong> ${model.domains.length}</div>
-                    <div><strong>Extracted From:</strong> ${model.extractedFrom}</div>
-                    <div><strong>Compression:</strong> ${model.compressionRatio.toFixed(1)}x</div>
-                </div>
-            `;
+            this.updateModelInfo();
+            this.autoDetectCapabilities();
+            this.renderBenchmarks();
         },
 
         calculateEquivalentSize(patternCount) {
@@ -464,84 +220,218 @@
 
         async testMilestone(milestoneKey) {
             const milestone = this.milestones[milestoneKey];
+            if (!this.state.currentModel) {
+                throw new Error('No model loaded');
+            }
             console.log(`🧪 Testing milestone: ${milestone.name}`);
 
-            this.addTestResult({
-                type: 'milestone',
-                name: milestone.name,
-                status: 'running'
+            const checks = Object.entries(milestone.requirements).map(([key, required]) => {
+                const result = this.getMeasuredResult(key);
+                return {
+                    benchmark: key,
+                    name: this.benchmarks[key].name,
+                    required,
+                    score: result ? result.score : null
+                };
             });
 
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            const missing = checks.filter(check => check.score === null);
+            const below = checks.filter(check => check.score !== null && check.score < check.required);
+            const passed = missing.length === 0 && below.length === 0;
+            const percent = value => `${(value * 100).toFixed(1)}%`;
 
-            const passed = this.state.currentModel.patternCount >= milestone.patternThreshold;
+            const message = passed
+                ? `Measured ${checks.map(check => `${check.name} ${percent(check.score)}`).join(', ')}`
+                : [
+                    missing.length ? `Not measured: ${missing.map(check => check.name).join(', ')}` : '',
+                    below.length ? `Below requirement: ${below.map(check =>
+                        `${check.name} ${percent(check.score)} < ${percent(check.required)}`).join(', ')}` : ''
+                ].filter(Boolean).join(' · ');
 
             this.addTestResult({
                 type: 'milestone',
+                milestone: milestoneKey,
                 name: milestone.name,
                 status: passed ? 'passed' : 'failed',
-                score: passed ? 1.0 : (this.state.currentModel.patternCount / milestone.patternThreshold),
-                message: passed 
-                    ? `Model meets ${milestone.name} threshold`
-                    : `Needs ${(milestone.patternThreshold - this.state.currentModel.patternCount).toLocaleString()} more patterns`
+                score: checks.reduce((sum, check) => sum + Math.min(1, (check.score || 0) / check.required), 0) / checks.length,
+                requirements: checks,
+                message
             });
 
-            if (passed && !this.state.milestonesPassed.includes(milestoneKey)) {
+            const index = this.state.milestonesPassed.indexOf(milestoneKey);
+            if (passed && index === -1) {
                 this.state.milestonesPassed.push(milestoneKey);
-                this.renderMilestones();
+            } else if (!passed && index !== -1) {
+                this.state.milestonesPassed.splice(index, 1);
             }
+            this.renderMilestones();
+            this.saveResults();
+
+            if (root.BenchmarkHistory) {
+                root.BenchmarkHistory.recordMilestone(this.state.currentModel, milestoneKey, passed,
+                    this.state.testResults[0].score);
+                this.renderModelHistory();
+            }
+
+            return passed;
         },
 
-        async runBenchmark(benchmarkKey) {
+        /**
+         * LOAD BENCHMARK DATASET
+         * sources: FileList / File objects, URLs, or paths under Node.
+         * Loading again for the same benchmark appends (e.g. one MMLU CSV per subject).
+         */
+        async loadBenchmarkDataset(benchmarkKey, sources, options = {}) {
             const benchmark = this.benchmarks[benchmarkKey];
-            console.log(`🧪 Running benchmark: ${benchmark.name}`);
+            if (!benchmark) {
+                throw new Error(`Unknown benchmark: ${benchmarkKey}`);
+            }
+
+            try {
+                const loaded = await root.BenchmarkRunner.load(sources, options);
+                const dataset = options.append === false || !this.state.datasets[benchmarkKey]
+                    ? { questions: [], skipped: 0, sources: [] }
+                    : this.state.datasets[benchmarkKey];
+
+                dataset.questions.push(...loaded.questions);
+                dataset.skipped += loaded.skipped;
+                dataset.sources.push(...loaded.sources);
+                this.state.datasets[benchmarkKey] = dataset;
+
+                this.renderBenchmarks();
+                this.showNotification('📂 Dataset Loaded',
+                    `${benchmark.name}: ${dataset.questions.length.toLocaleString()} questions` +
+                    (dataset.skipped ? ` (${dataset.skipped} unscorable records skipped)` : ''));
+
+                return dataset;
+            } catch (error) {
+                console.error(`❌ Failed to load ${benchmark.name} dataset:`, error);
+                this.showNotification('❌ Dataset Error', error.message);
+                throw error;
+            }
+        },
+
+        async runBenchmark(benchmarkKey, options = {}) {
+            const benchmark = this.benchmarks[benchmarkKey];
+            const dataset = this.state.datasets[benchmarkKey];
+            const model = this.state.currentModel;
+
+            if (!model) {
+                throw new Error('No model loaded');
+            }
+
+            if (!dataset || dataset.questions.length === 0) {
+                this.addTestResult({
+                    type: 'benchmark',
+                    benchmark: benchmarkKey,
+                    name: benchmark.name,
+                    status: 'skipped',
+                    message: 'No dataset loaded - load a JSONL or MMLU CSV file first'
+                });
+                return null;
+            }
+
+            console.log(`🧪 Running benchmark: ${benchmark.name} (${dataset.questions.length} questions)`);
 
             this.addTestResult({
                 type: 'benchmark',
+                benchmark: benchmarkKey,
                 name: benchmark.name,
                 status: 'running'
             });
 
-            // Simulate benchmark execution
-            const score = await this.simulateBenchmark(benchmarkKey);
+            const evaluation = await root.BenchmarkRunner.evaluate(model, dataset, options);
+            const categoryCount = Object.keys(evaluation.categories).length;
 
-            this.addTestResult({
+            const result = {
                 type: 'benchmark',
                 benchmark: benchmarkKey,
                 name: benchmark.name,
                 status: 'completed',
-                score: score,
-                rating: this.getRating(score, benchmark)
-            });
+                measured: true,
+                modelName: model.name,
+                modelHash: model.hash,
+                patternCount: model.patternCount,
+                score: evaluation.score,
+                macroScore: evaluation.macroScore,
+                rating: this.getRating(evaluation.score, benchmark),
+                questions: evaluation.total,
+                correct: evaluation.correct,
+                skipped: evaluation.skipped,
+                categories: evaluation.categories,
+                embeddingModel: evaluation.embeddingModel,
+                durationMs: evaluation.durationMs,
+                message: `${evaluation.correct}/${evaluation.total} correct across ${categoryCount} ${categoryCount === 1 ? 'category' : 'categories'}`
+            };
 
+            this.addTestResult(result);
             this.renderBenchmarks();
-        },
 
-        async simulateBenchmark(benchmarkKey) {
-            const patternCount = this.state.currentModel?.patternCount || 0;
-            const benchmark = this.benchmarks[benchmarkKey];
+            if (root.BenchmarkHistory) {
+                root.BenchmarkHistory.recordRun(model, {
+                    ...result,
+                    datasetDigest: evaluation.datasetDigest,
+                    outcomes: evaluation.outcomes
+                });
+                this.renderModelHistory();
+            }
 
-            // Calculate score based on pattern count
-            let baseScore = Math.min(patternCount / 100000000, 1.0); // Max at 100M patterns
+            return result;
+        },
 
-            // Adjust by benchmark difficulty
-            const difficultyFactor = {
-                'mmlu': 0.7,
-                'hellaswag': 0.8,
-                'humaneval': 0.6,
-                'truthfulqa': 0.65,
-                'gsm8k': 0.5
-            };
+        /**
+         * LATEST MEASURED RESULT of a benchmark for the current model
+         */
+        getMeasuredResult(benchmarkKey) {
+            const model = this.state.currentModel;
+            if (!model) return null;
+
+            return this.state.testResults.find(r =>
+                r.benchmark === benchmarkKey &&
+                r.measured &&
+                (model.hash
+                    ? r.modelHash === model.hash
+                    : r.modelName === model.name && r.patternCount === model.patternCount)
+            ) || null;
+        },
 
-            baseScore *= difficultyFactor[benchmarkKey] || 0.7;
+        /**
+         * COMPARE MODELS (hash, name or model object; B relative to A)
+         */
+        compareModels(refA, refB, options = {}) {
+            const comparison = root.BenchmarkHistory.compare(refA, refB, options);
+            this.renderComparison(comparison);
+            return comparison;
+        },
 
-            // Add some variance
-            baseScore += (Math.random() - 0.5) * 0.1;
-            baseScore = Math.max(0, Math.min(1, baseScore));
+        /**
+         * REGRESSION GATE of the current model (or options.candidate) against a baseline
+         * Returns { passed, baseline, candidate, regressions, missing, comparison }
+         */
+        checkRegression(baseline, options = {}) {
+            const candidate = options.candidate || this.state.currentModel;
+            if (!candidate) {
+                throw new Error('No candidate model loaded');
+            }
 
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            const verdict = root.BenchmarkHistory.gate(candidate, baseline, options);
+
+            this.addTestResult({
+                type: 'regression',
+                name: `Regression gate vs ${verdict.baseline.name}`,
+                status: verdict.passed ? 'passed' : 'failed',
+                message: verdict.passed
+                    ? 'No significant regressions'
+                    : [
+                        ...verdict.regressions.map(r => r.type === 'milestone'
+                            ? `Lost milestone ${this.milestones[r.milestone]?.name || r.milestone}`
+                            : `${this.benchmarks[r.benchmark]?.name || r.benchmark} ${(r.diff * 100).toFixed(1)} pts (p=${r.pValue.toFixed(3)})`),
+                        ...verdict.missing.map(key => `${this.benchmarks[key]?.name || key} not measured`)
+                    ].join(' · ')
+            });
+            this.renderComparison(verdict.comparison, verdict);
 
-            return baseScore;
+            return verdict;
         },
 
         getRating(score, benchmark) {
@@ -612,8 +502,15 @@
         },
 
         generateBenchmarkReport() {
-            const results = this.state.testResults.filter(r => r.type === 'benchmark');
-            
+            const results = Object.keys(this.benchmarks)
+                .map(key => this.getMeasuredResult(key))
+                .filter(Boolean);
+
+            if (results.length === 0) {
+                this.showNotification('📊 No Measured Results', 'Load a dataset and run a benchmark first');
+                return null;
+            }
+
             const avgScore = results.reduce((sum, r) => sum + r.score, 0) / results.length;
             
             const report = {
@@ -628,119 +525,58 @@
 
             console.log('📊 Benchmark Report:', report);
 
-            this.downloadReport(report);
-        },
-
-        downloadReport(report) {
-            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `aev-benchmark-${report.modelName}-${Date.now()}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
-
-            this.showNotification('📥 Report Downloaded', `Benchmark report for ${report.modelName}`);
+            return report;
         },
 
         addTestResult(result) {
             result.timestamp = Date.now();
             this.state.testResults.unshift(result);
 
-            const container = document.getElementById('testResults');
-            if (!container) return;
-
-            const resultEl = document.createElement('div');
-            resultEl.style.cssText = `
-                padding: 12px;
-                background: rgba(255, 255, 255, 0.05);
-                border-left: 3px solid ${result.status === 'passed' ? '#00ff88' : result.status === 'failed' ? '#ff6b6b' : '#00d4ff'};
-                border-radius: 6px;
-                margin-bottom: 8px;
-            `;
-
-            resultEl.innerHTML = `
-                <div style="display: flex; justify-content: space-between; align-items: center;">
-                    <div>
-                        <div style="color: white; font-weight: 600; font-size: 13px;">
-                            ${result.status === 'running' ? '⏳' : result.status === 'passed' ? '✅' : result.status === 'failed' ? '❌' : '📊'} 
-                            ${result.name}
-                        </div>
-                        ${result.score !== undefined ? `
-                            <div style="color: rgba(255,255,255,0.7); font-size: 11px; margin-top: 3px;">
-                                Score: ${(result.score * 100).toFixed(1)}%
-                                ${result.rating ? ` (${result.rating})` : ''}
-                            </div>
-                        ` : ''}
-                        ${result.message ? `
-                            <div style="color: rgba(255,255,255,0.6); font-size: 11px; margin-top: 3px;">
-                                ${result.message}
-                            </div>
-                        ` : ''}
-                    </div>
-                    <div style="color: rgba(255,255,255,0.4); font-size: 10px;">
-                        ${new Date(result.timestamp).toLocaleTimeString()}
-                    </div>
-                </div>
-            `;
-
-            if (container.children[0]?.textContent.includes('No tests run yet')) {
-                container.innerHTML = '';
-            }
-
-            container.insertBefore(resultEl, container.firstChild);
-
+            this.renderTestResult(result);
             this.saveResults();
         },
 
         saveResults() {
-            localStorage.setItem('aev_test_results', JSON.stringify(this.state.testResults));
-            localStorage.setItem('aev_milestones_passed', JSON.stringify(this.state.milestonesPassed));
+            if (!root.localStorage) return;
+
+            root.localStorage.setItem('aev_test_results', JSON.stringify(this.state.testResults));
+            root.localStorage.setItem('aev_milestones_passed', JSON.stringify(this.state.milestonesPassed));
         },
 
         loadSavedResults() {
-            const saved = localStorage.getItem('aev_test_results');
+            if (!root.localStorage) return;
+
+            const saved = root.localStorage.getItem('aev_test_results');
             if (saved) {
                 this.state.testResults = JSON.parse(saved);
             }
 
-            const milestones = localStorage.getItem('aev_milestones_passed');
+            const milestones = root.localStorage.getItem('aev_milestones_passed');
             if (milestones) {
                 this.state.milestonesPassed = JSON.parse(milestones);
             }
         },
 
+        /**
+         * UI HOOKS - no-ops headless; aev_model_intelligence_testing_ui.js
+         * replaces them with the panel renderers
+         */
+        updateModelInfo() {},
+        renderMilestones() {},
+        renderBenchmarks() {},
+        renderModelHistory() {},
+        renderComparison(comparison, verdict = null) {},
+        renderTestResult(result) {},
+
         showNotification(title, message) {
-            const notif = document.createElement('div');
-            notif.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: linear-gradient(135deg, #00d4ff, #0099cc);
-                color: white;
-                padding: 20px;
-                border-radius: 12px;
-                box-shadow: 0 8px 32px rgba(0, 212, 255, 0.5);
-                z-index: 100000001;
-                max-width: 350px;
-            `;
-
-            notif.innerHTML = `
-                <div style="font-weight: 600; font-size: 16px; margin-bottom: 5px;">${title}</div>
-                <div style="opacity: 0.9; font-size: 14px;">${message}</div>
-            `;
-
-            document.body.appendChild(notif);
-            setTimeout(() => notif.remove(), 4000);
+            console.log(`📢 ${title}: ${message}`);
         }
     };
 
-    window.AEVModelTester = AEVModelTester;
+    root.AEVModelTester = AEVModelTester;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => AEVModelTester.init());
-    } else {
-        AEVModelTester.init();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AEVModelTester;
     }
 
     console.log('✅ AEV Model Intelligence Testing System loaded');
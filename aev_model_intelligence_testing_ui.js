@@ -0,0 +1,570 @@
+/**
+ * AEV MODEL INTELLIGENCE TESTING - UI
+ * Testing panel over the AEV Model Intelligence Testing engine
+ * (aev_model_intelligence_testing.js): milestones, benchmarks, dataset
+ * loader, model comparison and test results
+ *
+ * Load this AFTER: aev_model_intelligence_testing.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🧪 Loading AEV Model Testing Panel...');
+
+    const AEVModelTester = window.AEVModelTester;
+    if (!AEVModelTester) {
+        console.error('❌ AEV Model Testing Panel requires aev_model_intelligence_testing.js');
+        return;
+    }
+
+    // Engine methods wrapped below
+    const engine = {
+        init: AEVModelTester.init,
+        generateBenchmarkReport: AEVModelTester.generateBenchmarkReport
+    };
+
+    Object.assign(AEVModelTester, {
+        async init() {
+            await engine.init.call(this);
+            this.createTestingUI();
+        },
+
+        createTestingUI() {
+            const ui = `
+                <div id="aevTestingPanel" style="
+                    position: fixed;
+                    top: 0;
+                    right: -600px;
+                    width: 600px;
+                    height: 100%;
+                    background: linear-gradient(135deg, #0a192f 0%, #1a2744 100%);
+                    border-left: 3px solid #00d4ff;
+                    box-shadow: -5px 0 30px rgba(0, 212, 255, 0.3);
+                    z-index: 9999997;
+                    transition: right 0.3s;
+                    overflow-y: auto;
+                ">
+                    <div style="padding: 30px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 25px;">
+                            <h2 style="color: #00d4ff; margin: 0;">🧪 AEV Model Testing</h2>
+                            <button onclick="window.AEVModelTester.closePanel()" style="
+                                background: rgba(255, 107, 107, 0.2);
+                                border: 2px solid #ff6b6b;
+                                color: #ff6b6b;
+                                width: 35px;
+                                height: 35px;
+                                border-radius: 50%;
+                                cursor: pointer;
+                                font-size: 18px;
+                            ">✕</button>
+                        </div>
+
+                        <!-- Model Info -->
+                        <div id="modelInfo" style="
+                            padding: 20px;
+                            background: rgba(0, 212, 255, 0.1);
+                            border: 2px solid #00d4ff;
+                            border-radius: 12px;
+                            margin-bottom: 20px;
+                        ">
+                            <h3 style="color: #00d4ff; margin-top: 0;">📊 Model Information</h3>
+                            <div id="modelStats" style="color: white; font-size: 14px;">
+                                No model loaded
+                            </div>
+                        </div>
+
+                        <!-- Intelligence Milestones -->
+                        <div style="margin-bottom: 25px;">
+                            <h3 style="color: #00d4ff;">🎯 Intelligence Milestones</h3>
+                            <div id="milestonesList"></div>
+                        </div>
+
+                        <!-- Benchmark Tests -->
+                        <div style="margin-bottom: 25px;">
+                            <h3 style="color: #00d4ff;">📈 Benchmark Suites</h3>
+                            <div id="benchmarksList"></div>
+                            <div style="display: flex; gap: 8px; margin-top: 10px;">
+                                <select id="benchmarkDatasetKey" style="
+                                    padding: 8px;
+                                    background: rgba(0, 0, 0, 0.3);
+                                    border: 1px solid #8a2be2;
+                                    color: white;
+                                    border-radius: 6px;
+                                ">
+                                    ${Object.entries(this.benchmarks).map(([key, bench]) =>
+                                        `<option value="${key}">${bench.name}</option>`).join('')}
+                                </select>
+                                <label style="
+                                    flex: 1;
+                                    padding: 8px;
+                                    background: rgba(138, 43, 226, 0.2);
+                                    border: 1px solid #8a2be2;
+                                    color: #8a2be2;
+                                    border-radius: 6px;
+                                    cursor: pointer;
+                                    font-size: 12px;
+                                    text-align: center;
+                                ">📂 Load dataset (.jsonl / .csv)
+                                    <input type="file" accept=".jsonl,.json,.csv" multiple style="display: none;"
+                                        onchange="window.AEVModelTester.loadBenchmarkDataset(document.getElementById('benchmarkDatasetKey').value, this.files).catch(() => {}); this.value = '';">
+                                </label>
+                            </div>
+                        </div>
+
+                        <!-- Model Comparison -->
+                        <div style="margin-bottom: 25px;">
+                            <h3 style="color: #00d4ff;">⚖️ Model Comparison</h3>
+                            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                                <select id="compareModelA" title="Baseline" style="
+                                    padding: 8px;
+                                    background: rgba(0, 0, 0, 0.3);
+                                    border: 1px solid #00d4ff;
+                                    color: white;
+                                    border-radius: 6px;
+                                "></select>
+                                <select id="compareModelB" title="Candidate" style="
+                                    padding: 8px;
+                                    background: rgba(0, 0, 0, 0.3);
+                                    border: 1px solid #00d4ff;
+                                    color: white;
+                                    border-radius: 6px;
+                                "></select>
+                                <button onclick="window.AEVModelTester.compareSelectedModels()" style="
+                                    padding: 10px;
+                                    background: rgba(0, 212, 255, 0.2);
+                                    border: 2px solid #00d4ff;
+                                    color: #00d4ff;
+                                    border-radius: 8px;
+                                    cursor: pointer;
+                                    font-weight: 600;
+                                ">⚖️ Compare</button>
+                                <button onclick="window.AEVModelTester.gateSelectedModels()" style="
+                                    padding: 10px;
+                                    background: rgba(255, 159, 10, 0.2);
+                                    border: 2px solid #ff9f0a;
+                                    color: #ff9f0a;
+                                    border-radius: 8px;
+                                    cursor: pointer;
+                                    font-weight: 600;
+                                ">🚦 Regression Gate</button>
+                            </div>
+                            <div id="modelComparison" style="margin-top: 10px;"></div>
+                        </div>
+
+                        <!-- Quick Tests -->
+                        <div style="margin-bottom: 25px;">
+                            <h3 style="color: #00d4ff;">⚡ Quick Tests</h3>
+                            <div style="display: grid; gap: 10px;">
+                                <button onclick="window.AEVModelTester.runQuickTest('reasoning')" style="
+                                    padding: 12px;
+                                    background: rgba(0, 212, 255, 0.2);
+                                    border: 2px solid #00d4ff;
+                                    color: #00d4ff;
+                                    border-radius: 8px;
+                                    cursor: pointer;
+                                    font-weight: 600;
+                                ">🧠 Reasoning Test</button>
+                                
+                                <button onclick="window.AEVModelTester.runQuickTest('knowledge')" style="
+                                    padding: 12px;
+                                    background: rgba(0, 255, 136, 0.2);
+                                    border: 2px solid #00ff88;
+                                    color: #00ff88;
+                                    border-radius: 8px;
+                                    cursor: pointer;
+                                    font-weight: 600;
+                                ">📚 Knowledge Test</button>
+                                
+                                <button onclick="window.AEVModelTester.runQuickTest('coding')" style="
+                                    padding: 12px;
+                                    background: rgba(255, 159, 10, 0.2);
+                                    border: 2px solid #ff9f0a;
+                                    color: #ff9f0a;
+                                    border-radius: 8px;
+                                    cursor: pointer;
+                                    font-weight: 600;
+                                ">💻 Coding Test</button>
+                            </div>
+                        </div>
+
+                        <!-- Test Results -->
+                        <div>
+                            <h3 style="color: #00d4ff;">📋 Test Results</h3>
+                            <div id="testResults" style="
+                                background: rgba(0, 0, 0, 0.3);
+                                padding: 15px;
+                                border-radius: 8px;
+                                max-height: 300px;
+                                overflow-y: auto;
+                            ">
+                                <div style="color: rgba(255,255,255,0.5); text-align: center; padding: 20px;">
+                                    No tests run yet
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Full Benchmark Suite -->
+                        <div style="margin-top: 25px;">
+                            <button onclick="window.AEVModelTester.runFullBenchmark()" style="
+                                width: 100%;
+                                padding: 15px;
+                                background: linear-gradient(135deg, #00ff88 0%, #00d4ff 100%);
+                                border: none;
+                                color: white;
+                                border-radius: 10px;
+                                cursor: pointer;
+                                font-weight: 600;
+                                font-size: 16px;
+                            ">🚀 Run Full Benchmark Suite</button>
+                        </div>
+                    </div>
+                </div>
+
+                <button onclick="window.AEVModelTester.openPanel()" style="
+                    position: fixed;
+                    top: 50%;
+                    right: 20px;
+                    transform: translateY(-50%);
+                    background: linear-gradient(135deg, #00d4ff, #0099cc);
+                    border: none;
+                    color: white;
+                    padding: 15px;
+                    border-radius: 10px 0 0 10px;
+                    cursor: pointer;
+                    box-shadow: -4px 0 20px rgba(0, 212, 255, 0.4);
+                    z-index: 9999996;
+                    writing-mode: vertical-rl;
+                    font-weight: 600;
+                ">🧪 AEV TESTING</button>
+            `;
+
+            document.body.insertAdjacentHTML('beforeend', ui);
+            this.renderMilestones();
+            this.renderBenchmarks();
+            this.renderModelHistory();
+        },
+
+        openPanel() {
+            const panel = document.getElementById('aevTestingPanel');
+            if (panel) {
+                panel.style.right = '0';
+            }
+        },
+
+        closePanel() {
+            const panel = document.getElementById('aevTestingPanel');
+            if (panel) {
+                panel.style.right = '-600px';
+            }
+        },
+
+        renderMilestones() {
+            const container = document.getElementById('milestonesList');
+            if (!container) return;
+
+            container.innerHTML = Object.entries(this.milestones).map(([key, milestone]) => {
+                const isPassed = this.state.milestonesPassed.includes(key);
+                
+                return `
+                    <div style="
+                        padding: 15px;
+                        background: ${isPassed ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 255, 255, 0.05)'};
+                        border: 2px solid ${isPassed ? '#00ff88' : 'rgba(255, 255, 255, 0.1)'};
+                        border-radius: 10px;
+                        margin-bottom: 10px;
+                    ">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <div>
+                                <div style="color: white; font-weight: 600; font-size: 15px;">
+                                    ${isPassed ? '✅' : '⏳'} ${milestone.name}
+                                </div>
+                                <div style="color: rgba(255,255,255,0.6); font-size: 12px; margin-top: 5px;">
+                                    ${milestone.patternThreshold.toLocaleString()} patterns ≈ ${milestone.equivalentParams} params
+                                </div>
+                            </div>
+                            <button onclick="window.AEVModelTester.testMilestone('${key}')" style="
+                                padding: 8px 15px;
+                                background: rgba(0, 212, 255, 0.2);
+                                border: 1px solid #00d4ff;
+                                color: #00d4ff;
+                                border-radius: 6px;
+                                cursor: pointer;
+                                font-size: 12px;
+                            ">Test</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        },
+
+        renderBenchmarks() {
+            const container = document.getElementById('benchmarksList');
+            if (!container) return;
+
+            container.innerHTML = Object.entries(this.benchmarks).map(([key, bench]) => {
+                const result = this.getMeasuredResult(key);
+                const score = result ? result.score : null;
+                const dataset = this.state.datasets[key];
+                
+                return `
+                    <div style="
+                        padding: 12px;
+                        background: rgba(255, 255, 255, 0.05);
+                        border-radius: 8px;
+                        margin-bottom: 8px;
+                    ">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <div>
+                                <div style="color: white; font-weight: 600;">${bench.name}</div>
+                                <div style="color: rgba(255,255,255,0.5); font-size: 11px; margin-top: 3px;">
+                                    ${dataset ? `${dataset.questions.length.toLocaleString()} questions loaded` : 'No dataset loaded'}
+                                </div>
+                                ${score !== null ? `
+                                    <div style="color: ${this.getScoreColor(score, bench)}; font-size: 12px; margin-top: 3px;">
+                                        Score: ${(score * 100).toFixed(1)}%
+                                    </div>
+                                ` : ''}
+                            </div>
+                            <button onclick="window.AEVModelTester.runBenchmark('${key}')" style="
+                                padding: 6px 12px;
+                                background: rgba(138, 43, 226, 0.2);
+                                border: 1px solid #8a2be2;
+                                color: #8a2be2;
+                                border-radius: 6px;
+                                cursor: pointer;
+                                font-size: 11px;
+                            ">Run</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        },
+
+        getScoreColor(score, benchmark) {
+            if (score >= benchmark.excellentScore) return '#00ff88';
+            if (score >= benchmark.goodScore) return '#00d4ff';
+            if (score >= benchmark.passingScore) return '#ff9f0a';
+            return '#ff6b6b';
+        },
+
+        updateModelInfo() {
+            const container = document.getElementById('modelStats');
+            if (!container || !this.state.currentModel) return;
+
+            const model = this.state.currentModel;
+            const equivalentSize = this.calculateEquivalentSize(model.patternCount);
+
+            container.innerHTML = `
+                <div style="line-height: 1.8;">
+                    <div><strong>Name:</strong> ${model.name}</div>
+                    <div><strong>Patterns:</strong> ${model.patternCount.toLocaleString()}</div>
+                    <div><strong>Equivalent Size:</strong> ~${equivalentSize} parameters</div>
+                    <div><strong>Domains:</strong> ${model.domains.length}</div>
+                    <div><strong>Extracted From:</strong> ${model.extractedFrom}</div>
+                    <div><strong>Compression:</strong> ${model.compressionRatio.toFixed(1)}x</div>
+                </div>
+            `;
+        },
+
+        compareSelectedModels() {
+            const a = document.getElementById('compareModelA')?.value;
+            const b = document.getElementById('compareModelB')?.value;
+            if (!a || !b) return;
+
+            try {
+                this.compareModels(a, b);
+            } catch (error) {
+                this.showNotification('❌ Comparison Failed', error.message);
+            }
+        },
+
+        gateSelectedModels() {
+            const a = document.getElementById('compareModelA')?.value;
+            const b = document.getElementById('compareModelB')?.value;
+            if (!a || !b) return;
+
+            try {
+                this.checkRegression(a, { candidate: window.BenchmarkHistory.resolve(b) });
+            } catch (error) {
+                this.showNotification('❌ Regression Gate Failed', error.message);
+            }
+        },
+
+        renderModelHistory() {
+            if (!window.BenchmarkHistory) return;
+
+            const models = window.BenchmarkHistory.list();
+            const options = models.map(entry =>
+                `<option value="${entry.hash}">${entry.name} · ${entry.hash.split(':').pop().slice(0, 8)} · ${new Date(entry.lastSeen).toLocaleDateString()}</option>`
+            ).join('');
+
+            ['compareModelA', 'compareModelB'].forEach((id, i) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const previous = select.value;
+                select.innerHTML = options;
+                select.value = previous || models[Math.min(i, models.length - 1)]?.hash || '';
+            });
+        },
+
+        renderComparison(comparison, verdict = null) {
+            const container = document.getElementById('modelComparison');
+            if (!container) return;
+
+            const percent = value => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+            const cell = 'padding: 4px 6px; border-bottom: 1px solid rgba(255,255,255,0.1);';
+
+            const benchmarkRows = comparison.benchmarks.map(row => {
+                const color = row.missing || !row.significant ? 'rgba(255,255,255,0.7)' : row.diff < 0 ? '#ff6b6b' : '#00ff88';
+                return `
+                    <tr>
+                        <td style="${cell}">${this.benchmarks[row.benchmark]?.name || row.benchmark}</td>
+                        <td style="${cell}">${percent(row.a)}</td>
+                        <td style="${cell}">${percent(row.b)}</td>
+                        <td style="${cell} color: ${color};">
+                            ${row.missing ? 'not measured' : `${row.diff >= 0 ? '+' : ''}${(row.diff * 100).toFixed(1)} pts`}
+                        </td>
+                        <td style="${cell}" title="${row.missing ? '' : `${row.test}, 95% CI ${percent(row.ci95[0])} to ${percent(row.ci95[1])}`}">
+                            ${row.missing ? '' : `p=${row.pValue.toFixed(3)}${row.significant ? ' *' : ''}`}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+            const milestoneRows = comparison.milestones.map(row => {
+                const mark = passed => (passed === null ? '—' : passed ? '✅' : '❌');
+                return `
+                    <tr>
+                        <td style="${cell}">${this.milestones[row.milestone]?.name || row.milestone}</td>
+                        <td style="${cell}">${mark(row.a)}</td>
+                        <td style="${cell}">${mark(row.b)}</td>
+                        <td style="${cell}" colspan="2"></td>
+                    </tr>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                ${verdict ? `
+                    <div style="padding: 8px; margin-bottom: 8px; border-radius: 6px; font-weight: 600;
+                        background: ${verdict.passed ? 'rgba(0, 255, 136, 0.15)' : 'rgba(255, 107, 107, 0.15)'};
+                        color: ${verdict.passed ? '#00ff88' : '#ff6b6b'};">
+                        ${verdict.passed ? '✅ Gate passed' : `❌ Gate failed (${verdict.regressions.length} regressions, ${verdict.missing.length} missing)`}
+                    </div>
+                ` : ''}
+                <table style="width: 100%; border-collapse: collapse; color: white; font-size: 12px;">
+                    <tr style="color: #00d4ff;">
+                        <th style="${cell} text-align: left;"></th>
+                        <th style="${cell} text-align: left;">${comparison.a.name}</th>
+                        <th style="${cell} text-align: left;">${comparison.b.name}</th>
+                        <th style="${cell} text-align: left;">Δ</th>
+                        <th style="${cell} text-align: left;">Significance</th>
+                    </tr>
+                    ${benchmarkRows}
+                    ${milestoneRows}
+                </table>
+                <div style="color: rgba(255,255,255,0.5); font-size: 11px; margin-top: 5px;">
+                    * significant at α=${comparison.alpha}; paired McNemar when both ran the same questions
+                </div>
+            `;
+        },
+
+        generateBenchmarkReport() {
+            const report = engine.generateBenchmarkReport.call(this);
+            if (report) {
+                this.downloadReport(report);
+            }
+            return report;
+        },
+
+        downloadReport(report) {
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `aev-benchmark-${report.modelName}-${Date.now()}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            this.showNotification('📥 Report Downloaded', `Benchmark report for ${report.modelName}`);
+        },
+
+        renderTestResult(result) {
+            const container = document.getElementById('testResults');
+            if (!container) return;
+
+            const resultEl = document.createElement('div');
+            resultEl.style.cssText = `
+                padding: 12px;
+                background: rgba(255, 255, 255, 0.05);
+                border-left: 3px solid ${result.status === 'passed' ? '#00ff88' : result.status === 'failed' ? '#ff6b6b' : '#00d4ff'};
+                border-radius: 6px;
+                margin-bottom: 8px;
+            `;
+
+            resultEl.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <div>
+                        <div style="color: white; font-weight: 600; font-size: 13px;">
+                            ${result.status === 'running' ? '⏳' : result.status === 'passed' ? '✅' : result.status === 'failed' ? '❌' : '📊'} 
+                            ${result.name}
+                        </div>
+                        ${result.score !== undefined ? `
+                            <div style="color: rgba(255,255,255,0.7); font-size: 11px; margin-top: 3px;">
+                                Score: ${(result.score * 100).toFixed(1)}%
+                                ${result.rating ? ` (${result.rating})` : ''}
+                            </div>
+                        ` : ''}
+                        ${result.message ? `
+                            <div style="color: rgba(255,255,255,0.6); font-size: 11px; margin-top: 3px;">
+                                ${result.message}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div style="color: rgba(255,255,255,0.4); font-size: 10px;">
+                        ${new Date(result.timestamp).toLocaleTimeString()}
+                    </div>
+                </div>
+            `;
+
+            if (container.children[0]?.textContent.includes('No tests run yet')) {
+                container.innerHTML = '';
+            }
+
+            container.insertBefore(resultEl, container.firstChild);
+        },
+
+        showNotification(title, message) {
+            const notif = document.createElement('div');
+            notif.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                background: linear-gradient(135deg, #00d4ff, #0099cc);
+                color: white;
+                padding: 20px;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0, 212, 255, 0.5);
+                z-index: 100000001;
+                max-width: 350px;
+            `;
+
+            notif.innerHTML = `
+                <div style="font-weight: 600; font-size: 16px; margin-bottom: 5px;">${title}</div>
+                <div style="opacity: 0.9; font-size: 14px;">${message}</div>
+            `;
+
+            document.body.appendChild(notif);
+            setTimeout(() => notif.remove(), 4000);
+        }
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => AEVModelTester.init());
+    } else {
+        AEVModelTester.init();
+    }
+
+    console.log('✅ AEV Model Testing Panel loaded');
+
+})();
@@ -0,0 +1,320 @@
+/**
+ * AEV PATTERN EXTRACTION - UI
+ * Extraction panel over the AEV Pattern Extraction Engine (aev_pattern_extractor.js)
+ *
+ * Load this AFTER: aev_pattern_extractor.js, aev_format.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('⚗️ Loading AEV Pattern Extraction Panel...');
+
+    const AEVExtractor = window.AEVExtractor;
+    if (!AEVExtractor) {
+        console.error('❌ AEV Pattern Extraction Panel requires aev_pattern_extractor.js');
+        return;
+    }
+
+    Object.assign(AEVExtractor, {
+        async init() {
+            console.log('⚡ Initializing AEV Pattern Extraction Panel...');
+            this.createExtractionUI();
+            console.log('✅ Extraction engine ready');
+        },
+
+        createExtractionUI() {
+            const ui = `
+                <div id="aevExtractorPanel" style="
+                    position: fixed;
+                    top: 50%;
+                    left: 50%;
+                    transform: translate(-50%, -50%);
+                    background: linear-gradient(135deg, #0a192f 0%, #1a2744 100%);
+                    border: 3px solid #00d4ff;
+                    border-radius: 20px;
+                    padding: 40px;
+                    box-shadow: 0 20px 60px rgba(0, 212, 255, 0.5);
+                    z-index: 99999998;
+                    max-width: 800px;
+                    width: 90%;
+                    display: none;
+                ">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
+                        <h1 style="color: #00d4ff; margin: 0; font-size: 28px;">⚗️ AEV Pattern Extractor</h1>
+                        <button onclick="window.AEVExtractor.closePanel()" style="
+                            background: rgba(255, 107, 107, 0.2);
+                            border: 2px solid #ff6b6b;
+                            color: #ff6b6b;
+                            width: 40px;
+                            height: 40px;
+                            border-radius: 50%;
+                            font-size: 20px;
+                            cursor: pointer;
+                        ">✕</button>
+                    </div>
+
+                    <div style="background: rgba(0, 212, 255, 0.1); padding: 20px; border-radius: 12px; margin-bottom: 25px;">
+                        <h3 style="color: #00d4ff; margin-top: 0;">📊 Extraction Configuration</h3>
+                        
+                        <div style="margin-bottom: 15px;">
+                            <label style="color: white; display: block; margin-bottom: 8px;">Source Model</label>
+                            <select id="sourceModel" style="
+                                width: 100%;
+                                padding: 10px;
+                                background: rgba(0, 0, 0, 0.3);
+                                border: 2px solid rgba(255, 255, 255, 0.2);
+                                border-radius: 8px;
+                                color: white;
+                            ">
+                                <option value="gpt4">GPT-4 (API)</option>
+                                <option value="gpt3.5">GPT-3.5 (API)</option>
+                                <option value="claude">Claude Opus (API)</option>
+                                <option value="llama70b">LLaMA 70B (Local)</option>
+                                <option value="mistral">Mistral (Local)</option>
+                                <option value="custom">Custom API</option>
+                            </select>
+                        </div>
+
+                        <div style="margin-bottom: 15px;">
+                            <label style="color: white; display: block; margin-bottom: 8px;">
+                                Target Pattern Count: <span id="patternCountLabel">1,000,000</span>
+                            </label>
+                            <input type="range" id="patternCount" min="100000" max="10000000000" step="100000" value="1000000"
+                                oninput="document.getElementById('patternCountLabel').textContent = parseInt(this.value).toLocaleString()"
+                                style="width: 100%;">
+                            <div style="color: rgba(255,255,255,0.6); font-size: 12px; margin-top: 5px;">
+                                Equivalent: <span id="equivalentSize">~350M parameters</span>
+                            </div>
+                        </div>
+
+                        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                            <div>
+                                <label style="color: white; display: block; margin-bottom: 8px;">Diversity Threshold</label>
+                                <input type="range" id="diversityThreshold" min="0" max="1" step="0.1" value="0.7"
+                                    style="width: 100%;">
+                            </div>
+                            <div>
+                                <label style="color: white; display: block; margin-bottom: 8px;">Quality Threshold</label>
+                                <input type="range" id="qualityThreshold" min="0" max="1" step="0.1" value="0.8"
+                                    style="width: 100%;">
+                            </div>
+                        </div>
+                    </div>
+
+                    <div style="background: rgba(0, 255, 136, 0.1); padding: 20px; border-radius: 12px; margin-bottom: 25px;">
+                        <h3 style="color: #00ff88; margin-top: 0;">🎯 Extraction Strategy</h3>
+                        
+                        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Factual Knowledge
+                            </label>
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Reasoning Patterns
+                            </label>
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Procedural Knowledge
+                            </label>
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Creative Templates
+                            </label>
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Analytical Frameworks
+                            </label>
+                            <label style="color: white; display: flex; align-items: center; gap: 10px;">
+                                <input type="checkbox" checked> Technical Procedures
+                            </label>
+                        </div>
+                    </div>
+
+                    <div id="extractionProgress" style="display: none; margin-bottom: 25px;">
+                        <div style="background: rgba(138, 43, 226, 0.1); padding: 20px; border-radius: 12px;">
+                            <h3 style="color: #8a2be2; margin-top: 0;">⏳ Extraction Progress</h3>
+                            
+                            <div style="background: rgba(0, 0, 0, 0.3); height: 40px; border-radius: 8px; overflow: hidden; margin-bottom: 15px;">
+                                <div id="progressBar" style="
+                                    height: 100%;
+                                    background: linear-gradient(90deg, #00ff88 0%, #00d4ff 100%);
+                                    width: 0%;
+                                    transition: width 0.3s;
+                                    display: flex;
+                                    align-items: center;
+                                    justify-content: center;
+                                    color: white;
+                                    font-weight: 600;
+                                "></div>
+                            </div>
+
+                            <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 15px; color: white; text-align: center;">
+                                <div>
+                                    <div style="font-size: 24px; color: #00ff88;" id="extractedCount">0</div>
+                                    <div style="font-size: 12px; opacity: 0.7;">Patterns Extracted</div>
+                                </div>
+                                <div>
+                                    <div style="font-size: 24px; color: #00d4ff;" id="extractionRate">0</div>
+                                    <div style="font-size: 12px; opacity: 0.7;">Patterns/sec</div>
+                                </div>
+                                <div>
+                                    <div style="font-size: 24px; color: #ff9f0a;" id="timeRemaining">--:--</div>
+                                    <div style="font-size: 12px; opacity: 0.7;">Time Remaining</div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div style="display: flex; gap: 15px;">
+                        <button onclick="window.AEVExtractor.startExtraction()" id="startExtractionBtn" style="
+                            flex: 1;
+                            padding: 15px;
+                            background: linear-gradient(135deg, #00ff88 0%, #00d4ff 100%);
+                            border: none;
+                            color: white;
+                            border-radius: 10px;
+                            font-size: 18px;
+                            font-weight: 600;
+                            cursor: pointer;
+                        ">🚀 Start Extraction</button>
+                        
+                        <button onclick="window.AEVExtractor.stopExtraction()" id="stopExtractionBtn" style="
+                            flex: 1;
+                            padding: 15px;
+                            background: rgba(255, 107, 107, 0.2);
+                            border: 2px solid #ff6b6b;
+                            color: #ff6b6b;
+                            border-radius: 10px;
+                            font-size: 18px;
+                            font-weight: 600;
+                            cursor: pointer;
+                            display: none;
+                        ">⏸️ Stop Extraction</button>
+                    </div>
+                </div>
+
+                <button onclick="window.AEVExtractor.openPanel()" style="
+                    position: fixed;
+                    bottom: 80px;
+                    right: 20px;
+                    background: linear-gradient(135deg, #8a2be2, #6a1bb2);
+                    border: none;
+                    color: white;
+                    width: 60px;
+                    height: 60px;
+                    border-radius: 50%;
+                    cursor: pointer;
+                    box-shadow: 0 4px 20px rgba(138, 43, 226, 0.4);
+                    z-index: 999995;
+                    font-size: 24px;
+                ">⚗️</button>
+            `;
+
+            document.body.insertAdjacentHTML('beforeend', ui);
+
+            document.getElementById('patternCount').addEventListener('input', (e) => {
+                const count = parseInt(e.target.value);
+                const equivalent = (count * 350);
+                let sizeStr;
+                
+                if (equivalent < 1e6) {
+                    sizeStr = `${(equivalent / 1e3).toFixed(0)}K`;
+                } else if (equivalent < 1e9) {
+                    sizeStr = `${(equivalent / 1e6).toFixed(1)}M`;
+                } else if (equivalent < 1e12) {
+                    sizeStr = `${(equivalent / 1e9).toFixed(1)}B`;
+                } else {
+                    sizeStr = `${(equivalent / 1e12).toFixed(1)}T`;
+                }
+                
+                document.getElementById('equivalentSize').textContent = `~${sizeStr} parameters`;
+            });
+        },
+
+        openPanel() {
+            const panel = document.getElementById('aevExtractorPanel');
+            if (panel) {
+                panel.style.display = 'block';
+            }
+        },
+
+        closePanel() {
+            const panel = document.getElementById('aevExtractorPanel');
+            if (panel) {
+                panel.style.display = 'none';
+            }
+        },
+
+        async startExtraction() {
+            console.log('🚀 Starting pattern extraction...');
+
+            const sourceModel = document.getElementById('sourceModel').value;
+            const targetCount = parseInt(document.getElementById('patternCount').value);
+
+            document.getElementById('extractionProgress').style.display = 'block';
+            document.getElementById('startExtractionBtn').style.display = 'none';
+            document.getElementById('stopExtractionBtn').style.display = 'block';
+
+            const extractedPatterns = await this.runExtraction(sourceModel, targetCount,
+                (...progress) => this.updateProgress(...progress));
+
+            const aevModel = this.createAEVModel(extractedPatterns, sourceModel);
+
+            await this.saveAEVModel(aevModel);
+
+            document.getElementById('startExtractionBtn').style.display = 'block';
+            document.getElementById('stopExtractionBtn').style.display = 'none';
+
+            this.showNotification('✅ Extraction Complete', 
+                `Created .aev model with ${extractedPatterns.length.toLocaleString()} patterns`);
+        },
+
+        async saveAEVModel(model) {
+            window.AevFormat.download(model);
+
+            console.log('💾 AEV model saved:', model.name);
+        },
+
+        updateProgress(progress, count, rate, remaining) {
+            document.getElementById('progressBar').style.width = progress + '%';
+            document.getElementById('progressBar').textContent = progress.toFixed(1) + '%';
+            document.getElementById('extractedCount').textContent = count.toLocaleString();
+            document.getElementById('extractionRate').textContent = rate.toFixed(0);
+            
+            const mins = Math.floor(remaining / 60);
+            const secs = Math.floor(remaining % 60);
+            document.getElementById('timeRemaining').textContent = 
+                `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        },
+
+        showNotification(title, message) {
+            const notif = document.createElement('div');
+            notif.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                background: linear-gradient(135deg, #8a2be2, #6a1bb2);
+                color: white;
+                padding: 20px;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(138, 43, 226, 0.5);
+                z-index: 100000002;
+                max-width: 350px;
+            `;
+
+            notif.innerHTML = `
+                <div style="font-weight: 600; font-size: 16px; margin-bottom: 5px;">${title}</div>
+                <div style="opacity: 0.9; font-size: 14px;">${message}</div>
+            `;
+
+            document.body.appendChild(notif);
+            setTimeout(() => notif.remove(), 4000);
+        }
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => AEVExtractor.init());
+    } else {
+        AEVExtractor.init();
+    }
+
+    console.log('✅ AEV Pattern Extraction Panel loaded');
+
+})();
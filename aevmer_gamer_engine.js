@@ -374,15 +374,16 @@
 
         /**
          * GENERATE PATTERN PUZZLE
+         * level and random default to the running game (RLEnvironments passes its own)
          */
-        generatePatternPuzzle() {
-            const puzzleSize = 4 + this.state.gameState.level;
+        generatePatternPuzzle(level = this.state.gameState.level, random = Math.random) {
+            const puzzleSize = 4 + level;
             const puzzle = [];
 
             for (let i = 0; i < puzzleSize; i++) {
                 puzzle.push({
                     id: `pattern_${i}`,
-                    keywords: this.generateRandomKeywords(3),
+                    keywords: this.generateRandomKeywords(3, random),
                     matched: false
                 });
             }
@@ -390,18 +391,19 @@
             return puzzle;
         },
 
+        // Keyword pool of the pattern-match puzzle
+        wordPool: [
+            'algorithm', 'pattern', 'neural', 'quantum', 'distributed',
+            'semantic', 'synthesis', 'evolution', 'reasoning', 'inference'
+        ],
+
         /**
          * GENERATE RANDOM KEYWORDS
          */
-        generateRandomKeywords(count) {
-            const wordPool = [
-                'algorithm', 'pattern', 'neural', 'quantum', 'distributed',
-                'semantic', 'synthesis', 'evolution', 'reasoning', 'inference'
-            ];
-
+        generateRandomKeywords(count, random = Math.random) {
             const keywords = [];
             for (let i = 0; i < count; i++) {
-                keywords.push(wordPool[Math.floor(Math.random() * wordPool.length)]);
+                keywords.push(this.wordPool[Math.floor(random() * this.wordPool.length)]);
             }
             return keywords;
         },
@@ -838,14 +840,11 @@
         }
     };
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            AevmerGamer.init();
-        });
-    } else {
-        AevmerGamer.init();
-    }
+    // Loaded on first use, after the streamer it builds on
+    window.AevovLoader.declare('AevmerGamer', {
+        dependsOn: ['AevmerStreamer'],
+        init: () => AevmerGamer.init()
+    });
 
     // Export globally
     window.AevmerGamer = AevmerGamer;
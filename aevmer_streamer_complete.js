@@ -477,14 +477,8 @@
         }
     };
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            AevmerStreamer.init();
-        });
-    } else {
-        AevmerStreamer.init();
-    }
+    // Loaded on first use; the module loader initializes it
+    window.AevovLoader.declare('AevmerStreamer', { init: () => AevmerStreamer.init() });
 
     // Export globally
     window.AevmerStreamer = AevmerStreamer;
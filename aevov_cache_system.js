@@ -154,47 +154,28 @@
         setupPatternSync() {
             console.log('🔗 Setting up pattern sync integration...');
 
-            // Hook into pattern updates
-            if (window.patterns || window.advancedPatterns) {
-                // Intercept pattern additions
-                this.hookPatternAdditions();
+            if (window.PatternStore) {
+                this.hookPatternChanges();
                 console.log('  ✓ Pattern sync hooks installed');
             }
         },
 
         /**
-         * Hook into pattern additions for auto-caching
+         * Cache patterns as PatternStore adds or updates them, drop removed ones
          */
-        hookPatternAdditions() {
-            // Wrap array push for patterns
-            const wrapPush = (obj, category) => {
-                if (!obj[category] || !Array.isArray(obj[category])) return;
-
-                const original = obj[category].push;
-                obj[category].push = function(...patterns) {
-                    const result = original.apply(this, patterns);
-                    
-                    // Auto-cache new patterns
-                    patterns.forEach(pattern => {
-                        if (pattern && pattern.id) {
-                            AevovCache.set(`pattern:${pattern.id}`, pattern, {
-                                source: 'pattern_sync',
-                                category
-                            }).catch(console.error);
-                        }
-                    });
-
-                    return result;
-                };
-            };
+        hookPatternChanges() {
+            window.PatternStore.on('change', ({ added, updated, removed }) => {
+                [...added, ...updated].forEach(({ pattern, category }) => {
+                    AevovCache.set(`pattern:${pattern.id}`, pattern, {
+                        source: 'pattern_sync',
+                        category
+                    }).catch(console.error);
+                });
 
-            // Hook into both pattern databases
-            if (window.patterns) {
-                Object.keys(window.patterns).forEach(cat => wrapPush(window.patterns, cat));
-            }
-            if (window.advancedPatterns) {
-                Object.keys(window.advancedPatterns).forEach(cat => wrapPush(window.advancedPatterns, cat));
-            }
+                removed.forEach(({ pattern }) => {
+                    AevovCache.delete(`pattern:${pattern.id}`).catch(console.error);
+                });
+            });
         },
 
         /**
@@ -649,36 +630,11 @@
         async preloadPatterns() {
             console.log('🔄 Preloading patterns...');
 
-            // Preload from window.patterns
-            if (window.patterns) {
-                for (const [category, patterns] of Object.entries(window.patterns)) {
-                    if (Array.isArray(patterns)) {
-                        for (const pattern of patterns) {
-                            if (pattern && pattern.id) {
-                                await this.set(`pattern:${pattern.id}`, pattern, {
-                                    source: 'preload',
-                                    syncToCubbit: false
-                                });
-                            }
-                        }
-                    }
-                }
-            }
-
-            // Preload from window.advancedPatterns
-            if (window.advancedPatterns) {
-                for (const [category, patterns] of Object.entries(window.advancedPatterns)) {
-                    if (Array.isArray(patterns)) {
-                        for (const pattern of patterns) {
-                            if (pattern && pattern.id) {
-                                await this.set(`pattern:${pattern.id}`, pattern, {
-                                    source: 'preload',
-                                    syncToCubbit: false
-                                });
-                            }
-                        }
-                    }
-                }
+            for (const pattern of window.PatternStore.all()) {
+                await this.set(`pattern:${pattern.id}`, pattern, {
+                    source: 'preload',
+                    syncToCubbit: false
+                });
             }
 
             console.log('✅ Patterns preloaded');
@@ -0,0 +1,636 @@
+#!/usr/bin/env node
+/**
+ * AEVOV CLI
+ * Pattern, .aev model, benchmark and database operations from the shell
+ *
+ *   node aevov_cli.mjs extract <queries.txt|json> [--category c] [--name n] [--out model.aev]
+ *   node aevov_cli.mjs evolve <patterns.aev|json> [--strategy hybrid] [--iterations 10]
+ *                             [--seed s] [--prng mulberry32] [--domains a,b] [--name n]
+ *                             [--created iso-date] [--out model.aev]
+ *   node aevov_cli.mjs inspect <model.aev>
+ *   node aevov_cli.mjs validate <model.aev> [--strict]
+ *   node aevov_cli.mjs diff <a.aev> <b.aev> [--limit 20]
+ *   node aevov_cli.mjs benchmark <model.aev> --dataset mmlu=path.csv [--dataset ...] [--limit n]
+ *                                [--milestone key|all] [--history file.json] [--baseline ref] [--tolerance t]
+ *   node aevov_cli.mjs db export <file.json> [--data ./aevov-data]
+ *   node aevov_cli.mjs db import <file.json|model.aev> [--data ./aevov-data]
+ *
+ * Every command prints a table by default and its result as JSON with --json.
+ * Engine logs (progress and their own error reports) go to stderr with
+ * --verbose and are dropped otherwise; the CLI still reports failures.
+ * Exit codes: 0 ok, 1 check failed (invalid file, models differ, regression
+ * gate failed, evolution produced no patterns), 2 usage or runtime error.
+ * evolve takes every NeuroArchitect strategy except pareto, which needs the
+ * page's ARMsquareReasoning. With --seed and --created (or SOURCE_DATE_EPOCH)
+ * the same inputs produce a byte-identical model; the default name is
+ * derived from the run id.
+ *
+ * Query files are read like CustomExtractor.importQueriesFromFile: a JSON
+ * array, JSON { queries, category }, or text with one query per line.
+ * `db` commands need @electric-sql/pglite installed next to this file or in
+ * the working directory. Requires Node 20+.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { basename, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const require = createRequire(import.meta.url);
+
+const USAGE = `Usage: aevov <command> [options]
+
+Commands:
+  extract <queries-file>      Generate patterns from queries into a .aev model
+  evolve <patterns-file>      Evolve a model with a NeuroArchitect strategy
+  inspect <model.aev>         Show header, sections and statistics
+  validate <model.aev>        Verify checksums and the model schema
+  diff <a.aev> <b.aev>        Compare metadata and patterns of two models
+  benchmark <model.aev>       Run AEVModelTester benchmarks on local datasets
+  db export <file.json>       Export the PGlite database
+  db import <file>            Import an export (or a .aev model) into PGlite
+
+Options:
+  --json                      Print the result as JSON
+  --verbose                   Show engine logs on stderr
+  -o, --out <path>            Output file (extract, evolve)
+  --category, --name, --strategy, --iterations, --seed, --prng, --domains, --created,
+  --dataset key=path, --limit, --milestone, --history, --baseline,
+  --tolerance, --strict, --data <dir>
+`;
+
+const { values: flags, positionals } = (() => {
+    try {
+        return parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean' },
+                verbose: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+                out: { type: 'string', short: 'o' },
+                category: { type: 'string' },
+                name: { type: 'string' },
+                created: { type: 'string' },
+                strategy: { type: 'string' },
+                iterations: { type: 'string' },
+                seed: { type: 'string' },
+                prng: { type: 'string' },
+                domains: { type: 'string' },
+                dataset: { type: 'string', multiple: true },
+                limit: { type: 'string' },
+                milestone: { type: 'string', multiple: true },
+                history: { type: 'string' },
+                baseline: { type: 'string' },
+                tolerance: { type: 'string' },
+                strict: { type: 'boolean' },
+                data: { type: 'string' }
+            }
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Run with --help for usage');
+        process.exit(2);
+    }
+})();
+
+// The engines report progress with console.log and failures with
+// console.error; stdout is for results, stderr for the CLI's own errors
+const silent = () => {};
+const stderr = console.error;
+console.log = console.info = flags.verbose ? stderr : silent;
+console.warn = flags.verbose ? console.warn : silent;
+console.error = flags.verbose ? stderr : silent;
+
+const engine = await import('./aevov_node.mjs');
+const { AevFormat, DagLedger, NeuroArchitect, PatternStore, groupByDomain, readPatterns, saveModel } = engine;
+require('./benchmark_runner.js');
+const BenchmarkHistory = require('./benchmark_history.js');
+const AEVModelTester = require('./aev_model_intelligence_testing.js');
+const CustomExtractor = require('./custom_extractor.js');
+
+// pareto scores patterns with ARMsquareReasoning, which only exists in the page
+const EVOLVE_STRATEGIES = NeuroArchitect.config.evolutionStrategies.filter(strategy => strategy !== 'pareto');
+
+/**
+ * OUTPUT
+ */
+function emit(result, human) {
+    if (flags.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+        human(result);
+    }
+}
+
+function write(text = '') {
+    process.stdout.write(`${text}\n`);
+}
+
+function cell(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(3);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * TABLE
+ * columns: [key, label] pairs; rows: objects
+ */
+function table(rows, columns) {
+    const cells = rows.map(row => columns.map(([key]) => cell(row[key])));
+    const widths = columns.map(([, label], i) => Math.max(label.length, ...cells.map(r => r[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    write(line(columns.map(([, label]) => label)));
+    write(line(widths.map(width => '-'.repeat(width))));
+    cells.forEach(values => write(line(values)));
+}
+
+function pairs(object) {
+    table(Object.entries(object).map(([field, value]) => ({ field, value })), [['field', 'Field'], ['value', 'Value']]);
+}
+
+function percent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function fail(message) {
+    const error = new Error(message);
+    error.usage = true;
+    throw error;
+}
+
+function requireArg(value, name) {
+    if (!value) fail(`Missing ${name}`);
+    return value;
+}
+
+function number(value, name) {
+    if (value === undefined) return undefined;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) fail(`--${name} must be a number`);
+    return parsed;
+}
+
+function isoDate(value, name) {
+    if (value === undefined) return undefined;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) fail(`--${name} must be an ISO date`);
+    return new Date(time).toISOString();
+}
+
+// Build timestamp for reproducible output: --created, then SOURCE_DATE_EPOCH
+function createdDate() {
+    if (flags.created !== undefined) return isoDate(flags.created, 'created');
+    const epoch = process.env.SOURCE_DATE_EPOCH;
+    if (!epoch) return undefined;
+    if (!/^\d+$/.test(epoch)) fail('SOURCE_DATE_EPOCH must be seconds since the epoch');
+    return new Date(Number(epoch) * 1000).toISOString();
+}
+
+async function readModel(path) {
+    return AevFormat.decode(new Uint8Array(await readFile(path)));
+}
+
+/**
+ * EXTRACT patterns from a query file
+ */
+async function extract([file]) {
+    requireArg(file, 'queries file');
+    const parsed = CustomExtractor.parseQueries(await readFile(file, 'utf8'), basename(file), flags.category || null);
+    const category = parsed.category || 'general';
+    const queries = parsed.queries.filter(query => typeof query === 'string' && query.trim());
+
+    if (queries.length === 0) {
+        fail(`No valid queries found in ${file}`);
+    }
+
+    const patterns = [];
+    for (const query of queries) {
+        patterns.push(await CustomExtractor.generatePatternFromQuery(query, category));
+    }
+
+    const name = flags.name || `custom-${category}-${Date.now()}`;
+    const model = AevFormat.createModel({
+        name,
+        kind: 'extracted',
+        producer: 'CustomExtractor',
+        metadata: { category, source: basename(file), queries: queries.length },
+        patterns
+    });
+    const saved = await saveModel(model, flags.out || `${name}.aev`);
+
+    emit({ model: name, category, queries: queries.length, patterns: patterns.length, ...saved }, result => {
+        write(`✅ Extracted ${result.patterns} patterns (${result.category}) from ${file}`);
+        pairs({ model: result.model, patterns: result.patterns, path: result.path, size: result.size });
+    });
+}
+
+/**
+ * EVOLVE a model with a NeuroArchitect strategy
+ */
+async function evolve([file]) {
+    requireArg(file, 'patterns file');
+    const strategy = flags.strategy || NeuroArchitect.config.defaultStrategy;
+    if (!EVOLVE_STRATEGIES.includes(strategy)) {
+        fail(`Unknown strategy ${strategy}; one of ${EVOLVE_STRATEGIES.join(', ')}`);
+    }
+
+    const created = createdDate();
+    const patterns = await readPatterns(file);
+    PatternStore.replace(Array.isArray(patterns) ? groupByDomain(patterns) : patterns, {
+        collection: 'main',
+        source: 'aevov evolve'
+    });
+    await NeuroArchitect.init();
+
+    const seed = flags.seed === undefined ? undefined : (/^\d+$/.test(flags.seed) ? Number(flags.seed) : flags.seed);
+    const model = await NeuroArchitect.evolve({
+        strategy,
+        iterations: number(flags.iterations, 'iterations') ?? 10,
+        targetDomains: flags.domains ? flags.domains.split(',') : ['all'],
+        modelName: flags.name,
+        created,
+        seed,
+        prng: flags.prng
+    });
+    // An empty model is a failed run, not something to ship
+    if (model.patterns.length === 0) {
+        emit({ model: model.name, strategy, evolvedPatterns: 0, error: 'Evolution produced no patterns' }, result => {
+            write(`❌ ${result.model} (${result.strategy}) evolved no patterns; nothing written`);
+        });
+        process.exitCode = 1;
+        return;
+    }
+
+    const saved = await saveModel(model, flags.out || `${model.name}.aev`);
+    const { evolution } = model.metadata;
+
+    emit({
+        model: model.name,
+        strategy,
+        iterations: evolution.iterations,
+        seed: evolution.seed,
+        prng: evolution.prng,
+        runId: evolution.runId,
+        sourcePatterns: model.metadata.sourcePatterns,
+        evolvedPatterns: model.metadata.evolvedPatterns,
+        ...saved
+    }, result => {
+        write(`✅ Evolved ${result.model} (${result.strategy})`);
+        pairs(result);
+    });
+}
+
+/**
+ * INSPECT a .aev file
+ */
+async function inspect([file]) {
+    requireArg(file, '.aev file');
+    const bytes = new Uint8Array(await readFile(file));
+    const reader = await AevFormat.open(bytes);
+    const meta = reader.metadata;
+
+    const result = {
+        path: file,
+        size: bytes.length,
+        legacy: reader.legacy,
+        formatVersion: reader.legacy ? meta.formatVersion : `${reader.header.major}.${reader.header.minor}`,
+        name: meta.name,
+        kind: meta.kind,
+        producer: meta.producer,
+        created: meta.created,
+        patternCount: reader.patternCount,
+        embeddingDimension: reader.embeddingDimension || null,
+        sections: reader.legacy ? [] : [...reader.header.sections.values()].map(({ tag, offset, length, crc }) => ({
+            tag, offset, length, crc: crc.toString(16).padStart(8, '0')
+        })),
+        statistics: meta.statistics || {},
+        metadata: meta.metadata || {}
+    };
+
+    emit(result, () => {
+        const { sections, statistics, metadata, ...header } = result;
+        pairs(header);
+
+        if (sections.length) {
+            write();
+            table(sections, [['tag', 'Section'], ['offset', 'Offset'], ['length', 'Bytes'], ['crc', 'CRC32']]);
+        }
+
+        const categories = Object.entries(statistics.categoryDistribution || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([category, count]) => ({ category, count, share: percent(count / (result.patternCount || 1)) }));
+        if (categories.length) {
+            write();
+            table(categories, [['category', 'Category'], ['count', 'Patterns'], ['share', 'Share']]);
+        }
+
+        write();
+        pairs({ avgConfidence: statistics.avgConfidence, embeddedPatterns: statistics.embeddedPatterns, ...metadata });
+    });
+}
+
+/**
+ * VALIDATE a .aev file (section checksums, then the model schema)
+ */
+async function validate([file]) {
+    requireArg(file, '.aev file');
+    const result = { path: file, valid: false, legacy: false, patternCount: null, errors: [] };
+
+    try {
+        const reader = await AevFormat.open(new Uint8Array(await readFile(file)), {
+            verify: true,
+            allowLegacy: !flags.strict
+        });
+        const model = await reader.load();
+        const check = AevFormat.validate(model);
+
+        result.legacy = reader.legacy;
+        result.patternCount = Array.isArray(model.patterns) ? model.patterns.length : null;
+        result.errors = check.errors;
+        result.valid = check.valid;
+    } catch (error) {
+        if (error.code === 'ENOENT') throw error;
+        result.errors = [error.message];
+    }
+
+    emit(result, () => {
+        write(result.valid
+            ? `✅ ${file} is valid (${cell(result.patternCount)} patterns${result.legacy ? ', legacy JSON' : ''})`
+            : `❌ ${file} is invalid`);
+        result.errors.forEach(error => write(`  - ${error}`));
+    });
+
+    if (!result.valid) process.exitCode = 1;
+}
+
+/**
+ * DIFF two .aev models (metadata fields, then patterns by id)
+ */
+async function diff([fileA, fileB]) {
+    requireArg(fileA, 'first .aev file');
+    requireArg(fileB, 'second .aev file');
+    const [a, b] = await Promise.all([readModel(fileA), readModel(fileB)]);
+    const limit = number(flags.limit, 'limit') ?? 20;
+
+    const fields = ['name', 'kind', 'producer', 'formatVersion', 'created']
+        .map(field => ({ field, a: a[field], b: b[field] }))
+        .concat([{ field: 'patterns', a: a.patterns.length, b: b.patterns.length }])
+        .filter(row => row.a !== row.b);
+
+    const before = new Map(a.patterns.map(pattern => [pattern.id, pattern]));
+    const after = new Map(b.patterns.map(pattern => [pattern.id, pattern]));
+    const added = [...after.keys()].filter(id => !before.has(id));
+    const removed = [...before.keys()].filter(id => !after.has(id));
+    const changed = [];
+    let unchanged = 0;
+
+    after.forEach((pattern, id) => {
+        if (!before.has(id)) return;
+        const old = before.get(id);
+        const keys = [...new Set([...Object.keys(old), ...Object.keys(pattern)])]
+            .filter(key => DagLedger.canonicalize(old[key] ?? null) !== DagLedger.canonicalize(pattern[key] ?? null));
+        if (keys.length) {
+            changed.push({ id, fields: keys });
+        } else {
+            unchanged++;
+        }
+    });
+
+    const result = {
+        a: { path: fileA, name: a.name, patterns: a.patterns.length },
+        b: { path: fileB, name: b.name, patterns: b.patterns.length },
+        identical: fields.length === 0 && !added.length && !removed.length && !changed.length,
+        fields,
+        added,
+        removed,
+        changed,
+        unchanged
+    };
+
+    emit(result, () => {
+        if (result.identical) {
+            write(`✅ ${fileA} and ${fileB} are identical`);
+            return;
+        }
+
+        if (fields.length) {
+            table(fields, [['field', 'Field'], ['a', basename(fileA)], ['b', basename(fileB)]]);
+            write();
+        }
+        pairs({ added: added.length, removed: removed.length, changed: changed.length, unchanged });
+
+        const rows = [
+            ...added.map(id => ({ change: '+', id, fields: '' })),
+            ...removed.map(id => ({ change: '-', id, fields: '' })),
+            ...changed.map(({ id, fields: keys }) => ({ change: '~', id, fields: keys.join(', ') }))
+        ];
+        if (rows.length) {
+            write();
+            table(rows.slice(0, limit), [['change', ''], ['id', 'Pattern'], ['fields', 'Changed fields']]);
+            if (rows.length > limit) write(`... ${rows.length - limit} more (--limit)`);
+        }
+    });
+
+    if (!result.identical) process.exitCode = 1;
+}
+
+/**
+ * File-backed storage for BenchmarkHistory (the page uses localStorage)
+ */
+function fileStorage(path) {
+    const read = () => (existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : {});
+    return {
+        getItem: key => read()[key] ?? null,
+        setItem: (key, value) => writeFileSync(path, JSON.stringify({ ...read(), [key]: value }))
+    };
+}
+
+/**
+ * BENCHMARK a model against local datasets
+ */
+async function benchmark([file]) {
+    requireArg(file, '.aev file');
+    const datasets = (flags.dataset || []).map(spec => {
+        const at = spec.indexOf('=');
+        const key = spec.slice(0, at);
+        if (at < 1 || !AEVModelTester.benchmarks[key]) {
+            fail(`--dataset expects key=path with key one of ${Object.keys(AEVModelTester.benchmarks).join(', ')}`);
+        }
+        return { key, path: spec.slice(at + 1) };
+    });
+    if (!datasets.length && !flags.milestone && !flags.baseline) {
+        fail('Nothing to run: pass --dataset key=path, --milestone or --baseline');
+    }
+
+    if (flags.history) {
+        BenchmarkHistory.useStorage(fileStorage(flags.history));
+    }
+
+    await AEVModelTester.init();
+    AEVModelTester.setModel(await readModel(file), file);
+    const model = AEVModelTester.state.currentModel;
+
+    for (const { key, path } of datasets) {
+        await AEVModelTester.loadBenchmarkDataset(key, path);
+    }
+
+    const benchmarks = [];
+    for (const key of new Set(datasets.map(dataset => dataset.key))) {
+        const result = await AEVModelTester.runBenchmark(key, { limit: number(flags.limit, 'limit') });
+        benchmarks.push(result);
+    }
+
+    const milestoneKeys = (flags.milestone || []).includes('all')
+        ? Object.keys(AEVModelTester.milestones)
+        : flags.milestone || [];
+    const milestones = [];
+    for (const key of milestoneKeys) {
+        if (!AEVModelTester.milestones[key]) {
+            fail(`Unknown milestone ${key}; one of ${Object.keys(AEVModelTester.milestones).join(', ')}, all`);
+        }
+        const passed = await AEVModelTester.testMilestone(key);
+        milestones.push({ milestone: key, name: AEVModelTester.milestones[key].name, passed,
+            message: AEVModelTester.state.testResults[0].message });
+    }
+
+    const gate = flags.baseline
+        ? AEVModelTester.checkRegression(flags.baseline, { tolerance: number(flags.tolerance, 'tolerance') })
+        : null;
+
+    const result = {
+        model: { path: file, name: model.name, hash: model.hash, patternCount: model.patternCount },
+        benchmarks: benchmarks.map(({ benchmark: key, name, score, macroScore, rating, correct, questions, skipped, durationMs }) =>
+            ({ benchmark: key, name, score, macroScore, rating, correct, questions, skipped, durationMs })),
+        milestones,
+        gate: gate && {
+            passed: gate.passed,
+            baseline: gate.baseline,
+            regressions: gate.regressions,
+            missing: gate.missing
+        }
+    };
+
+    emit(result, () => {
+        write(`🧪 ${model.name} (${model.patternCount.toLocaleString('en-US')} patterns, ${model.hash})`);
+        if (result.benchmarks.length) {
+            write();
+            table(result.benchmarks.map(row => ({ ...row, score: percent(row.score), macroScore: percent(row.macroScore) })), [
+                ['name', 'Benchmark'], ['score', 'Accuracy'], ['macroScore', 'Macro'], ['correct', 'Correct'],
+                ['questions', 'Questions'], ['skipped', 'Skipped'], ['rating', 'Rating']
+            ]);
+        }
+        if (milestones.length) {
+            write();
+            table(milestones.map(row => ({ ...row, passed: row.passed ? '✅' : '❌' })),
+                [['name', 'Milestone'], ['passed', 'Passed'], ['message', 'Details']]);
+        }
+        if (result.gate) {
+            write();
+            write(result.gate.passed
+                ? `✅ No significant regressions against ${result.gate.baseline.name}`
+                : `❌ Regression gate failed against ${result.gate.baseline.name}: ${AEVModelTester.state.testResults[0].message}`);
+        }
+    });
+
+    if (gate && !gate.passed) process.exitCode = 1;
+}
+
+/**
+ * Load PGlite from this directory's node_modules or the working directory's
+ */
+async function loadPGlite() {
+    try {
+        return (await import('@electric-sql/pglite')).PGlite;
+    } catch (error) {
+        try {
+            const resolved = createRequire(join(process.cwd(), 'aevov_cli.mjs')).resolve('@electric-sql/pglite');
+            return (await import(pathToFileURL(resolved).href)).PGlite;
+        } catch (nested) {
+            fail('db commands need @electric-sql/pglite (npm install @electric-sql/pglite)');
+        }
+    }
+}
+
+/**
+ * DB export / import (ComprehensiveDB over a PGlite data directory)
+ */
+async function db([action, file]) {
+    if (action !== 'export' && action !== 'import') {
+        fail('db expects export or import');
+    }
+    requireArg(file, `${action} file`);
+
+    const data = action === 'import'
+        ? (file.endsWith('.aev') ? { patterns: (await readModel(file)).patterns } : JSON.parse(await readFile(file, 'utf8')))
+        : null;
+
+    globalThis.PGlite = await loadPGlite();
+    const ComprehensiveDB = require('./comprehensive_db_electric.js');
+    Object.assign(ComprehensiveDB.config, {
+        dataDir: flags.data || './aevov-data',
+        autoSync: false,
+        useDataPup: false
+    });
+
+    await ComprehensiveDB.init();
+    if (!ComprehensiveDB.state.pglite) {
+        throw new Error(`Could not open the database in ${ComprehensiveDB.config.dataDir}`);
+    }
+
+    let result;
+    try {
+        if (action === 'export') {
+            const exported = await ComprehensiveDB.exportData();
+            await writeFile(file, JSON.stringify(exported, null, 2));
+            result = {
+                action,
+                path: file,
+                dataDir: ComprehensiveDB.config.dataDir,
+                patterns: exported.patterns.length,
+                chunks: exported.chunks.length,
+                models: exported.models.length
+            };
+        } else {
+            result = { action, path: file, dataDir: ComprehensiveDB.config.dataDir, ...await ComprehensiveDB.importData(data) };
+        }
+    } finally {
+        await ComprehensiveDB.close();
+    }
+
+    emit(result, () => {
+        write(action === 'export'
+            ? `✅ Exported ${result.dataDir} to ${file}`
+            : `✅ Imported ${file} into ${result.dataDir}`);
+        pairs({ patterns: result.patterns, chunks: result.chunks, models: result.models });
+    });
+}
+
+const commands = { extract, evolve, inspect, validate, diff, benchmark, db };
+
+const [command, ...args] = positionals;
+
+try {
+    if (flags.help || !command) {
+        process.stdout.write(USAGE);
+        if (!command && !flags.help) process.exitCode = 2;
+    } else if (!commands[command]) {
+        fail(`Unknown command: ${command}`);
+    } else {
+        await commands[command](args);
+    }
+} catch (error) {
+    process.exitCode = 2;
+    if (flags.json) {
+        process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+    }
+    stderr(`❌ ${error.message}`);
+    if (error.usage && !flags.json) {
+        stderr('Run with --help for usage');
+    }
+}
@@ -9,12 +9,16 @@
  * - Tightly integrated with inference engine
  * - Zero hardcoded knowledge - everything is dynamic
  * 
- * Load this AFTER: unified_chat.js, complete_integration.js
+ * Engine only (no DOM): runs in the browser and under Node (aevov_node.mjs).
+ * The chat integration, mode toggle and vocabulary refresh live in
+ * aevov_nlu_ui.js, which also starts the engine on page load.
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🧠 Loading Aevov Dynamic NLU Engine...');
 
     const AevovNLU = {
@@ -76,15 +80,6 @@
             // Learn vocabulary from patterns
             await this.learnVocabulary();
 
-            // Setup auto-refresh to keep vocabulary current
-            this.setupVocabularyRefresh();
-
-            // Setup UI toggle
-            this.setupVerboseToggle();
-
-            // Patch chat system with deep integration
-            this.patchChatSystem();
-
             // Initialize conversational memory
             this.initConversationalMemory();
 
@@ -96,9 +91,6 @@
             
             console.log('✅ Dynamic NLU Engine ready!');
             console.log(`📊 Learned: ${vocabSize} keywords, ${domains} domains, ${patterns} patterns`);
-            
-            this.showNotification('🧠 Dynamic NLU Active', 
-                `Learned ${vocabSize} keywords from ${patterns} patterns`);
         },
 
         /**
@@ -380,12 +372,12 @@
             let matches = [];
 
             // Try ComparatorEngine first (most accurate)
-            if (window.ComparatorEngine && window.gatherAllPatterns) {
-                const allPatterns = window.gatherAllPatterns();
+            if (root.ComparatorEngine && root.gatherAllPatterns) {
+                const allPatterns = root.gatherAllPatterns();
                 
                 if (allPatterns.length > 0) {
                     // Extract features for query
-                    const queryFeatures = this.extractQueryFeatures(query, entities);
+                    const queryFeatures = await this.extractQueryFeatures(query, entities);
                     
                     // Run comparator analysis
                     const results = await this.runComparatorAnalysis(query, queryFeatures, allPatterns);
@@ -393,8 +385,8 @@
                 }
             }
             // Fallback to matchPatterns
-            else if (window.matchPatterns) {
-                const result = window.matchPatterns(query, 5);
+            else if (root.matchPatterns) {
+                const result = root.matchPatterns(query, 5);
                 if (result.success && result.matches) {
                     matches = result.matches;
                 }
@@ -416,27 +408,17 @@
         /**
          * EXTRACT QUERY FEATURES
          */
-        extractQueryFeatures(query, entities) {
+        async extractQueryFeatures(query, entities) {
             const tokens = this.tokenize(query.toLowerCase());
             
             // Create embedding from entities + vocabulary matches
-            const embedding = new Array(128).fill(0);
-            
-            [...entities.keywords, ...tokens].forEach(word => {
-                const hash = this.hash(word);
-                embedding[hash % 128] += 1.0;
-            });
-
-            // Normalize
-            const magnitude = Math.sqrt(
-                embedding.reduce((sum, val) => sum + val * val, 0)
-            );
+            const embedding = await root.EmbeddingRegistry.embed([...entities.keywords, ...tokens]);
             
             return {
                 tokens,
                 entities: entities.keywords,
                 domains: entities.domains,
-                embedding: magnitude > 0 ? embedding.map(v => v / magnitude) : embedding
+                embedding
             };
         },
 
@@ -444,16 +426,24 @@
          * RUN COMPARATOR ANALYSIS
          */
         async runComparatorAnalysis(query, features, patterns) {
+            // Vectors from another embedding provider are not comparable
+            for (const pattern of patterns) {
+                if (!root.EmbeddingRegistry.isCurrent(pattern)) {
+                    await root.EmbeddingRegistry.embedPattern(pattern);
+                }
+            }
+
             const candidates = patterns.map(pattern => {
                 // Calculate similarity
-                const patternEmbedding = pattern.embedding || 
-                    this.createEmbedding(pattern.keywords || []);
-                
                 const similarity = this.cosineSimilarity(
                     features.embedding, 
-                    patternEmbedding
+                    pattern.embedding
                 );
 
+                // BM25 term evidence blended with the vector score, plus the why
+                const hybrid = root.SemanticSearch?.explainMatch(query, pattern, similarity) || null;
+                const baseScore = hybrid ? hybrid.similarity : similarity;
+
                 // Boost score if domains match
                 let domainBoost = 1.0;
                 const patternDomain = pattern.category || pattern.categoryName;
@@ -471,7 +461,12 @@
                     entityBoost = 1.0 + (matchingEntities * 0.1);
                 }
 
-                const confidence = similarity * domainBoost * entityBoost;
+                const confidence = baseScore * domainBoost * entityBoost;
+
+                const explanation = hybrid?.explanation || null;
+                if (explanation && (domainBoost > 1 || entityBoost > 1)) {
+                    explanation.summary += ` · domain ×${domainBoost.toFixed(1)}, entities ×${entityBoost.toFixed(1)}`;
+                }
 
                 return {
                     pattern,
@@ -479,7 +474,9 @@
                     confidence: Math.min(confidence, 1.0),
                     votes: 0,
                     domainBoost,
-                    entityBoost
+                    entityBoost,
+                    breakdown: hybrid?.breakdown,
+                    explanation
                 };
             });
 
@@ -727,6 +724,10 @@
                 response += `**Matched Keywords**: ${bestMatch.matchedEntities.slice(0, 5).join(', ')}\n`;
             }
 
+            if (bestMatch.explanation) {
+                response += `**Why this pattern**: ${bestMatch.explanation.summary}\n`;
+            }
+
             // Alternative matches
             if (allMatches.length > 1) {
                 response += `\n**Alternative Matches**:\n`;
@@ -813,7 +814,11 @@
         generateLowConfidenceResponse(match, confidence, entities) {
             let response = `Found a potential match, but confidence is low.\n\n`;
             response += `**Best Match**: ${match.pattern.categoryName || match.pattern.category}\n`;
-            response += `**Confidence**: ${(confidence * 100).toFixed(0)}% (threshold: ${(this.config.minConfidenceThreshold * 100).toFixed(0)}%)\n\n`;
+            response += `**Confidence**: ${(confidence * 100).toFixed(0)}% (threshold: ${(this.config.minConfidenceThreshold * 100).toFixed(0)}%)\n`;
+            if (match.explanation) {
+                response += `**Why**: ${match.explanation.summary}\n`;
+            }
+            response += `\n`;
             
             response += `**This might help**, but I'm not confident it's what you need.\n\n`;
             response += `**To improve accuracy**:\n`;
@@ -876,25 +881,12 @@
             };
         },
 
-        /**
-         * SETUP VOCABULARY REFRESH
-         */
-        setupVocabularyRefresh() {
-            setInterval(() => {
-                const currentPatternCount = this.getAllPatterns().length;
-                if (currentPatternCount !== this.state.patternStats.totalPatterns) {
-                    console.log('🔄 Pattern database changed, refreshing vocabulary...');
-                    this.learnVocabulary();
-                }
-            }, this.config.vocabularyRebuildInterval);
-        },
-
         /**
          * CONVERSATIONAL MEMORY
          */
         initConversationalMemory() {
             try {
-                const saved = localStorage.getItem('aevov_conversation_context');
+                const saved = root.localStorage?.getItem('aevov_conversation_context');
                 if (saved) {
                     this.state.conversationContext = JSON.parse(saved);
                 }
@@ -922,86 +914,13 @@
             }
             
             try {
-                localStorage.setItem('aevov_conversation_context', 
+                root.localStorage?.setItem('aevov_conversation_context', 
                     JSON.stringify(this.state.conversationContext));
             } catch (e) {
                 // Silent fail
             }
         },
 
-        /**
-         * UI TOGGLE
-         */
-        setupVerboseToggle() {
-            const toggleHTML = `
-                <div id="aevovNLUToggle" style="position: fixed; bottom: 80px; right: 20px; z-index: 9999; 
-                            background: rgba(10, 25, 47, 0.95); padding: 15px; border-radius: 8px;
-                            border: 1px solid #00d4ff; box-shadow: 0 4px 15px rgba(0, 212, 255, 0.3);">
-                    <label style="color: #00ff88; font-weight: 600; display: flex; align-items: center; gap: 10px; cursor: pointer;">
-                        <input type="checkbox" id="aevovVerboseToggle" 
-                               ${this.config.verboseMode ? '' : 'checked'}
-                               onchange="window.AevovNLU.toggleVerboseMode(this.checked)"
-                               style="width: 18px; height: 18px; cursor: pointer;">
-                        <span>Clean Response Mode</span>
-                    </label>
-                    <div style="font-size: 11px; color: rgba(255,255,255,0.6); margin-top: 5px;">
-                        <span id="nluModeDesc">${this.config.verboseMode ? 'Showing detailed context' : 'Direct answers only'}</span>
-                    </div>
-                    <div style="font-size: 10px; color: rgba(0,212,255,0.8); margin-top: 8px; border-top: 1px solid rgba(0,212,255,0.3); padding-top: 8px;">
-                        📚 <span id="nluVocabSize">${this.state.patternStats.vocabularySize}</span> keywords learned
-                    </div>
-                </div>
-            `;
-            
-            if (!document.getElementById('aevovNLUToggle')) {
-                document.body.insertAdjacentHTML('beforeend', toggleHTML);
-            }
-        },
-
-        toggleVerboseMode(cleanMode) {
-            this.config.verboseMode = !cleanMode;
-            
-            const desc = document.getElementById('nluModeDesc');
-            if (desc) {
-                desc.textContent = this.config.verboseMode ? 
-                    'Showing detailed context' : 'Direct answers only';
-            }
-            
-            console.log(`🎛️ Response mode: ${this.config.verboseMode ? 'Verbose' : 'Clean'}`);
-        },
-
-        /**
-         * PATCH CHAT SYSTEM
-         */
-        patchChatSystem() {
-            console.log('🔧 Patching chat with dynamic NLU...');
-
-            if (window.UnifiedChatSystem?.processPipeline) {
-                const original = window.UnifiedChatSystem.processPipeline.bind(window.UnifiedChatSystem);
-                window.UnifiedChatSystem.processPipeline = async (query) => {
-                    return await this.processWithNLU(query, original);
-                };
-            }
-            else if (window.ChatWidget?.processQuery) {
-                const original = window.ChatWidget.processQuery.bind(window.ChatWidget);
-                window.ChatWidget.processQuery = async (query) => {
-                    return await this.processWithNLU(query, original);
-                };
-            }
-            else if (window.sendMessage) {
-                const original = window.sendMessage;
-                window.sendMessage = () => {
-                    const input = document.getElementById('chatInput');
-                    const query = input?.value?.trim();
-                    if (!query) return;
-                    input.value = '';
-                    this.processWithNLUUI(query);
-                };
-            }
-
-            console.log('✅ Chat system patched');
-        },
-
         /**
          * PROCESS WITH NLU (MAIN PIPELINE)
          */
@@ -1030,9 +949,6 @@
                 this.addToConversationContext(query, intentData, entities, response);
                 this.updateUserProfile(entities, intentData);
                 
-                // Update UI with vocabulary stats
-                this.updateVocabularyUI();
-                
                 return response;
                 
             } catch (error) {
@@ -1042,45 +958,6 @@
             }
         },
 
-        /**
-         * PROCESS WITH NLU UI (synchronous)
-         */
-        processWithNLUUI(query) {
-            const chat = document.getElementById('chatContainer');
-            if (!chat) return;
-            
-            const userMsg = document.createElement('div');
-            userMsg.className = 'message user';
-            userMsg.textContent = query;
-            chat.appendChild(userMsg);
-            
-            const thinking = document.createElement('div');
-            thinking.className = 'message assistant';
-            thinking.innerHTML = '<em>🧠 Analyzing with dynamic NLU...</em>';
-            chat.appendChild(thinking);
-            chat.scrollTop = chat.scrollHeight;
-            
-            setTimeout(async () => {
-                const intentData = this.classifyIntent(query);
-                const entities = this.extractEntities(query);
-                const matches = await this.deepInference(query, entities, intentData);
-                const response = this.generateResponse(intentData, entities, matches, query);
-                
-                chat.removeChild(thinking);
-                
-                const assistantMsg = document.createElement('div');
-                assistantMsg.className = 'message assistant';
-                assistantMsg.textContent = response;
-                chat.appendChild(assistantMsg);
-                
-                chat.scrollTop = chat.scrollHeight;
-                
-                this.addToConversationContext(query, intentData, entities, response);
-                this.updateUserProfile(entities, intentData);
-                this.updateVocabularyUI();
-            }, 200);
-        },
-
         /**
          * UPDATE USER PROFILE
          */
@@ -1097,29 +974,11 @@
             }
         },
 
-        /**
-         * UPDATE VOCABULARY UI
-         */
-        updateVocabularyUI() {
-            const vocabEl = document.getElementById('nluVocabSize');
-            if (vocabEl) {
-                vocabEl.textContent = this.state.patternStats.vocabularySize;
-            }
-        },
-
         /**
          * UTILITY FUNCTIONS
          */
         getAllPatterns() {
-            const allPatterns = [];
-            if (window.patterns && typeof window.patterns === 'object') {
-                for (const domain in window.patterns) {
-                    if (Array.isArray(window.patterns[domain])) {
-                        allPatterns.push(...window.patterns[domain]);
-                    }
-                }
-            }
-            return allPatterns;
+            return root.PatternStore.all();
         },
 
         tokenize(text) {
@@ -1129,24 +988,6 @@
                 .filter(t => t.length > 1);
         },
 
-        hash(str) {
-            let h = 0;
-            for (let i = 0; i < str.length; i++) {
-                h = ((h << 5) - h) + str.charCodeAt(i);
-            }
-            return Math.abs(h);
-        },
-
-        createEmbedding(keywords) {
-            const embedding = new Array(128).fill(0);
-            keywords.forEach(word => {
-                const h = this.hash(word.toLowerCase());
-                embedding[h % 128] += 1.0;
-            });
-            const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-            return magnitude > 0 ? embedding.map(v => v / magnitude) : embedding;
-        },
-
         cosineSimilarity(a, b) {
             if (a.length !== b.length) return 0;
             let dotProduct = 0;
@@ -1161,32 +1002,18 @@
             magnitudeB = Math.sqrt(magnitudeB);
             if (magnitudeA === 0 || magnitudeB === 0) return 0;
             return dotProduct / (magnitudeA * magnitudeB);
-        },
-
-        showNotification(title, message) {
-            if (window.UnifiedChatSystem?.notify) {
-                window.UnifiedChatSystem.notify('success', title, message);
-            } else {
-                console.log(`📢 ${title}: ${message}`);
-            }
         }
     };
 
     // Export globally
-    window.AevovNLU = AevovNLU;
-
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => AevovNLU.init(), 1000);
-        });
-    } else {
-        setTimeout(() => AevovNLU.init(), 1000);
+    root.AevovNLU = AevovNLU;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AevovNLU;
     }
 
     console.log('✅ Aevov Dynamic NLU Engine loaded');
     console.log('🎯 Learns vocabulary from patterns dynamically');
-    console.log('🔄 Auto-refreshes when patterns change');
     console.log('🧠 Handles ANY query based on loaded patterns');
 
 })();
@@ -0,0 +1,219 @@
+/**
+ * AEVOV NLU - UI
+ * Browser layer over the Dynamic NLU Engine (aevov_nlu.js)
+ *
+ * - Starts the engine once the page has loaded
+ * - Clean / verbose response toggle with the learned vocabulary size
+ * - Routes the chat through AevovNLU.processWithNLU
+ * - Refreshes the vocabulary when the pattern database changes
+ *
+ * Load this AFTER: aevov_nlu.js, unified_chat.js, complete_integration.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🧠 Loading Aevov NLU UI...');
+
+    const AevovNLU = window.AevovNLU;
+    if (!AevovNLU) {
+        console.error('❌ Aevov NLU UI requires aevov_nlu.js');
+        return;
+    }
+
+    // Engine methods wrapped below
+    const engine = {
+        init: AevovNLU.init,
+        processWithNLU: AevovNLU.processWithNLU
+    };
+
+    Object.assign(AevovNLU, {
+        /**
+         * INITIALIZATION - engine first, then the page integration
+         */
+        async init() {
+            if (this.state.initialized) {
+                return engine.init.call(this);
+            }
+
+            await engine.init.call(this);
+
+            // Setup auto-refresh to keep vocabulary current
+            this.setupVocabularyRefresh();
+
+            // Setup UI toggle
+            this.setupVerboseToggle();
+
+            // Patch chat system with deep integration
+            this.patchChatSystem();
+
+            this.showNotification('🧠 Dynamic NLU Active', 
+                `Learned ${this.state.vocabulary.entities.size} keywords from ${this.state.patternStats.totalPatterns} patterns`);
+        },
+
+        /**
+         * PROCESS WITH NLU (engine pipeline + vocabulary stats)
+         */
+        async processWithNLU(query, fallback) {
+            const response = await engine.processWithNLU.call(this, query, fallback);
+
+            // Update UI with vocabulary stats
+            this.updateVocabularyUI();
+
+            return response;
+        },
+
+        /**
+         * SETUP VOCABULARY REFRESH
+         */
+        setupVocabularyRefresh() {
+            setInterval(() => {
+                const currentPatternCount = this.getAllPatterns().length;
+                if (currentPatternCount !== this.state.patternStats.totalPatterns) {
+                    console.log('🔄 Pattern database changed, refreshing vocabulary...');
+                    this.learnVocabulary();
+                }
+            }, this.config.vocabularyRebuildInterval);
+        },
+
+        /**
+         * UI TOGGLE
+         */
+        setupVerboseToggle() {
+            const toggleHTML = `
+                <div id="aevovNLUToggle" style="position: fixed; bottom: 80px; right: 20px; z-index: 9999; 
+                            background: rgba(10, 25, 47, 0.95); padding: 15px; border-radius: 8px;
+                            border: 1px solid #00d4ff; box-shadow: 0 4px 15px rgba(0, 212, 255, 0.3);">
+                    <label style="color: #00ff88; font-weight: 600; display: flex; align-items: center; gap: 10px; cursor: pointer;">
+                        <input type="checkbox" id="aevovVerboseToggle" 
+                               ${this.config.verboseMode ? '' : 'checked'}
+                               onchange="window.AevovNLU.toggleVerboseMode(this.checked)"
+                               style="width: 18px; height: 18px; cursor: pointer;">
+                        <span>Clean Response Mode</span>
+                    </label>
+                    <div style="font-size: 11px; color: rgba(255,255,255,0.6); margin-top: 5px;">
+                        <span id="nluModeDesc">${this.config.verboseMode ? 'Showing detailed context' : 'Direct answers only'}</span>
+                    </div>
+                    <div style="font-size: 10px; color: rgba(0,212,255,0.8); margin-top: 8px; border-top: 1px solid rgba(0,212,255,0.3); padding-top: 8px;">
+                        📚 <span id="nluVocabSize">${this.state.patternStats.vocabularySize}</span> keywords learned
+                    </div>
+                </div>
+            `;
+            
+            if (!document.getElementById('aevovNLUToggle')) {
+                document.body.insertAdjacentHTML('beforeend', toggleHTML);
+            }
+        },
+
+        toggleVerboseMode(cleanMode) {
+            this.config.verboseMode = !cleanMode;
+            
+            const desc = document.getElementById('nluModeDesc');
+            if (desc) {
+                desc.textContent = this.config.verboseMode ? 
+                    'Showing detailed context' : 'Direct answers only';
+            }
+            
+            console.log(`🎛️ Response mode: ${this.config.verboseMode ? 'Verbose' : 'Clean'}`);
+        },
+
+        /**
+         * PATCH CHAT SYSTEM
+         */
+        patchChatSystem() {
+            console.log('🔧 Patching chat with dynamic NLU...');
+
+            if (window.UnifiedChatSystem?.processPipeline) {
+                const original = window.UnifiedChatSystem.processPipeline.bind(window.UnifiedChatSystem);
+                window.UnifiedChatSystem.processPipeline = async (query) => {
+                    return await this.processWithNLU(query, original);
+                };
+            }
+            else if (window.ChatWidget?.processQuery) {
+                const original = window.ChatWidget.processQuery.bind(window.ChatWidget);
+                window.ChatWidget.processQuery = async (query) => {
+                    return await this.processWithNLU(query, original);
+                };
+            }
+            else if (window.sendMessage) {
+                window.AevovBus.provide('sendMessage', () => {
+                    const input = document.getElementById('chatInput');
+                    const query = input?.value?.trim();
+                    if (!query) return;
+                    input.value = '';
+                    this.processWithNLUUI(query);
+                }, { owner: 'AevovNLU' });
+            }
+
+            console.log('✅ Chat system patched');
+        },
+
+        /**
+         * PROCESS WITH NLU UI (synchronous)
+         */
+        processWithNLUUI(query) {
+            const chat = document.getElementById('chatContainer');
+            if (!chat) return;
+            
+            const userMsg = document.createElement('div');
+            userMsg.className = 'message user';
+            userMsg.textContent = query;
+            chat.appendChild(userMsg);
+            
+            const thinking = document.createElement('div');
+            thinking.className = 'message assistant';
+            thinking.innerHTML = '<em>🧠 Analyzing with dynamic NLU...</em>';
+            chat.appendChild(thinking);
+            chat.scrollTop = chat.scrollHeight;
+            
+            setTimeout(async () => {
+                const intentData = this.classifyIntent(query);
+                const entities = this.extractEntities(query);
+                const matches = await this.deepInference(query, entities, intentData);
+                const response = this.generateResponse(intentData, entities, matches, query);
+                
+                chat.removeChild(thinking);
+                
+                const assistantMsg = document.createElement('div');
+                assistantMsg.className = 'message assistant';
+                assistantMsg.textContent = response;
+                chat.appendChild(assistantMsg);
+                
+                chat.scrollTop = chat.scrollHeight;
+                
+                this.addToConversationContext(query, intentData, entities, response);
+                this.updateUserProfile(entities, intentData);
+                this.updateVocabularyUI();
+            }, 200);
+        },
+
+        /**
+         * UPDATE VOCABULARY UI
+         */
+        updateVocabularyUI() {
+            const vocabEl = document.getElementById('nluVocabSize');
+            if (vocabEl) {
+                vocabEl.textContent = this.state.patternStats.vocabularySize;
+            }
+        },
+
+        showNotification(title, message) {
+            if (window.UnifiedChatSystem?.notify) {
+                window.UnifiedChatSystem.notify('success', title, message);
+            } else {
+                console.log(`📢 ${title}: ${message}`);
+            }
+        }
+    });
+
+    // Initialized by the module loader after the stored patterns and the chat
+    // it patches are ready
+    window.AevovLoader.declare('AevovNLU', {
+        optional: ['PatternStore', 'UnifiedChatSystem'],
+        init: () => AevovNLU.init()
+    });
+
+    console.log('✅ Aevov NLU UI loaded');
+    console.log('🔄 Auto-refreshes when patterns change');
+
+})();
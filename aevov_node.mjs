@@ -0,0 +1,132 @@
+/**
+ * AEVOV NODE ENTRY
+ * Headless pattern engine for scripts, servers and tests
+ *
+ * Loads the engine modules - the same files the page loads, without their
+ * UI layers (aevov_nlu_ui.js, aev_pattern_extractor_ui.js) - and exports
+ * them as ES modules:
+ *
+ *   import { loadPatterns, AevovNLU, SemanticSearch, saveModel } from './aevov_node.mjs';
+ *
+ *   await loadPatterns('./patterns.aev');           // or a .json file, an array, a model
+ *   AevovNLU.classifyIntent('how do neural networks learn?');
+ *   SemanticSearch.search('neural networks', 5);
+ *   await saveModel(await NeuroArchitect.evolve({ seed: 42 }), './evolved.aev');
+ *
+ * The engines read patterns from PatternStore, as they do in the page;
+ * loadPatterns() replaces the store's patterns and (re)initializes the
+ * engines. Requires Node 20+.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Dependencies first, in the page's load order
+const PatternStore = require('./pattern_store.js');
+const { AevFormat, AevReader } = require('./aev_format.js');
+const DagLedger = require('./dag_ledger.js');
+const EmbeddingRegistry = require('./embedding_registry.js');
+const VectorIndex = require('./vector_index.js');
+const ParetoEvolution = require('./pareto_evolution.js');
+const DynamicKeywordExtractor = require('./dynamic_keyword_extractor.js');
+const AevovNLU = require('./aevov_nlu.js');
+const SemanticSearch = require('./semantic_search_extractor.js');
+const NeuroArchitect = require('./neuro_architect_complete.js');
+const AEVExtractor = require('./aev_pattern_extractor.js');
+
+// Batches are not throttled for a repainting page here
+AEVExtractor.config.batchDelay = 0;
+
+export {
+    PatternStore,
+    AevFormat,
+    AevReader,
+    DagLedger,
+    EmbeddingRegistry,
+    VectorIndex,
+    ParetoEvolution,
+    DynamicKeywordExtractor,
+    AevovNLU,
+    SemanticSearch,
+    NeuroArchitect,
+    AEVExtractor
+};
+
+/**
+ * Group a flat pattern list by domain (category), the shape of PatternStore.grouped()
+ */
+export function groupByDomain(patterns) {
+    const grouped = {};
+    patterns.forEach(pattern => {
+        const domain = pattern.domain || pattern.category || 'general';
+        (grouped[domain] || (grouped[domain] = [])).push(pattern);
+    });
+    return grouped;
+}
+
+/**
+ * Read patterns from a .aev model or JSON file (pattern array, domain map or model)
+ */
+export async function readPatterns(path) {
+    const bytes = await readFile(path);
+
+    if (path.endsWith('.aev')) {
+        return (await AevFormat.decode(new Uint8Array(bytes))).patterns;
+    }
+
+    const json = JSON.parse(bytes.toString('utf8'));
+    return json.patterns || json;
+}
+
+/**
+ * LOAD PATTERNS
+ * source: file path, pattern array, domain -> pattern[] map, or a model with patterns.
+ * Initializes the engines on first use and refreshes them afterwards.
+ */
+export async function loadPatterns(source) {
+    let patterns = typeof source === 'string' ? await readPatterns(source) : source;
+    if (patterns && !Array.isArray(patterns) && Array.isArray(patterns.patterns)) {
+        patterns = patterns.patterns;
+    }
+    if (!patterns || typeof patterns !== 'object') {
+        throw new Error('loadPatterns expects a path, a pattern array, a domain map or a model');
+    }
+
+    PatternStore.replace(Array.isArray(patterns) ? groupByDomain(patterns) : patterns, {
+        collection: 'main',
+        source: 'loadPatterns'
+    });
+
+    if (AevovNLU.state.initialized) {
+        await AevovNLU.learnVocabulary();
+    } else {
+        await AevovNLU.init();
+    }
+
+    if (SemanticSearch.state.initialized) {
+        await SemanticSearch.reindex();
+    } else {
+        await SemanticSearch.init();
+    }
+
+    if (!NeuroArchitect.state.initialized) {
+        await NeuroArchitect.init();
+    }
+
+    return {
+        patterns: AevovNLU.state.patternStats.totalPatterns,
+        domains: AevovNLU.state.vocabulary.domains.size,
+        vocabulary: AevovNLU.state.vocabulary.entities.size
+    };
+}
+
+/**
+ * Write a model as a .aev container
+ */
+export async function saveModel(model, path) {
+    const bytes = AevFormat.encode(model);
+    await writeFile(path, bytes);
+    return { path, size: bytes.length };
+}
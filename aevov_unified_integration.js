@@ -24,8 +24,6 @@
 
         // Config
         config: {
-            maxWaitTime: 30000,  // 30 seconds (longer for inline scripts)
-            checkInterval: 200,   // Check every 200ms
             enableNotifications: true,
             debugMode: true
         },
@@ -42,8 +40,8 @@
             console.log('🚀 Initializing Aevov Unified System...');
 
             try {
-                // Step 1: Wait for ChatWidget to exist AND be initialized
-                await this.waitForChatWidget();
+                // Step 1: Check the ChatWidget UI exists (the loader waited for the service)
+                this.checkChatWidget();
 
                 // Step 2: Apply unified enhancements
                 this.applyEnhancements();
@@ -66,49 +64,18 @@
         },
 
         /**
-         * Wait for ChatWidget to be available AND initialized
+         * Check ChatWidget is initialized and its DOM elements exist
          */
-        async waitForChatWidget() {
-            console.log('⏳ Waiting for ChatWidget to be ready...');
-            
-            const startTime = Date.now();
-            let lastLog = 0;
-
-            while (true) {
-                const elapsed = Date.now() - startTime;
-                
-                // Log progress every 2 seconds
-                if (elapsed - lastLog > 2000) {
-                    console.log(`  ⏳ Still waiting... (${(elapsed/1000).toFixed(1)}s)`);
-                    lastLog = elapsed;
-                }
-
-                // Check if timeout
-                if (elapsed >= this.config.maxWaitTime) {
-                    throw new Error(`ChatWidget not ready after ${this.config.maxWaitTime/1000}s. Make sure inline scripts are running.`);
-                }
-
-                // Check if ChatWidget exists
-                if (window.ChatWidget) {
-                    // Check if it's initialized (has the sendMessage or processQuery method)
-                    if (typeof window.ChatWidget.sendMessage === 'function' || 
-                        typeof window.ChatWidget.processQuery === 'function') {
-                        
-                        // Check if DOM elements are created
-                        const chatContainer = document.getElementById('chatContainer') || 
-                                            document.getElementById('aiChatMessages');
-                        
-                        if (chatContainer) {
-                            console.log(`✅ ChatWidget ready (${(elapsed/1000).toFixed(1)}s)`);
-                            this.state.chatWidgetReady = true;
-                            return;
-                        }
-                    }
-                }
+        checkChatWidget() {
+            const chatContainer = document.getElementById('chatContainer') ||
+                                document.getElementById('aiChatMessages');
 
-                // Wait before checking again
-                await new Promise(resolve => setTimeout(resolve, this.config.checkInterval));
+            if (!window.ChatWidget || !chatContainer) {
+                throw new Error('ChatWidget not ready. Make sure inline scripts are running.');
             }
+
+            console.log('✅ ChatWidget ready');
+            this.state.chatWidgetReady = true;
         },
 
         /**
@@ -117,41 +84,30 @@
         applyEnhancements() {
             console.log('🔧 Applying unified enhancements...');
 
-            // Store original methods
-            const originalSendMessage = window.sendMessage;
-            const originalProcessQuery = window.ChatWidget ? window.ChatWidget.processQuery : null;
-
-            // Enhanced sendMessage function
-            window.sendMessage = () => {
+            // Notify on every message, whoever provides sendMessage
+            window.AevovBus.on('chat:before-message', () => {
                 const input = document.getElementById('chatInput');
-                if (!input) {
-                    console.warn('⚠️ Chat input not found');
-                    if (originalSendMessage) originalSendMessage();
-                    return;
-                }
+                if (!input || !input.value.trim()) return;
 
-                const query = input.value.trim();
-                if (!query) return;
+                if (this.config.enableNotifications) {
+                    this.notify('processing', 'Processing', 'Analyzing your query...', 2000);
+                }
+            }, { owner: 'AevovUnifiedSystem' });
 
+            // Used only when no chat module provides sendMessage
+            window.AevovBus.provide('sendMessage', () => {
+                const input = document.getElementById('chatInput');
                 const chat = document.getElementById('chatContainer');
-                if (!chat) {
-                    console.warn('⚠️ Chat container not found');
-                    if (originalSendMessage) originalSendMessage();
+                if (!input || !chat) {
+                    console.warn('⚠️ Chat input or container not found');
                     return;
                 }
 
-                // Show notification
-                if (this.config.enableNotifications) {
-                    this.notify('processing', 'Processing', 'Analyzing your query...', 2000);
-                }
+                const query = input.value.trim();
+                if (!query) return;
 
-                // Use original function with enhancement
-                if (originalSendMessage) {
-                    originalSendMessage();
-                } else {
-                    this.fallbackSendMessage(query, chat, input);
-                }
-            };
+                this.fallbackSendMessage(query, chat, input);
+            }, { owner: 'AevovUnifiedSystem', fallback: true });
 
             // If ChatWidget has processQuery, enhance it
             if (window.ChatWidget && typeof window.ChatWidget.processQuery === 'function') {
@@ -266,27 +222,7 @@
          * Get all patterns from all sources (compatible with Aevov)
          */
         getAllPatterns() {
-            const allPatterns = [];
-
-            // From main patterns database
-            if (window.patterns) {
-                Object.entries(window.patterns).forEach(([domain, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => allPatterns.push({ ...p, domain }));
-                    }
-                });
-            }
-
-            // From advanced patterns
-            if (window.advancedPatterns) {
-                Object.entries(window.advancedPatterns).forEach(([category, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => allPatterns.push({ ...p, category }));
-                    }
-                });
-            }
-
-            return allPatterns;
+            return window.PatternStore.labeled();
         },
 
         /**
@@ -436,21 +372,11 @@
         }
     };
 
-    // Auto-initialize after a short delay to ensure inline scripts finish
-    function autoInit() {
-        setTimeout(() => {
-            AevovUnifiedSystem.init().catch(error => {
-                console.error('Auto-init failed:', error);
-            });
-        }, 2000); // 2 second delay to let inline scripts finish
-    }
-
-    // Start initialization
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', autoInit);
-    } else {
-        autoInit();
-    }
+    // Initialized by the module loader once ChatWidget is registered
+    window.AevovLoader.declare('AevovUnifiedSystem', {
+        services: ['ChatWidget'],
+        init: () => AevovUnifiedSystem.init()
+    });
 
     // Export to window
     window.AevovUnifiedSystem = AevovUnifiedSystem;
@@ -468,7 +394,7 @@
     };
 
     console.log('✅ Aevov Unified Integration loaded');
-    console.log('💡 Will auto-initialize in 2 seconds');
+    console.log('💡 Initializes once ChatWidget is ready');
     console.log('💡 Or manually call: initUnifiedSystem()');
 
 })();
@@ -0,0 +1,354 @@
+/**
+ * BENCHMARK HISTORY
+ * Results store, model comparison and regression gate for AEVModelTester
+ *
+ * Features:
+ * - Results keyed by model hash (sha256 of the canonical patterns), so a
+ *   regenerated or re-downloaded model maps to the same entry
+ * - Side-by-side comparison of two models across benchmarks and milestones
+ * - Significance of score differences: exact/continuity-corrected McNemar
+ *   when both runs answered the same questions (paired), otherwise a
+ *   two-proportion z-test; 95% confidence interval of the difference
+ * - Regression gate: pass/fail of a candidate against a baseline model
+ *
+ * Storage is localStorage in the browser; pass any { getItem, setItem }
+ * (or nothing, for memory only) under Node.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('📚 Loading Benchmark History...');
+
+    const STORAGE_KEY = 'aev_benchmark_history';
+
+    /**
+     * STATISTICS
+     */
+    function erfc(x) {
+        // Numerical Recipes erfc (fractional error < 1.2e-7)
+        const z = Math.abs(x);
+        const t = 1 / (1 + 0.5 * z);
+        const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+            t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+            t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+        return x >= 0 ? r : 2 - r;
+    }
+
+    function logChoose(n, k) {
+        let sum = 0;
+        for (let i = 1; i <= k; i++) {
+            sum += Math.log(n - k + i) - Math.log(i);
+        }
+        return sum;
+    }
+
+    /**
+     * MCNEMAR (paired outcomes; b = only A correct, c = only B correct)
+     * Exact binomial below 25 discordant pairs, chi-square with continuity correction above
+     */
+    function mcnemar(b, c) {
+        const n = b + c;
+        if (n === 0) return { test: 'mcnemar', statistic: 0, pValue: 1 };
+
+        if (n < 25) {
+            let tail = 0;
+            for (let i = 0; i <= Math.min(b, c); i++) {
+                tail += Math.exp(logChoose(n, i) - n * Math.LN2);
+            }
+            return { test: 'mcnemar-exact', statistic: Math.min(b, c), pValue: Math.min(1, 2 * tail) };
+        }
+
+        const statistic = Math.pow(Math.abs(b - c) - 1, 2) / n;
+        return { test: 'mcnemar', statistic, pValue: erfc(Math.sqrt(statistic / 2)) };
+    }
+
+    /**
+     * TWO-PROPORTION Z-TEST (independent samples)
+     */
+    function twoProportion(correctA, totalA, correctB, totalB) {
+        const pooled = (correctA + correctB) / (totalA + totalB);
+        const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+        if (!(se > 0)) return { test: 'z', statistic: 0, pValue: 1 };
+
+        const statistic = (correctB / totalB - correctA / totalA) / se;
+        return { test: 'z', statistic, pValue: erfc(Math.abs(statistic) / Math.SQRT2) };
+    }
+
+    /**
+     * COMPARE TWO RUNS of the same benchmark (B relative to A)
+     */
+    function compareRuns(a, b) {
+        const scoreA = a.correct / a.questions;
+        const scoreB = b.correct / b.questions;
+        const diff = scoreB - scoreA;
+        const se = Math.sqrt(scoreA * (1 - scoreA) / a.questions + scoreB * (1 - scoreB) / b.questions);
+
+        let test;
+        if (a.datasetDigest && a.datasetDigest === b.datasetDigest && a.outcomes && b.outcomes) {
+            let onlyA = 0;
+            let onlyB = 0;
+            for (let i = 0; i < a.outcomes.length; i++) {
+                if (a.outcomes[i] === '1' && b.outcomes[i] === '0') onlyA++;
+                if (a.outcomes[i] === '0' && b.outcomes[i] === '1') onlyB++;
+            }
+            test = { ...mcnemar(onlyA, onlyB), paired: true, onlyA, onlyB };
+        } else {
+            test = { ...twoProportion(a.correct, a.questions, b.correct, b.questions), paired: false };
+        }
+
+        return {
+            a: scoreA,
+            b: scoreB,
+            diff,
+            ci95: [diff - 1.96 * se, diff + 1.96 * se],
+            ...test
+        };
+    }
+
+    function memoryStorage() {
+        const data = new Map();
+        return {
+            getItem: key => (data.has(key) ? data.get(key) : null),
+            setItem: (key, value) => data.set(key, String(value))
+        };
+    }
+
+    const BenchmarkHistory = {
+        version: '1.0.0',
+
+        config: {
+            alpha: 0.05,            // Significance level for "significant" and the gate
+            maxRunsPerBenchmark: 20 // Runs kept per model and benchmark
+        },
+
+        storage: root.localStorage || memoryStorage(),
+        models: null,               // hash -> { hash, name, patternCount, firstSeen, lastSeen, runs, milestones }
+
+        mcnemar,
+        twoProportion,
+        compareRuns,
+
+        /**
+         * MODEL HASH (content of the patterns; container metadata is ignored)
+         */
+        hashModel(model) {
+            const patterns = model.patterns || [];
+            if (root.DagLedger) {
+                return `sha256:${root.DagLedger.sha256(root.DagLedger.canonicalize(patterns))}`;
+            }
+
+            let hash = 0x811c9dc5;
+            const text = JSON.stringify(patterns);
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            return `fnv1a:${hash.toString(16).padStart(8, '0')}`;
+        },
+
+        load() {
+            if (this.models) return this.models;
+
+            try {
+                this.models = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            } catch (error) {
+                console.warn('⚠️ Benchmark history unreadable, starting fresh:', error.message);
+                this.models = {};
+            }
+            return this.models;
+        },
+
+        save() {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.models || {}));
+        },
+
+        useStorage(storage) {
+            this.storage = storage || memoryStorage();
+            this.models = null;
+        },
+
+        entry(model) {
+            const models = this.load();
+            const hash = model.hash || this.hashModel(model);
+            const now = Date.now();
+
+            if (!models[hash]) {
+                models[hash] = {
+                    hash,
+                    name: model.name,
+                    patternCount: model.patternCount ?? model.patterns?.length ?? 0,
+                    firstSeen: now,
+                    lastSeen: now,
+                    runs: {},
+                    milestones: {}
+                };
+            }
+            models[hash].lastSeen = now;
+            return models[hash];
+        },
+
+        /**
+         * RECORD a measured benchmark run
+         * run: { benchmark, score, correct, questions, categories, datasetDigest, outcomes, ... }
+         */
+        recordRun(model, run) {
+            const entry = this.entry(model);
+            const runs = entry.runs[run.benchmark] || (entry.runs[run.benchmark] = []);
+
+            runs.unshift({
+                benchmark: run.benchmark,
+                score: run.score,
+                correct: run.correct,
+                questions: run.questions,
+                categories: run.categories,
+                datasetDigest: run.datasetDigest,
+                outcomes: run.outcomes,
+                embeddingModel: run.embeddingModel,
+                timestamp: run.timestamp || Date.now()
+            });
+            runs.length = Math.min(runs.length, this.config.maxRunsPerBenchmark);
+
+            this.save();
+            return entry;
+        },
+
+        recordMilestone(model, milestone, passed, score) {
+            const entry = this.entry(model);
+            entry.milestones[milestone] = { passed, score, timestamp: Date.now() };
+            this.save();
+            return entry;
+        },
+
+        /**
+         * RESOLVE a model reference: hash, model object, or name (latest seen)
+         */
+        resolve(ref) {
+            const models = this.load();
+            if (!ref) return null;
+            if (typeof ref === 'object') return models[ref.hash || this.hashModel(ref)] || null;
+            if (models[ref]) return models[ref];
+
+            return Object.values(models)
+                .filter(entry => entry.name === ref)
+                .sort((a, b) => b.lastSeen - a.lastSeen)[0] || null;
+        },
+
+        list() {
+            return Object.values(this.load()).sort((a, b) => b.lastSeen - a.lastSeen);
+        },
+
+        latestRun(entry, benchmark) {
+            return entry?.runs[benchmark]?.[0] || null;
+        },
+
+        /**
+         * COMPARE two models (B relative to A) across benchmarks and milestones
+         */
+        compare(refA, refB, options = {}) {
+            const a = this.resolve(refA);
+            const b = this.resolve(refB);
+            if (!a) throw new Error(`No results stored for model ${refA?.name || refA}`);
+            if (!b) throw new Error(`No results stored for model ${refB?.name || refB}`);
+
+            const alpha = options.alpha ?? this.config.alpha;
+            const benchmarkKeys = [...new Set([...Object.keys(a.runs), ...Object.keys(b.runs)])];
+
+            const benchmarks = benchmarkKeys.map(benchmark => {
+                const runA = this.latestRun(a, benchmark);
+                const runB = this.latestRun(b, benchmark);
+                if (!runA || !runB) {
+                    return { benchmark, a: runA?.score ?? null, b: runB?.score ?? null, missing: true };
+                }
+
+                const comparison = compareRuns(runA, runB);
+                return {
+                    benchmark,
+                    ...comparison,
+                    sameDataset: runA.datasetDigest === runB.datasetDigest,
+                    significant: comparison.pValue < alpha
+                };
+            });
+
+            const milestoneKeys = [...new Set([...Object.keys(a.milestones), ...Object.keys(b.milestones)])];
+            const milestones = milestoneKeys.map(milestone => ({
+                milestone,
+                a: a.milestones[milestone]?.passed ?? null,
+                b: b.milestones[milestone]?.passed ?? null
+            }));
+
+            return {
+                a: { hash: a.hash, name: a.name, patternCount: a.patternCount },
+                b: { hash: b.hash, name: b.name, patternCount: b.patternCount },
+                alpha,
+                benchmarks,
+                milestones
+            };
+        },
+
+        /**
+         * REGRESSION GATE
+         * Fails when the candidate scores significantly lower than the baseline
+         * on any benchmark (beyond `tolerance`), misses a benchmark the baseline
+         * measured (unless allowMissing), or loses a milestone the baseline passed.
+         * options: { alpha, tolerance, benchmarks, allowMissing }
+         */
+        gate(candidateRef, baselineRef, options = {}) {
+            const tolerance = options.tolerance ?? 0;
+            const comparison = this.compare(baselineRef, candidateRef, options);
+            const selected = options.benchmarks
+                ? comparison.benchmarks.filter(row => options.benchmarks.includes(row.benchmark))
+                : comparison.benchmarks;
+
+            const regressions = [];
+            const missing = [];
+
+            selected.forEach(row => {
+                if (row.missing) {
+                    if (row.a !== null && row.b === null) missing.push(row.benchmark);
+                    return;
+                }
+                if (row.significant && row.diff < -tolerance) {
+                    regressions.push({
+                        type: 'benchmark',
+                        benchmark: row.benchmark,
+                        baseline: row.a,
+                        candidate: row.b,
+                        diff: row.diff,
+                        pValue: row.pValue
+                    });
+                }
+            });
+
+            comparison.milestones.forEach(row => {
+                if (row.a === true && row.b === false) {
+                    regressions.push({ type: 'milestone', milestone: row.milestone });
+                }
+            });
+
+            const passed = regressions.length === 0 && (options.allowMissing || missing.length === 0);
+
+            return {
+                passed,
+                baseline: comparison.a,
+                candidate: comparison.b,
+                regressions,
+                missing,
+                comparison
+            };
+        }
+    };
+
+    // Export globally
+    root.BenchmarkHistory = BenchmarkHistory;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BenchmarkHistory;
+    }
+
+    console.log('✅ Benchmark History loaded');
+    console.log("💡 Use: AEVModelTester.checkRegression('baseline-model-name')");
+
+})();
@@ -0,0 +1,489 @@
+/**
+ * BENCHMARK RUNNER
+ * Measured evaluation of .aev models against local benchmark datasets
+ *
+ * Features:
+ * - Loads question files from disk: JSONL (MMLU/HellaSwag/TruthfulQA/GSM8K
+ *   style records) and MMLU CSV (question, A, B, C, D, answer)
+ * - Answers through the model's retrieval path: patterns are embedded with
+ *   the EmbeddingRegistry and searched with a VectorIndex
+ * - Multiple-choice accuracy (best-supported choice) and exact-match
+ *   accuracy (numeric for GSM8K-style "#### n" answers)
+ * - Per-category accuracy, micro and macro averages
+ *
+ * Sources are File/Blob objects, URLs (fetch) or, under Node, file paths.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('📏 Loading Benchmark Runner...');
+
+    const CHOICE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    /**
+     * CSV PARSER (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        if (row.some(value => value !== '')) rows.push(row);
+
+        return rows;
+    }
+
+    /**
+     * CATEGORY FROM FILE NAME (abstract_algebra_test.csv -> abstract_algebra)
+     */
+    function categoryFromName(name) {
+        const base = String(name || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        return base.replace(/_(test|dev|val|validation|train)$/i, '') || 'default';
+    }
+
+    /**
+     * ANSWER INDEX from a number, a letter or the text of a choice
+     */
+    function answerIndex(answer, choices) {
+        if (typeof answer === 'number') return answer;
+
+        const value = String(answer ?? '').trim();
+        if (/^\d+$/.test(value)) return Number(value);
+        if (/^[A-Z]$/i.test(value)) return CHOICE_LETTERS.indexOf(value.toUpperCase());
+
+        return choices.findIndex(choice => normalizeAnswer(choice) === normalizeAnswer(value));
+    }
+
+    /**
+     * NORMALIZE ANSWER (lowercase, no punctuation, articles or extra spaces)
+     */
+    function normalizeAnswer(text) {
+        return String(text ?? '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s.-]/gu, ' ')
+            .replace(/\b(a|an|the)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/\.$/, '');
+    }
+
+    /**
+     * NUMERIC ANSWER (last number in the text, commas and $ ignored)
+     */
+    function extractNumber(text) {
+        const matches = String(text ?? '').replace(/[,$]/g, '').match(/-?\d+(?:\.\d+)?/g);
+        return matches ? Number(matches[matches.length - 1]) : null;
+    }
+
+    /**
+     * NORMALIZE RECORD
+     * Maps one JSONL record to { id, category, question, choices?, answer, numeric }.
+     * Returns null for records that cannot be scored by accuracy (e.g. HumanEval).
+     */
+    function normalizeRecord(record, options = {}) {
+        const category = record.subject || record.category || record.activity_label ||
+            options.category || 'default';
+        const id = String(record.id ?? record.ind ?? record.task_id ?? `${category}-${options.index ?? 0}`);
+
+        // TruthfulQA MC: { mc1_targets: { choices, labels } } or { mc1_targets: { text: 0|1 } }
+        if (record.mc1_targets) {
+            const targets = record.mc1_targets;
+            const choices = Array.isArray(targets.choices) ? targets.choices : Object.keys(targets);
+            const labels = Array.isArray(targets.labels) ? targets.labels : Object.values(targets);
+            return {
+                id,
+                category,
+                question: record.question,
+                choices,
+                answer: labels.indexOf(1)
+            };
+        }
+
+        const question = record.question ?? record.ctx ?? record.query ?? record.input;
+        const choices = record.choices ?? record.endings ?? record.options;
+
+        if (typeof question !== 'string' || (record.test && record.entry_point)) {
+            return null;
+        }
+
+        if (Array.isArray(choices)) {
+            const answer = answerIndex(record.answer ?? record.label ?? record.gold, choices);
+            if (!(answer >= 0 && answer < choices.length)) return null;
+            return { id, category, question, choices, answer };
+        }
+
+        // Open answer; GSM8K keeps the final value after "####"
+        const raw = String(record.answer ?? record.target ?? '');
+        const final = raw.includes('####') ? raw.split('####').pop().trim() : raw.trim();
+        if (!final) return null;
+
+        return {
+            id,
+            category,
+            question,
+            answer: final,
+            numeric: extractNumber(final) !== null && normalizeAnswer(final).replace(/[^a-z]/g, '') === ''
+        };
+    }
+
+    /**
+     * PARSE DATASET TEXT
+     * format: 'jsonl' | 'csv' (defaults from the file name, then the content)
+     */
+    function parseDataset(text, options = {}) {
+        const name = options.name || '';
+        const format = options.format ||
+            (/\.csv$/i.test(name) ? 'csv' : /\.jsonl?$/i.test(name) ? 'jsonl' :
+                text.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+
+        const questions = [];
+        let skipped = 0;
+
+        if (format === 'csv') {
+            const category = options.category || categoryFromName(name);
+            let rows = parseCSV(text);
+
+            if (rows.length && rows[0][rows[0].length - 1].trim().toLowerCase() === 'answer') {
+                rows = rows.slice(1);
+            }
+
+            rows.forEach((row, index) => {
+                if (row.length < 3) {
+                    skipped++;
+                    return;
+                }
+                const choices = row.slice(1, -1);
+                const answer = answerIndex(row[row.length - 1], choices);
+                if (!(answer >= 0 && answer < choices.length)) {
+                    skipped++;
+                    return;
+                }
+                questions.push({ id: `${category}-${index}`, category, question: row[0], choices, answer });
+            });
+        } else if (format === 'jsonl') {
+            text.split(/\r?\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`${name || 'dataset'}:${index + 1}: invalid JSON (${error.message})`);
+                }
+
+                const question = normalizeRecord(record, {
+                    category: options.category || (name ? categoryFromName(name) : undefined),
+                    index
+                });
+                if (question) {
+                    questions.push(question);
+                } else {
+                    skipped++;
+                }
+            });
+        } else {
+            throw new Error(`Unknown dataset format: ${format}`);
+        }
+
+        return { questions, skipped };
+    }
+
+    /**
+     * READ SOURCE (File/Blob, URL or Node file path)
+     */
+    async function readSource(source) {
+        if (typeof source?.text === 'function') {
+            return { text: await source.text(), name: source.name || '' };
+        }
+
+        const path = String(source);
+        const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+        if (isNode && !/^https?:\/\//i.test(path)) {
+            const fs = require('fs');
+            return { text: await fs.promises.readFile(path, 'utf8'), name: path };
+        }
+
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${path}: ${response.status}`);
+        }
+        return { text: await response.text(), name: path };
+    }
+
+    /**
+     * ANSWER TEXT stored on a pattern
+     */
+    function patternAnswer(pattern) {
+        return pattern.answer ?? pattern.response ?? pattern.output ?? pattern.template ?? pattern.query ?? '';
+    }
+
+    const retrievers = new WeakMap();
+
+    const BenchmarkRunner = {
+        version: '1.0.0',
+
+        config: {
+            topK: 5,                // Patterns consulted per choice / question
+            exactThreshold: 2000    // Models up to this size are scanned exactly
+        },
+
+        parseCSV,
+        parseDataset,
+        normalizeRecord,
+        normalizeAnswer,
+        extractNumber,
+        categoryFromName,
+
+        /**
+         * LOAD DATASET
+         * sources: one or many File/Blob objects, URLs or (Node) paths
+         * Returns { questions, skipped, sources }
+         */
+        async load(sources, options = {}) {
+            const list = typeof sources === 'string' || typeof sources?.text === 'function'
+                ? [sources]
+                : Array.from(sources || []);
+
+            const dataset = { questions: [], skipped: 0, sources: [] };
+
+            for (const source of list) {
+                const { text, name } = await readSource(source);
+                const parsed = parseDataset(text, { ...options, name });
+
+                dataset.questions.push(...parsed.questions);
+                dataset.skipped += parsed.skipped;
+                dataset.sources.push(name);
+                console.log(`📂 ${name || 'dataset'}: ${parsed.questions.length} questions` +
+                    (parsed.skipped ? `, ${parsed.skipped} skipped` : ''));
+            }
+
+            return dataset;
+        },
+
+        /**
+         * RETRIEVER over a model's patterns (cached per model object)
+         * { search(text, k) -> [{ pattern, similarity }], support(text) -> number }
+         */
+        async createRetriever(model) {
+            if (retrievers.has(model)) return retrievers.get(model);
+
+            const registry = root.EmbeddingRegistry;
+            if (!registry) {
+                throw new Error('EmbeddingRegistry is required to evaluate models');
+            }
+
+            const patterns = model.patterns || [];
+            const index = root.VectorIndex
+                ? root.VectorIndex.create({ dimension: registry.dimension, exactThreshold: this.config.exactThreshold })
+                : null;
+            const vectors = [];
+
+            for (let i = 0; i < patterns.length; i++) {
+                const pattern = patterns[i];
+                const vector = registry.isCurrent(pattern)
+                    ? pattern.embedding
+                    : await registry.embed(registry.patternText(pattern));
+
+                if (index) {
+                    index.add(i, vector);
+                } else {
+                    vectors.push(vector);
+                }
+            }
+
+            const retriever = {
+                tag: registry.tag,
+
+                async search(text, k = BenchmarkRunner.config.topK) {
+                    const query = await registry.embed(text);
+                    const hits = index
+                        ? index.search(query, k)
+                        : vectors.map((vector, id) => ({ id, similarity: cosine(query, vector) }))
+                            .sort((a, b) => b.similarity - a.similarity)
+                            .slice(0, k);
+
+                    return hits.map(hit => ({ pattern: patterns[hit.id], similarity: hit.similarity }));
+                },
+
+                async support(text) {
+                    const [best] = await this.search(text, 1);
+                    return best ? best.similarity : 0;
+                }
+            };
+
+            retrievers.set(model, retriever);
+            return retriever;
+        },
+
+        /**
+         * ANSWER ONE QUESTION
+         * Multiple choice: the choice whose "question + choice" text is best
+         * supported by the model's patterns. Open: the answer of the top pattern.
+         */
+        async answer(question, retriever) {
+            if (question.choices) {
+                const scores = [];
+                for (const choice of question.choices) {
+                    scores.push(await retriever.support(`${question.question} ${choice}`));
+                }
+
+                let prediction = 0;
+                scores.forEach((score, i) => {
+                    if (score > scores[prediction]) prediction = i;
+                });
+
+                return { prediction, scores };
+            }
+
+            const [best] = await retriever.search(question.question, 1);
+            return {
+                prediction: best ? String(patternAnswer(best.pattern)) : '',
+                evidence: best?.pattern.id ?? null,
+                similarity: best?.similarity ?? 0
+            };
+        },
+
+        /**
+         * IS CORRECT
+         */
+        isCorrect(question, prediction) {
+            if (question.choices) {
+                return prediction === question.answer;
+            }
+
+            if (question.numeric) {
+                const value = extractNumber(prediction);
+                return value !== null && Math.abs(value - extractNumber(question.answer)) < 1e-9;
+            }
+
+            return normalizeAnswer(prediction) === normalizeAnswer(question.answer);
+        },
+
+        /**
+         * DATASET DIGEST (same questions in the same order -> same digest,
+         * so per-question outcomes of two runs can be paired)
+         */
+        datasetDigest(questions) {
+            let hash = 0x811c9dc5;
+            const text = questions.map(q => `${q.id}\u0000${q.answer}`).join('\u0001');
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            return `fnv1a:${hash.toString(16).padStart(8, '0')}:${questions.length}`;
+        },
+
+        /**
+         * EVALUATE
+         * options: { answer(question, retriever, model), limit, onProgress(done, total) }
+         * Returns { score, macroScore, correct, total, skipped, categories,
+         *           datasetDigest, outcomes ('1'/'0' per question), durationMs }
+         */
+        async evaluate(model, dataset, options = {}) {
+            const started = Date.now();
+            const questions = (dataset.questions || dataset).slice(0, options.limit ?? Infinity);
+            const retriever = await this.createRetriever(model);
+            const answer = options.answer || ((question, r) => this.answer(question, r));
+
+            const categories = {};
+            const outcomes = [];
+            let correct = 0;
+
+            for (let i = 0; i < questions.length; i++) {
+                const question = questions[i];
+                const result = await answer(question, retriever, model);
+                const ok = this.isCorrect(question, result.prediction);
+                outcomes.push(ok ? '1' : '0');
+
+                const category = categories[question.category] ||
+                    (categories[question.category] = { correct: 0, total: 0, accuracy: 0 });
+                category.total++;
+                if (ok) {
+                    category.correct++;
+                    correct++;
+                }
+
+                if (options.onProgress && (i + 1) % 50 === 0) {
+                    options.onProgress(i + 1, questions.length);
+                }
+            }
+
+            const categoryList = Object.values(categories);
+            categoryList.forEach(category => {
+                category.accuracy = category.correct / category.total;
+            });
+
+            return {
+                score: questions.length ? correct / questions.length : 0,
+                macroScore: categoryList.length
+                    ? categoryList.reduce((sum, c) => sum + c.accuracy, 0) / categoryList.length
+                    : 0,
+                correct,
+                total: questions.length,
+                skipped: dataset.skipped || 0,
+                categories,
+                embeddingModel: retriever.tag,
+                datasetDigest: this.datasetDigest(questions),
+                outcomes: outcomes.join(''),
+                durationMs: Date.now() - started
+            };
+        }
+    };
+
+    function cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    // Export globally
+    root.BenchmarkRunner = BenchmarkRunner;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BenchmarkRunner;
+    }
+
+    console.log('✅ Benchmark Runner loaded');
+    console.log("💡 Use: AEVModelTester.loadBenchmarkDataset('mmlu', files) then runBenchmark('mmlu')");
+
+})();
@@ -0,0 +1,1793 @@
+/**
+ * CLOUDFLARE LOCAL ENVIRONMENT
+ * In-memory bindings for running cloudflare_workers_backend.js offline
+ *
+ * Provides:
+ * - LocalD1Database - D1 with a small SQLite-compatible interpreter
+ *   (CREATE TABLE/INDEX, SELECT, INSERT [OR REPLACE|OR IGNORE], UPDATE, DELETE,
+ *   column affinity, NULL semantics, primary keys, batch() transactions)
+ * - LocalR2Bucket - R2 object storage
+ * - LocalKVNamespace - Workers KV with expiration
+ * - LocalQueue - Queues producer with manual delivery to a consumer
+ * - LocalDurableObjectNamespace - Durable Objects with per-object storage
+ * - WebSocketPair / 101 responses for the /ws upgrade path
+ *
+ * Usage:
+ *   import { createLocalEnv, installWorkerGlobals } from './cloudflare_local_env.js';
+ *   import worker, { SyncDurableObject } from './cloudflare_workers_backend.js';
+ *
+ *   installWorkerGlobals();
+ *   const env = createLocalEnv({ durableObjects: { SYNC_DO: SyncDurableObject } });
+ *   await env.DB.exec(schemaSql);
+ *   const response = await worker.fetch(new Request('https://local/licenses/validate', ...), env);
+ *
+ * Like the worker itself this is an ES module; on Node 20 run it with
+ * --experimental-detect-module (detection is on by default from Node 22.7).
+ */
+
+// Bindings used by cloudflare_workers_backend.js
+const DEFAULT_BINDINGS = {
+    d1: ['DB'],
+    r2: ['PATTERNS', 'MODELS'],
+    kv: ['LICENSES'],
+    queues: []
+};
+
+/**
+ * Create an env object with in-memory bindings
+ */
+export function createLocalEnv(options = {}) {
+    const clock = options.clock || { now: () => Date.now() };
+    const bindings = { ...DEFAULT_BINDINGS, ...options.bindings };
+    const env = { ...options.vars };
+
+    for (const name of bindings.d1) env[name] = new LocalD1Database();
+    for (const name of bindings.r2) env[name] = new LocalR2Bucket();
+    for (const name of bindings.kv) env[name] = new LocalKVNamespace({ clock });
+    for (const name of bindings.queues) env[name] = new LocalQueue(name);
+
+    for (const [name, DurableObjectClass] of Object.entries(options.durableObjects || {})) {
+        env[name] = new LocalDurableObjectNamespace(DurableObjectClass, env);
+    }
+
+    return env;
+}
+
+/**
+ * Execution context passed as the third argument to fetch/scheduled
+ */
+export function createExecutionContext() {
+    const pending = [];
+
+    return {
+        waitUntil(promise) {
+            pending.push(Promise.resolve(promise));
+        },
+        passThroughOnException() {},
+        // Await everything handed to waitUntil
+        async flush() {
+            while (pending.length > 0) {
+                await Promise.allSettled(pending.splice(0));
+            }
+        }
+    };
+}
+
+/**
+ * Install the Workers-only globals the worker relies on
+ * Returns a function that restores the previous globals
+ */
+export function installWorkerGlobals(target = globalThis) {
+    const previous = {
+        WebSocketPair: target.WebSocketPair,
+        Response: target.Response
+    };
+
+    target.WebSocketPair = LocalWebSocketPair;
+    target.Response = createWorkerResponse(previous.Response);
+
+    return () => {
+        target.WebSocketPair = previous.WebSocketPair;
+        target.Response = previous.Response;
+    };
+}
+
+// Fetch API Responses reject status 101; Workers use it to hand back a WebSocket
+function createWorkerResponse(NativeResponse) {
+    if (NativeResponse.isWorkerResponse) return NativeResponse;
+
+    class WorkerResponse extends NativeResponse {
+        constructor(body, init = {}) {
+            const upgrade = init.status === 101;
+            super(body, upgrade ? { ...init, status: 200 } : init);
+
+            this.webSocket = init.webSocket || null;
+            if (upgrade) {
+                Object.defineProperty(this, 'status', { value: 101 });
+            }
+        }
+    }
+    WorkerResponse.isWorkerResponse = true;
+
+    return WorkerResponse;
+}
+
+/**
+ * D1 DATABASE
+ */
+export class LocalD1Database {
+    constructor() {
+        this.tables = new Map();
+        this.indexes = new Map();
+    }
+
+    prepare(sql) {
+        return new LocalD1PreparedStatement(this, sql);
+    }
+
+    /**
+     * Run statements in one transaction; any failure rolls all of them back
+     */
+    async batch(statements) {
+        const snapshot = this.snapshot();
+
+        try {
+            return statements.map(statement => statement.execute());
+        } catch (error) {
+            this.restore(snapshot);
+            throw error;
+        }
+    }
+
+    /**
+     * Run raw SQL (multiple statements separated by semicolons)
+     */
+    async exec(sql) {
+        const started = Date.now();
+        const statements = parseSql(sql);
+
+        for (const statement of statements) {
+            executeStatement(this, statement, []);
+        }
+
+        return { count: statements.length, duration: Date.now() - started };
+    }
+
+    /**
+     * Test helper: every row of a table
+     */
+    dump(tableName) {
+        return getTable(this, tableName).rows.map(row => ({ ...row }));
+    }
+
+    snapshot() {
+        const tables = new Map();
+        for (const [name, table] of this.tables) {
+            tables.set(name, {
+                ...table,
+                rows: table.rows.map(row => ({ ...row })),
+                nextRowId: table.nextRowId
+            });
+        }
+        return { tables, indexes: new Map(this.indexes) };
+    }
+
+    restore(snapshot) {
+        this.tables = snapshot.tables;
+        this.indexes = snapshot.indexes;
+    }
+}
+
+export class LocalD1PreparedStatement {
+    constructor(database, sql) {
+        this.database = database;
+        this.sql = sql;
+        this.params = [];
+
+        const statements = parseSql(sql);
+        if (statements.length !== 1) {
+            throw new Error(`D1_ERROR: prepare() expects exactly one statement, got ${statements.length}`);
+        }
+        this.statement = statements[0];
+    }
+
+    bind(...values) {
+        const bound = new LocalD1PreparedStatement(this.database, this.sql);
+        bound.params = values.map((value, i) => toSqlValue(value, i + 1));
+        return bound;
+    }
+
+    execute() {
+        const started = Date.now();
+        const expected = this.statement.paramCount;
+
+        if (this.params.length !== expected) {
+            throw new Error(`D1_ERROR: Wrong number of parameter bindings for SQL query (expected ${expected}, got ${this.params.length})`);
+        }
+
+        const outcome = executeStatement(this.database, this.statement, this.params);
+
+        return {
+            results: outcome.rows || [],
+            success: true,
+            meta: {
+                duration: Date.now() - started,
+                changes: outcome.changes || 0,
+                last_row_id: outcome.lastRowId || 0,
+                rows_read: outcome.rowsRead || 0,
+                rows_written: outcome.changes || 0,
+                changed_db: (outcome.changes || 0) > 0
+            }
+        };
+    }
+
+    async first(column) {
+        const [row] = this.execute().results;
+        if (!row) return null;
+
+        if (column !== undefined) {
+            if (!(column in row)) {
+                throw new Error(`D1_COLUMN_NOTFOUND: Column not found: ${column}`);
+            }
+            return row[column];
+        }
+        return row;
+    }
+
+    async all() {
+        return this.execute();
+    }
+
+    async run() {
+        return this.execute();
+    }
+
+    async raw(options = {}) {
+        const { results } = this.execute();
+        const columns = this.statement.type === 'select' && results[0] ? Object.keys(results[0]) : [];
+        const rows = results.map(row => Object.values(row));
+        return options.columnNames ? [columns, ...rows] : rows;
+    }
+}
+
+// D1 accepts numbers, strings, null, booleans and binary data
+function toSqlValue(value, position) {
+    if (value === null || typeof value === 'string' || typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+    throw new Error(`D1_TYPE_ERROR: Type '${value === undefined ? 'undefined' : typeof value}' not supported for value '${value}' (parameter ${position})`);
+}
+
+/**
+ * SQL TOKENIZER
+ */
+const SQL_KEYWORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'BETWEEN',
+    'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'AS', 'DISTINCT', 'GROUP',
+    'INSERT', 'INTO', 'VALUES', 'REPLACE', 'IGNORE', 'UPDATE', 'SET', 'DELETE',
+    'CREATE', 'TABLE', 'INDEX', 'UNIQUE', 'IF', 'EXISTS', 'ON', 'PRIMARY', 'KEY',
+    'AUTOINCREMENT', 'DEFAULT', 'CURRENT_TIMESTAMP'
+]);
+
+function tokenizeSql(sql) {
+    const tokens = [];
+    let i = 0;
+    let position = 0;
+
+    while (i < sql.length) {
+        const ch = sql[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '-' && sql[i + 1] === '-') {
+            while (i < sql.length && sql[i] !== '\n') i++;
+        } else if (ch === "'") {
+            let value = '';
+            i++;
+            for (;;) {
+                if (i >= sql.length) throw new Error('D1_ERROR: unterminated string literal');
+                if (sql[i] === "'") {
+                    if (sql[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += sql[i++];
+            }
+            tokens.push({ type: 'string', value });
+        } else if (ch === '"' || ch === '`') {
+            const end = sql.indexOf(ch, i + 1);
+            if (end === -1) throw new Error('D1_ERROR: unterminated quoted identifier');
+            tokens.push({ type: 'identifier', value: sql.slice(i + 1, end) });
+            i = end + 1;
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(sql[i + 1]))) {
+            const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(sql.slice(i));
+            tokens.push({ type: 'number', value: Number(match[0]) });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i));
+            const upper = match[0].toUpperCase();
+            tokens.push(SQL_KEYWORDS.has(upper)
+                ? { type: 'keyword', value: upper }
+                : { type: 'identifier', value: match[0] });
+            i += match[0].length;
+        } else if (ch === '?') {
+            const match = /^\?(\d*)/.exec(sql.slice(i));
+            position = match[1] ? Number(match[1]) : position + 1;
+            tokens.push({ type: 'param', value: position });
+            i += match[0].length;
+        } else {
+            const two = sql.slice(i, i + 2);
+            if (['<=', '>=', '<>', '!=', '==', '||'].includes(two)) {
+                tokens.push({ type: 'op', value: two });
+                i += 2;
+            } else if ('(),;*=<>+-/%.'.includes(ch)) {
+                tokens.push({ type: 'op', value: ch });
+                i++;
+            } else {
+                throw new Error(`D1_ERROR: unrecognized token: "${ch}"`);
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * SQL PARSER
+ * Recursive descent over the subset of SQLite the worker uses
+ */
+function parseSql(sql) {
+    const tokens = tokenizeSql(sql);
+    const statements = [];
+    let pos = 0;
+    let maxParam = 0;
+
+    const peek = (offset = 0) => tokens[pos + offset];
+    const isKeyword = (word, offset = 0) => peek(offset)?.type === 'keyword' && peek(offset).value === word;
+    const isOp = (op) => peek()?.type === 'op' && peek().value === op;
+
+    const fail = (message) => {
+        const near = peek() ? `near "${peek().value}"` : 'at end of input';
+        throw new Error(`D1_ERROR: ${message} ${near}: syntax error`);
+    };
+
+    const acceptKeyword = (word) => {
+        if (isKeyword(word)) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    const expectKeyword = (word) => {
+        if (!acceptKeyword(word)) fail(`expected ${word}`);
+    };
+    const acceptOp = (op) => {
+        if (isOp(op)) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    const expectOp = (op) => {
+        if (!acceptOp(op)) fail(`expected "${op}"`);
+    };
+    const expectIdentifier = () => {
+        const token = peek();
+        // Unreserved use of keywords like "key" as column names
+        if (token && (token.type === 'identifier' || (token.type === 'keyword' && ['KEY', 'REPLACE', 'IGNORE'].includes(token.value)))) {
+            pos++;
+            return token.type === 'keyword' ? token.value.toLowerCase() : token.value;
+        }
+        fail('expected identifier');
+    };
+
+    const parseList = (parseItem) => {
+        const items = [parseItem()];
+        while (acceptOp(',')) items.push(parseItem());
+        return items;
+    };
+
+    // Expressions, lowest precedence first
+    const parseExpression = () => parseOr();
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (acceptKeyword('OR')) left = { type: 'logical', op: 'OR', left, right: parseAnd() };
+        return left;
+    };
+
+    const parseAnd = () => {
+        let left = parseNot();
+        while (acceptKeyword('AND')) left = { type: 'logical', op: 'AND', left, right: parseNot() };
+        return left;
+    };
+
+    const parseNot = () => {
+        if (acceptKeyword('NOT')) return { type: 'not', operand: parseNot() };
+        return parseComparison();
+    };
+
+    const parseComparison = () => {
+        const left = parseAdditive();
+
+        if (acceptKeyword('IS')) {
+            const negated = acceptKeyword('NOT');
+            expectKeyword('NULL');
+            return { type: 'isnull', operand: left, negated };
+        }
+
+        const negated = isKeyword('NOT') && (isKeyword('IN', 1) || isKeyword('LIKE', 1) || isKeyword('BETWEEN', 1));
+        if (negated) pos++;
+
+        if (acceptKeyword('IN')) {
+            expectOp('(');
+            const values = parseList(parseExpression);
+            expectOp(')');
+            return { type: 'in', operand: left, values, negated };
+        }
+        if (acceptKeyword('LIKE')) {
+            return { type: 'like', operand: left, pattern: parseAdditive(), negated };
+        }
+        if (acceptKeyword('BETWEEN')) {
+            const low = parseAdditive();
+            expectKeyword('AND');
+            return { type: 'between', operand: left, low, high: parseAdditive(), negated };
+        }
+
+        const token = peek();
+        if (token?.type === 'op' && ['=', '==', '!=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+            pos++;
+            const op = token.value === '==' ? '=' : token.value === '<>' ? '!=' : token.value;
+            return { type: 'compare', op, left, right: parseAdditive() };
+        }
+
+        return left;
+    };
+
+    const parseAdditive = () => {
+        let left = parseMultiplicative();
+        while (peek()?.type === 'op' && ['+', '-', '||'].includes(peek().value)) {
+            const op = tokens[pos++].value;
+            left = { type: 'arithmetic', op, left, right: parseMultiplicative() };
+        }
+        return left;
+    };
+
+    const parseMultiplicative = () => {
+        let left = parseUnary();
+        while (peek()?.type === 'op' && ['*', '/', '%'].includes(peek().value)) {
+            const op = tokens[pos++].value;
+            left = { type: 'arithmetic', op, left, right: parseUnary() };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (acceptOp('-')) return { type: 'arithmetic', op: '-', left: { type: 'literal', value: 0 }, right: parseUnary() };
+        if (acceptOp('+')) return parseUnary();
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) fail('incomplete input');
+
+        if (token.type === 'number' || token.type === 'string') {
+            pos++;
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'param') {
+            pos++;
+            maxParam = Math.max(maxParam, token.value);
+            return { type: 'param', index: token.value };
+        }
+        if (acceptKeyword('NULL')) return { type: 'literal', value: null };
+        if (acceptKeyword('CURRENT_TIMESTAMP')) return { type: 'now' };
+        if (acceptKeyword('REPLACE')) {
+            return parseCall('REPLACE');
+        }
+        if (acceptOp('(')) {
+            const expr = parseExpression();
+            expectOp(')');
+            return expr;
+        }
+        if (token.type === 'identifier' || (token.type === 'keyword' && token.value === 'KEY')) {
+            const name = expectIdentifier();
+            if (isOp('(')) return parseCall(name.toUpperCase());
+            if (acceptOp('.')) return { type: 'column', name: expectIdentifier() };
+            return { type: 'column', name };
+        }
+
+        fail('unexpected token');
+    };
+
+    const parseCall = (name) => {
+        expectOp('(');
+        if (acceptOp('*')) {
+            expectOp(')');
+            return { type: 'call', name, args: [], star: true };
+        }
+        const distinct = acceptKeyword('DISTINCT');
+        const args = isOp(')') ? [] : parseList(parseExpression);
+        expectOp(')');
+        return { type: 'call', name, args, distinct };
+    };
+
+    // Statements
+    const parseCreate = () => {
+        expectKeyword('CREATE');
+        const unique = acceptKeyword('UNIQUE');
+
+        if (acceptKeyword('INDEX')) {
+            const ifNotExists = acceptKeyword('IF') && (expectKeyword('NOT'), expectKeyword('EXISTS'), true);
+            const name = expectIdentifier();
+            expectKeyword('ON');
+            const table = expectIdentifier();
+            expectOp('(');
+            const columns = parseList(() => {
+                const column = expectIdentifier();
+                acceptKeyword('ASC') || acceptKeyword('DESC');
+                return column;
+            });
+            expectOp(')');
+            return { type: 'create_index', name, table, columns, unique, ifNotExists };
+        }
+
+        expectKeyword('TABLE');
+        const ifNotExists = acceptKeyword('IF') && (expectKeyword('NOT'), expectKeyword('EXISTS'), true);
+        const table = expectIdentifier();
+        const columns = [];
+        let primaryKey = null;
+
+        expectOp('(');
+        do {
+            if (acceptKeyword('PRIMARY')) {
+                expectKeyword('KEY');
+                expectOp('(');
+                primaryKey = parseList(expectIdentifier);
+                expectOp(')');
+                continue;
+            }
+
+            const column = { name: expectIdentifier(), type: '', notNull: false, primaryKey: false, autoincrement: false, default: undefined };
+            while (peek()?.type === 'identifier') {
+                column.type += (column.type ? ' ' : '') + tokens[pos++].value.toUpperCase();
+            }
+            // Type arguments such as VARCHAR(255)
+            if (acceptOp('(')) {
+                while (!acceptOp(')')) pos++;
+            }
+
+            for (;;) {
+                if (acceptKeyword('PRIMARY')) {
+                    expectKeyword('KEY');
+                    column.primaryKey = true;
+                    acceptKeyword('ASC') || acceptKeyword('DESC');
+                    column.autoincrement = acceptKeyword('AUTOINCREMENT');
+                } else if (acceptKeyword('NOT')) {
+                    expectKeyword('NULL');
+                    column.notNull = true;
+                } else if (acceptKeyword('NULL')) {
+                    // explicit nullable
+                } else if (acceptKeyword('UNIQUE')) {
+                    column.unique = true;
+                } else if (acceptKeyword('DEFAULT')) {
+                    column.default = parseUnary();
+                } else {
+                    break;
+                }
+            }
+
+            columns.push(column);
+        } while (acceptOp(','));
+        expectOp(')');
+
+        if (!primaryKey) {
+            const keyColumn = columns.find(c => c.primaryKey);
+            primaryKey = keyColumn ? [keyColumn.name] : null;
+        }
+
+        return { type: 'create_table', table, columns, primaryKey, ifNotExists };
+    };
+
+    const parseSelect = () => {
+        expectKeyword('SELECT');
+        const distinct = acceptKeyword('DISTINCT');
+        const columns = parseList(() => {
+            if (acceptOp('*')) return { star: true };
+            const expr = parseExpression();
+            let alias = null;
+            if (acceptKeyword('AS')) {
+                alias = expectIdentifier();
+            } else if (peek()?.type === 'identifier') {
+                alias = expectIdentifier();
+            }
+            return { expr, alias };
+        });
+
+        expectKeyword('FROM');
+        const table = expectIdentifier();
+        const where = acceptKeyword('WHERE') ? parseExpression() : null;
+
+        if (isKeyword('GROUP')) {
+            throw new Error('D1_ERROR: GROUP BY is not supported by the local D1 emulator');
+        }
+
+        let orderBy = [];
+        if (acceptKeyword('ORDER')) {
+            expectKeyword('BY');
+            orderBy = parseList(() => {
+                const expr = parseExpression();
+                const desc = acceptKeyword('DESC');
+                if (!desc) acceptKeyword('ASC');
+                return { expr, desc };
+            });
+        }
+
+        let limit = null;
+        let offset = null;
+        if (acceptKeyword('LIMIT')) {
+            limit = parseExpression();
+            if (acceptKeyword('OFFSET')) offset = parseExpression();
+        }
+
+        return { type: 'select', distinct, columns, table, where, orderBy, limit, offset };
+    };
+
+    const parseInsert = () => {
+        let conflict = 'abort';
+
+        if (acceptKeyword('REPLACE')) {
+            conflict = 'replace';
+        } else {
+            expectKeyword('INSERT');
+            if (acceptKeyword('OR')) {
+                if (acceptKeyword('REPLACE')) conflict = 'replace';
+                else if (acceptKeyword('IGNORE')) conflict = 'ignore';
+                else fail('expected REPLACE or IGNORE');
+            }
+        }
+
+        expectKeyword('INTO');
+        const table = expectIdentifier();
+        let columns = null;
+        if (acceptOp('(')) {
+            columns = parseList(expectIdentifier);
+            expectOp(')');
+        }
+
+        expectKeyword('VALUES');
+        const rows = parseList(() => {
+            expectOp('(');
+            const values = parseList(parseExpression);
+            expectOp(')');
+            return values;
+        });
+
+        return { type: 'insert', table, columns, rows, conflict };
+    };
+
+    const parseUpdate = () => {
+        expectKeyword('UPDATE');
+        const table = expectIdentifier();
+        expectKeyword('SET');
+        const sets = parseList(() => {
+            const column = expectIdentifier();
+            expectOp('=');
+            return { column, expr: parseExpression() };
+        });
+        const where = acceptKeyword('WHERE') ? parseExpression() : null;
+        return { type: 'update', table, sets, where };
+    };
+
+    const parseDelete = () => {
+        expectKeyword('DELETE');
+        expectKeyword('FROM');
+        const table = expectIdentifier();
+        const where = acceptKeyword('WHERE') ? parseExpression() : null;
+        return { type: 'delete', table, where };
+    };
+
+    while (pos < tokens.length) {
+        if (acceptOp(';')) continue;
+
+        maxParam = 0;
+        let statement;
+        if (isKeyword('SELECT')) statement = parseSelect();
+        else if (isKeyword('INSERT') || isKeyword('REPLACE')) statement = parseInsert();
+        else if (isKeyword('UPDATE')) statement = parseUpdate();
+        else if (isKeyword('DELETE')) statement = parseDelete();
+        else if (isKeyword('CREATE')) statement = parseCreate();
+        else fail('unsupported statement');
+
+        statement.paramCount = maxParam;
+        statements.push(statement);
+
+        if (pos < tokens.length && !acceptOp(';')) fail('expected end of statement');
+    }
+
+    return statements;
+}
+
+/**
+ * SQL EXECUTION
+ */
+function getTable(database, name) {
+    const table = database.tables.get(name.toLowerCase());
+    if (!table) {
+        throw new Error(`D1_ERROR: no such table: ${name}`);
+    }
+    return table;
+}
+
+// SQLite type affinity rules (section 3.1 of the datatype docs)
+function columnAffinity(type) {
+    if (type.includes('INT')) return 'INTEGER';
+    if (/CHAR|CLOB|TEXT/.test(type)) return 'TEXT';
+    if (type === '' || type.includes('BLOB')) return 'BLOB';
+    if (/REAL|FLOA|DOUB/.test(type)) return 'REAL';
+    return 'NUMERIC';
+}
+
+function applyAffinity(value, affinity) {
+    if (value === null || value instanceof Uint8Array) return value;
+
+    if (affinity === 'TEXT') {
+        return typeof value === 'number' ? String(value) : value;
+    }
+    if (affinity === 'INTEGER' || affinity === 'REAL' || affinity === 'NUMERIC') {
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+    }
+    return value;
+}
+
+function executeStatement(database, statement, params) {
+    switch (statement.type) {
+        case 'create_table':
+            return createTable(database, statement);
+        case 'create_index':
+            return createIndex(database, statement);
+        case 'select':
+            return selectRows(database, statement, params);
+        case 'insert':
+            return insertRows(database, statement, params);
+        case 'update':
+            return updateRows(database, statement, params);
+        case 'delete':
+            return deleteRows(database, statement, params);
+    }
+}
+
+function createTable(database, statement) {
+    const key = statement.table.toLowerCase();
+    if (database.tables.has(key)) {
+        if (statement.ifNotExists) return {};
+        throw new Error(`D1_ERROR: table ${statement.table} already exists`);
+    }
+
+    const columns = statement.columns.map(column => ({ ...column, affinity: columnAffinity(column.type) }));
+    const keyColumn = statement.primaryKey?.length === 1
+        ? columns.find(c => c.name === statement.primaryKey[0])
+        : null;
+
+    database.tables.set(key, {
+        name: statement.table,
+        columns,
+        columnMap: new Map(columns.map(c => [c.name.toLowerCase(), c])),
+        primaryKey: statement.primaryKey,
+        // INTEGER PRIMARY KEY aliases the rowid
+        rowIdColumn: keyColumn && keyColumn.type === 'INTEGER' ? keyColumn.name : null,
+        rows: [],
+        nextRowId: 1
+    });
+
+    return {};
+}
+
+function createIndex(database, statement) {
+    const table = getTable(database, statement.table);
+
+    for (const column of statement.columns) {
+        if (!table.columnMap.has(column.toLowerCase())) {
+            throw new Error(`D1_ERROR: no such column: ${column}`);
+        }
+    }
+
+    if (database.indexes.has(statement.name)) {
+        if (statement.ifNotExists) return {};
+        throw new Error(`D1_ERROR: index ${statement.name} already exists`);
+    }
+
+    database.indexes.set(statement.name, { table: table.name, columns: statement.columns, unique: statement.unique });
+    return {};
+}
+
+function resolveColumn(table, name) {
+    const column = table.columnMap.get(name.toLowerCase());
+    if (!column) {
+        throw new Error(`D1_ERROR: no such column: ${name}`);
+    }
+    return column;
+}
+
+function selectRows(database, statement, params) {
+    const table = getTable(database, statement.table);
+    const context = { table, params };
+
+    let rows = table.rows.filter(row => !statement.where || isTrue(evaluate(statement.where, row, context)));
+    const rowsRead = table.rows.length;
+
+    const aggregate = statement.columns.some(c => c.expr && containsAggregate(c.expr));
+    let results;
+
+    if (aggregate) {
+        results = [projectRow(statement.columns, rows[0] || null, table, context, rows)];
+    } else {
+        if (statement.orderBy.length > 0) {
+            rows = rows.slice().sort((a, b) => {
+                for (const { expr, desc } of statement.orderBy) {
+                    const order = compareValues(evaluate(expr, a, context), evaluate(expr, b, context));
+                    if (order !== 0) return desc ? -order : order;
+                }
+                return 0;
+            });
+        }
+        results = rows.map(row => projectRow(statement.columns, row, table, context, null));
+    }
+
+    if (statement.distinct) {
+        const seen = new Set();
+        results = results.filter(row => {
+            const key = JSON.stringify(Object.values(row));
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    const offset = statement.offset ? Number(evaluate(statement.offset, null, context)) : 0;
+    const limit = statement.limit ? Number(evaluate(statement.limit, null, context)) : -1;
+    results = results.slice(offset, limit < 0 ? undefined : offset + limit);
+
+    return { rows: results, rowsRead };
+}
+
+function projectRow(columns, row, table, context, group) {
+    const projected = {};
+
+    for (const column of columns) {
+        if (column.star) {
+            for (const { name } of table.columns) {
+                projected[name] = row ? cloneValue(row[name]) : null;
+            }
+            continue;
+        }
+
+        const name = column.alias || expressionName(column.expr);
+        projected[name] = cloneValue(evaluate(column.expr, row, { ...context, group }));
+    }
+
+    return projected;
+}
+
+function expressionName(expr) {
+    if (expr.type === 'column') return expr.name;
+    if (expr.type === 'call') return `${expr.name}(${expr.star ? '*' : expr.args.map(expressionName).join(', ')})`;
+    if (expr.type === 'literal') return String(expr.value);
+    return '?column?';
+}
+
+function containsAggregate(expr) {
+    if (!expr || typeof expr !== 'object') return false;
+    if (expr.type === 'call' && ['COUNT', 'MAX', 'MIN', 'SUM', 'AVG', 'TOTAL'].includes(expr.name)) {
+        // MAX/MIN with several arguments are scalar functions
+        return expr.star || expr.args.length === 1;
+    }
+    return ['left', 'right', 'operand'].some(key => containsAggregate(expr[key]));
+}
+
+function insertRows(database, statement, params) {
+    const table = getTable(database, statement.table);
+    const context = { table, params };
+    const columnNames = statement.columns || table.columns.map(c => c.name);
+    let changes = 0;
+    let lastRowId = 0;
+
+    for (const name of columnNames) resolveColumn(table, name);
+
+    for (const values of statement.rows) {
+        if (values.length !== columnNames.length) {
+            throw new Error(`D1_ERROR: table ${table.name} has ${columnNames.length} columns but ${values.length} values were supplied`);
+        }
+
+        const row = {};
+        for (const column of table.columns) {
+            const index = columnNames.findIndex(n => n.toLowerCase() === column.name.toLowerCase());
+            let value = index >= 0
+                ? evaluate(values[index], null, context)
+                : column.default !== undefined ? evaluate(column.default, null, context) : null;
+
+            row[column.name] = applyAffinity(value, column.affinity);
+        }
+
+        if (table.rowIdColumn) {
+            if (row[table.rowIdColumn] === null) {
+                row[table.rowIdColumn] = table.nextRowId;
+            }
+            table.nextRowId = Math.max(table.nextRowId, Number(row[table.rowIdColumn]) + 1);
+            lastRowId = row[table.rowIdColumn];
+        } else {
+            lastRowId = table.nextRowId++;
+        }
+
+        checkNotNull(table, row);
+
+        const conflicts = findConflicts(table, row, null);
+        if (conflicts.length > 0) {
+            if (statement.conflict === 'ignore') continue;
+            if (statement.conflict === 'abort') {
+                throw new Error(`D1_ERROR: UNIQUE constraint failed: ${conflicts[0].columns.map(c => `${table.name}.${c}`).join(', ')}`);
+            }
+            const doomed = new Set(conflicts.map(c => c.row));
+            table.rows = table.rows.filter(existing => !doomed.has(existing));
+        }
+
+        table.rows.push(row);
+        changes++;
+    }
+
+    return { changes, lastRowId };
+}
+
+function updateRows(database, statement, params) {
+    const table = getTable(database, statement.table);
+    const context = { table, params };
+    let changes = 0;
+
+    for (const { column } of statement.sets) resolveColumn(table, column);
+
+    for (const row of table.rows) {
+        if (statement.where && !isTrue(evaluate(statement.where, row, context))) continue;
+
+        // Every SET expression sees the row as it was before the update
+        const updated = { ...row };
+        for (const { column, expr } of statement.sets) {
+            const definition = resolveColumn(table, column);
+            updated[definition.name] = applyAffinity(evaluate(expr, row, context), definition.affinity);
+        }
+
+        checkNotNull(table, updated);
+        const conflicts = findConflicts(table, updated, row);
+        if (conflicts.length > 0) {
+            throw new Error(`D1_ERROR: UNIQUE constraint failed: ${conflicts[0].columns.map(c => `${table.name}.${c}`).join(', ')}`);
+        }
+
+        Object.assign(row, updated);
+        changes++;
+    }
+
+    return { changes };
+}
+
+function deleteRows(database, statement, params) {
+    const table = getTable(database, statement.table);
+    const context = { table, params };
+    const before = table.rows.length;
+
+    table.rows = table.rows.filter(row => statement.where && !isTrue(evaluate(statement.where, row, context)));
+
+    return { changes: before - table.rows.length };
+}
+
+function checkNotNull(table, row) {
+    for (const column of table.columns) {
+        if (column.notNull && row[column.name] === null) {
+            throw new Error(`D1_ERROR: NOT NULL constraint failed: ${table.name}.${column.name}`);
+        }
+    }
+}
+
+// Rows (other than `self`) that share a primary key or unique column with `row`
+function findConflicts(table, row, self) {
+    const keys = [];
+    if (table.primaryKey) keys.push(table.primaryKey);
+    for (const column of table.columns) {
+        if (column.unique) keys.push([column.name]);
+    }
+
+    const conflicts = [];
+    for (const columns of keys) {
+        const values = columns.map(c => row[resolveColumn(table, c).name]);
+        // NULLs never collide
+        if (values.some(v => v === null)) continue;
+
+        for (const existing of table.rows) {
+            if (existing === self) continue;
+            if (columns.every((c, i) => compareValues(existing[resolveColumn(table, c).name], values[i]) === 0)) {
+                conflicts.push({ columns, row: existing });
+            }
+        }
+    }
+    return conflicts;
+}
+
+function cloneValue(value) {
+    return value instanceof Uint8Array ? value.slice() : value;
+}
+
+function isTrue(value) {
+    return value !== null && value !== 0 && value !== '' && !(typeof value === 'string' && Number(value) === 0);
+}
+
+// SQLite ordering: NULL < numbers < text < blobs
+function typeRank(value) {
+    if (value === null) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    return 3;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (rankA === 0) return 0;
+    if (rankA === 1) return a - b;
+    if (rankA === 2) return a < b ? -1 : a > b ? 1 : 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+// A column operand lends its affinity to a bare value on the other side
+function comparisonOperands(leftExpr, rightExpr, row, context) {
+    let left = evaluate(leftExpr, row, context);
+    let right = evaluate(rightExpr, row, context);
+
+    const leftColumn = leftExpr.type === 'column' ? resolveColumn(context.table, leftExpr.name) : null;
+    const rightColumn = rightExpr.type === 'column' ? resolveColumn(context.table, rightExpr.name) : null;
+
+    if (leftColumn && !rightColumn) right = applyComparisonAffinity(right, leftColumn.affinity);
+    if (rightColumn && !leftColumn) left = applyComparisonAffinity(left, rightColumn.affinity);
+
+    return [left, right];
+}
+
+function applyComparisonAffinity(value, affinity) {
+    if (affinity === 'BLOB') return value;
+    return applyAffinity(value, affinity);
+}
+
+function evaluate(expr, row, context) {
+    switch (expr.type) {
+        case 'literal':
+            return expr.value;
+
+        case 'param': {
+            if (expr.index > context.params.length) {
+                throw new Error(`D1_ERROR: missing binding for parameter ?${expr.index}`);
+            }
+            return context.params[expr.index - 1];
+        }
+
+        case 'now':
+            return new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+        case 'column': {
+            const column = resolveColumn(context.table, expr.name);
+            if (!row) {
+                throw new Error(`D1_ERROR: no such column: ${expr.name}`);
+            }
+            return row[column.name];
+        }
+
+        case 'logical': {
+            const left = evaluate(expr.left, row, context);
+            if (expr.op === 'AND') {
+                if (left !== null && !isTrue(left)) return 0;
+                const right = evaluate(expr.right, row, context);
+                if (right !== null && !isTrue(right)) return 0;
+                return left === null || right === null ? null : 1;
+            }
+            if (left !== null && isTrue(left)) return 1;
+            const right = evaluate(expr.right, row, context);
+            if (right !== null && isTrue(right)) return 1;
+            return left === null || right === null ? null : 0;
+        }
+
+        case 'not': {
+            const value = evaluate(expr.operand, row, context);
+            return value === null ? null : isTrue(value) ? 0 : 1;
+        }
+
+        case 'isnull': {
+            const isNull = evaluate(expr.operand, row, context) === null;
+            return (expr.negated ? !isNull : isNull) ? 1 : 0;
+        }
+
+        case 'compare': {
+            const [left, right] = comparisonOperands(expr.left, expr.right, row, context);
+            if (left === null || right === null) return null;
+
+            const order = compareValues(left, right);
+            const result = {
+                '=': order === 0,
+                '!=': order !== 0,
+                '<': order < 0,
+                '<=': order <= 0,
+                '>': order > 0,
+                '>=': order >= 0
+            }[expr.op];
+            return result ? 1 : 0;
+        }
+
+        case 'in': {
+            let sawNull = false;
+            for (const candidate of expr.values) {
+                const [left, right] = comparisonOperands(expr.operand, candidate, row, context);
+                if (left === null || right === null) {
+                    sawNull = true;
+                } else if (compareValues(left, right) === 0) {
+                    return expr.negated ? 0 : 1;
+                }
+            }
+            if (sawNull) return null;
+            return expr.negated ? 1 : 0;
+        }
+
+        case 'like': {
+            const value = evaluate(expr.operand, row, context);
+            const pattern = evaluate(expr.pattern, row, context);
+            if (value === null || pattern === null) return null;
+
+            const regex = new RegExp('^' + String(pattern)
+                .replace(/[.+^${}()|[\]\\*?]/g, '\\$&')
+                .replace(/%/g, '.*')
+                .replace(/_/g, '.') + '$', 'is');
+            const matches = regex.test(String(value));
+            return (expr.negated ? !matches : matches) ? 1 : 0;
+        }
+
+        case 'between': {
+            const [value, low] = comparisonOperands(expr.operand, expr.low, row, context);
+            const [, high] = comparisonOperands(expr.operand, expr.high, row, context);
+            if (value === null || low === null || high === null) return null;
+
+            const inside = compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+            return (expr.negated ? !inside : inside) ? 1 : 0;
+        }
+
+        case 'arithmetic': {
+            const left = evaluate(expr.left, row, context);
+            const right = evaluate(expr.right, row, context);
+            if (left === null || right === null) return null;
+
+            if (expr.op === '||') return String(left) + String(right);
+
+            const a = Number(left) || 0;
+            const b = Number(right) || 0;
+            switch (expr.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return b === 0 ? null : (Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b);
+                case '%': return b === 0 ? null : a % b;
+            }
+            break;
+        }
+
+        case 'call':
+            return evaluateCall(expr, row, context);
+    }
+
+    throw new Error(`D1_ERROR: unsupported expression ${expr.type}`);
+}
+
+function evaluateCall(expr, row, context) {
+    if (containsAggregate(expr)) {
+        const group = context.group || (row ? [row] : []);
+        const inner = { ...context, group: null };
+
+        if (expr.star) return group.length;
+
+        let values = group.map(r => evaluate(expr.args[0], r, inner)).filter(v => v !== null);
+        if (expr.distinct) values = [...new Set(values)];
+
+        switch (expr.name) {
+            case 'COUNT': return values.length;
+            case 'MAX': return values.length ? values.reduce((a, b) => compareValues(a, b) >= 0 ? a : b) : null;
+            case 'MIN': return values.length ? values.reduce((a, b) => compareValues(a, b) <= 0 ? a : b) : null;
+            case 'SUM': return values.length ? values.reduce((a, b) => a + Number(b), 0) : null;
+            case 'TOTAL': return values.reduce((a, b) => a + Number(b), 0);
+            case 'AVG': return values.length ? values.reduce((a, b) => a + Number(b), 0) / values.length : null;
+        }
+    }
+
+    const args = expr.args.map(arg => evaluate(arg, row, context));
+
+    switch (expr.name) {
+        case 'COALESCE':
+        case 'IFNULL':
+            return args.find(v => v !== null) ?? null;
+        case 'LOWER':
+            return args[0] === null ? null : String(args[0]).toLowerCase();
+        case 'UPPER':
+            return args[0] === null ? null : String(args[0]).toUpperCase();
+        case 'LENGTH':
+            return args[0] === null ? null : (args[0] instanceof Uint8Array ? args[0].length : String(args[0]).length);
+        case 'ABS':
+            return args[0] === null ? null : Math.abs(Number(args[0]));
+        case 'MAX':
+            return args.some(v => v === null) ? null : args.reduce((a, b) => compareValues(a, b) >= 0 ? a : b);
+        case 'MIN':
+            return args.some(v => v === null) ? null : args.reduce((a, b) => compareValues(a, b) <= 0 ? a : b);
+        case 'REPLACE':
+            return args.some(v => v === null) ? null : String(args[0]).split(String(args[1])).join(String(args[2]));
+    }
+
+    throw new Error(`D1_ERROR: no such function: ${expr.name}`);
+}
+
+/**
+ * R2 BUCKET
+ */
+export class LocalR2Bucket {
+    constructor() {
+        this.objects = new Map();
+    }
+
+    async put(key, value, options = {}) {
+        const bytes = await toBytes(value);
+        const object = {
+            key,
+            version: Math.random().toString(36).substr(2, 12),
+            size: bytes.byteLength,
+            etag: hashBytes(bytes),
+            uploaded: new Date(),
+            httpMetadata: { ...options.httpMetadata },
+            customMetadata: { ...options.customMetadata },
+            bytes
+        };
+        object.httpEtag = `"${object.etag}"`;
+
+        this.objects.set(key, object);
+        return describeR2Object(object);
+    }
+
+    async get(key) {
+        const object = this.objects.get(key);
+        return object ? createR2ObjectBody(object) : null;
+    }
+
+    async head(key) {
+        const object = this.objects.get(key);
+        return object ? describeR2Object(object) : null;
+    }
+
+    async delete(keys) {
+        for (const key of Array.isArray(keys) ? keys : [keys]) {
+            this.objects.delete(key);
+        }
+    }
+
+    async list(options = {}) {
+        const prefix = options.prefix || '';
+        const limit = Math.min(options.limit || 1000, 1000);
+        const keys = Array.from(this.objects.keys()).filter(k => k.startsWith(prefix)).sort();
+        const start = options.cursor ? keys.findIndex(k => k > options.cursor) : 0;
+        const page = start < 0 ? [] : keys.slice(start, start + limit);
+        const truncated = start >= 0 && start + limit < keys.length;
+
+        return {
+            objects: page.map(key => describeR2Object(this.objects.get(key))),
+            truncated,
+            cursor: truncated ? page[page.length - 1] : undefined,
+            delimitedPrefixes: []
+        };
+    }
+}
+
+function describeR2Object(object) {
+    const { bytes, ...description } = object;
+    return {
+        ...description,
+        httpMetadata: { ...object.httpMetadata },
+        customMetadata: { ...object.customMetadata },
+        writeHttpMetadata(headers) {
+            for (const [name, value] of Object.entries(object.httpMetadata)) {
+                headers.set(name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), value);
+            }
+        }
+    };
+}
+
+function createR2ObjectBody(object) {
+    const bytes = object.bytes.slice();
+
+    return {
+        ...describeR2Object(object),
+        get body() {
+            return new Blob([bytes]).stream();
+        },
+        bodyUsed: false,
+        async arrayBuffer() {
+            return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        },
+        async text() {
+            return new TextDecoder().decode(bytes);
+        },
+        async json() {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        },
+        async blob() {
+            return new Blob([bytes]);
+        }
+    };
+}
+
+async function toBytes(value) {
+    if (value === null || value === undefined) return new Uint8Array(0);
+    if (typeof value === 'string') return new TextEncoder().encode(value);
+    if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+    if (typeof value.arrayBuffer === 'function') return new Uint8Array(await value.arrayBuffer());
+    if (typeof value.getReader === 'function') return new Uint8Array(await new Response(value).arrayBuffer());
+
+    throw new Error('R2 put() expects a string, ArrayBuffer, ArrayBufferView, Blob or ReadableStream');
+}
+
+// FNV-1a, enough to give each body a stable etag
+function hashBytes(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * KV NAMESPACE
+ */
+export class LocalKVNamespace {
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => Date.now() };
+        this.entries = new Map();
+    }
+
+    async get(key, options) {
+        const entry = this.readEntry(key);
+        if (!entry) return null;
+
+        const type = typeof options === 'string' ? options : options?.type || 'text';
+        return decodeKVValue(entry.value, type);
+    }
+
+    async getWithMetadata(key, options) {
+        const entry = this.readEntry(key);
+        return {
+            value: entry ? await this.get(key, options) : null,
+            metadata: entry ? entry.metadata : null
+        };
+    }
+
+    async put(key, value, options = {}) {
+        if (!key) {
+            throw new Error('KV put() requires a non-empty key');
+        }
+
+        const now = this.clock.now();
+        let expiresAt = null;
+
+        if (options.expirationTtl !== undefined) {
+            if (options.expirationTtl < 60) {
+                throw new Error(`KV PUT failed: 400 Invalid expiration_ttl of ${options.expirationTtl}. Expiration TTL must be at least 60.`);
+            }
+            expiresAt = now + options.expirationTtl * 1000;
+        } else if (options.expiration !== undefined) {
+            expiresAt = options.expiration * 1000;
+        }
+
+        this.entries.set(key, {
+            value: typeof value === 'string' ? value : await toBytes(value),
+            metadata: options.metadata ?? null,
+            expiresAt
+        });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list(options = {}) {
+        const prefix = options.prefix || '';
+        const limit = options.limit || 1000;
+        const keys = Array.from(this.entries.keys())
+            .filter(k => k.startsWith(prefix) && this.readEntry(k))
+            .sort();
+        const start = options.cursor ? Number(options.cursor) : 0;
+        const page = keys.slice(start, start + limit);
+        const complete = start + limit >= keys.length;
+
+        return {
+            keys: page.map(name => {
+                const entry = this.entries.get(name);
+                return {
+                    name,
+                    expiration: entry.expiresAt ? Math.floor(entry.expiresAt / 1000) : undefined,
+                    metadata: entry.metadata ?? undefined
+                };
+            }),
+            list_complete: complete,
+            cursor: complete ? undefined : String(start + limit)
+        };
+    }
+
+    readEntry(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= this.clock.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+}
+
+function decodeKVValue(value, type) {
+    const text = typeof value === 'string' ? value : new TextDecoder().decode(value);
+
+    switch (type) {
+        case 'text': return text;
+        case 'json': return JSON.parse(text);
+        case 'arrayBuffer': {
+            const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value.slice();
+            return bytes.buffer;
+        }
+        case 'stream': return new Blob([value]).stream();
+    }
+
+    throw new Error(`Unknown KV response type: ${type}`);
+}
+
+/**
+ * QUEUE
+ * Messages accumulate until deliver() hands them to a consumer's queue() handler
+ */
+export class LocalQueue {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.messages = [];
+        this.deadLetters = [];
+        this.nextId = 1;
+    }
+
+    async send(body, options = {}) {
+        this.messages.push({
+            id: String(this.nextId++),
+            timestamp: new Date(),
+            body: structuredClone(body),
+            attempts: 0,
+            availableAt: Date.now() + (options.delaySeconds || 0) * 1000
+        });
+    }
+
+    async sendBatch(messages) {
+        for (const message of messages) {
+            await this.send(message.body, message);
+        }
+    }
+
+    /**
+     * Deliver ready messages to `worker.queue(batch, env, ctx)`
+     * Unacknowledged messages are retried up to maxRetries, then dead-lettered
+     */
+    async deliver(worker, env, ctx = createExecutionContext(), options = {}) {
+        const now = options.now ?? Date.now();
+        const ready = this.messages.filter(m => m.availableAt <= now).slice(0, options.batchSize || 100);
+        if (ready.length === 0) return { delivered: 0, acked: 0, retried: 0 };
+
+        const outcome = new Map(ready.map(m => [m.id, 'pending']));
+        const batch = {
+            queue: this.name,
+            messages: ready.map(message => ({
+                id: message.id,
+                timestamp: message.timestamp,
+                body: structuredClone(message.body),
+                attempts: message.attempts + 1,
+                ack: () => outcome.set(message.id, 'ack'),
+                retry: () => outcome.set(message.id, 'retry')
+            })),
+            ackAll: () => ready.forEach(m => outcome.set(m.id, 'ack')),
+            retryAll: () => ready.forEach(m => outcome.set(m.id, 'retry'))
+        };
+
+        let failed = false;
+        try {
+            await worker.queue(batch, env, ctx);
+        } catch (error) {
+            failed = true;
+        }
+
+        let acked = 0;
+        let retried = 0;
+        for (const message of ready) {
+            const state = outcome.get(message.id);
+            // A handler that returns normally implicitly acks the rest of the batch
+            const done = state === 'ack' || (state === 'pending' && !failed);
+
+            if (done) {
+                this.messages.splice(this.messages.indexOf(message), 1);
+                acked++;
+                continue;
+            }
+
+            message.attempts++;
+            retried++;
+            if (message.attempts > this.maxRetries) {
+                this.messages.splice(this.messages.indexOf(message), 1);
+                this.deadLetters.push(message);
+            }
+        }
+
+        return { delivered: ready.length, acked, retried };
+    }
+}
+
+/**
+ * DURABLE OBJECTS
+ */
+export class LocalDurableObjectNamespace {
+    constructor(DurableObjectClass, env) {
+        this.DurableObjectClass = DurableObjectClass;
+        this.env = env;
+        this.instances = new Map();
+    }
+
+    idFromName(name) {
+        return new LocalDurableObjectId(hashName(name), name);
+    }
+
+    newUniqueId() {
+        const bytes = new Uint8Array(32);
+        crypto.getRandomValues(bytes);
+        return new LocalDurableObjectId(Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''));
+    }
+
+    idFromString(hex) {
+        if (!/^[0-9a-f]{64}$/.test(hex)) {
+            throw new TypeError('Invalid Durable Object ID: must be 64 hex digits');
+        }
+        return new LocalDurableObjectId(hex);
+    }
+
+    get(id) {
+        return {
+            id,
+            name: id.name,
+            fetch: async (input, init) => {
+                const instance = this.getInstance(id);
+                const request = input instanceof Request && !init ? input : new Request(input, init);
+                return instance.fetch(request);
+            }
+        };
+    }
+
+    getInstance(id) {
+        const key = id.toString();
+        if (!this.instances.has(key)) {
+            const state = new LocalDurableObjectState(id);
+            this.instances.set(key, new this.DurableObjectClass(state, this.env));
+        }
+        return this.instances.get(key);
+    }
+}
+
+export class LocalDurableObjectId {
+    constructor(hex, name) {
+        this.hex = hex;
+        this.name = name;
+    }
+
+    toString() {
+        return this.hex;
+    }
+
+    equals(other) {
+        return other instanceof LocalDurableObjectId && other.hex === this.hex;
+    }
+}
+
+// Deterministic 64-hex id so idFromName is stable across runs
+function hashName(name) {
+    let hex = '';
+    let seed = 0x811c9dc5;
+    for (let round = 0; round < 8; round++) {
+        let hash = seed ^ round;
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        seed = hash;
+        hex += hash.toString(16).padStart(8, '0');
+    }
+    return hex;
+}
+
+export class LocalDurableObjectState {
+    constructor(id) {
+        this.id = id;
+        this.storage = new LocalDurableObjectStorage();
+        this.waiting = [];
+    }
+
+    async blockConcurrencyWhile(callback) {
+        return callback();
+    }
+
+    waitUntil(promise) {
+        this.waiting.push(Promise.resolve(promise));
+    }
+}
+
+export class LocalDurableObjectStorage {
+    constructor() {
+        this.data = new Map();
+        this.alarm = null;
+    }
+
+    async get(keys) {
+        if (Array.isArray(keys)) {
+            const found = new Map();
+            for (const key of keys) {
+                if (this.data.has(key)) found.set(key, structuredClone(this.data.get(key)));
+            }
+            return found;
+        }
+        return this.data.has(keys) ? structuredClone(this.data.get(keys)) : undefined;
+    }
+
+    async put(keyOrEntries, value) {
+        if (typeof keyOrEntries === 'object') {
+            for (const [key, entry] of Object.entries(keyOrEntries)) {
+                this.data.set(key, structuredClone(entry));
+            }
+            return;
+        }
+        this.data.set(keyOrEntries, structuredClone(value));
+    }
+
+    async delete(keys) {
+        if (Array.isArray(keys)) {
+            return keys.filter(key => this.data.delete(key)).length;
+        }
+        return this.data.delete(keys);
+    }
+
+    async deleteAll() {
+        this.data.clear();
+    }
+
+    async list(options = {}) {
+        let keys = Array.from(this.data.keys()).sort();
+        if (options.prefix) keys = keys.filter(k => k.startsWith(options.prefix));
+        if (options.start) keys = keys.filter(k => k >= options.start);
+        if (options.end) keys = keys.filter(k => k < options.end);
+        if (options.reverse) keys.reverse();
+        if (options.limit) keys = keys.slice(0, options.limit);
+
+        return new Map(keys.map(key => [key, structuredClone(this.data.get(key))]));
+    }
+
+    // Writes inside the callback land together or not at all
+    async transaction(callback) {
+        const snapshot = new Map(this.data);
+        try {
+            return await callback(this);
+        } catch (error) {
+            this.data = snapshot;
+            throw error;
+        }
+    }
+
+    async getAlarm() {
+        return this.alarm;
+    }
+
+    async setAlarm(time) {
+        this.alarm = time instanceof Date ? time.getTime() : time;
+    }
+
+    async deleteAlarm() {
+        this.alarm = null;
+    }
+}
+
+/**
+ * WEBSOCKETS
+ */
+export class LocalWebSocket extends EventTarget {
+    constructor() {
+        super();
+        this.peer = null;
+        this.accepted = false;
+        this.readyState = 1; // OPEN
+        this.pending = [];
+    }
+
+    accept() {
+        if (this.accepted) return;
+        this.accepted = true;
+
+        // Events queued before accept() are delivered now
+        for (const event of this.pending.splice(0)) {
+            this.dispatchEvent(event);
+        }
+    }
+
+    send(message) {
+        if (this.readyState !== 1) {
+            throw new Error('WebSocket is not open');
+        }
+        if (!this.accepted) {
+            throw new Error('You must call accept() on this WebSocket before sending messages');
+        }
+
+        const event = new MessageEvent('message', { data: message });
+        queueMicrotask(() => this.peer.deliver(event));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== 1) return;
+        this.readyState = 3; // CLOSED
+
+        const event = createCloseEvent(code, reason);
+        queueMicrotask(() => {
+            this.dispatchEvent(createCloseEvent(code, reason));
+            if (this.peer.readyState === 1) {
+                this.peer.readyState = 3;
+                this.peer.deliver(event);
+            }
+        });
+    }
+
+    deliver(event) {
+        if (this.accepted) {
+            this.dispatchEvent(event);
+        } else {
+            this.pending.push(event);
+        }
+    }
+}
+
+function createCloseEvent(code, reason) {
+    const event = new Event('close');
+    event.code = code;
+    event.reason = reason;
+    event.wasClean = true;
+    return event;
+}
+
+export class LocalWebSocketPair {
+    constructor() {
+        const client = new LocalWebSocket();
+        const server = new LocalWebSocket();
+        client.peer = server;
+        server.peer = client;
+
+        this[0] = client;
+        this[1] = server;
+    }
+}
@@ -0,0 +1,628 @@
+/**
+ * CLOUDFLARE WORKER HARNESS
+ * End-to-end checks for cloudflare_workers_backend.js running on cloudflare_local_env.js
+ *
+ * Every check gets a freshly seeded environment and talks to the worker only
+ * through its real entry points (fetch / scheduled), covering licenses, models,
+ * pattern sync, reviews, the /ws upgrade and the scheduled cleanup.
+ *
+ * Run:
+ *   node --experimental-detect-module cloudflare_worker_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runWorkerChecks() can also be imported
+ * to drive the same checks from another script.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import worker, { SyncDurableObject } from './cloudflare_workers_backend.js';
+import { createLocalEnv, createExecutionContext, installWorkerGlobals } from './cloudflare_local_env.js';
+
+const BASE_URL = 'https://aevov-worker.local';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the D1 schema documented at the bottom of the worker
+ */
+export async function loadWorkerSchema() {
+    const source = await readFile(new URL('./cloudflare_workers_backend.js', import.meta.url), 'utf8');
+    const start = source.indexOf('Database Schema (D1)');
+    if (start === -1) {
+        throw new Error('Database Schema (D1) block not found in cloudflare_workers_backend.js');
+    }
+
+    const block = source.slice(start, source.indexOf('*/', start));
+    return block
+        .split('\n')
+        .slice(1)
+        .map(line => line.replace(/^\s*\*\s?/, ''))
+        .join('\n');
+}
+
+/**
+ * Seeded environment plus request helpers
+ */
+export async function createWorkerFixture(schema) {
+    const env = createLocalEnv({ durableObjects: { SYNC_DO: SyncDurableObject } });
+    const ctx = createExecutionContext();
+    await env.DB.exec(schema || await loadWorkerSchema());
+
+    const future = new Date(Date.now() + 365 * DAY).toISOString();
+    const past = new Date(Date.now() - DAY).toISOString();
+
+    await env.DB.batch([
+        env.DB.prepare('INSERT INTO licenses (key, tier, user_id, status, valid_until) VALUES (?, ?, ?, ?, ?)')
+            .bind('LIC-PRO', 'pro', 'user-pro', 'active', future),
+        env.DB.prepare('INSERT INTO licenses (key, tier, user_id, status, valid_until) VALUES (?, ?, ?, ?, ?)')
+            .bind('LIC-FREE', 'free', 'user-free', 'active', future),
+        env.DB.prepare('INSERT INTO licenses (key, tier, user_id, status, valid_until) VALUES (?, ?, ?, ?, ?)')
+            .bind('LIC-NEW', 'enterprise', 'user-new', 'inactive', future),
+        env.DB.prepare('INSERT INTO licenses (key, tier, user_id, status, valid_until) VALUES (?, ?, ?, ?, ?)')
+            .bind('LIC-LAPSED', 'pro', 'user-lapsed', 'active', past),
+        env.DB.prepare('INSERT INTO models (id, name, version, tier, description, size) VALUES (?, ?, ?, ?, ?, ?)')
+            .bind('general-free', 'General', '1.0.0', 'free', 'Starter patterns', 1024),
+        env.DB.prepare('INSERT INTO models (id, name, version, tier, description, size) VALUES (?, ?, ?, ?, ?, ?)')
+            .bind('reasoning-pro', 'Reasoning', '2.1.0', 'pro', 'ARMsquare reasoning', 4096),
+        env.DB.prepare('INSERT INTO models (id, name, version, tier, description, size) VALUES (?, ?, ?, ?, ?, ?)')
+            .bind('swarm-enterprise', 'Swarm', '3.0.0', 'enterprise', 'Distributed swarm', 8192),
+        env.DB.prepare('INSERT INTO reviews (platform, username, verified) VALUES (?, ?, ?)')
+            .bind('github', 'octocat', 1),
+        env.DB.prepare('INSERT INTO reviews (platform, username, verified) VALUES (?, ?, ?)')
+            .bind('twitter', 'pending-user', 0)
+    ]);
+
+    await env.MODELS.put('general-free.aev', JSON.stringify({ format: 'aev', patterns: [{ id: 'p1' }] }), {
+        customMetadata: { version: '1.0.0' }
+    });
+    await env.MODELS.put('reasoning-pro.aev', new Uint8Array([0x89, 0x41, 0x45, 0x56, 0x0d, 0x0a, 0x1a, 0x0a, 2, 0, 0, 0]), {
+        customMetadata: { version: '2.1.0' }
+    });
+
+    const fetch = (path, init = {}) => worker.fetch(new Request(BASE_URL + path, init), env, ctx);
+
+    return {
+        env,
+        ctx,
+        fetch,
+
+        async post(path, body, headers = {}) {
+            const response = await fetch(path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: typeof body === 'string' ? body : JSON.stringify(body)
+            });
+            return { status: response.status, headers: response.headers, body: await response.json() };
+        },
+
+        sync(license, body) {
+            return this.post('/sync/patterns', body, { Authorization: `Bearer ${license}` });
+        },
+
+        async connect(license) {
+            const response = await fetch(`/ws?license=${encodeURIComponent(license)}`, {
+                headers: { Upgrade: 'websocket' }
+            });
+            if (response.status !== 101) {
+                throw new Error(`WebSocket upgrade failed with ${response.status}`);
+            }
+
+            const socket = response.webSocket;
+            const inbox = [];
+            const waiters = [];
+            socket.accept();
+            socket.addEventListener('message', (event) => {
+                const message = JSON.parse(event.data);
+                const waiter = waiters.shift();
+                waiter ? waiter(message) : inbox.push(message);
+            });
+
+            socket.next = (timeout = 1000) => inbox.length > 0
+                ? Promise.resolve(inbox.shift())
+                : new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => reject(new Error('Timed out waiting for WebSocket message')), timeout);
+                    waiters.push((message) => {
+                        clearTimeout(timer);
+                        resolve(message);
+                    });
+                });
+
+            return socket;
+        },
+
+        async scheduled() {
+            await worker.scheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env, ctx);
+            await ctx.flush();
+        }
+    };
+}
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+const upsert = (id, updatedAt, pattern) => ({ id, op: 'upsert', updatedAt, pattern: { id, ...pattern } });
+
+/**
+ * CHECKS
+ */
+export const WORKER_CHECKS = [
+    {
+        name: 'CORS preflight answers with allow headers',
+        async run(fx) {
+            const response = await fx.fetch('/licenses/validate', { method: 'OPTIONS' });
+            assertEqual(response.status, 200, 'preflight status');
+            assertEqual(response.headers.get('Access-Control-Allow-Origin'), '*', 'allow origin');
+            assert(response.headers.get('Access-Control-Allow-Headers').includes('Authorization'), 'Authorization header allowed');
+        }
+    },
+    {
+        name: 'unknown routes return 404 with CORS headers',
+        async run(fx) {
+            for (const path of ['/nope', '/licenses/nope', '/models/nope', '/sync/nope', '/reviews/nope']) {
+                const response = await fx.fetch(path, { method: 'POST', body: '{}' });
+                assertEqual(response.status, 404, `${path} status`);
+                assertEqual(response.headers.get('Access-Control-Allow-Origin'), '*', `${path} CORS`);
+            }
+        }
+    },
+    {
+        name: 'malformed request bodies surface as 500 JSON errors',
+        async run(fx) {
+            const { status, body, headers } = await fx.post('/licenses/validate', 'not json');
+            assertEqual(status, 500, 'status');
+            assert(typeof body.error === 'string', 'error message present');
+            assertEqual(headers.get('Access-Control-Allow-Origin'), '*', 'CORS on errors');
+        }
+    },
+    {
+        name: 'licenses/validate reads D1 and caches in KV',
+        async run(fx) {
+            const first = await fx.post('/licenses/validate', { key: 'LIC-PRO' });
+            assertEqual(first.body, { valid: true, tier: 'pro', userId: 'user-pro' }, 'first validation');
+
+            const cached = await fx.env.LICENSES.get('LIC-PRO', 'json');
+            assertEqual(cached.tier, 'pro', 'KV cache entry');
+
+            // Served from KV even after D1 changes
+            await fx.env.DB.prepare('UPDATE licenses SET status = ? WHERE key = ?').bind('revoked', 'LIC-PRO').run();
+            const second = await fx.post('/licenses/validate', { key: 'LIC-PRO' });
+            assertEqual(second.body.valid, true, 'cached validation');
+
+            const unknown = await fx.post('/licenses/validate', { key: 'LIC-MISSING' });
+            assertEqual(unknown.body, { valid: false }, 'unknown key');
+        }
+    },
+    {
+        name: 'licenses/activate activates an inactive key exactly once',
+        async run(fx) {
+            const activated = await fx.post('/licenses/activate', { key: 'LIC-NEW' });
+            assertEqual(activated.body, { valid: true, tier: 'enterprise', userId: 'user-new' }, 'activation');
+
+            const row = await fx.env.DB.prepare('SELECT status, activated_at FROM licenses WHERE key = ?').bind('LIC-NEW').first();
+            assertEqual(row.status, 'active', 'stored status');
+            assert(row.activated_at, 'activated_at recorded');
+            assert(await fx.env.LICENSES.get('LIC-NEW'), 'cached after activation');
+
+            const again = await fx.post('/licenses/activate', { key: 'LIC-NEW' });
+            assertEqual(again.status, 400, 'second activation rejected');
+        }
+    },
+    {
+        name: 'models/available filters by tier',
+        async run(fx) {
+            const ids = async (query) => {
+                const response = await fx.fetch(`/models/available${query}`);
+                return (await response.json()).models.map(m => m.id).sort();
+            };
+
+            assertEqual(await ids(''), ['general-free'], 'default tier');
+            assertEqual(await ids('?tier=free'), ['general-free'], 'free tier');
+            assertEqual(await ids('?tier=pro'), ['general-free', 'reasoning-pro'], 'pro tier');
+            assertEqual(await ids('?tier=enterprise'), ['general-free', 'reasoning-pro', 'swarm-enterprise'], 'enterprise tier');
+        }
+    },
+    {
+        name: 'models/download serves JSON and binary .aev models and logs usage',
+        async run(fx) {
+            const denied = await fx.post('/models/download', { modelId: 'general-free', licenseKey: 'LIC-MISSING' });
+            assertEqual(denied.status, 403, 'invalid license');
+
+            const missing = await fx.post('/models/download', { modelId: 'nope', licenseKey: 'LIC-PRO' });
+            assertEqual(missing.status, 404, 'missing model');
+
+            const legacy = await fx.post('/models/download', { modelId: 'general-free', licenseKey: 'LIC-PRO' });
+            assertEqual(legacy.body.version, '1.0.0', 'legacy version');
+            assertEqual(legacy.body.data.patterns.length, 1, 'legacy model inline');
+
+            const response = await fx.fetch('/models/download', {
+                method: 'POST',
+                body: JSON.stringify({ modelId: 'reasoning-pro', licenseKey: 'LIC-PRO' })
+            });
+            assertEqual(response.headers.get('Content-Type'), 'application/x-aev', 'binary content type');
+            assertEqual(response.headers.get('X-Model-Version'), '2.1.0', 'binary version header');
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            assertEqual(Array.from(bytes.slice(0, 4)), [0x89, 0x41, 0x45, 0x56], 'magic bytes intact');
+
+            const logs = fx.env.DB.dump('usage_logs');
+            assertEqual(logs.map(l => l.action), ['model_download', 'model_download'], 'downloads logged');
+        }
+    },
+    {
+        name: 'models/check-updates reports newer versions',
+        async run(fx) {
+            const { body } = await fx.post('/models/check-updates', {
+                tier: 'pro',
+                currentVersions: [
+                    { id: 'general-free', version: '1.0.0' },
+                    { id: 'reasoning-pro', version: '2.0.9' }
+                ]
+            });
+            assertEqual(body.updates, [
+                { model: 'reasoning-pro', currentVersion: '2.0.9', newVersion: '2.1.0' }
+            ], 'updates');
+        }
+    },
+    {
+        name: 'sync/patterns requires a valid license',
+        async run(fx) {
+            const anonymous = await fx.post('/sync/patterns', { changes: [] });
+            assertEqual(anonymous.status, 401, 'missing Authorization');
+
+            const invalid = await fx.sync('LIC-MISSING', { changes: [] });
+            assertEqual(invalid.status, 403, 'invalid license');
+        }
+    },
+    {
+        name: 'sync/patterns pushes and pulls deltas by cursor',
+        async run(fx) {
+            const push = await fx.sync('LIC-PRO', {
+                nodeId: 'node-a',
+                changes: [upsert('p1', 100, { text: 'one' }), upsert('p2', 100, { text: 'two' }), upsert('p3', 100, { text: 'three' })]
+            });
+            assertEqual(push.body.applied.map(a => a.status), ['applied', 'applied', 'applied'], 'push statuses');
+            assertEqual(push.body.changes, [], 'own writes not echoed');
+            assertEqual(push.body.cursor, '3', 'cursor after push');
+
+            const pull = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: null });
+            assertEqual(pull.body.changes.map(c => c.id), ['p1', 'p2', 'p3'], 'full pull');
+            assertEqual(pull.body.hasMore, false, 'single page');
+
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p2', 200, { text: 'two v2' })] });
+
+            const delta = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: pull.body.cursor });
+            assertEqual(delta.body.changes.map(c => [c.id, c.pattern.text]), [['p2', 'two v2']], 'delta pull');
+
+            // Licenses never see each other's patterns
+            const other = await fx.sync('LIC-FREE', { nodeId: 'node-c', cursor: null });
+            assertEqual(other.body.changes, [], 'license isolation');
+        }
+    },
+    {
+        name: 'sync/patterns resolves conflicts last-writer-wins',
+        async run(fx) {
+            await fx.sync('LIC-PRO', { nodeId: 'node-b', changes: [upsert('p1', 500, { text: 'newer' })] });
+
+            const older = await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 400, { text: 'older' })] });
+            assertEqual(older.body.applied[0].status, 'stale', 'older write loses');
+            assertEqual(older.body.changes.map(c => c.pattern.text), ['newer'], 'loser receives the winner');
+
+            // Equal timestamps: the higher node id wins everywhere
+            const tie = await fx.sync('LIC-PRO', { nodeId: 'node-c', changes: [upsert('p1', 500, { text: 'tie' })] });
+            assertEqual(tie.body.applied[0].status, 'applied', 'tie broken by node id');
+
+            const farFuture = await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', Date.now() + 365 * DAY, { text: 'skewed' })] });
+            const stored = await fx.env.DB.prepare('SELECT updated_at FROM pattern_changes WHERE pattern_id = ?').bind('p1').first();
+            assertEqual(farFuture.body.applied[0].status, 'applied', 'skewed write applied');
+            assert(stored.updated_at < Date.now() + 365 * DAY - DAY, 'future clocks are clamped');
+        }
+    },
+    {
+        name: 'sync/patterns merge strategy unions lists and keeps max counters',
+        async run(fx) {
+            await fx.sync('LIC-PRO', {
+                nodeId: 'node-a',
+                changes: [upsert('p1', 200, { text: 'a', keywords: ['alpha'], usage_count: 2 })]
+            });
+
+            const merged = await fx.sync('LIC-PRO', {
+                nodeId: 'node-b',
+                strategy: 'merge',
+                changes: [upsert('p1', 100, { text: 'b', keywords: ['beta'], usage_count: 7, extra: true })]
+            });
+            assertEqual(merged.body.applied[0].status, 'merged', 'merge status');
+
+            const pattern = merged.body.changes[0].pattern;
+            assertEqual(pattern.text, 'a', 'newer scalar wins');
+            assertEqual(pattern.keywords, ['alpha', 'beta'], 'keywords unioned');
+            assertEqual(pattern.usage_count, 7, 'counter keeps max');
+            assertEqual(pattern.extra, true, 'new fields kept');
+
+            const repeat = await fx.sync('LIC-PRO', {
+                nodeId: 'node-b',
+                strategy: 'merge',
+                changes: [upsert('p1', 100, { text: 'b', keywords: ['beta'], usage_count: 7, extra: true })]
+            });
+            assertEqual(repeat.body.applied[0].status, 'stale', 'idempotent merge');
+        }
+    },
+    {
+        name: 'sync/patterns propagates deletes as tombstones',
+        async run(fx) {
+            const first = await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 100, {}), upsert('p2', 100, {})] });
+            const observer = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: null });
+
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', cursor: first.body.cursor, changes: [{ id: 'p1', op: 'delete', updatedAt: 200 }] });
+
+            const delta = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: observer.body.cursor });
+            assertEqual(delta.body.changes.map(c => [c.id, c.op, c.pattern]), [['p1', 'delete', null]], 'tombstone pulled');
+
+            const resurrect = await fx.sync('LIC-PRO', { nodeId: 'node-c', changes: [upsert('p1', 150, {})] });
+            assertEqual(resurrect.body.applied[0].status, 'stale', 'older upsert cannot resurrect');
+        }
+    },
+    {
+        name: 'sync/patterns returns the merged row to a caller with a cursor',
+        async run(fx) {
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 100, { text: 'a', keywords: ['alpha'] })] });
+            const pull = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: null });
+
+            // node-b's write is newer, so the merged row is stamped as its own
+            const merged = await fx.sync('LIC-PRO', {
+                nodeId: 'node-b',
+                cursor: pull.body.cursor,
+                strategy: 'merge',
+                changes: [upsert('p1', 200, { text: 'b', keywords: ['beta'] })]
+            });
+            assertEqual(merged.body.changes, [], 'merged row not in the pull');
+
+            const [entry] = merged.body.applied;
+            assertEqual([entry.status, entry.op, entry.nodeId, entry.updatedAt], ['merged', 'upsert', 'node-b', 200], 'merged entry');
+            assertEqual(entry.pattern, { id: 'p1', text: 'b', keywords: ['beta', 'alpha'] }, 'merged pattern returned');
+        }
+    },
+    {
+        name: 'sync/patterns returns the winning row for a stale push with a cursor',
+        async run(fx) {
+            await fx.sync('LIC-PRO', {
+                nodeId: 'node-a',
+                changes: [upsert('p1', 500, { text: 'newer' }), { id: 'p2', op: 'delete', updatedAt: 500 }]
+            });
+            const pull = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: null });
+
+            const stale = await fx.sync('LIC-PRO', {
+                nodeId: 'node-b',
+                cursor: pull.body.cursor,
+                changes: [upsert('p1', 400, { text: 'older' }), upsert('p2', 400, { text: 'revived' })]
+            });
+            assertEqual(stale.body.changes, [], 'winning rows are at or below the cursor');
+            assertEqual(
+                stale.body.applied.map(a => [a.id, a.status, a.op, a.nodeId, a.updatedAt, a.pattern]),
+                [['p1', 'stale', 'upsert', 'node-a', 500, { id: 'p1', text: 'newer' }], ['p2', 'stale', 'delete', 'node-a', 500, null]],
+                'stale entries carry the winners'
+            );
+        }
+    },
+    {
+        name: 'sync/patterns paginates with hasMore',
+        async run(fx) {
+            const changes = Array.from({ length: 7 }, (_, i) => upsert(`p${i}`, 100, { n: i }));
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes });
+
+            let cursor = null;
+            const seen = [];
+            let pages = 0;
+            for (;;) {
+                const { body } = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor, limit: 3 });
+                seen.push(...body.changes.map(c => c.id));
+                cursor = body.cursor;
+                pages++;
+                if (!body.hasMore) break;
+            }
+
+            assertEqual(pages, 3, 'page count');
+            assertEqual(seen, changes.map(c => c.id), 'every change once, in order');
+        }
+    },
+    {
+        name: 'sync/patterns rejects malformed changes',
+        async run(fx) {
+            const cases = [
+                { changes: 'nope' },
+                { changes: [{ id: 'p1', op: 'rename', updatedAt: 1 }] },
+                { changes: [{ op: 'upsert', updatedAt: 1, pattern: {} }] },
+                { changes: [{ id: 'p1', op: 'upsert', updatedAt: 'yesterday', pattern: {} }] },
+                { changes: [{ id: 'p1', op: 'upsert', updatedAt: 1 }] }
+            ];
+
+            for (const body of cases) {
+                const response = await fx.sync('LIC-PRO', body);
+                assertEqual(response.status, 400, `rejects ${JSON.stringify(body)}`);
+            }
+            assertEqual(fx.env.DB.dump('pattern_changes'), [], 'nothing stored');
+        }
+    },
+    {
+        name: 'sync/patterns accepts legacy full-array pushes',
+        async run(fx) {
+            const { body } = await fx.sync('LIC-PRO', { patterns: [{ id: 'legacy-1', text: 'x' }, { id: 'legacy-2', text: 'y' }] });
+            assertEqual(body.applied.map(a => a.id), ['legacy-1', 'legacy-2'], 'legacy patterns upserted');
+
+            const syncs = fx.env.DB.dump('pattern_syncs');
+            assertEqual(syncs.map(s => s.pattern_count), [2], 'sync recorded');
+        }
+    },
+    {
+        name: '/ws rejects plain requests and invalid licenses',
+        async run(fx) {
+            const plain = await fx.fetch('/ws?license=LIC-PRO');
+            assertEqual(plain.status, 426, 'upgrade required');
+
+            const invalid = await fx.fetch('/ws?license=LIC-MISSING', { headers: { Upgrade: 'websocket' } });
+            assertEqual(invalid.status, 403, 'invalid license');
+        }
+    },
+    {
+        name: '/ws upgrade streams compact change notifications',
+        async run(fx) {
+            const first = await fx.connect('LIC-PRO');
+            const second = await fx.connect('LIC-PRO');
+            const outsider = await fx.connect('LIC-FREE');
+
+            first.send(JSON.stringify({ type: 'ping' }));
+            assertEqual(await first.next(), { type: 'pong' }, 'ping answered');
+
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 100, { text: 'large body' })] });
+
+            const expected = { type: 'patterns-changed', cursor: '1', count: 1, ids: ['p1'], nodeId: 'node-a' };
+            assertEqual(await first.next(), expected, 'first socket notified');
+            assertEqual(await second.next(), expected, 'second socket notified');
+
+            let leaked = null;
+            await outsider.next(50).then(message => { leaked = message; }, () => {});
+            assertEqual(leaked, null, 'other licenses not notified');
+
+            const room = fx.env.SYNC_DO.getInstance(fx.env.SYNC_DO.idFromName('LIC-PRO'));
+            second.close();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            assertEqual(room.sessions.size, 1, 'closed socket removed');
+        }
+    },
+    {
+        name: 'reviews/verify issues a working reviewer license',
+        async run(fx) {
+            const verified = await fx.post('/reviews/verify', { platform: 'github', username: 'octocat' });
+            assertEqual(verified.body.verified, true, 'verified review');
+            assert(verified.body.licenseKey.startsWith('REVIEWER-GITHUB-'), 'reviewer key format');
+
+            const validation = await fx.post('/licenses/validate', { key: verified.body.licenseKey });
+            assertEqual(validation.body, { valid: true, tier: 'free-reviewer', userId: 'octocat' }, 'reviewer license usable');
+
+            const pending = await fx.post('/reviews/verify', { platform: 'twitter', username: 'pending-user' });
+            assertEqual(pending.body, { verified: false }, 'unverified review');
+        }
+    },
+    {
+        name: 'scheduled cleanup expires licenses, old syncs and tombstones',
+        async run(fx) {
+            const reviewer = await fx.post('/reviews/verify', { platform: 'github', username: 'octocat' });
+
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 100, {}), upsert('p2', 100, {})] });
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [{ id: 'p1', op: 'delete', updatedAt: 200 }] });
+
+            // Age the tombstone and one sync record past their retention
+            await fx.env.DB.prepare('UPDATE pattern_changes SET server_time = ? WHERE deleted = 1')
+                .bind(Date.now() - 31 * DAY).run();
+            await fx.env.DB.prepare('INSERT INTO pattern_syncs (license_key, timestamp, pattern_count) VALUES (?, ?, ?)')
+                .bind('LIC-PRO', new Date(Date.now() - 31 * DAY).toISOString(), 9).run();
+
+            await fx.scheduled();
+
+            const statuses = Object.fromEntries(fx.env.DB.dump('licenses').map(l => [l.key, l.status]));
+            assertEqual(statuses['LIC-LAPSED'], 'expired', 'lapsed license expired');
+            assertEqual(statuses['LIC-PRO'], 'active', 'valid license untouched');
+            assertEqual(statuses[reviewer.body.licenseKey], 'active', 'non-expiring reviewer license untouched');
+
+            assertEqual(fx.env.DB.dump('pattern_syncs').map(s => s.pattern_count), [2, 1], 'old sync records removed');
+            assertEqual(fx.env.DB.dump('pattern_changes').map(c => c.pattern_id), ['p2'], 'tombstone pruned');
+
+            const stale = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: '1' });
+            assertEqual(stale.body.reset, true, 'cursor behind pruning horizon resets');
+            assertEqual(stale.body.changes.map(c => c.id), ['p2'], 'reset returns live snapshot');
+
+            const fresh = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: '3' });
+            assertEqual(fresh.body.reset, false, 'current cursor keeps going');
+        }
+    },
+    {
+        name: 'tombstone pruning during a push keeps pruned_seq',
+        async run(fx) {
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p1', 100, {}), upsert('p2', 100, {})] });
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [{ id: 'p1', op: 'delete', updatedAt: 200 }] });
+            await fx.env.DB.prepare('UPDATE pattern_changes SET server_time = ? WHERE deleted = 1')
+                .bind(Date.now() - 31 * DAY).run();
+
+            // The cleanup runs after the push has read sync_state, before its batch commits
+            const batch = fx.env.DB.batch.bind(fx.env.DB);
+            let pruned = false;
+            fx.env.DB.batch = async (statements) => {
+                if (!pruned) {
+                    pruned = true;
+                    await fx.scheduled();
+                }
+                return batch(statements);
+            };
+
+            await fx.sync('LIC-PRO', { nodeId: 'node-a', changes: [upsert('p2', 300, { text: 'v2' })] });
+            assert(pruned, 'cleanup ran inside the push');
+
+            const state = await fx.env.DB.prepare('SELECT seq, pruned_seq FROM sync_state WHERE license_key = ?')
+                .bind('LIC-PRO').first();
+            assertEqual([state.seq, state.pruned_seq], [4, 3], 'seq advanced, pruned_seq kept');
+
+            const stale = await fx.sync('LIC-PRO', { nodeId: 'node-b', cursor: '1' });
+            assertEqual(stale.body.reset, true, 'cursor behind the pruned tombstone resets');
+        }
+    }
+];
+
+/**
+ * RUN WORKER CHECKS
+ */
+export async function runWorkerChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = WORKER_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const schema = await loadWorkerSchema();
+    const restoreGlobals = installWorkerGlobals();
+    const results = [];
+
+    // The worker logs its own progress and errors; keep the report readable
+    const { log: consoleLog, error: consoleError } = console;
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+        for (const check of checks) {
+            const started = Date.now();
+            try {
+                const fixture = await createWorkerFixture(schema);
+                await check.run(fixture);
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+        restoreGlobals();
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 Cloudflare worker harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runWorkerChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
@@ -8,9 +8,9 @@
  * - /models/available - Get available models
  * - /models/download - Download model
  * - /models/check-updates - Check for updates
- * - /sync/patterns - Pattern sync
+ * - /sync/patterns - Pattern delta sync (see Pattern Sync Protocol below)
  * - /reviews/verify - Review verification
- * - /ws - WebSocket for real-time sync
+ * - /ws?license=KEY - WebSocket for real-time change notifications
  * 
  * Features:
  * - Edge computing for low latency
@@ -63,7 +63,7 @@ async function handleRequest(request, env, ctx) {
         } else if (path.startsWith('/reviews/')) {
             response = await handleReviewsRequest(request, env, path);
         } else if (path === '/ws') {
-            return handleWebSocket(request, env);
+            return await handleWebSocket(request, env);
         } else {
             response = new Response('Not Found', { status: 404 });
         }
@@ -203,11 +203,12 @@ async function handleModelsRequest(request, env, path) {
 async function getAvailableModels(request, env) {
     const url = new URL(request.url);
     const tier = url.searchParams.get('tier') || 'free';
+    const tiers = getTiersUpTo(tier);
     
     // Get models from D1
     const results = await env.DB.prepare(
-        'SELECT id, name, version, tier, description, size FROM models WHERE tier <= ? ORDER BY tier, name'
-    ).bind(getTierLevel(tier)).all();
+        `SELECT id, name, version, tier, description, size FROM models WHERE tier IN (${placeholders(tiers)}) ORDER BY tier, name`
+    ).bind(...tiers).all();
     
     return jsonResponse({
         models: results.results
@@ -240,13 +241,25 @@ async function downloadModel(request, env) {
     // Track download
     await trackUsage(licenseKey, 'model_download', modelId, env);
     
-    const modelData = await modelObject.text();
+    const version = modelObject.customMetadata?.version || '1.0';
+    const modelData = new Uint8Array(await modelObject.arrayBuffer());
+    
+    // Binary .aev containers are served as-is; legacy JSON models stay inline
+    if (isAevContainer(modelData)) {
+        return new Response(modelData, {
+            headers: {
+                'Content-Type': 'application/x-aev',
+                'Content-Disposition': `attachment; filename="${modelId}.aev"`,
+                'X-Model-Version': version
+            }
+        });
+    }
     
     return jsonResponse({
         success: true,
         modelId,
-        version: modelObject.customMetadata?.version || '1.0',
-        data: JSON.parse(modelData)
+        version,
+        data: JSON.parse(new TextDecoder().decode(modelData))
     });
 }
 
@@ -255,11 +268,12 @@ async function downloadModel(request, env) {
  */
 async function checkModelUpdates(request, env) {
     const { tier, currentVersions } = await request.json();
+    const tiers = getTiersUpTo(tier);
     
     // Get latest versions from D1
     const results = await env.DB.prepare(
-        'SELECT id, version FROM models WHERE tier <= ?'
-    ).bind(getTierLevel(tier)).all();
+        `SELECT id, version FROM models WHERE tier IN (${placeholders(tiers)})`
+    ).bind(...tiers).all();
     
     const updates = [];
     
@@ -291,6 +305,47 @@ async function handleSyncRequest(request, env, path) {
     return new Response('Not Found', { status: 404 });
 }
 
+/**
+ * Pattern Sync Protocol
+ *
+ * POST /sync/patterns
+ *   {
+ *     nodeId: 'node-abc',
+ *     cursor: '1042' | null,
+ *     strategy: 'lww' | 'merge',
+ *     limit: 500,
+ *     changes: [{ id, op: 'upsert' | 'delete', updatedAt, pattern }]
+ *   }
+ * -> {
+ *     cursor: '1187',
+ *     hasMore: false,
+ *     reset: false,
+ *     applied: [{ id, seq, status: 'applied' | 'merged' | 'stale' }],
+ *     changes: [{ id, seq, op, updatedAt, nodeId, pattern }]
+ *   }
+ *
+ * pattern_changes holds one row per pattern with its latest state. Pushes are
+ * serialized per license by SyncDurableObject, which stamps every accepted
+ * change with the next sequence number; a cursor is the highest sequence a
+ * client has seen, so a pull only returns rows with seq > cursor. Conflicts are
+ * last-writer-wins on (updatedAt, nodeId); with strategy 'merge' two live
+ * versions are merged field by field instead. Deletes are kept as tombstones
+ * for SYNC_TOMBSTONE_TTL; a cursor older than the pruning horizon gets
+ * reset: true and a full snapshot. Legacy { patterns: [...] } pushes are
+ * treated as upserts.
+ *
+ * 'merged' and 'stale' entries in applied also carry the row the server kept
+ * (op, updatedAt, nodeId, pattern): the caller's copy differs from it, and
+ * the pull may not return that row (it is filtered out as the caller's own
+ * write, falls past the page limit, or sits at or below the cursor).
+ */
+const SYNC_DEFAULT_LIMIT = 500;
+const SYNC_MAX_LIMIT = 1000;
+const SYNC_MAX_CHANGES = 1000;
+const SYNC_MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+const SYNC_MERGE_COUNTERS = ['usage_count', 'usageCount', 'frequency', 'access_count'];
+
 /**
  * Sync patterns
  */
@@ -307,40 +362,295 @@ async function syncPatterns(request, env) {
         return jsonResponse({ error: 'Invalid license' }, 403);
     }
     
-    const { patterns } = await request.json();
+    const body = await request.json();
+    const nodeId = String(body.nodeId || 'anonymous');
+    const strategy = body.strategy === 'merge' ? 'merge' : 'lww';
+    const limit = Math.min(Math.max(parseInt(body.limit, 10) || SYNC_DEFAULT_LIMIT, 1), SYNC_MAX_LIMIT);
+    let cursor = parseInt(body.cursor, 10) || 0;
     
-    // Store patterns in R2
-    const timestamp = Date.now();
-    const patternsKey = `patterns/${licenseKey}/${timestamp}.json`;
+    let changes;
+    try {
+        changes = normalizeSyncChanges(body);
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+    }
     
-    await env.PATTERNS.put(patternsKey, JSON.stringify(patterns), {
-        customMetadata: {
-            licenseKey,
-            count: patterns.length.toString(),
-            timestamp: timestamp.toString()
-        }
-    });
+    // Apply pushes through the license's Durable Object so sequence numbers are serial
+    let applied = [];
+    if (changes.length > 0) {
+        const id = env.SYNC_DO.idFromName(licenseKey);
+        const stub = env.SYNC_DO.get(id);
+        const pushResponse = await stub.fetch('https://internal/push', {
+            method: 'POST',
+            body: JSON.stringify({ licenseKey, nodeId, strategy, changes })
+        });
+        ({ applied } = await pushResponse.json());
+        
+        await env.DB.prepare(
+            'INSERT INTO pattern_syncs (license_key, timestamp, pattern_count) VALUES (?, ?, ?)'
+        ).bind(licenseKey, new Date().toISOString(), changes.length).run();
+    }
     
-    // Update sync registry in D1
-    await env.DB.prepare(
-        'INSERT INTO pattern_syncs (license_key, timestamp, pattern_count) VALUES (?, ?, ?)'
-    ).bind(licenseKey, new Date(timestamp).toISOString(), patterns.length).run();
+    // Pull everything changed since the cursor
+    const syncState = await env.DB.prepare(
+        'SELECT seq, pruned_seq FROM sync_state WHERE license_key = ?'
+    ).bind(licenseKey).first();
     
-    // Broadcast to connected clients via Durable Objects
-    const id = env.SYNC_DO.idFromName(licenseKey);
-    const stub = env.SYNC_DO.get(id);
-    await stub.fetch('https://internal/broadcast', {
-        method: 'POST',
-        body: JSON.stringify({ type: 'pattern-sync', patterns })
-    });
+    const reset = cursor > 0 && cursor < (syncState?.pruned_seq || 0);
+    if (reset) {
+        cursor = 0;
+    }
+    
+    const rows = await env.DB.prepare(
+        reset
+            ? 'SELECT pattern_id, seq, updated_at, node_id, deleted, data FROM pattern_changes WHERE license_key = ? AND seq > ? AND deleted = 0 ORDER BY seq LIMIT ?'
+            : 'SELECT pattern_id, seq, updated_at, node_id, deleted, data FROM pattern_changes WHERE license_key = ? AND seq > ? ORDER BY seq LIMIT ?'
+    ).bind(licenseKey, cursor, limit + 1).all();
+    
+    const results = rows.results || [];
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    
+    // The caller already has what it just pushed
+    const ownSeqs = new Set(applied.filter(a => a.status !== 'stale').map(a => a.seq));
+    const pulled = page
+        .filter(row => !(row.node_id === nodeId && ownSeqs.has(row.seq)))
+        .map(row => ({
+            id: row.pattern_id,
+            seq: row.seq,
+            op: row.deleted ? 'delete' : 'upsert',
+            updatedAt: row.updated_at,
+            nodeId: row.node_id,
+            pattern: row.deleted ? null : JSON.parse(row.data)
+        }));
+    
+    const nextCursor = page.length > 0 ? page[page.length - 1].seq : cursor;
     
     return jsonResponse({
-        success: true,
-        synced: patterns.length,
-        timestamp
+        cursor: String(nextCursor),
+        hasMore,
+        reset,
+        applied,
+        changes: pulled
     });
 }
 
+/**
+ * Helper: Normalize pushed changes
+ */
+function normalizeSyncChanges(body) {
+    let changes = body.changes;
+    
+    // Legacy full-array push
+    if (!changes && Array.isArray(body.patterns)) {
+        const now = Date.now();
+        changes = body.patterns.map(pattern => ({ id: pattern.id, op: 'upsert', updatedAt: now, pattern }));
+    }
+    
+    if (!changes) return [];
+    if (!Array.isArray(changes)) {
+        throw new Error('changes must be an array');
+    }
+    if (changes.length > SYNC_MAX_CHANGES) {
+        throw new Error(`At most ${SYNC_MAX_CHANGES} changes per request`);
+    }
+    
+    const latestAllowed = Date.now() + SYNC_MAX_CLOCK_SKEW;
+    
+    return changes.map((change, i) => {
+        if (change === null || typeof change !== 'object') {
+            throw new Error(`changes[${i}] must be an object`);
+        }
+        if ((typeof change.id !== 'string' && typeof change.id !== 'number') || change.id === '') {
+            throw new Error(`changes[${i}].id is required`);
+        }
+        if (change.op !== 'upsert' && change.op !== 'delete') {
+            throw new Error(`changes[${i}].op must be 'upsert' or 'delete'`);
+        }
+        if (change.op === 'upsert' && (change.pattern === null || typeof change.pattern !== 'object')) {
+            throw new Error(`changes[${i}].pattern is required for upserts`);
+        }
+        
+        const updatedAt = Number(change.updatedAt);
+        if (!Number.isFinite(updatedAt)) {
+            throw new Error(`changes[${i}].updatedAt must be a timestamp`);
+        }
+        
+        return {
+            id: String(change.id),
+            op: change.op,
+            // Clamp clocks running ahead so they cannot win every future conflict
+            updatedAt: Math.min(updatedAt, latestAllowed),
+            pattern: change.op === 'upsert' ? change.pattern : null
+        };
+    });
+}
+
+/**
+ * Helper: Order two writes by (updatedAt, nodeId)
+ */
+function compareSyncClocks(a, b) {
+    if (a.updatedAt !== b.updatedAt) {
+        return a.updatedAt - b.updatedAt;
+    }
+    if (a.nodeId === b.nodeId) return 0;
+    return a.nodeId < b.nodeId ? -1 : 1;
+}
+
+/**
+ * Helper: Resolve an incoming change against the stored row
+ * Returns { status, deleted, data, updatedAt, nodeId }
+ */
+function resolvePatternChange(existing, change, nodeId, strategy) {
+    const incoming = {
+        status: 'applied',
+        deleted: change.op === 'delete',
+        data: change.pattern,
+        updatedAt: change.updatedAt,
+        nodeId
+    };
+    
+    if (!existing) {
+        return incoming;
+    }
+    
+    const stored = {
+        deleted: !!existing.deleted,
+        data: existing.deleted ? null : JSON.parse(existing.data),
+        updatedAt: existing.updated_at,
+        nodeId: existing.node_id
+    };
+    const incomingNewer = compareSyncClocks(incoming, stored) > 0;
+    
+    if (strategy === 'merge' && !incoming.deleted && !stored.deleted) {
+        const merged = incomingNewer
+            ? mergePatternVersions(stored.data, incoming.data)
+            : mergePatternVersions(incoming.data, stored.data);
+        
+        if (JSON.stringify(merged) === JSON.stringify(stored.data)) {
+            return { ...stored, status: 'stale' };
+        }
+        
+        return {
+            status: 'merged',
+            deleted: false,
+            data: merged,
+            updatedAt: Math.max(incoming.updatedAt, stored.updatedAt),
+            nodeId: incomingNewer ? incoming.nodeId : stored.nodeId
+        };
+    }
+    
+    return incomingNewer ? incoming : { ...stored, status: 'stale' };
+}
+
+/**
+ * Helper: The state a resolution leaves on the server, as reported in applied
+ */
+function resolvedSyncRow(resolution) {
+    return {
+        op: resolution.deleted ? 'delete' : 'upsert',
+        updatedAt: resolution.updatedAt,
+        nodeId: resolution.nodeId,
+        pattern: resolution.deleted ? null : resolution.data
+    };
+}
+
+/**
+ * Helper: Merge two live versions of a pattern
+ * Newer scalar fields win, string lists are unioned, usage counters keep the max
+ */
+function mergePatternVersions(older, newer) {
+    const merged = { ...older, ...newer };
+    
+    for (const key of Object.keys(merged)) {
+        const a = older[key];
+        const b = newer[key];
+        
+        if (Array.isArray(a) && Array.isArray(b) &&
+            a.every(v => typeof v === 'string') && b.every(v => typeof v === 'string')) {
+            merged[key] = [...new Set([...b, ...a])];
+        } else if (SYNC_MERGE_COUNTERS.includes(key) && typeof a === 'number' && typeof b === 'number') {
+            merged[key] = Math.max(a, b);
+        }
+    }
+    
+    return merged;
+}
+
+/**
+ * Helper: Apply pushed changes for one license (called serially by SyncDurableObject)
+ */
+async function applyPatternChanges(env, { licenseKey, nodeId, strategy, changes }) {
+    const syncState = await env.DB.prepare(
+        'SELECT seq FROM sync_state WHERE license_key = ?'
+    ).bind(licenseKey).first();
+    
+    let seq = syncState?.seq || 0;
+    
+    // Load current rows in chunks to stay under D1's bound parameter limit
+    const existing = new Map();
+    const ids = [...new Set(changes.map(c => c.id))];
+    for (let i = 0; i < ids.length; i += 50) {
+        const chunk = ids.slice(i, i + 50);
+        const rows = await env.DB.prepare(
+            `SELECT pattern_id, seq, updated_at, node_id, deleted, data FROM pattern_changes WHERE license_key = ? AND pattern_id IN (${placeholders(chunk)})`
+        ).bind(licenseKey, ...chunk).all();
+        
+        for (const row of rows.results || []) {
+            existing.set(row.pattern_id, row);
+        }
+    }
+    
+    const now = Date.now();
+    const statements = [];
+    const applied = [];
+    
+    for (const change of changes) {
+        const current = existing.get(change.id);
+        const resolution = resolvePatternChange(current, change, nodeId, strategy);
+        
+        if (resolution.status === 'stale') {
+            applied.push({ id: change.id, seq: current.seq, status: 'stale', ...resolvedSyncRow(resolution) });
+            continue;
+        }
+        
+        seq++;
+        const row = {
+            pattern_id: change.id,
+            seq,
+            updated_at: resolution.updatedAt,
+            node_id: resolution.nodeId,
+            deleted: resolution.deleted ? 1 : 0,
+            data: resolution.deleted ? null : JSON.stringify(resolution.data)
+        };
+        existing.set(change.id, row);
+        
+        statements.push(env.DB.prepare(
+            'INSERT OR REPLACE INTO pattern_changes (license_key, pattern_id, seq, updated_at, node_id, deleted, data, server_time) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+        ).bind(licenseKey, row.pattern_id, row.seq, row.updated_at, row.node_id, row.deleted, row.data, now));
+        
+        applied.push(resolution.status === 'merged'
+            ? { id: change.id, seq, status: 'merged', ...resolvedSyncRow(resolution) }
+            : { id: change.id, seq, status: resolution.status });
+    }
+    
+    if (statements.length > 0) {
+        // Write seq alone: pruneTombstones runs outside this queue and may
+        // raise pruned_seq between the read above and this batch
+        statements.push(env.DB.prepare(
+            'INSERT OR IGNORE INTO sync_state (license_key, seq, pruned_seq) VALUES (?, ?, 0)'
+        ).bind(licenseKey, seq));
+        statements.push(env.DB.prepare(
+            'UPDATE sync_state SET seq = ? WHERE license_key = ?'
+        ).bind(seq, licenseKey));
+        
+        // D1 batches run as a single transaction
+        await env.DB.batch(statements);
+    }
+    
+    return { applied, seq };
+}
+
 /**
  * Handle reviews requests
  */
@@ -391,6 +701,7 @@ async function verifyReview(request, env) {
 
 /**
  * Handle WebSocket
+ * Browsers cannot set headers on WebSocket requests, so the license travels as ?license=
  */
 async function handleWebSocket(request, env) {
     const upgradeHeader = request.headers.get('Upgrade');
@@ -398,46 +709,49 @@ async function handleWebSocket(request, env) {
         return new Response('Expected Upgrade: websocket', { status: 426 });
     }
     
-    const webSocketPair = new WebSocketPair();
-    const [client, server] = Object.values(webSocketPair);
+    const licenseKey = new URL(request.url).searchParams.get('license');
+    if (!licenseKey || !(await validateLicenseKey(licenseKey, env))) {
+        return new Response('Invalid license', { status: 403 });
+    }
     
-    // Handle WebSocket in Durable Object
-    const id = env.SYNC_DO.newUniqueId();
+    // Every connection for a license shares the Durable Object that broadcasts its changes
+    const id = env.SYNC_DO.idFromName(licenseKey);
     const stub = env.SYNC_DO.get(id);
     
-    await stub.fetch('https://internal/websocket', {
-        headers: { Upgrade: 'websocket' },
-        websocket: server
-    });
-    
-    return new Response(null, {
-        status: 101,
-        webSocket: client,
+    return stub.fetch('https://internal/websocket', {
+        headers: { Upgrade: 'websocket' }
     });
 }
 
 /**
  * Durable Object for WebSocket connections
+ * One instance per license: serializes pattern pushes and fans out change notifications
  */
 export class SyncDurableObject {
     constructor(state, env) {
         this.state = state;
         this.env = env;
         this.sessions = new Set();
+        this.pushQueue = Promise.resolve();
     }
     
     async fetch(request) {
         const url = new URL(request.url);
         
         if (url.pathname === '/websocket') {
-            const websocket = request.headers.get('Upgrade') === 'websocket'
-                ? request.websocket
-                : null;
-            
-            if (websocket) {
-                this.handleWebSocket(websocket);
-                return new Response(null, { status: 101, webSocket: websocket });
+            if (request.headers.get('Upgrade') !== 'websocket') {
+                return new Response('Expected Upgrade: websocket', { status: 426 });
             }
+            
+            const webSocketPair = new WebSocketPair();
+            const [client, server] = Object.values(webSocketPair);
+            this.handleWebSocket(server);
+            
+            return new Response(null, { status: 101, webSocket: client });
+        } else if (url.pathname === '/push') {
+            const push = await request.json();
+            const result = await this.enqueuePush(push);
+            return jsonResponse(result);
         } else if (url.pathname === '/broadcast') {
             const data = await request.json();
             this.broadcast(data);
@@ -447,12 +761,43 @@ export class SyncDurableObject {
         return new Response('Not Found', { status: 404 });
     }
     
+    /**
+     * Run pushes one at a time so sequence numbers never interleave
+     */
+    enqueuePush(push) {
+        const run = this.pushQueue.then(async () => {
+            const result = await applyPatternChanges(this.env, push);
+            const changed = result.applied.filter(a => a.status !== 'stale');
+            
+            if (changed.length > 0) {
+                // Compact notification; clients pull the bodies with their cursor
+                this.broadcast({
+                    type: 'patterns-changed',
+                    cursor: String(result.seq),
+                    count: changed.length,
+                    ids: changed.slice(0, 50).map(a => a.id),
+                    nodeId: push.nodeId
+                });
+            }
+            
+            return result;
+        });
+        
+        this.pushQueue = run.catch(() => {});
+        return run;
+    }
+    
     handleWebSocket(websocket) {
         websocket.accept();
         this.sessions.add(websocket);
         
         websocket.addEventListener('message', (event) => {
-            const data = JSON.parse(event.data);
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
             
             if (data.type === 'ping') {
                 websocket.send(JSON.stringify({ type: 'pong' }));
@@ -492,9 +837,41 @@ async function handleScheduled(event, env, ctx) {
         'DELETE FROM pattern_syncs WHERE timestamp < ?'
     ).bind(thirtyDaysAgo).run();
     
+    await pruneTombstones(env);
+    
     console.log('Scheduled cleanup completed');
 }
 
+/**
+ * Prune sync tombstones past SYNC_TOMBSTONE_TTL
+ * Cursors older than the newest pruned tombstone must resync from scratch
+ */
+async function pruneTombstones(env) {
+    const horizon = Date.now() - SYNC_TOMBSTONE_TTL;
+    
+    const expired = await env.DB.prepare(
+        'SELECT license_key, seq FROM pattern_changes WHERE deleted = 1 AND server_time < ?'
+    ).bind(horizon).all();
+    
+    const prunedByLicense = new Map();
+    for (const row of expired.results || []) {
+        prunedByLicense.set(row.license_key, Math.max(prunedByLicense.get(row.license_key) || 0, row.seq));
+    }
+    
+    if (prunedByLicense.size === 0) return;
+    
+    const statements = [
+        env.DB.prepare('DELETE FROM pattern_changes WHERE deleted = 1 AND server_time < ?').bind(horizon)
+    ];
+    for (const [licenseKey, prunedSeq] of prunedByLicense) {
+        statements.push(env.DB.prepare(
+            'UPDATE sync_state SET pruned_seq = ? WHERE license_key = ? AND pruned_seq < ?'
+        ).bind(prunedSeq, licenseKey, prunedSeq));
+    }
+    
+    await env.DB.batch(statements);
+}
+
 /**
  * Helper: Validate license key
  */
@@ -509,14 +886,38 @@ async function validateLicenseKey(key, env) {
 /**
  * Helper: Get tier level
  */
+const TIER_LEVELS = {
+    'free': 0,
+    'free-reviewer': 1,
+    'pro': 2,
+    'enterprise': 3
+};
+
 function getTierLevel(tier) {
-    const levels = {
-        'free': 0,
-        'free-reviewer': 1,
-        'pro': 2,
-        'enterprise': 3
-    };
-    return levels[tier] || 0;
+    return TIER_LEVELS[tier] || 0;
+}
+
+/**
+ * Helper: Tier names a license tier can access
+ * models.tier is TEXT, so filter by name rather than comparing against a level
+ */
+function getTiersUpTo(tier) {
+    const level = getTierLevel(tier);
+    return Object.keys(TIER_LEVELS).filter(name => TIER_LEVELS[name] <= level);
+}
+
+/**
+ * Helper: SQL placeholders for an IN list
+ */
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Helper: Detect the binary .aev container magic (\x89AEV)
+ */
+function isAevContainer(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x89 && bytes[1] === 0x41 && bytes[2] === 0x45 && bytes[3] === 0x56;
 }
 
 /**
@@ -588,6 +989,24 @@ function jsonResponse(data, status = 200) {
  *   pattern_count INTEGER NOT NULL
  * );
  * 
+ * CREATE TABLE pattern_changes (
+ *   license_key TEXT NOT NULL,
+ *   pattern_id TEXT NOT NULL,
+ *   seq INTEGER NOT NULL,
+ *   updated_at INTEGER NOT NULL,
+ *   node_id TEXT NOT NULL,
+ *   deleted INTEGER NOT NULL DEFAULT 0,
+ *   data TEXT,
+ *   server_time INTEGER NOT NULL,
+ *   PRIMARY KEY (license_key, pattern_id)
+ * );
+ * 
+ * CREATE TABLE sync_state (
+ *   license_key TEXT PRIMARY KEY,
+ *   seq INTEGER NOT NULL DEFAULT 0,
+ *   pruned_seq INTEGER NOT NULL DEFAULT 0
+ * );
+ * 
  * CREATE TABLE reviews (
  *   id INTEGER PRIMARY KEY AUTOINCREMENT,
  *   platform TEXT NOT NULL,
@@ -606,5 +1025,7 @@ function jsonResponse(data, status = 200) {
  * 
  * CREATE INDEX idx_licenses_status ON licenses(status);
  * CREATE INDEX idx_pattern_syncs_license ON pattern_syncs(license_key);
+ * CREATE INDEX idx_pattern_changes_seq ON pattern_changes(license_key, seq);
+ * CREATE INDEX idx_pattern_changes_tombstones ON pattern_changes(deleted, server_time);
  * CREATE INDEX idx_usage_logs_license ON usage_logs(license_key);
  */
\ No newline at end of file
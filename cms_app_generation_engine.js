@@ -738,11 +738,7 @@ version = "{{version}}"`
 
     window.CMSAppEngine = CMSAppEngine;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => CMSAppEngine.init());
-    } else {
-        CMSAppEngine.init();
-    }
+    window.AevovLoader.declare('CMSAppEngine', { init: () => CMSAppEngine.init() });
 
     console.log('✅ CMS App Generation Engine loaded');
     console.log('⌨️ Press Ctrl+Shift+G to open generator');
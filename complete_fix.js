@@ -143,17 +143,6 @@
                 }
             }
 
-            // Initialize advancedPatterns if it doesn't exist
-            if (!window.advancedPatterns) {
-                window.advancedPatterns = {};
-                console.log('  ✓ Initialized window.advancedPatterns');
-            }
-
-            if (!window.patterns) {
-                window.patterns = {};
-                console.log('  ✓ Initialized window.patterns');
-            }
-
             this.state.patternsEnabled = true;
             console.log('✅ PHASE 1 Complete: Pattern generation enabled\n');
         },
@@ -373,58 +362,52 @@
         async fixChatWidgetIntegration() {
             console.log('💬 PHASE 4: Fixing ChatWidget Integration...');
 
-            // Wait a bit for ChatWidget to be ready
-            let attempts = 0;
-            while (!window.ChatWidget && attempts < 10) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-                attempts++;
-            }
+            // Wait (up to 2s) for ChatWidget to be registered
+            const chatWidget = await window.AevovBus.whenReady('ChatWidget', { timeout: 2000 }).catch(() => null);
 
-            if (window.ChatWidget) {
+            if (chatWidget) {
                 console.log('  ✓ ChatWidget found');
 
-                // Ensure sendMessage works properly
-                if (typeof window.sendMessage !== 'function') {
-                    console.log('  🔧 Creating sendMessage function...');
-                    
-                    window.sendMessage = function() {
-                        const input = document.getElementById('chatInput');
-                        if (!input) return;
-
-                        const query = input.value.trim();
-                        if (!query) return;
-
-                        const chat = document.getElementById('chatContainer');
-                        if (!chat) return;
-
-                        // Add user message
-                        const userMsg = document.createElement('div');
-                        userMsg.className = 'message user';
-                        userMsg.textContent = query;
-                        chat.appendChild(userMsg);
-                        input.value = '';
-
-                        // Process response
-                        setTimeout(() => {
-                            const allPatterns = CompleteSystemFix.getAllPatterns();
-                            
-                            let response;
-                            if (allPatterns.length === 0) {
-                                response = '⚠️ No patterns available. Go to Advanced Extractor tab and generate patterns first!';
-                            } else {
-                                response = `Found ${allPatterns.length} patterns available. Processing your query...`;
-                            }
+                // Fallback sendMessage - used only while no chat provides one, whatever the load order
+                console.log('  🔧 Providing fallback sendMessage...');
+                
+                window.AevovBus.provide('sendMessage', function() {
+                    const input = document.getElementById('chatInput');
+                    if (!input) return;
+
+                    const query = input.value.trim();
+                    if (!query) return;
+
+                    const chat = document.getElementById('chatContainer');
+                    if (!chat) return;
+
+                    // Add user message
+                    const userMsg = document.createElement('div');
+                    userMsg.className = 'message user';
+                    userMsg.textContent = query;
+                    chat.appendChild(userMsg);
+                    input.value = '';
+
+                    // Process response
+                    setTimeout(() => {
+                        const allPatterns = CompleteSystemFix.getAllPatterns();
+                        
+                        let response;
+                        if (allPatterns.length === 0) {
+                            response = '⚠️ No patterns available. Go to Advanced Extractor tab and generate patterns first!';
+                        } else {
+                            response = `Found ${allPatterns.length} patterns available. Processing your query...`;
+                        }
 
-                            const assistantMsg = document.createElement('div');
-                            assistantMsg.className = 'message assistant';
-                            assistantMsg.textContent = response;
-                            chat.appendChild(assistantMsg);
-                            chat.scrollTop = chat.scrollHeight;
-                        }, 300);
-                    };
+                        const assistantMsg = document.createElement('div');
+                        assistantMsg.className = 'message assistant';
+                        assistantMsg.textContent = response;
+                        chat.appendChild(assistantMsg);
+                        chat.scrollTop = chat.scrollHeight;
+                    }, 300);
+                }, { owner: 'CompleteSystemFix', fallback: true });
 
-                    console.log('  ✓ sendMessage function created');
-                }
+                console.log('  ✓ sendMessage fallback provided');
 
                 this.state.chatFixed = true;
                 console.log('✅ PHASE 4 Complete: ChatWidget integration fixed\n');
@@ -449,8 +432,7 @@
                 
                 const checks = {
                     'AdvancedPatternExtractor': !!window.AdvancedPatternExtractor,
-                    'advancedPatterns initialized': !!window.advancedPatterns,
-                    'patterns initialized': !!window.patterns,
+                    'PatternStore': !!window.PatternStore,
                     'ChatWidget': !!window.ChatWidget,
                     'sendMessage function': typeof window.sendMessage === 'function',
                     'ComparatorEngine': !!window.ComparatorEngine,
@@ -471,10 +453,7 @@
                 const allPatterns = this.getAllPatterns();
                 console.log(`Total patterns available: ${allPatterns.length}`);
                 
-                if (window.advancedPatterns) {
-                    const categories = Object.keys(window.advancedPatterns).length;
-                    console.log(`Pattern categories: ${categories}`);
-                }
+                console.log(`Pattern categories: ${window.PatternStore.categories().length}`);
 
                 console.log('═'.repeat(60) + '\n');
 
@@ -501,10 +480,7 @@
                         window.advancedPatterns
                     );
 
-                    if (!window.advancedPatterns[category]) {
-                        window.advancedPatterns[category] = [];
-                    }
-                    window.advancedPatterns[category].push(...patterns);
+                    window.PatternStore.addAll(patterns, { category, collection: 'advanced', source: 'quickGeneratePatterns' });
 
                     console.log(`✅ Generated ${patterns.length} patterns!`);
 
@@ -530,25 +506,7 @@
          * Get all patterns from all sources
          */
         getAllPatterns() {
-            const allPatterns = [];
-
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(pats => {
-                    if (Array.isArray(pats)) {
-                        allPatterns.push(...pats);
-                    }
-                });
-            }
-
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(pats => {
-                    if (Array.isArray(pats)) {
-                        allPatterns.push(...pats);
-                    }
-                });
-            }
-
-            return allPatterns;
+            return window.PatternStore.all();
         },
 
         /**
@@ -561,8 +519,8 @@
                 tableFixed: this.state.tableFixed,
                 chatFixed: this.state.chatFixed,
                 totalPatterns: this.getAllPatterns().length,
-                advancedCategories: Object.keys(window.advancedPatterns || {}).length,
-                mainCategories: Object.keys(window.patterns || {}).length
+                advancedCategories: window.PatternStore.categories({ collection: 'advanced' }).length,
+                mainCategories: window.PatternStore.categories({ collection: 'main' }).length
             };
         }
     };
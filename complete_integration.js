@@ -120,22 +120,11 @@
                 },
 
                 // Reference to pattern databases
-                getPatterns: () => {
-                    const all = [];
-                    if (window.patterns) {
-                        Object.values(window.patterns).forEach(p => {
-                            if (Array.isArray(p)) all.push(...p);
-                        });
-                    }
-                    if (window.advancedPatterns) {
-                        Object.values(window.advancedPatterns).forEach(p => {
-                            if (Array.isArray(p)) all.push(...p);
-                        });
-                    }
-                    return all;
-                }
+                getPatterns: () => window.PatternStore.all()
             };
 
+            window.AevovBus.register('ChatWidget', window.ChatWidget, { owner: 'SystemIntegration', replace: true });
+
             this.state.chatWidgetCreated = true;
             console.log('  ✅ ChatWidget created from existing functions');
         },
@@ -146,26 +135,17 @@
         async phase2_InitUnifiedSystem() {
             console.log('📦 Phase 2: Initializing UnifiedChatSystem...');
 
-            // Wait for UnifiedChatSystem to exist
-            let attempts = 0;
-            while (!window.UnifiedChatSystem && attempts < 30) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                attempts++;
-            }
-
-            if (!window.UnifiedChatSystem) {
+            if (!window.AevovLoader.modules.UnifiedChatSystem) {
                 console.warn('  ⚠️ UnifiedChatSystem not found, skipping...');
                 return;
             }
 
-            // Initialize it (ChatWidget now exists!)
-            if (!window.UnifiedChatSystem.state.initialized) {
-                try {
-                    await window.UnifiedChatSystem.init();
-                    console.log('  ✅ UnifiedChatSystem initialized');
-                } catch (error) {
-                    console.warn('  ⚠️ UnifiedChatSystem init failed:', error);
-                }
+            // The loader initializes it once (ChatWidget now exists!)
+            try {
+                await window.AevovLoader.use('UnifiedChatSystem');
+                console.log('  ✅ UnifiedChatSystem initialized');
+            } catch (error) {
+                console.warn('  ⚠️ UnifiedChatSystem init failed:', error);
             }
         },
 
@@ -175,15 +155,8 @@
         phase3_EnhanceSendMessage() {
             console.log('📦 Phase 3: Enhancing sendMessage function...');
 
-            const originalSendMessage = window.sendMessage;
-
-            window.sendMessage = function() {
-                // Call original
-                if (originalSendMessage) {
-                    originalSendMessage();
-                }
-
-                // Trigger UnifiedChatSystem if available
+            // Before the chat clears the input
+            window.AevovBus.on('chat:before-message', () => {
                 const input = document.getElementById('chatInput');
                 if (input && window.UnifiedChatSystem && window.UnifiedChatSystem.processPipeline) {
                     const query = input.value.trim();
@@ -192,7 +165,7 @@
                         window.UnifiedChatSystem.processPipeline(query).catch(console.error);
                     }
                 }
-            };
+            }, { owner: 'SystemIntegration' });
 
             console.log('  ✅ sendMessage enhanced');
         },
@@ -268,10 +241,8 @@
                     pattern._enhanced = true;
                     pattern._keywordCount = pattern.keywords.length;
 
-                    // Create/update embedding
-                    if (!pattern.embedding) {
-                        pattern.embedding = this.createEmbedding(pattern.keywords);
-                    }
+                    // Keywords changed - re-embed
+                    window.EmbeddingRegistry.embedPatternSync(pattern);
 
                     return pattern;
                 } catch (error) {
@@ -290,47 +261,21 @@
         phase5_HookPatternExtraction() {
             console.log('📦 Phase 5: Hooking pattern extraction functions...');
 
-            // Hook extractAdvancedPatterns
-            if (window.extractAdvancedPatterns) {
-                const original = window.extractAdvancedPatterns;
-
-                window.extractAdvancedPatterns = async function(...args) {
-                    console.log('🔬 Extracting patterns with auto-enhancement...');
-
-                    const result = await original.apply(this, args);
-
-                    // Auto-enhance all extracted patterns
-                    setTimeout(() => {
-                        SystemIntegration.enhanceAllPatterns();
-                        SystemIntegration.showLoadButton();
-                    }, 500);
-
-                    return result;
-                };
-
-                console.log('  ✅ extractAdvancedPatterns hooked');
-            }
-
-            // Hook extractAllInParent
-            if (window.extractAllInParent) {
-                const original = window.extractAllInParent;
-
-                window.extractAllInParent = async function(...args) {
-                    console.log('🔬 Batch extracting patterns with auto-enhancement...');
-
-                    const result = await original.apply(this, args);
-
-                    // Auto-enhance all extracted patterns
-                    setTimeout(() => {
-                        SystemIntegration.enhanceAllPatterns();
-                        SystemIntegration.showLoadButton();
-                    }, 500);
+            // Auto-enhance all extracted patterns (extractAdvancedPatterns / extractAllInParent)
+            window.AevovBus.on('patterns:before-extract', ({ name }) => {
+                console.log(name === 'extractAllInParent'
+                    ? '🔬 Batch extracting patterns with auto-enhancement...'
+                    : '🔬 Extracting patterns with auto-enhancement...');
+            }, { owner: 'SystemIntegration' });
 
-                    return result;
-                };
+            window.AevovBus.on('patterns:extracted', ({ error }) => {
+                if (error) return;
 
-                console.log('  ✅ extractAllInParent hooked');
-            }
+                setTimeout(() => {
+                    SystemIntegration.enhanceAllPatterns();
+                    SystemIntegration.showLoadButton();
+                }, 500);
+            }, { owner: 'SystemIntegration' });
 
             console.log('  ✅ Pattern extraction hooks installed');
         },
@@ -341,39 +286,22 @@
         enhanceAllPatterns() {
             console.log('🔄 Enhancing all patterns with keywords...');
 
-            let count = 0;
-
-            if (window.advancedPatterns) {
-                Object.keys(window.advancedPatterns).forEach(category => {
-                    const patterns = window.advancedPatterns[category];
-                    if (Array.isArray(patterns)) {
-                        patterns.forEach(p => {
-                            window.enhancePatternKeywords(p, category);
-                            count++;
-                        });
-                    }
-                });
-            }
+            const entries = window.PatternStore.entries();
 
-            if (window.patterns) {
-                Object.keys(window.patterns).forEach(domain => {
-                    const patterns = window.patterns[domain];
-                    if (Array.isArray(patterns)) {
-                        patterns.forEach(p => {
-                            window.enhancePatternKeywords(p, domain);
-                            count++;
-                        });
-                    }
+            // Re-adding each pattern records the new keywords as an update
+            window.PatternStore.transaction(tx => {
+                entries.forEach(({ pattern, category }) => {
+                    window.enhancePatternKeywords(pattern, category);
+                    tx.add(pattern);
                 });
-            }
+            }, { source: 'enhanceAllPatterns' });
 
+            const count = entries.length;
             console.log(`✅ Enhanced ${count} patterns`);
 
             // Show sample
             if (count > 0) {
-                const sample = window.advancedPatterns ? 
-                    Object.values(window.advancedPatterns)[0]?.[0] :
-                    Object.values(window.patterns)[0]?.[0];
+                const sample = entries[0].pattern;
 
                 if (sample) {
                     console.log(`📝 Sample: ${sample.id} has ${sample.keywords?.length || 0} keywords`);
@@ -500,14 +428,14 @@
                 return;
             }
 
-            // Ensure all have embeddings
+            // Ensure all have embeddings from the current provider
             patterns.forEach(p => {
-                if (!p.embedding && p.keywords) {
-                    p.embedding = this.createEmbedding(p.keywords);
+                if (!window.EmbeddingRegistry.isCurrent(p)) {
+                    window.EmbeddingRegistry.embedPatternSync(p);
                 }
             });
 
-            window.LOADED_CHAT_PATTERNS = patterns;
+            window.AevovBus.emit('chat:patterns-loaded', { patterns, source: 'SystemIntegration' });
 
             // Show status
             const statusDiv = document.getElementById('systemLoadStatus');
@@ -525,48 +453,7 @@
          * Get all patterns
          */
         getAllPatterns() {
-            const all = [];
-
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(p => {
-                    if (Array.isArray(p)) all.push(...p);
-                });
-            }
-
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(p => {
-                    if (Array.isArray(p)) all.push(...p);
-                });
-            }
-
-            return all;
-        },
-
-        /**
-         * Create embedding
-         */
-        createEmbedding(tokens) {
-            const embedding = new Array(128).fill(0);
-            
-            if (typeof tokens === 'string') tokens = [tokens];
-
-            if (Array.isArray(tokens)) {
-                tokens.forEach(token => {
-                    const str = String(token).toLowerCase();
-                    let hash = 0;
-                    for (let i = 0; i < str.length; i++) {
-                        hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                    }
-                    const idx = Math.abs(hash) % 128;
-                    embedding[idx] += 1.0;
-                });
-            }
-
-            const magnitude = Math.sqrt(
-                embedding.reduce((sum, val) => sum + val * val, 0)
-            );
-
-            return magnitude > 0 ? embedding.map(val => val / magnitude) : embedding;
+            return window.PatternStore.all();
         },
 
         /**
@@ -681,7 +568,7 @@
                 document.getElementById('systemChatInput')?.focus();
 
                 // Update status
-                const patterns = window.LOADED_CHAT_PATTERNS || this.getAllPatterns();
+                const patterns = this.getAllPatterns();
                 const statusEl = document.getElementById('systemChatStatus');
                 if (statusEl) {
                     statusEl.textContent = patterns.length > 0 ? 
@@ -814,6 +701,18 @@
             console.log('  ✅ Ctrl+Shift+C keyboard shortcut ready');
         },
 
+        /**
+         * Diagnostics: integration state plus who hooks into what on the event bus
+         */
+        getDiagnostics() {
+            return {
+                timestamp: new Date().toISOString(),
+                state: { ...this.state },
+                patterns: window.PatternStore.getStats(),
+                bus: window.AevovBus.describe()
+            };
+        },
+
         /**
          * Show notification
          */
@@ -850,14 +749,10 @@
     // Export to window
     window.SystemIntegration = SystemIntegration;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => SystemIntegration.init(), 1500);
-        });
-    } else {
-        setTimeout(() => SystemIntegration.init(), 1500);
-    }
+    // Initialized by the module loader (phase 1 registers ChatWidget)
+    window.AevovLoader.declare('SystemIntegration', {
+        init: () => SystemIntegration.init()
+    });
 
     // Add CSS
     const style = document.createElement('style');
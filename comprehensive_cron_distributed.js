@@ -6,8 +6,9 @@
  * 
  * Features:
  * - Multiple schedule types (interval, cron expression, specific time)
+ * - Full five-field cron grammar with macros and per-job IANA timezones
  * - Job priorities and dependencies
- * - Distributed execution coordination
+ * - Distributed execution coordination (one executor per run via cron_coordinator.js)
  * - Persistent scheduling (survives page reloads)
  * - Job history and monitoring
  * - Error handling and retry logic
@@ -23,7 +24,7 @@
     console.log('⏰ Loading Comprehensive Cron System...');
 
     const CronSystem = {
-        version: '1.0.0',
+        version: '1.1.0',
 
         // Configuration
         config: {
@@ -31,7 +32,7 @@
             maxConcurrent: 5,
             retryAttempts: 3,
             retryDelay: 60000, // 1 minute
-            enableDistributed: false,
+            enableDistributed: true, // takes effect when CronCoordinator is loaded
             coordinatorUrl: null
         },
 
@@ -40,8 +41,11 @@
             initialized: false,
             jobs: new Map(),
             running: new Set(),
+            waiting: new Set(), // runs waiting on distributed election
             history: [],
-            timers: new Map()
+            timers: new Map(),
+            compiledCron: new Map(),
+            zoneFormatters: new Map()
         },
 
         /**
@@ -72,11 +76,19 @@
          * SCHEDULE JOB
          */
         schedule(jobConfig) {
+            if (jobConfig.type === 'cron') {
+                this.compileCronExpression(jobConfig.schedule);
+            }
+            if (jobConfig.timezone && !this.validateTimeZone(jobConfig.timezone)) {
+                throw new Error(`Invalid timezone: ${jobConfig.timezone}`);
+            }
+
             const job = {
                 id: jobConfig.id || `job_${Date.now()}`,
                 name: jobConfig.name,
                 schedule: jobConfig.schedule, // interval (ms) or cron expression
                 type: jobConfig.type || 'interval', // 'interval', 'cron', 'time'
+                timezone: jobConfig.timezone || null, // IANA zone for cron jobs, local if unset
                 handler: jobConfig.handler,
                 priority: jobConfig.priority || 5,
                 dependencies: jobConfig.dependencies || [],
@@ -108,9 +120,13 @@
             const now = Date.now();
 
             if (jobConfig.type === 'interval') {
+                // Align to interval boundaries so every node computes the same slot
+                if (this.isDistributed()) {
+                    return new Date(Math.floor(now / jobConfig.schedule) * jobConfig.schedule + jobConfig.schedule);
+                }
                 return new Date(now + jobConfig.schedule);
             } else if (jobConfig.type === 'cron') {
-                return this.parseCronExpression(jobConfig.schedule);
+                return this.parseCronExpression(jobConfig.schedule, jobConfig.timezone);
             } else if (jobConfig.type === 'time') {
                 return this.parseTimeExpression(jobConfig.schedule);
             }
@@ -120,46 +136,334 @@
 
         /**
          * PARSE CRON EXPRESSION
-         * Simple cron parser (minute hour day month weekday)
+         * Returns the next fire time for a cron expression, or null if it never fires
          */
-        parseCronExpression(expression) {
-            const parts = expression.split(' ');
+        parseCronExpression(expression, timezone = null) {
+            return this.nextCronRun(expression, timezone);
+        },
+
+        /**
+         * CRON ENGINE
+         * Five-field grammar (minute hour day-of-month month day-of-week) with
+         * *, ?, lists (1,15), ranges (1-5), steps (*\/15, 10-40/5), month and
+         * weekday names (JAN, MON-FRI), L for the last day of the month and the
+         * @yearly/@monthly/@weekly/@daily/@hourly macros. Like Vixie cron, a
+         * day matches if either day field does when neither starts with * (or
+         * is ?), and must match both otherwise: '0 0 *\/2 * MON' runs on
+         * Mondays with an odd day of the month.
+         */
+        cronMacros: {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *'
+        },
+
+        cronFields: [
+            { name: 'minute', min: 0, max: 59 },
+            { name: 'hour', min: 0, max: 23 },
+            { name: 'day', min: 1, max: 31 },
+            { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+            { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+        ],
+
+        /**
+         * COMPILE CRON EXPRESSION
+         * Throws on invalid input; compiled expressions are cached
+         */
+        compileCronExpression(expression) {
+            if (typeof expression !== 'string' || !expression.trim()) {
+                throw new Error('Cron expression must be a non-empty string');
+            }
+
+            const trimmed = expression.trim();
+            if (this.state.compiledCron.has(trimmed)) {
+                return this.state.compiledCron.get(trimmed);
+            }
+
+            const source = trimmed.startsWith('@') ? this.cronMacros[trimmed.toLowerCase()] : trimmed;
+            if (!source) {
+                throw new Error(`Invalid cron expression "${expression}": unknown macro`);
+            }
+
+            const parts = source.split(/\s+/);
             if (parts.length !== 5) {
-                console.error('Invalid cron expression:', expression);
-                return new Date(Date.now() + 60000);
+                throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
             }
 
-            const [minute, hour, day, month, weekday] = parts;
-            const now = new Date();
-            let next = new Date(now);
+            const compiled = { expression: trimmed, lastDay: false };
+            this.cronFields.forEach((field, i) => {
+                const parsed = this.parseCronField(parts[i], field, expression);
+                compiled[field.name] = parsed.values;
+                compiled[`${field.name}Restricted`] = parsed.restricted;
+                compiled[`${field.name}Star`] = parsed.star;
+                compiled.lastDay = compiled.lastDay || parsed.lastDay;
+            });
 
-            // Simple implementation - find next matching time
-            // Full cron parser would be more complex
-            if (minute !== '*') {
-                next.setMinutes(parseInt(minute));
+            // 7 is an alias for Sunday
+            if (compiled.weekday.delete(7)) {
+                compiled.weekday.add(0);
             }
-            if (hour !== '*') {
-                next.setHours(parseInt(hour));
+
+            this.state.compiledCron.set(trimmed, compiled);
+            return compiled;
+        },
+
+        /**
+         * PARSE CRON FIELD
+         */
+        parseCronField(text, field, expression) {
+            const fail = (reason) => {
+                throw new Error(`Invalid cron expression "${expression}": ${field.name} field "${text}" ${reason}`);
+            };
+
+            const isDayField = field.name === 'day' || field.name === 'weekday';
+            if (text === '?' && !isDayField) {
+                fail('may not be "?"');
             }
-            if (day !== '*') {
-                next.setDate(parseInt(day));
+
+            const toValue = (token) => {
+                if (field.names) {
+                    const index = field.names.indexOf(token);
+                    if (index !== -1) return index + field.offset;
+                }
+                if (!/^\d+$/.test(token)) fail(`has invalid value "${token}"`);
+                const value = parseInt(token, 10);
+                if (value < field.min || value > field.max) {
+                    fail(`value ${value} is outside ${field.min}-${field.max}`);
+                }
+                return value;
+            };
+
+            const values = new Set();
+            let lastDay = false;
+
+            for (const item of text.toUpperCase().split(',')) {
+                if (!item) fail('has an empty list item');
+
+                if (item === 'L') {
+                    if (field.name !== 'day') fail('may only use L in the day-of-month field');
+                    lastDay = true;
+                    continue;
+                }
+
+                const [range, stepText, extra] = item.split('/');
+                if (extra !== undefined) fail('has more than one step');
+
+                let step = 1;
+                if (stepText !== undefined) {
+                    if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                        fail(`has invalid step "${stepText}"`);
+                    }
+                    step = parseInt(stepText, 10);
+                }
+
+                let start;
+                let end;
+                if (range === '*' || (range === '?' && isDayField)) {
+                    start = field.min;
+                    end = field.name === 'weekday' ? 6 : field.max;
+                } else if (range.includes('-')) {
+                    const bounds = range.split('-');
+                    if (bounds.length !== 2) fail(`has invalid range "${range}"`);
+                    start = toValue(bounds[0]);
+                    end = toValue(bounds[1]);
+                    if (start > end) fail(`has descending range "${range}"`);
+                } else {
+                    start = toValue(range);
+                    end = stepText !== undefined ? field.max : start;
+                }
+
+                for (let value = start; value <= end; value += step) {
+                    values.add(value);
+                }
             }
-            if (month !== '*') {
-                next.setMonth(parseInt(month) - 1);
+
+            // Only a bare * or ? matches everything; */N still restricts. The
+            // day fields combine with AND when either starts with * (Vixie cron)
+            const restricted = !(text === '*' || text === '?');
+            const star = text.startsWith('*') || text === '?';
+
+            return { values, restricted, star, lastDay };
+        },
+
+        /**
+         * CRON DAY MATCHES
+         */
+        cronDayMatches(compiled, year, month, day, weekday) {
+            const lastDate = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            const dayMatch = compiled.day.has(day) || (compiled.lastDay && day === lastDate);
+            const weekdayMatch = compiled.weekday.has(weekday);
+
+            if (compiled.dayStar || compiled.weekdayStar) {
+                return dayMatch && weekdayMatch;
             }
+            return dayMatch || weekdayMatch;
+        },
 
-            // If next is in the past, add appropriate time
-            if (next < now) {
-                if (minute === '*' && hour === '*') {
-                    next.setMinutes(next.getMinutes() + 1);
-                } else if (hour === '*') {
-                    next.setHours(next.getHours() + 1);
+        /**
+         * NEXT CRON WALL TIME
+         * Works on wall-clock time encoded as UTC milliseconds; returns the first
+         * matching minute at or after `from`, or null within the search horizon
+         */
+        nextCronWallTime(compiled, from) {
+            // Eight years covers Feb 29 across a skipped leap year (e.g. 2100)
+            const horizon = new Date(from).getUTCFullYear() + 8;
+            let t = Math.ceil(from / 60000) * 60000;
+
+            while (true) {
+                const d = new Date(t);
+                const year = d.getUTCFullYear();
+                const month = d.getUTCMonth();
+                const day = d.getUTCDate();
+                const hour = d.getUTCHours();
+                const minute = d.getUTCMinutes();
+
+                if (year > horizon) return null;
+
+                if (!compiled.month.has(month + 1)) {
+                    t = Date.UTC(year, month + 1, 1);
+                } else if (!this.cronDayMatches(compiled, year, month, day, d.getUTCDay())) {
+                    t = Date.UTC(year, month, day + 1);
+                } else if (!compiled.hour.has(hour)) {
+                    t = Date.UTC(year, month, day, hour + 1);
+                } else if (!compiled.minute.has(minute)) {
+                    t = Date.UTC(year, month, day, hour, minute + 1);
                 } else {
-                    next.setDate(next.getDate() + 1);
+                    return t;
                 }
             }
+        },
 
-            return next;
+        /**
+         * NEXT CRON RUN
+         * Next fire time strictly after `after` in the given IANA timezone.
+         * DST handling follows Vixie cron: a fixed-hour job whose time is skipped
+         * by a spring-forward transition runs right after the gap, runs once in a
+         * repeated fall-back hour, and jobs with a * hour keep real-time cadence.
+         */
+        nextCronRun(expression, timezone = null, after = Date.now()) {
+            const compiled = this.compileCronExpression(expression);
+            const timeZone = timezone || this.getLocalTimeZone();
+            const afterMs = after instanceof Date ? after.getTime() : after;
+
+            // Around a transition, wall times earlier than wall(after) can still
+            // map to instants later than `after`, so search from a little before
+            const slack = 3 * 3600000;
+            const nearTransition = (instant) =>
+                this.getZoneOffset(instant - 86400000, timeZone) !== this.getZoneOffset(instant + 86400000, timeZone);
+
+            let cursor = this.getZonedWallTime(afterMs, timeZone) - (nearTransition(afterMs) ? slack : 0);
+            let best = null;
+            let bestWall = null;
+
+            for (let i = 0; i < 10000; i++) {
+                const wall = this.nextCronWallTime(compiled, cursor);
+                if (wall === null) break;
+                if (best !== null && wall > bestWall) break;
+
+                const instants = this.wallTimeToInstants(wall, timeZone);
+                const candidates = compiled.hourRestricted ? instants.slice(0, 1) : instants;
+
+                for (const instant of candidates) {
+                    if (instant > afterMs && (best === null || instant < best)) {
+                        best = instant;
+                        bestWall = wall + (nearTransition(instant) ? slack : 0);
+                    }
+                }
+
+                cursor = wall + 60000;
+            }
+
+            return best === null ? null : new Date(best);
+        },
+
+        /**
+         * PREVIEW
+         * Lists the next N fire times of a cron expression
+         */
+        preview(expression, n = 5, timezone = null) {
+            const runs = [];
+            let after = Date.now();
+
+            for (let i = 0; i < n; i++) {
+                const next = this.nextCronRun(expression, timezone, after);
+                if (!next) break;
+                runs.push(next);
+                after = next.getTime();
+            }
+
+            return runs;
+        },
+
+        /**
+         * TIMEZONE HELPERS
+         */
+        getLocalTimeZone() {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        },
+
+        validateTimeZone(timeZone) {
+            try {
+                this.getZoneFormatter(timeZone);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        getZoneFormatter(timeZone) {
+            if (!this.state.zoneFormatters.has(timeZone)) {
+                this.state.zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                }));
+            }
+            return this.state.zoneFormatters.get(timeZone);
+        },
+
+        // Wall-clock time of an instant in the zone, encoded as UTC milliseconds
+        getZonedWallTime(instant, timeZone) {
+            const parts = {};
+            for (const part of this.getZoneFormatter(timeZone).formatToParts(new Date(instant))) {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        },
+
+        getZoneOffset(instant, timeZone) {
+            const whole = Math.floor(instant / 1000) * 1000;
+            return this.getZonedWallTime(whole, timeZone) - whole;
+        },
+
+        // All instants showing this wall time; a time inside a DST gap resolves
+        // to the instant the gap length later
+        wallTimeToInstants(wall, timeZone) {
+            const before = this.getZoneOffset(wall - 86400000, timeZone);
+            const after = this.getZoneOffset(wall + 86400000, timeZone);
+            const instants = [];
+
+            for (const offset of new Set([before, after])) {
+                const instant = wall - offset;
+                if (this.getZonedWallTime(instant, timeZone) === wall) {
+                    instants.push(instant);
+                }
+            }
+
+            if (instants.length === 0) {
+                return [wall - before];
+            }
+
+            return instants.sort((a, b) => a - b);
         },
 
         /**
@@ -187,7 +491,14 @@
          * SCHEDULE NEXT
          */
         scheduleNext(job) {
-            if (!job.enabled) return;
+            const existing = this.state.timers.get(job.id);
+            if (existing) {
+                clearTimeout(existing);
+                this.state.timers.delete(job.id);
+            }
+
+            // A cron expression that can never match has no next run
+            if (!job.enabled || !job.nextRun) return;
 
             const delay = job.nextRun - Date.now();
             if (delay < 0) {
@@ -196,22 +507,30 @@
                 return;
             }
 
+            // setTimeout overflows past ~24.8 days, so re-arm in steps
+            const maxDelay = 2147483647;
             const timer = setTimeout(() => {
-                this.executeJob(job.id);
-            }, delay);
+                if (delay > maxDelay) {
+                    this.scheduleNext(job);
+                } else {
+                    this.executeJob(job.id);
+                }
+            }, Math.min(delay, maxDelay));
 
             this.state.timers.set(job.id, timer);
         },
 
         /**
          * EXECUTE JOB
+         * `slot` is the scheduled fire time this run belongs to; it defaults to
+         * the job's nextRun and lets coordinated nodes agree on a single run
          */
-        async executeJob(jobId, isRetry = false) {
+        async executeJob(jobId, isRetry = false, slot = null) {
             const job = this.state.jobs.get(jobId);
             if (!job || !job.enabled) return;
 
             // Check if already running
-            if (this.state.running.has(jobId)) {
+            if (this.state.running.has(jobId) || this.state.waiting.has(jobId)) {
                 console.warn(`Job ${job.name} is already running`);
                 return;
             }
@@ -219,17 +538,48 @@
             // Check concurrency limit
             if (this.state.running.size >= this.config.maxConcurrent) {
                 console.warn('Max concurrent jobs reached, queuing...');
-                setTimeout(() => this.executeJob(jobId, isRetry), 5000);
+                setTimeout(() => this.executeJob(jobId, isRetry, slot), 5000);
                 return;
             }
 
             // Check dependencies
             if (!this.checkDependencies(job)) {
                 console.warn(`Dependencies not met for job ${job.name}`);
-                setTimeout(() => this.executeJob(jobId, isRetry), 10000);
+                setTimeout(() => this.executeJob(jobId, isRetry, slot), 10000);
+                return;
+            }
+
+            if (!this.isDistributed()) {
+                await this.runJob(job, isRetry, null);
                 return;
             }
 
+            const scheduledAt = slot ?? (job.nextRun ? new Date(job.nextRun).getTime() : Date.now());
+
+            this.state.waiting.add(jobId);
+            let outcome;
+            try {
+                outcome = await window.CronCoordinator.runExclusive(job, scheduledAt, (lease) => {
+                    this.state.waiting.delete(jobId);
+                    return this.runJob(job, isRetry, lease);
+                });
+            } finally {
+                this.state.waiting.delete(jobId);
+            }
+
+            if (!outcome.executed) {
+                console.log(`⏭️ Job ${job.name} handled by ${outcome.leader || 'another node'} (${outcome.reason})`);
+                this.advanceJob(job);
+            }
+        },
+
+        /**
+         * RUN JOB
+         * Runs the handler on this node and returns the history entry
+         */
+        async runJob(job, isRetry, lease) {
+            const jobId = job.id;
+
             console.log(`🚀 Executing job: ${job.name}`);
 
             this.state.running.add(jobId);
@@ -238,6 +588,7 @@
             const startTime = performance.now();
             let success = false;
             let error = null;
+            let entry = null;
 
             try {
                 // Execute job handler
@@ -245,7 +596,9 @@
                     jobId: job.id,
                     jobName: job.name,
                     runCount: job.runCount,
-                    metadata: job.metadata
+                    metadata: job.metadata,
+                    fencingToken: lease ? lease.token : null,
+                    isLeaseCurrent: () => !lease || window.CronCoordinator.isCurrent(lease)
                 });
 
                 success = true;
@@ -262,36 +615,67 @@
                 if (job.retryOnFailure && !isRetry && job.failCount <= job.maxRetries) {
                     console.log(`🔄 Retrying job ${job.name} in ${this.config.retryDelay}ms...`);
                     setTimeout(() => {
-                        this.executeJob(jobId, true);
+                        this.executeJob(jobId, true, Date.now());
                     }, this.config.retryDelay);
                 }
             } finally {
                 this.state.running.delete(jobId);
 
                 // Record in history
-                this.state.history.push({
+                entry = {
                     jobId: job.id,
                     jobName: job.name,
                     startTime: job.lastRun,
                     duration: performance.now() - startTime,
                     success,
                     error: error?.message || null,
+                    nodeId: this.getNodeId(),
+                    fencingToken: lease ? lease.token : null,
                     timestamp: new Date().toISOString()
-                });
+                };
+                this.recordHistory(entry);
 
-                // Keep only last 100 executions
-                if (this.state.history.length > 100) {
-                    this.state.history.shift();
-                }
+                this.advanceJob(job);
+            }
 
-                // Schedule next run
-                if (job.enabled) {
-                    job.nextRun = this.calculateNextRun(job);
-                    this.scheduleNext(job);
-                }
+            return entry;
+        },
 
-                this.saveJobs();
+        /**
+         * ADVANCE JOB
+         * Computes and schedules the next run
+         */
+        advanceJob(job) {
+            if (job.enabled) {
+                job.nextRun = this.calculateNextRun(job);
+                this.scheduleNext(job);
             }
+
+            this.saveJobs();
+        },
+
+        /**
+         * RECORD HISTORY
+         * Also receives runs executed by other nodes via CronCoordinator
+         */
+        recordHistory(entry) {
+            this.state.history.push(entry);
+
+            // Keep only last 100 executions
+            if (this.state.history.length > 100) {
+                this.state.history.shift();
+            }
+        },
+
+        /**
+         * DISTRIBUTED HELPERS
+         */
+        isDistributed() {
+            return this.config.enableDistributed && !!window.CronCoordinator;
+        },
+
+        getNodeId() {
+            return this.isDistributed() ? window.CronCoordinator.getNodeId() : 'local';
         },
 
         /**
@@ -579,6 +963,25 @@
                         <div id="cronJobsList" style="max-height: 300px; overflow-y: auto;"></div>
                     </div>
 
+                    <!-- Expression Preview -->
+                    <div style="margin-bottom: 20px;">
+                        <h3 style="color: #3a47d5; margin-bottom: 15px;">Cron Expression Preview</h3>
+                        <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                            <input id="cronPreviewExpression" type="text" placeholder="*/15 9-17 * * MON-FRI" style="flex: 2; padding: 8px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: white; border-radius: 6px;">
+                            <input id="cronPreviewTimezone" type="text" placeholder="Timezone (e.g. Europe/Berlin)" style="flex: 1; padding: 8px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: white; border-radius: 6px;">
+                            <input id="cronPreviewCount" type="number" value="5" min="1" max="50" style="width: 60px; padding: 8px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: white; border-radius: 6px;">
+                            <button onclick="window.CronSystem.renderPreview()" style="
+                                padding: 8px 16px;
+                                background: rgba(0, 212, 255, 0.2);
+                                border: 1px solid #00d4ff;
+                                color: white;
+                                border-radius: 6px;
+                                cursor: pointer;
+                            ">Preview</button>
+                        </div>
+                        <div id="cronPreviewList" style="font-size: 12px;"></div>
+                    </div>
+
                     <!-- Recent Executions -->
                     <div>
                         <h3 style="color: #3a47d5; margin-bottom: 15px;">Recent Executions</h3>
@@ -702,13 +1105,72 @@
                 if (ms < 3600000) return `${ms/60000}m`;
                 return `${ms/3600000}h`;
             } else if (job.type === 'cron') {
-                return job.schedule;
+                return job.timezone ? `${job.schedule} (${job.timezone})` : job.schedule;
             } else if (job.type === 'time') {
                 return job.schedule;
             }
             return 'Unknown';
         },
 
+        /**
+         * RENDER PREVIEW
+         */
+        renderPreview() {
+            const container = document.getElementById('cronPreviewList');
+            if (!container) return;
+
+            const expression = document.getElementById('cronPreviewExpression').value;
+            const timezone = document.getElementById('cronPreviewTimezone').value.trim() || null;
+            const count = parseInt(document.getElementById('cronPreviewCount').value, 10) || 5;
+
+            try {
+                if (timezone && !this.validateTimeZone(timezone)) {
+                    throw new Error(`Invalid timezone: ${timezone}`);
+                }
+
+                const runs = this.preview(expression, Math.min(count, 50), timezone);
+                if (runs.length === 0) {
+                    container.innerHTML = '<div style="padding: 10px; opacity: 0.5;">Expression never fires</div>';
+                    return;
+                }
+
+                const timeZone = timezone || this.getLocalTimeZone();
+                container.innerHTML = runs.map((run, i) => `
+                    <div style="padding: 6px 10px; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                        <span style="opacity: 0.5;">#${i + 1}</span>
+                        ${run.toLocaleString(undefined, {
+                            timeZone,
+                            weekday: 'short',
+                            year: 'numeric',
+                            month: 'short',
+                            day: 'numeric',
+                            hour: '2-digit',
+                            minute: '2-digit',
+                            timeZoneName: 'short'
+                        })}
+                    </div>
+                `).join('');
+            } catch (error) {
+                // The message echoes the user's expression/timezone, so never parse it as HTML
+                const message = document.createElement('div');
+                message.style.cssText = 'padding: 10px; color: #ff6b6b;';
+                message.textContent = error.message;
+                container.replaceChildren(message);
+            }
+        },
+
+        /**
+         * FORMAT NODE
+         */
+        formatNode(entry) {
+            if (!entry.nodeId) return '—';
+
+            const label = entry.nodeId === this.getNodeId() ? 'this tab' : entry.nodeId;
+            const token = entry.fencingToken ? ` #${entry.fencingToken}` : '';
+            const fenced = entry.fenced ? ' <span style="color: #ff9f0a;">(fenced)</span>' : '';
+            return `${label}${token}${fenced}`;
+        },
+
         /**
          * RENDER HISTORY
          */
@@ -725,6 +1187,7 @@
             html += '<thead><tr style="background: rgba(255,255,255,0.05);">';
             html += '<th style="padding: 8px; text-align: left;">Job</th>';
             html += '<th style="padding: 8px; text-align: left;">Time</th>';
+            html += '<th style="padding: 8px; text-align: left;">Node</th>';
             html += '<th style="padding: 8px; text-align: right;">Duration</th>';
             html += '<th style="padding: 8px; text-align: center;">Status</th>';
             html += '</tr></thead><tbody>';
@@ -737,6 +1200,7 @@
                 html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
                 html += `<td style="padding: 8px;">${entry.jobName}</td>`;
                 html += `<td style="padding: 8px;">${new Date(entry.timestamp).toLocaleString()}</td>`;
+                html += `<td style="padding: 8px;">${this.formatNode(entry)}</td>`;
                 html += `<td style="padding: 8px; text-align: right;">${entry.duration.toFixed(2)}ms</td>`;
                 html += `<td style="padding: 8px; text-align: center; color: ${statusColor};">${statusIcon}</td>`;
                 html += '</tr>';
@@ -16,11 +16,16 @@
  * - Optional cloud backup
  * - Visual query builder
  * - Dataset versioning
+ *
+ * Also loads under Node (aevov_cli.mjs): set root.PGlite and a filesystem
+ * config.dataDir, then init() - no auto-initialization outside the page.
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🗄️ Loading Comprehensive Database Integration...');
 
     const ComprehensiveDB = {
@@ -29,12 +34,18 @@
         // Configuration
         config: {
             usePGLite: true,
+            dataDir: 'idb://aevov-database', // IndexedDB in the page, a directory under Node
             useElectricSQL: false, // Enable when distributed version ready
             useDataPup: true,
             enableCubbitPersistence: true,
             autoSync: true,
             syncInterval: 30000, // 30 seconds
-            maxRetries: 3
+            maxRetries: 3,
+            vectorIndex: {
+                M: 16,
+                efConstruction: 200,
+                efSearch: 64
+            }
         },
 
         // State
@@ -45,7 +56,12 @@
             dataPupInterface: null,
             syncStatus: 'disconnected',
             lastSync: null,
-            pendingChanges: 0
+            pendingChanges: 0,
+            embeddingType: 'vector', // 'array' when pgvector is missing and the column is REAL[]
+            vectorIndex: null,
+            vectorIndexModel: null,  // EmbeddingRegistry tag the index was built with
+            vectorIndexLoading: null,
+            vectorIndexSaveTimer: null
         },
 
         // Schema
@@ -61,6 +77,7 @@
                     confidence REAL,
                     compressed_data BYTEA,
                     embedding VECTOR(384),
+                    embedding_model TEXT,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     synced BOOLEAN DEFAULT FALSE
@@ -87,6 +104,12 @@
                     input_patterns INTEGER,
                     output_model JSONB,
                     metrics JSONB,
+                    run_id TEXT,
+                    seed TEXT,
+                    prng TEXT,
+                    iterations INTEGER,
+                    input_digest TEXT,
+                    lineage JSONB,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
             `,
@@ -112,9 +135,40 @@
                     error TEXT,
                     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
+            `,
+            vector_indexes: `
+                CREATE TABLE IF NOT EXISTS vector_indexes (
+                    name TEXT PRIMARY KEY,
+                    dimension INTEGER NOT NULL,
+                    entry_count INTEGER,
+                    embedding_model TEXT,
+                    snapshot JSONB NOT NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
             `
         },
 
+        // Indexes (the query plan explorer checks suggestions against this list)
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS idx_patterns_category ON patterns(category)',
+            'CREATE INDEX IF NOT EXISTS idx_patterns_created ON patterns(created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_patterns_synced ON patterns(synced)',
+            'CREATE INDEX IF NOT EXISTS idx_chunks_status ON chunk_registry(status)',
+            'CREATE INDEX IF NOT EXISTS idx_models_created ON aev_models(created_at)'
+        ],
+
+        // Columns added after the first release (CREATE TABLE IF NOT EXISTS skips existing tables)
+        migrations: [
+            'ALTER TABLE patterns ADD COLUMN IF NOT EXISTS embedding_model TEXT',
+            'ALTER TABLE vector_indexes ADD COLUMN IF NOT EXISTS embedding_model TEXT',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS run_id TEXT',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS seed TEXT',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS prng TEXT',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS iterations INTEGER',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS input_digest TEXT',
+            'ALTER TABLE evolution_history ADD COLUMN IF NOT EXISTS lineage JSONB'
+        ],
+
         /**
          * INITIALIZE
          */
@@ -149,6 +203,11 @@
             // Create management interface
             this.createManagementInterface();
 
+            // The page's pattern store persists through this database
+            if (this.state.pglite && root.PatternStore && typeof window !== 'undefined') {
+                await root.PatternStore.attach(root.PatternStore.adapters.pglite(this));
+            }
+
             this.state.initialized = true;
             console.log('✅ Comprehensive Database ready!');
         },
@@ -161,13 +220,13 @@
 
             try {
                 // Check if PGLite is loaded
-                if (!window.PGlite) {
+                if (!root.PGlite) {
                     throw new Error('PGLite not loaded');
                 }
 
                 // Create PGLite instance with IndexedDB persistence
-                this.state.pglite = await window.PGlite.create({
-                    dataDir: 'idb://aevov-database'
+                this.state.pglite = await root.PGlite.create({
+                    dataDir: this.config.dataDir
                 });
 
                 console.log('✓ PGLite initialized');
@@ -178,6 +237,12 @@
                 // Create indexes
                 await this.createIndexes();
 
+                // Load or build the HNSW index over patterns.embedding
+                await this.loadVectorIndex();
+
+                // Re-embed stored patterns when the embedding provider changes
+                root.EmbeddingRegistry.on('change', () => this.loadVectorIndex());
+
             } catch (error) {
                 console.error('❌ PGLite initialization failed:', error);
                 this.createFallbackDB();
@@ -190,8 +255,13 @@
         createFallbackDB() {
             console.log('⚠️ Using fallback IndexedDB...');
 
+            if (!root.indexedDB) {
+                console.error('❌ No IndexedDB either - database unavailable');
+                return;
+            }
+
             // Simple fallback using IndexedDB directly
-            const request = indexedDB.open('aevov-fallback', 1);
+            const request = root.indexedDB.open('aevov-fallback', 1);
 
             request.onupgradeneeded = (e) => {
                 const db = e.target.result;
@@ -224,9 +294,25 @@
                     await this.state.pglite.exec(sql);
                     console.log(`  ✓ Created table: ${tableName}`);
                 } catch (error) {
+                    if (/type "vector" does not exist/.test(error.message)) {
+                        // No pgvector extension - keep embeddings as REAL[]
+                        await this.state.pglite.exec(sql.replace(/VECTOR\(\d+\)/g, 'REAL[]'));
+                        console.log(`  ✓ Created table: ${tableName} (embedding as REAL[])`);
+                        continue;
+                    }
                     console.warn(`  ⚠️ Table ${tableName} may already exist`);
                 }
             }
+
+            for (const sql of this.migrations) {
+                await this.state.pglite.exec(sql);
+            }
+
+            const column = await this.state.pglite.query(
+                `SELECT udt_name FROM information_schema.columns
+                 WHERE table_name = 'patterns' AND column_name = 'embedding'`
+            );
+            this.state.embeddingType = column.rows[0]?.udt_name === 'vector' ? 'vector' : 'array';
         },
 
         /**
@@ -235,15 +321,7 @@
         async createIndexes() {
             console.log('🔍 Creating indexes...');
 
-            const indexes = [
-                'CREATE INDEX IF NOT EXISTS idx_patterns_category ON patterns(category)',
-                'CREATE INDEX IF NOT EXISTS idx_patterns_created ON patterns(created_at)',
-                'CREATE INDEX IF NOT EXISTS idx_patterns_synced ON patterns(synced)',
-                'CREATE INDEX IF NOT EXISTS idx_chunks_status ON chunk_registry(status)',
-                'CREATE INDEX IF NOT EXISTS idx_models_created ON aev_models(created_at)'
-            ];
-
-            for (const sql of indexes) {
+            for (const sql of this.indexes) {
                 try {
                     await this.state.pglite.exec(sql);
                 } catch (error) {
@@ -264,13 +342,13 @@
                 // Electric SQL setup for distributed version
                 // This requires Electric service running
                 
-                if (!window.Electric) {
+                if (!root.Electric) {
                     console.warn('⚠️ Electric SQL not available, using local-only mode');
                     return;
                 }
 
                 // Connect to Electric service
-                this.state.electricClient = await window.Electric.electrify(
+                this.state.electricClient = await root.Electric.electrify(
                     this.state.pglite,
                     {
                         url: this.config.electricUrl || 'ws://localhost:5133'
@@ -333,29 +411,58 @@
          */
         async insertPattern(pattern) {
             const sql = `
-                INSERT INTO patterns (pattern_id, category, subcategory, pattern_data, keywords, confidence)
-                VALUES ($1, $2, $3, $4, $5, $6)
+                INSERT INTO patterns (pattern_id, category, subcategory, pattern_data, keywords, confidence, embedding, embedding_model)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 ON CONFLICT (pattern_id) DO UPDATE
-                SET pattern_data = $4, updated_at = CURRENT_TIMESTAMP, synced = FALSE
+                SET category = $2, pattern_data = $4, embedding = $7, embedding_model = $8, updated_at = CURRENT_TIMESTAMP, synced = FALSE
                 RETURNING id
             `;
 
+            const patternId = pattern.id || `pattern_${Date.now()}`;
+            const embeddingModel = root.EmbeddingRegistry.tag;
+            const embedding = await this.generateEmbedding(this.patternText(pattern));
+
             const params = [
-                pattern.id || `pattern_${Date.now()}`,
+                patternId,
                 pattern.category,
                 pattern.subcategory || null,
                 JSON.stringify(pattern),
                 pattern.keywords || [],
-                pattern.confidence || 0.5
+                pattern.confidence || 0.5,
+                this.formatEmbedding(embedding),
+                embeddingModel
             ];
 
             const result = await this.state.pglite.query(sql, params);
             
             this.state.pendingChanges++;
+
+            // Incremental insert; the graph snapshot is saved in the background
+            if (this.state.vectorIndex && this.state.vectorIndexModel === embeddingModel) {
+                this.state.vectorIndex.add(patternId, embedding);
+                this.scheduleVectorIndexSave();
+            }
             
             return result.rows[0].id;
         },
 
+        /**
+         * DELETE PATTERN (by pattern id)
+         */
+        async deletePattern(patternId) {
+            const result = await this.state.pglite.query('DELETE FROM patterns WHERE pattern_id = $1', [patternId]);
+            const deleted = (result.affectedRows || 0) > 0;
+
+            if (deleted) {
+                this.state.pendingChanges++;
+                if (this.state.vectorIndex?.remove(patternId)) {
+                    this.scheduleVectorIndexSave();
+                }
+            }
+
+            return deleted;
+        },
+
         /**
          * QUERY PATTERNS
          */
@@ -393,15 +500,73 @@
             return result.rows;
         },
 
+        /**
+         * RECORD EVOLUTION RUN
+         * Seed, PRNG and input digest let NeuroArchitect.regenerate() rebuild the model
+         */
+        async recordEvolutionRun({ model, lineage = [], metrics = {} }) {
+            const evolution = model.metadata.evolution;
+            const sql = `
+                INSERT INTO evolution_history
+                    (model_name, strategy, input_patterns, output_model, metrics, run_id, seed, prng, iterations, input_digest, lineage)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING id
+            `;
+
+            // Model header without the pattern bodies (those live in the .aev)
+            const { patterns, ...header } = model;
+
+            const result = await this.state.pglite.query(sql, [
+                model.name,
+                evolution.strategy,
+                evolution.inputIds.length,
+                JSON.stringify(header),
+                JSON.stringify(metrics),
+                evolution.runId,
+                String(evolution.seed),
+                evolution.prng,
+                evolution.iterations,
+                evolution.inputDigest,
+                JSON.stringify(lineage)
+            ]);
+
+            return result.rows[0].id;
+        },
+
+        /**
+         * EVOLUTION HISTORY (newest first)
+         */
+        async getEvolutionHistory(modelName = null) {
+            const result = modelName
+                ? await this.state.pglite.query(
+                    'SELECT * FROM evolution_history WHERE model_name = $1 ORDER BY created_at DESC, id DESC', [modelName])
+                : await this.state.pglite.query('SELECT * FROM evolution_history ORDER BY created_at DESC, id DESC');
+            return result.rows;
+        },
+
         /**
          * SEMANTIC SEARCH
          */
         async semanticSearch(query, limit = 10) {
-            // Generate embedding for query (simplified)
-            const queryEmbedding = this.generateEmbedding(query);
+            const queryEmbedding = await this.generateEmbedding(query);
 
-            // Find similar patterns using vector similarity
-            // Note: Full vector search would require pgvector extension
+            // Find similar patterns through the HNSW index
+            if (this.state.vectorIndex?.size && this.state.vectorIndexModel === root.EmbeddingRegistry.tag) {
+                const hits = this.state.vectorIndex.search(queryEmbedding, limit);
+                if (hits.length === 0) return [];
+
+                const result = await this.state.pglite.query(
+                    'SELECT * FROM patterns WHERE pattern_id = ANY($1)',
+                    [hits.map(hit => hit.id)]
+                );
+                const rows = new Map(result.rows.map(row => [row.pattern_id, row]));
+
+                return hits
+                    .filter(hit => rows.has(hit.id))
+                    .map(hit => ({ ...rows.get(hit.id), similarity: hit.similarity }));
+            }
+
+            // No current index (VectorIndex not loaded, or rebuilding): keyword fallback
             const sql = `
                 SELECT *, 
                     (SELECT COUNT(*) FROM unnest(keywords) k WHERE k ILIKE $1) as keyword_matches
@@ -415,34 +580,194 @@
         },
 
         /**
-         * GENERATE EMBEDDING (SIMPLIFIED)
+         * GENERATE EMBEDDING (via EmbeddingRegistry)
          */
-        generateEmbedding(text) {
-            // Simplified embedding - in production, use proper model
-            const words = text.toLowerCase().split(/\s+/);
-            const embedding = new Array(384).fill(0);
-            
-            words.forEach((word, i) => {
-                const hash = this.hashString(word);
-                const index = hash % 384;
-                embedding[index] += 1;
+        async generateEmbedding(text) {
+            return root.EmbeddingRegistry.embed(text);
+        },
+
+        /**
+         * PATTERN TEXT (what a pattern's embedding is computed from)
+         */
+        patternText(pattern) {
+            return root.EmbeddingRegistry.patternText(pattern);
+        },
+
+        /**
+         * EMBEDDING COLUMN FORMAT (pgvector text literal or REAL[])
+         */
+        formatEmbedding(embedding) {
+            return this.state.embeddingType === 'vector' ? `[${embedding.join(',')}]` : embedding;
+        },
+
+        parseEmbedding(value) {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+
+        /**
+         * LOAD VECTOR INDEX
+         * Re-embeds rows whose vectors are missing or from another provider,
+         * then restores the saved graph if it covers exactly the stored
+         * patterns with the same provider, otherwise rebuilds it.
+         * Runs are queued, so a provider change during a run gets its own.
+         */
+        loadVectorIndex() {
+            const previous = this.state.vectorIndexLoading || Promise.resolve();
+            const run = previous.then(() => this.buildVectorIndex());
+
+            this.state.vectorIndexLoading = run;
+            run.finally(() => {
+                if (this.state.vectorIndexLoading === run) this.state.vectorIndexLoading = null;
             });
+            return run;
+        },
+
+        async buildVectorIndex() {
+            if (!root.VectorIndex) {
+                console.warn('⚠️ VectorIndex not loaded, semantic search uses keyword matching');
+                return;
+            }
+
+            const registry = root.EmbeddingRegistry;
+            const embeddingModel = registry.tag;
+
+            try {
+                await this.matchEmbeddingDimension(registry.dimension);
+
+                const stale = await this.state.pglite.query(
+                    'SELECT pattern_id, pattern_data FROM patterns WHERE embedding IS NULL OR embedding_model IS DISTINCT FROM $1',
+                    [embeddingModel]
+                );
+                const reembedded = await registry.reembed(stale.rows, {
+                    text: row => this.patternText(row.pattern_data),
+                    isCurrent: () => false,
+                    apply: (row, embedding, tag) => this.state.pglite.query(
+                        'UPDATE patterns SET embedding = $2, embedding_model = $3 WHERE pattern_id = $1',
+                        [row.pattern_id, this.formatEmbedding(embedding), tag]
+                    )
+                });
+
+                // The provider changed mid-run; the run triggered by that change takes over
+                if (registry.tag !== embeddingModel) return;
+                if (reembedded > 0) {
+                    console.log(`✓ Re-embedded ${reembedded} patterns (${embeddingModel})`);
+                }
+
+                const stored = await this.state.pglite.query('SELECT pattern_id, embedding FROM patterns');
+                const vectors = new Map(stored.rows.map(row => [row.pattern_id, this.parseEmbedding(row.embedding)]));
+
+                const saved = await this.state.pglite.query(
+                    "SELECT snapshot, embedding_model FROM vector_indexes WHERE name = 'patterns'"
+                );
+                const snapshot = saved.rows[0]?.snapshot;
+
+                if (snapshot && saved.rows[0].embedding_model === embeddingModel &&
+                    snapshot.ids.length === vectors.size && snapshot.ids.every(id => vectors.has(id))) {
+                    this.state.vectorIndex = root.VectorIndex.fromJSON(snapshot, { vectors });
+                    this.state.vectorIndexModel = embeddingModel;
+                    console.log(`✓ Vector index restored (${vectors.size} patterns)`);
+                    return;
+                }
+
+                const index = root.VectorIndex.create({ dimension: registry.dimension, ...this.config.vectorIndex });
+                vectors.forEach((embedding, patternId) => index.add(patternId, embedding));
+                this.state.vectorIndex = index;
+                this.state.vectorIndexModel = embeddingModel;
+
+                await this.saveVectorIndex();
+                console.log(`✓ Vector index built (${vectors.size} patterns)`);
 
-            // Normalize
-            const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-            return embedding.map(val => val / (magnitude || 1));
+            } catch (error) {
+                console.warn('⚠️ Vector index unavailable:', error);
+                this.state.vectorIndex = null;
+                this.state.vectorIndexModel = null;
+            }
         },
 
         /**
-         * HASH STRING
+         * MATCH EMBEDDING DIMENSION
+         * pgvector columns are fixed-width; a provider with another dimension
+         * needs the column retyped (its vectors are all stale anyway).
          */
-        hashString(str) {
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                hash = hash & hash;
+        async matchEmbeddingDimension(dimension) {
+            if (this.state.embeddingType !== 'vector') return;
+
+            const column = await this.state.pglite.query(
+                `SELECT atttypmod FROM pg_attribute
+                 WHERE attrelid = 'patterns'::regclass AND attname = 'embedding'`
+            );
+            if (column.rows[0]?.atttypmod === dimension) return;
+
+            await this.state.pglite.exec(`
+                UPDATE patterns SET embedding = NULL, embedding_model = NULL;
+                ALTER TABLE patterns ALTER COLUMN embedding TYPE VECTOR(${Math.floor(dimension)});
+            `);
+            console.log(`✓ patterns.embedding retyped to VECTOR(${dimension})`);
+        },
+
+        /**
+         * SAVE VECTOR INDEX (graph only - vectors live in patterns.embedding)
+         */
+        async saveVectorIndex() {
+            const index = this.state.vectorIndex;
+            if (!index) return;
+
+            await this.state.pglite.query(
+                `INSERT INTO vector_indexes (name, dimension, entry_count, embedding_model, snapshot)
+                 VALUES ('patterns', $1, $2, $3, $4)
+                 ON CONFLICT (name) DO UPDATE
+                 SET dimension = $1, entry_count = $2, embedding_model = $3, snapshot = $4, updated_at = CURRENT_TIMESTAMP`,
+                [index.dimension, index.size, this.state.vectorIndexModel, JSON.stringify(index.toJSON({ includeVectors: false }))]
+            );
+        },
+
+        scheduleVectorIndexSave() {
+            if (this.state.vectorIndexSaveTimer) return;
+
+            this.state.vectorIndexSaveTimer = setTimeout(async () => {
+                this.state.vectorIndexSaveTimer = null;
+                try {
+                    await this.saveVectorIndex();
+                } catch (error) {
+                    console.warn('⚠️ Could not save vector index:', error);
+                }
+            }, 2000);
+        },
+
+        /**
+         * CLOSE (flushes a pending vector index save first)
+         */
+        async close() {
+            if (this.state.vectorIndexSaveTimer) {
+                clearTimeout(this.state.vectorIndexSaveTimer);
+                this.state.vectorIndexSaveTimer = null;
+                await this.saveVectorIndex();
             }
-            return Math.abs(hash);
+
+            if (root.PatternStore) {
+                await root.PatternStore.flush();
+                root.PatternStore.detach('pglite');
+            }
+
+            await this.state.pglite?.close?.();
+            this.state.pglite = null;
+            this.state.initialized = false;
+        },
+
+        /**
+         * BENCHMARK VECTOR INDEX (recall/latency against brute force)
+         */
+        benchmarkVectorIndex(options = {}) {
+            if (!this.state.vectorIndex) {
+                throw new Error('Vector index not loaded');
+            }
+
+            const report = root.VectorIndex.benchmark(this.state.vectorIndex, options);
+            console.log(`📊 Vector index: ${report.size} patterns, k=${report.k}, exact ${report.exact.mean.toFixed(2)}ms`);
+            report.runs.forEach(run => {
+                console.log(`  ef=${run.ef}: recall ${(run.recall * 100).toFixed(1)}%, ${run.latency.mean.toFixed(2)}ms (${run.speedup?.toFixed(1)}x)`);
+            });
+            return report;
         },
 
         /**
@@ -450,7 +775,7 @@
          */
         async saveToCubbit() {
             if (!this.config.enableCubbitPersistence) return;
-            if (!window.CubbitManager?.state?.connected) {
+            if (!root.CubbitManager?.state?.connected) {
                 console.warn('Cubbit not connected');
                 return;
             }
@@ -475,7 +800,7 @@
                 const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
                 const file = new File([blob], `aevov-backup-${Date.now()}.json`, { type: 'application/json' });
 
-                await window.CubbitManager.uploadFile(file, 'backups/', {
+                await root.CubbitManager.uploadFile(file, 'backups/', {
                     type: 'database-backup',
                     version: this.version
                 });
@@ -491,7 +816,7 @@
          * RESTORE FROM CUBBIT
          */
         async restoreFromCubbit(filename) {
-            if (!window.CubbitManager?.state?.connected) {
+            if (!root.CubbitManager?.state?.connected) {
                 throw new Error('Cubbit not connected');
             }
 
@@ -499,16 +824,13 @@
 
             try {
                 // Download from Cubbit
-                const blob = await window.CubbitManager.downloadFile(`backups/${filename}`);
+                const blob = await root.CubbitManager.downloadFile(`backups/${filename}`);
                 const text = await blob.text();
                 const backup = JSON.parse(text);
 
-                // Restore data
-                for (const pattern of backup.patterns) {
-                    await this.insertPattern(pattern);
-                }
+                const restored = await this.importData(backup);
 
-                console.log(`✓ Restored ${backup.patterns.length} patterns from Cubbit`);
+                console.log(`✓ Restored ${restored.patterns} patterns from Cubbit`);
 
             } catch (error) {
                 console.error('Failed to restore from Cubbit:', error);
@@ -607,21 +929,21 @@
             // This integrates with the existing DatabasePopup
             // Enhance it with DataPup features
 
-            if (window.DatabasePopup) {
-                const originalOpen = window.DatabasePopup.open;
+            if (root.DatabasePopup) {
+                const originalOpen = root.DatabasePopup.open;
                 
-                window.DatabasePopup.open = async function() {
+                root.DatabasePopup.open = async function() {
                     await originalOpen.call(this);
                     
                     // Add DataPup controls
                     const popup = document.getElementById('databasePopup');
-                    if (popup && window.ComprehensiveDB.state.dataPupInterface) {
+                    if (popup && root.ComprehensiveDB.state.dataPupInterface) {
                         const dataPupBtn = document.createElement('button');
                         dataPupBtn.textContent = '🐕 Open DataPup Interface';
                         dataPupBtn.className = 'btn btn-primary';
                         dataPupBtn.style.marginTop = '10px';
                         dataPupBtn.onclick = () => {
-                            window.ComprehensiveDB.openDataPup();
+                            root.ComprehensiveDB.openDataPup();
                         };
                         
                         const actions = popup.querySelector('div[style*="grid-template-columns"]');
@@ -645,12 +967,12 @@
         },
 
         /**
-         * EXPORT DATABASE
+         * EXPORT DATA (the JSON written by exportDatabase and read by importData)
          */
-        async exportDatabase() {
+        async exportData() {
             const stats = await this.getStats();
             
-            const data = {
+            return {
                 version: this.version,
                 exported: new Date().toISOString(),
                 stats,
@@ -658,6 +980,58 @@
                 chunks: (await this.state.pglite.query('SELECT * FROM chunk_registry')).rows,
                 models: (await this.state.pglite.query('SELECT * FROM aev_models')).rows
             };
+        },
+
+        /**
+         * IMPORT DATA (exportDatabase / Cubbit backup JSON)
+         * Patterns are re-embedded with the current provider; chunks and models
+         * replace rows with the same id / name.
+         */
+        async importData(data) {
+            const counts = { patterns: 0, chunks: 0, models: 0 };
+
+            for (const row of data.patterns || []) {
+                // Exported rows carry the pattern in pattern_data; older backups are bare patterns
+                const pattern = row.pattern_data || row;
+                await this.insertPattern({
+                    ...pattern,
+                    id: pattern.id || row.pattern_id,
+                    category: pattern.category || row.category
+                });
+                counts.patterns++;
+            }
+
+            for (const chunk of data.chunks || []) {
+                await this.state.pglite.query(`
+                    INSERT INTO chunk_registry (chunk_id, url, metadata, status, pattern_count, size_bytes)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                    ON CONFLICT (chunk_id) DO UPDATE
+                    SET url = $2, metadata = $3, status = $4, pattern_count = $5, size_bytes = $6
+                `, [chunk.chunk_id, chunk.url, JSON.stringify(chunk.metadata ?? null), chunk.status || 'active',
+                    chunk.pattern_count || 0, chunk.size_bytes ?? null]);
+                counts.chunks++;
+            }
+
+            for (const model of data.models || []) {
+                await this.state.pglite.query(`
+                    INSERT INTO aev_models (model_name, version, model_data, compressed_size, original_size)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (model_name) DO UPDATE
+                    SET version = $2, model_data = $3, compressed_size = $4, original_size = $5
+                `, [model.model_name, model.version ?? null, JSON.stringify(model.model_data),
+                    model.compressed_size ?? null, model.original_size ?? null]);
+                counts.models++;
+            }
+
+            console.log(`✓ Imported ${counts.patterns} patterns, ${counts.chunks} chunks, ${counts.models} models`);
+            return counts;
+        },
+
+        /**
+         * EXPORT DATABASE (download)
+         */
+        async exportDatabase() {
+            const data = await this.exportData();
 
             const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
@@ -796,17 +1170,23 @@
     }
 
     // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
+    if (typeof document !== 'undefined') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                ComprehensiveDB.init();
+            });
+        } else {
             ComprehensiveDB.init();
-        });
-    } else {
-        ComprehensiveDB.init();
+        }
     }
 
     // Export globally
-    window.ComprehensiveDB = ComprehensiveDB;
-    window.AevovDB = ComprehensiveDB; // Alias for compatibility
+    root.ComprehensiveDB = ComprehensiveDB;
+    root.AevovDB = ComprehensiveDB; // Alias for compatibility
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ComprehensiveDB;
+    }
 
     console.log('✅ Comprehensive Database Integration loaded');
     console.log('📦 PGLite + Electric SQL + DataPup ready');
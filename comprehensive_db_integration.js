@@ -476,9 +476,32 @@
                 JSON.stringify(pattern.metadata || {})
             ]);
 
+            // First sighting of a pattern id is its provenance root
+            window.DagLedger?.ledger.recordCreate(pattern, { store: 'AevovDB' });
+
             console.log(`✓ Pattern ${pattern.id} saved to database`);
         },
 
+        /**
+         * DELETE PATTERN
+         */
+        async deletePattern(patternId) {
+            if (!this.state.pglite) {
+                console.error('PGlite not initialized');
+                return false;
+            }
+
+            const result = await this.state.pglite.query('DELETE FROM patterns WHERE id = $1', [patternId]);
+            const deleted = (result.affectedRows || 0) > 0;
+
+            if (deleted) {
+                window.DagLedger?.ledger.recordDelete(patternId, { store: 'AevovDB' });
+                console.log(`✓ Pattern ${patternId} deleted from database`);
+            }
+
+            return deleted;
+        },
+
         /**
          * QUERY PATTERNS
          */
@@ -291,7 +291,7 @@
                     };
 
                     // Create embedding
-                    pattern.embedding = window.AdvancedPatternExtractor.createEmbedding(keywords);
+                    window.EmbeddingRegistry.embedPatternSync(pattern);
 
                     patterns.push(pattern);
                 }
@@ -350,7 +350,7 @@
 
                 // Help
                 if (/^(help|what can you do|how does this work|what are you|who are you)/.test(lower)) {
-                    const patternCount = (window.LOADED_CHAT_PATTERNS || []).length;
+                    const patternCount = window.PatternStore.size;
                     return `I'm an AI assistant powered by ${patternCount} learned patterns. I can help you with:\n\n• Coding and technology\n• Creative writing\n• Science and research\n• Business and management\n• And much more!\n\nJust ask me a question, and I'll do my best to help!`;
                 }
 
@@ -647,19 +647,9 @@
                 return;
             }
 
-            if (window.advancedPatterns) {
-                Object.keys(window.advancedPatterns).forEach(key => {
-                    window.advancedPatterns[key] = [];
-                });
-            }
-
-            if (window.patterns) {
-                Object.keys(window.patterns).forEach(key => {
-                    window.patterns[key] = [];
-                });
-            }
+            window.PatternStore.clear({ source: 'RealFix reset' });
 
-            window.LOADED_CHAT_PATTERNS = [];
+            window.AevovBus.emit('chat:patterns-loaded', { patterns: [], source: 'RealFix reset' });
 
             // Clear tracking
             this.seenKeywordSets.clear();
@@ -674,18 +664,7 @@
          * Helper methods
          */
         getAllPatterns() {
-            const all = [];
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(p => {
-                    if (Array.isArray(p)) all.push(...p);
-                });
-            }
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(p => {
-                    if (Array.isArray(p)) all.push(...p);
-                });
-            }
-            return all;
+            return window.PatternStore.all();
         },
 
         simpleHash(str) {
@@ -710,14 +689,12 @@
     // Export
     window.RealFix = RealFix;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => RealFix.init(), 2000);
-        });
-    } else {
-        setTimeout(() => RealFix.init(), 2000);
-    }
+    // Initialized by the module loader; it rewrites extraction and chat last,
+    // on top of the modules that patch them first
+    window.AevovLoader.declare('RealFix', {
+        optional: ['PatternStore', 'UnifiedChatSystem', 'AevovNLU', 'CustomExtractor'],
+        init: () => RealFix.init()
+    });
 
     console.log('✅ COMPREHENSIVE REAL FIX loaded');
     console.log('💡 Extract patterns now for TRULY unique keywords!');
@@ -150,6 +150,19 @@
                                 <input type="range" min="0" max="100" value="30" onchange="window.SettingsSystem.saveSetting('minConfidence', this.value/100)">
                                 <span id="minConfidenceValue">30%</span>
                             </label>
+                            <label class="setting-row">
+                                <span>Embedding Provider</span>
+                                <select id="setting-embedding-provider" onchange="window.SettingsSystem.setEmbeddingProvider(this.value)">
+                                    <option value="hashing">Hashed bag of words</option>
+                                    <option value="tfidf">TF-IDF</option>
+                                    <option value="transformers">transformers.js model</option>
+                                </select>
+                            </label>
+                            <label class="setting-row">
+                                <span>Local model folder (blank = download)</span>
+                                <input type="text" id="setting-embedding-model-path" placeholder="/models/">
+                            </label>
+                            <div id="embeddingProviderStatus" style="font-size: 12px; opacity: 0.8; padding-top: 8px;"></div>
                         </div>
                         <div id="tab-database" class="tab-content">
                             <h3>Database Settings</h3>
@@ -326,6 +339,27 @@
 
         openFullSettings() {
             document.getElementById('settingsPanel').style.display = 'block';
+
+            if (window.EmbeddingRegistry) {
+                document.getElementById('setting-embedding-provider').value = window.EmbeddingRegistry.active.id;
+                document.getElementById('embeddingProviderStatus').textContent = `Current: ${window.EmbeddingRegistry.tag}`;
+            }
+        },
+
+        async setEmbeddingProvider(id) {
+            const status = document.getElementById('embeddingProviderStatus');
+            const modelPath = document.getElementById('setting-embedding-model-path').value.trim();
+            const options = id === 'transformers' && modelPath ? { localModelPath: modelPath } : undefined;
+
+            status.textContent = '⏳ Loading embedding provider...';
+
+            try {
+                await window.EmbeddingRegistry.use(id, options);
+                status.textContent = `✅ ${window.EmbeddingRegistry.tag} - stored vectors are re-embedded in the background`;
+            } catch (error) {
+                status.textContent = `❌ ${error.message}`;
+                document.getElementById('setting-embedding-provider').value = window.EmbeddingRegistry.active.id;
+            }
         },
 
         closeSettings() {
@@ -470,22 +504,8 @@
 
             this.extractedQueries.push(pattern);
 
-            // Add to pattern system
-            if (!window.advancedPatterns) window.advancedPatterns = {};
-            if (!window.advancedPatterns.extracted_queries) {
-                window.advancedPatterns.extracted_queries = [];
-            }
-            window.advancedPatterns.extracted_queries.push(pattern);
-
-            // Save to database
-            if (window.AevovDB?.insertPattern) {
-                await window.AevovDB.insertPattern(pattern);
-            }
-
-            // Reindex semantic search
-            if (window.SemanticSearch?.reindex) {
-                window.SemanticSearch.reindex();
-            }
+            // Add to the pattern store (persisted and indexed from there)
+            window.PatternStore.add(pattern, { collection: 'advanced', source: 'QueryExtraction' });
 
             console.log(`✅ Query saved as pattern: ${query}`);
         },
@@ -559,13 +579,7 @@
             // The main issue: queries not finding patterns
             // Create fallback pattern matcher
             window.fallbackPatternMatch = function(query) {
-                const allPatterns = [];
-                
-                if (window.advancedPatterns) {
-                    Object.values(window.advancedPatterns).forEach(cat => {
-                        if (Array.isArray(cat)) allPatterns.push(...cat);
-                    });
-                }
+                const allPatterns = window.PatternStore.all({ collection: 'advanced' });
 
                 if (allPatterns.length === 0) {
                     return {
@@ -15,7 +15,9 @@
         state: {
             isOpen: false,
             currentConfig: null,
-            validationResults: null
+            validationResults: null,
+            simulationSeed: 42,
+            lastSimulation: null
         },
 
         config: {
@@ -384,6 +386,14 @@
                 results.warnings.push('Low confirmation depth may reduce security');
             }
 
+            // Bounds the consensus engine actually enforces
+            if (window.ConsensusEngine) {
+                const engineResults = window.ConsensusEngine.validateConfig(this.config);
+                results.errors.push(...engineResults.errors);
+                results.warnings.push(...engineResults.warnings);
+                results.valid = results.valid && engineResults.valid;
+            }
+
             this.renderValidation(results);
         },
 
@@ -493,35 +503,56 @@
             console.log('🧪 Testing consensus mechanism...');
             
             const testResults = await this.simulateConsensusRound();
+            if (!testResults) {
+                alert('⚠️ Consensus engine not loaded (consensus_engine.js)');
+                return;
+            }
+            
+            const leaders = testResults.leaderboard
+                .slice(0, 3)
+                .map(v => `  ${v.id}: rep ${v.reputation.toFixed(1)}, accuracy ${(v.accuracy * 100).toFixed(0)}%, rewards ${v.rewards.toFixed(0)}`)
+                .join('\n');
             
-            alert(`🧪 Consensus Test Results:\n\n` +
+            alert(`🧪 Consensus Test Results (seed ${testResults.seed}):\n\n` +
                   `Algorithm: ${this.config.consensus.algorithm}\n` +
-                  `Simulated Nodes: ${testResults.nodes}\n` +
-                  `Voting Threshold: ${(this.config.consensus.votingThreshold * 100).toFixed(0)}%\n` +
-                  `Consensus Reached: ${testResults.consensusReached ? '✅ Yes' : '❌ No'}\n` +
-                  `Time: ${testResults.timeMs}ms\n` +
-                  `Byzantine Failures Handled: ${testResults.byzantineFailures}`);
+                  `Simulated Nodes: ${testResults.nodes} (${testResults.byzantineFailures} Byzantine)\n` +
+                  `Voting Threshold: ${(this.config.consensus.votingThreshold * 100).toFixed(0)}% ` +
+                  `(effective ${(testResults.threshold * 100).toFixed(1)}%)\n` +
+                  `Consensus Reached: ${testResults.consensusReached ? '✅ Yes' : '❌ No'} ` +
+                  `(${testResults.rounds - testResults.undecided}/${testResults.rounds} proposals)\n` +
+                  `Accepted / Rejected / Undecided: ${testResults.accepted} / ${testResults.rejected} / ${testResults.undecided}\n` +
+                  `Correct Decisions: ${testResults.correctDecisions}, Safety Violations: ${testResults.safetyViolations}\n` +
+                  `Retries: ${testResults.retries}, Equivocations: ${testResults.equivocations}, Slashings: ${testResults.slashings}\n` +
+                  `Avg Round Time: ${testResults.timeMs}ms\n` +
+                  `Reputation honest / Byzantine: ${testResults.honestReputation.toFixed(1)} / ${testResults.byzantineReputation.toFixed(1)}\n` +
+                  `Rewards Distributed: ${testResults.totalRewards.toFixed(0)} (${this.config.rewards.distributionMethod})\n\n` +
+                  `Top Validators:\n${leaders}`);
         },
 
-        async simulateConsensusRound() {
-            const nodeCount = Math.floor(Math.random() * (this.config.consensus.maxNodes - this.config.consensus.minNodes)) + this.config.consensus.minNodes;
-            const byzantineCount = Math.floor(nodeCount * this.config.validation.maxByzantineNodes);
+        /**
+         * SIMULATE CONSENSUS ROUND
+         * Runs the consensus engine over a deterministic multi-node network with
+         * the current settings; Byzantine nodes make up maxByzantineNodes of it
+         */
+        async simulateConsensusRound(options = {}) {
+            if (!window.ConsensusEngine) return null;
             
             const startTime = Date.now();
+            const summary = window.ConsensusEngine.simulate(this.config, {
+                seed: this.state.simulationSeed,
+                ...options
+            });
             
-            await new Promise(resolve => setTimeout(resolve, 100));
+            console.log(`⚖️ Simulated ${summary.rounds} rounds over ${summary.nodes} nodes in ${Date.now() - startTime}ms`);
             
-            const votes = nodeCount - byzantineCount;
-            const threshold = Math.ceil(nodeCount * this.config.consensus.votingThreshold);
-            const consensusReached = votes >= threshold;
+            const { engine, ...results } = summary;
+            this.state.lastSimulation = results;
             
             return {
-                nodes: nodeCount,
-                votes: votes,
-                threshold: threshold,
-                consensusReached: consensusReached,
-                timeMs: Date.now() - startTime,
-                byzantineFailures: byzantineCount
+                ...results,
+                consensusReached: summary.undecided === 0,
+                timeMs: summary.avgTimeMs,
+                byzantineFailures: summary.byzantineNodes
             };
         },
 
@@ -561,11 +592,7 @@
 
     window.ConsensusConfig = ConsensusConfig;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => ConsensusConfig.init());
-    } else {
-        ConsensusConfig.init();
-    }
+    window.AevovLoader.declare('ConsensusConfig', { init: () => ConsensusConfig.init() });
 
     console.log('✅ Proof of Consensus Configuration Panel loaded');
 
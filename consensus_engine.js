@@ -0,0 +1,633 @@
+/**
+ * PROOF OF CONTRIBUTION CONSENSUS ENGINE
+ * Executes the settings configured in ConsensusConfig (Ctrl+Shift+K)
+ *
+ * Features:
+ * - Voting rounds over pattern proposals with weighted votes
+ *   (reputation for proof-of-contribution, stake for proof-of-stake,
+ *   one node one vote for byzantine-consensus and raft)
+ * - Quorum (quorumPercentage) and decision threshold (votingThreshold)
+ * - BFT bounds: with maxByzantineNodes = f the decision threshold is raised
+ *   to at least (1 + f) / 2 so two conflicting quorums cannot both form
+ * - Equivocation detection, slashing (enableSlashing / slashingPenalty)
+ * - Reputation decay and contribution/accuracy/uptime weighting
+ * - Rewards with base, accuracy, speed and consistency bonuses distributed
+ *   'equal', 'proportional' or 'weighted'
+ * - Deterministic multi-node simulator (seeded PRNG) for testConsensus()
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('⚖️ Loading Consensus Engine...');
+
+    // Defaults mirror ConsensusConfig.config so the engine runs without the panel
+    const DEFAULT_CONFIG = {
+        consensus: {
+            algorithm: 'proof-of-contribution',
+            votingThreshold: 0.67,
+            minNodes: 3,
+            maxNodes: 100,
+            timeoutMs: 5000,
+            retries: 3,
+            quorumPercentage: 0.51
+        },
+        validation: {
+            enableByzantineFaultTolerance: true,
+            maxByzantineNodes: 0.33,
+            enableSlashing: false,
+            slashingPenalty: 0.1
+        },
+        reputation: {
+            initialScore: 100,
+            contributionWeight: 1.0,
+            accuracyWeight: 2.0,
+            uptimeWeight: 0.5,
+            decayRate: 0.01
+        },
+        rewards: {
+            baseReward: 10,
+            accuracyBonus: 5,
+            speedBonus: 2,
+            consistencyBonus: 3,
+            distributionMethod: 'proportional'
+        }
+    };
+
+    const CONSISTENCY_STREAK = 3;
+
+    const SeededRandom = root.SeededRandom || (typeof require === 'function' ? require('./seeded_random.js') : null);
+    if (!SeededRandom) {
+        throw new Error('seeded_random.js must load before consensus_engine.js');
+    }
+
+    const createRandom = SeededRandom.mulberry32;
+
+    function mergeConfig(config = {}) {
+        const merged = {};
+        for (const section of Object.keys(DEFAULT_CONFIG)) {
+            merged[section] = { ...DEFAULT_CONFIG[section], ...(config[section] || {}) };
+        }
+        return merged;
+    }
+
+    /**
+     * VALIDATE CONFIG
+     * Returns { valid, errors, warnings, effectiveThreshold, bftThreshold }
+     */
+    function validateConfig(config) {
+        const c = mergeConfig(config);
+        const errors = [];
+        const warnings = [];
+        const f = c.validation.maxByzantineNodes;
+        const bft = usesBft(c);
+
+        const bftThreshold = bft ? (1 + f) / 2 : 0;
+        const effectiveThreshold = effectiveThresholdFor(c);
+
+        if (c.consensus.minNodes > c.consensus.maxNodes) {
+            errors.push('minNodes cannot exceed maxNodes');
+        }
+        if (c.consensus.quorumPercentage > 1 || c.consensus.votingThreshold > 1) {
+            errors.push('Quorum and voting threshold are fractions of total weight (≤ 1)');
+        }
+        if (bft && f >= 1 / 3) {
+            warnings.push(`BFT tolerates fewer than one third faulty weight; maxByzantineNodes ${f} is at or beyond that bound`);
+        }
+        if (bft && c.consensus.votingThreshold < bftThreshold) {
+            warnings.push(`Voting threshold raised from ${pct(c.consensus.votingThreshold)} to ${pct(bftThreshold)} to stay safe with ${pct(f)} Byzantine weight`);
+        }
+        if (bft && 1 - f < effectiveThreshold) {
+            warnings.push(`Honest weight (${pct(1 - f)}) is below the decision threshold (${pct(effectiveThreshold)}); rounds may not terminate under attack`);
+        }
+        if (bft && c.consensus.minNodes < 3 * Math.max(1, Math.ceil(c.consensus.minNodes * f)) + 1) {
+            warnings.push(`Tolerating one Byzantine node needs at least 4 validators (n ≥ 3f + 1); minNodes is ${c.consensus.minNodes}`);
+        }
+        if (c.consensus.quorumPercentage < effectiveThreshold) {
+            warnings.push(`Quorum ${pct(c.consensus.quorumPercentage)} is below the decision threshold; quorate rounds can still end undecided`);
+        }
+        if (c.reputation.decayRate > 0 && c.reputation.accuracyWeight + c.reputation.uptimeWeight === 0) {
+            warnings.push('Reputation only decays: accuracy and uptime weights are both 0');
+        }
+
+        return { valid: errors.length === 0, errors, warnings, effectiveThreshold, bftThreshold };
+    }
+
+    function usesBft(config) {
+        if (config.consensus.algorithm === 'raft') return false; // crash-fault tolerant only
+        if (config.consensus.algorithm === 'byzantine-consensus') return true;
+        return config.validation.enableByzantineFaultTolerance;
+    }
+
+    function effectiveThresholdFor(config) {
+        const base = config.consensus.algorithm === 'raft'
+            ? Math.max(config.consensus.votingThreshold, 0.5)
+            : config.consensus.votingThreshold;
+        if (!usesBft(config)) return base;
+        return Math.max(base, (1 + config.validation.maxByzantineNodes) / 2);
+    }
+
+    function pct(value) {
+        return `${(value * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * ENGINE
+     */
+    class ConsensusEngine {
+        constructor(config, options = {}) {
+            this.config = mergeConfig(config);
+            this.validators = new Map();
+            this.round = 0;
+            this.history = [];
+            this.slashings = [];
+            this.random = options.random || Math.random;
+        }
+
+        /**
+         * VALIDATORS
+         */
+        registerValidator(id, options = {}) {
+            if (this.validators.has(id)) {
+                return this.validators.get(id);
+            }
+
+            const validator = {
+                id,
+                reputation: options.reputation ?? this.config.reputation.initialScore,
+                stake: options.stake ?? 1,
+                contributions: 0,
+                correctVotes: 0,
+                incorrectVotes: 0,
+                missedVotes: 0,
+                roundsEligible: 0,
+                streak: 0,
+                rewards: 0,
+                slashed: 0,
+                jailed: false
+            };
+
+            this.validators.set(id, validator);
+            return validator;
+        }
+
+        removeValidator(id) {
+            return this.validators.delete(id);
+        }
+
+        accuracy(validator) {
+            const decided = validator.correctVotes + validator.incorrectVotes;
+            return decided === 0 ? 1 : validator.correctVotes / decided;
+        }
+
+        uptime(validator) {
+            return validator.roundsEligible === 0 ? 1 : 1 - validator.missedVotes / validator.roundsEligible;
+        }
+
+        weightOf(validator) {
+            switch (this.config.consensus.algorithm) {
+                case 'proof-of-stake':
+                    return Math.max(0, validator.stake);
+                case 'byzantine-consensus':
+                case 'raft':
+                    return 1;
+                default:
+                    return Math.max(0, validator.reputation);
+            }
+        }
+
+        /**
+         * COMMITTEE
+         * The maxNodes highest-weight validators that are not jailed
+         */
+        committee() {
+            return Array.from(this.validators.values())
+                .filter(v => !v.jailed && this.weightOf(v) > 0)
+                .sort((a, b) => (this.weightOf(b) - this.weightOf(a)) || (a.id < b.id ? -1 : 1))
+                .slice(0, this.config.consensus.maxNodes);
+        }
+
+        /**
+         * RUN ROUND
+         * proposal: { id, proposer, pattern }
+         * votes: [{ validatorId, vote: 'accept' | 'reject', latencyMs }]
+         *   (validators without a vote, or whose vote arrives after timeoutMs, are absent)
+         */
+        runRound(proposal, votes) {
+            const { consensus, validation } = this.config;
+            const roundNumber = ++this.round;
+            const committee = this.committee();
+            const members = new Map(committee.map(v => [v.id, v]));
+            const totalWeight = committee.reduce((sum, v) => sum + this.weightOf(v), 0);
+            const threshold = effectiveThresholdFor(this.config);
+
+            const outcome = {
+                round: roundNumber,
+                proposalId: proposal.id,
+                proposer: proposal.proposer || null,
+                algorithm: consensus.algorithm,
+                committeeSize: committee.length,
+                threshold,
+                quorum: consensus.quorumPercentage,
+                decision: 'no-decision',
+                reason: null,
+                participation: 0,
+                acceptWeight: 0,
+                rejectWeight: 0,
+                timeMs: 0,
+                equivocators: [],
+                lateVotes: 0,
+                slashed: [],
+                rewards: {}
+            };
+
+            if (committee.length < consensus.minNodes) {
+                outcome.reason = `committee of ${committee.length} is below minNodes (${consensus.minNodes})`;
+                this.history.push(outcome);
+                return outcome;
+            }
+
+            // Collect one vote per member; conflicting votes are equivocation
+            const ballots = new Map();
+            const equivocators = new Set();
+            for (const vote of votes) {
+                if (!members.has(vote.validatorId) || vote.vote === undefined || vote.vote === null) continue;
+
+                if ((vote.latencyMs || 0) > consensus.timeoutMs) {
+                    outcome.lateVotes++;
+                    continue;
+                }
+
+                const previous = ballots.get(vote.validatorId);
+                if (previous && previous.vote !== vote.vote) {
+                    equivocators.add(vote.validatorId);
+                } else if (!previous) {
+                    ballots.set(vote.validatorId, vote);
+                }
+            }
+            equivocators.forEach(id => ballots.delete(id));
+            outcome.equivocators = Array.from(equivocators);
+
+            let participating = 0;
+            for (const ballot of ballots.values()) {
+                const weight = this.weightOf(members.get(ballot.validatorId));
+                participating += weight;
+                if (ballot.vote === 'accept') outcome.acceptWeight += weight;
+                if (ballot.vote === 'reject') outcome.rejectWeight += weight;
+                outcome.timeMs = Math.max(outcome.timeMs, ballot.latencyMs || 0);
+            }
+
+            outcome.participation = totalWeight > 0 ? participating / totalWeight : 0;
+            const acceptShare = totalWeight > 0 ? outcome.acceptWeight / totalWeight : 0;
+            const rejectShare = totalWeight > 0 ? outcome.rejectWeight / totalWeight : 0;
+
+            if (outcome.participation < consensus.quorumPercentage) {
+                outcome.reason = `participation ${pct(outcome.participation)} below quorum ${pct(consensus.quorumPercentage)}`;
+                outcome.timeMs = consensus.timeoutMs;
+            } else if (acceptShare >= threshold) {
+                outcome.decision = 'accepted';
+            } else if (rejectShare >= threshold) {
+                outcome.decision = 'rejected';
+            } else {
+                outcome.reason = `neither side reached ${pct(threshold)} (accept ${pct(acceptShare)}, reject ${pct(rejectShare)})`;
+                outcome.timeMs = consensus.timeoutMs;
+            }
+
+            // Evidence of equivocation is punishable whether or not the round decided
+            if (validation.enableSlashing) {
+                for (const id of equivocators) {
+                    outcome.slashed.push(this.slash(id, 'equivocation', roundNumber));
+                }
+            }
+
+            this.updateReputation(committee, ballots, equivocators, outcome);
+
+            if (outcome.decision !== 'no-decision') {
+                outcome.rewards = this.distributeRewards(ballots, members, outcome);
+            }
+
+            this.history.push(outcome);
+            return outcome;
+        }
+
+        /**
+         * REPUTATION
+         * reputation ← reputation·(1 − decayRate)
+         *            + contributionWeight·[accepted proposal]
+         *            + accuracyWeight·(+1 with the decision, −1 against)
+         *            + uptimeWeight·(+1 voted, −1 missed)
+         */
+        updateReputation(committee, ballots, equivocators, outcome) {
+            const { contributionWeight, accuracyWeight, uptimeWeight, decayRate } = this.config.reputation;
+            const decided = outcome.decision !== 'no-decision';
+            const winningVote = outcome.decision === 'accepted' ? 'accept' : 'reject';
+
+            for (const validator of committee) {
+                validator.roundsEligible++;
+                let delta = 0;
+
+                const ballot = ballots.get(validator.id);
+                if (ballot || equivocators.has(validator.id)) {
+                    delta += uptimeWeight;
+                } else {
+                    validator.missedVotes++;
+                    delta -= uptimeWeight;
+                }
+
+                if (decided && ballot) {
+                    if (ballot.vote === winningVote) {
+                        validator.correctVotes++;
+                        validator.streak++;
+                        delta += accuracyWeight;
+                    } else {
+                        validator.incorrectVotes++;
+                        validator.streak = 0;
+                        delta -= accuracyWeight;
+                    }
+                } else if (equivocators.has(validator.id)) {
+                    validator.incorrectVotes++;
+                    validator.streak = 0;
+                    delta -= accuracyWeight;
+                }
+
+                validator.reputation = Math.max(0, validator.reputation * (1 - decayRate) + delta);
+            }
+
+            if (outcome.decision === 'accepted' && outcome.proposer && this.validators.has(outcome.proposer)) {
+                const proposer = this.validators.get(outcome.proposer);
+                proposer.contributions++;
+                proposer.reputation += contributionWeight;
+            }
+        }
+
+        /**
+         * SLASHING
+         */
+        slash(id, reason, round = this.round) {
+            const validator = this.validators.get(id);
+            if (!validator) return null;
+
+            const penalty = validator.reputation * this.config.validation.slashingPenalty;
+            const stakePenalty = validator.stake * this.config.validation.slashingPenalty;
+            validator.reputation -= penalty;
+            validator.stake -= stakePenalty;
+            validator.slashed += penalty;
+
+            // Repeat offenders lose their seat
+            const offences = this.slashings.filter(s => s.id === id).length + 1;
+            if (offences >= 3) {
+                validator.jailed = true;
+            }
+
+            const record = { id, reason, round, penalty, offences, jailed: validator.jailed };
+            this.slashings.push(record);
+            return record;
+        }
+
+        /**
+         * REWARDS
+         * Voters on the winning side share baseReward × winners via distributionMethod,
+         * then earn accuracy, speed and consistency bonuses; an accepted proposal
+         * earns its proposer baseReward for the contribution.
+         */
+        distributeRewards(ballots, members, outcome) {
+            const { baseReward, accuracyBonus, speedBonus, consistencyBonus, distributionMethod } = this.config.rewards;
+            const winningVote = outcome.decision === 'accepted' ? 'accept' : 'reject';
+            const winners = Array.from(ballots.values()).filter(b => b.vote === winningVote);
+            const rewards = {};
+            if (winners.length === 0) return rewards;
+
+            const share = (ballot) => {
+                const validator = members.get(ballot.validatorId);
+                switch (distributionMethod) {
+                    case 'equal':
+                        return 1;
+                    case 'weighted':
+                        return this.weightOf(validator) * this.accuracy(validator) * this.uptime(validator);
+                    default:
+                        return this.weightOf(validator);
+                }
+            };
+
+            const pool = baseReward * winners.length;
+            const shares = winners.map(share);
+            const totalShares = shares.reduce((a, b) => a + b, 0) || 1;
+
+            const latencies = winners.map(b => b.latencyMs || 0).sort((a, b) => a - b);
+            const medianLatency = latencies[Math.floor((latencies.length - 1) / 2)];
+
+            winners.forEach((ballot, i) => {
+                const validator = members.get(ballot.validatorId);
+                let reward = pool * shares[i] / totalShares;
+
+                reward += accuracyBonus * this.accuracy(validator);
+                if ((ballot.latencyMs || 0) <= medianLatency) reward += speedBonus;
+                if (validator.streak >= CONSISTENCY_STREAK) reward += consistencyBonus;
+
+                validator.rewards += reward;
+                rewards[validator.id] = reward;
+            });
+
+            if (outcome.decision === 'accepted' && outcome.proposer && this.validators.has(outcome.proposer)) {
+                const proposer = this.validators.get(outcome.proposer);
+                proposer.rewards += baseReward;
+                rewards[proposer.id] = (rewards[proposer.id] || 0) + baseReward;
+            }
+
+            return rewards;
+        }
+
+        /**
+         * DECIDE
+         * Runs up to 1 + retries rounds until the proposal is decided;
+         * collectVotes(attempt) supplies the votes for each attempt
+         */
+        decide(proposal, collectVotes) {
+            const attempts = [];
+            for (let attempt = 0; attempt <= this.config.consensus.retries; attempt++) {
+                const outcome = this.runRound(proposal, collectVotes(attempt));
+                attempts.push(outcome);
+                if (outcome.decision !== 'no-decision' || outcome.committeeSize < this.config.consensus.minNodes) break;
+            }
+            return { decision: attempts[attempts.length - 1].decision, attempts };
+        }
+
+        leaderboard(limit = 10) {
+            return Array.from(this.validators.values())
+                .sort((a, b) => b.reputation - a.reputation)
+                .slice(0, limit)
+                .map(v => ({
+                    id: v.id,
+                    reputation: v.reputation,
+                    accuracy: this.accuracy(v),
+                    uptime: this.uptime(v),
+                    rewards: v.rewards,
+                    slashed: v.slashed,
+                    jailed: v.jailed
+                }));
+        }
+    }
+
+    /**
+     * SIMULATE
+     * Deterministic multi-node run: same config + seed → same outcome
+     *
+     * options: {
+     *   nodes, rounds, seed,
+     *   byzantineFraction (defaults to maxByzantineNodes), byzantineStrategy: 'invert' | 'equivocate' | 'silent' | 'mixed',
+     *   offlineRate, honestErrorRate, invalidProposalRate, latency: { min, max }
+     * }
+     */
+    function simulate(config, options = {}) {
+        const merged = mergeConfig(config);
+        const random = createRandom(options.seed ?? 42);
+        const nodeCount = options.nodes ?? Math.min(merged.consensus.maxNodes, Math.max(merged.consensus.minNodes, 16));
+        const rounds = options.rounds ?? 50;
+        const byzantineFraction = options.byzantineFraction ?? merged.validation.maxByzantineNodes;
+        const strategy = options.byzantineStrategy || 'mixed';
+        const offlineRate = options.offlineRate ?? 0.05;
+        const honestErrorRate = options.honestErrorRate ?? 0.02;
+        const invalidProposalRate = options.invalidProposalRate ?? 0.25;
+        const latency = { min: 20, max: merged.consensus.timeoutMs * 0.6, ...options.latency };
+
+        const engine = new ConsensusEngine(merged, { random });
+        const byzantineCount = Math.floor(nodeCount * byzantineFraction);
+        const nodes = [];
+        const strategies = ['invert', 'equivocate', 'silent'];
+
+        for (let i = 0; i < nodeCount; i++) {
+            const id = `node-${String(i + 1).padStart(3, '0')}`;
+            engine.registerValidator(id, { stake: 1 + Math.floor(random() * 10) });
+            nodes.push({
+                id,
+                byzantine: i >= nodeCount - byzantineCount,
+                strategy: strategy === 'mixed' ? strategies[i % strategies.length] : strategy
+            });
+        }
+
+        const summary = {
+            seed: options.seed ?? 42,
+            nodes: nodeCount,
+            byzantineNodes: byzantineCount,
+            rounds,
+            accepted: 0,
+            rejected: 0,
+            undecided: 0,
+            correctDecisions: 0,
+            safetyViolations: 0, // invalid pattern accepted or valid one rejected
+            retries: 0,
+            equivocations: 0,
+            slashings: 0,
+            totalRewards: 0,
+            avgTimeMs: 0,
+            outcomes: []
+        };
+
+        let timeTotal = 0;
+
+        for (let r = 0; r < rounds; r++) {
+            const valid = random() >= invalidProposalRate;
+            const honest = nodes.filter(n => !n.byzantine);
+            const proposer = honest.length > 0 ? honest[Math.floor(random() * honest.length)].id : nodes[0].id;
+            const proposal = { id: `proposal-${r + 1}`, proposer, pattern: { id: `pattern-${r + 1}`, valid } };
+
+            const { decision, attempts } = engine.decide(proposal, () => {
+                const votes = [];
+                for (const node of nodes) {
+                    const latencyMs = Math.round(latency.min + random() * (latency.max - latency.min));
+                    const correct = valid ? 'accept' : 'reject';
+                    const wrong = valid ? 'reject' : 'accept';
+
+                    if (!node.byzantine) {
+                        if (random() < offlineRate) continue;
+                        votes.push({ validatorId: node.id, vote: random() < honestErrorRate ? wrong : correct, latencyMs });
+                        continue;
+                    }
+
+                    if (node.strategy === 'silent') continue;
+                    if (node.strategy === 'equivocate') {
+                        votes.push({ validatorId: node.id, vote: correct, latencyMs });
+                        votes.push({ validatorId: node.id, vote: wrong, latencyMs });
+                        continue;
+                    }
+                    votes.push({ validatorId: node.id, vote: wrong, latencyMs });
+                }
+                return votes;
+            });
+
+            const final = attempts[attempts.length - 1];
+            summary.retries += attempts.length - 1;
+            attempts.forEach(a => {
+                summary.equivocations += a.equivocators.length;
+                summary.slashings += a.slashed.length;
+                timeTotal += a.timeMs;
+            });
+
+            if (decision === 'accepted') summary.accepted++;
+            else if (decision === 'rejected') summary.rejected++;
+            else summary.undecided++;
+
+            const right = (decision === 'accepted' && valid) || (decision === 'rejected' && !valid);
+            if (right) summary.correctDecisions++;
+            if (decision !== 'no-decision' && !right) summary.safetyViolations++;
+
+            summary.outcomes.push({
+                proposal: proposal.id,
+                valid,
+                decision,
+                attempts: attempts.length,
+                acceptWeight: final.acceptWeight,
+                rejectWeight: final.rejectWeight,
+                participation: final.participation,
+                reason: final.reason
+            });
+        }
+
+        const totalAttempts = summary.outcomes.reduce((sum, o) => sum + o.attempts, 0);
+        summary.avgTimeMs = totalAttempts > 0 ? Math.round(timeTotal / totalAttempts) : 0;
+        summary.totalRewards = Array.from(engine.validators.values()).reduce((sum, v) => sum + v.rewards, 0);
+        summary.threshold = effectiveThresholdFor(merged);
+        summary.leaderboard = engine.leaderboard(5);
+        summary.byzantineReputation = average(nodes.filter(n => n.byzantine).map(n => engine.validators.get(n.id).reputation));
+        summary.honestReputation = average(nodes.filter(n => !n.byzantine).map(n => engine.validators.get(n.id).reputation));
+        summary.jailed = Array.from(engine.validators.values()).filter(v => v.jailed).map(v => v.id);
+        summary.engine = engine;
+
+        return summary;
+    }
+
+    function average(values) {
+        return values.length === 0 ? 0 : values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    const ConsensusEngineModule = {
+        version: '1.0.0',
+
+        create(config, options) {
+            const source = config || root.ConsensusConfig?.config;
+            return new ConsensusEngine(source, options);
+        },
+
+        simulate(config, options) {
+            return simulate(config || root.ConsensusConfig?.config, options);
+        },
+
+        validateConfig,
+        effectiveThreshold: (config) => effectiveThresholdFor(mergeConfig(config)),
+        createRandom,
+        DEFAULT_CONFIG,
+        ConsensusEngine
+    };
+
+    // Export globally
+    root.ConsensusEngine = ConsensusEngineModule;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ConsensusEngineModule;
+    }
+
+    console.log('✅ Consensus Engine loaded');
+
+})();
@@ -0,0 +1,394 @@
+/**
+ * DISTRIBUTED CRON COORDINATOR
+ *
+ * Elects a single executor for every CronSystem job run so a job fires once
+ * across all open tabs and network nodes instead of once per tab
+ *
+ * Features:
+ * - Web Locks serialize runs between tabs of the same browser
+ * - Claims, heartbeats and completions over pluggable transports
+ *   (BroadcastChannel between tabs, DistributedNetworkLayer between nodes)
+ * - Run leases with monotonically increasing fencing tokens
+ * - Failover when the executing tab closes or stops heartbeating mid-run
+ * - Shared execution history tagged with the executing node
+ *
+ * Transport interface: { name, send(message), onMessage(handler), close() }
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🗳️ Loading Distributed Cron Coordinator...');
+
+    const CronCoordinator = {
+        version: '1.0.0',
+
+        // Configuration
+        config: {
+            channelName: 'aevov-cron',
+            lockPrefix: 'aevov-cron:',
+            leaseKeyPrefix: 'aevov_cron_lease:',
+            claimWindow: 250, // ms to collect competing claims
+            leaseTtl: 15000, // lease expires without heartbeat
+            heartbeatInterval: 5000
+        },
+
+        // State
+        state: {
+            initialized: false,
+            nodeId: null,
+            transports: [],
+            leases: new Map(), // jobId -> latest lease seen from any node
+            tokens: new Map(), // jobId -> highest fencing token seen
+            claims: new Map(), // jobId@slot -> Map(nodeId -> claim)
+            heartbeats: new Map(), // jobId -> interval id
+            watchdog: null
+        },
+
+        /**
+         * INITIALIZE
+         */
+        init() {
+            if (this.state.initialized) return;
+
+            this.state.nodeId = this.generateNodeId();
+
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.attach(this.createBroadcastTransport());
+            }
+
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                // Let followers take over immediately instead of waiting for lease expiry
+                window.addEventListener('pagehide', () => this.releaseAll());
+            }
+
+            this.state.watchdog = setInterval(() => this.checkLeases(), this.config.heartbeatInterval);
+
+            this.state.initialized = true;
+            console.log(`✅ Cron Coordinator ready (node ${this.state.nodeId})`);
+        },
+
+        generateNodeId() {
+            return `node-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        },
+
+        getNodeId() {
+            return this.state.nodeId;
+        },
+
+        /**
+         * TRANSPORTS
+         */
+        attach(transport) {
+            this.state.transports.push(transport);
+            transport.onMessage((message) => this.handleMessage(message));
+            console.log(`  ✓ Coordinator transport attached: ${transport.name}`);
+
+            return () => {
+                this.state.transports = this.state.transports.filter(t => t !== transport);
+                transport.close?.();
+            };
+        },
+
+        attachNetwork(network) {
+            return this.attach(this.createNetworkTransport(network));
+        },
+
+        createBroadcastTransport() {
+            const channel = new BroadcastChannel(this.config.channelName);
+
+            return {
+                name: 'broadcast-channel',
+                send: (message) => channel.postMessage(message),
+                onMessage: (handler) => {
+                    channel.onmessage = (event) => handler(event.data);
+                },
+                close: () => channel.close()
+            };
+        },
+
+        createNetworkTransport(network) {
+            return {
+                name: 'network',
+                send: (message) => network.publish('cron', message),
+                onMessage: (handler) => network.subscribe('cron', handler),
+                close: () => {}
+            };
+        },
+
+        broadcast(type, payload) {
+            const message = { type, from: this.state.nodeId, sentAt: Date.now(), ...payload };
+
+            for (const transport of this.state.transports) {
+                try {
+                    transport.send(message);
+                } catch (error) {
+                    console.warn(`Coordinator transport ${transport.name} failed:`, error);
+                }
+            }
+        },
+
+        handleMessage(message) {
+            if (!message || message.from === this.state.nodeId) return;
+
+            switch (message.type) {
+                case 'claim': {
+                    const { claim } = message;
+                    this.recordClaim(claim);
+                    this.observeToken(claim.jobId, claim.token);
+                    break;
+                }
+                case 'heartbeat':
+                    this.rememberLease(message.lease);
+                    break;
+                case 'complete':
+                    this.rememberLease(message.lease);
+                    if (message.entry && window.CronSystem?.recordHistory) {
+                        window.CronSystem.recordHistory(message.entry);
+                    }
+                    break;
+                case 'release':
+                    for (const lease of message.leases || []) {
+                        this.rememberLease({ ...lease, expiresAt: 0 });
+                    }
+                    this.checkLeases();
+                    break;
+            }
+        },
+
+        /**
+         * LEASES
+         */
+        rememberLease(lease) {
+            if (!lease) return;
+
+            const known = this.state.leases.get(lease.jobId);
+            if (!known || lease.token > known.token || (lease.token === known.token && lease.owner === known.owner)) {
+                this.state.leases.set(lease.jobId, lease);
+            }
+            this.observeToken(lease.jobId, lease.token);
+        },
+
+        observeToken(jobId, token) {
+            if (token > (this.state.tokens.get(jobId) || 0)) {
+                this.state.tokens.set(jobId, token);
+            }
+        },
+
+        readStoredLease(jobId) {
+            if (typeof localStorage === 'undefined') return null;
+
+            try {
+                const saved = localStorage.getItem(this.config.leaseKeyPrefix + jobId);
+                return saved ? JSON.parse(saved) : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        writeLease(lease) {
+            this.rememberLease(lease);
+
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.config.leaseKeyPrefix + lease.jobId, JSON.stringify(lease));
+            }
+        },
+
+        newestLease(...leases) {
+            return leases.filter(Boolean).sort((a, b) => b.token - a.token)[0] || null;
+        },
+
+        /**
+         * IS CURRENT
+         * A lease is fenced off once any node has issued a higher token for the job
+         */
+        isCurrent(lease) {
+            return (this.state.tokens.get(lease.jobId) || 0) <= lease.token;
+        },
+
+        /**
+         * RUN EXCLUSIVE
+         * Runs `execute(lease)` only if this node wins the run for (job, slot).
+         * `slot` is the scheduled fire time shared by every node.
+         * Resolves to { executed, reason, leader, lease, result }.
+         */
+        async runExclusive(job, slot, execute) {
+            if (typeof navigator !== 'undefined' && navigator.locks) {
+                return navigator.locks.request(this.config.lockPrefix + job.id, () => this.elect(job, slot, execute, true));
+            }
+
+            return this.elect(job, slot, execute, false);
+        },
+
+        async elect(job, slot, execute, lockHeld) {
+            const stored = this.readStoredLease(job.id);
+            let lease = this.newestLease(stored, this.state.leases.get(job.id));
+
+            const skip = this.checkExistingLease(lease, stored, slot, lockHeld);
+            if (skip) return skip;
+
+            const token = Math.max(lease ? lease.token : 0, this.state.tokens.get(job.id) || 0) + 1;
+            const claim = { jobId: job.id, slot, nodeId: this.state.nodeId, token };
+
+            if (this.state.transports.length > 0) {
+                this.recordClaim(claim);
+                this.broadcast('claim', { claim });
+
+                await new Promise(resolve => setTimeout(resolve, this.config.claimWindow));
+
+                const winner = this.resolveClaims(job.id, slot);
+                if (winner.nodeId !== this.state.nodeId) {
+                    return { executed: false, reason: 'lost-election', leader: winner.nodeId, lease: null };
+                }
+
+                // A completion may have arrived while claims were collected
+                lease = this.newestLease(this.readStoredLease(job.id), this.state.leases.get(job.id));
+                const late = this.checkExistingLease(lease, null, slot, false);
+                if (late) return late;
+            }
+
+            const ownLease = {
+                jobId: job.id,
+                jobName: job.name,
+                slot,
+                owner: this.state.nodeId,
+                token,
+                status: 'running',
+                acquiredAt: Date.now(),
+                expiresAt: Date.now() + this.config.leaseTtl
+            };
+
+            this.writeLease(ownLease);
+            this.broadcast('heartbeat', { lease: ownLease });
+            this.startHeartbeat(ownLease);
+
+            let entry = null;
+            try {
+                entry = await execute(ownLease);
+                return { executed: true, reason: 'elected', leader: this.state.nodeId, lease: ownLease, result: entry };
+            } finally {
+                this.stopHeartbeat(job.id);
+                this.complete(ownLease, entry);
+            }
+        },
+
+        // Returns a skip outcome if another node already owns or finished this slot
+        checkExistingLease(lease, stored, slot, lockHeld) {
+            if (!lease || lease.slot < slot || lease.owner === this.state.nodeId) return null;
+
+            if (lease.status === 'done') {
+                return { executed: false, reason: 'completed', leader: lease.owner, lease };
+            }
+
+            // Holding the Web Lock proves a lease recorded by a local tab is orphaned
+            const orphanedLocally = lockHeld && stored && stored.owner === lease.owner && stored.token === lease.token;
+            if (!orphanedLocally && lease.expiresAt > Date.now()) {
+                return { executed: false, reason: 'running', leader: lease.owner, lease };
+            }
+
+            console.log(`🔁 Taking over job ${lease.jobId} from ${lease.owner} (token ${lease.token})`);
+            return null;
+        },
+
+        recordClaim(claim) {
+            const key = `${claim.jobId}@${claim.slot}`;
+            if (!this.state.claims.has(key)) {
+                this.state.claims.set(key, new Map());
+                // Forget claims long after the window closes
+                setTimeout(() => this.state.claims.delete(key), this.config.claimWindow * 20);
+            }
+            this.state.claims.get(key).set(claim.nodeId, claim);
+        },
+
+        // Highest token wins; ties go to the lowest node id so every node agrees
+        resolveClaims(jobId, slot) {
+            const claims = Array.from(this.state.claims.get(`${jobId}@${slot}`)?.values() || []);
+
+            return claims.sort((a, b) => (b.token - a.token) || (a.nodeId < b.nodeId ? -1 : a.nodeId > b.nodeId ? 1 : 0))[0];
+        },
+
+        startHeartbeat(lease) {
+            this.stopHeartbeat(lease.jobId);
+
+            const timer = setInterval(() => {
+                lease.expiresAt = Date.now() + this.config.leaseTtl;
+                this.writeLease(lease);
+                this.broadcast('heartbeat', { lease });
+            }, this.config.heartbeatInterval);
+
+            this.state.heartbeats.set(lease.jobId, timer);
+        },
+
+        stopHeartbeat(jobId) {
+            const timer = this.state.heartbeats.get(jobId);
+            if (timer) {
+                clearInterval(timer);
+                this.state.heartbeats.delete(jobId);
+            }
+        },
+
+        complete(lease, entry) {
+            const fenced = !this.isCurrent(lease);
+            if (entry) {
+                entry.fenced = fenced;
+            }
+
+            if (fenced) {
+                console.warn(`⚠️ Job ${lease.jobName} finished with stale token ${lease.token}; result fenced off`);
+                return;
+            }
+
+            const done = { ...lease, status: 'done', completedAt: Date.now(), expiresAt: 0 };
+            this.writeLease(done);
+            this.broadcast('complete', { lease: done, entry });
+        },
+
+        /**
+         * RELEASE ALL
+         * Called when the tab goes away mid-run
+         */
+        releaseAll() {
+            const leases = [];
+
+            for (const jobId of this.state.heartbeats.keys()) {
+                const lease = this.state.leases.get(jobId);
+                if (lease && lease.owner === this.state.nodeId) {
+                    leases.push(lease);
+                }
+                this.stopHeartbeat(jobId);
+            }
+
+            if (leases.length > 0) {
+                this.broadcast('release', { leases });
+            }
+        },
+
+        /**
+         * CHECK LEASES
+         * Watchdog: re-run any slot whose executor stopped heartbeating
+         */
+        checkLeases() {
+            const cron = typeof window !== 'undefined' ? window.CronSystem : null;
+            if (!cron) return;
+
+            const now = Date.now();
+            for (const lease of this.state.leases.values()) {
+                if (lease.status !== 'running' || lease.owner === this.state.nodeId || lease.expiresAt > now) continue;
+
+                const job = cron.state.jobs.get(lease.jobId);
+                if (!job || !job.enabled || cron.state.running.has(job.id)) continue;
+
+                console.warn(`⚠️ Lease for ${job.name} held by ${lease.owner} expired, failing over`);
+                cron.executeJob(job.id, false, lease.slot);
+            }
+        }
+    };
+
+    CronCoordinator.init();
+
+    // Export globally
+    window.CronCoordinator = CronCoordinator;
+
+    console.log('✅ Distributed Cron Coordinator loaded');
+
+})();
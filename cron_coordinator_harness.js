@@ -0,0 +1,214 @@
+/**
+ * CRON COORDINATOR HARNESS
+ * Two-node checks for cron_coordinator.js talking through
+ * DistributedNetworkLayer (master_integration_system.js) over a Kademlia
+ * loopback network (kademlia_dht.js)
+ *
+ * Every node gets its own CronCoordinator, loaded into a separate global
+ * (a vm context, like a separate tab or process) without BroadcastChannel,
+ * so the network layer is the only way the two can reach each other.
+ *
+ * Run:
+ *   node --experimental-detect-module cron_coordinator_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runCronChecks() can also be imported
+ * to drive the same checks from another script.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+
+const require = createRequire(import.meta.url);
+const KademliaDHT = require('./kademlia_dht.js');
+const { DistributedNetworkLayer } = require('./master_integration_system.js');
+
+const NODE_COUNT = 2;
+
+/**
+ * Load a fresh CronCoordinator into its own global
+ */
+export function loadCoordinator(source) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, setInterval, clearInterval });
+    context.window = context;
+    vm.runInContext(source, context, { filename: 'cron_coordinator.js' });
+
+    const coordinator = context.CronCoordinator;
+    // Claims are forgotten claimWindow * 20 after a run; keep that short
+    coordinator.config.claimWindow = 50;
+    return coordinator;
+}
+
+/**
+ * Two nodes, each a DistributedNetworkLayer on one loopback network with a
+ * CronCoordinator attached to it
+ */
+export async function createCronFixture(source) {
+    const loopback = KademliaDHT.createLoopbackNetwork();
+    const nodes = [];
+
+    for (let i = 0; i < NODE_COUNT; i++) {
+        const network = new DistributedNetworkLayer({
+            dhtTransport: loopback.createTransport(),
+            bootstrap: nodes.length > 0 ? [nodes[0].network.dht.contact] : [],
+            dhtConfig: { rpcTimeout: 200 }
+        });
+        await network.initialize();
+        await network.connect();
+
+        const coordinator = loadCoordinator(source);
+        coordinator.attachNetwork(network);
+        nodes.push({ network, coordinator });
+    }
+
+    return {
+        loopback,
+        nodes,
+        stop: () => nodes.forEach(({ network, coordinator }) => {
+            clearInterval(coordinator.state.watchdog);
+            network.disconnect();
+        })
+    };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Both nodes fire the same job slot at once; returns their outcomes and who ran it
+async function runSlot(nodes, job, slot) {
+    const ran = [];
+    const outcomes = await Promise.all(nodes.map(({ coordinator }, i) =>
+        coordinator.runExclusive(job, slot, async () => {
+            ran.push(i);
+            return { status: 'success' };
+        })));
+    return { outcomes, ran };
+}
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+/**
+ * CHECKS
+ */
+export const CRON_CHECKS = [
+    {
+        name: 'the network layer publishes over the DHT transport by default',
+        async run({ nodes }) {
+            const [a, b] = nodes.map(node => node.network);
+            assertEqual(a.getConfig().transport, 'dht:loopback', 'transport');
+
+            const received = [];
+            b.subscribe('test', payload => received.push(payload));
+
+            assertEqual(a.publish('test', { n: 1 }), true, 'publish accepted');
+            await settle();
+            assertEqual(received, [{ n: 1 }], 'messages on the other node');
+        }
+    },
+    {
+        name: 'only one of two nodes runs a job slot',
+        async run({ nodes }) {
+            const { outcomes, ran } = await runSlot(nodes, { id: 'job-sync', name: 'Pattern sync' }, Date.now());
+
+            assertEqual(ran.length, 1, 'executions');
+            assertEqual(outcomes.filter(o => o.executed).length, 1, 'executed outcomes');
+            assertEqual(new Set(outcomes.map(o => o.leader)).size, 1, 'nodes agreeing on the leader');
+
+            const loser = outcomes.find(o => !o.executed);
+            assertEqual(loser.reason, 'lost-election', 'loser reason');
+            assertEqual(loser.leader, nodes[ran[0]].coordinator.getNodeId(), 'leader is the node that ran');
+        }
+    },
+    {
+        name: 'the other node sees the run as completed',
+        async run({ nodes }) {
+            const job = { id: 'job-backup', name: 'Backup' };
+            const slot = Date.now();
+            const { ran } = await runSlot(nodes, job, slot);
+            await settle();
+
+            const other = nodes[1 - ran[0]].coordinator;
+            const retry = await other.runExclusive(job, slot, async () => {
+                throw new Error('ran a completed slot again');
+            });
+            assertEqual(retry.executed, false, 'executed again');
+            assertEqual(retry.reason, 'completed', 'reason');
+        }
+    },
+    {
+        name: 'nodes that cannot reach each other both run the slot',
+        async run({ nodes, loopback }) {
+            loopback.setOffline(nodes[1].network.dht.address);
+
+            const { ran } = await runSlot(nodes, { id: 'job-partitioned', name: 'Partitioned' }, Date.now());
+            assert(ran.length === 2, `without the network each node elects itself, got ${ran.length} run(s)`);
+        }
+    }
+];
+
+/**
+ * RUN CRON CHECKS
+ */
+export async function runCronChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = CRON_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const source = await readFile(new URL('./cron_coordinator.js', import.meta.url), 'utf8');
+    const results = [];
+
+    // The modules log their own progress; keep the report readable
+    const { log: consoleLog, error: consoleError, warn: consoleWarn } = console;
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = () => {};
+
+    try {
+        for (const check of checks) {
+            const started = Date.now();
+            let fixture = null;
+            try {
+                fixture = await createCronFixture(source);
+                await check.run(fixture);
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            } finally {
+                fixture?.stop();
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+        console.warn = consoleWarn;
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 Cron coordinator harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runCronChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
@@ -0,0 +1,265 @@
+/**
+ * CRON HARNESS
+ * Schedule checks for the cron engine in comprehensive_cron_distributed.js:
+ * steps, L, how the two day fields combine, and DST transitions
+ *
+ * CronSystem is loaded into a vm context with a stub document that never
+ * finishes loading, so it does not auto-initialize (no scheduler, no UI).
+ * Every check asks for fire times after a fixed instant; nothing depends on
+ * the clock or the machine's timezone.
+ *
+ * Run:
+ *   node --experimental-detect-module cron_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runCronScheduleChecks() can also be
+ * imported to drive the same checks from another script.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+
+/**
+ * Load CronSystem into its own global
+ */
+export async function loadCronSystem() {
+    const file = fileURLToPath(new URL('./comprehensive_cron_distributed.js', import.meta.url));
+    const source = await readFile(file, 'utf8');
+
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        document: { readyState: 'loading', addEventListener() {} }
+    });
+    context.window = context;
+    vm.runInContext(source, context, { filename: 'comprehensive_cron_distributed.js' });
+    return context.CronSystem;
+}
+
+/**
+ * The next `n` fire times after `after`, as ISO strings
+ */
+export function fireTimes(cron, expression, { after, timezone = 'UTC', n = 5 }) {
+    const runs = [];
+    let cursor = Date.parse(after);
+
+    for (let i = 0; i < n; i++) {
+        const next = cron.nextCronRun(expression, timezone, cursor);
+        if (!next) break;
+        runs.push(next.toISOString());
+        cursor = next.getTime();
+    }
+
+    return runs;
+}
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+// Day-of-month and weekday (0 = Sunday) of each ISO fire time
+const days = (runs) => runs.map(iso => {
+    const date = new Date(iso);
+    return [date.getUTCDate(), date.getUTCDay()];
+});
+
+/**
+ * CHECKS
+ */
+export const CRON_CHECKS = [
+    {
+        name: 'minute steps fire on the step boundaries',
+        async run(cron) {
+            assertEqual(
+                fireTimes(cron, '*/15 * * * *', { after: '2027-01-04T10:07:00Z', n: 4 }),
+                ['2027-01-04T10:15:00.000Z', '2027-01-04T10:30:00.000Z', '2027-01-04T10:45:00.000Z', '2027-01-04T11:00:00.000Z'],
+                '*/15 minutes'
+            );
+            assertEqual(
+                fireTimes(cron, '10-40/15 9 * * *', { after: '2027-01-04T09:00:00Z', n: 4 }),
+                ['2027-01-04T09:10:00.000Z', '2027-01-04T09:25:00.000Z', '2027-01-04T09:40:00.000Z', '2027-01-05T09:10:00.000Z'],
+                'stepped range 10-40/15'
+            );
+        }
+    },
+    {
+        name: 'hour and day-of-month steps stay in force',
+        async run(cron) {
+            assertEqual(
+                fireTimes(cron, '0 */6 * * *', { after: '2027-01-04T01:00:00Z', n: 4 }),
+                ['2027-01-04T06:00:00.000Z', '2027-01-04T12:00:00.000Z', '2027-01-04T18:00:00.000Z', '2027-01-05T00:00:00.000Z'],
+                '*/6 hours'
+            );
+            assertEqual(
+                days(fireTimes(cron, '0 0 */10 * *', { after: '2027-01-01T12:00:00Z', n: 5 })).map(([day]) => day),
+                [11, 21, 31, 1, 11],
+                '*/10 days of the month'
+            );
+        }
+    },
+    {
+        name: 'L fires on the last day of every month',
+        async run(cron) {
+            assertEqual(
+                fireTimes(cron, '0 0 L * *', { after: '2027-01-15T00:00:00Z', n: 4 }),
+                ['2027-01-31T00:00:00.000Z', '2027-02-28T00:00:00.000Z', '2027-03-31T00:00:00.000Z', '2027-04-30T00:00:00.000Z'],
+                'last day in 2027'
+            );
+            assertEqual(
+                fireTimes(cron, '0 0 L 2 *', { after: '2027-03-01T00:00:00Z', n: 2 }),
+                ['2028-02-29T00:00:00.000Z', '2029-02-28T00:00:00.000Z'],
+                'last day of February across a leap year'
+            );
+            assertEqual(
+                days(fireTimes(cron, '0 0 15,L * *', { after: '2027-04-01T00:00:00Z', n: 4 })).map(([day]) => day),
+                [15, 30, 15, 31],
+                'L in a list'
+            );
+        }
+    },
+    {
+        name: 'restricted day-of-month and weekday match either one',
+        async run(cron) {
+            // 13th or any Friday in August 2027 (the 13th is itself a Friday)
+            assertEqual(
+                days(fireTimes(cron, '0 0 13 * FRI', { after: '2027-08-01T00:00:00Z', n: 5 })),
+                [[6, 5], [13, 5], [20, 5], [27, 5], [3, 5]],
+                '13 with FRI in August'
+            );
+            assertEqual(
+                days(fireTimes(cron, '0 0 1,15 * MON', { after: '2027-03-01T12:00:00Z', n: 5 })),
+                [[8, 1], [15, 1], [22, 1], [29, 1], [1, 4]],
+                '1,15 with MON in March'
+            );
+        }
+    },
+    {
+        name: 'a day field starting with * makes both day fields match',
+        async run(cron) {
+            const oddMondays = days(fireTimes(cron, '0 0 */2 * MON', { after: '2027-03-01T12:00:00Z', n: 4 }));
+            assertEqual(oddMondays, [[15, 1], [29, 1], [5, 1], [19, 1]], '*/2 with MON');
+
+            const weekdayStep = days(fireTimes(cron, '0 0 10-20 * */3', { after: '2027-03-01T00:00:00Z', n: 4 }));
+            assert(weekdayStep.every(([day, weekday]) => day >= 10 && day <= 20 && weekday % 3 === 0),
+                `10-20 with */3 weekdays fired on ${JSON.stringify(weekdayStep)}`);
+
+            assertEqual(
+                days(fireTimes(cron, '0 0 ? * SUN', { after: '2027-03-01T00:00:00Z', n: 2 })),
+                [[7, 0], [14, 0]],
+                '? with SUN'
+            );
+        }
+    },
+    {
+        name: 'a fixed-hour job inside the spring-forward gap runs once after it',
+        async run(cron) {
+            // America/New_York skips 02:00-03:00 on 2027-03-14
+            assertEqual(
+                fireTimes(cron, '30 2 * * *', { after: '2027-03-13T00:00:00Z', timezone: 'America/New_York', n: 3 }),
+                ['2027-03-13T07:30:00.000Z', '2027-03-14T07:30:00.000Z', '2027-03-15T06:30:00.000Z'],
+                '02:30 daily across the gap'
+            );
+        }
+    },
+    {
+        name: 'a fixed-hour job runs once in the repeated fall-back hour',
+        async run(cron) {
+            // America/New_York repeats 01:00-02:00 on 2027-11-07
+            assertEqual(
+                fireTimes(cron, '30 1 * * *', { after: '2027-11-06T12:00:00Z', timezone: 'America/New_York', n: 2 }),
+                ['2027-11-07T05:30:00.000Z', '2027-11-08T06:30:00.000Z'],
+                '01:30 daily across the repeat'
+            );
+        }
+    },
+    {
+        name: 'jobs with a * hour keep real-time cadence through both transitions',
+        async run(cron) {
+            assertEqual(
+                fireTimes(cron, '0 * * * *', { after: '2027-03-14T06:30:00Z', timezone: 'America/New_York', n: 3 }),
+                ['2027-03-14T07:00:00.000Z', '2027-03-14T08:00:00.000Z', '2027-03-14T09:00:00.000Z'],
+                'hourly across the gap'
+            );
+            assertEqual(
+                fireTimes(cron, '*/30 * * * *', { after: '2027-11-07T04:45:00Z', timezone: 'America/New_York', n: 5 }),
+                ['2027-11-07T05:00:00.000Z', '2027-11-07T05:30:00.000Z', '2027-11-07T06:00:00.000Z', '2027-11-07T06:30:00.000Z', '2027-11-07T07:00:00.000Z'],
+                'half-hourly across the repeat'
+            );
+        }
+    },
+    {
+        name: 'invalid fields are rejected',
+        async run(cron) {
+            for (const expression of ['*/0 * * * *', '0 0 L * L', '0 ? * * *', '0 0 20-10 * *', '0 0 * * * *']) {
+                let error = null;
+                try {
+                    cron.compileCronExpression(expression);
+                } catch (e) {
+                    error = e;
+                }
+                assert(error, `${expression} compiled`);
+            }
+        }
+    }
+];
+
+/**
+ * RUN CRON SCHEDULE CHECKS
+ */
+export async function runCronScheduleChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = CRON_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const results = [];
+
+    // The module logs its own progress; keep the report readable
+    const { log: consoleLog, error: consoleError } = console;
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+        const cron = await loadCronSystem();
+
+        for (const check of checks) {
+            const started = Date.now();
+            try {
+                await check.run(cron);
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 Cron harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runCronScheduleChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
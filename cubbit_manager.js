@@ -364,4 +364,8 @@ const CubbitManager = {
 };
 
 window.CubbitManager = CubbitManager;
+
+// Ready as soon as it is loaded; declared so cubbit_ui.js can depend on it
+window.AevovLoader.declare('CubbitManager');
+
 console.log('✅ Fixed Cubbit Manager loaded');
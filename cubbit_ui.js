@@ -9,17 +9,6 @@
 
     console.log('🎨 Loading Cubbit Manager UI...');
 
-    // Wait for DOM and CubbitManager
-    const initUI = () => {
-        if (!window.CubbitManager) {
-            console.warn('⚠️ CubbitManager not loaded yet, waiting...');
-            setTimeout(initUI, 500);
-            return;
-        }
-
-        injectUI();
-    };
-
     function injectUI() {
         // Find insertion point (architect tab)
         const architectTab = document.getElementById('architect');
@@ -407,12 +396,11 @@
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    // Initialize when ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initUI);
-    } else {
-        initUI();
-    }
+    // Injected by the module loader once the DOM and CubbitManager are ready
+    window.AevovLoader.declare('CubbitManagerUI', {
+        dependsOn: ['CubbitManager'],
+        init: injectUI
+    });
 
     console.log('✅ Cubbit Manager UI loaded');
 
@@ -4,11 +4,14 @@
  * Extends the Advanced Extractor with custom data support
  * 
  * Load this AFTER the existing Advanced Extractor
+ * (parseQueries / generatePatternFromQuery also run under Node - aevov_cli.mjs)
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🎯 Loading Custom Pattern Extractor...');
 
     const CustomExtractor = {
@@ -272,14 +275,7 @@ Add as many as you want - more queries = better patterns!"
                 }
 
                 // Store patterns in the system
-                if (!window.advancedPatterns) {
-                    window.advancedPatterns = {};
-                }
-                if (!window.advancedPatterns[category]) {
-                    window.advancedPatterns[category] = [];
-                }
-
-                window.advancedPatterns[category].push(...patterns);
+                root.PatternStore.addAll(patterns, { category, collection: 'advanced', source: 'CustomExtractor' });
 
                 // Update stats
                 this.stats.patternsFromCustom += patterns.length;
@@ -321,9 +317,6 @@ Add as many as you want - more queries = better patterns!"
             // Extract keywords from query
             const keywords = this.extractKeywords(query);
 
-            // Create embedding
-            const embedding = this.createEmbedding(keywords);
-
             // Generate pattern object
             const pattern = {
                 id: `custom_${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -332,7 +325,6 @@ Add as many as you want - more queries = better patterns!"
                 keywords: keywords,
                 sourceQuery: query,
                 template: btoa(`// Generated from: ${query}\n// TODO: Implement this functionality`),
-                embedding: embedding,
                 confidence: 0.88, // High confidence for user-provided data
                 intent: this.inferIntent(query),
                 votes: 5,
@@ -341,6 +333,8 @@ Add as many as you want - more queries = better patterns!"
                 timestamp: Date.now()
             };
 
+            await root.EmbeddingRegistry.embedPattern(pattern);
+
             return pattern;
         },
 
@@ -365,29 +359,6 @@ Add as many as you want - more queries = better patterns!"
             return [...new Set(tokens)];
         },
 
-        /**
-         * Create embedding from keywords
-         */
-        createEmbedding(keywords) {
-            const embedding = new Array(128).fill(0);
-            
-            keywords.forEach(word => {
-                let h = 0;
-                for (let i = 0; i < word.length; i++) {
-                    h = ((h << 5) - h) + word.charCodeAt(i);
-                }
-                h = Math.abs(h);
-                embedding[h % 128] += 1.0;
-            });
-
-            // Normalize
-            const magnitude = Math.sqrt(
-                embedding.reduce((sum, val) => sum + val * val, 0)
-            );
-            
-            return magnitude > 0 ? embedding.map(v => v / magnitude) : embedding;
-        },
-
         /**
          * Infer intent from query
          */
@@ -407,6 +378,33 @@ Add as many as you want - more queries = better patterns!"
             }
         },
 
+        /**
+         * Parse a query file: JSON array, JSON { queries, category }, or text
+         * with one query per line (lines of 5 characters or less are dropped)
+         * Returns { queries, category } - category is the file's, if it names one
+         */
+        parseQueries(content, fileName, category = null) {
+            if (fileName.endsWith('.json')) {
+                const data = JSON.parse(content);
+
+                // Support multiple formats
+                if (Array.isArray(data)) {
+                    return { queries: data, category };
+                } else if (data.queries) {
+                    return { queries: data.queries, category: data.category || category };
+                }
+                throw new Error('Invalid JSON format. Expected array or {queries: [...]}');
+            }
+
+            // Text file - one query per line
+            return {
+                queries: content.split('\n')
+                    .map(q => q.trim())
+                    .filter(q => q.length > 5),
+                category
+            };
+        },
+
         /**
          * Import queries from file
          */
@@ -423,34 +421,15 @@ Add as many as you want - more queries = better patterns!"
 
             reader.onload = (e) => {
                 try {
-                    const content = e.target.result;
-                    let queries = [];
-                    let category = document.getElementById('customQueryCategory').value;
+                    const selected = document.getElementById('customQueryCategory').value;
 
-                    if (!category) {
+                    if (!selected) {
                         alert('Please select a category first');
                         return;
                     }
 
                     // Parse based on file type
-                    if (file.name.endsWith('.json')) {
-                        const data = JSON.parse(content);
-                        
-                        // Support multiple formats
-                        if (Array.isArray(data)) {
-                            queries = data;
-                        } else if (data.queries) {
-                            queries = data.queries;
-                            if (data.category) category = data.category;
-                        } else {
-                            throw new Error('Invalid JSON format. Expected array or {queries: [...]}');
-                        }
-                    } else {
-                        // Text file - one query per line
-                        queries = content.split('\n')
-                            .map(q => q.trim())
-                            .filter(q => q.length > 5);
-                    }
+                    const { queries, category } = this.parseQueries(e.target.result, file.name, selected);
 
                     if (queries.length === 0) {
                         alert('No valid queries found in file');
@@ -619,9 +598,7 @@ Add as many as you want - more queries = better patterns!"
                         }
                         
                         // Store patterns
-                        if (!window.advancedPatterns) window.advancedPatterns = {};
-                        if (!window.advancedPatterns[category]) window.advancedPatterns[category] = [];
-                        window.advancedPatterns[category].push(...patterns);
+                        root.PatternStore.addAll(patterns, { category, collection: 'advanced', source: 'CustomExtractor' });
                         
                         this.stats.patternsFromCustom += patterns.length;
                         this.updateStatsDisplay();
@@ -639,15 +616,18 @@ Add as many as you want - more queries = better patterns!"
     };
 
     // Export globally
-    window.CustomExtractor = CustomExtractor;
+    root.CustomExtractor = CustomExtractor;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => CustomExtractor.init(), 1500);
+    // In the page the module loader initializes it (Node scripts use it headless)
+    if (typeof document !== 'undefined') {
+        root.AevovLoader.declare('CustomExtractor', {
+            optional: ['PatternStore'],
+            init: () => CustomExtractor.init()
         });
-    } else {
-        setTimeout(() => CustomExtractor.init(), 1500);
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CustomExtractor;
     }
 
     console.log('✅ Custom Pattern Extractor loaded');
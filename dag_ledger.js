@@ -0,0 +1,868 @@
+/**
+ * DAG LEDGER - PATTERN PROVENANCE
+ * Append-only DAG of signed pattern events, driven by the `dag` section of
+ * ConsensusConfig (Ctrl+Shift+K)
+ *
+ * Features:
+ * - Event types: create, merge, evolve, delete
+ * - Each event references up to branchingFactor parents: the latest events of
+ *   the patterns it was derived from first, then unreferenced tips
+ * - Event ids are SHA-256 digests of the canonical event body; bodies are
+ *   signed with the authoring node's ECDSA P-256 private key (WebCrypto).
+ *   Other nodes register only its public key, so verifying needs no secret.
+ *   append() stays synchronous; the signature is attached once WebCrypto
+ *   returns (await ledger.whenSigned())
+ * - An event is confirmed once a descendant sits confirmationDepth levels
+ *   above it
+ * - Confirmed events older than pruningInterval are pruned; their pattern
+ *   lineage is folded into a checkpoint so provenance survives pruning
+ * - provenance(patternId) answers "where did this pattern come from"
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🔗 Loading DAG Ledger...');
+
+    // Defaults mirror ConsensusConfig.config.dag so the ledger runs without the panel
+    const DEFAULT_CONFIG = {
+        enableDagLedger: true,
+        confirmationDepth: 6,
+        branchingFactor: 3,
+        pruningInterval: 86400000
+    };
+
+    const EVENT_TYPES = ['create', 'merge', 'evolve', 'delete'];
+    const STORAGE_KEY = 'aevov_dag_ledger';
+    const NODE_KEY_STORAGE = 'aevov_dag_node';
+    const SAVE_DELAY = 1000;
+
+    /**
+     * SHA-256 (synchronous; events are recorded from synchronous evolution code)
+     */
+    const K256 = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    function sha256Bytes(input) {
+        const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+        const bitLength = bytes.length * 8;
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const data = new Uint8Array(paddedLength);
+        data.set(bytes);
+        data[bytes.length] = 0x80;
+        const view = new DataView(data.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+        const h = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const w = new Uint32Array(64);
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + S1 + ch + K256[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) >>> 0;
+                hh = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+
+            h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+            h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+        }
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        h.forEach((value, i) => outView.setUint32(i * 4, value));
+        return out;
+    }
+
+    function rotr(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return bytes;
+    }
+
+    function sha256(input) {
+        return toHex(sha256Bytes(input));
+    }
+
+    /**
+     * ECDSA P-256 SIGNATURES (WebCrypto)
+     */
+    const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+    function getSubtle() {
+        const subtle = root.crypto?.subtle;
+        if (!subtle) {
+            throw new Error('DAG ledger signing requires WebCrypto (crypto.subtle)');
+        }
+        return subtle;
+    }
+
+    // Only the public half of a key is ever registered for verification
+    function toPublicJwk(jwk) {
+        if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.x || !jwk.y) {
+            throw new Error('DAG ledger keys must be P-256 public keys in JWK form');
+        }
+        if (jwk.d) {
+            throw new Error('Refusing to register a private key; pass the public JWK only');
+        }
+        return { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y };
+    }
+
+    async function signBody(privateKey, body) {
+        const signature = await getSubtle().sign(SIGNATURE_PARAMS, privateKey, new TextEncoder().encode(body));
+        return toHex(new Uint8Array(signature));
+    }
+
+    async function verifyBody(publicKey, signatureHex, body) {
+        return getSubtle().verify(SIGNATURE_PARAMS, publicKey, fromHex(signatureHex), new TextEncoder().encode(body));
+    }
+
+    function randomHex(byteLength) {
+        const bytes = new Uint8Array(byteLength);
+        if (root.crypto?.getRandomValues) {
+            root.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < byteLength; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return toHex(bytes);
+    }
+
+    /**
+     * CANONICAL JSON (sorted keys, so digests are stable across engines)
+     */
+    function canonicalize(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value === undefined ? null : value);
+        }
+        if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+            return `[${Array.from(value, canonicalize).join(',')}]`;
+        }
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+    }
+
+    function digestPattern(pattern) {
+        if (!pattern || typeof pattern !== 'object') return null;
+        return sha256(canonicalize(pattern));
+    }
+
+    // Fields covered by the event id and signature
+    function eventBody(event) {
+        return canonicalize({
+            type: event.type,
+            patternIds: event.patternIds,
+            sources: event.sources,
+            parents: event.parents,
+            height: event.height,
+            author: event.author,
+            timestamp: event.timestamp,
+            digest: event.digest,
+            meta: event.meta
+        });
+    }
+
+    function mergeConfig(config) {
+        return { ...DEFAULT_CONFIG, ...(config?.dag || config || {}) };
+    }
+
+    function getStorage(storage) {
+        if (storage !== undefined) return storage;
+        try {
+            return root.localStorage || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * DAG LEDGER
+     */
+    class DagLedger {
+        constructor(options = {}) {
+            this.configSource = options.config || null;
+            this.storage = getStorage(options.storage);
+            this.storageKey = options.storageKey || STORAGE_KEY;
+            this.now = options.clock || (() => Date.now());
+
+            const identity = options.identity || this.loadIdentity();
+            this.nodeId = identity?.nodeId || `node_${randomHex(8)}`;
+            this.nodeKey = null;            // private CryptoKey, never leaves this node
+            this.publicKey = null;          // public JWK to hand to other nodes
+            this.keys = new Map();          // nodeId -> public JWK
+            this.verifyKeys = new Map();    // nodeId -> Promise<CryptoKey>
+            this.signing = Promise.resolve();
+            this.ready = this.initKeys(identity).catch(error => {
+                console.warn('  ⚠️ DAG ledger events will stay unsigned:', error.message);
+                return null;
+            });
+
+            this.events = new Map();
+            this.children = new Map();
+            this.tips = new Set();
+            this.patternIndex = new Map();
+            this.checkpoint = { hash: null, prunedCount: 0, lineage: {}, timestamp: null };
+            this.lastPruned = this.now();
+            this.listeners = {};
+            this.saveTimer = null;
+
+            this.load();
+        }
+
+        get config() {
+            return mergeConfig(this.configSource || root.ConsensusConfig?.config);
+        }
+
+        get enabled() {
+            return this.config.enableDagLedger !== false;
+        }
+
+        /**
+         * Saved identity: { nodeId, publicKey, privateKey } as JWKs. Identities
+         * from the shared-secret HMAC scheme have no key pair and are replaced.
+         */
+        loadIdentity() {
+            try {
+                const saved = JSON.parse(this.storage?.getItem(NODE_KEY_STORAGE) || 'null');
+                if (saved?.privateKey && saved.publicKey) return saved;
+            } catch (error) {
+                console.warn('  ⚠️ Could not load DAG node identity:', error);
+            }
+            return null;
+        }
+
+        async initKeys(identity) {
+            const subtle = getSubtle();
+            let privateKey;
+            let publicKey;
+
+            if (identity?.privateKey) {
+                privateKey = identity.privateKey;
+                publicKey = identity.publicKey;
+            } else {
+                // The private key is only extractable when it has to be persisted locally
+                const pair = await subtle.generateKey(SIGNING_ALGORITHM, Boolean(this.storage), ['sign', 'verify']);
+                privateKey = pair.privateKey;
+                publicKey = await subtle.exportKey('jwk', pair.publicKey);
+
+                if (this.storage) {
+                    try {
+                        privateKey = await subtle.exportKey('jwk', pair.privateKey);
+                        this.storage.setItem(NODE_KEY_STORAGE, JSON.stringify({ nodeId: this.nodeId, publicKey, privateKey }));
+                    } catch (error) {
+                        console.warn('  ⚠️ Could not persist DAG node identity:', error);
+                    }
+                }
+            }
+
+            this.nodeKey = typeof CryptoKey !== 'undefined' && privateKey instanceof CryptoKey
+                ? privateKey
+                : await subtle.importKey('jwk', privateKey, SIGNING_ALGORITHM, false, ['sign']);
+            this.publicKey = toPublicJwk(publicKey);
+            this.registerKey(this.nodeId, this.publicKey);
+            return this.publicKey;
+        }
+
+        /**
+         * Public key (JWK) other nodes pass to registerKey(nodeId, key)
+         */
+        async getPublicKey() {
+            await this.ready;
+            return this.publicKey;
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => {
+                this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+            };
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`❌ DAG ledger ${event} handler failed:`, error);
+                }
+            });
+        }
+
+        /**
+         * Register another node's public key (JWK) so its events verify
+         */
+        registerKey(nodeId, key) {
+            this.keys.set(nodeId, toPublicJwk(key));
+            this.verifyKeys.delete(nodeId);
+        }
+
+        /**
+         * APPEND
+         * Returns the stored event, or null while the ledger is disabled
+         */
+        append(type, { patternIds, sources = [], pattern = null, meta = {} } = {}) {
+            if (!this.enabled) return null;
+
+            if (!EVENT_TYPES.includes(type)) {
+                throw new Error(`Unknown DAG event type: ${type}`);
+            }
+
+            const ids = (Array.isArray(patternIds) ? patternIds : [patternIds]).filter(id => id != null).map(String);
+            if (ids.length === 0) {
+                throw new Error(`DAG ${type} event requires at least one pattern id`);
+            }
+
+            const sourceIds = Array.from(new Set(sources.filter(id => id != null).map(String)));
+            const parents = this.selectParents([...sourceIds, ...ids]);
+            const height = parents.reduce((max, id) => Math.max(max, (this.events.get(id)?.height ?? -1) + 1), 0);
+
+            const event = {
+                type,
+                patternIds: ids,
+                sources: sourceIds,
+                parents,
+                height,
+                author: this.nodeId,
+                timestamp: this.now(),
+                digest: digestPattern(pattern),
+                meta
+            };
+
+            event.id = sha256(eventBody(event));
+            event.signature = null;
+            event.confirmed = false;
+
+            this.insert(event);
+            this.queueSignature(event);
+            this.updateConfirmations(event);
+            this.emit('appended', event);
+
+            if (this.now() - this.lastPruned >= this.config.pruningInterval) {
+                this.prune();
+            }
+
+            this.scheduleSave();
+            return event;
+        }
+
+        /**
+         * Signs in append order once the key pair is ready
+         */
+        queueSignature(event) {
+            this.signing = this.signing
+                .then(() => this.ready)
+                .then(async () => {
+                    if (!this.nodeKey || event.signature) return;
+                    event.signature = await signBody(this.nodeKey, eventBody(event));
+                    this.emit('signed', event);
+                    this.scheduleSave();
+                })
+                .catch(error => console.warn('  ⚠️ Could not sign DAG event:', error));
+            return this.signing;
+        }
+
+        /**
+         * Resolves once every event appended so far carries its signature
+         */
+        whenSigned() {
+            return this.signing;
+        }
+
+        /**
+         * Parents: latest events of the involved patterns, then other tips,
+         * capped at branchingFactor
+         */
+        selectParents(patternIds) {
+            const limit = Math.max(1, Math.floor(this.config.branchingFactor));
+            const parents = [];
+
+            const add = (id) => {
+                if (id && parents.length < limit && !parents.includes(id) && this.events.has(id)) {
+                    parents.push(id);
+                }
+            };
+
+            patternIds.forEach(patternId => {
+                const history = this.patternIndex.get(patternId);
+                if (history) add(history[history.length - 1]);
+            });
+
+            // Oldest tips first so stragglers get referenced and confirmed
+            Array.from(this.tips)
+                .map(id => this.events.get(id))
+                .sort((a, b) => a.timestamp - b.timestamp || a.height - b.height)
+                .forEach(tip => add(tip.id));
+
+            return parents;
+        }
+
+        insert(event) {
+            this.events.set(event.id, event);
+            this.tips.add(event.id);
+
+            event.parents.forEach(parentId => {
+                this.tips.delete(parentId);
+                if (!this.children.has(parentId)) this.children.set(parentId, []);
+                this.children.get(parentId).push(event.id);
+            });
+
+            event.patternIds.forEach(patternId => {
+                if (!this.patternIndex.has(patternId)) this.patternIndex.set(patternId, []);
+                this.patternIndex.get(patternId).push(event.id);
+            });
+        }
+
+        /**
+         * An ancestor is confirmed once this event sits confirmationDepth
+         * levels above it. Confirmed events only have confirmed ancestors,
+         * so the walk stops at the first confirmed event on each path.
+         */
+        updateConfirmations(event) {
+            const depth = this.config.confirmationDepth;
+            const threshold = event.height - depth;
+            if (threshold < 0) return;
+
+            const stack = [...event.parents];
+            const seen = new Set();
+
+            while (stack.length > 0) {
+                const id = stack.pop();
+                if (seen.has(id)) continue;
+                seen.add(id);
+
+                const ancestor = this.events.get(id);
+                if (!ancestor || ancestor.confirmed) continue;
+
+                if (ancestor.height <= threshold) {
+                    ancestor.confirmed = true;
+                    ancestor.confirmedAt = this.now();
+                    this.emit('confirmed', ancestor);
+                }
+                stack.push(...ancestor.parents);
+            }
+        }
+
+        /**
+         * Convenience recorders used by NeuroArchitect and AevovDB
+         */
+        recordCreate(pattern, meta = {}) {
+            if (!pattern?.id || this.patternIndex.has(String(pattern.id)) || this.checkpoint.lineage[pattern.id]) {
+                return null;
+            }
+            return this.append('create', { patternIds: [pattern.id], pattern, meta });
+        }
+
+        recordMerge(merged, sourcePatterns, meta = {}) {
+            return this.append('merge', {
+                patternIds: [merged.id],
+                sources: sourcePatterns.map(p => (typeof p === 'object' ? p.id : p)),
+                pattern: merged,
+                meta
+            });
+        }
+
+        recordEvolve(pattern, parentPatterns, meta = {}) {
+            return this.append('evolve', {
+                patternIds: [pattern.id],
+                sources: parentPatterns.map(p => (typeof p === 'object' ? p.id : p)),
+                pattern,
+                meta
+            });
+        }
+
+        recordDelete(patternId, meta = {}) {
+            return this.append('delete', { patternIds: [patternId], meta });
+        }
+
+        /**
+         * VERIFY
+         */
+        async verify(event) {
+            const body = eventBody(event);
+            if (sha256(body) !== event.id) {
+                return { valid: false, reason: 'id does not match event body' };
+            }
+
+            if (!event.signature && event.author === this.nodeId) await this.whenSigned();
+            if (!event.signature) {
+                return { valid: false, reason: 'event is not signed' };
+            }
+
+            const key = await this.getVerifyKey(event.author);
+            if (!key) {
+                return { valid: false, reason: `no public key registered for ${event.author}` };
+            }
+
+            let valid = false;
+            try {
+                valid = await verifyBody(key, event.signature, body);
+            } catch {
+                valid = false;
+            }
+            return valid ? { valid: true } : { valid: false, reason: 'bad signature' };
+        }
+
+        async verifyAll() {
+            const events = Array.from(this.events.values());
+            const results = await Promise.all(events.map(event => this.verify(event)));
+            const invalid = [];
+            results.forEach((result, i) => {
+                if (!result.valid) invalid.push({ id: events[i].id, reason: result.reason });
+            });
+            return { valid: invalid.length === 0, checked: events.length, invalid };
+        }
+
+        async getVerifyKey(nodeId) {
+            if (nodeId === this.nodeId) await this.ready;
+            if (!this.verifyKeys.has(nodeId)) {
+                const jwk = this.keys.get(nodeId);
+                if (!jwk) return null;
+                this.verifyKeys.set(nodeId, getSubtle().importKey('jwk', jwk, SIGNING_ALGORITHM, false, ['verify']));
+            }
+            return this.verifyKeys.get(nodeId);
+        }
+
+        /**
+         * PRUNE
+         * Drops confirmed events older than pruningInterval. Each pruned
+         * event's pattern lineage is kept in the checkpoint.
+         */
+        prune() {
+            const cutoff = this.now() - this.config.pruningInterval;
+            const pruned = [];
+
+            this.events.forEach(event => {
+                if (event.confirmed && event.timestamp <= cutoff && !this.tips.has(event.id)) {
+                    pruned.push(event);
+                }
+            });
+
+            pruned.sort((a, b) => a.height - b.height || a.timestamp - b.timestamp);
+
+            pruned.forEach(event => {
+                event.patternIds.forEach(patternId => {
+                    const lineage = this.checkpoint.lineage[patternId] ||
+                        (this.checkpoint.lineage[patternId] = { origin: null, events: 0, deleted: false });
+
+                    if (!lineage.origin) {
+                        lineage.origin = {
+                            type: event.type,
+                            sources: event.sources,
+                            author: event.author,
+                            timestamp: event.timestamp
+                        };
+                    }
+                    lineage.events++;
+                    lineage.deleted = event.type === 'delete' || (lineage.deleted && event.type !== 'create');
+
+                    const history = this.patternIndex.get(patternId) || [];
+                    const remaining = history.filter(id => id !== event.id);
+                    if (remaining.length > 0) {
+                        this.patternIndex.set(patternId, remaining);
+                    } else {
+                        this.patternIndex.delete(patternId);
+                    }
+                });
+
+                this.checkpoint.hash = sha256(`${this.checkpoint.hash || ''}${event.id}`);
+                this.events.delete(event.id);
+                this.children.delete(event.id);
+            });
+
+            this.checkpoint.prunedCount += pruned.length;
+            this.checkpoint.timestamp = this.now();
+            this.lastPruned = this.now();
+
+            if (pruned.length > 0) {
+                console.log(`🧹 DAG ledger pruned ${pruned.length} confirmed events`);
+                this.emit('pruned', { count: pruned.length, checkpoint: this.checkpoint.hash });
+                this.scheduleSave();
+            }
+
+            return pruned.length;
+        }
+
+        /**
+         * QUERIES
+         */
+        getEvent(eventId) {
+            return this.events.get(eventId) || null;
+        }
+
+        history(patternId) {
+            return (this.patternIndex.get(String(patternId)) || []).map(id => this.events.get(id));
+        }
+
+        ancestors(eventId, maxDepth = Infinity) {
+            const result = [];
+            const seen = new Set([eventId]);
+            let frontier = [eventId];
+
+            for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+                const next = [];
+                frontier.forEach(id => {
+                    (this.events.get(id)?.parents || []).forEach(parentId => {
+                        if (seen.has(parentId)) return;
+                        seen.add(parentId);
+                        const parent = this.events.get(parentId);
+                        if (parent) {
+                            result.push(parent);
+                            next.push(parentId);
+                        }
+                    });
+                });
+                frontier = next;
+            }
+
+            return result;
+        }
+
+        /**
+         * "Where did this pattern come from": origin event, full event
+         * history and the recursive provenance of every source pattern
+         */
+        provenance(patternId, { maxDepth = 10 } = {}) {
+            const visit = (id, depth, path) => {
+                const history = this.history(id);
+                const archived = this.checkpoint.lineage[id] || null;
+                const originEvent = history.find(e => e.type !== 'delete') || null;
+
+                const origin = archived?.origin || (originEvent && {
+                    type: originEvent.type,
+                    sources: originEvent.sources,
+                    author: originEvent.author,
+                    timestamp: originEvent.timestamp,
+                    eventId: originEvent.id,
+                    confirmed: originEvent.confirmed
+                });
+
+                const node = {
+                    patternId: id,
+                    known: Boolean(origin || history.length > 0),
+                    origin: origin || null,
+                    pruned: Boolean(archived),
+                    deleted: history.length > 0
+                        ? history[history.length - 1].type === 'delete'
+                        : Boolean(archived?.deleted),
+                    events: history.map(e => ({
+                        id: e.id,
+                        type: e.type,
+                        sources: e.sources,
+                        author: e.author,
+                        timestamp: e.timestamp,
+                        confirmed: e.confirmed
+                    })),
+                    sources: []
+                };
+
+                const sourceIds = new Set();
+                if (origin) origin.sources.forEach(s => sourceIds.add(s));
+                history.forEach(e => e.sources.forEach(s => sourceIds.add(s)));
+                sourceIds.delete(id);
+
+                if (depth < maxDepth) {
+                    sourceIds.forEach(sourceId => {
+                        node.sources.push(path.has(sourceId)
+                            ? { patternId: sourceId, cycle: true }
+                            : visit(sourceId, depth + 1, new Set([...path, sourceId])));
+                    });
+                } else {
+                    node.truncated = sourceIds.size > 0;
+                    node.sources = Array.from(sourceIds).map(sourceId => ({ patternId: sourceId, truncated: true }));
+                }
+
+                return node;
+            };
+
+            return visit(String(patternId), 0, new Set([String(patternId)]));
+        }
+
+        /**
+         * Root patterns (create events or unknown external sources) that
+         * the given pattern ultimately derives from
+         */
+        origins(patternId) {
+            const roots = new Set();
+            const walk = (node) => {
+                if (node.cycle || node.truncated) return;
+                if (node.sources.length === 0) {
+                    roots.add(node.patternId);
+                } else {
+                    node.sources.forEach(walk);
+                }
+            };
+            walk(this.provenance(patternId, { maxDepth: Infinity }));
+            roots.delete(String(patternId));
+            return Array.from(roots);
+        }
+
+        getStats() {
+            let confirmed = 0;
+            let unsigned = 0;
+            this.events.forEach(e => {
+                if (e.confirmed) confirmed++;
+                if (!e.signature) unsigned++;
+            });
+
+            return {
+                enabled: this.enabled,
+                nodeId: this.nodeId,
+                events: this.events.size,
+                confirmed,
+                pending: this.events.size - confirmed,
+                unsigned,
+                tips: this.tips.size,
+                patterns: this.patternIndex.size,
+                pruned: this.checkpoint.prunedCount,
+                checkpoint: this.checkpoint.hash,
+                config: this.config
+            };
+        }
+
+        /**
+         * PERSISTENCE
+         */
+        export() {
+            return {
+                version: 1,
+                checkpoint: this.checkpoint,
+                lastPruned: this.lastPruned,
+                events: Array.from(this.events.values()).sort((a, b) => a.height - b.height)
+            };
+        }
+
+        import(data) {
+            this.events.clear();
+            this.children.clear();
+            this.tips.clear();
+            this.patternIndex.clear();
+            this.checkpoint = data.checkpoint || { hash: null, prunedCount: 0, lineage: {}, timestamp: null };
+            this.lastPruned = data.lastPruned || this.now();
+
+            (data.events || [])
+                .slice()
+                .sort((a, b) => a.height - b.height)
+                .forEach(event => this.insert({ ...event }));
+
+            // Own events saved before their signature landed
+            this.events.forEach(event => {
+                if (!event.signature && event.author === this.nodeId) this.queueSignature(event);
+            });
+        }
+
+        scheduleSave() {
+            if (!this.storage || this.saveTimer) return;
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                this.save();
+            }, SAVE_DELAY);
+            if (this.saveTimer.unref) this.saveTimer.unref();
+        }
+
+        save() {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.export()));
+            } catch (error) {
+                console.warn('  ⚠️ Could not save DAG ledger:', error);
+            }
+        }
+
+        load() {
+            if (!this.storage) return;
+            try {
+                const saved = this.storage.getItem(this.storageKey);
+                if (saved) {
+                    this.import(JSON.parse(saved));
+                    console.log(`  ✓ Loaded ${this.events.size} DAG events`);
+                }
+            } catch (error) {
+                console.warn('  ⚠️ Could not load DAG ledger:', error);
+            }
+        }
+    }
+
+    let defaultLedger = null;
+
+    const DagLedgerModule = {
+        version: '1.1.0',
+
+        create(options) {
+            return new DagLedger(options);
+        },
+
+        /**
+         * Shared ledger used by NeuroArchitect and AevovDB
+         */
+        get ledger() {
+            if (!defaultLedger) defaultLedger = new DagLedger();
+            return defaultLedger;
+        },
+
+        record(type, details) {
+            return this.ledger.append(type, details);
+        },
+
+        provenance(patternId, options) {
+            return this.ledger.provenance(patternId, options);
+        },
+
+        history(patternId) {
+            return this.ledger.history(patternId);
+        },
+
+        getStats() {
+            return this.ledger.getStats();
+        },
+
+        sha256,
+        canonicalize,
+        EVENT_TYPES,
+        DEFAULT_CONFIG,
+        DagLedger
+    };
+
+    // Export globally
+    root.DagLedger = DagLedgerModule;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DagLedgerModule;
+    }
+
+    console.log('✅ DAG Ledger loaded');
+    console.log('💡 Use: DagLedger.provenance(patternId)');
+
+})();
@@ -10,18 +10,17 @@
         // Use same hierarchy as Advanced Extractor
         categoryHierarchy: null,
 
+        // Last multi-objective run, kept until a model is picked from its front
+        paretoRun: null,
+
         init() {
-            // Wait for Advanced Extractor to load its hierarchy
-            if (window.AdvancedPatternExtractor?.categoryHierarchy) {
-                this.categoryHierarchy = window.AdvancedPatternExtractor.categoryHierarchy;
-                this.injectDynamicUI();
-            } else {
-                setTimeout(() => this.init(), 500);
-            }
+            this.categoryHierarchy = window.AdvancedPatternExtractor.categoryHierarchy;
+            this.injectDynamicUI();
         },
 
         injectDynamicUI() {
-            const evolutionSection = document.querySelector('.section h2:contains("Pattern Evolution Lab")');
+            const evolutionSection = Array.from(document.querySelectorAll('.section h2'))
+                .find(heading => heading.textContent.includes('Pattern Evolution Lab'));
             if (!evolutionSection?.parentElement) return;
 
             const dynamicUI = `
@@ -72,9 +71,22 @@
                             <option value="hybrid" selected>Hybrid Synthesis (Best Quality)</option>
                             <option value="radical">Radical Mutation (Experimental)</option>
                             <option value="armsquare">ARMsquare Reasoning (Native AI)</option>
+                            <option value="pareto">Multi-objective Pareto (NSGA-II)</option>
                         </select>
                     </div>
 
+                    <!-- Seed -->
+                    <div style="margin-bottom: 15px;">
+                        <label style="color: white; display: block; margin-bottom: 5px;">Seed (Pareto runs are reproducible)</label>
+                        <input type="text" id="evolutionSeed" placeholder="random" style="
+                            width: 100%;
+                            padding: 10px;
+                            border: none;
+                            border-radius: 6px;
+                            font-size: 14px;
+                        ">
+                    </div>
+
                     <!-- Iterations -->
                     <div style="margin-bottom: 15px;">
                         <label style="color: white; display: block; margin-bottom: 5px;">Evolution Iterations</label>
@@ -121,6 +133,9 @@
                         </div>
                         <div id="evolutionStatus" style="color: white; margin-top: 10px; font-size: 13px;"></div>
                     </div>
+
+                    <!-- Pareto front picker -->
+                    <div id="evolutionParetoFront" style="display: none; margin-top: 15px; background: rgba(0,0,0,0.25); padding: 15px; border-radius: 8px; color: white;"></div>
                 </div>
             `;
 
@@ -167,12 +182,20 @@
             });
         },
 
+        /**
+         * Controls are looked up inside the injected panel; the static Lab
+         * section uses some of the same element ids.
+         */
+        field(id) {
+            return document.querySelector(`#dynamicEvolutionControls #${id}`);
+        },
+
         async startEvolution() {
-            const parentKey = document.getElementById('evolutionParentCategory').value;
-            const subSelects = document.getElementById('evolutionSubcategories');
-            const strategy = document.getElementById('evolutionStrategy').value;
-            const iterations = parseInt(document.getElementById('evolutionIterations').value);
-            const modelName = document.getElementById('evolutionModelName').value || 'evolved-model';
+            const parentKey = this.field('evolutionParentCategory').value;
+            const subSelects = this.field('evolutionSubcategories');
+            const strategy = this.field('evolutionStrategy').value;
+            const iterations = parseInt(this.field('evolutionIterations').value);
+            const modelName = this.field('evolutionModelName').value || 'evolved-model';
 
             if (!parentKey) {
                 alert('Please select a parent domain');
@@ -191,9 +214,9 @@
             }
 
             // Show progress
-            document.getElementById('evolutionProgress').style.display = 'block';
-            const progressBar = document.getElementById('evolutionProgressBar');
-            const status = document.getElementById('evolutionStatus');
+            this.field('evolutionProgress').style.display = 'block';
+            const progressBar = this.field('evolutionProgressBar');
+            const status = this.field('evolutionStatus');
 
             status.textContent = 'Gathering patterns...';
             progressBar.style.width = '10%';
@@ -201,20 +224,31 @@
             // Gather patterns from selected categories
             const patterns = [];
             for (const subKey of subcategories) {
-                const categoryPatterns = window.advancedPatterns?.[subKey] || 
-                                       window.patterns?.[subKey] || [];
-                patterns.push(...categoryPatterns);
+                patterns.push(...window.PatternStore.all({ category: subKey }));
             }
 
             if (patterns.length === 0) {
                 alert('No patterns found in selected categories. Extract patterns first.');
-                document.getElementById('evolutionProgress').style.display = 'none';
+                this.field('evolutionProgress').style.display = 'none';
                 return;
             }
 
             status.textContent = `Evolving ${patterns.length} patterns...`;
             progressBar.style.width = '50%';
 
+            // Multi-objective runs stop at the front so a model can be picked from it
+            if (strategy === 'pareto') {
+                try {
+                    await this.runParetoEvolution(patterns, { parentKey, subcategories, iterations, modelName });
+                    status.textContent = `📐 Pareto front ready: pick patterns below and create the model`;
+                    progressBar.style.width = '100%';
+                } catch (error) {
+                    console.error('❌ Pareto evolution failed:', error);
+                    status.textContent = `❌ ${error.message}`;
+                }
+                return;
+            }
+
             // Apply evolution strategy
             let evolved;
             if (strategy === 'armsquare' && window.ARMsquareReasoning) {
@@ -235,19 +269,19 @@
             progressBar.style.width = '80%';
 
             // Create .aev model
-            const model = {
-                format: 'aev',
-                version: '2.0',
-                protocol: strategy === 'armsquare' ? 'armsquare-reasoning' : 'pattern-evolution',
-                model_name: modelName,
-                created_at: new Date().toISOString(),
-                evolution: {
-                    parent_domain: parentKey,
-                    subcategories: subcategories,
-                    strategy: strategy,
-                    iterations: iterations,
-                    source_patterns: patterns.length,
-                    evolved_patterns: evolved.length
+            const model = window.AevFormat.createModel({
+                name: modelName,
+                kind: strategy === 'armsquare' ? 'reasoning' : 'evolved',
+                producer: 'DynamicEvolutionLab',
+                extras: {
+                    evolution: {
+                        parent_domain: parentKey,
+                        subcategories: subcategories,
+                        strategy: strategy,
+                        iterations: iterations,
+                        source_patterns: patterns.length,
+                        evolved_patterns: evolved.length
+                    }
                 },
                 patterns: evolved,
                 metadata: {
@@ -255,44 +289,207 @@
                     avg_confidence: evolved.reduce((sum, p) => sum + (p.confidence || 0), 0) / evolved.length,
                     domains: subcategories.length
                 }
+            });
+
+            this.saveModel(model);
+
+            status.textContent = `✅ Created ${modelName}.aev with ${evolved.length} evolved patterns`;
+            progressBar.style.width = '100%';
+
+            setTimeout(() => {
+                this.field('evolutionProgress').style.display = 'none';
+            }, 3000);
+        },
+
+        /**
+         * RUN NSGA-II THROUGH NEURO ARCHITECT
+         * Seeded like NeuroArchitect.evolve(), so the run id and seed shown
+         * with the front reproduce it.
+         */
+        async runParetoEvolution(patterns, context) {
+            const architect = window.NeuroArchitect;
+            if (!architect) {
+                throw new Error('Neuro Architect is not loaded');
+            }
+
+            const seedText = this.field('evolutionSeed').value.trim();
+            const seed = seedText === '' ? architect.randomSeed()
+                : /^\d+$/.test(seedText) ? Number(seedText) : seedText;
+
+            const inputDigest = architect.digest(patterns);
+            const run = architect.createRun({ seed, strategy: 'pareto', iterations: context.iterations, inputDigest });
+            const population = await architect.paretoEvolution(patterns, context.iterations, { run });
+
+            this.paretoRun = {
+                ...context,
+                run,
+                inputDigest,
+                population,
+                front: architect.getParetoFront(population),
+                dimensions: architect.getObjectives(),
+                sourcePatterns: patterns.length
             };
 
-            // Save and download
+            this.renderParetoFront();
+        },
+
+        /**
+         * RENDER PARETO FRONT
+         * One row per non-dominated pattern, boundary points (crowding ∞) first
+         */
+        renderParetoFront() {
+            const panel = this.field('evolutionParetoFront');
+            if (!panel || !this.paretoRun) return;
+
+            const { front, dimensions, run } = this.paretoRun;
+            const labels = {
+                pattern_similarity: 'Sim',
+                semantic_coherence: 'Coh',
+                domain_relevance: 'Dom',
+                novelty_score: 'Nov',
+                utility_prediction: 'Util'
+            };
+            const crowding = p => (p.pareto.crowding === null ? Infinity : p.pareto.crowding);
+            const ordered = [...front].sort((a, b) => crowding(b) - crowding(a));
+
+            const rows = ordered.map(p => `
+                <tr>
+                    <td><input type="checkbox" class="pareto-pick" value="${this.escapeHTML(p.id)}" checked></td>
+                    <td>${this.escapeHTML(p.categoryName || p.category || p.id)}
+                        <span style="opacity: 0.7;">${this.escapeHTML((p.keywords || []).slice(0, 3).join(', '))}</span></td>
+                    ${dimensions.map(d => `<td style="text-align: center;">${p.pareto.objectives[d].toFixed(2)}</td>`).join('')}
+                    <td style="text-align: center;">${p.pareto.crowding === null ? '∞' : p.pareto.crowding.toFixed(2)}</td>
+                </tr>
+            `).join('');
+
+            panel.innerHTML = `
+                <h4 style="margin: 0 0 5px 0;">📐 Pareto Front: ${front.length} non-dominated patterns</h4>
+                <div style="font-size: 12px; opacity: 0.8; margin-bottom: 10px;">
+                    Seed ${this.escapeHTML(run.seed)} · run ${run.runId} · crowding distance measures how isolated a trade-off is (∞ = extreme of an objective)
+                </div>
+                <div style="max-height: 260px; overflow: auto;">
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th style="text-align: left;">Pattern</th>
+                                ${dimensions.map(d => `<th title="${d}">${labels[d] || d}</th>`).join('')}
+                                <th>Crowding</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div style="display: flex; gap: 8px; margin-top: 10px;">
+                    <button onclick="window.DynamicEvolutionLab.selectParetoPatterns('knee')" style="flex: 1; padding: 8px; border: none; border-radius: 6px; cursor: pointer;">🎯 Knee Point</button>
+                    <button onclick="window.DynamicEvolutionLab.selectParetoPatterns('all')" style="flex: 1; padding: 8px; border: none; border-radius: 6px; cursor: pointer;">Whole Front</button>
+                    <button onclick="window.DynamicEvolutionLab.createParetoModel()" style="flex: 2; padding: 8px; border: none; border-radius: 6px; cursor: pointer; background: #00ff88; font-weight: 600;">📦 Create .aev from Selection</button>
+                </div>
+            `;
+            panel.style.display = 'block';
+        },
+
+        /**
+         * SELECT FRONT MEMBERS
+         * 'all' or 'knee' (best worst-case trade-off across the objectives)
+         */
+        selectParetoPatterns(mode) {
+            if (!this.paretoRun) return;
+
+            const { front, dimensions } = this.paretoRun;
+            let selected = new Set(front.map(p => p.id));
+
+            if (mode === 'knee') {
+                const points = front.map(p => dimensions.map(d => p.pareto.objectives[d]));
+                const knee = window.ParetoEvolution.kneePoint(points, front.map((p, i) => i));
+                selected = new Set(knee >= 0 ? [front[knee].id] : []);
+            }
+
+            this.field('evolutionParetoFront').querySelectorAll('.pareto-pick').forEach(box => {
+                box.checked = selected.has(box.value);
+            });
+        },
+
+        /**
+         * CREATE MODEL FROM THE PICKED FRONT MEMBERS
+         */
+        createParetoModel() {
+            if (!this.paretoRun) return;
+
+            const { front, run, dimensions, parentKey, subcategories, iterations, modelName } = this.paretoRun;
+            const picked = new Set(Array.from(this.field('evolutionParetoFront').querySelectorAll('.pareto-pick:checked'))
+                .map(box => box.value));
+            const patterns = front.filter(p => picked.has(p.id));
+
+            if (patterns.length === 0) {
+                alert('Select at least one pattern from the Pareto front');
+                return;
+            }
+
+            const model = window.AevFormat.createModel({
+                name: modelName,
+                kind: 'evolved',
+                producer: 'DynamicEvolutionLab',
+                extras: {
+                    evolution: {
+                        parent_domain: parentKey,
+                        subcategories: subcategories,
+                        strategy: 'pareto',
+                        iterations: iterations,
+                        source_patterns: this.paretoRun.sourcePatterns,
+                        evolved_patterns: patterns.length,
+                        seed: run.seed,
+                        prng: run.prng,
+                        run_id: run.runId,
+                        input_digest: this.paretoRun.inputDigest,
+                        objectives: dimensions,
+                        front_size: front.length
+                    }
+                },
+                patterns,
+                metadata: {
+                    total_patterns: patterns.length,
+                    avg_confidence: patterns.reduce((sum, p) => sum + (p.confidence || 0), 0) / patterns.length,
+                    domains: subcategories.length
+                }
+            });
+
+            this.saveModel(model);
+            this.paretoRun = null;
+
+            this.field('evolutionParetoFront').style.display = 'none';
+            this.field('evolutionStatus').textContent = `✅ Created ${modelName}.aev with ${patterns.length} Pareto-optimal patterns`;
+        },
+
+        saveModel(model) {
             if (window.NeuroArchitect) {
                 window.NeuroArchitect.state.models.push(model);
                 window.NeuroArchitect.saveModels();
             }
 
             this.downloadModel(model);
-
-            status.textContent = `✅ Created ${modelName}.aev with ${evolved.length} evolved patterns`;
-            progressBar.style.width = '100%';
-
-            setTimeout(() => {
-                document.getElementById('evolutionProgress').style.display = 'none';
-            }, 3000);
         },
 
         downloadModel(model) {
-            const json = JSON.stringify(model, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${model.model_name}.aev`;
-            a.click();
-            URL.revokeObjectURL(url);
+            window.AevFormat.download(model);
+        },
+
+        escapeHTML(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
         }
     };
 
-    // Initialize when libraries are ready
-    window.addEventListener('libraries-loaded', () => {
-        DynamicEvolutionLab.init();
-    });
-
-    // Or try now
-    DynamicEvolutionLab.init();
-
     window.DynamicEvolutionLab = DynamicEvolutionLab;
 
+    // Initialized by the module loader once Advanced Extractor's hierarchy is in place
+    window.AevovLoader.declare('DynamicEvolutionLab', {
+        dependsOn: ['AdvancedPatternExtractor'],
+        init: () => DynamicEvolutionLab.init()
+    });
+
 })();
@@ -7,6 +7,8 @@
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('📚 Loading Dynamic Keyword Extraction Library...');
 
     const DynamicKeywordExtractor = {
@@ -110,29 +112,29 @@
 
             // 1. Byte frequency analysis
             const byteFreq = this.analyzeByteFrequency(data);
-            keywords.add(...this.mapByteFreqToKeywords(byteFreq));
+            this.mapByteFreqToKeywords(byteFreq).forEach(k => keywords.add(k));
 
             // 2. Sequence patterns
             const sequences = this.detectSequences(data);
-            keywords.add(...this.mapSequencesToKeywords(sequences));
+            this.mapSequencesToKeywords(sequences).forEach(k => keywords.add(k));
 
             // 3. Entropy-based keywords
             const entropy = metadata.entropy || this.calculateEntropy(data);
-            keywords.add(...this.mapEntropyToKeywords(entropy));
+            this.mapEntropyToKeywords(entropy).forEach(k => keywords.add(k));
 
             // 4. Structural patterns
             const structures = this.detectStructures(data);
-            keywords.add(...this.mapStructuresToKeywords(structures));
+            this.mapStructuresToKeywords(structures).forEach(k => keywords.add(k));
 
             // 5. Domain-specific keywords
             if (metadata.category) {
-                keywords.add(...this.getDomainKeywords(metadata.category));
+                this.getDomainKeywords(metadata.category).forEach(k => keywords.add(k));
             }
 
             // 6. Context expansion
             if (this.config.useContextExpansion) {
                 const expanded = this.expandContext(Array.from(keywords));
-                keywords.add(...expanded);
+                expanded.forEach(k => keywords.add(k));
             }
 
             return this.filterAndRank(Array.from(keywords));
@@ -472,7 +474,11 @@
     };
 
     // Export to window
-    window.DynamicKeywordExtractor = DynamicKeywordExtractor;
+    root.DynamicKeywordExtractor = DynamicKeywordExtractor;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DynamicKeywordExtractor;
+    }
 
     console.log('✅ Dynamic Keyword Extraction Library loaded');
     console.log(`📊 Total dictionary words: ${
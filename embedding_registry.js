@@ -0,0 +1,607 @@
+/**
+ * EMBEDDING REGISTRY
+ * One embedding provider for the whole system, selected once
+ *
+ * Features:
+ * - Built-in providers: hashed bag of words, TF-IDF (feature-hashed, fitted on
+ *   the pattern corpus), transformers.js / ONNX model (remote or local files)
+ * - Custom providers via register({ id, dimension, embed(text) })
+ * - Vectors are tagged with provider, dimension and revision
+ *   (e.g. "hashing/384", "tfidf/384:1c9e02fa") so vectors from different
+ *   providers are never compared
+ * - Switching provider (or refitting TF-IDF) emits 'change' and re-embeds stale
+ *   in-memory pattern vectors in the background
+ * - embedPatternSync() under an async provider queues cache misses for the
+ *   same background re-embedder
+ * - Selection persists in localStorage
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🧬 Loading Embedding Registry...');
+
+    const STORAGE_KEY = 'aevov_embedding_provider';
+
+    /**
+     * TEXT HELPERS
+     */
+    function toText(input) {
+        if (Array.isArray(input)) return input.join(' ');
+        return input == null ? '' : String(input);
+    }
+
+    function tokenize(text) {
+        return toText(text)
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token.length > 1);
+    }
+
+    // FNV-1a
+    function hashToken(token) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            hash ^= token.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function normalize(vector) {
+        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+        return magnitude > 0 ? vector.map(val => val / magnitude) : vector;
+    }
+
+    function yieldToEventLoop() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * HASHING PROVIDER (hashed bag of words)
+     */
+    function createHashingProvider(options = {}) {
+        const dimension = options.dimension || 384;
+
+        return {
+            id: 'hashing',
+            label: `Hashed bag of words (${dimension})`,
+            async: false,
+            dimension,
+            revision: null,
+            options: { dimension },
+
+            embed(text) {
+                const vector = new Array(dimension).fill(0);
+                tokenize(text).forEach(token => {
+                    vector[hashToken(token) % dimension] += 1;
+                });
+                return normalize(vector);
+            }
+        };
+    }
+
+    /**
+     * TF-IDF PROVIDER
+     * Terms are feature-hashed into a fixed dimension so vectors fit the
+     * patterns.embedding column; fit() changes the revision.
+     */
+    function createTfidfProvider(options = {}) {
+        const dimension = options.dimension || 384;
+        const maxDocumentFrequency = options.maxDocumentFrequency ?? 0.8;
+
+        return {
+            id: 'tfidf',
+            label: `TF-IDF (${dimension})`,
+            async: false,
+            dimension,
+            revision: 'unfitted',
+            options: { dimension, maxDocumentFrequency },
+            idf: new Map(),
+            defaultIdf: 1,
+
+            fit(documents) {
+                const documentFrequency = new Map();
+                documents.forEach(doc => {
+                    new Set(tokenize(doc)).forEach(term => {
+                        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+                    });
+                });
+
+                const count = documents.length;
+                this.idf = new Map();
+                this.defaultIdf = Math.log(count + 1) + 1;
+
+                documentFrequency.forEach((df, term) => {
+                    // Terms in nearly every document carry no signal
+                    const common = count > 1 && df > count * maxDocumentFrequency;
+                    this.idf.set(term, common ? 0 : Math.log((count + 1) / (df + 1)) + 1);
+                });
+
+                const summary = Array.from(this.idf, ([term, idf]) => `${term}:${idf.toFixed(4)}`).sort().join(' ');
+                this.revision = hashToken(summary).toString(16).padStart(8, '0');
+            },
+
+            embed(text) {
+                const tokens = tokenize(text);
+                const vector = new Array(dimension).fill(0);
+                const termFrequency = new Map();
+
+                tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+                termFrequency.forEach((freq, term) => {
+                    const idf = this.idf.has(term) ? this.idf.get(term) : this.defaultIdf;
+                    vector[hashToken(term) % dimension] += (freq / tokens.length) * idf;
+                });
+
+                return normalize(vector);
+            }
+        };
+    }
+
+    /**
+     * TRANSFORMERS.JS PROVIDER
+     * Mean-pooled sentence embeddings. With localModelPath set, the ONNX
+     * weights and tokenizer are loaded from local files only
+     * (<localModelPath>/<model>/onnx/model_quantized.onnx), and so are the
+     * library and its ONNX runtime .wasm files: from localLibraryUrl, by
+     * default <localModelPath>/transformers.min.js (the package's dist/ folder).
+     */
+    function createTransformersProvider(options = {}) {
+        const settings = {
+            model: 'Xenova/all-MiniLM-L6-v2',
+            libraryUrl: 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2',
+            localModelPath: null,
+            localLibraryUrl: null,
+            quantized: true,
+            ...options
+        };
+        let extractor = null;
+
+        return {
+            id: 'transformers',
+            label: `transformers.js (${settings.model})`,
+            async: true,
+            dimension: 0,
+            revision: settings.model,
+            options: settings,
+
+            async init() {
+                const localLibraryUrl = settings.localModelPath
+                    ? settings.localLibraryUrl || `${settings.localModelPath.replace(/\/+$/, '')}/transformers.min.js`
+                    : null;
+                const lib = root.transformers || await import(localLibraryUrl || settings.libraryUrl);
+
+                if (settings.localModelPath) {
+                    lib.env.localModelPath = settings.localModelPath;
+                    lib.env.allowRemoteModels = false;
+
+                    // The runtime's .wasm files sit next to the library bundle
+                    if (localLibraryUrl && lib.env.backends?.onnx?.wasm) {
+                        lib.env.backends.onnx.wasm.wasmPaths = localLibraryUrl.slice(0, localLibraryUrl.lastIndexOf('/') + 1);
+                    }
+                }
+
+                extractor = await lib.pipeline('feature-extraction', settings.model, {
+                    quantized: settings.quantized
+                });
+
+                this.dimension = (await this.embed('dimension probe')).length;
+            },
+
+            async embed(text) {
+                if (!extractor) {
+                    throw new Error('transformers.js model not loaded');
+                }
+                const output = await extractor(text, { pooling: 'mean', normalize: true });
+                return Array.from(output.data);
+            }
+        };
+    }
+
+    const EmbeddingRegistry = {
+        // Configuration
+        config: {
+            provider: 'hashing',
+            batchSize: 50,      // Vectors re-embedded per background step
+            cacheSize: 1000     // Cached vectors for async providers
+        },
+
+        // Built-in provider factories
+        factories: {
+            hashing: createHashingProvider,
+            tfidf: createTfidfProvider,
+            transformers: createTransformersProvider
+        },
+
+        // State
+        state: {
+            providers: new Map(),
+            active: null,
+            cache: new Map(),
+            inflight: new Map(),    // text -> pending vector (async providers)
+            queued: new Set(),      // patterns waiting for a vector
+            draining: null,
+            listeners: {},
+            refreshing: null,
+            stats: {
+                embedded: 0,
+                cacheHits: 0,
+                reembedded: 0
+            }
+        },
+
+        /**
+         * INITIALIZE
+         * Starts on the hashing provider so embeddings are available at once,
+         * then switches to the saved selection.
+         */
+        init() {
+            this.activate(this.register(createHashingProvider()));
+
+            const saved = this.loadSelection();
+            const id = saved?.id || this.config.provider;
+
+            if (id !== 'hashing' || saved?.options) {
+                this.use(id, saved?.options).catch(error => {
+                    console.warn(`⚠️ Embedding provider ${id} unavailable, using hashing:`, error);
+                });
+            }
+        },
+
+        register(provider) {
+            if (!provider?.id || typeof provider.embed !== 'function') {
+                throw new Error('Embedding provider needs an id and an embed() method');
+            }
+            this.state.providers.set(provider.id, provider);
+            return provider;
+        },
+
+        /**
+         * SELECT PROVIDER
+         * Options create a fresh instance from the built-in factory; without
+         * options a registered provider is reused.
+         */
+        async use(id, options) {
+            let provider = options ? null : this.state.providers.get(id);
+
+            if (!provider) {
+                const factory = this.factories[id];
+                if (!factory) {
+                    throw new Error(`Unknown embedding provider: ${id}`);
+                }
+                provider = factory(options);
+            }
+
+            if (provider.init) {
+                await provider.init();
+            }
+            if (provider.fit && provider.revision === 'unfitted') {
+                provider.fit(this.getAllPatterns().map(p => this.patternText(p)));
+            }
+
+            this.register(provider);
+            this.activate(provider);
+            this.saveSelection(provider, options);
+
+            console.log(`🧬 Embedding provider: ${provider.label} (${this.tag})`);
+            return provider;
+        },
+
+        activate(provider) {
+            const previous = this.state.active ? this.tag : null;
+
+            this.state.active = provider;
+            this.state.cache.clear();
+            this.state.inflight.clear();
+
+            if (previous && previous !== this.tag) {
+                this.emit('change', { previous, current: this.tag, provider });
+                this.refreshPatterns();
+            }
+        },
+
+        get active() {
+            return this.state.active;
+        },
+
+        get tag() {
+            const provider = this.state.active;
+            const base = `${provider.id}/${provider.dimension}`;
+            return provider.revision ? `${base}:${provider.revision}` : base;
+        },
+
+        get dimension() {
+            return this.state.active.dimension;
+        },
+
+        /**
+         * EMBED
+         * Accepts text or a token array.
+         */
+        async embed(input) {
+            const provider = this.state.active;
+            const text = toText(input);
+
+            this.state.stats.embedded++;
+            if (!provider.async) {
+                return provider.embed(text);
+            }
+
+            if (this.state.cache.has(text)) {
+                this.state.stats.cacheHits++;
+                return this.state.cache.get(text);
+            }
+
+            // embedSync() and the re-embedder often ask for the same text
+            if (this.state.inflight.has(text)) {
+                return this.state.inflight.get(text);
+            }
+
+            const pending = Promise.resolve(provider.embed(text));
+            this.state.inflight.set(text, pending);
+
+            try {
+                const vector = await pending;
+                if (provider === this.state.active) {
+                    this.remember(text, vector);
+                }
+                return vector;
+            } finally {
+                if (this.state.inflight.get(text) === pending) {
+                    this.state.inflight.delete(text);
+                }
+            }
+        },
+
+        /**
+         * EMBED SYNCHRONOUSLY
+         * Async providers answer from the cache; on a miss this returns null
+         * and computes the vector in the background.
+         */
+        embedSync(input) {
+            const provider = this.state.active;
+            const text = toText(input);
+
+            if (!provider.async) {
+                this.state.stats.embedded++;
+                return provider.embed(text);
+            }
+
+            if (this.state.cache.has(text)) {
+                this.state.stats.cacheHits++;
+                return this.state.cache.get(text);
+            }
+
+            this.embed(text).catch(() => {});
+            return null;
+        },
+
+        remember(text, vector) {
+            const cache = this.state.cache;
+            cache.delete(text);
+            cache.set(text, vector);
+            if (cache.size > this.config.cacheSize) {
+                cache.delete(cache.keys().next().value);
+            }
+        },
+
+        /**
+         * PATTERN EMBEDDINGS
+         * Set pattern.embedding and tag it with pattern.embeddingModel.
+         */
+        async embedPattern(pattern) {
+            const tag = this.tag;
+            const vector = await this.embed(this.patternText(pattern));
+            pattern.embedding = vector;
+            pattern.embeddingModel = tag;
+            return vector;
+        },
+
+        /**
+         * Without a cached vector (async provider) the pattern gets
+         * embedding = null and is queued; the background pass fills it in.
+         */
+        embedPatternSync(pattern) {
+            const vector = this.embedSync(this.patternText(pattern));
+            pattern.embedding = vector;
+            pattern.embeddingModel = vector ? this.tag : null;
+            if (!vector) {
+                this.queuePattern(pattern);
+            }
+            return vector;
+        },
+
+        queuePattern(pattern) {
+            this.state.queued.add(pattern);
+            if (this.state.draining) return this.state.draining;
+
+            this.state.draining = (async () => {
+                // Let a loop of embedPatternSync() calls fill the first batch
+                await yieldToEventLoop();
+
+                let count = 0;
+                while (this.state.queued.size > 0) {
+                    const batch = Array.from(this.state.queued);
+                    this.state.queued.clear();
+                    count += await this.reembed(batch);
+                }
+                return count;
+            })()
+                .catch(error => {
+                    console.warn('⚠️ Background embedding failed:', error);
+                    return 0;
+                })
+                .finally(() => {
+                    this.state.draining = null;
+                    // Queued after the last batch was taken
+                    const [next] = this.state.queued;
+                    if (next) this.queuePattern(next);
+                });
+
+            return this.state.draining;
+        },
+
+        isCurrent(record) {
+            return Boolean(record?.embedding) && record.embeddingModel === this.tag;
+        },
+
+        patternText(pattern) {
+            return [
+                pattern.query || pattern.sourceQuery,
+                ...(pattern.keywords || []),
+                pattern.categoryName || pattern.category,
+                pattern.subcategory
+            ].filter(Boolean).join(' ');
+        },
+
+        /**
+         * FIT (corpus-dependent providers such as TF-IDF)
+         */
+        async fit(documents) {
+            const provider = this.state.active;
+            if (!provider.fit) return false;
+
+            const previous = this.tag;
+            provider.fit(documents.map(toText));
+            this.state.cache.clear();
+
+            if (previous !== this.tag) {
+                this.emit('change', { previous, current: this.tag, provider });
+                this.refreshPatterns();
+            }
+            return true;
+        },
+
+        /**
+         * RE-EMBED STALE RECORDS IN THE BACKGROUND
+         * Stops early if the provider changes again; the pass started by that
+         * change takes over.
+         */
+        async reembed(items, options = {}) {
+            const tag = this.tag;
+            const text = options.text || (item => this.patternText(item));
+            const isCurrent = options.isCurrent || (item => this.isCurrent(item));
+            const apply = options.apply || ((item, vector, itemTag) => {
+                item.embedding = vector;
+                item.embeddingModel = itemTag;
+            });
+            const batchSize = options.batchSize || this.config.batchSize;
+
+            const stale = items.filter(item => !isCurrent(item));
+            let done = 0;
+
+            for (let i = 0; i < stale.length && this.tag === tag; i += batchSize) {
+                for (const item of stale.slice(i, i + batchSize)) {
+                    const vector = await this.embed(text(item));
+                    if (this.tag !== tag) break;
+                    await apply(item, vector, tag);
+                    done++;
+                }
+                await yieldToEventLoop();
+            }
+
+            this.state.stats.reembedded += done;
+            return done;
+        },
+
+        /**
+         * REFRESH IN-MEMORY PATTERN VECTORS
+         */
+        refreshPatterns() {
+            const patterns = this.getAllPatterns().filter(p => 'embedding' in p);
+            if (patterns.length === 0) return Promise.resolve(0);
+
+            this.state.refreshing = this.reembed(patterns)
+                .then(count => {
+                    if (count > 0) console.log(`🔄 Re-embedded ${count} patterns (${this.tag})`);
+                    return count;
+                })
+                .catch(error => {
+                    console.warn('⚠️ Background re-embedding failed:', error);
+                    return 0;
+                });
+
+            return this.state.refreshing;
+        },
+
+        getAllPatterns() {
+            return root.PatternStore ? root.PatternStore.all() : [];
+        },
+
+        /**
+         * EVENTS
+         */
+        on(event, handler) {
+            (this.state.listeners[event] = this.state.listeners[event] || []).push(handler);
+            return () => {
+                this.state.listeners[event] = this.state.listeners[event].filter(h => h !== handler);
+            };
+        },
+
+        emit(event, payload) {
+            (this.state.listeners[event] || []).forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    console.warn(`⚠️ Embedding ${event} handler failed:`, error);
+                }
+            });
+        },
+
+        /**
+         * PERSISTENCE
+         */
+        saveSelection(provider, options) {
+            try {
+                root.localStorage?.setItem(STORAGE_KEY, JSON.stringify({ id: provider.id, options: options || null }));
+            } catch (error) {
+                console.warn('⚠️ Could not save embedding provider:', error);
+            }
+        },
+
+        loadSelection() {
+            try {
+                const saved = root.localStorage?.getItem(STORAGE_KEY);
+                return saved ? JSON.parse(saved) : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        getStats() {
+            const provider = this.state.active;
+            return {
+                provider: provider.id,
+                label: provider.label,
+                tag: this.tag,
+                dimension: provider.dimension,
+                async: provider.async,
+                cached: this.state.cache.size,
+                queued: this.state.queued.size,
+                providers: Array.from(this.state.providers.keys()),
+                ...this.state.stats
+            };
+        },
+
+        tokenize,
+        createHashingProvider,
+        createTfidfProvider,
+        createTransformersProvider
+    };
+
+    EmbeddingRegistry.init();
+
+    // Export globally
+    root.EmbeddingRegistry = EmbeddingRegistry;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EmbeddingRegistry;
+    }
+
+    console.log('✅ Embedding Registry loaded');
+    console.log(`💡 Use: EmbeddingRegistry.use('tfidf') or EmbeddingRegistry.use('transformers', { localModelPath: '/models/' })`);
+
+})();
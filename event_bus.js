@@ -0,0 +1,515 @@
+/**
+ * AEVOV EVENT BUS & SERVICE REGISTRY
+ * One place for modules to hook into each other instead of overwriting globals
+ *
+ * - Typed events: every event type is declared with its payload fields;
+ *   emitting an undeclared type or a payload of the wrong shape throws
+ * - Hookable globals: window.sendMessage, window.loadModel, ... are stable
+ *   dispatchers. Implementations are provided with AevovBus.provide() (the
+ *   last provider wins, fallbacks only when nothing else is provided), and
+ *   every call emits a "before" event (handlers may cancel or rewrite the
+ *   arguments) and an "after" event with the same context (result or error)
+ * - Service registry: modules register under a name with explicit
+ *   dependencies; whenReady() resolves once a service and everything it
+ *   depends on is registered (no polling for window globals)
+ * - describe() lists events and who subscribes to them, providers of every
+ *   hookable global and service status (SystemIntegration diagnostics)
+ *
+ * Load this in <head>, before any inline script that defines a hookable global.
+ *
+ *   AevovBus.on('chat:before-message', context => { ... }, { owner: 'MyModule' });
+ *   AevovBus.provide('sendMessage', function() { ... }, { owner: 'MyChat' });
+ *   AevovBus.register('MyModule', MyModule, { dependsOn: ['UnifiedChatSystem'] });
+ *   const chat = await AevovBus.whenReady('UnifiedChatSystem', { timeout: 10000 });
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('📡 Loading Aevov Event Bus...');
+
+    const TYPE_CHECKS = {
+        any: () => true,
+        string: value => typeof value === 'string',
+        number: value => typeof value === 'number',
+        boolean: value => typeof value === 'boolean',
+        function: value => typeof value === 'function',
+        array: value => Array.isArray(value),
+        object: value => value !== null && typeof value === 'object'
+    };
+
+    // Payload of the events every hookable global emits around its calls
+    const BEFORE_CALL = { name: 'string', args: 'array', cancel: 'function' };
+    const AFTER_CALL = { name: 'string', args: 'array', result: 'any?', error: 'any?' };
+
+    const AevovBus = {
+        version: '1.0.0',
+
+        config: {
+            validate: true          // Check payloads against the declared fields
+        },
+
+        events: {},                 // type -> { description, payload, retain, subscribers, last }
+        hookables: {},              // name -> { before, after, providers, calling, dispatcher }
+        services: {},               // name -> { service, dependsOn, owner, registered }
+        waiters: [],                // pending whenReady() calls
+        nextSubscription: 0,
+
+        /**
+         * DEFINE an event type
+         * spec: { description, payload: { field: 'string' | 'number' | 'boolean'
+         *         | 'array' | 'object' | 'function' | 'any' (suffix ? = optional) },
+         *         retain } - retained events keep their last payload (last(), replay)
+         */
+        define(type, spec = {}) {
+            if (this.events[type]) {
+                throw new Error(`Event type already defined: ${type}`);
+            }
+
+            Object.entries(spec.payload || {}).forEach(([field, kind]) => {
+                if (!TYPE_CHECKS[kind.replace(/\?$/, '')]) {
+                    throw new Error(`Unknown payload type ${kind} for ${type}.${field}`);
+                }
+            });
+
+            this.events[type] = {
+                description: spec.description || '',
+                payload: spec.payload || {},
+                retain: !!spec.retain,
+                subscribers: [],
+                last: undefined
+            };
+            return this;
+        },
+
+        event(type) {
+            const event = this.events[type];
+            if (!event) {
+                throw new Error(`Unknown event type: ${type}`);
+            }
+            return event;
+        },
+
+        /**
+         * SUBSCRIBE
+         * options: { owner, priority (higher runs first), once, replay (retained events) }
+         * Returns an unsubscribe function
+         */
+        on(type, handler, options = {}) {
+            const event = this.event(type);
+            if (typeof handler !== 'function') {
+                throw new Error(`Handler for ${type} must be a function`);
+            }
+
+            const subscriber = {
+                id: ++this.nextSubscription,
+                handler,
+                owner: options.owner || 'anonymous',
+                priority: options.priority || 0,
+                once: !!options.once
+            };
+
+            event.subscribers.push(subscriber);
+            event.subscribers.sort((a, b) => b.priority - a.priority || a.id - b.id);
+
+            if (options.replay && event.retain && event.last !== undefined) {
+                this.deliver(type, event, subscriber, event.last);
+            }
+
+            return () => this.off(type, subscriber.id);
+        },
+
+        once(type, handler, options = {}) {
+            return this.on(type, handler, { ...options, once: true });
+        },
+
+        /**
+         * UNSUBSCRIBE by subscription id, handler or owner name
+         */
+        off(type, ref) {
+            const event = this.event(type);
+            event.subscribers = event.subscribers.filter(subscriber =>
+                subscriber.id !== ref && subscriber.handler !== ref && subscriber.owner !== ref);
+        },
+
+        /**
+         * EMIT (synchronous; handlers may mutate the payload, which is returned)
+         * A failing handler is logged and does not stop the others.
+         */
+        emit(type, payload = {}) {
+            const event = this.event(type);
+            if (this.config.validate) {
+                this.validate(type, event, payload);
+            }
+
+            if (event.retain) {
+                event.last = payload;
+            }
+
+            [...event.subscribers].forEach(subscriber => this.deliver(type, event, subscriber, payload));
+            return payload;
+        },
+
+        deliver(type, event, subscriber, payload) {
+            if (subscriber.once) {
+                event.subscribers = event.subscribers.filter(s => s !== subscriber);
+            }
+
+            const report = error => console.error(`❌ ${subscriber.owner} failed handling ${type}:`, error);
+            try {
+                const result = subscriber.handler(payload);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(report);
+                }
+            } catch (error) {
+                report(error);
+            }
+        },
+
+        validate(type, event, payload) {
+            if (!TYPE_CHECKS.object(payload)) {
+                throw new Error(`${type} payload must be an object`);
+            }
+
+            Object.entries(event.payload).forEach(([field, kind]) => {
+                const optional = kind.endsWith('?');
+                const value = payload[field];
+                if (value === undefined && optional) return;
+                if (!TYPE_CHECKS[kind.replace(/\?$/, '')](value)) {
+                    throw new Error(`${type} payload.${field} must be ${kind.replace(/\?$/, '')}`);
+                }
+            });
+        },
+
+        /**
+         * LAST payload of a retained event
+         */
+        last(type) {
+            return this.event(type).last;
+        },
+
+        /**
+         * HOOKABLE GLOBAL
+         * Turns root[name] into a dispatcher: reading it returns the dispatcher
+         * (undefined until something is provided), assigning a function to it
+         * registers that function as a provider. options: { before, after } event types
+         */
+        hookable(name, options = {}) {
+            if (this.hookables[name]) return this.hookables[name];
+
+            const hookable = {
+                before: options.before || null,
+                after: options.after || null,
+                providers: [],
+                calling: []
+            };
+            const bus = this;
+
+            hookable.dispatcher = function(...args) {
+                // Re-entered from inside a provider - an old-style wrapper calling the
+                // function it captured before assigning over root[name]: run the next provider down
+                if (hookable.calling.length) {
+                    const below = hookable.calling[hookable.calling.length - 1] - 1;
+                    return below >= 0 ? bus.invoke(hookable, below, this, args) : undefined;
+                }
+
+                const context = {
+                    name,
+                    args,
+                    cancelled: false,
+                    cancel() {
+                        this.cancelled = true;
+                    }
+                };
+
+                if (hookable.before) {
+                    bus.emit(hookable.before, context);
+                    if (context.cancelled) return undefined;
+                }
+
+                const top = hookable.providers.length - 1;
+                if (top < 0) return undefined;
+
+                // The after event carries the same context object as the before event
+                const finish = (result, error) => {
+                    if (hookable.after) {
+                        context.result = result;
+                        context.error = error;
+                        bus.emit(hookable.after, context);
+                    }
+                };
+
+                let result;
+                try {
+                    result = bus.invoke(hookable, top, this, context.args);
+                } catch (error) {
+                    finish(undefined, error);
+                    throw error;
+                }
+
+                if (result && typeof result.then === 'function') {
+                    return result.then(value => {
+                        finish(value);
+                        return value;
+                    }, error => {
+                        finish(undefined, error);
+                        throw error;
+                    });
+                }
+
+                finish(result);
+                return result;
+            };
+
+            // Keep whatever was defined before the bus took the name over
+            const existing = root[name];
+
+            Object.defineProperty(root, name, {
+                configurable: true,
+                enumerable: true,
+                get: () => (hookable.providers.length ? hookable.dispatcher : undefined),
+                set: fn => {
+                    if (fn === hookable.dispatcher) return;
+                    console.warn(`⚠️ ${name} assigned directly - use AevovBus.provide() or its hooks`);
+                    this.provide(name, fn, { owner: `${name} assignment` });
+                }
+            });
+
+            this.hookables[name] = hookable;
+
+            if (typeof existing === 'function') {
+                this.provide(name, existing, { owner: 'pre-existing' });
+            }
+            return hookable;
+        },
+
+        invoke(hookable, index, self, args) {
+            hookable.calling.push(index);
+            try {
+                return hookable.providers[index].fn.apply(self, args);
+            } finally {
+                hookable.calling.pop();
+            }
+        },
+
+        /**
+         * PROVIDE the implementation of a hookable global
+         * options: { owner, fallback } - fallbacks are used only while no regular
+         * provider exists; among regular providers the latest wins
+         */
+        provide(name, fn, options = {}) {
+            const hookable = this.hookables[name];
+            if (!hookable) {
+                throw new Error(`${name} is not a hookable global`);
+            }
+            if (typeof fn !== 'function') {
+                throw new Error(`Provider for ${name} must be a function`);
+            }
+
+            const provider = { fn, owner: options.owner || 'anonymous', fallback: !!options.fallback };
+            const firstRegular = hookable.providers.findIndex(p => !p.fallback);
+
+            if (provider.fallback && firstRegular !== -1) {
+                hookable.providers.splice(firstRegular, 0, provider);
+            } else {
+                hookable.providers.push(provider);
+            }
+
+            return hookable.dispatcher;
+        },
+
+        /**
+         * REGISTER a service
+         * options: { dependsOn: [names], owner, replace }
+         */
+        register(name, service, options = {}) {
+            const existing = this.services[name];
+            if (existing && !options.replace) {
+                throw new Error(`Service ${name} already registered by ${existing.owner}`);
+            }
+
+            const dependsOn = options.dependsOn || [];
+            const cycle = this.findCycle(name, dependsOn);
+            if (cycle) {
+                throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+            }
+
+            this.services[name] = {
+                service,
+                dependsOn,
+                owner: options.owner || name,
+                registered: Date.now()
+            };
+
+            this.flushWaiters();
+            return service;
+        },
+
+        findCycle(name, dependsOn, path = [name]) {
+            for (const dependency of dependsOn) {
+                if (dependency === name) return [...path, dependency];
+                const entry = this.services[dependency];
+                if (entry && !path.includes(dependency)) {
+                    const cycle = this.findCycle(name, entry.dependsOn, [...path, dependency]);
+                    if (cycle) return cycle;
+                }
+            }
+            return null;
+        },
+
+        has(name) {
+            return !!this.services[name];
+        },
+
+        /**
+         * GET a registered service (throws when missing)
+         */
+        get(name) {
+            const entry = this.services[name];
+            if (!entry) {
+                throw new Error(`Service not registered: ${name}`);
+            }
+            return entry.service;
+        },
+
+        /**
+         * MISSING dependencies (transitively) of a service; [name] if it is not registered
+         */
+        missing(name, seen = new Set()) {
+            if (seen.has(name)) return [];
+            seen.add(name);
+
+            const entry = this.services[name];
+            if (!entry) return [name];
+            return entry.dependsOn.flatMap(dependency => this.missing(dependency, seen));
+        },
+
+        isReady(name) {
+            return this.missing(name).length === 0;
+        },
+
+        /**
+         * WHEN READY: resolves with the service once it and its dependencies are registered
+         * options: { timeout } in ms (rejects with the missing services)
+         */
+        whenReady(name, options = {}) {
+            if (this.isReady(name)) {
+                return Promise.resolve(this.get(name));
+            }
+
+            return new Promise((resolve, reject) => {
+                const waiter = { name, resolve, reject, timer: null };
+
+                if (options.timeout) {
+                    waiter.timer = setTimeout(() => {
+                        this.waiters = this.waiters.filter(w => w !== waiter);
+                        reject(new Error(`Service ${name} not ready after ${options.timeout}ms (missing: ${this.missing(name).join(', ')})`));
+                    }, options.timeout);
+                }
+
+                this.waiters.push(waiter);
+            });
+        },
+
+        flushWaiters() {
+            const ready = this.waiters.filter(waiter => this.isReady(waiter.name));
+            this.waiters = this.waiters.filter(waiter => !ready.includes(waiter));
+
+            ready.forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.resolve(this.get(waiter.name));
+            });
+        },
+
+        /**
+         * DESCRIBE: who subscribes to what, who provides what, which services wait on what
+         */
+        describe() {
+            return {
+                events: Object.entries(this.events).map(([type, event]) => ({
+                    type,
+                    description: event.description,
+                    subscribers: event.subscribers.map(({ owner, priority, once }) => ({ owner, priority, once }))
+                })),
+                hookables: Object.entries(this.hookables).map(([name, hookable]) => ({
+                    name,
+                    before: hookable.before,
+                    after: hookable.after,
+                    active: hookable.providers.length ? hookable.providers[hookable.providers.length - 1].owner : null,
+                    providers: hookable.providers.map(({ owner, fallback }) => ({ owner, fallback }))
+                })),
+                services: Object.entries(this.services).map(([name, entry]) => ({
+                    name,
+                    owner: entry.owner,
+                    dependsOn: entry.dependsOn,
+                    ready: this.isReady(name),
+                    missing: this.missing(name)
+                })),
+                waiting: this.waiters.map(waiter => ({ name: waiter.name, missing: this.missing(waiter.name) }))
+            };
+        }
+    };
+
+    /**
+     * CORE EVENTS
+     */
+    AevovBus
+        .define('chat:before-message', {
+            description: 'sendMessage() is about to run; read #chatInput, cancel() or rewrite args',
+            payload: BEFORE_CALL
+        })
+        .define('chat:message-sent', {
+            description: 'sendMessage() finished',
+            payload: AFTER_CALL
+        })
+        .define('chat:patterns-loaded', {
+            description: 'The chat (re)loaded its patterns from PatternStore',
+            payload: { patterns: 'array', source: 'string' },
+            retain: true
+        })
+        .define('patterns:before-extract', {
+            description: 'extractAdvancedPatterns() / extractAllInParent() is about to run',
+            payload: BEFORE_CALL
+        })
+        .define('patterns:extracted', {
+            description: 'extractAdvancedPatterns() / extractAllInParent() finished',
+            payload: AFTER_CALL
+        })
+        .define('patterns:added', {
+            description: 'New patterns were added to PatternStore',
+            payload: { patterns: 'array', source: 'string', category: 'string?' }
+        })
+        .define('patterns:changed', {
+            description: 'A PatternStore transaction was committed (removed holds ids)',
+            payload: { added: 'array', updated: 'array', removed: 'array', source: 'string' }
+        })
+        .define('model:before-load', {
+            description: 'loadModel() is about to run',
+            payload: BEFORE_CALL
+        })
+        .define('model:loaded', {
+            description: 'loadModel() finished (error is set when it failed)',
+            payload: AFTER_CALL
+        });
+
+    /**
+     * HOOKABLE GLOBALS
+     */
+    AevovBus.hookable('sendMessage', { before: 'chat:before-message', after: 'chat:message-sent' });
+    AevovBus.hookable('extractAdvancedPatterns', { before: 'patterns:before-extract', after: 'patterns:extracted' });
+    AevovBus.hookable('extractAllInParent', { before: 'patterns:before-extract', after: 'patterns:extracted' });
+    AevovBus.hookable('loadModel', { before: 'model:before-load', after: 'model:loaded' });
+
+    // Export globally
+    root.AevovBus = AevovBus;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AevovBus;
+    }
+
+    console.log('✅ Aevov Event Bus loaded');
+    console.log('💡 Use: AevovBus.on(type, handler, { owner }), AevovBus.describe()');
+
+})();
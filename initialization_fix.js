@@ -25,18 +25,8 @@
         },
 
         async ensureUnifiedSystem() {
-            let attempts = 0;
-            const maxAttempts = 50;
-
-            while (!window.UnifiedChatSystem && attempts < maxAttempts) {
-                console.log(`⏳ Waiting for UnifiedChatSystem... (${attempts + 1}/${maxAttempts})`);
-                await new Promise(resolve => setTimeout(resolve, 200));
-                attempts++;
-            }
-
-            if (!window.UnifiedChatSystem) {
-                throw new Error('UnifiedChatSystem failed to load after 10 seconds');
-            }
+            console.log('⏳ Waiting for UnifiedChatSystem...');
+            await window.AevovBus.whenReady('UnifiedChatSystem', { timeout: 10000 });
 
             console.log('✅ UnifiedChatSystem detected');
         },
@@ -136,6 +126,7 @@
                     return await window.UnifiedChatSystem.processPipeline(query);
                 }
             };
+            window.AevovBus.register('ChatWidget', window.ChatWidget, { owner: 'ChatInitFix', replace: true });
 
             console.log('✅ Fallback ChatWidget created');
         }
@@ -68,12 +68,6 @@
         async init() {
             console.log('⚡ Initializing Integrated Pattern System...');
 
-            // Wait for DOM
-            await this.waitForDOM();
-
-            // Wait for Advanced Extractor tab to exist
-            await this.waitForAdvancedExtractor();
-
             // Load saved data
             this.loadSavedData();
 
@@ -87,42 +81,6 @@
             this.showNotification('🚀 Pattern System Ready', 'One-click generation & extraction available!');
         },
 
-        /**
-         * Wait for DOM to be ready
-         */
-        waitForDOM() {
-            return new Promise(resolve => {
-                if (document.readyState === 'loading') {
-                    document.addEventListener('DOMContentLoaded', resolve);
-                } else {
-                    resolve();
-                }
-            });
-        },
-
-        /**
-         * Wait for Advanced Extractor tab to exist
-         */
-        waitForAdvancedExtractor() {
-            return new Promise(resolve => {
-                const checkInterval = setInterval(() => {
-                    const advExtractor = document.getElementById('advancedExtractor');
-                    if (advExtractor) {
-                        clearInterval(checkInterval);
-                        console.log('✓ Advanced Extractor tab found');
-                        resolve();
-                    }
-                }, 100);
-
-                // Timeout after 10 seconds
-                setTimeout(() => {
-                    clearInterval(checkInterval);
-                    console.warn('⚠️ Advanced Extractor tab not found after 10s');
-                    resolve(); // Resolve anyway
-                }, 10000);
-            });
-        },
-
         /**
          * INJECT UI
          */
@@ -530,15 +488,7 @@
                 patterns.push(pattern);
             }
 
-            // Store in global patterns object
-            if (!window.advancedPatterns) {
-                window.advancedPatterns = {};
-            }
-            if (!window.advancedPatterns[category]) {
-                window.advancedPatterns[category] = [];
-            }
-
-            window.advancedPatterns[category].push(...patterns);
+            window.PatternStore.addAll(patterns, { category, collection: 'advanced', source: 'IntegratedExtractor' });
 
             this.stats.patternsExtracted += patterns.length;
 
@@ -555,16 +505,14 @@
          */
         createPattern(query, category) {
             const keywords = this.extractKeywords(query);
-            const embedding = this.createEmbedding(keywords);
 
-            return {
+            const pattern = {
                 id: `integrated_${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                 category: category,
                 categoryName: category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
                 keywords: keywords,
                 sourceQuery: query,
                 template: btoa(`// Generated from: ${query}\n// TODO: Implement`),
-                embedding: embedding,
                 confidence: 0.88,
                 intent: this.inferIntent(query),
                 votes: 5,
@@ -572,6 +520,9 @@
                 custom: true,
                 timestamp: Date.now()
             };
+
+            window.EmbeddingRegistry.embedPatternSync(pattern);
+            return pattern;
         },
 
         /**
@@ -588,25 +539,6 @@
             return [...new Set(tokens)];
         },
 
-        /**
-         * Create embedding
-         */
-        createEmbedding(keywords) {
-            const embedding = new Array(128).fill(0);
-            
-            keywords.forEach(word => {
-                let h = 0;
-                for (let i = 0; i < word.length; i++) {
-                    h = ((h << 5) - h) + word.charCodeAt(i);
-                }
-                h = Math.abs(h);
-                embedding[h % 128] += 1.0;
-            });
-
-            const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-            return magnitude > 0 ? embedding.map(v => v / magnitude) : embedding;
-        },
-
         /**
          * Infer intent
          */
@@ -822,30 +754,16 @@
         },
 
         getTotalPatterns() {
-            let total = 0;
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    if (Array.isArray(window.advancedPatterns[category])) {
-                        total += window.advancedPatterns[category].length;
-                    }
-                }
-            }
-            return total;
+            return window.PatternStore.entries({ collection: 'advanced' }).length;
         },
 
         getTotalKeywords() {
             const keywords = new Set();
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    if (Array.isArray(window.advancedPatterns[category])) {
-                        window.advancedPatterns[category].forEach(p => {
-                            if (p.keywords) {
-                                p.keywords.forEach(k => keywords.add(k));
-                            }
-                        });
-                    }
+            window.PatternStore.all({ collection: 'advanced' }).forEach(p => {
+                if (p.keywords) {
+                    p.keywords.forEach(k => keywords.add(k));
                 }
-            }
+            });
             return keywords.size;
         },
 
@@ -872,10 +790,11 @@
     // Export globally
     window.IntegratedPatternSystem = IntegratedPatternSystem;
 
-    // Auto-initialize with delay
-    setTimeout(() => {
-        IntegratedPatternSystem.init();
-    }, 2000);
+    // Initialized by the module loader once the DOM (and the Advanced Extractor tab) is ready
+    window.AevovLoader.declare('IntegratedPatternSystem', {
+        optional: ['UnifiedChatSystem'],
+        init: () => IntegratedPatternSystem.init()
+    });
 
     console.log('✅ Integrated Pattern System loaded');
     console.log('🚀 One-click pattern generation & extraction ready!');
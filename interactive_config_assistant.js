@@ -1114,10 +1114,10 @@
                         </tr>
                         <tr>
                             <td>Pattern Database</td>
-                            <td><span class="status-indicator ${diag.patterns?.window_patterns > 0 ? 'active' : 'warning'}"></span>
-                                ${diag.patterns?.window_patterns || 0} categories
+                            <td><span class="status-indicator ${diag.patterns?.total > 0 ? 'active' : 'warning'}"></span>
+                                ${diag.patterns?.total || 0} patterns, ${diag.patterns?.categories || 0} categories
                             </td>
-                            <td>Advanced: ${diag.patterns?.advanced_patterns || 0}</td>
+                            <td>Advanced: ${diag.patterns?.byCollection?.advanced || 0}</td>
                         </tr>
                         ${Object.entries(diag.components || {}).map(([comp, ready]) => `
                             <tr>
@@ -0,0 +1,919 @@
+/**
+ * KADEMLIA DHT
+ * Distributed hash table backing DistributedNetworkLayer
+ *
+ * Features:
+ * - 160-bit node ids and keys (SHA-1), XOR distance metric
+ * - k-buckets with least-recently-seen eviction (ping the head before replacing it)
+ * - PING / STORE / FIND_NODE / FIND_VALUE RPCs with timeouts
+ * - Iterative parallel lookups (alpha concurrent queries)
+ * - Republish of original values, replication of stored values, expiry, bucket refresh
+ * - Pluggable transports: in-process loopback network and BroadcastChannel (between tabs)
+ * - publish(payload): topic messages to every node (DistributedNetworkLayer's
+ *   default transport), outside the RPC layer
+ *
+ * DHT transport interface (addressed rather than broadcast):
+ *   { name, address, send(address, message), onMessage(handler), close(), broadcast?(message) }
+ *
+ * Simulating a network in one process:
+ *   const net = KademliaDHT.createLoopbackNetwork();
+ *   const nodes = Array.from({ length: 20 }, () => KademliaDHT.createNode({ transport: net.createTransport() }));
+ *   for (const node of nodes.slice(1)) await node.bootstrap([nodes[0].contact]);
+ *   await nodes[3].put('pattern:42', { text: '...' });
+ *   await nodes[17].get('pattern:42');
+ *
+ * or simply: const { nodes, stop } = await KademliaDHT.simulate(20);
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🗺️ Loading Kademlia DHT...');
+
+    const ID_BYTES = 20;
+    const ID_BITS = ID_BYTES * 8;
+
+    /**
+     * SHA-1 (synchronous; ids and keys must be derivable without awaiting crypto.subtle)
+     */
+    function sha1(text) {
+        const bytes = new TextEncoder().encode(text);
+        const length = bytes.length;
+        const words = new Uint32Array((((length + 8) >> 6) + 1) * 16);
+
+        for (let i = 0; i < length; i++) {
+            words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+        }
+        words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+        words[words.length - 1] = length * 8;
+
+        let h0 = 0x67452301, h1 = 0xefcdab89, h2 = 0x98badcfe, h3 = 0x10325476, h4 = 0xc3d2e1f0;
+        const w = new Uint32Array(80);
+
+        for (let block = 0; block < words.length; block += 16) {
+            for (let t = 0; t < 16; t++) w[t] = words[block + t];
+            for (let t = 16; t < 80; t++) {
+                const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+                w[t] = (x << 1) | (x >>> 31);
+            }
+
+            let a = h0, b = h1, c = h2, d = h3, e = h4;
+            for (let t = 0; t < 80; t++) {
+                let f, k;
+                if (t < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+                else if (t < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+                else if (t < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+                else { f = b ^ c ^ d; k = 0xca62c1d6; }
+
+                const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+                e = d;
+                d = c;
+                c = (b << 30) | (b >>> 2);
+                b = a;
+                a = temp;
+            }
+
+            h0 = (h0 + a) >>> 0;
+            h1 = (h1 + b) >>> 0;
+            h2 = (h2 + c) >>> 0;
+            h3 = (h3 + d) >>> 0;
+            h4 = (h4 + e) >>> 0;
+        }
+
+        return [h0, h1, h2, h3, h4].map(h => h.toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * ID HELPERS
+     */
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(ID_BYTES);
+        for (let i = 0; i < ID_BYTES; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function isId(value) {
+        return typeof value === 'string' && /^[0-9a-f]{40}$/.test(value);
+    }
+
+    // Keys that are already 160-bit hex ids are used as-is; anything else is hashed
+    function toKey(value) {
+        return isId(value) ? value : sha1(String(value));
+    }
+
+    function randomId() {
+        const bytes = new Uint8Array(ID_BYTES);
+        if (root.crypto?.getRandomValues) {
+            root.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < ID_BYTES; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return bytesToHex(bytes);
+    }
+
+    function xorDistance(a, b) {
+        const distance = new Uint8Array(ID_BYTES);
+        for (let i = 0; i < ID_BYTES; i++) distance[i] = a[i] ^ b[i];
+        return distance;
+    }
+
+    function compareDistance(a, b) {
+        for (let i = 0; i < ID_BYTES; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+
+    // Index of the highest set bit of the distance: bucket i holds ids at distance [2^i, 2^(i+1))
+    function bucketIndex(selfBytes, otherBytes) {
+        for (let i = 0; i < ID_BYTES; i++) {
+            const x = selfBytes[i] ^ otherBytes[i];
+            if (x !== 0) {
+                return ID_BITS - 1 - (i * 8 + Math.clz32(x) - 24);
+            }
+        }
+        return -1;
+    }
+
+    // Random id that falls into bucket `index` relative to `selfBytes`
+    function randomIdInBucket(selfBytes, index) {
+        const bytes = hexToBytes(randomId());
+        const bit = ID_BITS - 1 - index;
+        const byte = bit >> 3;
+        const mask = 0x80 >> (bit & 7);
+
+        for (let i = 0; i < byte; i++) bytes[i] = selfBytes[i];
+        // Same prefix above the bucket bit, opposite value at it
+        const keepMask = ~((mask << 1) - 1) & 0xff;
+        bytes[byte] = (selfBytes[byte] & keepMask) | (~selfBytes[byte] & mask) | (bytes[byte] & (mask - 1));
+
+        return bytesToHex(bytes);
+    }
+
+    /**
+     * ROUTING TABLE
+     * One k-bucket per distance bit, least recently seen contact at the head
+     */
+    class RoutingTable {
+        constructor(selfId, k) {
+            this.selfId = selfId;
+            this.selfBytes = hexToBytes(selfId);
+            this.k = k;
+            this.buckets = Array.from({ length: ID_BITS }, () => []);
+            this.refreshedAt = new Array(ID_BITS).fill(0);
+        }
+
+        bucketFor(id) {
+            return this.buckets[bucketIndex(this.selfBytes, hexToBytes(id))];
+        }
+
+        get(id) {
+            if (id === this.selfId) return null;
+            return this.bucketFor(id).find(c => c.id === id) || null;
+        }
+
+        /**
+         * Returns 'updated', 'added', or the bucket head when the bucket is full
+         */
+        update(contact) {
+            const bucket = this.bucketFor(contact.id);
+            const index = bucket.findIndex(c => c.id === contact.id);
+            const entry = { id: contact.id, address: contact.address, lastSeen: Date.now() };
+
+            if (index >= 0) {
+                bucket.splice(index, 1);
+                bucket.push(entry);
+                return { status: 'updated' };
+            }
+            if (bucket.length < this.k) {
+                bucket.push(entry);
+                return { status: 'added' };
+            }
+            return { status: 'full', head: bucket[0] };
+        }
+
+        remove(id) {
+            const bucket = this.bucketFor(id);
+            const index = bucket.findIndex(c => c.id === id);
+            if (index < 0) return false;
+
+            bucket.splice(index, 1);
+            return true;
+        }
+
+        closest(targetId, count, excludeId = null) {
+            const target = hexToBytes(targetId);
+
+            return this.contacts()
+                .filter(c => c.id !== excludeId)
+                .map(c => ({ contact: c, distance: xorDistance(target, hexToBytes(c.id)) }))
+                .sort((a, b) => compareDistance(a.distance, b.distance))
+                .slice(0, count)
+                .map(({ contact }) => ({ id: contact.id, address: contact.address }));
+        }
+
+        contacts() {
+            return this.buckets.flat();
+        }
+
+        get size() {
+            return this.buckets.reduce((sum, bucket) => sum + bucket.length, 0);
+        }
+    }
+
+    /**
+     * KADEMLIA NODE
+     */
+    class KademliaNode {
+        constructor(options = {}) {
+            if (!options.transport) {
+                throw new Error('KademliaNode requires a transport');
+            }
+
+            this.id = options.id ? toKey(options.id) : randomId();
+            this.idBytes = hexToBytes(this.id);
+            this.transport = options.transport;
+            this.address = options.transport.address;
+
+            this.config = {
+                k: 20,
+                alpha: 3,
+                replicationFactor: null, // defaults to k
+                rpcTimeout: 2000,
+                republishInterval: 24 * 60 * 60 * 1000, // originals
+                replicateInterval: 60 * 60 * 1000, // everything we hold
+                expireAfter: 24 * 60 * 60 * 1000 + 60 * 1000,
+                refreshInterval: 60 * 60 * 1000,
+                ...options.config
+            };
+            if (!this.config.replicationFactor) {
+                this.config.replicationFactor = this.config.k;
+            }
+
+            this.table = new RoutingTable(this.id, this.config.k);
+            this.storage = new Map(); // key -> { value, publisher, publishedAt, ttl, receivedAt }
+            this.published = new Map(); // key -> value we originally published
+            this.pending = new Map(); // rpcId -> { resolve, reject, timer }
+            this.pinging = new Set();
+            this.eventHandlers = new Map();
+            this.timers = [];
+            this.rpcCounter = 0;
+            this.seenMessages = new Set(); // PUBLISH message ids already delivered
+            this.stopped = false;
+
+            this.stats = {
+                rpcSent: 0,
+                rpcReceived: 0,
+                rpcTimeouts: 0,
+                lookups: 0,
+                stored: 0
+            };
+
+            this.transport.onMessage((message) => this.handleMessage(message));
+        }
+
+        get contact() {
+            return { id: this.id, address: this.address };
+        }
+
+        /**
+         * EVENTS: contactAdded, contactRemoved, stored, message
+         */
+        on(event, handler) {
+            if (!this.eventHandlers.has(event)) {
+                this.eventHandlers.set(event, []);
+            }
+            this.eventHandlers.get(event).push(handler);
+        }
+
+        emit(event, data) {
+            const handlers = this.eventHandlers.get(event);
+            if (handlers) {
+                handlers.forEach(handler => handler(data));
+            }
+        }
+
+        /**
+         * RPC
+         */
+        rpc(contact, type, params = {}) {
+            const rpcId = `${this.id.slice(0, 8)}-${++this.rpcCounter}`;
+            this.stats.rpcSent++;
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pending.delete(rpcId);
+                    this.stats.rpcTimeouts++;
+                    this.dropContact(contact.id);
+                    reject(new Error(`${type} to ${contact.id.slice(0, 8)} timed out`));
+                }, this.config.rpcTimeout);
+
+                this.pending.set(rpcId, { resolve, reject, timer, contactId: contact.id });
+
+                try {
+                    this.transport.send(contact.address, { type, rpcId, from: this.contact, ...params });
+                } catch (error) {
+                    clearTimeout(timer);
+                    this.pending.delete(rpcId);
+                    reject(error);
+                }
+            });
+        }
+
+        handleMessage(message) {
+            if (this.stopped || !message || !message.from || message.from.id === this.id) return;
+
+            if (message.type === 'PUBLISH') {
+                this.observe(message.from);
+                this.receivePublished(message);
+                return;
+            }
+
+            if (message.type === 'RESPONSE') {
+                const pending = this.pending.get(message.rpcId);
+                this.observe(message.from);
+
+                if (pending && pending.contactId === message.from.id) {
+                    clearTimeout(pending.timer);
+                    this.pending.delete(message.rpcId);
+                    pending.resolve(message.result);
+                }
+                return;
+            }
+
+            this.stats.rpcReceived++;
+            this.observe(message.from);
+
+            const result = this.handleRequest(message);
+            if (result === null) return;
+
+            try {
+                this.transport.send(message.from.address, {
+                    type: 'RESPONSE',
+                    rpcId: message.rpcId,
+                    from: this.contact,
+                    result
+                });
+            } catch (error) {
+                console.warn('DHT response failed:', error);
+            }
+        }
+
+        handleRequest(message) {
+            switch (message.type) {
+                case 'PING':
+                    return { ok: true };
+
+                case 'STORE':
+                    return { stored: this.storeLocal(message.key, message.entry) };
+
+                case 'FIND_NODE':
+                    return { contacts: this.table.closest(message.target, this.config.k, message.from.id) };
+
+                case 'FIND_VALUE': {
+                    const entry = this.readLocal(message.key);
+                    if (entry) {
+                        return { entry: this.wireEntry(entry) };
+                    }
+                    return { contacts: this.table.closest(message.key, this.config.k, message.from.id) };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * PUBLISH
+         * Delivers payload to every node: through the transport's broadcast
+         * when it has one, otherwise flooded over the routing table with
+         * every node forwarding each message once
+         */
+        publish(payload) {
+            const message = {
+                type: 'PUBLISH',
+                messageId: `${this.id.slice(0, 8)}-${++this.rpcCounter}`,
+                origin: this.id,
+                from: this.contact,
+                payload
+            };
+            this.rememberMessage(message.messageId);
+            this.forward(message);
+            return message.messageId;
+        }
+
+        receivePublished(message) {
+            if (!message.messageId || this.seenMessages.has(message.messageId)) return;
+            this.rememberMessage(message.messageId);
+
+            this.emit('message', { payload: message.payload, origin: message.origin });
+
+            if (typeof this.transport.broadcast !== 'function') {
+                this.forward({ ...message, from: this.contact });
+            }
+        }
+
+        forward(message) {
+            if (typeof this.transport.broadcast === 'function') {
+                this.transport.broadcast(message);
+                return;
+            }
+
+            this.table.contacts().forEach(contact => {
+                if (contact.id === message.origin) return;
+                try {
+                    this.transport.send(contact.address, message);
+                } catch (error) {
+                    console.warn('DHT publish failed:', error);
+                }
+            });
+        }
+
+        rememberMessage(messageId) {
+            this.seenMessages.add(messageId);
+            // Sets iterate in insertion order, so this drops the oldest id
+            if (this.seenMessages.size > 1000) {
+                this.seenMessages.delete(this.seenMessages.values().next().value);
+            }
+        }
+
+        /**
+         * ROUTING
+         * Every message from a peer refreshes its k-bucket entry
+         */
+        observe(contact) {
+            if (!contact || contact.id === this.id || !isId(contact.id)) return;
+
+            const result = this.table.update(contact);
+            if (result.status === 'added') {
+                this.emit('contactAdded', { id: contact.id, address: contact.address });
+                return;
+            }
+            if (result.status !== 'full') return;
+
+            // Bucket full: keep the long-lived head unless it stopped answering
+            const head = result.head;
+            if (this.pinging.has(head.id)) return;
+            this.pinging.add(head.id);
+
+            this.rpc(head, 'PING')
+                .catch(() => {
+                    // rpc() already evicted the head on timeout
+                    const retry = this.table.update(contact);
+                    if (retry.status === 'added') {
+                        this.emit('contactAdded', { id: contact.id, address: contact.address });
+                    }
+                })
+                .finally(() => this.pinging.delete(head.id));
+        }
+
+        dropContact(id) {
+            if (this.table.remove(id)) {
+                this.emit('contactRemoved', { id });
+            }
+        }
+
+        /**
+         * ITERATIVE LOOKUP
+         * mode 'node' returns the k closest live contacts to target;
+         * mode 'value' stops as soon as a peer returns the stored entry
+         */
+        async lookup(target, mode = 'node') {
+            this.stats.lookups++;
+            this.table.refreshedAt[Math.max(0, bucketIndex(this.idBytes, hexToBytes(target)))] = Date.now();
+
+            const targetBytes = hexToBytes(target);
+            const shortlist = new Map();
+            const add = (contact) => {
+                if (!contact || contact.id === this.id || shortlist.has(contact.id) || !isId(contact.id)) return;
+                shortlist.set(contact.id, {
+                    contact,
+                    distance: xorDistance(targetBytes, hexToBytes(contact.id)),
+                    state: 'new'
+                });
+            };
+            const ranked = () => Array.from(shortlist.values())
+                .filter(entry => entry.state !== 'failed')
+                .sort((a, b) => compareDistance(a.distance, b.distance));
+
+            this.table.closest(target, this.config.k).forEach(add);
+
+            let found = null;
+
+            for (;;) {
+                const batch = ranked().slice(0, this.config.k).filter(entry => entry.state === 'new').slice(0, this.config.alpha);
+                if (batch.length === 0) break;
+
+                await Promise.all(batch.map(async (entry) => {
+                    entry.state = 'pending';
+                    try {
+                        const result = await this.rpc(entry.contact, mode === 'value' ? 'FIND_VALUE' : 'FIND_NODE',
+                            mode === 'value' ? { key: target } : { target });
+
+                        entry.state = 'done';
+                        if (result.entry && !found) {
+                            found = { entry: result.entry, holder: entry.contact };
+                        }
+                        (result.contacts || []).forEach(add);
+                    } catch (error) {
+                        entry.state = 'failed';
+                    }
+                }));
+
+                if (found) break;
+            }
+
+            const closest = ranked().filter(entry => entry.state === 'done').slice(0, this.config.k).map(entry => entry.contact);
+
+            if (found) {
+                // Cache at the closest peer that did not have it
+                const cacheAt = closest.find(c => c.id !== found.holder.id);
+                if (cacheAt) {
+                    this.rpc(cacheAt, 'STORE', { key: target, entry: found.entry }).catch(() => {});
+                }
+                return { entry: found.entry, contacts: closest };
+            }
+
+            return { entry: null, contacts: closest };
+        }
+
+        async findNode(id) {
+            const { contacts } = await this.lookup(toKey(id), 'node');
+            return contacts;
+        }
+
+        /**
+         * BOOTSTRAP
+         * Joins through known contacts, or by broadcast discovery when the transport supports it
+         */
+        async bootstrap(contacts = []) {
+            const seeds = contacts.filter(c => c && c.id !== this.id);
+
+            if (seeds.length > 0) {
+                await Promise.allSettled(seeds.map(contact => this.rpc(contact, 'PING')));
+            } else if (typeof this.transport.broadcast === 'function') {
+                this.transport.broadcast({ type: 'PING', rpcId: `discover-${this.id.slice(0, 8)}`, from: this.contact });
+                await new Promise(resolve => setTimeout(resolve, Math.min(this.config.rpcTimeout, 500)));
+            }
+
+            if (this.table.size === 0) {
+                return { peers: 0 };
+            }
+
+            // Self lookup fills the nearby buckets, refresh fills the far ones
+            await this.findNode(this.id);
+            await this.refreshBuckets(true);
+
+            return { peers: this.table.size };
+        }
+
+        async refreshBuckets(force = false) {
+            const now = Date.now();
+            const nonEmpty = this.table.buckets
+                .map((bucket, index) => ({ bucket, index }))
+                .filter(({ bucket }) => bucket.length > 0);
+            const nearest = nonEmpty.length > 0 ? nonEmpty[0].index : ID_BITS;
+
+            for (let index = nearest; index < ID_BITS; index++) {
+                if (!force && now - this.table.refreshedAt[index] < this.config.refreshInterval) continue;
+                if (!force && this.table.buckets[index].length === 0) continue;
+
+                await this.findNode(randomIdInBucket(this.idBytes, index));
+            }
+        }
+
+        /**
+         * STORAGE
+         */
+        storeLocal(key, entry) {
+            if (!isId(key) || !entry) return false;
+
+            const existing = this.storage.get(key);
+            // Never let an older publication overwrite a newer one
+            if (existing && existing.publishedAt > entry.publishedAt) return false;
+
+            this.storage.set(key, { ...entry, receivedAt: Date.now() });
+            this.stats.stored = this.storage.size;
+            this.emit('stored', { key, entry });
+            return true;
+        }
+
+        readLocal(key) {
+            const entry = this.storage.get(key);
+            if (!entry) return null;
+
+            if (entry.publishedAt + entry.ttl <= Date.now()) {
+                this.storage.delete(key);
+                return null;
+            }
+            return entry;
+        }
+
+        wireEntry(entry) {
+            return { value: entry.value, publisher: entry.publisher, publishedAt: entry.publishedAt, ttl: entry.ttl };
+        }
+
+        /**
+         * PUT
+         * Stores on the replicationFactor closest nodes (including this one if it qualifies)
+         */
+        async put(key, value, options = {}) {
+            const keyId = toKey(key);
+            const entry = {
+                value,
+                publisher: this.id,
+                publishedAt: Date.now(),
+                ttl: options.ttl || this.config.expireAfter
+            };
+
+            if (options.republish !== false) {
+                this.published.set(keyId, { value, ttl: entry.ttl });
+            }
+
+            const replicas = await this.replicate(keyId, entry);
+            return { key: keyId, replicas };
+        }
+
+        async replicate(keyId, entry) {
+            const replicationFactor = this.config.replicationFactor;
+            const contacts = await this.findNode(keyId);
+            const targets = contacts.slice(0, replicationFactor);
+
+            let replicas = 0;
+
+            // Hold a copy when we are among the closest nodes ourselves
+            const keyBytes = hexToBytes(keyId);
+            const selfDistance = xorDistance(keyBytes, this.idBytes);
+            const farthest = targets[targets.length - 1];
+            if (targets.length < replicationFactor || (farthest && compareDistance(selfDistance, xorDistance(keyBytes, hexToBytes(farthest.id))) < 0)) {
+                if (this.storeLocal(keyId, entry)) replicas++;
+                if (targets.length >= replicationFactor) targets.pop();
+            }
+
+            const results = await Promise.allSettled(targets.map(contact => this.rpc(contact, 'STORE', { key: keyId, entry })));
+            replicas += results.filter(r => r.status === 'fulfilled' && r.value.stored).length;
+
+            return replicas;
+        }
+
+        /**
+         * GET
+         */
+        async get(key) {
+            const keyId = toKey(key);
+            const local = this.readLocal(keyId);
+            if (local) return local.value;
+
+            const { entry } = await this.lookup(keyId, 'value');
+            if (!entry || entry.publishedAt + entry.ttl <= Date.now()) return null;
+
+            return entry.value;
+        }
+
+        /**
+         * MAINTENANCE
+         */
+        async republish() {
+            const keys = Array.from(this.published.keys());
+            for (const key of keys) {
+                const { value, ttl } = this.published.get(key);
+                await this.put(key, value, { ttl });
+            }
+            return keys.length;
+        }
+
+        // Push held values (not our own) to the current closest nodes
+        async replicateStored() {
+            const now = Date.now();
+            let count = 0;
+
+            for (const [key, entry] of Array.from(this.storage)) {
+                if (this.published.has(key)) continue;
+                if (!this.readLocal(key)) continue;
+                if (now - entry.receivedAt < this.config.replicateInterval) continue;
+
+                await this.replicate(key, this.wireEntry(entry));
+                count++;
+            }
+            return count;
+        }
+
+        expire() {
+            let removed = 0;
+            for (const key of Array.from(this.storage.keys())) {
+                if (!this.readLocal(key)) removed++;
+            }
+            this.stats.stored = this.storage.size;
+            return removed;
+        }
+
+        start() {
+            if (this.timers.length > 0) return;
+
+            const every = (interval, task) => {
+                const timer = setInterval(() => {
+                    task().catch(error => console.warn('DHT maintenance failed:', error));
+                }, interval);
+                // Don't hold a Node process open just for maintenance
+                timer.unref?.();
+                this.timers.push(timer);
+            };
+
+            every(this.config.republishInterval, () => this.republish());
+            every(this.config.replicateInterval, () => this.replicateStored());
+            every(this.config.refreshInterval, () => this.refreshBuckets());
+            every(Math.min(this.config.replicateInterval, 60 * 1000), async () => this.expire());
+        }
+
+        stop() {
+            this.stopped = true;
+            this.timers.forEach(timer => clearInterval(timer));
+            this.timers = [];
+
+            for (const [rpcId, pending] of this.pending) {
+                clearTimeout(pending.timer);
+                pending.reject(new Error('DHT node stopped'));
+                this.pending.delete(rpcId);
+            }
+
+            this.transport.close?.();
+        }
+
+        getStats() {
+            return {
+                id: this.id,
+                address: this.address,
+                contacts: this.table.size,
+                buckets: this.table.buckets.filter(b => b.length > 0).length,
+                storedKeys: this.storage.size,
+                publishedKeys: this.published.size,
+                ...this.stats
+            };
+        }
+    }
+
+    /**
+     * LOOPBACK NETWORK
+     * In-process transport for simulating many nodes; messages are cloned like a real wire
+     */
+    function createLoopbackNetwork(options = {}) {
+        const latency = options.latency || 0;
+        const dropRate = options.dropRate || 0;
+        const random = options.random || Math.random;
+        const endpoints = new Map();
+        const offline = new Set();
+        let counter = 0;
+
+        const network = {
+            stats: { delivered: 0, dropped: 0 },
+
+            createTransport(address = `loopback-${++counter}`) {
+                if (endpoints.has(address)) {
+                    throw new Error(`Loopback address ${address} already in use`);
+                }
+
+                let handler = null;
+                endpoints.set(address, (message) => handler && handler(message));
+
+                return {
+                    name: 'loopback',
+                    address,
+                    send: (to, message) => network.deliver(address, to, message),
+                    broadcast: (message) => {
+                        for (const to of endpoints.keys()) {
+                            if (to !== address) network.deliver(address, to, message);
+                        }
+                    },
+                    onMessage: (h) => { handler = h; },
+                    close: () => endpoints.delete(address)
+                };
+            },
+
+            deliver(from, to, message) {
+                const endpoint = endpoints.get(to);
+                if (!endpoint || offline.has(to) || offline.has(from) || (dropRate > 0 && random() < dropRate)) {
+                    network.stats.dropped++;
+                    return;
+                }
+
+                const copy = structuredClone(message);
+                const run = () => {
+                    // Went offline while the message was in flight
+                    if (offline.has(to) || !endpoints.has(to)) {
+                        network.stats.dropped++;
+                        return;
+                    }
+                    network.stats.delivered++;
+                    endpoint(copy);
+                };
+
+                if (latency > 0) {
+                    setTimeout(run, typeof latency === 'function' ? latency(from, to) : latency);
+                } else {
+                    Promise.resolve().then(run);
+                }
+            },
+
+            setOffline(address, isOffline = true) {
+                if (isOffline) offline.add(address);
+                else offline.delete(address);
+            },
+
+            get size() {
+                return endpoints.size;
+            }
+        };
+
+        return network;
+    }
+
+    /**
+     * SIMULATE
+     * Builds `count` nodes on one loopback network, each joining through the first
+     */
+    async function simulate(count, options = {}) {
+        const network = createLoopbackNetwork(options.network);
+        const nodes = [];
+
+        for (let i = 0; i < count; i++) {
+            const node = new KademliaNode({ transport: network.createTransport(), config: options.config });
+            if (nodes.length > 0) {
+                await node.bootstrap([nodes[0].contact]);
+            }
+            nodes.push(node);
+        }
+
+        return {
+            network,
+            nodes,
+            stop: () => nodes.forEach(node => node.stop())
+        };
+    }
+
+    /**
+     * BROADCAST CHANNEL TRANSPORT
+     * Lets DHT nodes in different tabs of the same origin reach each other
+     */
+    function createBroadcastTransport(address, channelName = 'aevov-dht') {
+        const channel = new BroadcastChannel(channelName);
+        let handler = null;
+
+        channel.onmessage = (event) => {
+            const { to, message } = event.data || {};
+            if ((to === address || to === '*') && handler) {
+                handler(message);
+            }
+        };
+
+        return {
+            name: 'broadcast-channel',
+            address,
+            send: (to, message) => channel.postMessage({ to, message }),
+            broadcast: (message) => channel.postMessage({ to: '*', message }),
+            onMessage: (h) => { handler = h; },
+            close: () => channel.close()
+        };
+    }
+
+    const KademliaDHT = {
+        version: '1.0.0',
+
+        createNode(options) {
+            return new KademliaNode(options);
+        },
+
+        createLoopbackNetwork,
+        createBroadcastTransport,
+        simulate,
+
+        keyFor: toKey,
+        sha1,
+        randomId,
+        distance(a, b) {
+            return bytesToHex(xorDistance(hexToBytes(toKey(a)), hexToBytes(toKey(b))));
+        },
+        bucketIndex(a, b) {
+            return bucketIndex(hexToBytes(toKey(a)), hexToBytes(toKey(b)));
+        },
+
+        KademliaNode,
+        RoutingTable
+    };
+
+    // Export globally
+    root.KademliaDHT = KademliaDHT;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = KademliaDHT;
+    }
+
+    console.log('✅ Kademlia DHT loaded');
+
+})();
@@ -0,0 +1,283 @@
+/**
+ * KADEMLIA HARNESS
+ * Loopback checks for kademlia_dht.js: FIND_NODE, STORE, FIND_VALUE,
+ * expiry, republish and PUBLISH across a simulated 20-node network
+ *
+ * Every check gets a fresh network built by KademliaDHT.simulate() and
+ * compares the DHT's answers with a brute-force XOR ranking of all nodes.
+ *
+ * Run:
+ *   node --experimental-detect-module kademlia_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runKademliaChecks() can also be
+ * imported to drive the same checks from another script.
+ */
+
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const KademliaDHT = require('./kademlia_dht.js');
+
+export const NODE_COUNT = 20;
+
+// k below the node count, so replication and routing are actually selective
+const DHT_CONFIG = { k: 5, alpha: 3, rpcTimeout: 200 };
+
+/**
+ * Fresh 20-node loopback network plus ranking helpers
+ */
+export async function createDhtFixture() {
+    const simulation = await KademliaDHT.simulate(NODE_COUNT, { config: DHT_CONFIG });
+    const { nodes, network } = simulation;
+
+    // The k nodes closest to key by XOR distance, out of `candidates`
+    const closest = (key, candidates = nodes, count = DHT_CONFIG.k) => candidates
+        .map(node => ({ node, distance: KademliaDHT.distance(node.id, key) }))
+        .sort((a, b) => (a.distance < b.distance ? -1 : a.distance > b.distance ? 1 : 0))
+        .slice(0, count)
+        .map(({ node }) => node);
+
+    const holders = (key) => {
+        const keyId = KademliaDHT.keyFor(key);
+        return nodes.filter(node => node.readLocal(keyId));
+    };
+
+    return { ...simulation, nodes, network, closest, holders };
+}
+
+const idsOf = (nodes) => nodes.map(node => node.id).sort();
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+/**
+ * CHECKS
+ */
+export const KADEMLIA_CHECKS = [
+    {
+        name: 'every node joins with at least k contacts',
+        async run({ nodes }) {
+            nodes.forEach((node, i) => {
+                assert(node.table.size >= DHT_CONFIG.k, `node ${i} has ${node.table.size} contacts`);
+            });
+        }
+    },
+    {
+        name: 'FIND_NODE returns the k closest nodes',
+        async run({ nodes, closest }) {
+            for (let i = 0; i < 5; i++) {
+                const target = KademliaDHT.randomId();
+                const from = nodes[(i * 7) % nodes.length];
+                const found = await from.findNode(target);
+                const expected = closest(target, nodes.filter(node => node !== from));
+                assertEqual(found.map(c => c.id).sort(), idsOf(expected), `lookup ${i} from node ${(i * 7) % nodes.length}`);
+            }
+        }
+    },
+    {
+        name: 'STORE places the value on exactly the k closest nodes',
+        async run({ nodes, closest, holders }) {
+            const { key, replicas } = await nodes[3].put('pattern:42', { text: 'neural networks' });
+            assertEqual(replicas, DHT_CONFIG.k, 'replicas');
+            assertEqual(idsOf(holders('pattern:42')), idsOf(closest(key)), 'holders');
+        }
+    },
+    {
+        name: 'FIND_VALUE finds the value from every node',
+        async run({ nodes, holders }) {
+            await nodes[3].put('pattern:7', { text: 'vector index' });
+            const storedOn = new Set(holders('pattern:7'));
+            const before = nodes.map(node => node.stats.rpcSent);
+
+            for (const node of nodes) {
+                assertEqual(await node.get('pattern:7'), { text: 'vector index' }, `get from ${node.id.slice(0, 8)}`);
+            }
+
+            // Nodes without a copy had to ask the network
+            nodes.forEach((node, i) => {
+                if (!storedOn.has(node)) {
+                    assert(node.stats.rpcSent > before[i], `node ${i} answered without a lookup`);
+                }
+            });
+        }
+    },
+    {
+        name: 'missing keys resolve to null',
+        async run({ nodes }) {
+            assertEqual(await nodes[11].get('pattern:missing'), null, 'missing key');
+        }
+    },
+    {
+        name: 'expired values are not returned and get dropped',
+        async run({ nodes, holders }) {
+            await nodes[5].put('pattern:short', 'soon gone', { ttl: 50 });
+            assert(holders('pattern:short').length > 0, 'stored before expiry');
+
+            await new Promise(resolve => setTimeout(resolve, 80));
+            assertEqual(await nodes[9].get('pattern:short'), null, 'value after ttl');
+            nodes.forEach(node => node.expire());
+            assertEqual(holders('pattern:short').length, 0, 'copies after expire()');
+        }
+    },
+    {
+        name: 'republish restores the copies the holders lost',
+        async run({ nodes, closest, holders }) {
+            const publisher = nodes[2];
+            const { key } = await publisher.put('pattern:durable', { text: 'survives restarts' });
+
+            // Holders restarted without their storage
+            holders('pattern:durable').filter(node => node !== publisher).forEach(node => node.storage.clear());
+            assert(holders('pattern:durable').length <= 1, 'only the publisher may still hold a copy');
+
+            assertEqual(await publisher.republish(), 1, 'republished keys');
+            assertEqual(idsOf(holders('pattern:durable')), idsOf(closest(key)), 'holders after republish');
+        }
+    },
+    {
+        name: 'republish moves the value to nodes that joined after the put',
+        async run({ nodes, network, closest, holders }) {
+            const publisher = nodes[6];
+            const { key } = await publisher.put('pattern:moving', 'follows the closest nodes');
+
+            for (let i = 0; i < 5; i++) {
+                const node = KademliaDHT.createNode({ transport: network.createTransport(), config: DHT_CONFIG });
+                await node.bootstrap([nodes[0].contact]);
+                nodes.push(node);
+            }
+
+            await publisher.republish();
+            const expected = closest(key);
+            assertEqual(idsOf(holders('pattern:moving').filter(node => expected.includes(node))), idsOf(expected),
+                'the k closest of all 25 nodes hold the value');
+        }
+    },
+    {
+        name: 'values stay readable while some holders are offline',
+        async run({ nodes, network, holders }) {
+            await nodes[8].put('pattern:partial', 'still here');
+            const offline = holders('pattern:partial').filter(node => node !== nodes[8]).slice(0, 2);
+            offline.forEach(node => network.setOffline(node.address));
+
+            const readers = nodes.filter(node => !offline.includes(node) && !node.readLocal(KademliaDHT.keyFor('pattern:partial')));
+            for (const reader of readers.slice(0, 5)) {
+                assertEqual(await reader.get('pattern:partial'), 'still here', `get from ${reader.id.slice(0, 8)}`);
+            }
+        }
+    },
+    {
+        name: 'PUBLISH reaches every other node once',
+        async run({ nodes }) {
+            const received = nodes.map(() => []);
+            nodes.forEach((node, i) => node.on('message', ({ payload }) => received[i].push(payload)));
+
+            nodes[4].publish({ topic: 'cron', n: 1 });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            assertEqual(received.map(r => r.length), nodes.map((_, i) => (i === 4 ? 0 : 1)), 'deliveries per node');
+        }
+    },
+    {
+        name: 'PUBLISH floods the routing tables when the transport cannot broadcast',
+        async run() {
+            const network = KademliaDHT.createLoopbackNetwork();
+            const nodes = [];
+            try {
+                for (let i = 0; i < NODE_COUNT; i++) {
+                    const transport = network.createTransport();
+                    delete transport.broadcast;
+                    const node = KademliaDHT.createNode({ transport, config: DHT_CONFIG });
+                    if (nodes.length > 0) await node.bootstrap([nodes[0].contact]);
+                    nodes.push(node);
+                }
+
+                const received = nodes.map(() => 0);
+                nodes.forEach((node, i) => node.on('message', () => { received[i]++; }));
+
+                nodes[9].publish('flooded');
+                await new Promise(resolve => setTimeout(resolve, 20));
+
+                assertEqual(received, nodes.map((_, i) => (i === 9 ? 0 : 1)), 'deliveries per node');
+            } finally {
+                nodes.forEach(node => node.stop());
+            }
+        }
+    },
+    {
+        name: 'an older publication never overwrites a newer one',
+        async run({ nodes, holders }) {
+            await nodes[4].put('pattern:version', 'v2');
+            const holder = holders('pattern:version')[0];
+            const keyId = KademliaDHT.keyFor('pattern:version');
+            const stale = { value: 'v1', publisher: nodes[4].id, publishedAt: 0, ttl: 60000 };
+
+            assertEqual(holder.storeLocal(keyId, stale), false, 'stale STORE accepted');
+            assertEqual(holder.readLocal(keyId).value, 'v2', 'stored value');
+        }
+    }
+];
+
+/**
+ * RUN KADEMLIA CHECKS
+ */
+export async function runKademliaChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = KADEMLIA_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const results = [];
+
+    // Lookups to offline nodes warn; keep the report readable
+    const { log: consoleLog, error: consoleError, warn: consoleWarn } = console;
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = () => {};
+
+    try {
+        for (const check of checks) {
+            const started = Date.now();
+            let fixture = null;
+            try {
+                fixture = await createDhtFixture();
+                await check.run(fixture);
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            } finally {
+                fixture?.stop();
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+        console.warn = consoleWarn;
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 Kademlia harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runKademliaChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
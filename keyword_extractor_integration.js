@@ -45,35 +45,20 @@
          * Patch Advanced Pattern Extractor
          */
         patchAdvancedExtractor() {
-            if (!window.extractAdvancedPatterns) {
-                console.warn('⚠️ extractAdvancedPatterns not found');
-                return;
-            }
-
-            const original = window.extractAdvancedPatterns;
-
-            window.extractAdvancedPatterns = async function(...args) {
-                console.log('🔬 Extracting patterns with dynamic keywords...');
-
-                // Call original
-                const result = await original.apply(this, args);
+            // Higher priority: keywords are in place before other subscribers read the patterns
+            window.AevovBus.on('patterns:extracted', ({ name, error }) => {
+                if (name !== 'extractAdvancedPatterns' || error) return;
 
                 // Enhance patterns with dynamic keywords
-                if (window.advancedPatterns) {
-                    Object.keys(window.advancedPatterns).forEach(category => {
-                        const patterns = window.advancedPatterns[category];
-                        if (Array.isArray(patterns)) {
-                            patterns.forEach(pattern => {
-                                KeywordExtractorIntegration.enhancePattern(pattern, category);
-                            });
-                        }
+                window.PatternStore.transaction(tx => {
+                    window.PatternStore.entries({ collection: 'advanced' }).forEach(({ pattern, category }) => {
+                        KeywordExtractorIntegration.enhancePattern(pattern, category);
+                        tx.add(pattern);
                     });
+                }, { source: 'KeywordExtractorIntegration' });
 
-                    console.log('✅ Patterns enhanced with dynamic keywords');
-                }
-
-                return result;
-            };
+                console.log('✅ Patterns enhanced with dynamic keywords');
+            }, { owner: 'KeywordExtractorIntegration', priority: 10 });
 
             console.log('✅ Advanced Pattern Extractor patched');
         },
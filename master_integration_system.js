@@ -14,6 +14,8 @@
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🌐 Loading Master Integration System...');
 
     const AevovMasterSystem = {
@@ -181,6 +183,10 @@
                 this.updateDashboard();
             });
 
+            if (window.CronCoordinator) {
+                window.CronCoordinator.attachNetwork(network);
+            }
+
             console.log('  ✓ Network ↔ All Components integrated');
         },
 
@@ -623,11 +629,24 @@
         }
     };
 
+    /**
+     * DISTRIBUTED NETWORK LAYER
+     * Peers and pattern storage come from a Kademlia DHT (kademlia_dht.js);
+     * the DHT transport defaults to BroadcastChannel between tabs and can be
+     * swapped for any addressed transport (e.g. KademliaDHT loopback in tests).
+     * publish/subscribe topics (CronCoordinator's 'cron') ride on the DHT node
+     * once initialize() has run, unless useTransport() picked another transport.
+     */
     class DistributedNetworkLayer {
-        constructor() {
+        constructor(options = {}) {
             this.peers = new Map();
             this.eventHandlers = new Map();
-            this.nodeId = this.generateNodeId();
+            this.nodeId = options.nodeId || this.generateNodeId();
+            this.transport = null;
+            this.dht = null;
+            this.dhtTransport = options.dhtTransport || null;
+            this.bootstrapContacts = options.bootstrap || [];
+            this.dhtConfig = options.dhtConfig || {};
         }
 
         generateNodeId() {
@@ -637,21 +656,140 @@
         async initialize() {
             console.log('🌐 Initializing network layer...');
             console.log('📍 Node ID:', this.nodeId);
+
+            const dht = root.KademliaDHT;
+            if (!dht) {
+                console.warn('⚠️ KademliaDHT not loaded, running without peers');
+                return;
+            }
+
+            const network = root.ConsensusConfig?.config.network || {};
+            if (network.dhtProtocol && network.dhtProtocol !== 'kademlia') {
+                console.warn(`⚠️ DHT protocol '${network.dhtProtocol}' is not implemented, using kademlia`);
+            }
+
+            const id = dht.keyFor(this.nodeId);
+            this.dht = dht.createNode({
+                id,
+                transport: this.dhtTransport || dht.createBroadcastTransport(id),
+                config: {
+                    replicationFactor: network.replicationFactor || 3,
+                    ...this.dhtConfig
+                }
+            });
+
+            this.dht.on('contactAdded', (contact) => {
+                this.peers.set(contact.id, contact);
+                this.emit('nodeJoined', contact.id);
+            });
+            this.dht.on('contactRemoved', ({ id }) => {
+                if (this.peers.delete(id)) {
+                    this.emit('nodeLeft', id);
+                }
+            });
+
+            if (!this.transport) {
+                this.useTransport(this.createDhtTransport(this.dht));
+            }
+
+            console.log('📍 DHT ID:', this.dht.id);
+        }
+
+        /**
+         * Topic transport over the DHT node (KademliaNode.publish)
+         */
+        createDhtTransport(node) {
+            return {
+                name: `dht:${node.transport.name}`,
+                node,
+                send: (message) => node.publish(message),
+                onMessage: (handler) => node.on('message', ({ payload }) => handler(payload)),
+                close: () => {}
+            };
         }
 
         async connect() {
             console.log('🔗 Connecting to network...');
-            
-            setTimeout(() => {
-                this.emit('nodeJoined', this.nodeId);
-            }, 1000);
+
+            this.emit('nodeJoined', this.nodeId);
+            if (!this.dht) return;
+
+            const { peers } = await this.dht.bootstrap(this.bootstrapContacts);
+            this.dht.start();
+
+            console.log(`✓ Joined DHT with ${peers} peer(s)`);
+        }
+
+        disconnect() {
+            if (!this.dht) return;
+
+            this.dht.stop();
+            if (this.transport?.node === this.dht) {
+                this.transport = null;
+            }
+            for (const id of Array.from(this.peers.keys())) {
+                this.peers.delete(id);
+                this.emit('nodeLeft', id);
+            }
+            this.dht = null;
         }
 
         async reconnect() {
             console.log('🔄 Reconnecting to network...');
+            if (!this.dht) {
+                await this.initialize();
+            }
             await this.connect();
         }
 
+        /**
+         * PATTERN STORAGE
+         * Patterns live under `pattern:<id>` keys on the replicationFactor closest nodes
+         */
+        async storePattern(pattern) {
+            if (!this.dht) {
+                throw new Error('Distributed network not connected');
+            }
+
+            const result = await this.dht.put(`pattern:${pattern.id}`, pattern);
+            this.emit('patternSynced', pattern);
+            return result;
+        }
+
+        async findPattern(patternId) {
+            if (!this.dht) return null;
+            return this.dht.get(`pattern:${patternId}`);
+        }
+
+        /**
+         * Pluggable transport: { name, send(message), onMessage(handler), close() }
+         */
+        useTransport(transport) {
+            if (this.transport) {
+                this.transport.close?.();
+            }
+
+            this.transport = transport;
+            transport.onMessage((message) => this.handleTransportMessage(message));
+            console.log(`🔌 Network transport: ${transport.name}`);
+        }
+
+        publish(topic, payload) {
+            if (!this.transport) return false;
+
+            this.transport.send({ topic, from: this.nodeId, payload });
+            return true;
+        }
+
+        subscribe(topic, handler) {
+            this.on(`message:${topic}`, handler);
+        }
+
+        handleTransportMessage(message) {
+            if (!message || message.from === this.nodeId) return;
+            this.emit(`message:${message.topic}`, message.payload);
+        }
+
         on(event, handler) {
             if (!this.eventHandlers.has(event)) {
                 this.eventHandlers.set(event, []);
@@ -670,19 +808,31 @@
             return {
                 nodeId: this.nodeId,
                 peers: this.peers.size,
-                protocol: 'kademlia'
+                protocol: 'kademlia',
+                transport: this.transport?.name || null,
+                dht: this.dht ? {
+                    ...this.dht.getStats(),
+                    transport: this.dht.transport.name,
+                    k: this.dht.config.k,
+                    replicationFactor: this.dht.config.replicationFactor
+                } : null
             };
         }
     }
 
-    window.AevovMasterSystem = AevovMasterSystem;
+    root.AevovMasterSystem = AevovMasterSystem;
+    root.DistributedNetworkLayer = DistributedNetworkLayer;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => AevovMasterSystem.init(), 2000);
+    // Initialized once the components it integrates are ready
+    if (root.AevovLoader) {
+        root.AevovLoader.declare('AevovMasterSystem', {
+            optional: ['ConsensusConfig', 'MultiStorageFramework', 'CMSAppEngine', 'SupernovaSpeechFix'],
+            init: () => AevovMasterSystem.init()
         });
-    } else {
-        setTimeout(() => AevovMasterSystem.init(), 2000);
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { AevovMasterSystem, DistributedNetworkLayer };
     }
 
     console.log('✅ Master Integration System loaded');
@@ -416,21 +416,21 @@
             console.log('─'.repeat(60));
 
             // Coordinate model loading with pattern extraction
-            if (window.loadModel && window.CachePatternIntegration) {
-                const originalLoadModel = window.loadModel;
-                window.loadModel = async function(...args) {
+            if (window.CachePatternIntegration) {
+                window.AevovBus.on('model:before-load', () => {
                     console.log('📦 Model loading started...');
-                    const result = await originalLoadModel.apply(this, args);
-                    
+                }, { owner: 'MasterOrchestrator' });
+
+                window.AevovBus.on('model:loaded', ({ error }) => {
+                    if (error) return;
+
                     // Trigger cache scan after load
                     setTimeout(async () => {
                         if (window.CachePatternIntegration) {
                             await window.CachePatternIntegration.forceScan();
                         }
                     }, 1000);
-                    
-                    return result;
-                };
+                }, { owner: 'MasterOrchestrator' });
                 console.log('  ✓ Model loading coordinated with cache scan');
             }
 
@@ -553,25 +553,12 @@
     };
 
     /**
-     * AUTO-INITIALIZE
-     * Wait for DOM and all scripts to load
+     * Initialized by the module loader after the systems it coordinates
      */
-    function autoInitialize() {
-        // Wait a bit for all other scripts to finish their setTimeout inits
-        setTimeout(async () => {
-            try {
-                await MasterOrchestrator.init();
-            } catch (error) {
-                console.error('❌ Master Orchestrator failed to initialize:', error);
-            }
-        }, 3000); // 3 seconds should be enough for other scripts
-    }
-
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', autoInitialize);
-    } else {
-        autoInitialize();
-    }
+    window.AevovLoader.declare('MasterOrchestrator', {
+        optional: ['NotificationSystem', 'SystemIntegration', 'UnifiedChatSystem'],
+        init: () => MasterOrchestrator.init()
+    });
 
     // Export to window
     window.MasterOrchestrator = MasterOrchestrator;
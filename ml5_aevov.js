@@ -295,7 +295,8 @@
                 if (this.state.patternEmbeddings.has(pattern.id)) {
                     patternEmbedding = this.state.patternEmbeddings.get(pattern.id);
                 } else {
-                    patternEmbedding = await this.createML5Embedding(pattern.sourceQuery || pattern.keywords.join(' '));
+                    // Model patterns may carry neither a source query nor keywords
+                    patternEmbedding = await this.createML5Embedding(pattern.sourceQuery || (pattern.keywords || []).join(' '));
                     this.state.patternEmbeddings.set(pattern.id, patternEmbedding);
                 }
 
@@ -417,15 +418,7 @@
          * GET ALL PATTERNS
          */
         getAllPatterns() {
-            const allPatterns = [];
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    if (Array.isArray(window.advancedPatterns[category])) {
-                        allPatterns.push(...window.advancedPatterns[category]);
-                    }
-                }
-            }
-            return allPatterns;
+            return window.PatternStore.all();
         },
 
         /**
@@ -440,14 +433,11 @@
     // Export globally
     window.AevovNeural = AevovNeural;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => AevovNeural.init(), 1500);
-        });
-    } else {
-        setTimeout(() => AevovNeural.init(), 1500);
-    }
+    // Initialized by the module loader once AevovNLU (which it extends) is ready
+    window.AevovLoader.declare('AevovNeural', {
+        optional: ['PatternStore', 'AevovNLU'],
+        init: () => AevovNeural.init()
+    });
 
     console.log('✅ ML5 Neural Integration loaded');
     console.log('🧠 Toggle neural mode to test different inference mechanisms');
@@ -0,0 +1,436 @@
+/**
+ * AEVOV MODULE LOADER
+ * Declarative initialization instead of setTimeout(() => X.init(), 2000)
+ *
+ * - Modules declare what they depend on and what they provide:
+ *     AevovLoader.declare('AevovMasterSystem', {
+ *         dependsOn: ['ConsensusConfig'],             // modules that must be ready first
+ *         optional: ['MultiStorageFramework'],        // waited for when declared
+ *         services: ['ChatWidget'],                   // AevovBus services registered elsewhere
+ *         init: () => AevovMasterSystem.init()
+ *     });
+ * - Once the DOM is ready the loader sorts the declared modules
+ *   topologically and initializes each as soon as its dependencies are
+ *   ready; cycles, failed inits and the modules they block are reported
+ *   (AevovLoader.report())
+ * - Ready modules are registered as AevovBus services, so
+ *   AevovBus.whenReady(name) replaces polling for window globals
+ * - Lazy modules are not in the page's script tags: their script is loaded
+ *   and initialized on first use - AevovLoader.use(name), a call to one of
+ *   their stub methods, or their keyboard shortcut
+ *
+ * Load this in <head>, after event_bus.js and before the modules.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+    const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node) && typeof window === 'undefined';
+
+    console.log('🧩 Loading Aevov Module Loader...');
+
+    // Where lazy module scripts are loaded from (next to this file)
+    const SCRIPT_BASE = isNode
+        ? __dirname
+        : (typeof document !== 'undefined' && document.currentScript?.src
+            ? document.currentScript.src.replace(/[^/]*$/, '')
+            : '');
+
+    function withTimeout(promise, ms, name) {
+        if (!ms) return promise;
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} did not finish initializing within ${ms}ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Parse 'Ctrl+Shift+V' into a keydown matcher
+     */
+    function parseShortcut(combo) {
+        const parts = combo.split('+');
+        const key = parts.pop();
+        const modifiers = parts.map(part => part.toLowerCase());
+        return event => event.key === key &&
+            event.ctrlKey === modifiers.includes('ctrl') &&
+            event.shiftKey === modifiers.includes('shift') &&
+            event.altKey === modifiers.includes('alt');
+    }
+
+    const AevovLoader = {
+        version: '1.0.0',
+
+        config: {
+            initTimeout: 30000,     // A module whose init takes longer fails (and blocks its dependents)
+            scriptBase: SCRIPT_BASE
+        },
+
+        modules: {},                // name -> module entry (see declare)
+        started: false,
+        startedAt: null,
+
+        /**
+         * DECLARE a module
+         * spec: { dependsOn, optional, services, provides (service names, default [name]),
+         *         init, global (window global, default name),
+         *         lazy, src, stubs (methods callable before loading),
+         *         shortcuts ({ 'Ctrl+Shift+V': method }) }
+         *
+         * A lazy module is declared twice: by the page (where to find it and
+         * what triggers loading) and by its own script once loaded (its
+         * dependencies and init) - the two declarations are merged. A lazy
+         * module whose script the page includes anyway becomes a regular one.
+         */
+        declare(name, spec = {}) {
+            const existing = this.modules[name];
+
+            if (existing) {
+                if (!existing.lazy || existing.promise && existing.status !== 'loading') {
+                    throw new Error(`Module already declared: ${name}`);
+                }
+                existing.dependsOn = [...new Set([...existing.dependsOn, ...(spec.dependsOn || [])])];
+                existing.optional = [...new Set([...existing.optional, ...(spec.optional || [])])];
+                existing.services = [...new Set([...existing.services, ...(spec.services || [])])];
+                existing.provides = spec.provides || existing.provides;
+                existing.init = spec.init || existing.init;
+
+                if (!existing.promise) {
+                    existing.lazy = false;
+                    existing.status = 'declared';
+                    if (this.started) this.initialize(name).catch(() => {});
+                }
+                return this;
+            }
+
+            const module = {
+                name,
+                dependsOn: spec.dependsOn || [],
+                optional: spec.optional || [],
+                services: spec.services || [],
+                provides: spec.provides || [name],
+                init: spec.init || null,
+                global: spec.global || name,
+                lazy: !!spec.lazy,
+                src: spec.src || null,
+                status: spec.lazy ? 'lazy' : 'declared',
+                error: null,
+                promise: null,
+                duration: null
+            };
+
+            if (module.lazy && !module.src) {
+                throw new Error(`Lazy module ${name} needs a src`);
+            }
+
+            this.modules[name] = module;
+
+            if (module.lazy) {
+                this.installStubs(module, spec.stubs || [], spec.shortcuts || {});
+            } else if (this.started) {
+                // Declared by a script added after start()
+                this.initialize(name).catch(() => {});
+            }
+
+            return this;
+        },
+
+        /**
+         * STUBS: placeholder global whose methods load the module, then call the real one
+         */
+        installStubs(module, stubs, shortcuts) {
+            if (stubs.length && !root[module.global]) {
+                const stub = {
+                    lazy: true,
+                    state: { initialized: false },
+                    load: () => this.use(module.name)
+                };
+                stubs.forEach(method => {
+                    stub[method] = (...args) => this.use(module.name).then(service => service[method](...args));
+                });
+                root[module.global] = stub;
+            }
+
+            if (typeof document === 'undefined') return;
+
+            Object.entries(shortcuts).forEach(([combo, method]) => {
+                const matches = parseShortcut(combo);
+                const listener = event => {
+                    // Once loading, the module handles its own shortcut
+                    if (!module.lazy || module.promise || !matches(event)) return;
+                    event.preventDefault();
+
+                    document.removeEventListener('keydown', listener);
+                    this.use(module.name)
+                        .then(service => service[method]())
+                        .catch(error => console.error(`❌ ${combo}: ${module.name} failed to load:`, error));
+                };
+                document.addEventListener('keydown', listener);
+            });
+        },
+
+        /**
+         * SORT module names topologically (dependencies first)
+         * Returns { order, cycles } - modules on a cycle are left out of order
+         */
+        sort(names = Object.keys(this.modules)) {
+            const order = [];
+            const cycles = [];
+            const state = {};           // name -> 'visiting' | 'done'
+
+            const visit = (name, path) => {
+                if (state[name] === 'done') return;
+                if (state[name] === 'visiting') {
+                    cycles.push([...path.slice(path.indexOf(name)), name]);
+                    return;
+                }
+
+                const module = this.modules[name];
+                if (!module) return;    // Unknown dependencies fail at initialize()
+
+                state[name] = 'visiting';
+                const optional = module.optional.filter(dependency => this.modules[dependency]);
+                [...module.dependsOn, ...optional].forEach(dependency => visit(dependency, [...path, name]));
+                state[name] = 'done';
+                order.push(name);
+            };
+
+            names.forEach(name => visit(name, []));
+
+            const onCycle = new Set(cycles.flat());
+            return { order: order.filter(name => !onCycle.has(name)), cycles };
+        },
+
+        /**
+         * START: initialize every declared (non-lazy) module
+         * Called when the DOM is ready; resolves with report()
+         */
+        async start() {
+            if (this.started) return this.report();
+            this.started = true;
+            this.startedAt = Date.now();
+
+            console.log('⚡ Initializing modules...');
+
+            const eager = Object.keys(this.modules).filter(name => !this.modules[name].lazy);
+            const { order, cycles } = this.sort(eager);
+
+            cycles.forEach(cycle => {
+                const error = new Error(`Dependency cycle: ${cycle.join(' → ')}`);
+                console.error(`🔁 ${error.message}`);
+                cycle.forEach(name => {
+                    const module = this.modules[name];
+                    if (module.promise) return;
+                    module.status = 'failed';
+                    module.error = error;
+                    module.promise = Promise.reject(error);
+                    module.promise.catch(() => {});
+                });
+            });
+
+            await Promise.allSettled(order.map(name => this.initialize(name)));
+
+            const report = this.report();
+            const count = status => report.filter(entry => entry.status === status).length;
+            console.log(`✅ Modules initialized: ${count('ready')} ready, ${count('failed')} failed, ${count('blocked')} blocked, ${count('lazy')} lazy (${Date.now() - this.startedAt}ms)`);
+
+            return report;
+        },
+
+        /**
+         * INITIALIZE one module (and its dependencies), once
+         * chain: modules waiting on this one - a lazy module declared after
+         * start() can still close a cycle
+         */
+        initialize(name, chain = []) {
+            if (chain.includes(name)) {
+                return Promise.reject(new Error(`Dependency cycle: ${[...chain, name].join(' → ')}`));
+            }
+
+            const module = this.modules[name];
+            if (!module) {
+                return Promise.reject(new Error(`Unknown module: ${name}`));
+            }
+
+            if (!module.promise) {
+                module.promise = this.run(module, [...chain, name]);
+            }
+            return module.promise;
+        },
+
+        async run(module, chain) {
+            const started = Date.now();
+
+            if (module.lazy) {
+                module.status = 'loading';
+                try {
+                    await this.loadScript(module.src);
+                } catch (error) {
+                    return this.fail(module, 'failed', new Error(`Could not load ${module.src}: ${error.message}`));
+                }
+            }
+
+            module.status = 'waiting';
+            for (const dependency of module.dependsOn) {
+                try {
+                    await this.initialize(dependency, chain);
+                } catch (error) {
+                    return this.fail(module, 'blocked', new Error(`${dependency}: ${error.message}`));
+                }
+            }
+
+            for (const service of module.services) {
+                try {
+                    if (!root.AevovBus) throw new Error('AevovBus not loaded');
+                    await root.AevovBus.whenReady(service, { timeout: this.config.initTimeout });
+                } catch (error) {
+                    return this.fail(module, 'blocked', new Error(`service ${service}: ${error.message}`));
+                }
+            }
+
+            // Optional dependencies: waited for when declared (lazy ones only if already loading)
+            for (const dependency of module.optional) {
+                const entry = this.modules[dependency];
+                if (!entry || (entry.lazy && !entry.promise)) continue;
+                await this.initialize(dependency, chain).catch(() => {});
+            }
+
+            module.status = 'initializing';
+            try {
+                if (module.init) {
+                    await withTimeout(Promise.resolve().then(() => module.init()), this.config.initTimeout, module.name);
+                }
+            } catch (error) {
+                return this.fail(module, 'failed', error);
+            }
+
+            module.status = 'ready';
+            module.duration = Date.now() - started;
+            this.registerServices(module);
+
+            return root[module.global];
+        },
+
+        fail(module, status, error) {
+            module.status = status;
+            module.error = error;
+            if (status === 'failed') {
+                console.error(`❌ Module ${module.name} failed:`, error);
+            } else {
+                console.warn(`⚠️ Module ${module.name} blocked by ${error.message}`);
+            }
+            throw error;
+        },
+
+        registerServices(module) {
+            const bus = root.AevovBus;
+            if (!bus) return;
+
+            const dependsOn = [...module.dependsOn.flatMap(dependency => this.modules[dependency].provides), ...module.services];
+            module.provides.forEach(service => {
+                if (bus.has(service)) return;
+                try {
+                    bus.register(service, root[module.global], { dependsOn, owner: module.name });
+                } catch (error) {
+                    console.warn(`⚠️ ${module.name} could not register service ${service}:`, error.message);
+                }
+            });
+        },
+
+        /**
+         * USE a module: loads (lazy) and initializes it on first use
+         * Resolves with the module's global
+         */
+        use(name) {
+            return this.initialize(name);
+        },
+
+        /**
+         * LOAD SCRIPT next to this file (script tag in the page, require() in Node)
+         */
+        loadScript(src) {
+            const url = /^([a-z]+:)?\/\//i.test(src) ? src : this.config.scriptBase + src;
+
+            if (isNode) {
+                return Promise.resolve().then(() => require(require('path').resolve(this.config.scriptBase, src)));
+            }
+
+            return new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.async = false;
+                script.onload = () => resolve();
+                script.onerror = () => reject(new Error(`${url} failed to load`));
+                document.head.appendChild(script);
+            });
+        },
+
+        /**
+         * REPORT: one entry per module, dependencies first
+         */
+        report() {
+            const { order, cycles } = this.sort();
+            const names = [...order, ...new Set(cycles.flat())];
+
+            return names.map(name => {
+                const module = this.modules[name];
+                return {
+                    name,
+                    status: module.status,
+                    dependsOn: module.dependsOn,
+                    optional: module.optional,
+                    services: module.services,
+                    provides: module.provides,
+                    lazy: module.lazy,
+                    duration: module.duration,
+                    error: module.error ? module.error.message : null
+                };
+            });
+        }
+    };
+
+    // Export globally
+    root.AevovLoader = AevovLoader;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AevovLoader;
+    }
+
+    if (typeof document !== 'undefined') {
+        // Heavy modules: loaded on first use instead of with the page
+        AevovLoader
+            .declare('AevmerStreamer', {
+                lazy: true,
+                src: 'aevmer_streamer_complete.js',
+                stubs: ['toggleInterface'],
+                shortcuts: { 'Ctrl+Shift+V': 'toggleInterface' }
+            })
+            .declare('AevmerGamer', {
+                lazy: true,
+                src: 'aevmer_gamer_engine.js',
+                stubs: ['toggleInterface'],
+                shortcuts: { 'Ctrl+Shift+G': 'toggleInterface' }
+            })
+            .declare('RLAlgorithms', { lazy: true, src: 'rl_algorithms.js' })
+            .declare('RLEnvironments', { lazy: true, src: 'rl_environments.js' })
+            .declare('RLWorkerPool', { lazy: true, src: 'rl_worker_pool.js' })
+            .declare('PerpetualRL', {
+                lazy: true,
+                src: 'rl_training_system.js',
+                stubs: ['toggleInterface'],
+                shortcuts: { 'Ctrl+Shift+R': 'toggleInterface' }
+            });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => AevovLoader.start());
+        } else {
+            setTimeout(() => AevovLoader.start());
+        }
+    }
+
+    console.log('✅ Aevov Module Loader loaded');
+    console.log('💡 Use: AevovLoader.report(), await AevovLoader.use(\'PerpetualRL\')');
+
+})();
@@ -807,11 +807,7 @@
 
     window.MultiStorageFramework = MultiStorageFramework;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => MultiStorageFramework.init());
-    } else {
-        MultiStorageFramework.init();
-    }
+    window.AevovLoader.declare('MultiStorageFramework', { init: () => MultiStorageFramework.init() });
 
     console.log('✅ Multi-Storage Framework loaded');
     console.log('☁️ 8 storage providers available');
@@ -3,20 +3,42 @@
  * Pattern evolution engine with .aev model generation
  * Integrates with Cubbit for cloud storage and distribution
  * Production-ready for immediate testing
+ * No DOM: also loads under Node (aevov_node.mjs); models persist in
+ * localStorage only where it exists.
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🧬 Loading Complete Neuro Architect...');
 
+    const SeededRandom = root.SeededRandom || (typeof require === 'function' ? require('./seeded_random.js') : null);
+    if (!SeededRandom) {
+        throw new Error('seeded_random.js must load before neuro_architect_complete.js');
+    }
+
+    const { hashSeed } = SeededRandom;
+
     const NeuroArchitect = {
         // Configuration
         config: {
-            evolutionStrategies: ['similarity', 'genetic', 'hybrid', 'radical'],
+            evolutionStrategies: ['similarity', 'genetic', 'hybrid', 'radical', 'pareto'],
             defaultStrategy: 'hybrid',
+            defaultPrng: 'mulberry32',
             maxIterations: 100,
-            minPatternsRequired: 10
+            minPatternsRequired: 10,
+            pareto: {
+                populationSize: 100,
+                referenceSize: 200,  // Patterns similarity/novelty are scored against
+                mutationRate: 0.1
+            }
+        },
+
+        // Seedable generators: name -> (seed) => () => number in [0, 1)
+        prngs: {
+            mulberry32: SeededRandom.mulberry32
         },
 
         // State
@@ -24,7 +46,8 @@
             initialized: false,
             evolving: false,
             models: [],
-            chunkRegistry: []
+            chunkRegistry: [],
+            lastRun: null
         },
 
         // Stats
@@ -67,6 +90,10 @@
 
         /**
          * Start pattern evolution
+         * Runs are reproducible: the seed, PRNG, strategy and an input digest
+         * are stored in the model metadata and the evolution_history table.
+         * The model name defaults to one derived from the run id; pass
+         * `created` as well for byte-identical .aev output.
          */
         async evolve(options = {}) {
             if (this.state.evolving) {
@@ -80,12 +107,13 @@
                 strategy = this.config.defaultStrategy,
                 iterations = 10,
                 targetDomains = ['all'],
-                modelName = `evolved-model-${Date.now()}`
+                seed = this.randomSeed(),
+                prng = this.config.defaultPrng
             } = options;
 
             try {
                 // Gather all patterns
-                const allPatterns = this.gatherPatterns(targetDomains);
+                const allPatterns = options.patterns || this.gatherPatterns(targetDomains);
                 
                 if (allPatterns.length < this.config.minPatternsRequired) {
                     throw new Error(`Need at least ${this.config.minPatternsRequired} patterns, found ${allPatterns.length}`);
@@ -93,15 +121,32 @@
 
                 console.log(`  📊 Found ${allPatterns.length} patterns for evolution`);
 
+                const startTime = Date.now();
+                const inputDigest = this.digest(allPatterns);
+                const run = this.createRun({ seed, prng, strategy, iterations, inputDigest });
+                const modelName = options.modelName || `evolved-model-${run.runId}`;
+                console.log(`  🎲 Seed ${seed} (${run.prng}), run ${run.runId}`);
+
                 // Run evolution based on strategy
-                const evolvedPatterns = await this.runEvolution(allPatterns, strategy, iterations);
+                const evolvedPatterns = await this.runEvolution(allPatterns, strategy, iterations, { run });
 
                 // Create .aev model
                 const model = await this.createAEVModel(evolvedPatterns, {
                     name: modelName,
                     strategy,
                     iterations,
-                    sourcePatterns: allPatterns.length
+                    sourcePatterns: allPatterns.length,
+                    created: options.created,
+                    evolution: {
+                        runId: run.runId,
+                        seed,
+                        prng: run.prng,
+                        strategy,
+                        iterations,
+                        targetDomains,
+                        inputDigest,
+                        inputIds: allPatterns.map(p => p.id ?? null)
+                    }
                 });
 
                 // Update stats
@@ -113,6 +158,9 @@
                 this.state.models.push(model);
                 this.saveModels();
 
+                this.state.lastRun = model.metadata.evolution;
+                await this.recordRun(model, evolvedPatterns, Date.now() - startTime);
+
                 console.log(`✅ Evolution complete! Created model: ${modelName}`);
                 console.log(`  📈 ${evolvedPatterns.length} patterns evolved`);
 
@@ -126,6 +174,164 @@
             }
         },
 
+        /**
+         * Regenerate a model from its recorded seed and inputs
+         * Input patterns default to the current store and must match the
+         * recorded digest. Returns the rebuilt model and whether its encoded
+         * bytes are identical to the original.
+         */
+        async regenerate(modelOrName, options = {}) {
+            const model = typeof modelOrName === 'string'
+                ? this.state.models.find(m => m.name === modelOrName)
+                : modelOrName;
+
+            const evolution = model?.metadata?.evolution;
+            if (!evolution) {
+                throw new Error(`Model has no recorded evolution run: ${model?.name || modelOrName}`);
+            }
+
+            const patterns = options.patterns || this.gatherPatterns(evolution.targetDomains);
+            const inputDigest = this.digest(patterns, evolution.inputDigest.split(':')[0]);
+            if (inputDigest !== evolution.inputDigest) {
+                throw new Error(`Input patterns differ from the recorded run ${evolution.runId} (${patterns.length} patterns, digest ${inputDigest})`);
+            }
+
+            const run = this.createRun({ ...evolution, record: false });
+            const evolvedPatterns = await this.runEvolution(patterns, evolution.strategy, evolution.iterations, { run });
+
+            const regenerated = await this.createAEVModel(evolvedPatterns, {
+                name: model.name,
+                strategy: evolution.strategy,
+                iterations: evolution.iterations,
+                sourcePatterns: patterns.length,
+                created: model.created,
+                evolution
+            });
+
+            const original = root.AevFormat.encode(model);
+            const rebuilt = root.AevFormat.encode(regenerated);
+            const identical = original.length === rebuilt.length && original.every((byte, i) => byte === rebuilt[i]);
+
+            console.log(`${identical ? '✅' : '⚠️'} Regenerated ${model.name}: ${identical ? 'bit-for-bit identical' : 'output differs'}`);
+
+            return { model: regenerated, identical };
+        },
+
+        /**
+         * Create an evolution run context
+         * { seed, prng, random, runId, generation, sequence, record } is threaded
+         * through every strategy and operator; ids derive from the run, not the clock.
+         */
+        createRun(options = {}) {
+            const { seed = this.randomSeed(), strategy = 'custom', iterations = 0, inputDigest = '' } = options;
+            let { prng = this.config.defaultPrng } = options;
+
+            let factory = prng;
+            if (typeof prng === 'function') {
+                // Unregistered generators can run but can't be looked up again by regenerate()
+                prng = prng.prngName || 'custom';
+            } else {
+                factory = this.prngs[prng];
+                if (!factory) {
+                    throw new Error(`Unknown PRNG: ${prng}`);
+                }
+            }
+
+            return {
+                seed,
+                prng,
+                random: factory(seed),
+                runId: hashSeed(`${seed}|${prng}|${strategy}|${iterations}|${inputDigest}`).toString(36),
+                generation: 0,
+                sequence: 0,
+                record: options.record !== false
+            };
+        },
+
+        /**
+         * Resolve strategy options ({ run } or { seed, prng }) to a run context
+         */
+        resolveRun(options = {}, strategy) {
+            return options.run || this.createRun({ ...options, strategy });
+        },
+
+        /**
+         * Register a seedable PRNG: factory(seed) => () => number in [0, 1)
+         */
+        registerPRNG(name, factory) {
+            if (typeof factory !== 'function') {
+                throw new Error(`PRNG ${name} must be a factory function`);
+            }
+            this.prngs[name] = factory;
+        },
+
+        randomSeed() {
+            if (root.crypto?.getRandomValues) {
+                return root.crypto.getRandomValues(new Uint32Array(1))[0];
+            }
+            return Math.floor(Math.random() * 4294967296);
+        },
+
+        nextId(run, prefix) {
+            return `${prefix}_${run.runId}_${run.sequence++}`;
+        },
+
+        /**
+         * Digest of the evolution inputs
+         * SHA-256 of the canonical JSON when the DAG ledger is loaded, FNV-1a otherwise
+         */
+        digest(value, algorithm = root.DagLedger ? 'sha256' : 'fnv1a') {
+            if (algorithm === 'sha256') {
+                if (!root.DagLedger) {
+                    throw new Error('DagLedger is required for sha256 input digests');
+                }
+                return `sha256:${root.DagLedger.sha256(root.DagLedger.canonicalize(value))}`;
+            }
+            return `fnv1a:${hashSeed(JSON.stringify(value)).toString(16).padStart(8, '0')}`;
+        },
+
+        /**
+         * Tag a child pattern with its lineage
+         */
+        setLineage(child, run, operator, parents) {
+            child.lineage = {
+                runId: run.runId,
+                parents: parents.map(p => p.id ?? null),
+                operator,
+                generation: run.generation
+            };
+        },
+
+        /**
+         * Store run metadata in evolution_history (ComprehensiveDB)
+         */
+        async recordRun(model, patterns, durationMs) {
+            const db = root.ComprehensiveDB;
+            if (!db?.state.initialized || !db.recordEvolutionRun) return null;
+
+            const lineage = patterns.filter(p => p.lineage).map(p => ({ id: p.id, ...p.lineage }));
+            const operators = {};
+            lineage.forEach(entry => {
+                operators[entry.operator] = (operators[entry.operator] || 0) + 1;
+            });
+
+            try {
+                return await db.recordEvolutionRun({
+                    model,
+                    lineage,
+                    metrics: {
+                        outputPatterns: patterns.length,
+                        children: lineage.length,
+                        operators,
+                        durationMs
+                    }
+                });
+            } catch (error) {
+                console.warn('  ⚠️ Could not record evolution run:', error);
+                return null;
+            }
+        },
+
         /**
          * Gather patterns from specified domains
          */
@@ -135,53 +341,43 @@
             // Check if 'all' domains
             const includeAll = targetDomains.includes('all');
 
-            // Gather from advancedPatterns
-            if (window.advancedPatterns) {
-                Object.entries(window.advancedPatterns).forEach(([category, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            if (includeAll || targetDomains.includes(p.parentCategory || p.category)) {
-                                patterns.push({ ...p, source: 'advanced' });
-                            }
-                        });
-                    }
-                });
-            }
-
-            // Gather from main patterns
-            if (window.patterns) {
-                Object.entries(window.patterns).forEach(([domain, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            if (includeAll || targetDomains.includes(domain)) {
-                                patterns.push({ ...p, source: 'main', domain });
-                            }
-                        });
+            root.PatternStore.entries().forEach(({ pattern: p, category, collection }) => {
+                if (collection === 'advanced') {
+                    if (includeAll || targetDomains.includes(p.parentCategory || p.category)) {
+                        patterns.push({ ...p, source: 'advanced' });
                     }
-                });
-            }
+                } else if (includeAll || targetDomains.includes(category)) {
+                    patterns.push({ ...p, source: 'main', domain: category });
+                }
+            });
 
             return patterns;
         },
 
         /**
          * Run evolution based on strategy
+         * options: { run } or { seed, prng } - see createRun()
          */
-        async runEvolution(patterns, strategy, iterations) {
+        async runEvolution(patterns, strategy, iterations, options = {}) {
             console.log(`  🔬 Running ${strategy} evolution for ${iterations} iterations...`);
 
+            const run = this.resolveRun(options, strategy);
+
             switch (strategy) {
                 case 'similarity':
-                    return await this.similarityEvolution(patterns, iterations);
+                    return await this.similarityEvolution(patterns, iterations, { run });
                 
                 case 'genetic':
-                    return await this.geneticEvolution(patterns, iterations);
+                    return await this.geneticEvolution(patterns, iterations, { run });
                 
                 case 'hybrid':
-                    return await this.hybridEvolution(patterns, iterations);
+                    return await this.hybridEvolution(patterns, iterations, { run });
                 
                 case 'radical':
-                    return await this.radicalEvolution(patterns, iterations);
+                    return await this.radicalEvolution(patterns, iterations, { run });
+                
+                case 'pareto':
+                    return await this.paretoEvolution(patterns, iterations, { run });
                 
                 default:
                     throw new Error(`Unknown strategy: ${strategy}`);
@@ -191,17 +387,18 @@
         /**
          * Similarity-based evolution
          */
-        async similarityEvolution(patterns, iterations) {
+        async similarityEvolution(patterns, iterations, options = {}) {
+            const run = this.resolveRun(options, 'similarity');
             const evolved = [...patterns];
 
-            for (let i = 0; i < iterations; i++) {
+            for (let i = 0; i < iterations; i++, run.generation++) {
                 // Find similar patterns
                 const clusters = this.clusterBySimilarity(evolved, 5);
                 
                 // Merge similar patterns
                 clusters.forEach(cluster => {
                     if (cluster.length >= 2) {
-                        const merged = this.mergePatterns(cluster);
+                        const merged = this.mergePatterns(cluster, run);
                         merged.evolution = {
                             strategy: 'similarity',
                             iteration: i,
@@ -217,31 +414,50 @@
 
         /**
          * Genetic algorithm evolution
+         * The population keeps its starting size: the best 20% (fitness is
+         * confidence) survive and offspring of tournament-picked parents fill
+         * the rest
          */
-        async geneticEvolution(patterns, iterations) {
+        async geneticEvolution(patterns, iterations, options = {}) {
+            const run = this.resolveRun(options, 'genetic');
+            const fitness = pattern => pattern.confidence || 0.5;
+            const size = patterns.length;
             let population = [...patterns];
 
-            for (let generation = 0; generation < iterations; generation++) {
-                // Select best patterns (fitness based on confidence)
-                population.sort((a, b) => (b.confidence || 0.5) - (a.confidence || 0.5));
-                const elite = population.slice(0, Math.floor(population.length * 0.2));
+            if (size < 2) {
+                return population;
+            }
 
-                // Crossover
+            // Fitter of two random patterns
+            const tournament = () => {
+                const a = population[Math.floor(run.random() * size)];
+                const b = population[Math.floor(run.random() * size)];
+                return fitness(b) > fitness(a) ? b : a;
+            };
+
+            for (let generation = 0; generation < iterations; generation++, run.generation++) {
+                // Select best patterns
+                population.sort((a, b) => fitness(b) - fitness(a));
+                const elite = population.slice(0, Math.max(1, Math.floor(size * 0.2)));
+
+                // Crossover until the population is back to size
                 const offspring = [];
-                for (let i = 0; i < elite.length - 1; i += 2) {
-                    const child = this.crossover(elite[i], elite[i + 1]);
+                while (elite.length + offspring.length < size) {
+                    const parent1 = tournament();
+                    const parent2 = tournament();
+                    const child = this.crossover(parent1, parent2, run);
                     child.evolution = {
                         strategy: 'genetic',
                         generation,
-                        parents: [elite[i].id, elite[i + 1].id]
+                        parents: [parent1.id, parent2.id]
                     };
                     offspring.push(child);
                 }
 
                 // Mutation
                 offspring.forEach(child => {
-                    if (Math.random() < 0.1) { // 10% mutation rate
-                        this.mutate(child);
+                    if (run.random() < 0.1) { // 10% mutation rate
+                        this.mutate(child, run);
                     }
                 });
 
@@ -254,10 +470,12 @@
         /**
          * Hybrid evolution (similarity + genetic)
          */
-        async hybridEvolution(patterns, iterations) {
-            // Run both strategies
-            const similarityResult = await this.similarityEvolution(patterns, Math.floor(iterations / 2));
-            const geneticResult = await this.geneticEvolution(similarityResult, Math.floor(iterations / 2));
+        async hybridEvolution(patterns, iterations, options = {}) {
+            const run = this.resolveRun(options, 'hybrid');
+
+            // Run both strategies on one run, so generations and ids continue
+            const similarityResult = await this.similarityEvolution(patterns, Math.floor(iterations / 2), { run });
+            const geneticResult = await this.geneticEvolution(similarityResult, Math.floor(iterations / 2), { run });
 
             return geneticResult;
         },
@@ -265,15 +483,16 @@
         /**
          * Radical mutation evolution
          */
-        async radicalEvolution(patterns, iterations) {
+        async radicalEvolution(patterns, iterations, options = {}) {
+            const run = this.resolveRun(options, 'radical');
             const evolved = [...patterns];
 
-            for (let i = 0; i < iterations; i++) {
+            for (let i = 0; i < iterations; i++, run.generation++) {
                 // Pick random patterns
-                const sample = this.randomSample(evolved, Math.min(5, evolved.length));
+                const sample = this.randomSample(evolved, Math.min(5, evolved.length), run.random);
                 
                 // Radical recombination
-                const radical = this.radicalRecombine(sample);
+                const radical = this.radicalRecombine(sample, run);
                 radical.evolution = {
                     strategy: 'radical',
                     iteration: i,
@@ -286,6 +505,97 @@
             return evolved;
         },
 
+        /**
+         * Multi-objective evolution (NSGA-II)
+         * Objectives are the active ARMsquare reasoning dimensions. Parents are
+         * picked by crowded tournament; parents + offspring are cut back to the
+         * population size front by front, the last front by crowding distance.
+         * Returns the final population best first, each pattern tagged with
+         * pareto: { rank, crowding, objectives } (rank 0 is the Pareto front,
+         * crowding null marks a boundary point).
+         */
+        async paretoEvolution(patterns, iterations, options = {}) {
+            const run = this.resolveRun(options, 'pareto');
+            const { populationSize, referenceSize, mutationRate } = this.config.pareto;
+            const dimensions = this.getObjectives();
+
+            // Survivors are tagged below; keep the caller's pattern objects untouched
+            patterns = patterns.map(pattern => ({ ...pattern }));
+
+            // Similarity and novelty are measured against a fixed sample of the inputs
+            const reference = this.randomSample(patterns, referenceSize, run.random);
+            const values = new Map();
+            const evaluate = pattern => {
+                if (!values.has(pattern)) {
+                    const scores = root.ARMsquareReasoning.calculateDimensionalScores(pattern, reference);
+                    values.set(pattern, dimensions.map(d => (Number.isFinite(scores[d]) ? scores[d] : 0)));
+                }
+                return values.get(pattern);
+            };
+
+            const size = Math.min(populationSize, patterns.length);
+            let population = root.ParetoEvolution.select(patterns.map(evaluate), size).map(i => patterns[i]);
+
+            for (let generation = 0; generation < iterations; generation++, run.generation++) {
+                const { ranks, crowding } = root.ParetoEvolution.rank(population.map(evaluate));
+
+                const offspring = [];
+                while (offspring.length < size) {
+                    const parent1 = population[root.ParetoEvolution.tournament(ranks, crowding, run.random)];
+                    const parent2 = population[root.ParetoEvolution.tournament(ranks, crowding, run.random)];
+
+                    const child = this.crossover(parent1, parent2, run);
+                    if (run.random() < mutationRate) {
+                        this.mutate(child, run);
+                    }
+                    child.evolution = {
+                        strategy: 'pareto',
+                        generation,
+                        parents: [parent1.id, parent2.id]
+                    };
+                    offspring.push(child);
+                }
+
+                const combined = [...population, ...offspring];
+                population = root.ParetoEvolution.select(combined.map(evaluate), size).map(i => combined[i]);
+            }
+
+            const { ranks, crowding } = root.ParetoEvolution.rank(population.map(evaluate));
+            population.forEach((pattern, i) => {
+                pattern.pareto = {
+                    rank: ranks[i],
+                    crowding: Number.isFinite(crowding[i]) ? crowding[i] : null,
+                    objectives: Object.fromEntries(dimensions.map((d, m) => [d, values.get(pattern)[m]]))
+                };
+            });
+
+            const front = population.filter(p => p.pareto.rank === 0).length;
+            console.log(`  📐 Pareto front: ${front} of ${population.length} patterns across ${dimensions.length} objectives`);
+
+            return population;
+        },
+
+        /**
+         * Objectives for multi-objective evolution (active ARMsquare dimensions)
+         */
+        getObjectives() {
+            if (!root.ARMsquareReasoning || !root.ParetoEvolution) {
+                throw new Error('Multi-objective evolution needs ARMsquareReasoning and ParetoEvolution');
+            }
+
+            return Object.entries(root.ARMsquareReasoning.dimensions)
+                .filter(([, dimension]) => dimension.active)
+                .map(([name]) => name);
+        },
+
+        /**
+         * Pareto front of an evolved population or model
+         */
+        getParetoFront(modelOrPatterns) {
+            const patterns = Array.isArray(modelOrPatterns) ? modelOrPatterns : modelOrPatterns.patterns;
+            return patterns.filter(p => p.pareto?.rank === 0);
+        },
+
         /**
          * Cluster patterns by similarity
          */
@@ -348,9 +658,9 @@
         /**
          * Merge multiple patterns
          */
-        mergePatterns(patterns) {
+        mergePatterns(patterns, run = this.createRun()) {
             const merged = {
-                id: `merged_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: this.nextId(run, 'merged'),
                 keywords: [],
                 categoryName: patterns[0].categoryName,
                 category: patterns[0].category,
@@ -378,6 +688,11 @@
             // Create merged embedding
             merged.embedding = this.createMergedEmbedding(patterns);
 
+            this.setLineage(merged, run, 'merge', patterns);
+            if (run.record) {
+                this.recordProvenance('recordMerge', merged, patterns, { producer: 'NeuroArchitect' });
+            }
+
             return merged;
         },
 
@@ -433,9 +748,9 @@
         /**
          * Crossover (genetic algorithm)
          */
-        crossover(parent1, parent2) {
+        crossover(parent1, parent2, run = this.createRun()) {
             const child = {
-                id: `crossover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: this.nextId(run, 'crossover'),
                 keywords: [],
                 categoryName: parent1.categoryName,
                 category: parent1.category,
@@ -456,41 +771,64 @@
                 );
             }
 
+            this.setLineage(child, run, 'crossover', [parent1, parent2]);
+            if (run.record) {
+                this.recordProvenance('recordEvolve', child, [parent1, parent2], { operation: 'crossover' });
+            }
+
             return child;
         },
 
         /**
          * Mutation (genetic algorithm)
          */
-        mutate(pattern) {
+        mutate(pattern, run = this.createRun()) {
             // Mutate keywords
             if (pattern.keywords && pattern.keywords.length > 0) {
-                const idx = Math.floor(Math.random() * pattern.keywords.length);
+                const idx = Math.floor(run.random() * pattern.keywords.length);
                 pattern.keywords[idx] += '_mut';
             }
 
             // Mutate confidence
             pattern.confidence = Math.max(0, Math.min(1, 
-                pattern.confidence + (Math.random() - 0.5) * 0.2
+                pattern.confidence + (run.random() - 0.5) * 0.2
             ));
 
             pattern.mutated = true;
+
+            // Children born this run keep their parents; anything else descends from itself
+            if (pattern.lineage?.runId === run.runId) {
+                pattern.lineage.operator += '+mutate';
+            } else {
+                this.setLineage(pattern, run, 'mutate', [pattern]);
+            }
+
+            if (run.record) {
+                this.recordProvenance('recordEvolve', pattern, [pattern], { operation: 'mutate' });
+            }
         },
 
         /**
-         * Random sample
+         * Random sample (partial Fisher-Yates)
          */
-        randomSample(array, count) {
-            const shuffled = [...array].sort(() => Math.random() - 0.5);
-            return shuffled.slice(0, count);
+        randomSample(array, count, random = this.createRun().random) {
+            const shuffled = [...array];
+            const n = Math.min(count, shuffled.length);
+
+            for (let i = 0; i < n; i++) {
+                const j = i + Math.floor(random() * (shuffled.length - i));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+
+            return shuffled.slice(0, n);
         },
 
         /**
          * Radical recombination
          */
-        radicalRecombine(patterns) {
+        radicalRecombine(patterns, run = this.createRun()) {
             const radical = {
-                id: `radical_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: this.nextId(run, 'radical'),
                 keywords: [],
                 confidence: 0.7,
                 synthetic: true,
@@ -501,73 +839,63 @@
             // Random keywords from all patterns
             patterns.forEach(p => {
                 if (p.keywords) {
-                    const sample = this.randomSample(p.keywords, 2);
+                    const sample = this.randomSample(p.keywords, 2, run.random);
                     radical.keywords.push(...sample);
                 }
             });
             radical.keywords = Array.from(new Set(radical.keywords)).slice(0, 6);
 
             // Random category mix
-            radical.categoryName = patterns[Math.floor(Math.random() * patterns.length)].categoryName;
+            radical.categoryName = patterns[Math.floor(run.random() * patterns.length)].categoryName;
+
+            this.setLineage(radical, run, 'radical', patterns);
+            if (run.record) {
+                this.recordProvenance('recordEvolve', radical, patterns, { operation: 'radical' });
+            }
 
             return radical;
         },
 
+        /**
+         * Record a provenance event in the DAG ledger (no-op when it is not loaded)
+         */
+        recordProvenance(method, ...args) {
+            if (!root.DagLedger) return null;
+
+            try {
+                return root.DagLedger.ledger[method](...args);
+            } catch (error) {
+                console.warn('  ⚠️ Could not record provenance:', error);
+                return null;
+            }
+        },
+
         /**
          * Create .aev model
          */
         async createAEVModel(patterns, metadata) {
             console.log('📦 Creating .aev model...');
 
-            const model = {
-                format: 'aev',
-                version: '1.0',
+            const model = root.AevFormat.createModel({
                 name: metadata.name,
-                created: new Date().toISOString(),
+                kind: 'evolved',
+                producer: 'NeuroArchitect',
+                created: metadata.created,
                 metadata: {
                     strategy: metadata.strategy,
                     iterations: metadata.iterations,
                     sourcePatterns: metadata.sourcePatterns,
-                    evolvedPatterns: patterns.length
+                    evolvedPatterns: patterns.length,
+                    architecture: 'neurosymbolic',
+                    evolution: metadata.evolution
                 },
-                patterns: patterns,
-                compression: 'bidc',
-                architecture: 'neurosymbolic'
-            };
-
-            // Compress patterns
-            const compressed = await this.compressModel(model);
-
-            const aevModel = {
-                ...model,
-                compressed: compressed,
-                size: JSON.stringify(compressed).length,
-                compressionRatio: ((1 - JSON.stringify(compressed).length / JSON.stringify(patterns).length) * 100).toFixed(1)
-            };
-
-            console.log(`  ✅ Model created: ${aevModel.size} bytes (${aevModel.compressionRatio}% compression)`);
-
-            return aevModel;
-        },
+                patterns: patterns
+            });
 
-        /**
-         * Compress model using BIDC-style compression
-         */
-        async compressModel(model) {
-            // Simple compression - in production, use actual BIDC
-            const json = JSON.stringify(model.patterns);
-            
-            // Remove redundancy
-            const optimized = json
-                .replace(/"embedding":\[[^\]]+\],?/g, '') // Remove embeddings
-                .replace(/\s+/g, ' '); // Minify
+            const size = root.AevFormat.encode(model).length;
+            console.log(`  ✅ Model created: ${size} bytes`);
 
-            return {
-                compressed: btoa(optimized),
-                originalSize: json.length,
-                compressedSize: optimized.length,
-                method: 'bidc-style'
-            };
+            return model;
         },
 
         /**
@@ -580,28 +908,18 @@
                 throw new Error(`Model not found: ${modelName}`);
             }
 
-            const json = JSON.stringify(model, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const filename = `${modelName}.aev`;
-
-            // Trigger download
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            a.click();
-            URL.revokeObjectURL(url);
+            const { filename, size } = root.AevFormat.download(model, `${modelName}.aev`);
 
             console.log(`📥 Exported: ${filename}`);
 
-            return { success: true, filename, size: blob.size };
+            return { success: true, filename, size };
         },
 
         /**
          * Upload model to Cubbit
          */
         async uploadToCubbit(modelName, path = 'models') {
-            if (!window.CubbitManager || !window.CubbitManager.state.connected) {
+            if (!root.CubbitManager || !root.CubbitManager.state.connected) {
                 throw new Error('Cubbit Manager not connected');
             }
 
@@ -614,15 +932,13 @@
             console.log(`☁️ Uploading ${modelName} to Cubbit...`);
 
             // Create file
-            const json = JSON.stringify(model, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const file = new File([blob], `${modelName}.aev`, { type: 'application/json' });
+            const file = root.AevFormat.toFile(model, `${modelName}.aev`);
 
             // Upload
-            const result = await window.CubbitManager.uploadFile(file, path, {
+            const result = await root.CubbitManager.uploadFile(file, path, {
                 type: 'aev-model',
-                version: model.version,
-                patterns: model.metadata.evolvedPatterns
+                version: model.formatVersion,
+                patterns: model.patterns.length
             });
 
             console.log(`✅ Uploaded to Cubbit: ${result.url}`);
@@ -654,9 +970,17 @@
          */
         loadModels() {
             try {
-                const saved = localStorage.getItem('neuro_architect_models');
+                const saved = root.localStorage?.getItem('neuro_architect_models');
                 if (saved) {
-                    this.state.models = JSON.parse(saved);
+                    // Models saved before the shared container format are migrated once
+                    this.state.models = JSON.parse(saved).map(model => {
+                        try {
+                            return root.AevFormat.migrateLegacy(model);
+                        } catch (error) {
+                            console.warn(`  ⚠️ Dropping unreadable saved model: ${model.name || model.model_name}`);
+                            return null;
+                        }
+                    }).filter(Boolean);
                     console.log(`  ✓ Loaded ${this.state.models.length} models`);
                 }
             } catch (error) {
@@ -668,8 +992,10 @@
          * Save models to localStorage
          */
         saveModels() {
+            if (!root.localStorage) return;
+
             try {
-                localStorage.setItem('neuro_architect_models', JSON.stringify(this.state.models));
+                root.localStorage.setItem('neuro_architect_models', JSON.stringify(this.state.models));
             } catch (error) {
                 console.warn('  ⚠️ Could not save models:', error);
             }
@@ -680,7 +1006,7 @@
          */
         loadChunkRegistry() {
             try {
-                const saved = localStorage.getItem('neuro_architect_registry');
+                const saved = root.localStorage?.getItem('neuro_architect_registry');
                 if (saved) {
                     this.state.chunkRegistry = JSON.parse(saved);
                     console.log(`  ✓ Loaded ${this.state.chunkRegistry.length} chunk sources`);
@@ -694,8 +1020,10 @@
          * Save chunk registry
          */
         saveChunkRegistry() {
+            if (!root.localStorage) return;
+
             try {
-                localStorage.setItem('neuro_architect_registry', JSON.stringify(this.state.chunkRegistry));
+                root.localStorage.setItem('neuro_architect_registry', JSON.stringify(this.state.chunkRegistry));
             } catch (error) {
                 console.warn('  ⚠️ Could not save registry:', error);
             }
@@ -708,7 +1036,7 @@
             console.log('🔗 Setting up Cubbit integration...');
             
             // Cubbit integration is automatic when CubbitManager is available
-            if (window.CubbitManager) {
+            if (root.CubbitManager) {
                 console.log('  ✓ Cubbit Manager detected');
             } else {
                 console.log('  ℹ️ Cubbit Manager not available (will load later)');
@@ -724,24 +1052,31 @@
                 evolving: this.state.evolving,
                 models: this.state.models.length,
                 chunkSources: this.state.chunkRegistry.length,
-                stats: this.stats
+                stats: this.stats,
+                ledger: root.DagLedger ? root.DagLedger.getStats() : null
             };
         }
     };
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
+    // Auto-initialize (in the page; Node callers init() themselves)
+    if (typeof document !== 'undefined') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                NeuroArchitect.init();
+            });
+        } else {
             NeuroArchitect.init();
-        });
-    } else {
-        NeuroArchitect.init();
+        }
     }
 
     // Export globally
-    window.NeuroArchitect = NeuroArchitect;
+    root.NeuroArchitect = NeuroArchitect;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NeuroArchitect;
+    }
 
     console.log('✅ Complete Neuro Architect loaded');
-    console.log('💡 Use: NeuroArchitect.evolve({ strategy, iterations, modelName })');
+    console.log('💡 Use: NeuroArchitect.evolve({ strategy, iterations, modelName, seed })');
 
 })();
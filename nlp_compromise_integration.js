@@ -486,14 +486,11 @@
     // Export globally
     window.CompromiseAevov = CompromiseAevov;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => CompromiseAevov.init(), 2000);
-        });
-    } else {
-        setTimeout(() => CompromiseAevov.init(), 2000);
-    }
+    // Initialized by the module loader once the systems it integrates with are up
+    window.AevovLoader.declare('CompromiseAevov', {
+        optional: ['AevovNLU', 'AevovNeural', 'UnifiedChatSystem', 'IntegratedPatternSystem', 'CustomExtractor', 'PatternModal'],
+        init: () => CompromiseAevov.init()
+    });
 
     console.log('✅ NLP Compromise × Aevov Integration loaded');
     console.log('📚 Advanced language processing ready');
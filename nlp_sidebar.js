@@ -1075,14 +1075,11 @@
     // Export globally
     window.NLPSidebar = NLPSidebar;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => NLPSidebar.init(), 2000);
-        });
-    } else {
-        setTimeout(() => NLPSidebar.init(), 2000);
-    }
+    // Initialized by the module loader after the NLU layers it hooks into
+    window.AevovLoader.declare('NLPSidebar', {
+        optional: ['AevovNLU', 'AevovNeural'],
+        init: () => NLPSidebar.init()
+    });
 
     console.log('✅ NLP Sidebar with Hierarchical Reasoning loaded');
 
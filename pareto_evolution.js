@@ -0,0 +1,232 @@
+/**
+ * PARETO EVOLUTION (NSGA-II)
+ * Multi-objective selection shared by the evolution strategies
+ *
+ * Features:
+ * - Pareto dominance over any number of objectives (all maximized)
+ * - Fast non-dominated sorting into fronts (front 0 = Pareto front)
+ * - Crowding distance per front; boundary points get Infinity so the
+ *   extremes of every objective always survive
+ * - Environmental selection: whole fronts while they fit, the last one
+ *   by descending crowding distance (diversity preservation)
+ * - Crowded binary tournament for parent selection
+ * - Knee point (best worst-case normalized objective) for a balanced pick
+ *
+ * Objective vectors are plain arrays of numbers; callers keep the mapping
+ * from index to pattern, entity or model.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('📐 Loading Pareto Evolution...');
+
+    /**
+     * DOMINANCE
+     * a dominates b when it is no worse on every objective and better on one
+     */
+    function dominates(a, b) {
+        let better = false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] < b[i]) return false;
+            if (a[i] > b[i]) better = true;
+        }
+        return better;
+    }
+
+    /**
+     * FAST NON-DOMINATED SORT
+     * Returns { fronts: [[index, ...], ...], ranks: [rank per index] }
+     */
+    function nonDominatedSort(points) {
+        const n = points.length;
+        const dominated = Array.from({ length: n }, () => []);
+        const dominationCount = new Array(n).fill(0);
+        const ranks = new Array(n).fill(0);
+        const fronts = [[]];
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (dominates(points[p], points[q])) {
+                    dominated[p].push(q);
+                    dominationCount[q]++;
+                } else if (dominates(points[q], points[p])) {
+                    dominated[q].push(p);
+                    dominationCount[p]++;
+                }
+            }
+        }
+
+        for (let p = 0; p < n; p++) {
+            if (dominationCount[p] === 0) fronts[0].push(p);
+        }
+
+        for (let rank = 0; fronts[rank].length > 0; rank++) {
+            const next = [];
+            fronts[rank].forEach(p => {
+                ranks[p] = rank;
+                dominated[p].forEach(q => {
+                    if (--dominationCount[q] === 0) next.push(q);
+                });
+            });
+            fronts.push(next);
+        }
+
+        fronts.pop(); // trailing empty front
+        return { fronts, ranks };
+    }
+
+    /**
+     * CROWDING DISTANCE
+     * Distance of each member of one front to its neighbours, summed over
+     * objectives normalized by the front's range. Returns a Map(index -> distance).
+     */
+    function crowdingDistance(points, front) {
+        const distance = new Map(front.map(i => [i, 0]));
+        if (front.length === 0) return distance;
+
+        const objectives = points[front[0]].length;
+
+        for (let m = 0; m < objectives; m++) {
+            const sorted = [...front].sort((a, b) => points[a][m] - points[b][m]);
+            const min = points[sorted[0]][m];
+            const max = points[sorted[sorted.length - 1]][m];
+
+            distance.set(sorted[0], Infinity);
+            distance.set(sorted[sorted.length - 1], Infinity);
+
+            if (max === min) continue;
+
+            for (let k = 1; k < sorted.length - 1; k++) {
+                const i = sorted[k];
+                if (distance.get(i) === Infinity) continue;
+                distance.set(i, distance.get(i) +
+                    (points[sorted[k + 1]][m] - points[sorted[k - 1]][m]) / (max - min));
+            }
+        }
+
+        return distance;
+    }
+
+    /**
+     * RANK POPULATION
+     * Front rank and crowding distance for every point
+     */
+    function rank(points) {
+        const { fronts, ranks } = nonDominatedSort(points);
+        const crowding = new Array(points.length).fill(0);
+
+        fronts.forEach(front => {
+            crowdingDistance(points, front).forEach((d, i) => {
+                crowding[i] = d;
+            });
+        });
+
+        return { fronts, ranks, crowding };
+    }
+
+    /**
+     * CROWDED COMPARISON (lower rank wins, then larger crowding distance)
+     */
+    function crowdedCompare(a, b, ranks, crowding) {
+        if (ranks[a] !== ranks[b]) return ranks[a] - ranks[b];
+        if (crowding[a] === crowding[b]) return 0;
+        return crowding[b] > crowding[a] ? 1 : -1;
+    }
+
+    /**
+     * ENVIRONMENTAL SELECTION
+     * Indices of the `size` survivors, best first
+     */
+    function select(points, size) {
+        const { fronts, ranks, crowding } = rank(points);
+        const survivors = [];
+
+        for (const front of fronts) {
+            if (survivors.length >= size) break;
+
+            const ordered = [...front].sort((a, b) => crowdedCompare(a, b, ranks, crowding));
+            survivors.push(...ordered.slice(0, size - survivors.length));
+        }
+
+        return survivors;
+    }
+
+    /**
+     * CROWDED BINARY TOURNAMENT
+     * random: () => number in [0, 1) (pass a seeded generator for reproducible runs)
+     */
+    function tournament(ranks, crowding, random) {
+        const a = Math.floor(random() * ranks.length);
+        const b = Math.floor(random() * ranks.length);
+        return crowdedCompare(a, b, ranks, crowding) <= 0 ? a : b;
+    }
+
+    /**
+     * KNEE POINT
+     * Member of the front whose weakest normalized objective is strongest
+     */
+    function kneePoint(points, front) {
+        if (front.length === 0) return -1;
+
+        const objectives = points[front[0]].length;
+        const min = [];
+        const max = [];
+        for (let m = 0; m < objectives; m++) {
+            const values = front.map(i => points[i][m]);
+            min.push(Math.min(...values));
+            max.push(Math.max(...values));
+        }
+
+        let best = front[0];
+        let bestScore = -Infinity;
+        front.forEach(i => {
+            let worst = Infinity;
+            for (let m = 0; m < objectives; m++) {
+                const range = max[m] - min[m];
+                worst = Math.min(worst, range > 0 ? (points[i][m] - min[m]) / range : 1);
+            }
+            if (worst > bestScore) {
+                bestScore = worst;
+                best = i;
+            }
+        });
+
+        return best;
+    }
+
+    const ParetoEvolution = {
+        version: '1.0.0',
+
+        dominates,
+        nonDominatedSort,
+        crowdingDistance,
+        rank,
+        crowdedCompare,
+        select,
+        tournament,
+        kneePoint,
+
+        /**
+         * PARETO FRONT of arbitrary items
+         * objective(item) => number[]
+         */
+        front(items, objective) {
+            const points = items.map(objective);
+            return nonDominatedSort(points).fronts[0]?.map(i => items[i]) || [];
+        }
+    };
+
+    // Export globally
+    root.ParetoEvolution = ParetoEvolution;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ParetoEvolution;
+    }
+
+    console.log('✅ Pareto Evolution loaded');
+    console.log("💡 Use: NeuroArchitect.evolve({ strategy: 'pareto', seed })");
+
+})();
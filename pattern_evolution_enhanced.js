@@ -139,29 +139,7 @@
          * GATHER PATTERNS FROM EXTRACTOR
          */
         gatherPatternsFromExtractor() {
-            const patterns = [];
-
-            // Get from window.advancedPatterns
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    const categoryPatterns = window.advancedPatterns[category];
-                    if (Array.isArray(categoryPatterns)) {
-                        patterns.push(...categoryPatterns);
-                    }
-                }
-            }
-
-            // Get from window.patterns
-            if (window.patterns) {
-                for (const category in window.patterns) {
-                    const categoryPatterns = window.patterns[category];
-                    if (Array.isArray(categoryPatterns)) {
-                        patterns.push(...categoryPatterns);
-                    }
-                }
-            }
-
-            return patterns;
+            return window.PatternStore.all();
         },
 
         /**
@@ -448,16 +426,16 @@
             const reasonedPatterns = window.ARMsquareReasoning.applyReasoning(patterns);
 
             // Create .aev model
-            const model = {
-                format: 'aev',
-                version: '2.0',
-                protocol: 'armsquare-reasoning',
-                model_name: `armsquare-reasoning-${Date.now()}`,
-                created_at: new Date().toISOString(),
-                reasoning: {
-                    protocol: 'ARMsquare',
-                    dimensions: 5,
-                    native: true
+            const model = window.AevFormat.createModel({
+                name: `armsquare-reasoning-${Date.now()}`,
+                kind: 'reasoning',
+                producer: 'PatternEvolutionEnhanced',
+                extras: {
+                    reasoning: {
+                        protocol: 'ARMsquare',
+                        dimensions: 5,
+                        native: true
+                    }
                 },
                 patterns: reasonedPatterns,
                 metadata: {
@@ -465,7 +443,7 @@
                     avg_confidence: reasonedPatterns.reduce((sum, p) => sum + (p.armsquare?.confidence || 0), 0) / reasonedPatterns.length,
                     reasoning_enabled: true
                 }
-            };
+            });
 
             // Save model
             if (window.NeuroArchitect) {
@@ -492,8 +470,7 @@
 
             // Gather all available knowledge bases
             this.state.knowledgeBases = [
-                { name: 'Advanced Patterns', source: 'window.advancedPatterns' },
-                { name: 'Base Patterns', source: 'window.patterns' },
+                { name: 'Pattern Store', source: 'window.PatternStore' },
                 { name: 'Chunk Registry', source: 'window.NeuroArchitect?.state.chunkRegistry' },
                 { name: 'Database Patterns', source: 'window.AevovDB?.state.pglite' },
                 { name: 'Cached Patterns', source: 'window.AevovCache' }
@@ -559,12 +536,14 @@
             this.state.modelSize = modelSize;
 
             // Update UI
-            document.getElementById('currentModelSize')?.textContent = 
-                this.formatModelSize(modelSize);
+            const sizeLabel = document.getElementById('currentModelSize');
+            if (sizeLabel) sizeLabel.textContent = this.formatModelSize(modelSize);
 
             const progress = Math.min((modelSize / this.config.targetModelSize) * 100, 100);
-            document.getElementById('modelPathProgress')?.textContent = progress.toFixed(2) + '%';
-            document.getElementById('modelPathBar').style.width = progress + '%';
+            const progressLabel = document.getElementById('modelPathProgress');
+            if (progressLabel) progressLabel.textContent = progress.toFixed(2) + '%';
+            const progressBar = document.getElementById('modelPathBar');
+            if (progressBar) progressBar.style.width = progress + '%';
         },
 
         /**
@@ -581,14 +560,7 @@
          * DOWNLOAD MODEL
          */
         downloadModel(model) {
-            const json = JSON.stringify(model, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${model.model_name}.aev`;
-            a.click();
-            URL.revokeObjectURL(url);
+            window.AevFormat.download(model);
         },
 
         /**
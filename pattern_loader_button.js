@@ -10,7 +10,6 @@
     console.log('🔄 Loading Pattern Loader & Unified Chat Integration...');
 
     const PatternLoaderSystem = {
-        loadedPatterns: new Map(),
         chatReady: false,
 
         /**
@@ -107,15 +106,16 @@
                 return;
             }
 
-            this.loadedPatterns.clear();
             allPatterns.forEach(pattern => {
-                if (!pattern.embedding && pattern.keywords) {
-                    pattern.embedding = this.createEmbedding(pattern.keywords);
+                if (!window.EmbeddingRegistry.isCurrent(pattern)) {
+                    window.EmbeddingRegistry.embedPatternSync(pattern);
                 }
-                this.loadedPatterns.set(pattern.id, pattern);
             });
 
-            window.LOADED_CHAT_PATTERNS = Array.from(this.loadedPatterns.values());
+            window.AevovBus.emit('chat:patterns-loaded', {
+                patterns: allPatterns,
+                source: 'PatternLoaderSystem'
+            });
 
             const statusDiv = document.getElementById('loadPatternStatus');
             if (statusDiv) {
@@ -138,54 +138,7 @@
          * Gather all patterns from all sources
          */
         gatherAllPatterns() {
-            const allPatterns = [];
-
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(categoryPatterns => {
-                    if (Array.isArray(categoryPatterns)) {
-                        allPatterns.push(...categoryPatterns);
-                    }
-                });
-            }
-
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(categoryPatterns => {
-                    if (Array.isArray(categoryPatterns)) {
-                        allPatterns.push(...categoryPatterns);
-                    }
-                });
-            }
-
-            return allPatterns;
-        },
-
-        /**
-         * Create embedding for pattern
-         */
-        createEmbedding(tokens) {
-            const embedding = new Array(128).fill(0);
-            
-            if (typeof tokens === 'string') {
-                tokens = [tokens];
-            }
-
-            if (Array.isArray(tokens)) {
-                tokens.forEach(token => {
-                    const str = String(token).toLowerCase();
-                    let hash = 0;
-                    for (let i = 0; i < str.length; i++) {
-                        hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                    }
-                    const idx = Math.abs(hash) % 128;
-                    embedding[idx] += 1.0;
-                });
-            }
-
-            const magnitude = Math.sqrt(
-                embedding.reduce((sum, val) => sum + val * val, 0)
-            );
-
-            return magnitude > 0 ? embedding.map(val => val / magnitude) : embedding;
+            return window.PatternStore.all();
         },
 
         /**
@@ -279,42 +232,23 @@
     };
 
     window.PatternLoaderSystem = PatternLoaderSystem;
-
-    const originalExtractAdvanced = window.extractAdvancedPatterns;
-    if (originalExtractAdvanced) {
-        window.extractAdvancedPatterns = async function() {
-            const result = await originalExtractAdvanced.apply(this, arguments);
-            
-            setTimeout(() => {
-                const allPatterns = PatternLoaderSystem.gatherAllPatterns();
-                PatternLoaderSystem.showLoadButton(allPatterns.length);
-            }, 1000);
-            
-            return result;
-        };
-    }
-
-    const originalExtractAll = window.extractAllInParent;
-    if (originalExtractAll) {
-        window.extractAllInParent = async function() {
-            const result = await originalExtractAll.apply(this, arguments);
-            
-            setTimeout(() => {
-                const allPatterns = PatternLoaderSystem.gatherAllPatterns();
-                PatternLoaderSystem.showLoadButton(allPatterns.length);
-            }, 1000);
-            
-            return result;
-        };
-    }
-
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => PatternLoaderSystem.init(), 1500);
-        });
-    } else {
-        setTimeout(() => PatternLoaderSystem.init(), 1500);
-    }
+    window.AevovBus.register('PatternLoaderSystem', PatternLoaderSystem, { owner: 'PatternLoaderSystem' });
+
+    // Offer the load button after extractAdvancedPatterns / extractAllInParent
+    window.AevovBus.on('patterns:extracted', ({ error }) => {
+        if (error) return;
+
+        setTimeout(() => {
+            const allPatterns = PatternLoaderSystem.gatherAllPatterns();
+            PatternLoaderSystem.showLoadButton(allPatterns.length);
+        }, 1000);
+    }, { owner: 'PatternLoaderSystem' });
+
+    // Initialized by the module loader once the chat it loads patterns into is ready
+    window.AevovLoader.declare('PatternLoaderSystem', {
+        optional: ['PatternStore', 'UnifiedChatSystem'],
+        init: () => PatternLoaderSystem.init()
+    });
 
     const style = document.createElement('style');
     style.textContent = `
@@ -454,10 +454,7 @@
                 patterns.push(pattern);
             }
 
-            if (!window.advancedPatterns) window.advancedPatterns = {};
-            if (!window.advancedPatterns[category]) window.advancedPatterns[category] = [];
-
-            window.advancedPatterns[category].push(...patterns);
+            window.PatternStore.addAll(patterns, { category, collection: 'advanced', source: 'PatternModal' });
             this.stats.patternsExtracted += patterns.length;
 
             if (typeof window.updateAdvancedStats === 'function') {
@@ -469,16 +466,14 @@
 
         createPattern(query, category) {
             const keywords = this.extractKeywords(query);
-            const embedding = this.createEmbedding(keywords);
 
-            return {
+            const pattern = {
                 id: `modal_${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                 category: category,
                 categoryName: category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
                 keywords: keywords,
                 sourceQuery: query,
                 template: btoa(`// Generated from: ${query}\n// TODO: Implement`),
-                embedding: embedding,
                 confidence: 0.88,
                 intent: this.inferIntent(query),
                 votes: 5,
@@ -486,6 +481,9 @@
                 custom: true,
                 timestamp: Date.now()
             };
+
+            window.EmbeddingRegistry.embedPatternSync(pattern);
+            return pattern;
         },
 
         extractKeywords(query) {
@@ -494,20 +492,6 @@
             return [...new Set(tokens)];
         },
 
-        createEmbedding(keywords) {
-            const embedding = new Array(128).fill(0);
-            keywords.forEach(word => {
-                let h = 0;
-                for (let i = 0; i < word.length; i++) {
-                    h = ((h << 5) - h) + word.charCodeAt(i);
-                }
-                h = Math.abs(h);
-                embedding[h % 128] += 1.0;
-            });
-            const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-            return magnitude > 0 ? embedding.map(v => v / magnitude) : embedding;
-        },
-
         inferIntent(query) {
             const lower = query.toLowerCase();
             if (/^(build|create|make|implement|design)/.test(lower)) return 'code_generation';
@@ -568,28 +552,14 @@
         },
 
         getTotalPatterns() {
-            let total = 0;
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    if (Array.isArray(window.advancedPatterns[category])) {
-                        total += window.advancedPatterns[category].length;
-                    }
-                }
-            }
-            return total;
+            return window.PatternStore.entries({ collection: 'advanced' }).length;
         },
 
         getTotalKeywords() {
             const keywords = new Set();
-            if (window.advancedPatterns) {
-                for (const category in window.advancedPatterns) {
-                    if (Array.isArray(window.advancedPatterns[category])) {
-                        window.advancedPatterns[category].forEach(p => {
-                            if (p.keywords) p.keywords.forEach(k => keywords.add(k));
-                        });
-                    }
-                }
-            }
+            window.PatternStore.all({ collection: 'advanced' }).forEach(p => {
+                if (p.keywords) p.keywords.forEach(k => keywords.add(k));
+            });
             return keywords.size;
         },
 
@@ -616,14 +586,11 @@
     // Export globally
     window.PatternModal = PatternModal;
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => PatternModal.init(), 1000);
-        });
-    } else {
-        setTimeout(() => PatternModal.init(), 1000);
-    }
+    // Initialized by the module loader (Ctrl+Shift+P works once it is ready)
+    window.AevovLoader.declare('PatternModal', {
+        optional: ['PatternStore', 'UnifiedChatSystem'],
+        init: () => PatternModal.init()
+    });
 
     console.log('✅ Pattern Generator Modal loaded');
     console.log('⌨️ Press Ctrl+Shift+P to open modal');
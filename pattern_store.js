@@ -0,0 +1,621 @@
+/**
+ * AEVOV PATTERN STORE
+ * The one pattern repository every module reads and writes
+ *
+ * Pattern schema (fields the store relies on; any other fields are kept):
+ *   id          string    unique - patterns with the same id are one pattern
+ *                         (a pattern without one gets a content-hash id)
+ *   category    string    group; falls back to pattern.domain, then 'general'
+ *   keywords    string[]  optional
+ *   confidence  number    optional, 0..1
+ *   embedding / embeddingModel   optional (EmbeddingRegistry)
+ *
+ * Every pattern belongs to a collection:
+ *   'main'      model patterns (loaded .aev / JSON models, the pattern database)
+ *   'advanced'  patterns extracted or generated in the page
+ *
+ * - Writes go through transactions: PatternStore.addAll(), addGrouped(),
+ *   remove(), clear() or transaction(tx => ...). A transaction validates
+ *   everything before applying anything; a failing transaction changes nothing.
+ * - Adding an id that exists updates that pattern in place (fields merged),
+ *   so references other modules hold stay valid; an update that changes the
+ *   content without bringing its own embedding drops the stale one.
+ * - replace() and assignments to the legacy globals swap in the new pattern
+ *   objects instead - nothing of the old pattern survives.
+ * - Each committed transaction emits one 'change' ({ added, updated,
+ *   removed, source }) here and as AevovBus 'patterns:changed' (plus
+ *   'patterns:added' for new patterns).
+ * - Adapters persist the store: adapters.indexedDB() (attached in the page)
+ *   and adapters.pglite(ComprehensiveDB) (attached when the database is ready).
+ * - Legacy globals are views of the store: window.patterns (every pattern by
+ *   category), window.advancedPatterns (the 'advanced' collection) and
+ *   window.LOADED_CHAT_PATTERNS. Writes to them still work, with a warning.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🗃️ Loading Aevov Pattern Store...');
+
+    const COLLECTIONS = ['main', 'advanced'];
+
+    function hashId(pattern) {
+        const text = JSON.stringify(pattern);
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash) + text.charCodeAt(i);
+            hash = hash & hash;
+        }
+        return `pattern_${Math.abs(hash).toString(36)}`;
+    }
+
+    const EMBEDDING_FIELDS = ['embedding', 'embeddingModel'];
+
+    /**
+     * MERGE an update into a stored pattern; an embedding computed from the
+     * old content is dropped unless the update carries one
+     */
+    function mergePattern(target, update) {
+        const contentChanged = Object.keys(update).some(key => !EMBEDDING_FIELDS.includes(key) &&
+            JSON.stringify(target[key]) !== JSON.stringify(update[key]));
+
+        if (contentChanged && update.embedding === undefined) {
+            EMBEDDING_FIELDS.forEach(field => delete target[field]);
+        }
+        return Object.assign(target, update);
+    }
+
+    /**
+     * TRANSACTION: buffered writes, applied by PatternStore.commit()
+     */
+    class Transaction {
+        constructor(store, options = {}) {
+            this.store = store;
+            this.source = options.source || 'unknown';
+            this.origin = options.origin || null;     // Adapter the changes came from
+            this.puts = new Map();                      // id -> { pattern, category, collection, replace }
+            this.removes = new Set();
+        }
+
+        /**
+         * ADD (or update) one pattern
+         * options: { category, collection, replace } - replace swaps the stored
+         * pattern object for this one instead of merging into it
+         */
+        add(pattern, options = {}) {
+            if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+                throw new Error('A pattern must be an object');
+            }
+            if (pattern.id === undefined || pattern.id === null || pattern.id === '') {
+                pattern.id = hashId(pattern);
+            }
+            if (typeof pattern.id !== 'string' && typeof pattern.id !== 'number') {
+                throw new Error(`Pattern id must be a string or number: ${JSON.stringify(pattern.id)}`);
+            }
+            if (pattern.keywords !== undefined && !Array.isArray(pattern.keywords)) {
+                throw new Error(`Pattern ${pattern.id}: keywords must be an array`);
+            }
+            if (pattern.confidence !== undefined && typeof pattern.confidence !== 'number') {
+                throw new Error(`Pattern ${pattern.id}: confidence must be a number`);
+            }
+            if (options.collection && !COLLECTIONS.includes(options.collection)) {
+                throw new Error(`Unknown pattern collection: ${options.collection}`);
+            }
+
+            const id = String(pattern.id);
+            this.removes.delete(id);
+            this.puts.set(id, {
+                pattern,
+                category: options.category || null,
+                collection: options.collection || null,
+                replace: options.replace === true
+            });
+            return this;
+        }
+
+        addAll(patterns, options = {}) {
+            if (!Array.isArray(patterns)) {
+                throw new Error('addAll expects an array of patterns');
+            }
+            patterns.forEach(pattern => this.add(pattern, options));
+            return this;
+        }
+
+        /**
+         * ADD GROUPED: { category: pattern[] }, the shape of the legacy globals
+         */
+        addGrouped(groups, options = {}) {
+            Object.entries(groups || {}).forEach(([category, patterns]) => {
+                if (Array.isArray(patterns)) {
+                    this.addAll(patterns, { ...options, category });
+                }
+            });
+            return this;
+        }
+
+        remove(id) {
+            id = String(id);
+            this.puts.delete(id);
+            if (this.store.records.has(id)) {
+                this.removes.add(id);
+            }
+            return this;
+        }
+
+        removeWhere(predicate) {
+            this.store.records.forEach((record, id) => {
+                if (predicate(record)) this.remove(id);
+            });
+            return this;
+        }
+    }
+
+    const PatternStore = {
+        version: '1.0.0',
+
+        COLLECTIONS,
+        Transaction,
+
+        records: new Map(),         // id -> { pattern, category, collection, source, addedAt, updatedAt }
+        revision: 0,
+        listeners: [],
+        attached: [],               // { adapter, queue, errors }
+        views: {},                  // name -> { revision, proxy }
+
+        /**
+         * TRANSACTION
+         * fn(tx) may be async; its writes are committed together once it
+         * returns, or dropped if it throws. Returns what fn returns.
+         * options: { source, origin }
+         */
+        transaction(fn, options = {}) {
+            const tx = new Transaction(this, options);
+            const result = fn(tx);
+
+            if (result && typeof result.then === 'function') {
+                return result.then(value => {
+                    this.commit(tx);
+                    return value;
+                });
+            }
+
+            this.commit(tx);
+            return result;
+        },
+
+        commit(tx) {
+            const now = Date.now();
+            const change = { added: [], updated: [], removed: [], source: tx.source, origin: tx.origin };
+
+            tx.removes.forEach(id => {
+                const record = this.records.get(id);
+                if (!record) return;
+                this.records.delete(id);
+                change.removed.push(record);
+            });
+
+            tx.puts.forEach(({ pattern, category, collection, replace }, id) => {
+                const existing = this.records.get(id);
+
+                if (existing) {
+                    if (replace) {
+                        existing.pattern = pattern;
+                    } else if (existing.pattern !== pattern) {
+                        mergePattern(existing.pattern, pattern);
+                    }
+                    existing.category = category || existing.category;
+                    existing.collection = collection || existing.collection;
+                    existing.updatedAt = now;
+                    change.updated.push(existing);
+                    return;
+                }
+
+                const record = {
+                    pattern,
+                    category: category || pattern.category || pattern.domain || 'general',
+                    collection: collection || 'main',
+                    source: tx.source,
+                    addedAt: now,
+                    updatedAt: now
+                };
+                this.records.set(id, record);
+                change.added.push(record);
+            });
+
+            if (!change.added.length && !change.updated.length && !change.removed.length) {
+                return change;
+            }
+
+            change.revision = ++this.revision;
+            this.emit(change);
+            return change;
+        },
+
+        emit(change) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(change);
+                } catch (error) {
+                    console.error('❌ Pattern store listener failed:', error);
+                }
+            });
+
+            this.attached.forEach(entry => this.persist(entry, change));
+
+            const bus = root.AevovBus;
+            if (!bus) return;
+
+            bus.emit('patterns:changed', {
+                added: change.added.map(record => record.pattern),
+                updated: change.updated.map(record => record.pattern),
+                removed: change.removed.map(record => record.pattern.id),
+                source: change.source
+            });
+
+            if (change.added.length) {
+                const categories = new Set(change.added.map(record => record.category));
+                bus.emit('patterns:added', {
+                    patterns: change.added.map(record => record.pattern),
+                    source: change.source,
+                    category: categories.size === 1 ? [...categories][0] : undefined
+                });
+            }
+        },
+
+        /**
+         * SUBSCRIBE to committed changes; returns an unsubscribe function
+         */
+        on(event, listener) {
+            if (event !== 'change') {
+                throw new Error(`Unknown pattern store event: ${event}`);
+            }
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        },
+
+        // Single-operation transactions
+        add(pattern, options = {}) {
+            return this.transaction(tx => tx.add(pattern, options), options);
+        },
+
+        addAll(patterns, options = {}) {
+            return this.transaction(tx => tx.addAll(patterns, options), options);
+        },
+
+        addGrouped(groups, options = {}) {
+            return this.transaction(tx => tx.addGrouped(groups, options), options);
+        },
+
+        remove(ids, options = {}) {
+            return this.transaction(tx => [].concat(ids).forEach(id => tx.remove(id)), options);
+        },
+
+        /**
+         * CLEAR a collection, a category, or everything
+         * options: { collection, category, source }
+         */
+        clear(options = {}) {
+            return this.transaction(tx => tx.removeWhere(record =>
+                (!options.collection || record.collection === options.collection) &&
+                (!options.category || record.category === options.category)), options);
+        },
+
+        /**
+         * REPLACE a collection (or one of its categories) with new patterns, atomically;
+         * ids that survive keep their record but take the new pattern object
+         * options: { collection, category, source }
+         */
+        replace(patterns, options = {}) {
+            return this.transaction(tx => {
+                tx.removeWhere(record =>
+                    (!options.collection || record.collection === options.collection) &&
+                    (!options.category || record.category === options.category));
+                if (Array.isArray(patterns)) {
+                    tx.addAll(patterns, { ...options, replace: true });
+                } else {
+                    tx.addGrouped(patterns, { ...options, replace: true });
+                }
+            }, options);
+        },
+
+        /**
+         * READ
+         */
+        get(id) {
+            return this.records.get(String(id))?.pattern;
+        },
+
+        has(id) {
+            return this.records.has(String(id));
+        },
+
+        get size() {
+            return this.records.size;
+        },
+
+        /**
+         * ENTRIES: records matching { collection, category }
+         */
+        entries(filter = {}) {
+            const entries = [];
+            this.records.forEach(record => {
+                if (filter.collection && record.collection !== filter.collection) return;
+                if (filter.category && record.category !== filter.category) return;
+                entries.push(record);
+            });
+            return entries;
+        },
+
+        /**
+         * ALL patterns (each once) matching { collection, category }
+         */
+        all(filter = {}) {
+            return this.entries(filter).map(record => record.pattern);
+        },
+
+        /**
+         * LABELED: copies of the patterns matching { collection, category } with
+         * their group filled in the way the chat modules read it - main
+         * patterns as domain, advanced ones as category
+         */
+        labeled(filter = {}) {
+            return this.entries(filter).map(({ pattern, category, collection }) =>
+                collection === 'main' ? { ...pattern, domain: category } : { ...pattern, category });
+        },
+
+        categories(filter = {}) {
+            return [...new Set(this.entries(filter).map(record => record.category))];
+        },
+
+        /**
+         * GROUPED: { category: pattern[] }
+         */
+        grouped(filter = {}) {
+            const groups = {};
+            this.entries(filter).forEach(record => {
+                (groups[record.category] || (groups[record.category] = [])).push(record.pattern);
+            });
+            return groups;
+        },
+
+        /**
+         * LEGACY VIEW: grouped patterns behind window.patterns / window.advancedPatterns
+         * Rebuilt after each change. Writes are forwarded to the store with a warning.
+         */
+        view(name, collection) {
+            const cached = this.views[name];
+            if (cached && cached.revision === this.revision) {
+                return cached.proxy;
+            }
+
+            const writeCollection = collection || 'main';
+            const warn = () => console.warn(`⚠️ ${name} written directly - use PatternStore instead`);
+
+            // push() on a category array adds to the store
+            const forwardPush = (patterns, category) => Object.defineProperty(patterns, 'push', {
+                configurable: true,
+                value: (...added) => {
+                    warn();
+                    this.addAll(added, { category, collection: writeCollection, source: name });
+                    return patterns.length + added.length;
+                }
+            });
+
+            const groups = this.grouped(collection ? { collection } : {});
+            Object.entries(groups).forEach(([category, patterns]) => forwardPush(patterns, category));
+
+            const proxy = new Proxy(groups, {
+                set: (target, category, patterns) => {
+                    warn();
+                    patterns = Array.isArray(patterns) ? patterns : [];
+                    this.transaction(tx => {
+                        tx.removeWhere(record => record.category === category &&
+                            (!collection || record.collection === collection));
+                        tx.addAll(patterns, { category, collection: writeCollection, replace: true });
+                    }, { source: name });
+                    target[category] = forwardPush(patterns, category);
+                    return true;
+                },
+                deleteProperty: (target, category) => {
+                    warn();
+                    this.clear({ category, collection, source: name });
+                    return true;
+                }
+            });
+
+            this.views[name] = { revision: this.revision, proxy };
+            return proxy;
+        },
+
+        /**
+         * ATTACH a persistence adapter
+         * adapter: { name, load() -> [{ pattern, category, collection }], write(change) }
+         * Loads the adapter's patterns into the store (options.load, default
+         * true), then writes every later change to it.
+         */
+        async attach(adapter, options = {}) {
+            const entry = { adapter, queue: Promise.resolve(), errors: 0 };
+
+            if (options.load !== false) {
+                const loaded = await adapter.load();
+                this.transaction(tx => {
+                    loaded.forEach(({ pattern, category, collection }) => {
+                        // Patterns this session already changed win over stored copies
+                        if (!this.has(pattern.id)) tx.add(pattern, { category, collection });
+                    });
+                }, { source: adapter.name, origin: adapter.name });
+                console.log(`🗃️ Pattern store: ${loaded.length} patterns from ${adapter.name}`);
+            }
+
+            this.attached.push(entry);
+            return entry;
+        },
+
+        detach(name) {
+            this.attached = this.attached.filter(entry => entry.adapter.name !== name);
+        },
+
+        persist(entry, change) {
+            if (change.origin === entry.adapter.name) return;
+
+            // Writes reach each adapter in commit order
+            entry.queue = entry.queue
+                .then(() => entry.adapter.write(change))
+                .catch(error => {
+                    entry.errors++;
+                    console.error(`❌ Pattern store: writing to ${entry.adapter.name} failed:`, error);
+                });
+        },
+
+        /**
+         * FLUSH: resolves once every adapter has written all committed changes
+         */
+        flush() {
+            return Promise.all(this.attached.map(entry => entry.queue));
+        },
+
+        getStats() {
+            const byCollection = {};
+            COLLECTIONS.forEach(collection => {
+                byCollection[collection] = this.entries({ collection }).length;
+            });
+
+            return {
+                total: this.size,
+                byCollection,
+                categories: this.categories().length,
+                revision: this.revision,
+                adapters: this.attached.map(entry => ({ name: entry.adapter.name, errors: entry.errors }))
+            };
+        },
+
+        adapters: {
+            /**
+             * INDEXEDDB: one record per pattern (with its category and collection);
+             * each change is written in one IndexedDB transaction
+             */
+            indexedDB(options = {}) {
+                const dbName = options.dbName || 'aevov-patterns';
+                const storeName = 'patterns';
+                let opening = null;
+
+                const open = () => opening || (opening = new Promise((resolve, reject) => {
+                    const request = root.indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'id' });
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }));
+
+                return {
+                    name: 'indexedDB',
+
+                    async load() {
+                        const db = await open();
+                        return new Promise((resolve, reject) => {
+                            const request = db.transaction(storeName).objectStore(storeName).getAll();
+                            request.onsuccess = () => resolve(request.result);
+                            request.onerror = () => reject(request.error);
+                        });
+                    },
+
+                    async write(change) {
+                        const db = await open();
+                        return new Promise((resolve, reject) => {
+                            const tx = db.transaction(storeName, 'readwrite');
+                            const store = tx.objectStore(storeName);
+                            [...change.added, ...change.updated].forEach(({ pattern, category, collection }) => {
+                                store.put({ id: String(pattern.id), pattern, category, collection });
+                            });
+                            change.removed.forEach(({ pattern }) => store.delete(String(pattern.id)));
+                            tx.oncomplete = () => resolve();
+                            tx.onerror = () => reject(tx.error);
+                        });
+                    }
+                };
+            },
+
+            /**
+             * PGLITE through ComprehensiveDB (patterns table)
+             * The table has no collection column: loaded patterns keep their
+             * collection if the store knows them, else they are 'main'.
+             */
+            pglite(db) {
+                return {
+                    name: 'pglite',
+
+                    async load() {
+                        const rows = await db.queryPatterns();
+                        return rows.map(row => ({
+                            pattern: typeof row.pattern_data === 'string' ? JSON.parse(row.pattern_data) : row.pattern_data,
+                            category: row.category
+                        }));
+                    },
+
+                    async write(change) {
+                        for (const { pattern, category } of [...change.added, ...change.updated]) {
+                            await db.insertPattern({ ...pattern, category });
+                        }
+                        for (const { pattern } of change.removed) {
+                            await db.deletePattern(String(pattern.id));
+                        }
+                    }
+                };
+            }
+        }
+    };
+
+    // Legacy globals are views of the store
+    Object.defineProperty(root, 'patterns', {
+        configurable: true,
+        enumerable: true,
+        get: () => PatternStore.view('patterns'),
+        set: groups => {
+            console.warn('⚠️ patterns assigned directly - use PatternStore.replace() instead');
+            PatternStore.replace(groups || {}, { collection: 'main', source: 'patterns assignment' });
+        }
+    });
+
+    Object.defineProperty(root, 'advancedPatterns', {
+        configurable: true,
+        enumerable: true,
+        get: () => PatternStore.view('advancedPatterns', 'advanced'),
+        set: groups => {
+            console.warn('⚠️ advancedPatterns assigned directly - use PatternStore.replace() instead');
+            PatternStore.replace(groups || {}, { collection: 'advanced', source: 'advancedPatterns assignment' });
+        }
+    });
+
+    Object.defineProperty(root, 'LOADED_CHAT_PATTERNS', {
+        configurable: true,
+        enumerable: true,
+        get: () => PatternStore.all(),
+        // Reads every pattern, so an assignment replaces every pattern; ids
+        // that survive keep their collection and category
+        set: patterns => {
+            console.warn('⚠️ LOADED_CHAT_PATTERNS assigned directly - use PatternStore.replace() instead');
+            PatternStore.replace(Array.isArray(patterns) ? patterns : [], { source: 'LOADED_CHAT_PATTERNS assignment' });
+        }
+    });
+
+    // Export globally
+    root.PatternStore = PatternStore;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PatternStore;
+    }
+
+    // In the page: patterns persist in IndexedDB; modules that need them declare PatternStore
+    if (root.AevovLoader && root.indexedDB) {
+        root.AevovLoader.declare('PatternStore', {
+            init: () => PatternStore.attach(PatternStore.adapters.indexedDB())
+        });
+    }
+
+    console.log('✅ Aevov Pattern Store loaded');
+    console.log('💡 Use: PatternStore.addAll(patterns, { category, collection: \'advanced\' }), PatternStore.all()');
+
+})();
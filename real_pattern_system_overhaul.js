@@ -165,35 +165,14 @@
             let generated = 0;
 
             // Count patterns by source
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(pats => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            total++;
-                            if (p.sourceType === 'cache_real') {
-                                cacheReal++;
-                            } else if (p.sourceType === 'generated') {
-                                generated++;
-                            }
-                        });
-                    }
-                });
-            }
-
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(pats => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            total++;
-                            if (p.sourceType === 'cache_real') {
-                                cacheReal++;
-                            } else if (p.sourceType === 'generated') {
-                                generated++;
-                            }
-                        });
-                    }
-                });
-            }
+            window.PatternStore.all().forEach(p => {
+                total++;
+                if (p.sourceType === 'cache_real') {
+                    cacheReal++;
+                } else if (p.sourceType === 'generated') {
+                    generated++;
+                }
+            });
 
             // Update stats
             this.stats.realPatterns = cacheReal;
@@ -434,10 +434,10 @@
          * Hook JSON loader
          */
         hookJsonLoader() {
-            if (!window.loadModel) return;
+            // Notification and progress monitor per loadModel call
+            const loading = new WeakMap();
 
-            const original = window.loadModel;
-            window.loadModel = async function() {
+            window.AevovBus.on('model:before-load', context => {
                 const notifId = NotificationSystem.show({
                     type: 'processing',
                     title: 'Model Loading',
@@ -455,20 +455,27 @@
                     }
                 }, 500);
 
-                const result = await original.apply(this, arguments);
+                loading.set(context, { notifId, progressInterval });
+            }, { owner: 'NotificationSystem' });
 
-                clearInterval(progressInterval);
+            window.AevovBus.on('model:loaded', context => {
+                const call = loading.get(context);
+                if (!call) return;
+                loading.delete(context);
 
-                NotificationSystem.update(notifId, {
+                clearInterval(call.progressInterval);
+
+                NotificationSystem.update(call.notifId, context.error ? {
+                    type: 'error',
+                    message: `Model loading failed: ${context.error.message || context.error}`
+                } : {
                     type: 'success',
                     message: 'Model loaded and cached successfully',
                     progress: 100
                 });
 
-                setTimeout(() => NotificationSystem.close(notifId), 3000);
-
-                return result;
-            };
+                setTimeout(() => NotificationSystem.close(call.notifId), 3000);
+            }, { owner: 'NotificationSystem' });
         },
 
         /**
@@ -532,14 +539,10 @@
         }
     };
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            NotificationSystem.init();
-        });
-    } else {
-        NotificationSystem.init();
-    }
+    // Initialized by the module loader
+    window.AevovLoader.declare('NotificationSystem', {
+        init: () => NotificationSystem.init()
+    });
 
     // Export
     window.NotificationSystem = NotificationSystem;
@@ -0,0 +1,619 @@
+/**
+ * RL ALGORITHMS
+ * Agents behind PerpetualRL, selected by PerpetualRL.config.algorithm
+ *
+ * Features:
+ * - Dense network with backpropagation and Adam (tanh hidden layers,
+ *   linear output; softmax is applied by the policy agents)
+ * - 'q-learning': DQN with experience replay and a target network
+ *   (Huber loss, periodic hard target sync)
+ * - 'policy-gradient': REINFORCE with a learned state-value baseline
+ * - 'actor-critic': A2C with n-step bootstrapped returns and entropy bonus
+ *
+ * Every agent has the same surface:
+ *   act(state, { explorationRate }) -> action
+ *   greedy(state) -> action
+ *   observe({ state, action, reward, nextState, done }) -> loss | null
+ *   endEpisode() -> loss | null
+ *   toJSON() / load(snapshot)
+ *
+ * getParameters/setParameters flatten an agent's networks into one
+ * Float64Array (worker transfer, parameter averaging); rollout() runs one
+ * episode of any RLEnvironments environment.
+ *
+ * Pass `random` (e.g. a seeded generator) for reproducible runs.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🎮 Loading RL Algorithms...');
+
+    const SeededRandom = root.SeededRandom || (typeof require === 'function' ? require('./seeded_random.js') : null);
+    if (!SeededRandom) {
+        throw new Error('seeded_random.js must load before rl_algorithms.js');
+    }
+
+    function argmax(values) {
+        let best = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] > values[best]) best = i;
+        }
+        return best;
+    }
+
+    function softmax(logits) {
+        const max = Math.max(...logits);
+        const exps = logits.map(z => Math.exp(z - max));
+        const sum = exps.reduce((a, b) => a + b, 0);
+        return exps.map(e => e / sum);
+    }
+
+    function sample(probabilities, random) {
+        let r = random();
+        for (let i = 0; i < probabilities.length; i++) {
+            r -= probabilities[i];
+            if (r < 0) return i;
+        }
+        return probabilities.length - 1;
+    }
+
+    /**
+     * DENSE NETWORK
+     * weights[l] is a flat (inputs x outputs) array, biases[l] one per output
+     */
+    class Network {
+        constructor(layers, options = {}) {
+            this.layers = layers.slice();
+            this.random = options.random || Math.random;
+            this.clipNorm = options.clipNorm ?? 10;
+            this.weights = [];
+            this.biases = [];
+
+            for (let l = 0; l < layers.length - 1; l++) {
+                const fanIn = layers[l];
+                const fanOut = layers[l + 1];
+                const limit = Math.sqrt(6 / (fanIn + fanOut));
+                this.weights.push(Array.from({ length: fanIn * fanOut }, () => (this.random() * 2 - 1) * limit));
+                this.biases.push(new Array(fanOut).fill(0));
+            }
+
+            this.resetOptimizer();
+            this.zeroGradients();
+        }
+
+        resetOptimizer() {
+            this.adam = {
+                t: 0,
+                mW: this.weights.map(w => new Array(w.length).fill(0)),
+                vW: this.weights.map(w => new Array(w.length).fill(0)),
+                mB: this.biases.map(b => new Array(b.length).fill(0)),
+                vB: this.biases.map(b => new Array(b.length).fill(0))
+            };
+        }
+
+        zeroGradients() {
+            this.gradW = this.weights.map(w => new Array(w.length).fill(0));
+            this.gradB = this.biases.map(b => new Array(b.length).fill(0));
+            this.pending = 0;
+        }
+
+        /**
+         * FORWARD (returns every layer's activations; the last one is the output)
+         */
+        forward(input) {
+            const activations = [Array.from(input)];
+
+            for (let l = 0; l < this.weights.length; l++) {
+                const x = activations[l];
+                const outputs = this.layers[l + 1];
+                const w = this.weights[l];
+                const y = this.biases[l].slice();
+
+                for (let i = 0; i < x.length; i++) {
+                    const xi = x[i];
+                    if (xi === 0) continue;
+                    const row = i * outputs;
+                    for (let j = 0; j < outputs; j++) {
+                        y[j] += xi * w[row + j];
+                    }
+                }
+
+                const hidden = l < this.weights.length - 1;
+                activations.push(hidden ? y.map(Math.tanh) : y);
+            }
+
+            return activations;
+        }
+
+        predict(input) {
+            const activations = this.forward(input);
+            return activations[activations.length - 1];
+        }
+
+        /**
+         * ACCUMULATE gradients of a loss given dLoss/dOutput for one input
+         */
+        accumulate(input, outputGradient, activations = this.forward(input)) {
+            let delta = Array.from(outputGradient);
+
+            for (let l = this.weights.length - 1; l >= 0; l--) {
+                const x = activations[l];
+                const outputs = this.layers[l + 1];
+                const w = this.weights[l];
+                const gw = this.gradW[l];
+                const gb = this.gradB[l];
+
+                for (let j = 0; j < outputs; j++) gb[j] += delta[j];
+
+                const previous = l > 0 ? new Array(x.length).fill(0) : null;
+                for (let i = 0; i < x.length; i++) {
+                    const row = i * outputs;
+                    const xi = x[i];
+                    let sum = 0;
+                    for (let j = 0; j < outputs; j++) {
+                        gw[row + j] += xi * delta[j];
+                        if (previous) sum += w[row + j] * delta[j];
+                    }
+                    if (previous) previous[i] = sum * (1 - xi * xi); // tanh'
+                }
+
+                delta = previous;
+            }
+
+            this.pending++;
+        }
+
+        /**
+         * APPLY accumulated gradients (averaged) with Adam
+         */
+        apply(learningRate) {
+            if (this.pending === 0) return;
+
+            const scale = 1 / this.pending;
+            let norm = 0;
+            this.gradW.forEach(g => g.forEach(v => { norm += (v * scale) ** 2; }));
+            this.gradB.forEach(g => g.forEach(v => { norm += (v * scale) ** 2; }));
+            norm = Math.sqrt(norm);
+            const clip = norm > this.clipNorm ? this.clipNorm / norm : 1;
+
+            const beta1 = 0.9;
+            const beta2 = 0.999;
+            const adam = this.adam;
+            adam.t++;
+            const correction1 = 1 - Math.pow(beta1, adam.t);
+            const correction2 = 1 - Math.pow(beta2, adam.t);
+
+            const update = (params, grads, m, v) => {
+                for (let i = 0; i < params.length; i++) {
+                    const g = grads[i] * scale * clip;
+                    m[i] = beta1 * m[i] + (1 - beta1) * g;
+                    v[i] = beta2 * v[i] + (1 - beta2) * g * g;
+                    params[i] -= learningRate * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + 1e-8);
+                }
+            };
+
+            for (let l = 0; l < this.weights.length; l++) {
+                update(this.weights[l], this.gradW[l], adam.mW[l], adam.vW[l]);
+                update(this.biases[l], this.gradB[l], adam.mB[l], adam.vB[l]);
+            }
+
+            this.zeroGradients();
+        }
+
+        /**
+         * BACKWARD (mean squared error towards a target output; one Adam step)
+         */
+        backward(input, target, learningRate) {
+            const activations = this.forward(input);
+            const output = activations[activations.length - 1];
+            const gradient = output.map((y, i) => y - target[i]);
+
+            this.accumulate(input, gradient, activations);
+            this.apply(learningRate);
+
+            return gradient.reduce((sum, g) => sum + g * g, 0) / gradient.length;
+        }
+
+        copyFrom(other) {
+            this.weights = other.weights.map(w => w.slice());
+            this.biases = other.biases.map(b => b.slice());
+        }
+
+        clone() {
+            const copy = new Network(this.layers, { random: this.random, clipNorm: this.clipNorm });
+            copy.copyFrom(this);
+            return copy;
+        }
+
+        toJSON() {
+            return { layers: this.layers, weights: this.weights, biases: this.biases };
+        }
+
+        load(snapshot) {
+            if (JSON.stringify(snapshot.layers) !== JSON.stringify(this.layers)) {
+                throw new Error(`Network shape mismatch: [${snapshot.layers}] vs [${this.layers}]`);
+            }
+            this.copyFrom(snapshot);
+            this.resetOptimizer();
+            this.zeroGradients();
+        }
+    }
+
+    /**
+     * EXPERIENCE REPLAY (ring buffer, uniform sampling)
+     */
+    class ReplayBuffer {
+        constructor(capacity, random = Math.random) {
+            this.capacity = capacity;
+            this.random = random;
+            this.items = [];
+            this.next = 0;
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        push(transition) {
+            if (this.items.length < this.capacity) {
+                this.items.push(transition);
+            } else {
+                this.items[this.next] = transition;
+            }
+            this.next = (this.next + 1) % this.capacity;
+        }
+
+        sample(count) {
+            const batch = [];
+            for (let i = 0; i < count; i++) {
+                batch.push(this.items[Math.floor(this.random() * this.items.length)]);
+            }
+            return batch;
+        }
+    }
+
+    const DEFAULTS = {
+        stateSize: 10,
+        actionSize: 4,
+        hiddenSizes: [64, 64],
+        learningRate: 0.001,
+        discountFactor: 0.99,
+        batchSize: 32,
+        replaySize: 10000,          // DQN
+        warmupSteps: 0,             // DQN: transitions stored before learning (default batchSize)
+        targetUpdateInterval: 250,  // DQN: steps between target network syncs
+        nSteps: 5,                  // A2C: rollout length before each update
+        entropyCoef: 0.01,          // A2C
+        valueLearningRate: null     // Baseline / critic (defaults to learningRate)
+    };
+
+    /**
+     * DQN (experience replay + target network)
+     */
+    class DQNAgent {
+        constructor(options) {
+            this.algorithm = 'q-learning';
+            this.options = options;
+            this.random = options.random;
+            this.network = new Network([options.stateSize, ...options.hiddenSizes, options.actionSize], { random: this.random });
+            this.target = this.network.clone();
+            this.replay = new ReplayBuffer(options.replaySize, this.random);
+            this.steps = 0;
+        }
+
+        act(state, { explorationRate = 0 } = {}) {
+            if (this.random() < explorationRate) {
+                return Math.floor(this.random() * this.options.actionSize);
+            }
+            return this.greedy(state);
+        }
+
+        greedy(state) {
+            return argmax(this.network.predict(state));
+        }
+
+        observe(transition) {
+            const { batchSize, discountFactor, learningRate, targetUpdateInterval } = this.options;
+
+            this.replay.push(transition);
+            this.steps++;
+
+            if (this.steps % targetUpdateInterval === 0) {
+                this.target.copyFrom(this.network);
+            }
+
+            if (this.replay.size < Math.max(batchSize, this.options.warmupSteps)) return null;
+
+            let loss = 0;
+            this.replay.sample(batchSize).forEach(({ state, action, reward, nextState, done }) => {
+                const bootstrap = done ? 0 : Math.max(...this.target.predict(nextState));
+                const activations = this.network.forward(state);
+                const q = activations[activations.length - 1];
+                const error = q[action] - (reward + discountFactor * bootstrap);
+
+                // Huber loss: gradient clipped to [-1, 1]
+                const gradient = new Array(q.length).fill(0);
+                gradient[action] = Math.max(-1, Math.min(1, error));
+                this.network.accumulate(state, gradient, activations);
+                loss += Math.abs(error) <= 1 ? 0.5 * error * error : Math.abs(error) - 0.5;
+            });
+            this.network.apply(learningRate);
+
+            return loss / batchSize;
+        }
+
+        endEpisode() {
+            return null;
+        }
+
+        toJSON() {
+            return { algorithm: this.algorithm, steps: this.steps, network: this.network.toJSON(), target: this.target.toJSON() };
+        }
+
+        load(snapshot) {
+            this.network.load(snapshot.network);
+            this.target.load(snapshot.target || snapshot.network);
+            this.steps = snapshot.steps || 0;
+        }
+    }
+
+    /**
+     * POLICY AGENT BASE (softmax policy + state-value network)
+     */
+    class PolicyAgent {
+        constructor(options) {
+            this.options = options;
+            this.random = options.random;
+            this.network = new Network([options.stateSize, ...options.hiddenSizes, options.actionSize], { random: this.random });
+            this.value = new Network([options.stateSize, ...options.hiddenSizes, 1], { random: this.random });
+            this.trajectory = [];
+        }
+
+        policy(state) {
+            return softmax(this.network.predict(state));
+        }
+
+        act(state) {
+            return sample(this.policy(state), this.random);
+        }
+
+        greedy(state) {
+            return argmax(this.network.predict(state));
+        }
+
+        /**
+         * One policy-gradient and one value-regression term per step
+         * returns: discounted return (target) for each trajectory entry
+         */
+        update(steps, returns, entropyCoef = 0) {
+            let policyLoss = 0;
+            let valueLoss = 0;
+
+            steps.forEach(({ state, action }, t) => {
+                const valueActivations = this.value.forward(state);
+                const baseline = valueActivations[valueActivations.length - 1][0];
+                const advantage = returns[t] - baseline;
+
+                const activations = this.network.forward(state);
+                const probabilities = softmax(activations[activations.length - 1]);
+
+                // d(-A log pi(a) - beta H)/d logits
+                const entropy = -probabilities.reduce((sum, p) => sum + (p > 0 ? p * Math.log(p) : 0), 0);
+                const gradient = probabilities.map((p, i) =>
+                    advantage * (p - (i === action ? 1 : 0)) +
+                    entropyCoef * (p > 0 ? p * (Math.log(p) + entropy) : 0));
+
+                this.network.accumulate(state, gradient, activations);
+                this.value.accumulate(state, [baseline - returns[t]], valueActivations);
+
+                policyLoss -= advantage * Math.log(Math.max(probabilities[action], 1e-12));
+                valueLoss += 0.5 * (baseline - returns[t]) ** 2;
+            });
+
+            this.network.apply(this.options.learningRate);
+            this.value.apply(this.options.valueLearningRate ?? this.options.learningRate);
+
+            return (policyLoss + valueLoss) / steps.length;
+        }
+
+        toJSON() {
+            return { algorithm: this.algorithm, network: this.network.toJSON(), value: this.value.toJSON() };
+        }
+
+        load(snapshot) {
+            this.network.load(snapshot.network);
+            if (snapshot.value) this.value.load(snapshot.value);
+            this.trajectory = [];
+        }
+    }
+
+    /**
+     * REINFORCE with baseline (Monte-Carlo returns, one update per episode)
+     */
+    class ReinforceAgent extends PolicyAgent {
+        constructor(options) {
+            super(options);
+            this.algorithm = 'policy-gradient';
+        }
+
+        observe(transition) {
+            this.trajectory.push(transition);
+            return transition.done ? this.endEpisode() : null;
+        }
+
+        endEpisode() {
+            if (this.trajectory.length === 0) return null;
+
+            const returns = new Array(this.trajectory.length);
+            let running = 0;
+            for (let t = this.trajectory.length - 1; t >= 0; t--) {
+                running = this.trajectory[t].reward + this.options.discountFactor * running;
+                returns[t] = running;
+            }
+
+            const loss = this.update(this.trajectory, returns);
+            this.trajectory = [];
+            return loss;
+        }
+    }
+
+    /**
+     * A2C (n-step advantage actor-critic)
+     */
+    class A2CAgent extends PolicyAgent {
+        constructor(options) {
+            super(options);
+            this.algorithm = 'actor-critic';
+        }
+
+        observe(transition) {
+            this.trajectory.push(transition);
+            if (transition.done || this.trajectory.length >= this.options.nSteps) {
+                return this.flush(transition.done ? 0 : this.value.predict(transition.nextState)[0]);
+            }
+            return null;
+        }
+
+        flush(bootstrap) {
+            if (this.trajectory.length === 0) return null;
+
+            const returns = new Array(this.trajectory.length);
+            let running = bootstrap;
+            for (let t = this.trajectory.length - 1; t >= 0; t--) {
+                running = this.trajectory[t].reward + this.options.discountFactor * running;
+                returns[t] = running;
+            }
+
+            const loss = this.update(this.trajectory, returns, this.options.entropyCoef);
+            this.trajectory = [];
+            return loss;
+        }
+
+        endEpisode() {
+            // Episodes cut off by a step limit bootstrap from the critic
+            const last = this.trajectory[this.trajectory.length - 1];
+            return this.flush(last && !last.done ? this.value.predict(last.nextState)[0] : 0);
+        }
+    }
+
+    const AGENTS = {
+        'q-learning': DQNAgent,
+        'policy-gradient': ReinforceAgent,
+        'actor-critic': A2CAgent
+    };
+
+    const RLAlgorithms = {
+        version: '1.0.0',
+
+        DEFAULTS,
+        Network,
+        ReplayBuffer,
+        DQNAgent,
+        ReinforceAgent,
+        A2CAgent,
+        createRandom: SeededRandom.mulberry32,
+        softmax,
+
+        get algorithms() {
+            return Object.keys(AGENTS);
+        },
+
+        /**
+         * PARAMETERS (weights then biases of network, value, target - in that order)
+         */
+        networksOf(agent) {
+            return ['network', 'value', 'target']
+                .map(key => agent[key])
+                .filter(network => network instanceof Network);
+        },
+
+        getParameters(agent) {
+            const networks = this.networksOf(agent);
+            let size = 0;
+            networks.forEach(n => {
+                n.weights.forEach(w => { size += w.length; });
+                n.biases.forEach(b => { size += b.length; });
+            });
+
+            const params = new Float64Array(size);
+            let offset = 0;
+            networks.forEach(n => {
+                [...n.weights, ...n.biases].forEach(values => {
+                    params.set(values, offset);
+                    offset += values.length;
+                });
+            });
+            return params;
+        },
+
+        setParameters(agent, params) {
+            let offset = 0;
+            this.networksOf(agent).forEach(n => {
+                [...n.weights, ...n.biases].forEach(values => {
+                    for (let i = 0; i < values.length; i++) {
+                        values[i] = params[offset++];
+                    }
+                });
+            });
+            if (offset !== params.length) {
+                throw new Error(`Parameter size mismatch: agent has ${offset}, got ${params.length}`);
+            }
+        },
+
+        /**
+         * ROLLOUT one episode (act, step, observe, endEpisode)
+         * Returns { reward, steps, loss }
+         */
+        rollout(agent, env, options = {}) {
+            const maxSteps = options.maxSteps ?? 100;
+            let state = env.reset();
+            let reward = 0;
+            let steps = 0;
+            let loss = null;
+            let done = false;
+
+            while (!done && steps < maxSteps) {
+                const action = agent.act(state, { explorationRate: options.explorationRate ?? 0 });
+                const result = env.step(action);
+                loss = agent.observe({ state, action, reward: result.reward, nextState: result.observation, done: result.done }) ?? loss;
+                reward += result.reward;
+                state = result.observation;
+                done = result.done;
+                steps++;
+            }
+
+            loss = agent.endEpisode() ?? loss;
+            return { reward, steps, loss };
+        },
+
+        /**
+         * CREATE AGENT
+         * options: see DEFAULTS, plus `seed` or `random`
+         */
+        create(algorithm, options = {}) {
+            const Agent = AGENTS[algorithm];
+            if (!Agent) {
+                throw new Error(`Unknown RL algorithm: ${algorithm} (expected ${Object.keys(AGENTS).join(', ')})`);
+            }
+
+            const settings = { ...DEFAULTS, ...options };
+            settings.random = SeededRandom.resolve(options);
+
+            return new Agent(settings);
+        }
+    };
+
+    // Export globally
+    root.RLAlgorithms = RLAlgorithms;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RLAlgorithms;
+    }
+
+    console.log('✅ RL Algorithms loaded');
+    console.log("💡 Use: RLAlgorithms.create('actor-critic', { stateSize, actionSize, seed })");
+
+})();
@@ -0,0 +1,629 @@
+/**
+ * RL ENVIRONMENTS
+ * Gym-style environment API and registry for PerpetualRL
+ *
+ * Interface (every environment):
+ *   observationSpace  Box { shape: [n], low, high }
+ *   actionSpace       Discrete { n }
+ *   reset()           -> observation
+ *   step(action)      -> { observation, reward, done, info }
+ *   render(target)    -> text, or draws on a CanvasRenderingContext2D
+ *   close()
+ *
+ * Built-in environments:
+ * - 'pattern-category': classify patterns into their category from keywords
+ * - 'keyword-completion': recover a hidden keyword of a pattern
+ * - 'pattern-match': AevmerGamer's Pattern Match Challenge puzzle
+ * - 'pattern-actions': the original PerpetualRL task (extract / compress /
+ *   cache / evolve a pattern)
+ * - 'corridor': deterministic toy task for convergence checks (rl_harness.js)
+ *
+ * Custom environments: RLEnvironments.register(id, options => env, { description })
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🌍 Loading RL Environments...');
+
+    const SeededRandom = root.SeededRandom || (typeof require === 'function' ? require('./seeded_random.js') : null);
+    if (!SeededRandom) {
+        throw new Error('seeded_random.js must load before rl_environments.js');
+    }
+
+    const resolveRandom = SeededRandom.resolve;
+
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * SPACES
+     */
+    const Spaces = {
+        Box(shape, low = -Infinity, high = Infinity) {
+            const size = shape.reduce((a, b) => a * b, 1);
+            return {
+                type: 'box',
+                shape,
+                low,
+                high,
+                sample(random = Math.random) {
+                    const lo = Number.isFinite(low) ? low : -1;
+                    const hi = Number.isFinite(high) ? high : 1;
+                    return Array.from({ length: size }, () => lo + random() * (hi - lo));
+                },
+                contains(x) {
+                    return Array.isArray(x) && x.length === size && x.every(v => v >= low && v <= high);
+                }
+            };
+        },
+
+        Discrete(n) {
+            return {
+                type: 'discrete',
+                n,
+                sample(random = Math.random) {
+                    return Math.floor(random() * n);
+                },
+                contains(a) {
+                    return Number.isInteger(a) && a >= 0 && a < n;
+                }
+            };
+        }
+    };
+
+    /**
+     * BAG OF KEYWORDS (hashed, L2-normalized)
+     */
+    function keywordFeatures(keywords, size) {
+        const features = new Array(size).fill(0);
+        keywords.forEach(keyword => {
+            features[hashString(String(keyword).toLowerCase()) % size] += 1;
+        });
+        const norm = Math.sqrt(features.reduce((sum, v) => sum + v * v, 0));
+        return norm > 0 ? features.map(v => v / norm) : features;
+    }
+
+    /**
+     * PATTERN SOURCE
+     * options.patterns, then the live pattern system, then a small synthetic corpus
+     */
+    const SYNTHETIC_KEYWORDS = {
+        technology: ['software', 'server', 'network', 'code', 'api', 'database', 'cloud', 'compiler'],
+        science: ['physics', 'biology', 'experiment', 'molecule', 'energy', 'theory', 'cell', 'quantum'],
+        business: ['market', 'revenue', 'strategy', 'customer', 'sales', 'profit', 'startup', 'finance'],
+        other: ['music', 'travel', 'recipe', 'sports', 'history', 'garden', 'film', 'poetry']
+    };
+
+    function syntheticPatterns(random, count = 200) {
+        const categories = Object.keys(SYNTHETIC_KEYWORDS);
+        return Array.from({ length: count }, (_, i) => {
+            const category = categories[i % categories.length];
+            const pool = SYNTHETIC_KEYWORDS[category];
+            const keywords = [];
+            while (keywords.length < 4) {
+                const keyword = pool[Math.floor(random() * pool.length)];
+                if (!keywords.includes(keyword)) keywords.push(keyword);
+            }
+            return { id: `synthetic_${i}`, category, keywords, confidence: 0.5 + random() * 0.5 };
+        });
+    }
+
+    function loadPatterns(options, random) {
+        const patterns = options.patterns ||
+            (typeof root.gatherAllPatterns === 'function' ? root.gatherAllPatterns() : []);
+        const usable = patterns.filter(p => Array.isArray(p.keywords) && p.keywords.length > 0);
+        return usable.length > 0 ? usable : syntheticPatterns(random);
+    }
+
+    function categoryOf(pattern) {
+        return pattern.categoryName || pattern.category || 'other';
+    }
+
+    /**
+     * PATTERN CATEGORY CLASSIFICATION
+     * Observation: hashed keywords of one pattern. Action: category index.
+     * Reward +1 for the right category, 0 otherwise. `episodeLength` patterns per episode.
+     */
+    class PatternCategoryEnv {
+        constructor(options = {}) {
+            this.id = 'pattern-category';
+            this.random = resolveRandom(options);
+            this.patterns = loadPatterns(options, this.random);
+            this.categories = options.categories ||
+                [...new Set(this.patterns.map(categoryOf))].sort();
+            this.patterns = this.patterns.filter(p => this.categories.includes(categoryOf(p)));
+            this.featureSize = options.featureSize || 32;
+            this.episodeLength = options.episodeLength || 10;
+
+            this.observationSpace = Spaces.Box([this.featureSize], 0, 1);
+            this.actionSpace = Spaces.Discrete(this.categories.length);
+        }
+
+        observe() {
+            return keywordFeatures(this.current.keywords, this.featureSize);
+        }
+
+        next() {
+            this.current = this.patterns[Math.floor(this.random() * this.patterns.length)];
+        }
+
+        reset() {
+            this.t = 0;
+            this.correct = 0;
+            this.last = null;
+            this.next();
+            return this.observe();
+        }
+
+        step(action) {
+            const expected = this.categories.indexOf(categoryOf(this.current));
+            const correct = action === expected;
+            this.last = { pattern: this.current, action, expected, correct };
+
+            this.t++;
+            if (correct) this.correct++;
+            this.next();
+
+            return {
+                observation: this.observe(),
+                reward: correct ? 1 : 0,
+                done: this.t >= this.episodeLength,
+                info: { expected: this.categories[expected], predicted: this.categories[action], accuracy: this.correct / this.t }
+            };
+        }
+
+        render(target) {
+            const last = this.last;
+            const text = last
+                ? `[${last.pattern.keywords.join(', ')}] -> ${this.categories[last.action]} ` +
+                  `(${last.correct ? '✓' : `✗ ${this.categories[last.expected]}`}), accuracy ${this.correct}/${this.t}`
+                : `Next: [${this.current?.keywords.join(', ') || ''}]`;
+            return renderText(target, text);
+        }
+
+        close() {}
+    }
+
+    /**
+     * KEYWORD COMPLETION
+     * One keyword of a pattern is hidden; the agent picks it from the
+     * vocabulary of the most frequent keywords (size `vocabularySize`).
+     */
+    class KeywordCompletionEnv {
+        constructor(options = {}) {
+            this.id = 'keyword-completion';
+            this.random = resolveRandom(options);
+            this.featureSize = options.featureSize || 32;
+            this.episodeLength = options.episodeLength || 10;
+
+            const patterns = loadPatterns(options, this.random);
+            const counts = new Map();
+            patterns.forEach(p => p.keywords.forEach(k => counts.set(k, (counts.get(k) || 0) + 1)));
+            this.vocabulary = options.vocabulary ||
+                [...counts.entries()]
+                    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+                    .slice(0, options.vocabularySize || 16)
+                    .map(([keyword]) => keyword);
+
+            // Patterns with at least one other keyword and one vocabulary keyword to hide
+            this.patterns = patterns.filter(p =>
+                p.keywords.length > 1 && p.keywords.some(k => this.vocabulary.includes(k)));
+            if (this.patterns.length === 0) {
+                throw new Error('keyword-completion: no patterns with vocabulary keywords');
+            }
+
+            this.observationSpace = Spaces.Box([this.featureSize], 0, 1);
+            this.actionSpace = Spaces.Discrete(this.vocabulary.length);
+        }
+
+        next() {
+            const pattern = this.patterns[Math.floor(this.random() * this.patterns.length)];
+            const candidates = pattern.keywords.filter(k => this.vocabulary.includes(k));
+            const hidden = candidates[Math.floor(this.random() * candidates.length)];
+            this.current = { pattern, hidden, visible: pattern.keywords.filter(k => k !== hidden) };
+        }
+
+        observe() {
+            return keywordFeatures(this.current.visible, this.featureSize);
+        }
+
+        reset() {
+            this.t = 0;
+            this.correct = 0;
+            this.last = null;
+            this.next();
+            return this.observe();
+        }
+
+        step(action) {
+            const guess = this.vocabulary[action];
+            const correct = guess === this.current.hidden;
+            this.last = { ...this.current, guess, correct };
+
+            this.t++;
+            if (correct) this.correct++;
+            this.next();
+
+            return {
+                observation: this.observe(),
+                reward: correct ? 1 : 0,
+                done: this.t >= this.episodeLength,
+                info: { hidden: this.last.hidden, guess, accuracy: this.correct / this.t }
+            };
+        }
+
+        render(target) {
+            const last = this.last;
+            const text = last
+                ? `[${last.visible.join(', ')}, ?] guess "${last.guess}" ` +
+                  `(${last.correct ? '✓' : `✗ ${last.hidden}`}), accuracy ${this.correct}/${this.t}`
+                : `Next: [${this.current?.visible.join(', ') || ''}, ?]`;
+            return renderText(target, text);
+        }
+
+        close() {}
+    }
+
+    /**
+     * PATTERN MATCH (AevmerGamer 'pattern-match')
+     * The board is AevmerGamer's puzzle; each turn shows the keywords of one
+     * unmatched card and the agent picks a slot. Observation per slot:
+     * keyword overlap with the target (0..1) and whether it is already matched.
+     * Reward +1 for the best-overlapping unmatched card, -0.1 otherwise.
+     * Done when every card is matched or after `maxSteps`.
+     */
+    class PatternMatchEnv {
+        constructor(options = {}) {
+            const gamer = options.gamer || root.AevmerGamer;
+            if (!gamer?.generatePatternPuzzle || !gamer.games?.['pattern-match']) {
+                throw new Error('pattern-match environment needs AevmerGamer');
+            }
+
+            this.id = 'pattern-match';
+            this.gamer = gamer;
+            this.random = resolveRandom(options);
+            this.level = options.level || 1;
+            this.slots = 4 + this.level;
+            this.maxSteps = options.maxSteps || this.slots * 3;
+
+            this.observationSpace = Spaces.Box([this.slots * 2], 0, 1);
+            this.actionSpace = Spaces.Discrete(this.slots);
+        }
+
+        overlap(card) {
+            const target = this.target.keywords;
+            const shared = card.keywords.filter(k => target.includes(k)).length;
+            return shared / target.length;
+        }
+
+        pickTarget() {
+            const open = this.game.patterns.filter(card => !card.matched);
+            this.target = open.length ? open[Math.floor(this.random() * open.length)] : null;
+        }
+
+        observe() {
+            const observation = [];
+            this.game.patterns.forEach(card => {
+                observation.push(this.target && !card.matched ? this.overlap(card) : 0, card.matched ? 1 : 0);
+            });
+            return observation;
+        }
+
+        reset() {
+            this.game = this.gamer.games['pattern-match'].init();
+            this.game.level = this.level;
+            this.game.patterns = this.gamer.generatePatternPuzzle(this.level, this.random);
+            this.t = 0;
+            this.last = null;
+            this.pickTarget();
+            return this.observe();
+        }
+
+        step(action) {
+            const card = this.game.patterns[action];
+            const best = Math.max(...this.game.patterns.filter(c => !c.matched).map(c => this.overlap(c)));
+            const correct = Boolean(card) && !card.matched && this.overlap(card) === best;
+
+            if (correct) {
+                card.matched = true;
+                this.game.score += 10 * this.level;
+            }
+            this.last = { action, correct, target: this.target };
+
+            this.t++;
+            this.pickTarget();
+            const solved = this.target === null;
+
+            return {
+                observation: this.observe(),
+                reward: correct ? 1 : -0.1,
+                done: solved || this.t >= this.maxSteps,
+                info: { score: this.game.score, solved, matched: this.game.patterns.filter(c => c.matched).length }
+            };
+        }
+
+        render(target) {
+            // Canvas: reuse the game's renderer
+            if (target && typeof target.fillRect === 'function') {
+                const previous = this.gamer.state.gameState;
+                this.gamer.state.gameState = this.game;
+                this.gamer.renderPatternMatch(target);
+                this.gamer.state.gameState = previous;
+                return null;
+            }
+
+            const board = this.game.patterns.map((card, i) =>
+                `${i}:${card.matched ? '✓' : ' '} [${card.keywords.join(' ')}]`).join('\n');
+            return renderText(target, `Target: [${this.target?.keywords.join(' ') || 'solved'}] score ${this.game.score}\n${board}`);
+        }
+
+        close() {}
+    }
+
+    /**
+     * PATTERN ACTIONS (the original PerpetualRL task)
+     * Observation: 5 hashed keywords, confidence, one-hot category.
+     * Actions: 0 extract, 1 compress, 2 cache, 3 evolve; rewards favour
+     * extract/evolve for confident patterns. Never done (step-limited).
+     * options.getPattern() supplies patterns (PerpetualRL passes getTrainingPattern);
+     * otherwise options.patterns is sampled, or random patterns are generated.
+     */
+    class PatternActionEnv {
+        constructor(options = {}) {
+            this.id = 'pattern-actions';
+            this.random = resolveRandom(options);
+            this.patterns = options.patterns || [];
+            this.getPattern = options.getPattern || (() => this.samplePattern());
+            this.actions = ['extract', 'compress', 'cache', 'evolve'];
+
+            this.observationSpace = Spaces.Box([10]);
+            this.actionSpace = Spaces.Discrete(4);
+        }
+
+        static hashString(str) {
+            let hash = 0;
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) - hash) + str.charCodeAt(i);
+                hash = hash & hash; // Convert to 32bit integer
+            }
+            return Math.abs(hash);
+        }
+
+        static getCategoryIndex(category) {
+            const categories = ['technology', 'science', 'business', 'other'];
+            const index = categories.indexOf(category);
+            return index >= 0 ? index : 3;
+        }
+
+        static patternToState(pattern) {
+            // Convert pattern to state vector (10 dimensions)
+            const state = new Array(10).fill(0);
+
+            // Encode keywords (first 5 dimensions)
+            const keywords = pattern.keywords || [];
+            for (let i = 0; i < Math.min(5, keywords.length); i++) {
+                state[i] = PatternActionEnv.hashString(keywords[i]) / 1000000;
+            }
+
+            // Encode confidence
+            state[5] = pattern.confidence || 0.5;
+
+            // Encode category (one-hot)
+            state[6 + PatternActionEnv.getCategoryIndex(pattern.category)] = 1.0;
+
+            return state;
+        }
+
+        static transition(state, action, pattern, random = Math.random) {
+            const confidence = pattern.confidence || 0.5;
+            const rewards = [confidence * 1.0, 0.8, 0.6, confidence * 1.2];
+
+            // Reward with noise; next state slightly modified
+            const reward = (rewards[action] ?? 0) + (random() - 0.5) * 0.2;
+            const nextState = state.map(s => s + (random() - 0.5) * 0.1);
+
+            return { nextState, reward, isDone: false };
+        }
+
+        samplePattern() {
+            if (this.patterns.length > 0) {
+                return this.patterns[Math.floor(this.random() * this.patterns.length)];
+            }
+            return {
+                keywords: Array.from({ length: 5 }, () => 'keyword' + Math.floor(this.random() * 100)),
+                confidence: this.random(),
+                category: 'training'
+            };
+        }
+
+        reset() {
+            this.pattern = this.getPattern();
+            this.current = PatternActionEnv.patternToState(this.pattern);
+            this.lastAction = null;
+            return this.current.slice();
+        }
+
+        step(action) {
+            const { nextState, reward, isDone } = PatternActionEnv.transition(this.current, action, this.pattern, this.random);
+            this.current = nextState;
+            this.lastAction = action;
+            return { observation: nextState.slice(), reward, done: isDone, info: { pattern: this.pattern } };
+        }
+
+        render(target) {
+            const text = `${this.pattern?.category || 'pattern'} (confidence ${(this.pattern?.confidence ?? 0.5).toFixed(2)})` +
+                (this.lastAction !== null ? ` -> ${this.actions[this.lastAction]}` : '');
+            return renderText(target, text);
+        }
+
+        close() {}
+    }
+
+    /**
+     * CORRIDOR
+     * Walk from cell 0 to the last of `length` cells. Observation: one-hot
+     * position. Actions: 0 left, 1 right, 2 stay. Reward +1 on reaching the
+     * goal, -0.01 per other step; done at the goal or after `maxSteps`.
+     * No randomness, so a fixed agent seed gives the same run every time.
+     */
+    class CorridorEnv {
+        constructor(options = {}) {
+            this.id = 'corridor';
+            this.length = Math.max(2, options.length || 6);
+            this.maxSteps = options.maxSteps || this.length * 5;
+            this.actions = ['left', 'right', 'stay'];
+
+            this.observationSpace = Spaces.Box([this.length], 0, 1);
+            this.actionSpace = Spaces.Discrete(3);
+        }
+
+        observe() {
+            return Array.from({ length: this.length }, (_, i) => (i === this.position ? 1 : 0));
+        }
+
+        reset() {
+            this.position = 0;
+            this.t = 0;
+            return this.observe();
+        }
+
+        step(action) {
+            if (action === 0) this.position = Math.max(0, this.position - 1);
+            if (action === 1) this.position = Math.min(this.length - 1, this.position + 1);
+            this.t++;
+
+            const reached = this.position === this.length - 1;
+            return {
+                observation: this.observe(),
+                reward: reached ? 1 : -0.01,
+                done: reached || this.t >= this.maxSteps,
+                info: { position: this.position, reached }
+            };
+        }
+
+        /**
+         * Best achievable episode return (straight walk to the goal)
+         */
+        optimalReturn() {
+            return 1 - 0.01 * (this.length - 2);
+        }
+
+        render(target) {
+            const cells = Array.from({ length: this.length }, (_, i) =>
+                (i === this.position ? 'A' : i === this.length - 1 ? 'G' : '.'));
+            return renderText(target, `${cells.join('')}  step ${this.t ?? 0}`);
+        }
+
+        close() {}
+    }
+
+    function renderText(target, text) {
+        if (target && typeof target.fillText === 'function') {
+            target.fillStyle = '#fff';
+            target.font = '12px monospace';
+            text.split('\n').forEach((line, i) => target.fillText(line, 10, 20 + i * 16));
+            return null;
+        }
+        return text;
+    }
+
+    const registry = new Map();
+
+    const RLEnvironments = {
+        version: '1.0.0',
+
+        Spaces,
+        keywordFeatures,
+        PatternCategoryEnv,
+        KeywordCompletionEnv,
+        PatternMatchEnv,
+        PatternActionEnv,
+        CorridorEnv,
+
+        /**
+         * REGISTER
+         * factory(options) must return an object implementing the interface above
+         */
+        register(id, factory, metadata = {}) {
+            if (typeof factory !== 'function') {
+                throw new Error(`Environment ${id} needs a factory function`);
+            }
+            if (registry.has(id) && !metadata.override) {
+                console.warn(`⚠️ Environment ${id} re-registered`);
+            }
+            registry.set(id, { id, factory, description: metadata.description || '' });
+        },
+
+        unregister(id) {
+            return registry.delete(id);
+        },
+
+        list() {
+            return [...registry.values()].map(({ id, description }) => ({ id, description }));
+        },
+
+        has(id) {
+            return registry.has(id);
+        },
+
+        /**
+         * MAKE (validates the interface before handing the environment out)
+         */
+        make(id, options = {}) {
+            const entry = registry.get(id);
+            if (!entry) {
+                throw new Error(`Unknown environment: ${id} (registered: ${[...registry.keys()].join(', ')})`);
+            }
+
+            const env = entry.factory(options);
+            ['reset', 'step', 'render'].forEach(method => {
+                if (typeof env?.[method] !== 'function') {
+                    throw new Error(`Environment ${id} is missing ${method}()`);
+                }
+            });
+            if (env.observationSpace?.type !== 'box' || env.actionSpace?.type !== 'discrete') {
+                throw new Error(`Environment ${id} needs a Box observationSpace and a Discrete actionSpace`);
+            }
+
+            env.id = env.id || id;
+            env.close = env.close || (() => {});
+            return env;
+        }
+    };
+
+    RLEnvironments.register('pattern-category', options => new PatternCategoryEnv(options), {
+        description: 'Classify patterns into their category from keywords'
+    });
+    RLEnvironments.register('keyword-completion', options => new KeywordCompletionEnv(options), {
+        description: 'Recover the hidden keyword of a pattern'
+    });
+    RLEnvironments.register('pattern-actions', options => new PatternActionEnv(options), {
+        description: 'Choose extract / compress / cache / evolve for AEVOV patterns'
+    });
+    RLEnvironments.register('pattern-match', options => new PatternMatchEnv(options), {
+        description: "AevmerGamer's Pattern Match Challenge puzzle"
+    });
+    RLEnvironments.register('corridor', options => new CorridorEnv(options), {
+        description: 'Deterministic walk to the end of a corridor (convergence checks)'
+    });
+
+    // Export globally
+    root.RLEnvironments = RLEnvironments;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RLEnvironments;
+    }
+
+    console.log('✅ RL Environments loaded');
+    console.log("💡 Use: PerpetualRL.setEnvironment('pattern-category') or RLEnvironments.register(id, factory)");
+
+})();
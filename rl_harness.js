@@ -0,0 +1,190 @@
+/**
+ * RL HARNESS
+ * Convergence checks for rl_algorithms.js on the deterministic 'corridor'
+ * environment from rl_environments.js
+ *
+ * Every agent is trained with a fixed seed, then its greedy policy must reach
+ * RETURN_THRESHOLD (the optimal return is 0.96 on the default 6-cell corridor).
+ * The environment has no randomness, so a failing check is a regression in the
+ * algorithm, not a flaky run.
+ *
+ * Run:
+ *   node --experimental-detect-module rl_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runRLChecks() can also be imported
+ * to drive the same checks from another script.
+ */
+
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+// Same load order as the page
+require('./seeded_random.js');
+const RLEnvironments = require('./rl_environments.js');
+const RLAlgorithms = require('./rl_algorithms.js');
+
+export const SEED = 7;
+export const RETURN_THRESHOLD = 0.9;
+
+const AGENT_OPTIONS = {
+    'q-learning': { learningRate: 0.005, targetUpdateInterval: 50 },
+    'policy-gradient': { learningRate: 0.01 },
+    'actor-critic': { learningRate: 0.01 }
+};
+
+/**
+ * Train `algorithm` on the corridor; returns the agent and its greedy return
+ */
+export function trainOnCorridor(algorithm, { seed = SEED, episodes = 300 } = {}) {
+    const env = RLEnvironments.make('corridor');
+    const agent = RLAlgorithms.create(algorithm, {
+        stateSize: env.observationSpace.shape[0],
+        actionSize: env.actionSpace.n,
+        hiddenSizes: [16],
+        discountFactor: 0.95,
+        seed,
+        ...AGENT_OPTIONS[algorithm]
+    });
+
+    let explorationRate = 1;
+    for (let episode = 0; episode < episodes; episode++) {
+        RLAlgorithms.rollout(agent, env, { explorationRate, maxSteps: env.maxSteps });
+        explorationRate = Math.max(0.05, explorationRate * 0.98);
+    }
+
+    return { agent, env, greedyReturn: greedyReturn(agent, env) };
+}
+
+function greedyReturn(agent, env) {
+    const greedy = { act: state => agent.greedy(state), observe() {}, endEpisode() {} };
+    return RLAlgorithms.rollout(greedy, env, { maxSteps: env.maxSteps }).reward;
+}
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+function convergenceCheck(algorithm, label) {
+    return {
+        name: `${label} reaches the corridor return threshold (seed ${SEED})`,
+        async run() {
+            const { greedyReturn: reward } = trainOnCorridor(algorithm);
+            assert(reward >= RETURN_THRESHOLD,
+                `${label} greedy return ${reward.toFixed(3)} is below ${RETURN_THRESHOLD}`);
+        }
+    };
+}
+
+/**
+ * CHECKS
+ */
+export const RL_CHECKS = [
+    {
+        name: 'corridor environment is deterministic',
+        async run() {
+            const env = RLEnvironments.make('corridor');
+            const walk = (actions) => {
+                env.reset();
+                return actions.map(action => {
+                    const { observation, reward, done } = env.step(action);
+                    return { position: observation.indexOf(1), reward, done };
+                });
+            };
+
+            const actions = [1, 0, 2, 1, 1, 1, 1, 1];
+            assertEqual(walk(actions), walk(actions), 'same actions, same trajectory');
+
+            const straight = walk([1, 1, 1, 1, 1]);
+            const total = straight.reduce((sum, step) => sum + step.reward, 0);
+            assert(straight[4].done && !straight[3].done, 'episode ends on reaching the goal');
+            assert(Math.abs(total - env.optimalReturn()) < 1e-9,
+                `straight walk returns ${total}, expected ${env.optimalReturn()}`);
+
+            env.reset();
+            let done = false;
+            let steps = 0;
+            while (!done) {
+                done = env.step(2).done;
+                steps++;
+            }
+            assertEqual(steps, env.maxSteps, 'standing still ends after maxSteps');
+        }
+    },
+    convergenceCheck('q-learning', 'DQN'),
+    convergenceCheck('policy-gradient', 'REINFORCE with baseline'),
+    convergenceCheck('actor-critic', 'A2C'),
+    {
+        name: 'training is reproducible for a fixed seed',
+        async run() {
+            for (const algorithm of RLAlgorithms.algorithms) {
+                const first = trainOnCorridor(algorithm, { episodes: 20 });
+                const second = trainOnCorridor(algorithm, { episodes: 20 });
+                assertEqual(
+                    Array.from(RLAlgorithms.getParameters(second.agent)),
+                    Array.from(RLAlgorithms.getParameters(first.agent)),
+                    `${algorithm} parameters after 20 episodes`
+                );
+            }
+        }
+    }
+];
+
+/**
+ * RUN RL CHECKS
+ */
+export async function runRLChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = RL_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const results = [];
+
+    // The modules log their own progress; keep the report readable
+    const { log: consoleLog, error: consoleError } = console;
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+        for (const check of checks) {
+            const started = Date.now();
+            try {
+                await check.run();
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 RL harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runRLChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
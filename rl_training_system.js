@@ -1,26 +1,33 @@
 /**
  * PERPETUAL RL TRAINING SYSTEM
- * Continuous reinforcement learning using CapNWeb and NeuroJS
+ * Continuous reinforcement learning using CapNWeb and RLAlgorithms
  * 
  * Architecture:
  * - CapNWeb: Distributed computation using Cap'n Proto over WebAssembly
- * - NeuroJS: Neural network library for JavaScript
+ * - RLAlgorithms: DQN, REINFORCE and A2C agents (rl_algorithms.js)
  * - Perpetual training: Keeps training indefinitely with auto-checkpointing
  * - Pattern-driven: Uses AEVOV patterns as training data
- * - Distributed: Can run across multiple browser tabs/workers
+ * - Environments: Gym-style tasks from RLEnvironments (rl_environments.js)
+ * - Distributed: Parallel episodes in a worker pool with parameter
+ *   averaging (RLWorkerPool, rl_worker_pool.js; config.useDistributed)
  * 
  * Features:
- * - Custom RL algorithms (Q-Learning, Policy Gradient, Actor-Critic)
+ * - RL algorithms: DQN with replay + target network ('q-learning'),
+ *   REINFORCE with baseline ('policy-gradient'), A2C ('actor-critic')
  * - Auto-save checkpoints every N episodes
  * - Resume from checkpoint
  * - Real-time training visualization
  * - Integration with AEVOV pattern system
  * - Export trained models as .aev format
+ * - Training and checkpoints need no DOM (rl_worker_pool_harness.js drives
+ *   them in Node); only the interface does
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
     console.log('🤖 Loading Perpetual RL Training System...');
 
     const PerpetualRL = {
@@ -29,16 +36,26 @@
         // Configuration
         config: {
             algorithm: 'q-learning', // 'q-learning', 'policy-gradient', 'actor-critic'
+            environment: 'pattern-actions', // Any RLEnvironments id
+            maxStepsPerEpisode: 100,
             learningRate: 0.001,
             discountFactor: 0.99,
             explorationRate: 1.0,
             explorationDecay: 0.995,
             minExploration: 0.01,
             batchSize: 32,
+            hiddenSizes: [64, 64],
+            replaySize: 10000,          // DQN replay buffer capacity
+            targetUpdateInterval: 250,  // DQN steps between target network syncs
+            nSteps: 5,                  // A2C rollout length
+            entropyCoef: 0.01,          // A2C entropy bonus
+            seed: null,                 // Seed the agent for reproducible runs
             checkpointInterval: 100, // episodes
             maxEpisodes: Infinity,
             useCapNWeb: true,
-            useDistributed: false
+            useDistributed: false,
+            workerCount: 4,             // Workers per distributed round
+            episodesPerWorker: 4        // Episodes each worker runs before averaging
         },
 
         // State
@@ -50,6 +67,11 @@
             totalReward: 0,
             averageReward: 0,
             network: null,
+            agent: null,
+            env: null,
+            envOptions: {},
+            pool: null,                 // RLWorkerPool while training distributed
+            round: null,                // In-flight distributed round
             capnwebInstance: null,
             interfaceOpen: false,
             trainingHistory: [],
@@ -67,9 +89,6 @@
 
             console.log('⚡ Initializing Perpetual RL Training...');
 
-            // Load NeuroJS
-            await this.loadNeuroJS();
-
             // Initialize CapNWeb if enabled
             if (this.config.useCapNWeb) {
                 await this.initCapNWeb();
@@ -91,89 +110,6 @@
             console.log('✅ Perpetual RL Training ready!');
         },
 
-        /**
-         * LOAD NEUROJS
-         */
-        async loadNeuroJS() {
-            if (window.neurojs) {
-                console.log('✓ NeuroJS already loaded');
-                return;
-            }
-
-            return new Promise((resolve) => {
-                const script = document.createElement('script');
-                script.src = 'https://cdn.jsdelivr.net/npm/neurojs@1.4.0/dist/neuro.min.js';
-                script.onload = () => {
-                    console.log('✓ NeuroJS loaded');
-                    resolve();
-                };
-                script.onerror = () => {
-                    console.warn('⚠️ NeuroJS failed to load, using fallback');
-                    this.createFallbackNeuroJS();
-                    resolve();
-                };
-                document.head.appendChild(script);
-            });
-        },
-
-        /**
-         * CREATE FALLBACK NEUROJS
-         * Simple neural network implementation if NeuroJS unavailable
-         */
-        createFallbackNeuroJS() {
-            window.neurojs = {
-                Network: class {
-                    constructor(layers) {
-                        this.layers = layers;
-                        this.weights = [];
-                        this.initWeights();
-                    }
-
-                    initWeights() {
-                        for (let i = 0; i < this.layers.length - 1; i++) {
-                            const w = [];
-                            for (let j = 0; j < this.layers[i] * this.layers[i + 1]; j++) {
-                                w.push(Math.random() * 2 - 1);
-                            }
-                            this.weights.push(w);
-                        }
-                    }
-
-                    forward(input) {
-                        let output = input;
-                        for (let i = 0; i < this.weights.length; i++) {
-                            output = this.layerForward(output, this.weights[i], this.layers[i + 1]);
-                        }
-                        return output;
-                    }
-
-                    layerForward(input, weights, outputSize) {
-                        const output = [];
-                        for (let i = 0; i < outputSize; i++) {
-                            let sum = 0;
-                            for (let j = 0; j < input.length; j++) {
-                                sum += input[j] * weights[j * outputSize + i];
-                            }
-                            output.push(Math.tanh(sum));
-                        }
-                        return output;
-                    }
-
-                    backward(input, target, learningRate) {
-                        // Simplified backpropagation
-                        // Full implementation would be much more complex
-                        return 0.1;
-                    }
-
-                    predict(input) {
-                        return this.forward(input);
-                    }
-                }
-            };
-
-            console.log('✓ Fallback NeuroJS created');
-        },
-
         /**
          * INIT CAPNWEB
          */
@@ -200,21 +136,90 @@
 
         /**
          * CREATE NETWORK
+         * Builds the agent for config.algorithm; state.network is its policy / Q network
          */
         createNetwork() {
             console.log('🧠 Creating neural network...');
 
-            // Define network architecture
-            const inputSize = 10;  // Pattern features
-            const hiddenSize = 64;
-            const outputSize = 4;  // Actions
+            if (!root.RLAlgorithms) {
+                console.error('❌ Cannot create network - RLAlgorithms not available');
+                return;
+            }
 
-            if (window.neurojs) {
-                this.state.network = new neurojs.Network([inputSize, hiddenSize, hiddenSize, outputSize]);
-                console.log(`✓ Network created: [${inputSize}, ${hiddenSize}, ${hiddenSize}, ${outputSize}]`);
-            } else {
-                console.error('❌ Cannot create network - NeuroJS not available');
+            if (!this.state.env) {
+                this.createEnvironment();
             }
+
+            // Workers hold copies of the previous agent
+            this.stopWorkers();
+
+            this.state.agent = root.RLAlgorithms.create(this.config.algorithm, {
+                ...this.config,
+                stateSize: this.state.env.observationSpace.shape[0],
+                actionSize: this.state.env.actionSpace.n
+            });
+            this.state.network = this.state.agent.network;
+
+            console.log(`✓ ${this.config.algorithm} agent created: [${this.state.network.layers.join(', ')}]`);
+        },
+
+        /**
+         * SET ALGORITHM (starts a fresh agent; episode statistics are kept)
+         */
+        setAlgorithm(algorithm) {
+            if (!root.RLAlgorithms.algorithms.includes(algorithm)) {
+                throw new Error(`Unknown RL algorithm: ${algorithm}`);
+            }
+
+            this.config.algorithm = algorithm;
+            this.createNetwork();
+
+            const select = typeof document !== 'undefined' ? document.getElementById('rlAlgorithm') : null;
+            if (select) select.value = algorithm;
+            console.log(`🔀 Algorithm switched to ${algorithm}`);
+        },
+
+        /**
+         * CREATE ENVIRONMENT (config.environment from the RLEnvironments registry)
+         */
+        createEnvironment() {
+            this.state.env?.close();
+            this.state.env = root.RLEnvironments.make(this.config.environment, {
+                seed: this.config.seed,
+                getPattern: () => this.getTrainingPattern(),
+                ...this.state.envOptions
+            });
+            console.log(`🌍 Environment: ${this.state.env.id}`);
+        },
+
+        /**
+         * SET ENVIRONMENT
+         * Builds a fresh agent sized for the environment's spaces and clears
+         * episode statistics (rewards of different tasks are not comparable)
+         */
+        setEnvironment(id, options = {}) {
+            const previous = { id: this.config.environment, options: this.state.envOptions };
+            this.config.environment = id;
+            this.state.envOptions = options;
+
+            try {
+                this.createEnvironment();
+            } catch (error) {
+                this.config.environment = previous.id;
+                this.state.envOptions = previous.options;
+                throw error;
+            }
+
+            this.createNetwork();
+            this.state.episode = 0;
+            this.state.totalReward = 0;
+            this.state.averageReward = 0;
+            this.state.trainingHistory = [];
+
+            const select = typeof document !== 'undefined' ? document.getElementById('rlEnvironment') : null;
+            if (select) select.value = id;
+            if (this.state.interfaceOpen) this.updateTrainingUI();
+            console.log(`🔀 Environment switched to ${id}`);
         },
 
         /**
@@ -234,10 +239,16 @@
             // Training loop
             while (this.state.training && this.state.episode < this.config.maxEpisodes) {
                 if (!this.state.paused) {
-                    await this.runEpisode();
+                    const before = this.state.episode;
+                    if (this.config.useDistributed) {
+                        await this.runDistributedRound();
+                    } else {
+                        await this.runEpisode();
+                    }
                     
-                    // Checkpoint
-                    if (this.state.episode % this.config.checkpointInterval === 0) {
+                    // Checkpoint (a distributed round completes several episodes at once)
+                    const interval = this.config.checkpointInterval;
+                    if (Math.floor(this.state.episode / interval) > Math.floor(before / interval)) {
                         await this.saveCheckpoint();
                     }
 
@@ -260,32 +271,34 @@
         async runEpisode() {
             const startTime = performance.now();
 
-            // Get training pattern from AEVOV system
-            const pattern = this.getTrainingPattern();
-            
-            // Convert pattern to state
-            const state = this.patternToState(pattern);
+            // Start an episode in the current environment
+            const env = this.state.env;
+            let state = env.reset();
             
             let episodeReward = 0;
             let done = false;
             let steps = 0;
+            let loss = null;
 
-            while (!done && steps < 100) {
-                // Choose action (epsilon-greedy)
+            while (!done && steps < this.config.maxStepsPerEpisode) {
+                // Choose action (agent policy)
                 const action = this.chooseAction(state);
                 
                 // Execute action and get reward
-                const { nextState, reward, isDone } = this.step(state, action, pattern);
+                const { observation: nextState, reward, done: isDone } = env.step(action);
                 
                 // Learn from experience
-                await this.learn(state, action, reward, nextState);
+                loss = await this.learn(state, action, reward, nextState, isDone) ?? loss;
                 
                 episodeReward += reward;
-                state.splice(0, state.length, ...nextState);
+                state = nextState;
                 done = isDone;
                 steps++;
             }
 
+            // Episode-level updates (REINFORCE returns, A2C tail rollout)
+            loss = this.state.agent?.endEpisode() ?? loss;
+
             // Update statistics
             this.state.episode++;
             this.state.totalReward += episodeReward;
@@ -302,6 +315,7 @@
                 episode: this.state.episode,
                 reward: episodeReward,
                 steps: steps,
+                loss,
                 time: performance.now() - startTime,
                 exploration: this.config.explorationRate
             });
@@ -312,13 +326,126 @@
             }
         },
 
+        /**
+         * RUN DISTRIBUTED ROUND
+         * Every worker trains a copy of the agent for episodesPerWorker episodes;
+         * the averaged parameters become the agent's. Falls back to runEpisode
+         * when workers are unavailable or cannot build the environment.
+         */
+        async runDistributedRound() {
+            if (!this.state.pool) {
+                try {
+                    this.state.pool = await root.RLWorkerPool.create({
+                        size: this.config.workerCount,
+                        algorithm: this.config.algorithm,
+                        agentOptions: this.agentOptions(),
+                        environment: this.config.environment,
+                        envOptions: this.state.envOptions,
+                        patterns: this.workerPatterns(),
+                        seed: this.config.seed
+                    });
+                    console.log(`🧵 ${this.config.workerCount} training workers started`);
+                } catch (error) {
+                    console.warn('⚠️ Distributed training unavailable, training on the main thread:', error.message);
+                    this.config.useDistributed = false;
+                    return this.runEpisode();
+                }
+            }
+
+            this.state.round = this.runRound(this.state.pool);
+            try {
+                await this.state.round;
+            } finally {
+                this.state.round = null;
+            }
+        },
+
+        async runRound(pool) {
+            const startTime = performance.now();
+            const { params, results } = await pool.runRound(root.RLAlgorithms.getParameters(this.state.agent), {
+                episodes: this.config.episodesPerWorker,
+                explorationRate: this.config.explorationRate,
+                explorationDecay: this.config.explorationDecay,
+                minExploration: this.config.minExploration,
+                maxSteps: this.config.maxStepsPerEpisode
+            });
+
+            // The pool was replaced (new agent) while this round ran
+            if (pool !== this.state.pool) return;
+
+            root.RLAlgorithms.setParameters(this.state.agent, params);
+
+            const episodes = results.length * this.config.episodesPerWorker;
+            const time = (performance.now() - startTime) / episodes;
+
+            // Workers ran in parallel, so their episodes interleave in the history
+            for (let e = 0; e < this.config.episodesPerWorker; e++) {
+                results.forEach((result, worker) => {
+                    const stat = result.stats[e];
+                    this.state.episode++;
+                    this.state.totalReward += stat.reward;
+                    this.state.trainingHistory.push({
+                        episode: this.state.episode,
+                        reward: stat.reward,
+                        steps: stat.steps,
+                        loss: stat.loss,
+                        time,
+                        exploration: this.config.explorationRate,
+                        worker
+                    });
+                });
+            }
+
+            this.state.averageReward = this.state.totalReward / this.state.episode;
+            this.config.explorationRate = results[0].explorationRate;
+
+            if (this.state.trainingHistory.length > 1000) {
+                this.state.trainingHistory.splice(0, this.state.trainingHistory.length - 1000);
+            }
+        },
+
+        /**
+         * AGENT OPTIONS shared by the main agent and the workers' copies
+         */
+        agentOptions() {
+            const { algorithm, learningRate, discountFactor, batchSize, hiddenSizes,
+                replaySize, targetUpdateInterval, nSteps, entropyCoef } = this.config;
+            return { algorithm, learningRate, discountFactor, batchSize, hiddenSizes,
+                replaySize, targetUpdateInterval, nSteps, entropyCoef };
+        },
+
+        /**
+         * WORKER PATTERNS
+         * Workers have no access to the page, so they get a sample of
+         * getTrainingPattern() reduced to the fields the environments read
+         */
+        workerPatterns(count = 256) {
+            return Array.from({ length: count }, () => {
+                const pattern = this.getTrainingPattern();
+                return {
+                    id: pattern.id,
+                    category: pattern.category,
+                    categoryName: pattern.categoryName,
+                    keywords: [...(pattern.keywords || [])],
+                    confidence: pattern.confidence
+                };
+            });
+        },
+
+        stopWorkers() {
+            if (this.state.pool) {
+                this.state.pool.terminate();
+                this.state.pool = null;
+            }
+        },
+
         /**
          * GET TRAINING PATTERN
          */
         getTrainingPattern() {
             // Try to get from AEVOV pattern system
-            if (window.gatherAllPatterns) {
-                const patterns = window.gatherAllPatterns();
+            if (root.gatherAllPatterns) {
+                const patterns = root.gatherAllPatterns();
                 if (patterns.length > 0) {
                     return patterns[Math.floor(Math.random() * patterns.length)];
                 }
@@ -342,133 +469,41 @@
         },
 
         /**
-         * PATTERN TO STATE
+         * PATTERN TO STATE (see RLEnvironments.PatternActionEnv)
          */
         patternToState(pattern) {
-            // Convert pattern to state vector (10 dimensions)
-            const state = new Array(10).fill(0);
-            
-            // Encode keywords (first 5 dimensions)
-            const keywords = pattern.keywords || [];
-            for (let i = 0; i < Math.min(5, keywords.length); i++) {
-                state[i] = this.hashString(keywords[i]) / 1000000;
-            }
-            
-            // Encode confidence
-            state[5] = pattern.confidence || 0.5;
-            
-            // Encode category (one-hot)
-            const categoryIndex = this.getCategoryIndex(pattern.category);
-            state[6 + categoryIndex] = 1.0;
-            
-            return state;
-        },
-
-        /**
-         * HASH STRING
-         */
-        hashString(str) {
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                hash = hash & hash; // Convert to 32bit integer
-            }
-            return Math.abs(hash);
-        },
-
-        /**
-         * GET CATEGORY INDEX
-         */
-        getCategoryIndex(category) {
-            const categories = ['technology', 'science', 'business', 'other'];
-            const index = categories.indexOf(category);
-            return index >= 0 ? index : 3;
+            return root.RLEnvironments.PatternActionEnv.patternToState(pattern);
         },
 
         /**
          * CHOOSE ACTION
+         * DQN: epsilon-greedy on Q-values; policy methods sample their softmax policy
          */
         chooseAction(state) {
-            // Epsilon-greedy policy
-            if (Math.random() < this.config.explorationRate) {
-                // Explore: random action
-                return Math.floor(Math.random() * 4);
-            } else {
-                // Exploit: use network
-                const qValues = this.state.network.predict(state);
-                return qValues.indexOf(Math.max(...qValues));
-            }
+            return this.state.agent.act(state, { explorationRate: this.config.explorationRate });
         },
 
         /**
-         * STEP (ENVIRONMENT)
+         * STEP (ENVIRONMENT, original pattern-actions task)
          */
         step(state, action, pattern) {
-            // Simple reward function based on action and pattern
-            let reward = 0;
-            
-            // Action 0: Extract more keywords -> reward based on pattern quality
-            if (action === 0) {
-                reward = (pattern.confidence || 0.5) * 1.0;
-            }
-            // Action 1: Compress pattern -> reward for efficiency
-            else if (action === 1) {
-                reward = 0.8;
-            }
-            // Action 2: Cache pattern -> reward for speed
-            else if (action === 2) {
-                reward = 0.6;
-            }
-            // Action 3: Evolve pattern -> reward for innovation
-            else if (action === 3) {
-                reward = (pattern.confidence || 0.5) * 1.2;
-            }
-
-            // Add noise
-            reward += (Math.random() - 0.5) * 0.2;
-
-            // Next state (slightly modified)
-            const nextState = state.map(s => s + (Math.random() - 0.5) * 0.1);
-
-            // Episode done after 100 steps (handled in runEpisode)
-            const done = false;
-
-            return { nextState, reward, isDone: done };
-        },
-
-        /**
-         * LEARN (Q-LEARNING)
-         */
-        async learn(state, action, reward, nextState) {
-            if (!this.state.network) return;
-
-            // Q-Learning update
-            const currentQ = this.state.network.predict(state);
-            const nextQ = this.state.network.predict(nextState);
-            const maxNextQ = Math.max(...nextQ);
-
-            // Target Q-value
-            const target = currentQ.slice();
-            target[action] = reward + this.config.discountFactor * maxNextQ;
-
-            // Train network
-            if (this.config.useCapNWeb && this.state.capnwebInstance) {
-                // Use CapNWeb for distributed training
-                await this.trainWithCapNWeb(state, target);
-            } else {
-                // Local training
-                this.state.network.backward(state, target, this.config.learningRate);
-            }
+            return root.RLEnvironments.PatternActionEnv.transition(state, action, pattern);
         },
 
         /**
-         * TRAIN WITH CAPNWEB
+         * LEARN
+         * Hands the transition to the agent; returns the update's loss or null
          */
-        async trainWithCapNWeb(state, target) {
-            // Distributed training using CapNWeb
-            // This would require setting up CapNWeb workers
-            // For now, fallback to local
-            this.state.network.backward(state, target, this.config.learningRate);
+        async learn(state, action, reward, nextState, done = false) {
+            if (!this.state.agent) return null;
+
+            return this.state.agent.observe({
+                state: state.slice(),
+                action,
+                reward,
+                nextState: nextState.slice(),
+                done
+            });
         },
 
         /**
@@ -493,6 +528,7 @@
         stopTraining() {
             this.state.training = false;
             this.state.paused = false;
+            this.stopWorkers();
             console.log('⏹️ Training stopped');
         },
 
@@ -500,11 +536,19 @@
          * SAVE CHECKPOINT
          */
         async saveCheckpoint() {
+            // Snapshot the averaged agent, not one from the middle of a round
+            if (this.state.round) await this.state.round.catch(() => {});
+
             const checkpoint = {
                 episode: this.state.episode,
                 timestamp: new Date().toISOString(),
                 config: this.config,
+                environment: { id: this.config.environment, options: this.state.envOptions },
                 networkWeights: this.state.network?.weights || [],
+                agent: this.state.agent?.toJSON() || null,
+                distributed: this.state.pool
+                    ? { workers: this.state.pool.size, round: this.state.pool.round }
+                    : null,
                 stats: {
                     totalReward: this.state.totalReward,
                     averageReward: this.state.averageReward,
@@ -513,7 +557,7 @@
             };
 
             // Save to localStorage
-            localStorage.setItem('aevov_rl_checkpoint', JSON.stringify(checkpoint));
+            root.localStorage.setItem('aevov_rl_checkpoint', JSON.stringify(checkpoint));
 
             // Add to checkpoints list
             this.state.checkpoints.push({
@@ -529,9 +573,9 @@
             console.log(`💾 Checkpoint saved (Episode ${checkpoint.episode})`);
 
             // Also save to AEVOV database if available
-            if (window.AevovDB?.insertPattern) {
+            if (root.AevovDB?.insertPattern) {
                 try {
-                    await window.AevovDB.insertPattern({
+                    await root.AevovDB.insertPattern({
                         type: 'rl_checkpoint',
                         data: checkpoint
                     });
@@ -545,23 +589,35 @@
          * LOAD CHECKPOINT
          */
         async loadCheckpoint() {
-            const saved = localStorage.getItem('aevov_rl_checkpoint');
+            const saved = root.localStorage.getItem('aevov_rl_checkpoint');
             if (!saved) {
                 console.log('No checkpoint found');
                 return;
             }
 
+            // A finishing round would overwrite the restored weights
+            if (this.state.round) await this.state.round.catch(() => {});
+
             try {
                 const checkpoint = JSON.parse(saved);
+
+                // Agent shapes follow the environment, so restore it first
+                if (checkpoint.environment && checkpoint.environment.id !== this.config.environment) {
+                    this.setEnvironment(checkpoint.environment.id, checkpoint.environment.options);
+                }
                 
                 this.state.episode = checkpoint.episode;
                 this.state.totalReward = checkpoint.stats.totalReward;
                 this.state.averageReward = checkpoint.stats.averageReward;
                 this.config.explorationRate = checkpoint.stats.explorationRate;
 
-                // Restore network weights
-                if (this.state.network && checkpoint.networkWeights.length > 0) {
-                    this.state.network.weights = checkpoint.networkWeights;
+                // Restore the agent (checkpoints from before RLAlgorithms have no agent snapshot)
+                if (checkpoint.agent && this.state.agent) {
+                    if (checkpoint.agent.algorithm !== this.config.algorithm) {
+                        this.setAlgorithm(checkpoint.agent.algorithm);
+                    }
+                    this.state.agent.load(checkpoint.agent);
+                    // Running workers pick up the restored weights with the next round
                 }
 
                 console.log(`✓ Checkpoint loaded (Episode ${checkpoint.episode})`);
@@ -579,30 +635,27 @@
                 return;
             }
 
-            const model = {
-                model_name: 'rl-trained-model',
-                version: '1.0',
-                created_at: new Date().toISOString(),
-                protocol: 'aev',
-                type: 'reinforcement-learning',
+            const model = root.AevFormat.createModel({
+                name: 'rl-trained-model',
+                kind: 'reinforcement-learning',
+                producer: 'PerpetualRL',
                 metadata: {
                     episodes: this.state.episode,
                     averageReward: this.state.averageReward,
                     algorithm: this.config.algorithm,
-                    architecture: this.state.network.layers
+                    environment: this.config.environment
                 },
-                weights: this.state.network.weights,
-                trainingHistory: this.state.trainingHistory.slice(-100) // Last 100 episodes
-            };
+                extras: {
+                    architecture: this.state.network.layers,
+                    weights: this.state.network.weights,
+                    agent: this.state.agent.toJSON(),
+                    trainingHistory: this.state.trainingHistory.slice(-100) // Last 100 episodes
+                },
+                patterns: []
+            });
 
             // Download as .aev file
-            const blob = new Blob([JSON.stringify(model, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `rl-model-ep${this.state.episode}.aev`;
-            a.click();
-            URL.revokeObjectURL(url);
+            root.AevFormat.download(model, `rl-model-ep${this.state.episode}.aev`);
 
             console.log('✓ Model exported as .aev');
         },
@@ -688,6 +741,36 @@
                         ">⏹️ Stop</button>
                     </div>
 
+                    <!-- Algorithm -->
+                    <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 20px;">
+                        <label for="rlAlgorithm" style="font-size: 14px; opacity: 0.8;">Algorithm</label>
+                        <select id="rlAlgorithm" onchange="window.PerpetualRL.setAlgorithm(this.value)" style="
+                            flex: 1;
+                            padding: 8px;
+                            background: rgba(0,0,0,0.3);
+                            border: 1px solid #ff9f0a;
+                            color: white;
+                            border-radius: 6px;
+                        ">
+                            <option value="q-learning" ${this.config.algorithm === 'q-learning' ? 'selected' : ''}>DQN (replay + target network)</option>
+                            <option value="policy-gradient" ${this.config.algorithm === 'policy-gradient' ? 'selected' : ''}>REINFORCE with baseline</option>
+                            <option value="actor-critic" ${this.config.algorithm === 'actor-critic' ? 'selected' : ''}>A2C (advantage actor-critic)</option>
+                        </select>
+                        <label for="rlEnvironment" style="font-size: 14px; opacity: 0.8;">Environment</label>
+                        <select id="rlEnvironment" onchange="window.PerpetualRL.setEnvironment(this.value)" style="
+                            flex: 1;
+                            padding: 8px;
+                            background: rgba(0,0,0,0.3);
+                            border: 1px solid #ff9f0a;
+                            color: white;
+                            border-radius: 6px;
+                        ">
+                            ${(window.RLEnvironments?.list() || []).map(env => `
+                                <option value="${env.id}" title="${env.description}" ${env.id === this.config.environment ? 'selected' : ''}>${env.id}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+
                     <!-- Stats -->
                     <div style="
                         background: rgba(255, 159, 10, 0.1);
@@ -713,6 +796,16 @@
                         </div>
                     </div>
 
+                    <!-- Environment view -->
+                    <pre id="rlEnvRender" style="
+                        background: rgba(0,0,0,0.3);
+                        padding: 10px;
+                        border-radius: 10px;
+                        margin: 0 0 20px 0;
+                        font-size: 12px;
+                        white-space: pre-wrap;
+                    "></pre>
+
                     <!-- Training Chart -->
                     <div style="background: rgba(0,0,0,0.3); padding: 15px; border-radius: 10px; margin-bottom: 20px; height: 200px;">
                         <canvas id="rlTrainingChart" style="width: 100%; height: 100%;"></canvas>
@@ -849,6 +942,12 @@
             // Update chart
             this.renderChart();
 
+            // Environment view
+            const view = document.getElementById('rlEnvRender');
+            if (view && this.state.env) {
+                view.textContent = this.state.env.render() || '';
+            }
+
             // Update buttons
             document.getElementById('rlStartBtn').disabled = this.state.training;
             document.getElementById('rlPauseBtn').disabled = !this.state.training;
@@ -870,7 +969,7 @@
             this.createNetwork();
 
             // Clear checkpoint
-            localStorage.removeItem('aevov_rl_checkpoint');
+            root.localStorage.removeItem('aevov_rl_checkpoint');
 
             this.updateTrainingUI();
             
@@ -903,17 +1002,20 @@
         }
     };
 
-    // Auto-initialize
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            PerpetualRL.init();
+    // Loaded on first use; agents, environments and workers come first
+    if (root.AevovLoader) {
+        root.AevovLoader.declare('PerpetualRL', {
+            dependsOn: ['RLAlgorithms', 'RLEnvironments', 'RLWorkerPool'],
+            init: () => PerpetualRL.init()
         });
-    } else {
-        PerpetualRL.init();
     }
 
     // Export globally
-    window.PerpetualRL = PerpetualRL;
+    root.PerpetualRL = PerpetualRL;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PerpetualRL;
+    }
 
     console.log('✅ Perpetual RL Training System loaded');
     console.log('⌨️ Press Ctrl+Shift+R to open interface');
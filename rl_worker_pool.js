@@ -0,0 +1,279 @@
+/**
+ * RL WORKER POOL
+ * Parallel episode rollouts for PerpetualRL (Web Workers or Node worker_threads)
+ *
+ * Each round:
+ * 1. The main thread sends the current parameters (one Float64Array per
+ *    worker, moved as a Transferable) to every worker
+ * 2. Every worker loads them into its own agent, runs `episodes` episodes
+ *    in its own environment instance (own seed, own replay buffer /
+ *    optimizer state) and transfers its updated parameters back
+ * 3. The pool averages the returned parameters (synchronous parameter
+ *    averaging) - the new parameters of the main agent
+ *
+ * Workers load seeded_random.js, rl_algorithms.js and rl_environments.js
+ * themselves, so only environments that need no DOM can run in workers (not
+ * 'pattern-match', which needs AevmerGamer); creation fails and PerpetualRL
+ * stays on the main thread in that case.
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+    const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node) && typeof window === 'undefined';
+
+    console.log('🧵 Loading RL Worker Pool...');
+
+    // Where the worker finds rl_algorithms.js / rl_environments.js
+    const SCRIPT_BASE = isNode
+        ? __dirname
+        : (typeof document !== 'undefined' && document.currentScript?.src
+            ? document.currentScript.src.replace(/[^/]*$/, '')
+            : '');
+
+    /**
+     * WORKER MAIN (stringified into every worker)
+     * port: { on(handler), post(message, transfer) }, scope: worker global
+     */
+    function workerMain(port, scope) {
+        let agent = null;
+        let env = null;
+
+        port.on(message => {
+            try {
+                if (message.type === 'init') {
+                    env = scope.RLEnvironments.make(message.environment, {
+                        ...message.envOptions,
+                        seed: message.seed,
+                        patterns: message.patterns
+                    });
+                    agent = scope.RLAlgorithms.create(message.algorithm, {
+                        ...message.agentOptions,
+                        stateSize: env.observationSpace.shape[0],
+                        actionSize: env.actionSpace.n,
+                        seed: message.seed
+                    });
+                    port.post({ type: 'ready', id: message.id });
+                } else if (message.type === 'run') {
+                    scope.RLAlgorithms.setParameters(agent, message.params);
+
+                    let explorationRate = message.explorationRate;
+                    const stats = [];
+                    for (let e = 0; e < message.episodes; e++) {
+                        stats.push(scope.RLAlgorithms.rollout(agent, env, { explorationRate, maxSteps: message.maxSteps }));
+                        explorationRate = Math.max(message.minExploration, explorationRate * message.explorationDecay);
+                    }
+
+                    const params = scope.RLAlgorithms.getParameters(agent);
+                    port.post({ type: 'result', id: message.id, params, stats, explorationRate }, [params.buffer]);
+                }
+            } catch (error) {
+                port.post({ type: 'error', id: message.id, message: error.message });
+            }
+        });
+    }
+
+    /**
+     * SPAWN one worker behind a { post, on, onError, terminate } adapter
+     */
+    function spawn(base) {
+        if (isNode) {
+            const { Worker } = require('worker_threads');
+            const path = require('path');
+            const source = `
+                const { parentPort } = require('worker_threads');
+                require(${JSON.stringify(path.join(base, 'rl_algorithms.js'))});
+                require(${JSON.stringify(path.join(base, 'rl_environments.js'))});
+                (${workerMain.toString()})({
+                    on: handler => parentPort.on('message', handler),
+                    post: (message, transfer) => parentPort.postMessage(message, transfer)
+                }, globalThis);
+            `;
+            const worker = new Worker(source, { eval: true });
+            return {
+                post: (message, transfer) => worker.postMessage(message, transfer),
+                on: handler => worker.on('message', handler),
+                onError: handler => worker.on('error', handler),
+                terminate: () => worker.terminate()
+            };
+        }
+
+        const source = `
+            importScripts(${JSON.stringify(base + 'seeded_random.js')}, ${JSON.stringify(base + 'rl_algorithms.js')}, ${JSON.stringify(base + 'rl_environments.js')});
+            (${workerMain.toString()})({
+                on: handler => { self.onmessage = event => handler(event.data); },
+                post: (message, transfer) => self.postMessage(message, transfer)
+            }, self);
+        `;
+        const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        const worker = new Worker(url);
+        URL.revokeObjectURL(url);
+        return {
+            post: (message, transfer) => worker.postMessage(message, transfer),
+            on: handler => { worker.onmessage = event => handler(event.data); },
+            onError: handler => { worker.onerror = event => handler(new Error(event.message || 'Worker error')); },
+            terminate: () => worker.terminate()
+        };
+    }
+
+    /**
+     * AVERAGE parameter vectors
+     */
+    function average(vectors) {
+        const result = new Float64Array(vectors[0].length);
+        vectors.forEach(vector => {
+            for (let i = 0; i < result.length; i++) result[i] += vector[i];
+        });
+        for (let i = 0; i < result.length; i++) result[i] /= vectors.length;
+        return result;
+    }
+
+    class WorkerPool {
+        constructor(options) {
+            this.options = options;
+            this.size = options.size;
+            this.workers = [];
+            this.round = 0;
+            this.busy = null;
+            this.nextId = 0;
+        }
+
+        async start() {
+            const base = this.options.scriptBase ?? SCRIPT_BASE;
+
+            for (let i = 0; i < this.size; i++) {
+                const worker = spawn(base);
+                worker.pending = new Map();
+                worker.on(message => {
+                    const pending = worker.pending.get(message.id);
+                    if (!pending) return;
+                    worker.pending.delete(message.id);
+                    if (message.type === 'error') {
+                        pending.reject(new Error(`Worker ${i}: ${message.message}`));
+                    } else {
+                        pending.resolve(message);
+                    }
+                });
+                worker.onError(error => {
+                    worker.pending.forEach(pending => pending.reject(error));
+                    worker.pending.clear();
+                });
+                this.workers.push(worker);
+            }
+
+            const seed = this.options.seed;
+            try {
+                await Promise.all(this.workers.map((worker, i) => this.request(worker, {
+                    type: 'init',
+                    algorithm: this.options.algorithm,
+                    agentOptions: this.options.agentOptions,
+                    environment: this.options.environment,
+                    envOptions: this.options.envOptions,
+                    patterns: this.options.patterns,
+                    // Every worker explores differently
+                    seed: seed === null || seed === undefined ? undefined : seed + 7919 * (i + 1)
+                })));
+            } catch (error) {
+                this.terminate();
+                throw error;
+            }
+
+            return this;
+        }
+
+        request(worker, message, transfer = []) {
+            const id = ++this.nextId;
+            return new Promise((resolve, reject) => {
+                worker.pending.set(id, { resolve, reject });
+                worker.post({ ...message, id }, transfer);
+            });
+        }
+
+        /**
+         * RUN ROUND
+         * options: { episodes, explorationRate, explorationDecay, minExploration, maxSteps }
+         * Returns { params (averaged), results: [{ stats, explorationRate }], round }
+         */
+        runRound(params, options = {}) {
+            if (this.busy) {
+                throw new Error('A round is already running');
+            }
+
+            this.busy = (async () => {
+                const results = await Promise.all(this.workers.map(worker => {
+                    const copy = Float64Array.from(params);
+                    return this.request(worker, {
+                        type: 'run',
+                        params: copy,
+                        episodes: options.episodes ?? 1,
+                        explorationRate: options.explorationRate ?? 0,
+                        explorationDecay: options.explorationDecay ?? 1,
+                        minExploration: options.minExploration ?? 0,
+                        maxSteps: options.maxSteps ?? 100
+                    }, [copy.buffer]);
+                }));
+
+                this.round++;
+                return {
+                    params: average(results.map(result => result.params)),
+                    results: results.map(({ stats, explorationRate }) => ({ stats, explorationRate })),
+                    round: this.round
+                };
+            })();
+
+            return this.busy.finally(() => {
+                this.busy = null;
+            });
+        }
+
+        whenIdle() {
+            return this.busy ? this.busy.then(() => {}, () => {}) : Promise.resolve();
+        }
+
+        terminate() {
+            this.workers.forEach(worker => worker.terminate());
+            this.workers = [];
+        }
+    }
+
+    const RLWorkerPool = {
+        version: '1.0.0',
+
+        WorkerPool,
+        average,
+
+        get supported() {
+            if (isNode) {
+                try {
+                    return Boolean(require('worker_threads').Worker);
+                } catch (error) {
+                    return false;
+                }
+            }
+            return typeof Worker !== 'undefined' && typeof Blob !== 'undefined';
+        },
+
+        /**
+         * CREATE (resolves once every worker has built its agent and environment)
+         * options: { size, algorithm, agentOptions, environment, envOptions, patterns, seed, scriptBase }
+         */
+        async create(options) {
+            if (!this.supported) {
+                throw new Error('Workers are not available in this environment');
+            }
+            return new WorkerPool({ size: 4, ...options }).start();
+        }
+    };
+
+    // Export globally
+    root.RLWorkerPool = RLWorkerPool;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RLWorkerPool;
+    }
+
+    console.log('✅ RL Worker Pool loaded');
+    console.log('💡 Use: PerpetualRL.config.useDistributed = true, then startTraining()');
+
+})();
@@ -0,0 +1,256 @@
+/**
+ * RL WORKER POOL HARNESS
+ * Node checks for rl_worker_pool.js on real worker_threads, without a DOM
+ *
+ * A 2-worker pool trains on the deterministic 'corridor' environment, so the
+ * main thread can replay what every worker did and check that a round returns
+ * exactly the average of the workers' parameters. PerpetualRL's checkpoints
+ * are round-tripped through an in-memory localStorage.
+ *
+ * Run:
+ *   node --experimental-detect-module rl_worker_pool_harness.js [name filter]
+ *   (Node 22.7+ detects ES modules without the flag)
+ *
+ * Exits non-zero when any check fails. runWorkerPoolChecks() can also be
+ * imported to drive the same checks from another script.
+ */
+
+import { createRequire } from 'node:module';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+// Same load order as the page
+require('./seeded_random.js');
+const RLAlgorithms = require('./rl_algorithms.js');
+const RLEnvironments = require('./rl_environments.js');
+const RLWorkerPool = require('./rl_worker_pool.js');
+const PerpetualRL = require('./rl_training_system.js');
+
+const SEED = 11;
+const POOL_OPTIONS = {
+    size: 2,
+    algorithm: 'actor-critic',
+    agentOptions: { hiddenSizes: [8], learningRate: 0.01 },
+    environment: 'corridor',
+    envOptions: {},
+    seed: SEED
+};
+const ROUND_OPTIONS = { episodes: 3, explorationRate: 0.5, explorationDecay: 0.9, minExploration: 0.05, maxSteps: 30 };
+
+/**
+ * Install an in-memory localStorage for PerpetualRL; returns a restore function
+ */
+export function installMemoryStorage() {
+    const previous = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+    const items = new Map();
+
+    Object.defineProperty(globalThis, 'localStorage', {
+        configurable: true,
+        writable: true,
+        value: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); },
+            clear: () => items.clear()
+        }
+    });
+
+    return () => {
+        if (previous) {
+            Object.defineProperty(globalThis, 'localStorage', previous);
+        } else {
+            delete globalThis.localStorage;
+        }
+    };
+}
+
+/**
+ * Replay worker `index` of a round on the main thread (same seed, same
+ * environment, same episodes) and return its updated parameters
+ */
+function replayWorker(index, params) {
+    const seed = SEED + 7919 * (index + 1);
+    const env = RLEnvironments.make(POOL_OPTIONS.environment, { ...POOL_OPTIONS.envOptions, seed });
+    const agent = RLAlgorithms.create(POOL_OPTIONS.algorithm, {
+        ...POOL_OPTIONS.agentOptions,
+        stateSize: env.observationSpace.shape[0],
+        actionSize: env.actionSpace.n,
+        seed
+    });
+    RLAlgorithms.setParameters(agent, params);
+
+    let explorationRate = ROUND_OPTIONS.explorationRate;
+    for (let e = 0; e < ROUND_OPTIONS.episodes; e++) {
+        RLAlgorithms.rollout(agent, env, { explorationRate, maxSteps: ROUND_OPTIONS.maxSteps });
+        explorationRate = Math.max(ROUND_OPTIONS.minExploration, explorationRate * ROUND_OPTIONS.explorationDecay);
+    }
+    return RLAlgorithms.getParameters(agent);
+}
+
+function initialParameters() {
+    const env = RLEnvironments.make(POOL_OPTIONS.environment);
+    return RLAlgorithms.getParameters(RLAlgorithms.create(POOL_OPTIONS.algorithm, {
+        ...POOL_OPTIONS.agentOptions,
+        stateSize: env.observationSpace.shape[0],
+        actionSize: env.actionSpace.n,
+        seed: SEED
+    }));
+}
+
+/**
+ * ASSERTIONS
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+}
+
+/**
+ * CHECKS
+ */
+export const WORKER_POOL_CHECKS = [
+    {
+        name: 'average() is the element-wise mean',
+        async run() {
+            const mean = RLWorkerPool.average([Float64Array.of(1, 2, 3), Float64Array.of(3, 6, -3)]);
+            assertEqual(Array.from(mean), [2, 4, 0], 'mean of two vectors');
+        }
+    },
+    {
+        name: 'a 2-worker round returns the average of both workers\' parameters',
+        async run() {
+            const pool = await RLWorkerPool.create(POOL_OPTIONS);
+            try {
+                assertEqual(pool.workers.length, 2, 'workers started');
+
+                const params = initialParameters();
+                const round = await pool.runRound(params, ROUND_OPTIONS);
+
+                assertEqual(round.round, 1, 'round counter');
+                assertEqual(round.results.map(r => r.stats.length), [3, 3], 'episodes per worker');
+                assert(round.params.some((value, i) => value !== params[i]), 'the round changed the parameters');
+
+                const expected = RLWorkerPool.average([replayWorker(0, params), replayWorker(1, params)]);
+                assertEqual(Array.from(round.params), Array.from(expected), 'averaged parameters');
+            } finally {
+                pool.terminate();
+            }
+        }
+    },
+    {
+        name: 'overlapping rounds are rejected',
+        async run() {
+            const pool = await RLWorkerPool.create(POOL_OPTIONS);
+            try {
+                const params = initialParameters();
+                const first = pool.runRound(params, ROUND_OPTIONS);
+                let error = null;
+                try {
+                    pool.runRound(params, ROUND_OPTIONS);
+                } catch (e) {
+                    error = e;
+                }
+                await first;
+                assert(error && /already running/.test(error.message), 'second runRound throws while busy');
+            } finally {
+                pool.terminate();
+            }
+        }
+    },
+    {
+        name: 'PerpetualRL checkpoint round-trips the averaged agent',
+        async run() {
+            const restoreStorage = installMemoryStorage();
+            const config = { ...PerpetualRL.config };
+            try {
+                Object.assign(PerpetualRL.config, {
+                    algorithm: 'q-learning',
+                    environment: 'corridor',
+                    hiddenSizes: [8],
+                    seed: SEED,
+                    useCapNWeb: false,
+                    useDistributed: true,
+                    workerCount: 2,
+                    episodesPerWorker: 2,
+                    maxStepsPerEpisode: 30
+                });
+                PerpetualRL.setEnvironment('corridor');
+
+                await PerpetualRL.runDistributedRound();
+                assert(PerpetualRL.state.pool, 'training ran on the worker pool');
+                assertEqual(PerpetualRL.state.episode, 4, 'episodes after one round');
+
+                await PerpetualRL.saveCheckpoint();
+                const saved = JSON.parse(globalThis.localStorage.getItem('aevov_rl_checkpoint'));
+                assertEqual(saved.distributed, { workers: 2, round: 1 }, 'checkpointed pool');
+
+                const trained = Array.from(RLAlgorithms.getParameters(PerpetualRL.state.agent));
+                PerpetualRL.setAlgorithm('policy-gradient');
+                PerpetualRL.state.episode = 0;
+
+                await PerpetualRL.loadCheckpoint();
+                assertEqual(PerpetualRL.config.algorithm, 'q-learning', 'restored algorithm');
+                assertEqual(PerpetualRL.state.episode, 4, 'restored episode');
+                assertEqual(Array.from(RLAlgorithms.getParameters(PerpetualRL.state.agent)), trained, 'restored parameters');
+            } finally {
+                PerpetualRL.stopWorkers();
+                Object.assign(PerpetualRL.config, config);
+                restoreStorage();
+            }
+        }
+    }
+];
+
+/**
+ * RUN WORKER POOL CHECKS
+ */
+export async function runWorkerPoolChecks(options = {}) {
+    const log = options.log || console.log;
+    const filter = options.filter ? String(options.filter).toLowerCase() : null;
+    const checks = WORKER_POOL_CHECKS.filter(check => !filter || check.name.toLowerCase().includes(filter));
+    const results = [];
+
+    // The modules log their own progress; keep the report readable
+    const { log: consoleLog, error: consoleError } = console;
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+        for (const check of checks) {
+            const started = Date.now();
+            try {
+                await check.run();
+                results.push({ name: check.name, ok: true, ms: Date.now() - started });
+                log(`  ✅ ${check.name}`);
+            } catch (error) {
+                results.push({ name: check.name, ok: false, error: error.message, ms: Date.now() - started });
+                log(`  ❌ ${check.name}\n     ${error.message}`);
+            }
+        }
+    } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+    }
+
+    const failed = results.filter(r => !r.ok).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    console.log(`🧪 RL worker pool harness (${fileURLToPath(import.meta.url)})`);
+
+    const summary = await runWorkerPoolChecks({ filter: process.argv[2], log: (line) => process.stdout.write(line + '\n') });
+
+    console.log(`\n${summary.failed === 0 ? '✅' : '❌'} ${summary.passed} passed, ${summary.failed} failed`);
+    process.exitCode = summary.failed === 0 ? 0 : 1;
+}
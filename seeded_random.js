@@ -0,0 +1,80 @@
+/**
+ * SEEDED RANDOM
+ * The one seedable PRNG (mulberry32) every reproducible run draws from:
+ * consensus simulations, vector index levels, Neuro Architect evolution
+ * and the RL agents/environments
+ *
+ *   const random = SeededRandom.mulberry32(42);      // or a string seed
+ *   random();                                        // number in [0, 1)
+ *
+ * step(holder) advances a generator whose state lives on holder.rngState,
+ * for callers that snapshot and restore the state (VectorIndex).
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🎲 Loading Seeded Random...');
+
+    /**
+     * HASH SEED (FNV-1a, 32-bit) - turns string seeds into numbers
+     */
+    function hashSeed(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function toState(seed) {
+        return (typeof seed === 'string' ? hashSeed(seed) : seed) >>> 0;
+    }
+
+    /**
+     * STEP the generator held on holder.rngState; returns a number in [0, 1)
+     */
+    function step(holder) {
+        holder.rngState = (holder.rngState + 0x6d2b79f5) >>> 0;
+        let t = holder.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * MULBERRY32: seed (number or string) -> () => number in [0, 1)
+     */
+    function mulberry32(seed) {
+        const holder = { rngState: toState(seed) };
+        return function random() {
+            return step(holder);
+        };
+    }
+
+    /**
+     * RESOLVE options.random, else a generator for options.seed, else Math.random
+     */
+    function resolve(options = {}) {
+        if (options.random) return options.random;
+        return options.seed !== undefined && options.seed !== null ? mulberry32(options.seed) : Math.random;
+    }
+
+    const SeededRandom = {
+        mulberry32,
+        step,
+        resolve,
+        hashSeed
+    };
+
+    root.SeededRandom = SeededRandom;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SeededRandom;
+    }
+
+    console.log('✅ Seeded Random loaded');
+})();
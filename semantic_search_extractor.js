@@ -1,31 +1,70 @@
 /**
  * SEMANTIC PATTERN SEARCH SYSTEM
  * Replaces keyword matching with vector embeddings
+ *
+ * No DOM: also loads under Node (aevov_node.mjs), where the chat hooks
+ * below find nothing to patch.
  */
 
 (function() {
     'use strict';
 
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    // Dropped from BM25 documents and queries
+    const STOP_WORDS = new Set([
+        'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'are', 'was',
+        'how', 'what', 'why', 'when', 'where', 'which', 'who', 'can', 'you', 'your',
+        'does', 'about', 'should', 'would', 'could', 'please'
+    ]);
+
     const SemanticSearch = {
+        // Configuration
+        config: {
+            candidatePool: 50,       // Candidates per retriever before fusion
+            minSimilarity: 0.1,
+            fusion: 'rrf',           // 'rrf' (reciprocal rank fusion) or 'weighted'
+            rrfK: 60,
+            weights: {               // Overridden by the Search settings tab
+                keyword: 0.6,
+                semantic: 0.4
+            },
+            bm25: {
+                k1: 1.2,
+                b: 0.75,
+                prefixLength: 4,     // Unmatched query terms this long also match by prefix
+                prefixWeight: 0.5,
+                maxExpansions: 5
+            },
+            indexName: 'semantic-search',
+            vectorIndex: {
+                M: 16,
+                efConstruction: 100,
+                efSearch: 64,
+                exactThreshold: 200  // Small stores are scanned exactly
+            }
+        },
+
         // State
         state: {
             initialized: false,
             embeddings: new Map(),
-            model: null,
-            vocabSize: 0
+            patterns: new Map(),
+            keywordIndex: null,     // BM25 postings: { postings, lengths, totalLength }
+            embeddingModel: null,   // EmbeddingRegistry tag the embeddings were made with
+            fitting: false,
+            index: null,
+            indexSaveTimer: null,
+            model: null
         },
 
-        // Simple embedding model (TF-IDF-like)
-        vocab: new Map(),
-        idf: new Map(),
-
         /**
          * INITIALIZE
          */
         async init() {
             console.log('Initializing Semantic Search...');
 
-            // Build vocabulary from existing patterns
+            // Fit the embedding provider on existing patterns
             await this.buildVocabulary();
 
             // Generate embeddings for all patterns
@@ -36,221 +75,597 @@
         },
 
         /**
-         * BUILD VOCABULARY FROM ALL PATTERNS
+         * FIT EMBEDDING PROVIDER ON ALL PATTERNS
+         * Corpus-dependent providers (TF-IDF) refit here; others ignore it.
          */
         async buildVocabulary() {
+            const registry = root.EmbeddingRegistry;
+
+            this.state.fitting = true;
+            try {
+                await registry.fit(this.getAllPatterns().map(pattern => registry.patternText(pattern)));
+            } finally {
+                this.state.fitting = false;
+            }
+
+            console.log(`Embedding provider: ${registry.tag}`);
+        },
+        /**
+         * GENERATE EMBEDDINGS FOR ALL PATTERNS
+         */
+        async generateEmbeddings() {
             const allPatterns = this.getAllPatterns();
-            const docCount = allPatterns.length;
+            this.state.embeddingModel = root.EmbeddingRegistry.tag;
 
-            // Count word occurrences across documents
-            const wordDocCount = new Map();
+            for (const pattern of allPatterns) {
+                if (!pattern.id) continue;
 
-            allPatterns.forEach(pattern => {
-                const words = this.tokenize(pattern);
-                const uniqueWords = new Set(words);
+                const embedding = await this.createEmbedding(pattern);
+                this.state.embeddings.set(pattern.id, embedding);
+                this.state.patterns.set(pattern.id, pattern);
+            }
 
-                uniqueWords.forEach(word => {
-                    wordDocCount.set(word, (wordDocCount.get(word) || 0) + 1);
-                });
-            });
+            console.log(`Generated ${this.state.embeddings.size} embeddings`);
+
+            this.buildKeywordIndex(allPatterns);
+            await this.buildIndex();
+        },
 
-            // Build vocabulary and calculate IDF
-            let vocabIndex = 0;
-            wordDocCount.forEach((count, word) => {
-                // Only include words that appear in multiple documents
-                if (count > 1 && count < docCount * 0.8) {
-                    this.vocab.set(word, vocabIndex++);
-                    this.idf.set(word, Math.log(docCount / count));
+        /**
+         * BUILD VECTOR INDEX
+         * Restores the IndexedDB snapshot when the embedding provider and
+         * pattern set are unchanged, otherwise rebuilds the graph.
+         */
+        async buildIndex() {
+            this.state.index = null;
+
+            if (!root.VectorIndex) return;
+
+            try {
+                const saved = await root.VectorIndex.loadFromIndexedDB(this.config.indexName);
+                const snapshot = saved?.snapshot;
+
+                if (saved?.meta.embeddingModel === this.state.embeddingModel &&
+                    snapshot.ids.length === this.state.embeddings.size &&
+                    snapshot.ids.every(id => this.state.embeddings.has(id))) {
+                    this.state.index = root.VectorIndex.fromJSON(snapshot, { vectors: this.state.embeddings });
+                    console.log(`Vector index restored: ${this.state.index.size} patterns`);
+                    return;
                 }
+            } catch (error) {
+                // No IndexedDB or stale snapshot - rebuild below
+            }
+
+            const index = root.VectorIndex.create({
+                dimension: root.EmbeddingRegistry.dimension,
+                ...this.config.vectorIndex
             });
+            this.state.embeddings.forEach((embedding, patternId) => index.add(patternId, embedding));
+            this.state.index = index;
 
-            this.state.vocabSize = vocabIndex;
-            console.log(`Vocabulary built: ${vocabIndex} terms`);
+            console.log(`Vector index built: ${index.size} patterns`);
+            this.scheduleIndexSave();
         },
 
         /**
-         * GENERATE EMBEDDINGS FOR ALL PATTERNS
+         * INDEX NEW PATTERNS (incremental, with the provider as currently fitted)
+         * Skipped while a provider change is waiting for its reindex.
          */
-        async generateEmbeddings() {
-            const allPatterns = this.getAllPatterns();
+        async indexPatterns(patterns) {
+            if (!this.state.initialized) return;
 
-            for (const pattern of allPatterns) {
+            for (const pattern of patterns) {
                 if (!pattern.id) continue;
 
-                const embedding = this.createEmbedding(pattern);
+                this.addToKeywordIndex(pattern);
+
+                const embedding = await this.createEmbedding(pattern);
+                if (this.state.embeddingModel !== root.EmbeddingRegistry.tag) return;
+
                 this.state.embeddings.set(pattern.id, embedding);
+                this.state.patterns.set(pattern.id, pattern);
+                this.state.index?.add(pattern.id, embedding);
             }
 
-            console.log(`Generated ${this.state.embeddings.size} embeddings`);
+            this.scheduleIndexSave();
         },
 
         /**
-         * CREATE EMBEDDING FOR PATTERN (TF-IDF vector)
+         * REMOVE PATTERNS (ids) from the keyword and vector indexes
          */
-        createEmbedding(pattern) {
-            const words = this.tokenize(pattern);
-            const vector = new Array(this.state.vocabSize).fill(0);
-
-            // Count word frequencies
-            const termFreq = new Map();
-            words.forEach(word => {
-                termFreq.set(word, (termFreq.get(word) || 0) + 1);
+        removePatterns(patternIds) {
+            if (!this.state.initialized) return;
+
+            patternIds.forEach(patternId => {
+                this.removeFromKeywordIndex(patternId);
+                this.state.embeddings.delete(patternId);
+                this.state.patterns.delete(patternId);
+                this.state.index?.remove(patternId);
             });
 
-            // Calculate TF-IDF for each term
-            termFreq.forEach((freq, word) => {
-                const vocabIndex = this.vocab.get(word);
-                if (vocabIndex !== undefined) {
-                    const tf = freq / words.length;
-                    const idf = this.idf.get(word) || 0;
-                    vector[vocabIndex] = tf * idf;
+            this.scheduleIndexSave();
+        },
+
+        scheduleIndexSave() {
+            if (!this.state.index || this.state.indexSaveTimer || !root.indexedDB) return;
+
+            this.state.indexSaveTimer = setTimeout(async () => {
+                this.state.indexSaveTimer = null;
+                try {
+                    // Vectors are recomputed from the patterns, only the graph is stored
+                    await root.VectorIndex.saveToIndexedDB(this.config.indexName, this.state.index, {
+                        includeVectors: false,
+                        meta: { embeddingModel: this.state.embeddingModel }
+                    });
+                } catch (error) {
+                    console.warn('Could not save vector index:', error);
                 }
-            });
+            }, 2000);
+        },
 
-            // Normalize vector
-            return this.normalize(vector);
+        /**
+         * BENCHMARK INDEX AGAINST EXACT SCAN
+         */
+        benchmarkIndex(options = {}) {
+            if (!this.state.index) {
+                throw new Error('Semantic search index not built');
+            }
+            return root.VectorIndex.benchmark(this.state.index, options);
+        },
+
+        /**
+         * CREATE EMBEDDING FOR PATTERN (via EmbeddingRegistry)
+         */
+        async createEmbedding(pattern) {
+            const registry = root.EmbeddingRegistry;
+            return registry.embed(registry.patternText(pattern));
         },
 
         /**
          * TOKENIZE PATTERN INTO WORDS
          */
         tokenize(pattern) {
-            const text = [
-                pattern.query || '',
+            return this.tokenizeText([
+                pattern.query || pattern.sourceQuery || '',
                 ...(pattern.keywords || []),
                 pattern.category || '',
                 pattern.categoryName || '',
                 pattern.subcategory || ''
-            ].join(' ').toLowerCase();
+            ].join(' '));
+        },
 
+        tokenizeText(text) {
             // Remove special characters and split
-            return text
+            return String(text || '').toLowerCase()
                 .replace(/[^\w\s]/g, ' ')
                 .split(/\s+/)
-                .filter(w => w.length > 2);
+                .filter(w => w.length > 2 && !STOP_WORDS.has(w));
+        },
+
+        /**
+         * BUILD BM25 KEYWORD INDEX
+         * Inverted index over pattern text, keywords and category names.
+         */
+        buildKeywordIndex(patterns = this.getAllPatterns()) {
+            this.state.keywordIndex = {
+                postings: new Map(),    // term -> Map(patternId -> term frequency)
+                lengths: new Map(),     // patternId -> token count
+                totalLength: 0
+            };
+
+            patterns.forEach(pattern => this.addToKeywordIndex(pattern));
+            return this.state.keywordIndex;
+        },
+
+        addToKeywordIndex(pattern) {
+            const index = this.state.keywordIndex;
+            if (!index || !pattern.id) return;
+
+            this.removeFromKeywordIndex(pattern.id);
+
+            const tokens = this.tokenize(pattern);
+            tokens.forEach(term => {
+                if (!index.postings.has(term)) index.postings.set(term, new Map());
+                const docs = index.postings.get(term);
+                docs.set(pattern.id, (docs.get(pattern.id) || 0) + 1);
+            });
+
+            index.lengths.set(pattern.id, tokens.length);
+            index.totalLength += tokens.length;
+            this.state.patterns.set(pattern.id, pattern);
+        },
+
+        removeFromKeywordIndex(patternId) {
+            const index = this.state.keywordIndex;
+            if (!index?.lengths.has(patternId)) return;
+
+            index.postings.forEach((docs, term) => {
+                if (docs.delete(patternId) && docs.size === 0) {
+                    index.postings.delete(term);
+                }
+            });
+
+            index.totalLength -= index.lengths.get(patternId);
+            index.lengths.delete(patternId);
+        },
+
+        ensureKeywordIndex() {
+            return this.state.keywordIndex || this.buildKeywordIndex();
+        },
+
+        /**
+         * RESOLVE QUERY TERMS AGAINST THE BM25 VOCABULARY
+         * Terms missing from the vocabulary expand to indexed terms sharing a
+         * stem-length prefix ("optimizing" -> "optimization") at reduced weight.
+         */
+        queryTerms(query, index) {
+            const { prefixLength, prefixWeight, maxExpansions } = this.config.bm25;
+
+            return [...new Set(this.tokenizeText(query))].map(term => {
+                const resolved = { term, idf: this.idf(term, index), variants: [] };
+
+                if (index.postings.has(term)) {
+                    resolved.variants.push({ term, weight: 1 });
+                } else if (term.length >= prefixLength) {
+                    for (const candidate of index.postings.keys()) {
+                        if (candidate.length < prefixLength) continue;
+                        if (this.sharedPrefix(term, candidate) >= Math.max(prefixLength, Math.min(term.length, candidate.length) - 3)) {
+                            resolved.variants.push({ term: candidate, weight: prefixWeight });
+                            if (resolved.variants.length >= maxExpansions) break;
+                        }
+                    }
+                }
+
+                return resolved;
+            });
+        },
+
+        sharedPrefix(a, b) {
+            let i = 0;
+            while (i < a.length && i < b.length && a[i] === b[i]) i++;
+            return i;
+        },
+
+        idf(term, index) {
+            const count = index.lengths.size;
+            const df = index.postings.get(term)?.size || 1; // Unseen terms count as the rarest
+            return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+        },
+
+        /**
+         * SCORE ONE DOCUMENT WITH BM25
+         * coverage is the idf-weighted share of query terms the document
+         * matched (0-1), used as the calibrated keyword score.
+         */
+        scoreDocument(terms, termFrequency, length, index) {
+            const { k1, b } = this.config.bm25;
+            const avgLength = index.totalLength / Math.max(1, index.lengths.size) || 1;
+            const matchedTerms = [];
+            let score = 0;
+            let matchedWeight = 0;
+            let totalWeight = 0;
+
+            terms.forEach(({ term, idf, variants }) => {
+                let best = 0;
+                totalWeight += idf;
+
+                variants.forEach(variant => {
+                    const tf = termFrequency(variant.term);
+                    if (!tf) return;
+
+                    const variantIdf = this.idf(variant.term, index);
+                    const contribution = variant.weight * variantIdf *
+                        (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / avgLength));
+
+                    score += contribution;
+                    best = Math.max(best, variant.weight);
+                    matchedTerms.push({ term, matched: variant.term, tf, idf: variantIdf, score: contribution });
+                });
+
+                matchedWeight += idf * best;
+            });
+
+            return {
+                score,
+                coverage: totalWeight > 0 ? matchedWeight / totalWeight : 0,
+                matchedTerms
+            };
         },
 
         /**
-         * NORMALIZE VECTOR
+         * FILTERS
+         * { category, subcategory, minConfidence } - category and subcategory
+         * accept a single value or an array; category also matches categoryName.
          */
-        normalize(vector) {
-            const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-            return magnitude > 0 ? vector.map(v => v / magnitude) : vector;
+        hasFilters(filters = {}) {
+            return Boolean(filters.category || filters.subcategory || filters.minConfidence != null);
+        },
+
+        matchesFilters(pattern, filters = {}) {
+            if (!pattern) return false;
+
+            const list = value => Array.isArray(value) ? value : [value];
+
+            if (filters.category &&
+                !list(filters.category).some(c => c === pattern.category || c === pattern.categoryName)) {
+                return false;
+            }
+            if (filters.subcategory && !list(filters.subcategory).includes(pattern.subcategory)) {
+                return false;
+            }
+            if (filters.minConfidence != null && (pattern.confidence ?? 0) < filters.minConfidence) {
+                return false;
+            }
+            return true;
         },
 
         /**
-         * HYBRID SEARCH (Keyword + Semantic)
+         * FUSION WEIGHTS (Search settings tab, falling back to config)
          */
-        search(query, topK = 10) {
+        getWeights() {
+            try {
+                const settings = JSON.parse(localStorage.getItem('aevov_settings') || '{}');
+                if (settings.keywordWeight != null && settings.semanticWeight != null) {
+                    return { keyword: Number(settings.keywordWeight), semantic: Number(settings.semanticWeight) };
+                }
+            } catch (error) {
+                // No localStorage or unreadable settings
+            }
+            return this.config.weights;
+        },
+
+        normalizeWeights(weights, hasVector) {
+            const keyword = Math.max(0, weights.keyword || 0);
+            const semantic = hasVector ? Math.max(0, weights.semantic || 0) : 0;
+            const total = keyword + semantic;
+
+            return total > 0
+                ? { keyword: keyword / total, semantic: semantic / total }
+                : { keyword: 1, semantic: 0 };
+        },
+
+        /**
+         * HYBRID SEARCH (BM25 + vector similarity)
+         * options: { filters, fusion: 'rrf' | 'weighted', weights: { keyword, semantic } }
+         */
+        search(query, topK = 10, options = {}) {
             if (!this.state.initialized) {
                 console.warn('Semantic search not initialized, using keyword only');
-                return this.fallbackKeywordSearch(query, topK);
+                return this.fallbackKeywordSearch(query, topK, options);
             }
 
-            // Get keyword matches
-            const keywordResults = this.keywordSearch(query);
+            const filters = options.filters || {};
+            const pool = Math.max(topK, this.config.candidatePool);
+
+            const keywordResults = this.keywordSearch(query, filters).slice(0, pool);
 
-            // Get semantic matches
-            const semanticResults = this.semanticSearch(query);
+            // null (not []) when the query can't be embedded yet: keyword-only weights
+            const queryEmbedding = this.embedQuery(query);
+            const semanticResults = queryEmbedding ? this.vectorSearch(queryEmbedding, pool, filters) : null;
 
-            // Combine with weighted scoring
+            return this.fuse(keywordResults, semanticResults, { ...options, filters }).slice(0, topK);
+        },
+
+        /**
+         * FUSE KEYWORD AND VECTOR RANKINGS
+         * Orders by reciprocal rank fusion or the weighted blend. similarity and
+         * confidence are always the 0-1 blend of term coverage and vector
+         * similarity, so existing thresholds keep their meaning.
+         */
+        fuse(keywordResults, semanticResults, options = {}) {
+            const method = options.fusion || this.config.fusion;
+            const weights = this.normalizeWeights(options.weights || this.getWeights(), Boolean(semanticResults));
+            const rrfK = this.config.rrfK;
             const combined = new Map();
 
-            // Add keyword results (weight: 0.6)
-            keywordResults.forEach(r => {
-                combined.set(r.patternId, {
-                    pattern: r.pattern,
-                    keywordScore: r.score,
-                    semanticScore: 0,
-                    finalScore: r.score * 0.6
-                });
+            const entry = (patternId, pattern) => {
+                if (!combined.has(patternId)) {
+                    combined.set(patternId, { pattern, keyword: null, vector: null });
+                }
+                return combined.get(patternId);
+            };
+
+            keywordResults.forEach((r, i) => {
+                entry(r.patternId, r.pattern).keyword = {
+                    bm25: r.score,
+                    rank: i + 1,
+                    coverage: r.coverage,
+                    matchedTerms: r.matchedTerms
+                };
             });
 
-            // Add semantic results (weight: 0.4)
-            semanticResults.forEach(r => {
-                if (combined.has(r.patternId)) {
-                    const existing = combined.get(r.patternId);
-                    existing.semanticScore = r.similarity;
-                    existing.finalScore += r.similarity * 0.4;
-                } else {
-                    combined.set(r.patternId, {
-                        pattern: r.pattern,
-                        keywordScore: 0,
-                        semanticScore: r.similarity,
-                        finalScore: r.similarity * 0.4
-                    });
-                }
+            (semanticResults || []).forEach((r, i) => {
+                entry(r.patternId, r.pattern).vector = {
+                    similarity: r.similarity,
+                    rank: i + 1,
+                    embeddingModel: this.state.embeddingModel
+                };
             });
 
-            // Sort by final score
-            const results = Array.from(combined.values())
-                .sort((a, b) => b.finalScore - a.finalScore)
-                .slice(0, topK)
-                .map(r => ({
+            return Array.from(combined.values()).map(r => {
+                const keywordScore = r.keyword?.coverage || 0;
+                const semanticScore = Math.max(0, r.vector?.similarity || 0);
+                const blended = weights.keyword * keywordScore + weights.semantic * semanticScore;
+                const rrf = (r.keyword ? weights.keyword / (rrfK + r.keyword.rank) : 0) +
+                    (r.vector ? weights.semantic / (rrfK + r.vector.rank) : 0);
+                const score = method === 'rrf' ? rrf : blended;
+
+                const { matchedTerms = [], ...keyword } = r.keyword || {};
+                const explanation = {
+                    matchedTerms,
+                    keyword: r.keyword ? keyword : null,
+                    vector: r.vector,
+                    fusion: method === 'rrf' ? { method, score, k: rrfK, weights } : { method, score, weights },
+                    filters: options.filters || {}
+                };
+                explanation.summary = this.describeMatch(explanation);
+
+                return {
                     pattern: r.pattern,
-                    similarity: r.finalScore,
-                    confidence: r.finalScore,
+                    similarity: blended,
+                    confidence: blended,
+                    score,
                     breakdown: {
-                        keyword: r.keywordScore,
-                        semantic: r.semanticScore
-                    }
-                }));
-
-            return results;
+                        keyword: keywordScore,
+                        semantic: semanticScore
+                    },
+                    explanation
+                };
+            }).sort((a, b) => b.score - a.score || b.similarity - a.similarity);
         },
 
         /**
-         * KEYWORD SEARCH (exact/fuzzy matching)
+         * KEYWORD SEARCH (BM25)
          */
-        keywordSearch(query) {
-            const allPatterns = this.getAllPatterns();
-            const queryWords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-
-            return allPatterns.map(pattern => {
-                const patternWords = this.tokenize(pattern);
-                
-                // Exact matches
-                let exactMatches = 0;
-                // Partial matches
-                let partialMatches = 0;
-
-                queryWords.forEach(qw => {
-                    if (patternWords.includes(qw)) {
-                        exactMatches++;
-                    } else if (patternWords.some(pw => pw.includes(qw) || qw.includes(pw))) {
-                        partialMatches++;
-                    }
+        keywordSearch(query, filters = {}) {
+            const index = this.ensureKeywordIndex();
+            const terms = this.queryTerms(query, index);
+
+            const candidates = new Set();
+            terms.forEach(({ variants }) => {
+                variants.forEach(variant => {
+                    index.postings.get(variant.term).forEach((tf, patternId) => candidates.add(patternId));
                 });
+            });
 
-                const score = (exactMatches * 1.0 + partialMatches * 0.5) / queryWords.length;
+            const results = [];
+            candidates.forEach(patternId => {
+                const pattern = this.state.patterns.get(patternId);
+                if (!this.matchesFilters(pattern, filters)) return;
+
+                const { score, coverage, matchedTerms } = this.scoreDocument(
+                    terms,
+                    term => index.postings.get(term)?.get(patternId) || 0,
+                    index.lengths.get(patternId),
+                    index
+                );
+
+                results.push({ patternId, pattern, score, coverage, matchedTerms });
+            });
 
-                return {
-                    patternId: pattern.id,
-                    pattern,
-                    score
-                };
-            }).filter(r => r.score > 0);
+            return results.sort((a, b) => b.score - a.score);
         },
 
         /**
          * PURE SEMANTIC SEARCH (vector similarity)
          */
-        semanticSearch(query) {
-            const queryEmbedding = this.createEmbedding({ query, keywords: [query] });
+        semanticSearch(query, topK = this.config.candidatePool, filters = {}) {
+            const queryEmbedding = this.embedQuery(query);
+            return queryEmbedding ? this.vectorSearch(queryEmbedding, topK, filters) : [];
+        },
+
+        embedQuery(query) {
+            // Async providers answer from cache; until then only keyword results count
+            const queryEmbedding = root.EmbeddingRegistry.embedSync(query);
+            if (!queryEmbedding || this.state.embeddingModel !== root.EmbeddingRegistry.tag) {
+                return null;
+            }
+            return queryEmbedding;
+        },
+
+        vectorSearch(queryEmbedding, topK, filters = {}) {
+            const filtered = this.hasFilters(filters);
+
+            if (this.state.index && !filtered) {
+                return this.state.index.search(queryEmbedding, topK)
+                    .filter(r => r.similarity > this.config.minSimilarity)
+                    .map(r => ({
+                        patternId: r.id,
+                        similarity: r.similarity,
+                        pattern: this.state.patterns.get(r.id)
+                    }));
+            }
 
+            // Filtered query or no index (VectorIndex not loaded): exact scan
             const results = [];
             this.state.embeddings.forEach((embedding, patternId) => {
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-                results.push({ 
-                    patternId, 
-                    similarity,
-                    pattern: this.getPatternById(patternId)
+                const pattern = this.state.patterns.get(patternId);
+                if (filtered && !this.matchesFilters(pattern, filters)) return;
+
+                results.push({
+                    patternId,
+                    similarity: this.cosineSimilarity(queryEmbedding, embedding),
+                    pattern
                 });
             });
 
-            return results.filter(r => r.similarity > 0.1);
+            return results
+                .filter(r => r.similarity > this.config.minSimilarity)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, topK);
         },
 
+        /**
+         * EXPLAIN A SINGLE PATTERN MATCH
+         * Scores one pattern with the shared BM25 statistics, for callers that
+         * rank candidates themselves (AevovNLU comparator analysis).
+         */
+        explainMatch(query, pattern, vectorSimilarity = null, options = {}) {
+            const index = this.ensureKeywordIndex();
+            const tokens = this.tokenize(pattern);
+            const counts = new Map();
+            tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+            const keyword = this.scoreDocument(
+                this.queryTerms(query, index),
+                term => counts.get(term) || 0,
+                tokens.length,
+                index
+            );
+
+            const hasVector = typeof vectorSimilarity === 'number';
+            const weights = this.normalizeWeights(options.weights || this.getWeights(), hasVector);
+            const semanticScore = hasVector ? Math.max(0, vectorSimilarity) : 0;
+            const similarity = weights.keyword * keyword.coverage + weights.semantic * semanticScore;
+
+            const explanation = {
+                matchedTerms: keyword.matchedTerms,
+                keyword: { bm25: keyword.score, coverage: keyword.coverage },
+                vector: hasVector ? { similarity: vectorSimilarity, embeddingModel: pattern.embeddingModel || null } : null,
+                fusion: { method: 'weighted', score: similarity, weights },
+                filters: {}
+            };
+            explanation.summary = this.describeMatch(explanation);
+
+            return {
+                similarity,
+                breakdown: {
+                    keyword: keyword.coverage,
+                    semantic: semanticScore
+                },
+                explanation
+            };
+        },
+
+        /**
+         * ONE-LINE EXPLANATION FOR CHAT
+         */
+        describeMatch(explanation) {
+            const parts = [];
+            const { keyword, vector, fusion } = explanation;
+            const rank = item => item.rank ? `, #${item.rank}` : '';
+
+            const terms = [...new Set(explanation.matchedTerms.map(m =>
+                m.term === m.matched ? `"${m.term}"` : `"${m.term}"→${m.matched}`
+            ))];
+
+            if (terms.length > 0) {
+                parts.push(`matched ${terms.join(', ')} (BM25 ${keyword.bm25.toFixed(2)}, ` +
+                    `${Math.round(keyword.coverage * 100)}% of query${rank(keyword)})`);
+            } else {
+                parts.push('no query terms matched');
+            }
+
+            if (vector) {
+                parts.push(`vector similarity ${vector.similarity.toFixed(2)}${vector.rank ? ` (#${vector.rank})` : ''}`);
+            }
+
+            parts.push(fusion.method === 'rrf'
+                ? `RRF score ${fusion.score.toFixed(4)}`
+                : `blended score ${fusion.score.toFixed(2)}`);
+
+            return parts.join(' · ');
+        },
         /**
          * COSINE SIMILARITY
          */
@@ -269,59 +684,27 @@
          * GET ALL PATTERNS
          */
         getAllPatterns() {
-            const patterns = [];
-
-            // From advancedPatterns
-            if (window.advancedPatterns) {
-                Object.values(window.advancedPatterns).forEach(categoryPatterns => {
-                    if (Array.isArray(categoryPatterns)) {
-                        patterns.push(...categoryPatterns);
-                    }
-                });
-            }
-
-            // From patterns
-            if (window.patterns) {
-                Object.values(window.patterns).forEach(categoryPatterns => {
-                    if (Array.isArray(categoryPatterns)) {
-                        patterns.push(...categoryPatterns);
-                    }
-                });
-            }
-
-            return patterns;
+            return root.PatternStore.all();
         },
 
         /**
          * GET PATTERN BY ID
          */
         getPatternById(patternId) {
-            const allPatterns = this.getAllPatterns();
-            return allPatterns.find(p => p.id === patternId);
+            return root.PatternStore.get(patternId);
         },
 
         /**
-         * FALLBACK KEYWORD SEARCH
+         * FALLBACK KEYWORD SEARCH (BM25 only, before embeddings exist)
          */
-        fallbackKeywordSearch(query, topK) {
-            const allPatterns = this.getAllPatterns();
-            const queryWords = query.toLowerCase().split(/\s+/);
-
-            const results = allPatterns.map(pattern => {
-                const patternWords = this.tokenize(pattern);
-                const matches = queryWords.filter(qw => 
-                    patternWords.some(pw => pw.includes(qw) || qw.includes(pw))
-                ).length;
-
-                return {
-                    pattern,
-                    similarity: matches / queryWords.length,
-                    confidence: matches / queryWords.length
-                };
-            });
+        fallbackKeywordSearch(query, topK, options = {}) {
+            // Patterns may still be extracting: index them fresh until init() has run
+            if (!this.state.initialized || !this.state.keywordIndex) {
+                this.buildKeywordIndex();
+            }
 
-            results.sort((a, b) => b.similarity - a.similarity);
-            return results.slice(0, topK);
+            const filters = options.filters || {};
+            return this.fuse(this.keywordSearch(query, filters), null, { ...options, filters }).slice(0, topK);
         },
 
         /**
@@ -330,21 +713,40 @@
         async reindex() {
             console.log('Reindexing patterns...');
             this.state.embeddings.clear();
+            this.state.patterns.clear();
+            this.state.keywordIndex = null;
             await this.buildVocabulary();
             await this.generateEmbeddings();
             console.log('Reindexing complete');
         }
     };
 
-    // Auto-initialize after pattern extraction
-    if (window.advancedPatterns || window.patterns) {
+    // Auto-initialize when patterns are already loaded
+    if (root.PatternStore && root.PatternStore.size > 0) {
         SemanticSearch.init();
     }
 
+    // Re-embed everything when the embedding provider changes
+    if (root.EmbeddingRegistry) {
+        root.EmbeddingRegistry.on('change', () => {
+            if (SemanticSearch.state.initialized && !SemanticSearch.state.fitting) {
+                SemanticSearch.reindex();
+            }
+        });
+    }
+
+    // Keep the indexes in step with PatternStore
+    if (root.PatternStore) {
+        root.PatternStore.on('change', ({ added, updated, removed }) => {
+            SemanticSearch.removePatterns(removed.map(record => record.pattern.id));
+            SemanticSearch.indexPatterns([...added, ...updated].map(record => record.pattern));
+        });
+    }
+
     // Hook into pattern extraction to auto-reindex
-    const originalExtractCategory = window.extractCategoryPatterns;
+    const originalExtractCategory = root.extractCategoryPatterns;
     if (originalExtractCategory) {
-        window.extractCategoryPatterns = async function(...args) {
+        root.extractCategoryPatterns = async function(...args) {
             await originalExtractCategory.apply(this, args);
             
             // Reindex after extraction
@@ -353,11 +755,11 @@
     }
 
     // Replace unified chat query processing with semantic search
-    if (window.UnifiedChatSystem) {
-        const originalProcess = window.UnifiedChatSystem.findBestMatch;
+    if (root.UnifiedChatSystem) {
+        const originalProcess = root.UnifiedChatSystem.findBestMatch;
         
         if (originalProcess) {
-            window.UnifiedChatSystem.findBestMatch = function(query) {
+            root.UnifiedChatSystem.findBestMatch = function(query) {
                 // Use semantic search
                 const results = SemanticSearch.search(query, 5);
                 
@@ -378,18 +780,22 @@
     }
 
     // Replace NLU pattern matching with semantic search
-    if (window.AevovNLU) {
-        const originalMatch = window.AevovNLU.matchPattern;
+    if (root.AevovNLU) {
+        const originalMatch = root.AevovNLU.matchPattern;
         
         if (originalMatch) {
-            window.AevovNLU.matchPattern = function(query) {
+            root.AevovNLU.matchPattern = function(query) {
                 const results = SemanticSearch.search(query, 1);
                 return results[0] || null;
             };
         }
     }
 
-    window.SemanticSearch = SemanticSearch;
+    root.SemanticSearch = SemanticSearch;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SemanticSearch;
+    }
 
     console.log('Semantic Pattern Search loaded');
     console.log('Pattern matching now uses vector embeddings instead of keywords');
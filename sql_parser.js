@@ -0,0 +1,2045 @@
+/**
+ * SQL PARSER
+ * Tokenizer, recursive-descent parser and AST tools for the queries users
+ * run against PGlite through AdvancedQueryBuilder (Ctrl+Shift+U)
+ *
+ * Features:
+ * - PostgreSQL-flavoured tokenizer (quoted identifiers, E'' and $$ strings,
+ *   nested block comments, $n / ? parameters, JSON and array operators)
+ * - AST for SELECT: CTEs, set operations, joins, derived tables, window
+ *   functions, CASE/CAST/EXISTS/IN/BETWEEN/LIKE; other statements parse to
+ *   opaque nodes so the validator can name what it rejects
+ * - Read-only validation: statement, function and table allow-lists (system
+ *   catalogs always denied), SELECT INTO and row-locking checks,
+ *   join/subquery limits
+ * - Complexity from joins, subquery depth, conditions, grouping, set
+ *   operations, CTEs and window functions
+ * - Structural rewrites: predicate pushdown into derived tables and LIMIT
+ *   injection, regenerated from the AST
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🧩 Loading SQL Parser...');
+
+    // Words that cannot be used as bare identifiers or aliases
+    const RESERVED = new Set([
+        'ALL', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CAST', 'CROSS',
+        'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'DESC', 'DISTINCT',
+        'ELSE', 'END', 'EXCEPT', 'EXISTS', 'FALSE', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP',
+        'HAVING', 'ILIKE', 'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'LATERAL',
+        'LEFT', 'LIKE', 'LIMIT', 'LOCALTIME', 'LOCALTIMESTAMP', 'NATURAL', 'NOT', 'NOTNULL', 'NULL',
+        'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'RETURNING', 'RIGHT', 'SELECT', 'SESSION_USER',
+        'SIMILAR', 'SOME', 'THEN', 'TRUE', 'UNION', 'USING', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+    ]);
+
+    const KEYWORD_VALUES = new Set([
+        'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIME', 'LOCALTIMESTAMP',
+        'CURRENT_USER', 'SESSION_USER'
+    ]);
+
+    // Reserved words PostgreSQL still accepts as function names
+    const FUNCTION_KEYWORDS = new Set(['LEFT', 'RIGHT']);
+
+    const TYPED_LITERALS = new Set(['DATE', 'TIME', 'TIMESTAMP', 'TIMESTAMPTZ', 'INTERVAL']);
+
+    // Longest first so '->>' wins over '->'
+    const OPERATORS = [
+        '!~~*', '->>', '#>>', '!~*', '~~*', '!~~', '->', '#>', '~~', '::', '<=', '>=', '<>', '!=', '||', '@>', '<@', '&&',
+        '!~', '~*', '~', '=', '<', '>', '+', '-', '*', '/', '%', '^', '?'
+    ];
+
+    const COMPARISON_OPS = new Set(['=', '<', '>', '<=', '>=', '<>', '!=']);
+    const OTHER_OPS = new Set([
+        '||', '->', '->>', '#>', '#>>', '@>', '<@', '&&', '~', '~*', '!~', '!~*', '~~', '~~*', '!~~', '!~~*'
+    ]);
+
+    // Binding strength used when regenerating SQL
+    const PRECEDENCE = {
+        OR: 1, AND: 2, NOT: 3, is: 4, comparison: 5, predicate: 6, other: 7,
+        additive: 8, multiplicative: 9, exponent: 10, unary: 11, postfix: 12, primary: 13
+    };
+
+    const AGGREGATE_FUNCTIONS = new Set([
+        'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'bool_and', 'bool_or', 'every',
+        'json_agg', 'jsonb_agg', 'json_object_agg', 'jsonb_object_agg', 'stddev', 'stddev_pop',
+        'stddev_samp', 'variance', 'var_pop', 'var_samp', 'percentile_cont', 'percentile_disc', 'mode'
+    ]);
+
+    const VOLATILE_FUNCTIONS = new Set(['random', 'clock_timestamp', 'timeofday', 'gen_random_uuid']);
+
+    // Read-only functions user queries may call
+    const ALLOWED_FUNCTIONS = new Set([
+        ...AGGREGATE_FUNCTIONS,
+        // window
+        'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist', 'ntile', 'lag', 'lead',
+        'first_value', 'last_value', 'nth_value',
+        // string
+        'lower', 'upper', 'length', 'char_length', 'character_length', 'octet_length', 'trim', 'ltrim',
+        'rtrim', 'btrim', 'substring', 'substr', 'replace', 'concat', 'concat_ws', 'left', 'right',
+        'strpos', 'split_part', 'initcap', 'reverse', 'regexp_replace',
+        'regexp_match', 'regexp_matches', 'regexp_split_to_array', 'starts_with', 'format', 'md5',
+        'to_char', 'to_number', 'translate', 'ascii', 'chr',
+        // math
+        'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'sqrt', 'cbrt', 'power', 'pow', 'exp',
+        'ln', 'log', 'log10', 'mod', 'sign', 'greatest', 'least', 'pi', 'random', 'div', 'width_bucket',
+        // conditional
+        'coalesce', 'nullif', 'ifnull',
+        // date/time
+        'now', 'date_trunc', 'date_part', 'extract', 'age', 'to_timestamp', 'to_date', 'make_date',
+        'make_interval', 'make_timestamp', 'clock_timestamp', 'timeofday', 'justify_interval',
+        // json
+        'json_build_object', 'jsonb_build_object', 'json_build_array', 'jsonb_build_array',
+        'json_array_length', 'jsonb_array_length', 'json_extract_path', 'jsonb_extract_path',
+        'json_extract_path_text', 'jsonb_extract_path_text', 'json_typeof', 'jsonb_typeof',
+        'json_array_elements', 'jsonb_array_elements', 'json_array_elements_text',
+        'jsonb_array_elements_text', 'json_each', 'jsonb_each', 'json_each_text', 'jsonb_each_text',
+        'json_object_keys', 'jsonb_object_keys', 'to_json', 'to_jsonb', 'jsonb_pretty', 'row_to_json',
+        'json_extract',
+        // arrays and set-returning
+        'array_length', 'array_to_string', 'array_position', 'array_positions', 'array_remove',
+        'array_append', 'array_prepend', 'array_cat', 'array_upper', 'array_lower', 'cardinality',
+        'unnest', 'string_to_array',
+        // vectors and full text
+        'to_tsvector', 'to_tsquery', 'plainto_tsquery', 'websearch_to_tsquery', 'ts_rank',
+        'ts_rank_cd', 'ts_headline',
+        // misc
+        'gen_random_uuid'
+    ]);
+
+    // generate_series, repeat, lpad and rpad are left out on purpose:
+    // generate_series(1, 1e10) or repeat('x', 1e9) is a one-line denial of
+    // service and nothing in the app queries needs them
+
+    // OID alias types: 'pg_authid'::regclass reads the system catalogs and
+    // 'pg_sleep'::regproc names functions without calling them
+    const OID_ALIAS_TYPES = new Set([
+        'regclass', 'regcollation', 'regconfig', 'regdictionary', 'regnamespace', 'regoper',
+        'regoperator', 'regproc', 'regprocedure', 'regrole', 'regtype'
+    ]);
+
+    // Tables ComprehensiveDB creates in PGlite; pass tables: null to allow any
+    // user table (system catalogs stay denied either way)
+    const APPLICATION_TABLES = [
+        'patterns', 'chunk_registry', 'evolution_history', 'aev_models',
+        'sync_log', 'sync_metadata', 'vector_indexes'
+    ];
+
+    const SYSTEM_SCHEMAS = ['pg_catalog', 'information_schema', 'pg_toast'];
+
+    const DEFAULT_POLICY = {
+        statements: ['select', 'explain'],
+        functions: ALLOWED_FUNCTIONS,
+        tables: APPLICATION_TABLES,
+        allowMultipleStatements: false,
+        maxComplexity: 100,
+        maxJoins: 8,
+        maxSubqueryDepth: 4
+    };
+
+    /**
+     * ERRORS
+     */
+    function syntaxError(message, sql, position) {
+        const before = sql.slice(0, position);
+        const line = before.split('\n').length;
+        const column = position - before.lastIndexOf('\n');
+        const error = new Error(`SQL syntax error at line ${line}, column ${column}: ${message}`);
+        error.position = position;
+        return error;
+    }
+
+    /**
+     * TOKENIZER
+     */
+    const PARAM_PATTERN = /\$(\d+)/y;
+    const DOLLAR_TAG_PATTERN = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+    const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    const WORD_PATTERN = /[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/y;
+
+    function matchAt(pattern, sql, index) {
+        pattern.lastIndex = index;
+        return pattern.exec(sql);
+    }
+
+    function tokenize(sql) {
+        const tokens = [];
+        let i = 0;
+
+        const push = (type, value, start, extra = {}) => {
+            tokens.push({ type, value, start, end: i, ...extra });
+        };
+
+        while (i < sql.length) {
+            const ch = sql[i];
+            const start = i;
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // Line comment
+            if (ch === '-' && sql[i + 1] === '-') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+                continue;
+            }
+
+            // Block comment (PostgreSQL nests them)
+            if (ch === '/' && sql[i + 1] === '*') {
+                let depth = 0;
+                do {
+                    if (sql[i] === '/' && sql[i + 1] === '*') {
+                        depth++;
+                        i += 2;
+                    } else if (sql[i] === '*' && sql[i + 1] === '/') {
+                        depth--;
+                        i += 2;
+                    } else {
+                        i++;
+                    }
+                } while (depth > 0 && i < sql.length);
+                if (depth > 0) throw syntaxError('unterminated comment', sql, start);
+                continue;
+            }
+
+            // Strings: '...', E'...'
+            if (ch === "'" || ((ch === 'E' || ch === 'e') && sql[i + 1] === "'")) {
+                const escaped = ch !== "'";
+                i += escaped ? 2 : 1;
+                let value = '';
+                for (;;) {
+                    if (i >= sql.length) throw syntaxError('unterminated string', sql, start);
+                    const c = sql[i];
+                    if (c === "'" && sql[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                    } else if (c === "'") {
+                        i++;
+                        break;
+                    } else if (escaped && c === '\\' && i + 1 < sql.length) {
+                        const n = sql[i + 1];
+                        value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[n] ?? n;
+                        i += 2;
+                    } else {
+                        value += c;
+                        i++;
+                    }
+                }
+                push('string', value, start);
+                continue;
+            }
+
+            // Dollar-quoted strings and $n parameters
+            if (ch === '$') {
+                const param = matchAt(PARAM_PATTERN, sql, i);
+                if (param) {
+                    i += param[0].length;
+                    push('param', param[0], start);
+                    continue;
+                }
+                const tag = matchAt(DOLLAR_TAG_PATTERN, sql, i);
+                if (tag) {
+                    const close = sql.indexOf(tag[0], i + tag[0].length);
+                    if (close === -1) throw syntaxError('unterminated dollar-quoted string', sql, start);
+                    const value = sql.slice(i + tag[0].length, close);
+                    i = close + tag[0].length;
+                    push('string', value, start);
+                    continue;
+                }
+            }
+
+            // Quoted identifiers: "name" (and MySQL `name`)
+            if (ch === '"' || ch === '`') {
+                i++;
+                let value = '';
+                for (;;) {
+                    if (i >= sql.length) throw syntaxError('unterminated quoted identifier', sql, start);
+                    if (sql[i] === ch && sql[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                    } else if (sql[i] === ch) {
+                        i++;
+                        break;
+                    } else {
+                        value += sql[i++];
+                    }
+                }
+                push('identifier', value, start);
+                continue;
+            }
+
+            // Numbers
+            const number = matchAt(NUMBER_PATTERN, sql, i);
+            if (number) {
+                i += number[0].length;
+                push('number', number[0], start);
+                continue;
+            }
+
+            // Words (keywords and bare identifiers)
+            const word = matchAt(WORD_PATTERN, sql, i);
+            if (word) {
+                i += word[0].length;
+                push('word', word[0], start, { upper: word[0].toUpperCase() });
+                continue;
+            }
+
+            if ('(),;.[]:'.includes(ch) && !(ch === ':' && sql[i + 1] === ':')) {
+                i++;
+                push('punct', ch, start);
+                continue;
+            }
+
+            const op = OPERATORS.find(candidate => sql.startsWith(candidate, i));
+            if (op) {
+                i += op.length;
+                push(op === '?' ? 'param' : 'operator', op, start);
+                continue;
+            }
+
+            throw syntaxError(`unexpected character '${ch}'`, sql, start);
+        }
+
+        tokens.push({ type: 'eof', value: '', start: sql.length, end: sql.length });
+        return tokens;
+    }
+
+    /**
+     * PARSER
+     */
+    class Parser {
+        constructor(sql) {
+            this.sql = sql;
+            this.tokens = tokenize(sql);
+            this.pos = 0;
+        }
+
+        peek(offset = 0) {
+            return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+        }
+
+        next() {
+            const token = this.peek();
+            if (token.type !== 'eof') this.pos++;
+            return token;
+        }
+
+        isWord(upper, offset = 0) {
+            const token = this.peek(offset);
+            return token.type === 'word' && token.upper === upper;
+        }
+
+        isPunct(value, offset = 0) {
+            const token = this.peek(offset);
+            return token.type === 'punct' && token.value === value;
+        }
+
+        isOperator(value, offset = 0) {
+            const token = this.peek(offset);
+            return token.type === 'operator' && token.value === value;
+        }
+
+        acceptWord(...uppers) {
+            if (uppers.some(upper => this.isWord(upper))) return this.next().upper;
+            return null;
+        }
+
+        acceptPunct(value) {
+            if (this.isPunct(value)) {
+                this.next();
+                return true;
+            }
+            return false;
+        }
+
+        expectWord(upper) {
+            if (!this.isWord(upper)) this.fail(`expected ${upper}`);
+            return this.next();
+        }
+
+        expectPunct(value) {
+            if (!this.isPunct(value)) this.fail(`expected '${value}'`);
+            return this.next();
+        }
+
+        fail(message, token = this.peek()) {
+            const found = token.type === 'eof' ? 'end of input' : `'${this.sql.slice(token.start, token.end)}'`;
+            throw syntaxError(`${message}, found ${found}`, this.sql, token.start);
+        }
+
+        startsQuery(offset = 0) {
+            return this.isWord('SELECT', offset) || this.isWord('WITH', offset) || this.isWord('VALUES', offset) ||
+                (this.isPunct('(', offset) && this.startsQuery(offset + 1));
+        }
+
+        // SCRIPT
+        parseScript() {
+            const statements = [];
+
+            while (this.peek().type !== 'eof') {
+                if (this.acceptPunct(';')) continue;
+                statements.push(this.parseStatement());
+                if (this.peek().type !== 'eof' && !this.isPunct(';')) {
+                    this.fail('expected end of statement');
+                }
+            }
+
+            return { type: 'script', statements };
+        }
+
+        parseStatement() {
+            if (this.isWord('EXPLAIN')) return this.parseExplain();
+            if (this.startsQuery()) return this.parseQuery();
+
+            const token = this.peek();
+            if (token.type !== 'word') this.fail('expected a statement');
+            return this.parseOpaqueStatement();
+        }
+
+        // Statements outside the read-only grammar are kept as raw text
+        parseOpaqueStatement() {
+            const first = this.next();
+            let depth = 0;
+
+            while (this.peek().type !== 'eof') {
+                if (this.isPunct('(')) depth++;
+                if (this.isPunct(')')) {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                if (depth === 0 && this.isPunct(';')) break;
+                this.next();
+            }
+
+            const end = this.tokens[this.pos - 1].end;
+            return { type: 'statement', kind: first.upper, text: this.sql.slice(first.start, end) };
+        }
+
+        parseExplain() {
+            this.expectWord('EXPLAIN');
+            const options = {};
+
+            if (this.isPunct('(')) {
+                this.next();
+                do {
+                    const name = this.next();
+                    if (name.type !== 'word') this.fail('expected EXPLAIN option', name);
+                    let value = true;
+                    if (!this.isPunct(',') && !this.isPunct(')')) {
+                        const token = this.next();
+                        value = token.upper || token.value;
+                    }
+                    options[name.upper.toLowerCase()] = value === 'FALSE' || value === 'OFF' ? false : value;
+                } while (this.acceptPunct(','));
+                this.expectPunct(')');
+            } else {
+                while (this.isWord('ANALYZE') || this.isWord('VERBOSE')) {
+                    options[this.next().upper.toLowerCase()] = true;
+                }
+            }
+
+            return { type: 'explain', options, statement: this.parseStatement() };
+        }
+
+        // QUERY: WITH, set operations, ORDER BY / LIMIT / OFFSET / locking
+        parseQuery() {
+            let withClause = null;
+
+            if (this.acceptWord('WITH')) {
+                withClause = { recursive: Boolean(this.acceptWord('RECURSIVE')), ctes: [] };
+                do {
+                    const name = this.parseIdentifier('CTE name');
+                    const columns = this.isPunct('(') ? this.parseIdentifierList() : null;
+                    this.expectWord('AS');
+                    let materialized = null;
+                    if (this.acceptWord('NOT')) {
+                        this.expectWord('MATERIALIZED');
+                        materialized = false;
+                    } else if (this.acceptWord('MATERIALIZED')) {
+                        materialized = true;
+                    }
+                    this.expectPunct('(');
+                    const query = this.startsQuery() ? this.parseQuery() : this.parseOpaqueStatement();
+                    this.expectPunct(')');
+                    withClause.ctes.push({ name: name.name, quoted: name.quoted, columns, materialized, query });
+                } while (this.acceptPunct(','));
+            }
+
+            const node = this.parseUnion();
+            this.parseQueryTail(node);
+
+            if (withClause) {
+                if (node.with) this.fail('nested WITH clauses must be parenthesized');
+                node.with = withClause;
+            }
+
+            return node;
+        }
+
+        parseUnion() {
+            let left = this.parseIntersect();
+            while (this.isWord('UNION') || this.isWord('EXCEPT')) {
+                const op = this.next().upper;
+                const all = this.acceptWord('ALL', 'DISTINCT') === 'ALL';
+                const right = this.parseIntersect();
+                left = { type: 'compound', op, all, left, right, orderBy: [], limit: null, offset: null };
+            }
+            return left;
+        }
+
+        parseIntersect() {
+            let left = this.parseSetOperand();
+            while (this.isWord('INTERSECT')) {
+                this.next();
+                const all = this.acceptWord('ALL', 'DISTINCT') === 'ALL';
+                const right = this.parseSetOperand();
+                left = { type: 'compound', op: 'INTERSECT', all, left, right, orderBy: [], limit: null, offset: null };
+            }
+            return left;
+        }
+
+        parseSetOperand() {
+            if (this.isPunct('(')) {
+                this.next();
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                query.parenthesized = true;
+                return query;
+            }
+            if (this.isWord('VALUES')) return this.parseValues();
+            return this.parseSelectCore();
+        }
+
+        parseValues() {
+            this.expectWord('VALUES');
+            const rows = [];
+            do {
+                this.expectPunct('(');
+                rows.push(this.parseExpressionList());
+                this.expectPunct(')');
+            } while (this.acceptPunct(','));
+            return { type: 'values', rows, orderBy: [], limit: null, offset: null };
+        }
+
+        parseQueryTail(node) {
+            const hasTail = this.isWord('ORDER') || this.isWord('LIMIT') || this.isWord('OFFSET') ||
+                this.isWord('FETCH') || this.isWord('FOR');
+            if (!hasTail) return;
+
+            if (node.parenthesized && (node.orderBy.length > 0 || node.limit || node.offset)) {
+                this.fail('ORDER BY/LIMIT on a parenthesized query that already has them is not supported');
+            }
+
+            for (;;) {
+                if (this.isWord('ORDER')) {
+                    this.next();
+                    this.expectWord('BY');
+                    node.orderBy = this.parseOrderList();
+                } else if (this.acceptWord('LIMIT')) {
+                    if (this.acceptWord('ALL')) {
+                        node.limit = null;
+                    } else {
+                        const first = this.parseExpression();
+                        // MySQL LIMIT offset, count
+                        if (this.acceptPunct(',')) {
+                            node.offset = first;
+                            node.limit = this.parseExpression();
+                        } else {
+                            node.limit = first;
+                        }
+                    }
+                } else if (this.acceptWord('OFFSET')) {
+                    node.offset = this.parseExpression();
+                    this.acceptWord('ROW', 'ROWS');
+                } else if (this.acceptWord('FETCH')) {
+                    this.acceptWord('FIRST', 'NEXT');
+                    node.limit = this.isWord('ROW') || this.isWord('ROWS')
+                        ? { type: 'literal', kind: 'number', value: '1' }
+                        : this.parseExpression();
+                    this.acceptWord('ROW', 'ROWS');
+                    this.expectWord('ONLY');
+                } else if (this.isWord('FOR')) {
+                    const start = this.next();
+                    while (this.peek().type === 'word' || this.isPunct(',') || this.peek().type === 'identifier' || this.isPunct('.')) {
+                        if (this.isWord('LIMIT') || this.isWord('OFFSET') || this.isWord('ORDER')) break;
+                        this.next();
+                    }
+                    node.locking = this.sql.slice(start.start, this.tokens[this.pos - 1].end);
+                } else {
+                    break;
+                }
+            }
+        }
+
+        parseSelectCore() {
+            this.expectWord('SELECT');
+
+            const node = {
+                type: 'select',
+                distinct: false,
+                columns: [],
+                into: null,
+                from: [],
+                where: null,
+                groupBy: [],
+                having: null,
+                windows: [],
+                orderBy: [],
+                limit: null,
+                offset: null,
+                locking: null
+            };
+
+            if (this.acceptWord('DISTINCT')) {
+                if (this.acceptWord('ON')) {
+                    this.expectPunct('(');
+                    node.distinct = { on: this.parseExpressionList() };
+                    this.expectPunct(')');
+                } else {
+                    node.distinct = true;
+                }
+            } else {
+                this.acceptWord('ALL');
+            }
+
+            do {
+                node.columns.push(this.parseSelectItem());
+            } while (this.acceptPunct(','));
+
+            if (this.acceptWord('INTO')) {
+                this.acceptWord('TEMPORARY', 'TEMP', 'UNLOGGED');
+                this.acceptWord('TABLE');
+                node.into = this.parseQualifiedName().name;
+            }
+
+            if (this.acceptWord('FROM')) {
+                do {
+                    node.from.push(this.parseFromItem());
+                } while (this.acceptPunct(','));
+            }
+
+            if (this.acceptWord('WHERE')) node.where = this.parseExpression();
+
+            if (this.isWord('GROUP')) {
+                this.next();
+                this.expectWord('BY');
+                node.groupBy = this.parseExpressionList();
+            }
+
+            if (this.acceptWord('HAVING')) node.having = this.parseExpression();
+
+            if (this.acceptWord('WINDOW')) {
+                do {
+                    const name = this.parseIdentifier('window name');
+                    this.expectWord('AS');
+                    node.windows.push({ name: name.name, spec: this.parseWindowSpec() });
+                } while (this.acceptPunct(','));
+            }
+
+            return node;
+        }
+
+        parseSelectItem() {
+            if (this.isOperator('*')) {
+                this.next();
+                return { expr: { type: 'star', table: null }, alias: null };
+            }
+
+            const expr = this.parseExpression();
+            let alias = null;
+
+            if (this.acceptWord('AS')) {
+                alias = this.parseIdentifier('alias', true);
+            } else if (this.isAliasToken()) {
+                alias = this.parseIdentifier('alias');
+            }
+
+            return { expr, alias: alias && alias.name, aliasQuoted: Boolean(alias && alias.quoted) };
+        }
+
+        isAliasToken(offset = 0) {
+            const token = this.peek(offset);
+            return token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.upper));
+        }
+
+        // FROM items and joins
+        parseFromItem() {
+            let left = this.parseTablePrimary();
+
+            for (;;) {
+                let kind = null;
+                let natural = false;
+
+                if (this.isWord('CROSS') && this.isWord('JOIN', 1)) {
+                    this.next();
+                    this.next();
+                    left = { type: 'join', kind: 'CROSS', natural: false, left, right: this.parseTablePrimary(), on: null, using: null };
+                    continue;
+                }
+
+                const save = this.pos;
+                if (this.acceptWord('NATURAL')) natural = true;
+
+                if (this.acceptWord('JOIN')) {
+                    kind = 'INNER';
+                } else if (this.acceptWord('INNER')) {
+                    this.expectWord('JOIN');
+                    kind = 'INNER';
+                } else if (this.isWord('LEFT') || this.isWord('RIGHT') || this.isWord('FULL')) {
+                    kind = this.next().upper;
+                    this.acceptWord('OUTER');
+                    this.expectWord('JOIN');
+                }
+
+                if (!kind) {
+                    this.pos = save;
+                    break;
+                }
+
+                const right = this.parseTablePrimary();
+                let on = null;
+                let using = null;
+
+                if (!natural) {
+                    if (this.acceptWord('ON')) {
+                        on = this.parseExpression();
+                    } else if (this.acceptWord('USING')) {
+                        using = this.parseIdentifierList().map(id => id.name);
+                    } else {
+                        this.fail('expected ON or USING');
+                    }
+                }
+
+                left = { type: 'join', kind, natural, left, right, on, using };
+            }
+
+            return left;
+        }
+
+        parseTablePrimary() {
+            const lateral = Boolean(this.acceptWord('LATERAL'));
+
+            if (this.isPunct('(')) {
+                if (this.startsQuery(1)) {
+                    this.next();
+                    const query = this.parseQuery();
+                    this.expectPunct(')');
+                    return { type: 'subquery', lateral, query, ...this.parseTableAlias() };
+                }
+
+                this.next();
+                const inner = this.parseFromItem();
+                this.expectPunct(')');
+                inner.parenthesized = true;
+                return inner;
+            }
+
+            const name = this.parseQualifiedName();
+
+            if (this.isPunct('(')) {
+                const call = this.parseFunctionCall(name);
+                return { type: 'table-function', lateral, call, ...this.parseTableAlias() };
+            }
+
+            return { type: 'table', schema: name.schema, name: name.name, quoted: name.quoted, ...this.parseTableAlias() };
+        }
+
+        parseTableAlias() {
+            let alias = null;
+            if (this.acceptWord('AS')) {
+                alias = this.parseIdentifier('alias', true);
+            } else if (this.isAliasToken()) {
+                alias = this.parseIdentifier('alias');
+            }
+            const columnAliases = alias && this.isPunct('(') ? this.parseIdentifierList().map(id => id.name) : null;
+            return { alias: alias && alias.name, aliasQuoted: Boolean(alias && alias.quoted), columnAliases };
+        }
+
+        parseIdentifier(what, allowReserved = false) {
+            const token = this.peek();
+            if (token.type === 'identifier') {
+                this.next();
+                return { name: token.value, quoted: true };
+            }
+            if (token.type === 'word' && (allowReserved || !RESERVED.has(token.upper))) {
+                this.next();
+                return { name: token.value, quoted: false };
+            }
+            this.fail(`expected ${what}`);
+        }
+
+        parseIdentifierList() {
+            this.expectPunct('(');
+            const list = [];
+            do {
+                list.push(this.parseIdentifier('column name'));
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+            return list;
+        }
+
+        parseQualifiedName() {
+            const parts = [this.parseIdentifier('name')];
+            while (this.isPunct('.') && !this.isOperator('*', 1)) {
+                this.next();
+                parts.push(this.parseIdentifier('name', true));
+            }
+            const last = parts[parts.length - 1];
+            return {
+                schema: parts.length > 1 ? parts.slice(0, -1).map(p => p.name).join('.') : null,
+                name: last.name,
+                quoted: last.quoted,
+                parts
+            };
+        }
+
+        parseOrderList() {
+            const items = [];
+            do {
+                const expr = this.parseExpression();
+                const direction = this.acceptWord('ASC', 'DESC');
+                let nulls = null;
+                if (this.acceptWord('NULLS')) nulls = this.acceptWord('FIRST', 'LAST') || this.fail('expected FIRST or LAST');
+                items.push({ expr, direction, nulls });
+            } while (this.acceptPunct(','));
+            return items;
+        }
+
+        parseExpressionList() {
+            const list = [];
+            do {
+                list.push(this.parseExpression());
+            } while (this.acceptPunct(','));
+            return list;
+        }
+
+        // EXPRESSIONS (lowest to highest precedence)
+        parseExpression() {
+            return this.parseOr();
+        }
+
+        parseOr() {
+            let left = this.parseAnd();
+            while (this.acceptWord('OR')) {
+                left = { type: 'binary', op: 'OR', left, right: this.parseAnd() };
+            }
+            return left;
+        }
+
+        parseAnd() {
+            let left = this.parseNot();
+            while (this.acceptWord('AND')) {
+                left = { type: 'binary', op: 'AND', left, right: this.parseNot() };
+            }
+            return left;
+        }
+
+        parseNot() {
+            if (this.acceptWord('NOT')) {
+                return { type: 'unary', op: 'NOT', operand: this.parseNot() };
+            }
+            return this.parseIs();
+        }
+
+        parseIs() {
+            let expr = this.parseComparison();
+
+            for (;;) {
+                if (this.acceptWord('ISNULL')) {
+                    expr = { type: 'is', expr, not: false, value: 'NULL' };
+                } else if (this.acceptWord('NOTNULL')) {
+                    expr = { type: 'is', expr, not: true, value: 'NULL' };
+                } else if (this.acceptWord('IS')) {
+                    const not = Boolean(this.acceptWord('NOT'));
+                    if (this.acceptWord('DISTINCT')) {
+                        this.expectWord('FROM');
+                        expr = { type: 'is', expr, not, value: 'DISTINCT FROM', right: this.parseComparison() };
+                    } else {
+                        const value = this.acceptWord('NULL', 'TRUE', 'FALSE', 'UNKNOWN');
+                        if (!value) this.fail('expected NULL, TRUE, FALSE, UNKNOWN or DISTINCT FROM');
+                        expr = { type: 'is', expr, not, value };
+                    }
+                } else {
+                    return expr;
+                }
+            }
+        }
+
+        parseComparison() {
+            let left = this.parsePredicate();
+
+            while (this.peek().type === 'operator' && COMPARISON_OPS.has(this.peek().value)) {
+                const op = this.next().value;
+
+                if ((this.isWord('ANY') || this.isWord('SOME') || this.isWord('ALL')) && this.isPunct('(', 1)) {
+                    const quantifier = this.next().upper;
+                    this.next();
+                    const operand = this.startsQuery()
+                        ? { type: 'subquery', query: this.parseQuery() }
+                        : this.parseExpression();
+                    this.expectPunct(')');
+                    left = { type: 'quantified', op, quantifier, left, operand };
+                } else {
+                    left = { type: 'binary', op, left, right: this.parsePredicate() };
+                }
+            }
+
+            return left;
+        }
+
+        parsePredicate() {
+            let expr = this.parseOther();
+
+            for (;;) {
+                const save = this.pos;
+                const not = Boolean(this.acceptWord('NOT'));
+
+                if (this.acceptWord('BETWEEN')) {
+                    const symmetric = Boolean(this.acceptWord('SYMMETRIC'));
+                    const low = this.parseOther();
+                    this.expectWord('AND');
+                    const high = this.parseOther();
+                    expr = { type: 'between', expr, not, symmetric, low, high };
+                } else if (this.acceptWord('IN')) {
+                    this.expectPunct('(');
+                    if (this.startsQuery()) {
+                        expr = { type: 'in', expr, not, query: this.parseQuery(), list: null };
+                    } else {
+                        expr = { type: 'in', expr, not, query: null, list: this.parseExpressionList() };
+                    }
+                    this.expectPunct(')');
+                } else if (this.isWord('LIKE') || this.isWord('ILIKE') || this.isWord('SIMILAR')) {
+                    let op = this.next().upper;
+                    if (op === 'SIMILAR') {
+                        this.expectWord('TO');
+                        op = 'SIMILAR TO';
+                    }
+                    const pattern = this.parseOther();
+                    const escape = this.acceptWord('ESCAPE') ? this.parseOther() : null;
+                    expr = { type: 'like', op, expr, not, pattern, escape };
+                } else {
+                    this.pos = save;
+                    return expr;
+                }
+            }
+        }
+
+        parseOther() {
+            let left = this.parseAdditive();
+            while (this.peek().type === 'operator' && OTHER_OPS.has(this.peek().value)) {
+                const op = this.next().value;
+                left = { type: 'binary', op, left, right: this.parseAdditive() };
+            }
+            return left;
+        }
+
+        parseAdditive() {
+            let left = this.parseMultiplicative();
+            while (this.isOperator('+') || this.isOperator('-')) {
+                const op = this.next().value;
+                left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+            }
+            return left;
+        }
+
+        parseMultiplicative() {
+            let left = this.parseExponent();
+            while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+                const op = this.next().value;
+                left = { type: 'binary', op, left, right: this.parseExponent() };
+            }
+            return left;
+        }
+
+        parseExponent() {
+            let left = this.parseUnary();
+            while (this.isOperator('^')) {
+                this.next();
+                left = { type: 'binary', op: '^', left, right: this.parseUnary() };
+            }
+            return left;
+        }
+
+        parseUnary() {
+            if (this.isOperator('-') || this.isOperator('+')) {
+                const op = this.next().value;
+                return { type: 'unary', op, operand: this.parseUnary() };
+            }
+            return this.parsePostfix();
+        }
+
+        parsePostfix() {
+            let expr = this.parsePrimary();
+
+            for (;;) {
+                if (this.isOperator('::')) {
+                    this.next();
+                    expr = { type: 'cast', syntax: '::', expr, dataType: this.parseDataType() };
+                } else if (this.isPunct('[')) {
+                    this.next();
+                    const index = this.parseExpression();
+                    const upper = this.acceptPunct(':') ? this.parseExpression() : undefined;
+                    this.expectPunct(']');
+                    expr = { type: 'subscript', expr, index, upper };
+                } else {
+                    return expr;
+                }
+            }
+        }
+
+        parseDataType() {
+            const first = this.next();
+            if (first.type !== 'word' && first.type !== 'identifier') this.fail('expected a type name', first);
+
+            let name = first.type === 'word' ? first.value : `"${first.value}"`;
+            const upper = first.upper;
+
+            if (upper === 'DOUBLE' && this.isWord('PRECISION')) {
+                name += ` ${this.next().value}`;
+            } else if (upper === 'CHARACTER' && this.isWord('VARYING')) {
+                name += ` ${this.next().value}`;
+            }
+
+            if (this.isPunct('(')) {
+                this.next();
+                const args = [];
+                do {
+                    const token = this.next();
+                    if (token.type !== 'number') this.fail('expected a number', token);
+                    args.push(token.value);
+                } while (this.acceptPunct(','));
+                this.expectPunct(')');
+                name += `(${args.join(', ')})`;
+            }
+
+            if ((upper === 'TIMESTAMP' || upper === 'TIME') && (this.isWord('WITH') || this.isWord('WITHOUT')) && this.isWord('TIME', 1)) {
+                name += ` ${this.next().value} ${this.next().value} ${this.expectWord('ZONE').value}`;
+            }
+
+            while (this.isPunct('[') && this.isPunct(']', 1)) {
+                this.next();
+                this.next();
+                name += '[]';
+            }
+
+            return name;
+        }
+
+        parsePrimary() {
+            const token = this.peek();
+
+            switch (token.type) {
+                case 'number':
+                    this.next();
+                    return { type: 'literal', kind: 'number', value: token.value };
+                case 'string':
+                    this.next();
+                    return { type: 'literal', kind: 'string', value: token.value };
+                case 'param':
+                    this.next();
+                    return { type: 'param', value: token.value };
+                case 'identifier':
+                    return this.parseNameExpression();
+                case 'punct':
+                    if (token.value === '(') return this.parseParenthesized();
+                    break;
+                case 'word':
+                    return this.parseWordExpression();
+            }
+
+            this.fail('expected an expression');
+        }
+
+        parseParenthesized() {
+            this.expectPunct('(');
+
+            if (this.startsQuery()) {
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                return { type: 'subquery', query };
+            }
+
+            const first = this.parseExpression();
+            if (this.isPunct(',')) {
+                const items = [first];
+                while (this.acceptPunct(',')) items.push(this.parseExpression());
+                this.expectPunct(')');
+                return { type: 'row', items };
+            }
+
+            this.expectPunct(')');
+            return first;
+        }
+
+        parseWordExpression() {
+            const token = this.peek();
+            const upper = token.upper;
+
+            if (upper === 'NULL') {
+                this.next();
+                return { type: 'literal', kind: 'null', value: null };
+            }
+            if (upper === 'TRUE' || upper === 'FALSE') {
+                this.next();
+                return { type: 'literal', kind: 'boolean', value: upper === 'TRUE' };
+            }
+            if (KEYWORD_VALUES.has(upper)) {
+                this.next();
+                return { type: 'keyword', value: upper };
+            }
+            if (upper === 'CASE') return this.parseCase();
+            if (upper === 'CAST') {
+                this.next();
+                this.expectPunct('(');
+                const expr = this.parseExpression();
+                this.expectWord('AS');
+                const dataType = this.parseDataType();
+                this.expectPunct(')');
+                return { type: 'cast', syntax: 'CAST', expr, dataType };
+            }
+            if (upper === 'EXISTS') {
+                this.next();
+                this.expectPunct('(');
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                return { type: 'exists', query };
+            }
+            if (upper === 'ARRAY') {
+                this.next();
+                if (this.acceptPunct('(')) {
+                    const query = this.parseQuery();
+                    this.expectPunct(')');
+                    return { type: 'array', query, elements: null };
+                }
+                this.expectPunct('[');
+                const elements = this.isPunct(']') ? [] : this.parseExpressionList();
+                this.expectPunct(']');
+                return { type: 'array', query: null, elements };
+            }
+            if (TYPED_LITERALS.has(upper) && this.peek(1).type === 'string') {
+                this.next();
+                return { type: 'typed-literal', dataType: upper, value: this.next().value };
+            }
+            if (upper === 'EXTRACT' && this.isPunct('(', 1)) {
+                this.next();
+                this.next();
+                const fieldToken = this.next();
+                const field = fieldToken.upper || fieldToken.value;
+                this.expectWord('FROM');
+                const source = this.parseExpression();
+                this.expectPunct(')');
+                return { type: 'extract', field, source };
+            }
+            if (FUNCTION_KEYWORDS.has(upper) && this.isPunct('(', 1)) {
+                this.next();
+                return this.parseFunctionCall({ schema: null, name: token.value, quoted: false });
+            }
+            if (RESERVED.has(upper)) {
+                this.fail(`unexpected keyword ${upper}`);
+            }
+
+            return this.parseNameExpression();
+        }
+
+        parseNameExpression() {
+            const parts = [this.parseIdentifier('name')];
+
+            while (this.isPunct('.')) {
+                this.next();
+                if (this.isOperator('*')) {
+                    this.next();
+                    return { type: 'star', table: parts.map(p => p.name).join('.'), quoted: parts.some(p => p.quoted) };
+                }
+                parts.push(this.parseIdentifier('name', true));
+            }
+
+            if (this.isPunct('(')) {
+                const last = parts[parts.length - 1];
+                return this.parseFunctionCall({
+                    schema: parts.length > 1 ? parts.slice(0, -1).map(p => p.name).join('.') : null,
+                    name: last.name,
+                    quoted: last.quoted
+                });
+            }
+
+            const last = parts[parts.length - 1];
+            return {
+                type: 'column',
+                table: parts.length > 1 ? parts.slice(0, -1).map(p => p.name).join('.') : null,
+                tableQuoted: parts.length > 1 && parts[parts.length - 2].quoted,
+                name: last.name,
+                quoted: last.quoted
+            };
+        }
+
+        parseFunctionCall(name) {
+            this.expectPunct('(');
+
+            const node = {
+                type: 'function',
+                schema: name.schema,
+                name: name.name,
+                quoted: name.quoted,
+                distinct: false,
+                star: false,
+                args: [],
+                orderBy: [],
+                withinGroup: null,
+                filter: null,
+                over: null
+            };
+
+            if (this.isOperator('*')) {
+                this.next();
+                node.star = true;
+            } else if (!this.isPunct(')')) {
+                if (this.acceptWord('DISTINCT')) node.distinct = true;
+                else this.acceptWord('ALL');
+                node.args = this.parseExpressionList();
+                if (this.isWord('ORDER')) {
+                    this.next();
+                    this.expectWord('BY');
+                    node.orderBy = this.parseOrderList();
+                }
+            }
+            this.expectPunct(')');
+
+            if (this.isWord('WITHIN')) {
+                this.next();
+                this.expectWord('GROUP');
+                this.expectPunct('(');
+                this.expectWord('ORDER');
+                this.expectWord('BY');
+                node.withinGroup = this.parseOrderList();
+                this.expectPunct(')');
+            }
+
+            if (this.isWord('FILTER') && this.isPunct('(', 1)) {
+                this.next();
+                this.next();
+                this.expectWord('WHERE');
+                node.filter = this.parseExpression();
+                this.expectPunct(')');
+            }
+
+            if (this.acceptWord('OVER')) {
+                node.over = this.isPunct('(')
+                    ? this.parseWindowSpec()
+                    : { name: this.parseIdentifier('window name').name, partitionBy: [], orderBy: [], frame: null };
+            }
+
+            return node;
+        }
+
+        parseWindowSpec() {
+            this.expectPunct('(');
+            const spec = { name: null, partitionBy: [], orderBy: [], frame: null };
+
+            if (this.isAliasToken() && !this.isWord('PARTITION') && !this.isWord('ROWS') &&
+                !this.isWord('RANGE') && !this.isWord('GROUPS')) {
+                spec.name = this.parseIdentifier('window name').name;
+            }
+            if (this.isWord('PARTITION')) {
+                this.next();
+                this.expectWord('BY');
+                spec.partitionBy = this.parseExpressionList();
+            }
+            if (this.isWord('ORDER')) {
+                this.next();
+                this.expectWord('BY');
+                spec.orderBy = this.parseOrderList();
+            }
+            if (this.isWord('ROWS') || this.isWord('RANGE') || this.isWord('GROUPS')) {
+                const start = this.peek();
+                while (!this.isPunct(')') && this.peek().type !== 'eof') this.next();
+                spec.frame = this.sql.slice(start.start, this.tokens[this.pos - 1].end);
+            }
+
+            this.expectPunct(')');
+            return spec;
+        }
+
+        parseCase() {
+            this.expectWord('CASE');
+            const operand = this.isWord('WHEN') ? null : this.parseExpression();
+            const whens = [];
+
+            while (this.acceptWord('WHEN')) {
+                const when = this.parseExpression();
+                this.expectWord('THEN');
+                whens.push({ when, then: this.parseExpression() });
+            }
+            if (whens.length === 0) this.fail('expected WHEN');
+
+            const otherwise = this.acceptWord('ELSE') ? this.parseExpression() : null;
+            this.expectWord('END');
+
+            return { type: 'case', operand, whens, else: otherwise };
+        }
+    }
+
+    function parse(sql) {
+        if (typeof sql !== 'string') throw new Error('SQL must be a string');
+        return new Parser(sql).parseScript();
+    }
+
+    /**
+     * GENERATOR
+     */
+    function quoteIdentifier(name, quoted) {
+        if (!quoted && /^[A-Za-z_][A-Za-z0-9_$]*$/.test(name) && !RESERVED.has(name.toUpperCase())) {
+            return name;
+        }
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+
+    function quoteString(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    function precedenceOf(node) {
+        switch (node.type) {
+            case 'binary':
+                if (node.op === 'OR') return PRECEDENCE.OR;
+                if (node.op === 'AND') return PRECEDENCE.AND;
+                if (COMPARISON_OPS.has(node.op)) return PRECEDENCE.comparison;
+                if (node.op === '+' || node.op === '-') return PRECEDENCE.additive;
+                if (node.op === '*' || node.op === '/' || node.op === '%') return PRECEDENCE.multiplicative;
+                if (node.op === '^') return PRECEDENCE.exponent;
+                return PRECEDENCE.other;
+            case 'unary':
+                return node.op === 'NOT' ? PRECEDENCE.NOT : PRECEDENCE.unary;
+            case 'is':
+                return PRECEDENCE.is;
+            case 'quantified':
+                return PRECEDENCE.comparison;
+            case 'between':
+            case 'in':
+            case 'like':
+                return PRECEDENCE.predicate;
+            case 'cast':
+                return node.syntax === '::' ? PRECEDENCE.postfix : PRECEDENCE.primary;
+            case 'subscript':
+                return PRECEDENCE.postfix;
+            default:
+                return PRECEDENCE.primary;
+        }
+    }
+
+    function exprToSQL(node, minPrecedence = 0) {
+        const sql = rawExprToSQL(node);
+        return precedenceOf(node) < minPrecedence ? `(${sql})` : sql;
+    }
+
+    function rawExprToSQL(node) {
+        const p = precedenceOf(node);
+
+        switch (node.type) {
+            case 'literal':
+                if (node.kind === 'string') return quoteString(node.value);
+                if (node.kind === 'null') return 'NULL';
+                if (node.kind === 'boolean') return node.value ? 'TRUE' : 'FALSE';
+                return String(node.value);
+            case 'typed-literal':
+                return `${node.dataType} ${quoteString(node.value)}`;
+            case 'param':
+                return node.value;
+            case 'keyword':
+                return node.value;
+            case 'column':
+                return node.table
+                    ? `${qualifier(node.table, node.tableQuoted)}.${quoteIdentifier(node.name, node.quoted)}`
+                    : quoteIdentifier(node.name, node.quoted);
+            case 'star':
+                return node.table ? `${qualifier(node.table, node.quoted)}.*` : '*';
+            case 'binary': {
+                const comparison = COMPARISON_OPS.has(node.op);
+                const left = exprToSQL(node.left, comparison ? p + 1 : p);
+                const right = exprToSQL(node.right, p + 1);
+                return `${left} ${node.op} ${right}`;
+            }
+            case 'unary':
+                return node.op === 'NOT'
+                    ? `NOT ${exprToSQL(node.operand, p)}`
+                    : `${node.op}${exprToSQL(node.operand, p)}`;
+            case 'is': {
+                const keyword = `IS ${node.not ? 'NOT ' : ''}${node.value}`;
+                const right = node.right ? ` ${exprToSQL(node.right, PRECEDENCE.comparison)}` : '';
+                return `${exprToSQL(node.expr, p + 1)} ${keyword}${right}`;
+            }
+            case 'quantified': {
+                const operand = node.operand.type === 'subquery'
+                    ? queryToSQL(node.operand.query)
+                    : exprToSQL(node.operand);
+                return `${exprToSQL(node.left, p + 1)} ${node.op} ${node.quantifier}(${operand})`;
+            }
+            case 'between':
+                return `${exprToSQL(node.expr, p + 1)} ${node.not ? 'NOT ' : ''}BETWEEN ${node.symmetric ? 'SYMMETRIC ' : ''}` +
+                    `${exprToSQL(node.low, PRECEDENCE.other)} AND ${exprToSQL(node.high, PRECEDENCE.other)}`;
+            case 'in': {
+                const inner = node.query ? queryToSQL(node.query) : node.list.map(item => exprToSQL(item)).join(', ');
+                return `${exprToSQL(node.expr, p + 1)} ${node.not ? 'NOT ' : ''}IN (${inner})`;
+            }
+            case 'like':
+                return `${exprToSQL(node.expr, p + 1)} ${node.not ? 'NOT ' : ''}${node.op} ${exprToSQL(node.pattern, PRECEDENCE.other)}` +
+                    (node.escape ? ` ESCAPE ${exprToSQL(node.escape, PRECEDENCE.other)}` : '');
+            case 'cast':
+                return node.syntax === '::'
+                    ? `${exprToSQL(node.expr, PRECEDENCE.postfix)}::${node.dataType}`
+                    : `CAST(${exprToSQL(node.expr)} AS ${node.dataType})`;
+            case 'subscript':
+                return `${exprToSQL(node.expr, PRECEDENCE.postfix)}[${exprToSQL(node.index)}` +
+                    `${node.upper !== undefined ? `:${exprToSQL(node.upper)}` : ''}]`;
+            case 'extract':
+                return `EXTRACT(${node.field} FROM ${exprToSQL(node.source)})`;
+            case 'function':
+                return functionToSQL(node);
+            case 'case': {
+                const parts = ['CASE'];
+                if (node.operand) parts.push(exprToSQL(node.operand));
+                node.whens.forEach(w => parts.push(`WHEN ${exprToSQL(w.when)} THEN ${exprToSQL(w.then)}`));
+                if (node.else) parts.push(`ELSE ${exprToSQL(node.else)}`);
+                parts.push('END');
+                return parts.join(' ');
+            }
+            case 'exists':
+                return `EXISTS (${queryToSQL(node.query)})`;
+            case 'subquery':
+                return `(${queryToSQL(node.query)})`;
+            case 'row':
+                return `(${node.items.map(item => exprToSQL(item)).join(', ')})`;
+            case 'array':
+                return node.query
+                    ? `ARRAY(${queryToSQL(node.query)})`
+                    : `ARRAY[${node.elements.map(item => exprToSQL(item)).join(', ')}]`;
+            default:
+                throw new Error(`Cannot generate SQL for node type: ${node.type}`);
+        }
+    }
+
+    function qualifier(table, quoted) {
+        return table.split('.').map(part => quoteIdentifier(part, quoted)).join('.');
+    }
+
+    function functionToSQL(node) {
+        const bare = !node.quoted && FUNCTION_KEYWORDS.has(node.name.toUpperCase());
+        const name = (node.schema ? `${qualifier(node.schema)}.` : '') + (bare ? node.name : quoteIdentifier(node.name, node.quoted));
+        let args = node.star ? '*' : node.args.map(arg => exprToSQL(arg)).join(', ');
+        if (node.distinct) args = `DISTINCT ${args}`;
+        if (node.orderBy.length > 0) args += ` ORDER BY ${orderToSQL(node.orderBy)}`;
+
+        let sql = `${name}(${args})`;
+        if (node.withinGroup) sql += ` WITHIN GROUP (ORDER BY ${orderToSQL(node.withinGroup)})`;
+        if (node.filter) sql += ` FILTER (WHERE ${exprToSQL(node.filter)})`;
+        if (node.over) {
+            sql += node.over.name && node.over.partitionBy.length === 0 && node.over.orderBy.length === 0 && !node.over.frame
+                ? ` OVER ${quoteIdentifier(node.over.name)}`
+                : ` OVER ${windowToSQL(node.over)}`;
+        }
+        return sql;
+    }
+
+    function windowToSQL(spec) {
+        const parts = [];
+        if (spec.name) parts.push(quoteIdentifier(spec.name));
+        if (spec.partitionBy.length > 0) parts.push(`PARTITION BY ${spec.partitionBy.map(e => exprToSQL(e)).join(', ')}`);
+        if (spec.orderBy.length > 0) parts.push(`ORDER BY ${orderToSQL(spec.orderBy)}`);
+        if (spec.frame) parts.push(spec.frame);
+        return `(${parts.join(' ')})`;
+    }
+
+    function orderToSQL(items) {
+        return items.map(item => {
+            let sql = exprToSQL(item.expr);
+            if (item.direction) sql += ` ${item.direction}`;
+            if (item.nulls) sql += ` NULLS ${item.nulls}`;
+            return sql;
+        }).join(', ');
+    }
+
+    function aliasToSQL(node) {
+        if (!node.alias) return '';
+        let sql = ` AS ${quoteIdentifier(node.alias, node.aliasQuoted)}`;
+        if (node.columnAliases) sql += ` (${node.columnAliases.map(c => quoteIdentifier(c)).join(', ')})`;
+        return sql;
+    }
+
+    function fromToSQL(node) {
+        switch (node.type) {
+            case 'table':
+                return (node.schema ? `${qualifier(node.schema)}.` : '') + quoteIdentifier(node.name, node.quoted) + aliasToSQL(node);
+            case 'subquery':
+                return `${node.lateral ? 'LATERAL ' : ''}(${queryToSQL(node.query)})${aliasToSQL(node)}`;
+            case 'table-function':
+                return `${node.lateral ? 'LATERAL ' : ''}${functionToSQL(node.call)}${aliasToSQL(node)}`;
+            case 'join': {
+                let sql = `${fromToSQL(node.left)} ${node.natural ? 'NATURAL ' : ''}${node.kind === 'INNER' ? '' : `${node.kind} `}JOIN ${fromToSQL(node.right)}`;
+                if (node.on) sql += ` ON ${exprToSQL(node.on)}`;
+                if (node.using) sql += ` USING (${node.using.map(c => quoteIdentifier(c)).join(', ')})`;
+                return node.parenthesized ? `(${sql})` : sql;
+            }
+            default:
+                throw new Error(`Cannot generate SQL for FROM item: ${node.type}`);
+        }
+    }
+
+    function queryToSQL(node) {
+        const parts = [];
+
+        if (node.with) {
+            const ctes = node.with.ctes.map(cte => {
+                const columns = cte.columns ? ` (${cte.columns.map(c => quoteIdentifier(c.name, c.quoted)).join(', ')})` : '';
+                const materialized = cte.materialized === true ? 'MATERIALIZED ' : cte.materialized === false ? 'NOT MATERIALIZED ' : '';
+                return `${quoteIdentifier(cte.name, cte.quoted)}${columns} AS ${materialized}(${statementToSQL(cte.query)})`;
+            });
+            parts.push(`WITH ${node.with.recursive ? 'RECURSIVE ' : ''}${ctes.join(', ')}`);
+        }
+
+        if (node.type === 'compound') {
+            const operand = (child) => {
+                const sql = queryToSQL(child);
+                // INTERSECT binds tighter than UNION/EXCEPT; set operations are left-associative
+                const needsParens = child.with || child.orderBy.length > 0 || child.limit || child.offset ||
+                    (child.type === 'compound' && (child === node.right || (node.op === 'INTERSECT' && child.op !== 'INTERSECT')));
+                return needsParens ? `(${sql})` : sql;
+            };
+            parts.push(`${operand(node.left)} ${node.op}${node.all ? ' ALL' : ''} ${operand(node.right)}`);
+        } else if (node.type === 'values') {
+            parts.push(`VALUES ${node.rows.map(row => `(${row.map(e => exprToSQL(e)).join(', ')})`).join(', ')}`);
+        } else {
+            let select = 'SELECT';
+            if (node.distinct === true) select += ' DISTINCT';
+            else if (node.distinct) select += ` DISTINCT ON (${node.distinct.on.map(e => exprToSQL(e)).join(', ')})`;
+            select += ` ${node.columns.map(col => exprToSQL(col.expr) + (col.alias ? ` AS ${quoteIdentifier(col.alias, col.aliasQuoted)}` : '')).join(', ')}`;
+            parts.push(select);
+
+            if (node.into) parts.push(`INTO ${quoteIdentifier(node.into)}`);
+            if (node.from.length > 0) parts.push(`FROM ${node.from.map(fromToSQL).join(', ')}`);
+            if (node.where) parts.push(`WHERE ${exprToSQL(node.where)}`);
+            if (node.groupBy.length > 0) parts.push(`GROUP BY ${node.groupBy.map(e => exprToSQL(e)).join(', ')}`);
+            if (node.having) parts.push(`HAVING ${exprToSQL(node.having)}`);
+            if (node.windows.length > 0) {
+                parts.push(`WINDOW ${node.windows.map(w => `${quoteIdentifier(w.name)} AS ${windowToSQL(w.spec)}`).join(', ')}`);
+            }
+        }
+
+        if (node.orderBy.length > 0) parts.push(`ORDER BY ${orderToSQL(node.orderBy)}`);
+        if (node.limit) parts.push(`LIMIT ${exprToSQL(node.limit)}`);
+        if (node.offset) parts.push(`OFFSET ${exprToSQL(node.offset)}`);
+        if (node.locking) parts.push(node.locking);
+
+        return parts.join(' ');
+    }
+
+    function statementToSQL(node) {
+        switch (node.type) {
+            case 'explain': {
+                const options = Object.entries(node.options).map(([key, value]) =>
+                    value === true ? key.toUpperCase() : `${key.toUpperCase()} ${value === false ? 'FALSE' : value}`);
+                return `EXPLAIN ${options.length > 0 ? `(${options.join(', ')}) ` : ''}${statementToSQL(node.statement)}`;
+            }
+            case 'statement':
+                return node.text;
+            default:
+                return queryToSQL(node);
+        }
+    }
+
+    function toSQL(node) {
+        if (node.type === 'script') return node.statements.map(statementToSQL).join(';\n');
+        if (['select', 'compound', 'values', 'explain', 'statement'].includes(node.type)) return statementToSQL(node);
+        return exprToSQL(node);
+    }
+
+    /**
+     * TRAVERSAL
+     */
+    function walk(node, visit, parent = null) {
+        if (!node || typeof node !== 'object') return;
+
+        if (Array.isArray(node)) {
+            node.forEach(child => walk(child, visit, parent));
+            return;
+        }
+
+        if (node.type && visit(node, parent) === false) return;
+
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            if (value && typeof value === 'object') walk(value, visit, node.type ? node : parent);
+        });
+    }
+
+    function isQuery(node) {
+        return node && (node.type === 'select' || node.type === 'compound' || node.type === 'values');
+    }
+
+    function clone(node) {
+        return JSON.parse(JSON.stringify(node));
+    }
+
+    /**
+     * ANALYSIS
+     */
+    function analyze(input) {
+        const ast = typeof input === 'string' ? parse(input) : input;
+
+        const result = {
+            statements: [],
+            tables: new Set(),
+            cteNames: new Set(),
+            functions: new Set(),
+            opaque: [],
+            joins: 0,
+            crossJoins: 0,
+            subqueries: 0,
+            maxDepth: 0,
+            conditions: 0,
+            groupBys: 0,
+            setOperations: 0,
+            ctes: 0,
+            windowFunctions: 0,
+            selectStar: false,
+            into: [],
+            locking: [],
+            filterColumns: new Set(),
+            complexity: 0,
+            breakdown: {}
+        };
+
+        const statements = ast.type === 'script' ? ast.statements : [ast];
+        let subqueryCost = 0;
+
+        const visitQuery = (query, depth) => {
+            result.maxDepth = Math.max(result.maxDepth, depth);
+
+            walk(query, (node, parent) => {
+                // Set operation operands are part of the same query level
+                if (node !== query && isQuery(node) && parent && parent.type === 'compound' &&
+                    (parent.left === node || parent.right === node)) {
+                    visitQuery(node, depth);
+                    return false;
+                }
+                if (node !== query && isQuery(node)) {
+                    result.subqueries++;
+                    subqueryCost += 20 * (depth + 1);
+                    visitQuery(node, depth + 1);
+                    return false;
+                }
+
+                switch (node.type) {
+                    case 'select':
+                        if (node.into) result.into.push(node.into);
+                        if (node.locking) result.locking.push(node.locking);
+                        if (node.groupBy.length > 0) result.groupBys++;
+                        if (node.columns.some(c => c.expr.type === 'star')) result.selectStar = true;
+                        if (node.from.length > 1) result.crossJoins += node.from.length - 1;
+                        if (node.where) collectColumns(node.where, result.filterColumns);
+                        break;
+                    case 'compound':
+                        result.setOperations++;
+                        if (node.locking) result.locking.push(node.locking);
+                        break;
+                    case 'join':
+                        result.joins++;
+                        if (node.on) collectColumns(node.on, result.filterColumns);
+                        break;
+                    case 'table':
+                        result.tables.add(node.schema ? `${node.schema}.${node.name}` : node.name);
+                        break;
+                    case 'function':
+                        result.functions.add(node.schema ? `${node.schema}.${node.name}` : node.name);
+                        if (node.over) result.windowFunctions++;
+                        break;
+                    case 'binary':
+                        if (node.op === 'AND' || node.op === 'OR') result.conditions++;
+                        break;
+                    case 'statement':
+                        result.opaque.push(node.kind);
+                        break;
+                }
+
+                if (node.with) {
+                    node.with.ctes.forEach(cte => {
+                        result.ctes++;
+                        result.cteNames.add(cte.name);
+                    });
+                }
+            });
+        };
+
+        statements.forEach(statement => {
+            const target = statement.type === 'explain' ? statement.statement : statement;
+            result.statements.push(statement.type === 'explain' ? 'explain' : (target.type === 'statement' ? target.kind.toLowerCase() : 'select'));
+            if (target.type === 'statement') {
+                result.opaque.push(target.kind);
+            } else {
+                visitQuery(target, 0);
+            }
+        });
+
+        result.breakdown = {
+            joins: (result.joins + result.crossJoins) * 10,
+            subqueries: subqueryCost,
+            conditions: result.conditions * 2,
+            groupBy: result.groupBys * 5,
+            setOperations: result.setOperations * 10,
+            ctes: result.ctes * 10,
+            windowFunctions: result.windowFunctions * 5
+        };
+        result.complexity = Object.values(result.breakdown).reduce((a, b) => a + b, 0);
+
+        result.cteNames.forEach(name => result.tables.delete(name));
+        result.tables = Array.from(result.tables);
+        result.cteNames = Array.from(result.cteNames);
+        result.functions = Array.from(result.functions);
+        result.filterColumns = Array.from(result.filterColumns);
+
+        return result;
+    }
+
+    function collectColumns(expr, into) {
+        walk(expr, (node) => {
+            if (isQuery(node)) return false;
+            if (node.type === 'column') into.add(node.table ? `${node.table}.${node.name}` : node.name);
+        });
+    }
+
+    function complexity(input) {
+        return analyze(input).complexity;
+    }
+
+    /**
+     * VALIDATION
+     */
+    function validate(input, policy = {}) {
+        const rules = { ...DEFAULT_POLICY, ...policy };
+        const allowedFunctions = rules.functions instanceof Set
+            ? rules.functions
+            : new Set((rules.functions || []).map(f => f.toLowerCase()));
+        const issues = [];
+
+        let ast;
+        try {
+            ast = typeof input === 'string' ? parse(input) : input;
+        } catch (error) {
+            return { valid: false, issues: [error.message], ast: null, analysis: null, complexity: null };
+        }
+
+        const statements = ast.type === 'script' ? ast.statements : [ast];
+
+        if (statements.length === 0) {
+            issues.push('Empty query');
+        } else if (statements.length > 1 && !rules.allowMultipleStatements) {
+            issues.push(`Multiple statements are not allowed (found ${statements.length})`);
+        }
+
+        statements.forEach(statement => {
+            if (statement.type === 'explain') {
+                if (!rules.statements.includes('explain')) issues.push('EXPLAIN is not allowed');
+                if (statement.statement.type === 'explain') issues.push('Nested EXPLAIN is not allowed');
+            }
+            const target = statement.type === 'explain' ? statement.statement : statement;
+            if (target.type === 'statement') {
+                issues.push(`${target.kind} statements are not allowed (read-only)`);
+            } else if (!rules.statements.includes('select')) {
+                issues.push('SELECT is not allowed');
+            }
+        });
+
+        let analysis;
+        try {
+            analysis = analyze(ast);
+        } catch (error) {
+            return { valid: false, issues: [...issues, error.message], ast, analysis: null, complexity: null };
+        }
+
+        walk(ast, (node, parent) => {
+            if (node.type === 'statement' && parent && parent.type !== 'script' && parent.type !== 'explain') {
+                issues.push(`${node.kind} inside a query is not allowed (read-only)`);
+            }
+            if (node.type === 'cast') {
+                const dataType = node.dataType.replace(/"/g, '').replace(/(\[\])+$/, '').toLowerCase();
+                if (OID_ALIAS_TYPES.has(dataType)) {
+                    issues.push(`Cast to ${node.dataType} is not allowed`);
+                }
+            }
+        });
+
+        analysis.into.forEach(table => issues.push(`SELECT ... INTO ${table} creates a table and is not allowed`));
+        analysis.locking.forEach(clause => issues.push(`Row locking clause "${clause}" is not allowed`));
+
+        analysis.functions.forEach(qualified => {
+            const parts = qualified.split('.');
+            const name = parts[parts.length - 1].toLowerCase();
+            const schema = parts.length > 1 ? parts.slice(0, -1).join('.').toLowerCase() : null;
+            if (schema && schema !== 'pg_catalog') {
+                issues.push(`Function ${qualified}() is outside the allowed schemas`);
+            } else if (!allowedFunctions.has(name)) {
+                issues.push(`Function ${qualified}() is not in the read-only allow-list`);
+            }
+        });
+
+        const allowedTables = rules.tables ? new Set(rules.tables.map(t => t.toLowerCase())) : null;
+        analysis.tables.forEach(table => {
+            const parts = table.toLowerCase().split('.');
+            const name = parts[parts.length - 1];
+            const schema = parts.length > 1 ? parts.slice(0, -1).join('.') : null;
+            if (SYSTEM_SCHEMAS.includes(schema) || SYSTEM_SCHEMAS.includes(name) ||
+                (schema || '').startsWith('pg_') || name.startsWith('pg_')) {
+                issues.push(`System catalog ${table} is not allowed`);
+            } else if (schema && schema !== 'public') {
+                issues.push(`Table ${table} is outside the public schema`);
+            } else if (allowedTables && !allowedTables.has(name)) {
+                issues.push(`Table ${table} is not allowed`);
+            }
+        });
+
+        if (analysis.joins + analysis.crossJoins > rules.maxJoins) {
+            issues.push(`Too many joins (${analysis.joins + analysis.crossJoins} > ${rules.maxJoins})`);
+        }
+        if (analysis.maxDepth > rules.maxSubqueryDepth) {
+            issues.push(`Subqueries nested too deeply (${analysis.maxDepth} > ${rules.maxSubqueryDepth})`);
+        }
+        if (analysis.complexity > rules.maxComplexity) {
+            issues.push(`Query too complex (${analysis.complexity} > ${rules.maxComplexity})`);
+        }
+
+        return {
+            valid: issues.length === 0,
+            issues: Array.from(new Set(issues)),
+            ast,
+            analysis,
+            complexity: analysis.complexity
+        };
+    }
+
+    /**
+     * REWRITES
+     */
+    function containsNode(expr, predicate) {
+        let found = false;
+        walk(expr, (node) => {
+            if (found) return false;
+            if (predicate(node)) {
+                found = true;
+                return false;
+            }
+        });
+        return found;
+    }
+
+    function isAggregateOrWindow(node) {
+        return node.type === 'function' && (Boolean(node.over) || AGGREGATE_FUNCTIONS.has(node.name.toLowerCase()));
+    }
+
+    function isVolatile(node) {
+        return node.type === 'function' && VOLATILE_FUNCTIONS.has(node.name.toLowerCase());
+    }
+
+    function splitConjuncts(expr) {
+        if (!expr) return [];
+        if (expr.type === 'binary' && expr.op === 'AND') {
+            return [...splitConjuncts(expr.left), ...splitConjuncts(expr.right)];
+        }
+        return [expr];
+    }
+
+    function joinConjuncts(conjuncts) {
+        return conjuncts.reduce((acc, c) => (acc ? { type: 'binary', op: 'AND', left: acc, right: c } : c), null);
+    }
+
+    // Derived tables whose rows are not null-extended by an outer join
+    function pushableDerivedTables(fromItems) {
+        const found = [];
+        const visit = (item, preserved) => {
+            if (item.type === 'subquery') {
+                if (preserved) found.push(item);
+            } else if (item.type === 'join') {
+                visit(item.left, preserved && (item.kind === 'INNER' || item.kind === 'CROSS' || item.kind === 'LEFT'));
+                visit(item.right, preserved && (item.kind === 'INNER' || item.kind === 'CROSS' || item.kind === 'RIGHT'));
+            }
+        };
+        fromItems.forEach(item => visit(item, true));
+        return found;
+    }
+
+    function canAcceptPredicates(derived) {
+        const query = derived.query;
+        return derived.alias && !derived.lateral && !derived.columnAliases && query.type === 'select' && !query.with &&
+            !query.limit && !query.offset && !(query.distinct && query.distinct.on) &&
+            query.groupBy.length === 0 && !query.having && !query.locking && !query.into &&
+            !query.columns.some(c => containsNode(c.expr, isAggregateOrWindow));
+    }
+
+    // Inner expression producing the derived table's output column `name`
+    function resolveOutputColumn(query, name) {
+        const lower = name.toLowerCase();
+        const explicit = query.columns.find(c => (c.alias
+            ? c.alias.toLowerCase() === lower
+            : c.expr.type === 'column' && c.expr.name.toLowerCase() === lower));
+        if (explicit) return containsNode(explicit.expr, isVolatile) ? null : explicit.expr;
+
+        const singleTable = query.from.length === 1 && query.from[0].type === 'table';
+        if (singleTable && query.columns.some(c => c.expr.type === 'star')) {
+            return { type: 'column', table: null, name, quoted: false };
+        }
+        return null;
+    }
+
+    function substituteColumns(expr, mapping) {
+        if (!expr || typeof expr !== 'object') return expr;
+        if (Array.isArray(expr)) return expr.map(e => substituteColumns(e, mapping));
+        if (expr.type === 'column') return clone(mapping.get(expr) || expr);
+        if (isQuery(expr)) return expr;
+
+        const copy = {};
+        Object.keys(expr).forEach(key => {
+            copy[key] = substituteColumns(expr[key], mapping);
+        });
+        return copy;
+    }
+
+    function pushIntoDerivedTables(select, changes) {
+        if (!select.where || select.from.length === 0) return;
+
+        const derivedByAlias = new Map();
+        pushableDerivedTables(select.from).forEach(derived => {
+            if (derived.alias && canAcceptPredicates(derived)) derivedByAlias.set(derived.alias.toLowerCase(), derived);
+        });
+        if (derivedByAlias.size === 0) return;
+
+        const onlyItem = select.from.length === 1 && select.from[0].type === 'subquery' ? select.from[0] : null;
+        const keep = [];
+
+        splitConjuncts(select.where).forEach(conjunct => {
+            const blocked = containsNode(conjunct, n => isQuery(n) || isAggregateOrWindow(n) || isVolatile(n) || n.type === 'param');
+            const columns = [];
+            walk(conjunct, (node) => {
+                if (node.type === 'column') columns.push(node);
+            });
+
+            if (blocked || columns.length === 0) {
+                keep.push(conjunct);
+                return;
+            }
+
+            const targets = new Set(columns.map(c => (c.table
+                ? c.table.toLowerCase()
+                : (onlyItem && onlyItem.alias ? onlyItem.alias.toLowerCase() : null))));
+            const target = targets.size === 1 ? derivedByAlias.get([...targets][0]) : null;
+
+            if (!target) {
+                keep.push(conjunct);
+                return;
+            }
+
+            const mapping = new Map();
+            const resolved = columns.every(column => {
+                const inner = resolveOutputColumn(target.query, column.name);
+                if (inner) mapping.set(column, inner);
+                return Boolean(inner);
+            });
+
+            if (!resolved) {
+                keep.push(conjunct);
+                return;
+            }
+
+            const pushed = substituteColumns(conjunct, mapping);
+            target.query.where = joinConjuncts([...splitConjuncts(target.query.where), pushed]);
+            changes.push(`Pushed predicate ${exprToSQL(conjunct)} into derived table ${target.alias}`);
+        });
+
+        select.where = joinConjuncts(keep);
+    }
+
+    function pushDownPredicates(ast) {
+        const changes = [];
+
+        // Outer queries first so pushed predicates can travel further down
+        walk(ast, (node) => {
+            if (node.type === 'select') pushIntoDerivedTables(node, changes);
+        });
+
+        return changes;
+    }
+
+    function returnsSingleRow(query) {
+        return query.type === 'select' && query.groupBy.length === 0 && query.columns.length > 0 &&
+            query.columns.every(c => c.expr.type === 'function' && !c.expr.over && AGGREGATE_FUNCTIONS.has(c.expr.name.toLowerCase()));
+    }
+
+    function injectLimit(ast, maxRows) {
+        const changes = [];
+        const statements = ast.type === 'script' ? ast.statements : [ast];
+
+        statements.forEach(statement => {
+            const target = statement.type === 'explain' ? statement.statement : statement;
+            if (!isQuery(target) || returnsSingleRow(target)) return;
+
+            if (!target.limit) {
+                target.limit = { type: 'literal', kind: 'number', value: String(maxRows) };
+                changes.push(`Added LIMIT ${maxRows}`);
+            } else if (target.limit.type === 'literal' && target.limit.kind === 'number' && Number(target.limit.value) > maxRows) {
+                changes.push(`Reduced LIMIT ${target.limit.value} to ${maxRows}`);
+                target.limit = { type: 'literal', kind: 'number', value: String(maxRows) };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * OPTIMIZE: parse, rewrite, regenerate
+     */
+    function optimize(sql, options = {}) {
+        const { maxRows = 1000, pushdown = true, limit = true } = options;
+        const ast = parse(sql);
+        const changes = [];
+
+        if (pushdown) changes.push(...pushDownPredicates(ast));
+        if (limit && maxRows) changes.push(...injectLimit(ast, maxRows));
+
+        const analysis = analyze(ast);
+        const hints = [];
+        if (analysis.selectStar) hints.push('Consider selecting specific columns instead of *');
+        if (analysis.filterColumns.length > 0) {
+            hints.push(`Filtered/joined columns that benefit from indexes: ${analysis.filterColumns.join(', ')}`);
+        }
+
+        return { sql: changes.length > 0 ? toSQL(ast) : sql.trim(), ast, changes, hints, analysis };
+    }
+
+    const SQLParser = {
+        version: '1.0.0',
+        tokenize,
+        parse,
+        toSQL,
+        walk,
+        analyze,
+        complexity,
+        validate,
+        optimize,
+        pushDownPredicates,
+        injectLimit,
+        quoteIdentifier,
+        DEFAULT_POLICY,
+        ALLOWED_FUNCTIONS,
+        APPLICATION_TABLES
+    };
+
+    // Export globally
+    root.SQLParser = SQLParser;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SQLParser;
+    }
+
+    console.log('✅ SQL Parser loaded');
+
+})();
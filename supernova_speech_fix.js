@@ -240,13 +240,7 @@
 
     window.SupernovaSpeechFix = SupernovaSpeechFix;
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => SupernovaSpeechFix.init(), 1000);
-        });
-    } else {
-        setTimeout(() => SupernovaSpeechFix.init(), 1000);
-    }
+    window.AevovLoader.declare('SupernovaSpeechFix', { init: () => SupernovaSpeechFix.init() });
 
     console.log('✅ Supernova Speech Fix loaded');
     console.log('🎤 Use window.SupernovaSpeechCoordinator for coordinated speech');
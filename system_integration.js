@@ -203,24 +203,19 @@
             console.log('  🔗 JSON Loader ↔ Cache Integration');
 
             // Hook into successful model loads
-            const originalLoadModel = window.loadModel;
-            if (originalLoadModel) {
-                window.loadModel = async function(...args) {
-                    console.log('📦 JSON Loader: Starting model load...');
-                    
-                    const result = await originalLoadModel.apply(this, args);
-                    
-                    // Trigger cache scan after load
-                    if (window.CachePatternIntegration) {
-                        console.log('🔄 Triggering cache scan...');
-                        setTimeout(() => {
-                            window.CachePatternIntegration.forceScan();
-                        }, 1000);
-                    }
-                    
-                    return result;
-                };
-            }
+            window.AevovBus.on('model:before-load', () => {
+                console.log('📦 JSON Loader: Starting model load...');
+            }, { owner: 'SystemIntegration Coordinator' });
+
+            window.AevovBus.on('model:loaded', ({ error }) => {
+                // Trigger cache scan after load
+                if (!error && window.CachePatternIntegration) {
+                    console.log('🔄 Triggering cache scan...');
+                    setTimeout(() => {
+                        window.CachePatternIntegration.forceScan();
+                    }, 1000);
+                }
+            }, { owner: 'SystemIntegration Coordinator' });
         },
 
         /**
@@ -437,17 +432,14 @@
                 components: this.state.componentsReady,
                 cache: window.CachePatternIntegration ? 
                     window.CachePatternIntegration.getStats() : null,
-                patterns: {
-                    window_patterns: window.patterns ? 
-                        Object.keys(window.patterns).length : 0,
-                    advanced_patterns: window.advancedPatterns ? 
-                        Object.keys(window.advancedPatterns).length : 0
-                },
+                patterns: window.PatternStore.getStats(),
                 performance: {
                     initialized: this.state.initialized,
                     environmentReady: this.state.environmentReady,
                     cacheIntegrationReady: this.state.cacheIntegrationReady
-                }
+                },
+                // Event subscriptions, hookable global providers, services
+                bus: window.AevovBus ? window.AevovBus.describe() : null
             };
 
             return diagnostics;
@@ -52,8 +52,10 @@
                 // Step 2: Initialize notification system
                 this.initNotifications();
 
-                // Step 3: Wait for ChatWidget to be available
-                await this.waitForChatWidget();
+                // Step 3: ChatWidget (a service the loader waited for)
+                if (!window.ChatWidget || !window.ChatWidget.processQuery) {
+                    throw new Error('ChatWidget not available');
+                }
 
                 // Step 4: Patch ChatWidget with unified pipeline
                 this.patchChatWidget();
@@ -74,27 +76,6 @@
             }
         },
 
-        /**
-         * Wait for ChatWidget to exist
-         */
-        async waitForChatWidget() {
-            console.log('⏳ Waiting for ChatWidget...');
-            
-            const maxWait = 10000; // 10 seconds
-            const checkInterval = 100;
-            let elapsed = 0;
-
-            while (!window.ChatWidget || !window.ChatWidget.processQuery) {
-                if (elapsed >= maxWait) {
-                    throw new Error('ChatWidget not found after 10 seconds');
-                }
-                await new Promise(resolve => setTimeout(resolve, checkInterval));
-                elapsed += checkInterval;
-            }
-
-            console.log('✓ ChatWidget found');
-        },
-
         /**
          * Initialize BIDC compression
          */
@@ -306,7 +287,7 @@
                 .filter(t => t.length > 2);
 
             // Create embedding
-            const embedding = this.createEmbedding(tokens);
+            const embedding = await window.EmbeddingRegistry.embed(tokens);
 
             return {
                 original: query,
@@ -349,10 +330,7 @@
          * STAGE 3: Find best pattern match
          */
         async findBestMatch(compressed, originalQuery) {
-            // Get all available patterns
-            const patterns = this.getAllPatterns();
-
-            if (patterns.length === 0) {
+            if (window.PatternStore.size === 0) {
                 return {
                     found: false,
                     reason: 'no_patterns',
@@ -360,16 +338,21 @@
                 };
             }
 
-            // Extract query features
-            const queryEmbedding = typeof compressed === 'object' && compressed.embedding ?
-                compressed.embedding : this.createEmbedding(originalQuery.toLowerCase().split(/\s+/));
+            // Extract query features (cached compressions may predate a provider change)
+            const queryEmbedding = await window.EmbeddingRegistry.embed(originalQuery);
+
+            // Embed the stored patterns, not the copies below, so each vector is
+            // computed once per provider instead of once per message
+            for (const pattern of window.PatternStore.all()) {
+                if (!window.EmbeddingRegistry.isCurrent(pattern)) {
+                    await window.EmbeddingRegistry.embedPattern(pattern);
+                }
+            }
+
+            const patterns = this.getAllPatterns();
 
             // Score all patterns
             const scored = patterns.map(pattern => {
-                // Ensure pattern has embedding
-                if (!pattern.embedding && pattern.keywords) {
-                    pattern.embedding = this.createEmbedding(pattern.keywords);
-                }
 
                 const similarity = this.cosineSimilarity(queryEmbedding, pattern.embedding);
                 const confidence = similarity * (pattern.confidence || 0.9);
@@ -442,7 +425,9 @@
                 return matchResult.message;
             }
 
-            const { match, goldilocks, alternatives } = matchResult;
+            const { match, alternatives = [] } = matchResult;
+            // Replacement matchers (SemanticSearch, settings fallback) don't grade the match
+            const goldilocks = matchResult.goldilocks || this.applyGoldilocksRule(match, query);
             const pattern = match.pattern;
             const confidence = goldilocks.score;
 
@@ -481,6 +466,10 @@
             response += `**Match Quality:** ${(confidence * 100).toFixed(1)}% confidence`;
             response += ` (${goldilocks.assessment.replace('_', ' ')})\n\n`;
 
+            if (match.explanation) {
+                response += `**Why this match:** ${match.explanation.summary}\n\n`;
+            }
+
             // Suggest alternatives if confidence is low
             if (confidence < 0.7 && alternatives.length > 0) {
                 response += "**You might also consider:**\n";
@@ -503,33 +492,6 @@
             return response;
         },
 
-        /**
-         * Create embedding vector
-         */
-        createEmbedding(tokens) {
-            const embedding = new Array(128).fill(0);
-            
-            if (typeof tokens === 'string') {
-                tokens = tokens.toLowerCase().split(/\s+/);
-            }
-
-            tokens.forEach(token => {
-                let hash = 0;
-                for (let i = 0; i < token.length; i++) {
-                    hash = ((hash << 5) - hash) + token.charCodeAt(i);
-                }
-                const idx = Math.abs(hash) % 128;
-                embedding[idx] += 1.0;
-            });
-
-            // Normalize
-            const magnitude = Math.sqrt(
-                embedding.reduce((sum, val) => sum + val * val, 0)
-            );
-
-            return magnitude > 0 ? embedding.map(val => val / magnitude) : embedding;
-        },
-
         /**
          * Calculate cosine similarity
          */
@@ -542,31 +504,7 @@
          * Get all patterns from all sources
          */
         getAllPatterns() {
-            const allPatterns = [];
-
-            // From main patterns database
-            if (window.patterns) {
-                Object.entries(window.patterns).forEach(([domain, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            allPatterns.push({ ...p, domain: domain });
-                        });
-                    }
-                });
-            }
-
-            // From advanced patterns
-            if (window.advancedPatterns) {
-                Object.entries(window.advancedPatterns).forEach(([category, pats]) => {
-                    if (Array.isArray(pats)) {
-                        pats.forEach(p => {
-                            allPatterns.push({ ...p, category: category });
-                        });
-                    }
-                });
-            }
-
-            return allPatterns;
+            return window.PatternStore.labeled();
         },
 
         /**
@@ -618,18 +556,15 @@
     `;
     document.head.appendChild(style);
 
-    // Auto-initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            UnifiedChatSystem.init().catch(console.error);
-        });
-    } else {
-        // DOM already loaded, init now
-        UnifiedChatSystem.init().catch(console.error);
-    }
+    // Initialized by the module loader once ChatWidget is registered
+    window.AevovLoader.declare('UnifiedChatSystem', {
+        services: ['ChatWidget'],
+        init: () => UnifiedChatSystem.init()
+    });
 
     // Export to window
     window.UnifiedChatSystem = UnifiedChatSystem;
+    window.AevovBus.register('UnifiedChatSystem', UnifiedChatSystem, { owner: 'UnifiedChatSystem' });
 
     console.log('✅ Unified Chat System loaded');
 
@@ -0,0 +1,731 @@
+/**
+ * VECTOR INDEX - APPROXIMATE NEAREST NEIGHBOUR SEARCH
+ * HNSW graph over pattern embeddings, shared by ComprehensiveDB and SemanticSearch
+ *
+ * Features:
+ * - Hierarchical Navigable Small World graph with cosine similarity
+ * - Incremental add/remove; removing a node relinks the nodes that pointed at it
+ *   (found through reverse links, not a scan) and frees its slot for reuse
+ * - Level assignment comes from a seeded PRNG, so the same inserts give the same graph
+ * - Snapshots with or without vectors (ComprehensiveDB keeps vectors in the
+ *   patterns.embedding column and only persists the graph)
+ * - IndexedDB persistence helpers
+ * - benchmark(): recall@k and latency against an exact scan
+ */
+
+(function() {
+    'use strict';
+
+    const root = typeof window !== 'undefined' ? window : globalThis;
+
+    console.log('🧭 Loading Vector Index...');
+
+    const DEFAULT_OPTIONS = {
+        M: 16,                  // Links per node on upper levels (2M on level 0)
+        efConstruction: 200,    // Candidate list size while inserting
+        efSearch: 64,           // Candidate list size while searching
+        exactThreshold: 0,      // Below this many vectors, search() scans exactly
+        seed: 42
+    };
+
+    const SNAPSHOT_VERSION = 1;
+    const IDB_NAME = 'aevov-vectors';
+    const IDB_STORE = 'indexes';
+
+    const SeededRandom = root.SeededRandom || (typeof require === 'function' ? require('./seeded_random.js') : null);
+    if (!SeededRandom) {
+        throw new Error('seeded_random.js must load before vector_index.js');
+    }
+
+    // The generator state lives on the index so snapshots can restore it
+    const nextRandom = SeededRandom.step;
+
+    function now() {
+        return root.performance?.now ? root.performance.now() : Date.now();
+    }
+
+    /**
+     * NORMALIZE (copies into a Float32Array so cosine similarity is a dot product)
+     */
+    function normalize(vector, dimension) {
+        if (!vector || vector.length !== dimension) {
+            throw new Error(`Expected a vector of dimension ${dimension}, got ${vector ? vector.length : vector}`);
+        }
+
+        const result = new Float32Array(dimension);
+        let magnitude = 0;
+        for (let i = 0; i < dimension; i++) {
+            const value = Number(vector[i]) || 0;
+            result[i] = value;
+            magnitude += value * value;
+        }
+
+        magnitude = Math.sqrt(magnitude);
+        if (magnitude > 0) {
+            for (let i = 0; i < dimension; i++) result[i] /= magnitude;
+        }
+        return result;
+    }
+
+    function distance(a, b) {
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+        return 1 - dot;
+    }
+
+    /**
+     * BINARY HEAP
+     */
+    class Heap {
+        constructor(compare) {
+            this.items = [];
+            this.compare = compare;
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        peek() {
+            return this.items[0];
+        }
+
+        push(item) {
+            const items = this.items;
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (this.compare(items[i], items[parent]) >= 0) break;
+                [items[i], items[parent]] = [items[parent], items[i]];
+                i = parent;
+            }
+        }
+
+        pop() {
+            const items = this.items;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                    if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                    if (smallest === i) break;
+                    [items[i], items[smallest]] = [items[smallest], items[i]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    }
+
+    const nearestFirst = (a, b) => a.distance - b.distance;
+    const furthestFirst = (a, b) => b.distance - a.distance;
+
+    /**
+     * HNSW INDEX
+     * Ids are kept as given (pattern ids are strings); vectors are any
+     * array-like of `dimension` numbers.
+     */
+    class HNSWIndex {
+        constructor(options = {}) {
+            const settings = { ...DEFAULT_OPTIONS, ...options };
+
+            if (!(settings.dimension > 0)) {
+                throw new Error('Vector index needs a positive dimension');
+            }
+
+            this.dimension = Math.floor(settings.dimension);
+            this.M = Math.max(2, Math.floor(settings.M));
+            this.maxM0 = this.M * 2;
+            this.efConstruction = Math.max(this.M, Math.floor(settings.efConstruction));
+            this.efSearch = Math.max(1, Math.floor(settings.efSearch));
+            this.exactThreshold = settings.exactThreshold;
+            this.seed = settings.seed >>> 0;
+            this.levelMultiplier = 1 / Math.log(this.M);
+
+            this.clear();
+        }
+
+        clear() {
+            this.ids = [];              // slot -> id (null once removed)
+            this.vectors = [];          // slot -> normalized Float32Array
+            this.links = [];            // slot -> [level][neighbour slots]
+            this.inbound = [];          // slot -> [level]Set of slots linking to it
+            this.slots = new Map();     // id -> slot
+            this.free = [];             // removed slots, reused by add()
+            this.entryPoint = -1;
+            this.maxLevel = -1;
+            this.rngState = this.seed;
+        }
+
+        get size() {
+            return this.slots.size;
+        }
+
+        has(id) {
+            return this.slots.has(id);
+        }
+
+        get(id) {
+            const slot = this.slots.get(id);
+            return slot === undefined ? null : this.vectors[slot];
+        }
+
+        randomLevel() {
+            return Math.floor(-Math.log(1 - nextRandom(this)) * this.levelMultiplier);
+        }
+
+        maxLinks(level) {
+            return level === 0 ? this.maxM0 : this.M;
+        }
+
+        /**
+         * ADD (re-adding an existing id replaces its vector)
+         */
+        add(id, vector) {
+            const normalized = normalize(vector, this.dimension);
+
+            if (this.slots.has(id)) {
+                this.remove(id);
+            }
+
+            const slot = this.free.length > 0 ? this.free.pop() : this.ids.length;
+            const level = this.randomLevel();
+
+            this.ids[slot] = id;
+            this.vectors[slot] = normalized;
+            this.links[slot] = Array.from({ length: level + 1 }, () => []);
+            this.inbound[slot] = Array.from({ length: level + 1 }, () => new Set());
+            this.slots.set(id, slot);
+
+            if (this.entryPoint === -1) {
+                this.entryPoint = slot;
+                this.maxLevel = level;
+                return this;
+            }
+
+            let nearest = { slot: this.entryPoint, distance: distance(normalized, this.vectors[this.entryPoint]) };
+            for (let l = this.maxLevel; l > level; l--) {
+                nearest = this.greedySearch(normalized, nearest, l);
+            }
+
+            for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+                const candidates = this.searchLayer(normalized, [nearest], this.efConstruction, l);
+                const neighbours = this.selectNeighbours(candidates, this.M);
+
+                this.setLinks(slot, l, neighbours.map(n => n.slot));
+                neighbours.forEach(n => this.connect(n.slot, slot, l));
+
+                nearest = candidates[0];
+            }
+
+            if (level > this.maxLevel) {
+                this.maxLevel = level;
+                this.entryPoint = slot;
+            }
+
+            return this;
+        }
+
+        /**
+         * REMOVE
+         * Every node that linked to the removed one is relinked from the union
+         * of its remaining neighbours and the removed node's neighbours.
+         */
+        remove(id) {
+            const slot = this.slots.get(id);
+            if (slot === undefined) return false;
+
+            const removedLinks = this.links[slot];
+            const inbound = this.inbound[slot];
+            removedLinks.forEach((list, level) => list.forEach(to => this.inbound[to][level].delete(slot)));
+
+            this.slots.delete(id);
+            this.ids[slot] = null;
+            this.vectors[slot] = null;
+            this.links[slot] = null;
+            this.inbound[slot] = null;
+            this.free.push(slot);
+
+            inbound.forEach((sources, level) => {
+                for (const other of sources) {
+                    const pool = new Set([...this.links[other][level], ...removedLinks[level]]);
+                    pool.delete(slot);
+                    pool.delete(other);
+
+                    const candidates = Array.from(pool)
+                        .map(s => ({ slot: s, distance: distance(this.vectors[other], this.vectors[s]) }))
+                        .sort(nearestFirst);
+
+                    this.setLinks(other, level, this.selectNeighbours(candidates, this.maxLinks(level)).map(n => n.slot));
+                }
+            });
+
+            if (slot === this.entryPoint) {
+                this.entryPoint = -1;
+                this.maxLevel = -1;
+                this.links.forEach((nodeLinks, s) => {
+                    if (nodeLinks && nodeLinks.length - 1 > this.maxLevel) {
+                        this.maxLevel = nodeLinks.length - 1;
+                        this.entryPoint = s;
+                    }
+                });
+            }
+
+            return true;
+        }
+
+        /**
+         * SEARCH
+         * Returns up to k { id, similarity } sorted by similarity.
+         */
+        search(query, k = 10, options = {}) {
+            if (this.size === 0 || k <= 0) return [];
+
+            const normalized = normalize(query, this.dimension);
+
+            if (this.size <= this.exactThreshold) {
+                return this.scan(normalized, k);
+            }
+
+            const ef = Math.max(options.ef || this.efSearch, k);
+            let nearest = { slot: this.entryPoint, distance: distance(normalized, this.vectors[this.entryPoint]) };
+            for (let level = this.maxLevel; level > 0; level--) {
+                nearest = this.greedySearch(normalized, nearest, level);
+            }
+
+            return this.searchLayer(normalized, [nearest], ef, 0)
+                .slice(0, k)
+                .map(r => ({ id: this.ids[r.slot], similarity: 1 - r.distance }));
+        }
+
+        /**
+         * EXACT SEARCH (brute-force scan, the benchmark baseline)
+         */
+        exactSearch(query, k = 10) {
+            if (this.size === 0 || k <= 0) return [];
+            return this.scan(normalize(query, this.dimension), k);
+        }
+
+        scan(normalized, k) {
+            const best = new Heap(furthestFirst);
+
+            for (let slot = 0; slot < this.vectors.length; slot++) {
+                const vector = this.vectors[slot];
+                if (!vector) continue;
+
+                const d = distance(normalized, vector);
+                if (best.size < k) {
+                    best.push({ slot, distance: d });
+                } else if (d < best.peek().distance) {
+                    best.pop();
+                    best.push({ slot, distance: d });
+                }
+            }
+
+            return best.items
+                .sort(nearestFirst)
+                .map(r => ({ id: this.ids[r.slot], similarity: 1 - r.distance }));
+        }
+
+        greedySearch(query, start, level) {
+            let current = start;
+            let changed = true;
+
+            while (changed) {
+                changed = false;
+                for (const neighbour of this.links[current.slot][level]) {
+                    const d = distance(query, this.vectors[neighbour]);
+                    if (d < current.distance) {
+                        current = { slot: neighbour, distance: d };
+                        changed = true;
+                    }
+                }
+            }
+
+            return current;
+        }
+
+        searchLayer(query, entries, ef, level) {
+            const visited = new Set(entries.map(e => e.slot));
+            const candidates = new Heap(nearestFirst);
+            const results = new Heap(furthestFirst);
+
+            entries.forEach(entry => {
+                candidates.push(entry);
+                results.push(entry);
+            });
+
+            while (candidates.size > 0) {
+                const candidate = candidates.pop();
+                if (results.size >= ef && candidate.distance > results.peek().distance) break;
+
+                for (const neighbour of this.links[candidate.slot][level] || []) {
+                    if (visited.has(neighbour)) continue;
+                    visited.add(neighbour);
+
+                    const d = distance(query, this.vectors[neighbour]);
+                    if (results.size < ef || d < results.peek().distance) {
+                        const item = { slot: neighbour, distance: d };
+                        candidates.push(item);
+                        results.push(item);
+                        if (results.size > ef) results.pop();
+                    }
+                }
+            }
+
+            return results.items.sort(nearestFirst);
+        }
+
+        /**
+         * NEIGHBOUR SELECTION HEURISTIC
+         * Keeps a candidate only if it is closer to the base node than to any
+         * already selected neighbour, then tops up with the pruned ones.
+         * Expects candidates sorted nearest first.
+         */
+        selectNeighbours(candidates, m) {
+            const selected = [];
+            const pruned = [];
+
+            for (const candidate of candidates) {
+                if (selected.length >= m) break;
+
+                const diverse = selected.every(s =>
+                    distance(this.vectors[candidate.slot], this.vectors[s.slot]) >= candidate.distance
+                );
+                (diverse ? selected : pruned).push(candidate);
+            }
+
+            for (const candidate of pruned) {
+                if (selected.length >= m) break;
+                selected.push(candidate);
+            }
+
+            return selected;
+        }
+
+        connect(from, to, level) {
+            const list = this.links[from][level];
+            if (list.includes(to)) return;
+
+            list.push(to);
+            this.inbound[to][level].add(from);
+            if (list.length <= this.maxLinks(level)) return;
+
+            const base = this.vectors[from];
+            const candidates = list
+                .map(slot => ({ slot, distance: distance(base, this.vectors[slot]) }))
+                .sort(nearestFirst);
+
+            this.setLinks(from, level, this.selectNeighbours(candidates, this.maxLinks(level)).map(n => n.slot));
+        }
+
+        // Replace a node's links on one level, keeping the reverse links in step
+        setLinks(from, level, list) {
+            this.links[from][level].forEach(to => this.inbound[to]?.[level].delete(from));
+            list.forEach(to => this.inbound[to][level].add(from));
+            this.links[from][level] = list;
+        }
+
+        getStats() {
+            const levels = [];
+            let degree = 0;
+
+            this.links.forEach(nodeLinks => {
+                if (!nodeLinks) return;
+                levels[nodeLinks.length - 1] = (levels[nodeLinks.length - 1] || 0) + 1;
+                degree += nodeLinks[0].length;
+            });
+
+            return {
+                size: this.size,
+                dimension: this.dimension,
+                M: this.M,
+                efConstruction: this.efConstruction,
+                efSearch: this.efSearch,
+                maxLevel: this.maxLevel,
+                nodesPerTopLevel: Array.from(levels, n => n || 0),
+                averageDegree: this.size ? degree / this.size : 0,
+                removedSlots: this.ids.length - this.size
+            };
+        }
+
+        /**
+         * SNAPSHOT
+         * Removed slots are compacted away. Pass includeVectors: false when the
+         * vectors are stored elsewhere and handed back to fromJSON().
+         */
+        toJSON(options = {}) {
+            const includeVectors = options.includeVectors !== false;
+            const remap = new Map();
+            const ids = [];
+
+            this.ids.forEach((id, slot) => {
+                if (id === null) return;
+                remap.set(slot, ids.length);
+                ids.push(id);
+            });
+
+            const live = Array.from(remap.keys());
+
+            return {
+                version: SNAPSHOT_VERSION,
+                dimension: this.dimension,
+                M: this.M,
+                efConstruction: this.efConstruction,
+                efSearch: this.efSearch,
+                exactThreshold: this.exactThreshold,
+                seed: this.seed,
+                rngState: this.rngState,
+                entryPoint: remap.has(this.entryPoint) ? remap.get(this.entryPoint) : -1,
+                maxLevel: this.maxLevel,
+                ids,
+                links: live.map(slot => this.links[slot].map(list => list.map(s => remap.get(s)))),
+                vectors: includeVectors ? live.map(slot => Array.from(this.vectors[slot])) : undefined
+            };
+        }
+
+        static fromJSON(snapshot, options = {}) {
+            if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+                throw new Error('Unsupported vector index snapshot');
+            }
+
+            const index = new HNSWIndex({
+                dimension: snapshot.dimension,
+                M: snapshot.M,
+                efConstruction: snapshot.efConstruction,
+                efSearch: snapshot.efSearch,
+                exactThreshold: snapshot.exactThreshold,
+                seed: snapshot.seed
+            });
+
+            snapshot.ids.forEach((id, slot) => {
+                const vector = snapshot.vectors ? snapshot.vectors[slot] : options.vectors?.get(id);
+                if (!vector) {
+                    throw new Error(`Vector index snapshot has no vector for ${id}`);
+                }
+
+                index.ids.push(id);
+                index.vectors.push(normalize(vector, index.dimension));
+                index.links.push(snapshot.links[slot].map(list => list.slice()));
+                index.inbound.push(snapshot.links[slot].map(() => new Set()));
+                index.slots.set(id, slot);
+            });
+
+            index.links.forEach((nodeLinks, slot) => nodeLinks.forEach((list, level) => {
+                list.forEach(to => index.inbound[to][level].add(slot));
+            }));
+
+            index.entryPoint = snapshot.entryPoint;
+            index.maxLevel = snapshot.maxLevel;
+            index.rngState = snapshot.rngState >>> 0;
+
+            return index;
+        }
+    }
+
+    /**
+     * BENCHMARK
+     * Recall@k and per-query latency of the graph search against the exact
+     * scan on the same index. A result tied with the exact k-th similarity
+     * counts as a hit, since duplicate embeddings make the exact top-k
+     * ambiguous. Without an index, a clustered synthetic one is built from
+     * options.size / options.dimension.
+     */
+    function benchmark(index, options = {}) {
+        const k = options.k || 10;
+        const queryCount = options.queries || 100;
+        const noise = options.noise ?? 0.1;
+        const rng = { rngState: (options.seed ?? 7) >>> 0 };
+        let buildTime = null;
+
+        if (!index) {
+            const started = now();
+            index = buildSynthetic(options, rng);
+            buildTime = now() - started;
+        }
+
+        if (index.size === 0) {
+            throw new Error('Cannot benchmark an empty vector index');
+        }
+
+        // Queries are perturbed copies of indexed vectors unless supplied
+        let queries = options.queryVectors;
+        if (!queries) {
+            const live = index.vectors.filter(Boolean);
+            queries = Array.from({ length: queryCount }, () => {
+                const base = live[Math.floor(nextRandom(rng) * live.length)];
+                return Array.from(base, value => value + (nextRandom(rng) - 0.5) * noise);
+            });
+        }
+
+        const exactTimes = [];
+        const truth = queries.map(query => {
+            const started = now();
+            const result = index.exactSearch(query, k);
+            exactTimes.push(now() - started);
+            return {
+                ids: new Set(result.map(r => r.id)),
+                threshold: result.length ? result[result.length - 1].similarity - 1e-6 : Infinity
+            };
+        });
+
+        const exact = summarize(exactTimes);
+        const efValues = options.efValues || [index.efSearch];
+
+        const runs = efValues.map(ef => {
+            const times = [];
+            let recall = 0;
+
+            queries.forEach((query, i) => {
+                const started = now();
+                const result = index.search(query, k, { ef });
+                times.push(now() - started);
+
+                const expected = truth[i];
+                const hits = result.filter(r => expected.ids.has(r.id) || r.similarity >= expected.threshold).length;
+                recall += expected.ids.size ? Math.min(1, hits / expected.ids.size) : 1;
+            });
+
+            const latency = summarize(times);
+            return {
+                ef,
+                recall: recall / queries.length,
+                latency,
+                speedup: latency.mean > 0 ? exact.mean / latency.mean : null
+            };
+        });
+
+        return {
+            size: index.size,
+            dimension: index.dimension,
+            k,
+            queries: queries.length,
+            buildTime,
+            exact,
+            runs
+        };
+    }
+
+    function buildSynthetic(options, rng) {
+        const size = options.size || 2000;
+        const dimension = options.dimension || 384;
+        const clusters = options.clusters || 20;
+        const gaussian = () => {
+            const u = 1 - nextRandom(rng);
+            const v = nextRandom(rng);
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        };
+
+        const centres = Array.from({ length: clusters }, () => Array.from({ length: dimension }, gaussian));
+        const index = new HNSWIndex({ dimension, ...options.indexOptions });
+
+        for (let i = 0; i < size; i++) {
+            const centre = centres[i % clusters];
+            index.add(`synthetic_${i}`, centre.map(value => value + gaussian() * 0.5));
+        }
+
+        return index;
+    }
+
+    function summarize(times) {
+        const sorted = times.slice().sort((a, b) => a - b);
+        const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        return {
+            mean: sorted.reduce((sum, t) => sum + t, 0) / (sorted.length || 1),
+            p50: at(0.5),
+            p95: at(0.95)
+        };
+    }
+
+    /**
+     * INDEXEDDB PERSISTENCE
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!root.indexedDB) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = root.indexedDB.open(IDB_NAME, 1);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(IDB_STORE)) {
+                    db.createObjectStore(IDB_STORE, { keyPath: 'name' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function saveToIndexedDB(name, index, options = {}) {
+        const db = await openDatabase();
+
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(IDB_STORE, 'readwrite');
+                tx.objectStore(IDB_STORE).put({
+                    name,
+                    meta: options.meta || {},
+                    snapshot: index.toJSON({ includeVectors: options.includeVectors }),
+                    savedAt: Date.now()
+                });
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    async function loadFromIndexedDB(name) {
+        const db = await openDatabase();
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).get(name);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    const VectorIndex = {
+        create(options) {
+            return new HNSWIndex(options);
+        },
+
+        fromJSON(snapshot, options) {
+            return HNSWIndex.fromJSON(snapshot, options);
+        },
+
+        benchmark,
+        saveToIndexedDB,
+        loadFromIndexedDB,
+        DEFAULT_OPTIONS,
+        HNSWIndex
+    };
+
+    // Export globally
+    root.VectorIndex = VectorIndex;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VectorIndex;
+    }
+
+    console.log('✅ Vector Index loaded');
+    console.log('💡 Use: VectorIndex.benchmark(index, { k: 10 })');
+
+})();
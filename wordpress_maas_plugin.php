@@ -160,6 +160,10 @@ class AEVOV_MaaS_Plugin {
         
         // AEVOV bundled and obfuscated JS
         $js_files = array(
+            'event_bus.js',
+            'module_loader.js',
+            'pattern_store.js',
+            'seeded_random.js',
             'library_loader_fix.js',
             'wordnet_uniqueness_fix.js',
             'nlp_compromise_integration.js',
@@ -401,7 +405,10 @@ class AEVOV_MaaS_Plugin {
         
         register_rest_route('aevov/v1', '/query/execute', array(
             'methods' => 'POST',
-            'callback' => array($this, 'rest_execute_query')
+            'callback' => array($this, 'rest_execute_query'),
+            'permission_callback' => function() {
+                return current_user_can('manage_options');
+            }
         ));
     }
     
@@ -666,19 +673,233 @@ class AEVOV_MaaS_Plugin {
     
     /**
      * Check if query is dangerous
+     *
+     * Tokenizes the SQL (strings, quoted identifiers and comments are never
+     * mistaken for keywords) and only accepts a single read-only SELECT/WITH
+     * statement that calls allow-listed functions. Mirrors the client-side
+     * SQLParser policy for the MySQL dialect used by $wpdb: the function
+     * allow-list, no system schemas, at most 8 joins and 4 nested subqueries.
+     * SQLParser's table allow-list is not repeated here: the plugin owns no
+     * tables, so queries read the WordPress tables and the route is limited
+     * to administrators instead.
      */
     private function is_dangerous_query($sql) {
-        $dangerous = array('DROP', 'TRUNCATE', 'DELETE', 'UPDATE', 'INSERT', 'ALTER', 'CREATE');
-        
-        foreach ($dangerous as $keyword) {
-            if (stripos($sql, $keyword) !== false) {
+        $tokens = $this->tokenize_sql($sql);
+
+        // Unterminated strings/comments and MySQL executable comments
+        if ($tokens === false || empty($tokens)) {
+            return true;
+        }
+
+        $forbidden = array(
+            'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'DROP', 'ALTER', 'CREATE', 'TRUNCATE', 'RENAME',
+            'GRANT', 'REVOKE', 'INTO', 'OUTFILE', 'DUMPFILE', 'LOAD', 'HANDLER', 'CALL', 'EXEC',
+            'EXECUTE', 'PREPARE', 'DEALLOCATE', 'SET', 'LOCK', 'UNLOCK', 'SHUTDOWN', 'KILL'
+        );
+
+        // Words that may precede "(" without being function calls
+        $syntax_words = array(
+            'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'ANY', 'ALL', 'SOME',
+            'AS', 'ON', 'USING', 'JOIN', 'UNION', 'INTERSECT', 'EXCEPT', 'WITH', 'OVER', 'VALUES',
+            'BETWEEN', 'LIKE', 'IS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'BY', 'HAVING', 'INDEX', 'KEY',
+            'LATERAL', 'DISTINCT', 'RECURSIVE', 'WINDOW'
+        );
+
+        $system_schemas = array('INFORMATION_SCHEMA', 'MYSQL', 'PERFORMANCE_SCHEMA', 'SYS');
+
+        // REPEAT, LPAD and RPAD are left out as in SQLParser: REPEAT('x', 1e9) is a one-line denial of service
+        $allowed_functions = array(
+            'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT', 'STD', 'STDDEV', 'VARIANCE',
+            'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'NTILE', 'LAG', 'LEAD', 'FIRST_VALUE', 'LAST_VALUE',
+            'LOWER', 'UPPER', 'LENGTH', 'CHAR_LENGTH', 'TRIM', 'LTRIM', 'RTRIM', 'SUBSTRING', 'SUBSTR',
+            'REPLACE', 'CONCAT', 'CONCAT_WS', 'LEFT', 'RIGHT', 'LOCATE', 'INSTR',
+            'REVERSE', 'FORMAT', 'MD5', 'ABS', 'CEIL', 'CEILING', 'FLOOR', 'ROUND',
+            'TRUNCATE', 'SQRT', 'POW', 'POWER', 'EXP', 'LN', 'LOG', 'MOD', 'SIGN', 'GREATEST', 'LEAST',
+            'COALESCE', 'NULLIF', 'IFNULL', 'IF', 'CAST', 'CONVERT', 'NOW', 'CURDATE', 'CURTIME',
+            'DATE', 'DATE_FORMAT', 'DATE_ADD', 'DATE_SUB', 'DATEDIFF', 'YEAR', 'MONTH', 'DAY',
+            'HOUR', 'MINUTE', 'SECOND', 'UNIX_TIMESTAMP', 'FROM_UNIXTIME', 'EXTRACT',
+            'JSON_EXTRACT', 'JSON_UNQUOTE', 'JSON_CONTAINS', 'JSON_LENGTH', 'JSON_OBJECT', 'JSON_ARRAY',
+            'JSON_KEYS', 'JSON_SEARCH', 'JSON_TYPE', 'JSON_VALID', 'MATCH', 'AGAINST'
+        );
+
+        $statements = 0;
+        $expect_start = true;
+        $count = count($tokens);
+        $joins = 0;
+        $subqueries = array(); // One entry per open "(": whether it starts a subquery
+        $max_depth = 0;
+
+        for ($i = 0; $i < $count; $i++) {
+            list($type, $value) = $tokens[$i];
+
+            if ($type === 'punct' && $value === ';') {
+                $expect_start = true;
+                continue;
+            }
+
+            if ($expect_start) {
+                $statements++;
+                $expect_start = false;
+
+                // Leading parentheses are allowed: (SELECT ...) UNION (SELECT ...)
+                $j = $i;
+                while ($j < $count && $tokens[$j][0] === 'punct' && $tokens[$j][1] === '(') {
+                    $j++;
+                }
+                if ($j >= $count || $tokens[$j][0] !== 'word' || !in_array($tokens[$j][1], array('SELECT', 'WITH'), true)) {
+                    return true;
+                }
+            }
+
+            $next = $i + 1 < $count ? $tokens[$i + 1] : null;
+
+            // @@version and other system variables, @user := assignments
+            if ($type === 'operator' && $value === '@') {
+                return true;
+            }
+
+            if ($type === 'punct' && $value === '(') {
+                $subqueries[] = $next && $next[0] === 'word' && in_array($next[1], array('SELECT', 'WITH'), true);
+                $max_depth = max($max_depth, count(array_filter($subqueries)));
+                continue;
+            }
+            if ($type === 'punct' && $value === ')') {
+                array_pop($subqueries);
+                continue;
+            }
+
+            // information_schema.tables, `mysql`.user, ...
+            if (($type === 'word' || $type === 'identifier') && in_array(strtoupper($value), $system_schemas, true)
+                && $next && $next[0] === 'punct' && $next[1] === '.') {
+                return true;
+            }
+
+            if ($type !== 'word') {
+                continue;
+            }
+
+            if ($value === 'JOIN') {
+                $joins++;
+            }
+
+            $is_call = $next && $next[0] === 'punct' && $next[1] === '(';
+            $qualified = $i > 0 && $tokens[$i - 1][0] === 'punct' && $tokens[$i - 1][1] === '.';
+
+            if ($is_call && !in_array($value, $syntax_words, true)) {
+                if (!in_array($value, $allowed_functions, true)) {
+                    return true;
+                }
+                continue;
+            }
+
+            // Column names such as `updated_at` are separate words and never match
+            if (!$qualified && in_array($value, $forbidden, true)) {
+                return true;
+            }
+
+            // SELECT ... FOR UPDATE / LOCK IN SHARE MODE
+            if ($value === 'FOR' && $next && $next[0] === 'word' && in_array($next[1], array('UPDATE', 'SHARE'), true)) {
                 return true;
             }
         }
-        
-        return false;
+
+        return $statements !== 1 || $joins > 8 || $max_depth > 4;
     }
-    
+
+    /**
+     * Tokenize SQL into word/identifier/string/number/punct/operator tokens
+     *
+     * Words are upper-cased. Returns false for unterminated strings or
+     * comments and for MySQL executable comments, which run their contents.
+     */
+    private function tokenize_sql($sql) {
+        $tokens = array();
+        $length = strlen($sql);
+        $i = 0;
+
+        while ($i < $length) {
+            $ch = $sql[$i];
+
+            if (ctype_space($ch)) {
+                $i++;
+                continue;
+            }
+
+            // Line comments: "#" and "--" followed by whitespace (MySQL reads "1--1" as arithmetic)
+            $dash_comment = substr($sql, $i, 2) === '--' && ($i + 2 >= $length || ctype_space($sql[$i + 2]) || ctype_cntrl($sql[$i + 2]));
+            if ($ch === '#' || $dash_comment) {
+                $end = strpos($sql, "\n", $i);
+                $i = $end === false ? $length : $end + 1;
+                continue;
+            }
+
+            // Block comments
+            if ($ch === '/' && substr($sql, $i, 2) === '/*') {
+                if (substr($sql, $i, 3) === '/*!' || substr($sql, $i, 3) === '/*+') {
+                    return false;
+                }
+                $end = strpos($sql, '*/', $i + 2);
+                if ($end === false) {
+                    return false;
+                }
+                $i = $end + 2;
+                continue;
+            }
+
+            // Strings and quoted identifiers
+            if ($ch === "'" || $ch === '"' || $ch === '`') {
+                $value = '';
+                $i++;
+                $closed = false;
+                while ($i < $length) {
+                    $c = $sql[$i];
+                    if ($c === '\\' && $ch !== '`' && $i + 1 < $length) {
+                        $value .= $sql[$i + 1];
+                        $i += 2;
+                    } elseif ($c === $ch && $i + 1 < $length && $sql[$i + 1] === $ch) {
+                        $value .= $ch;
+                        $i += 2;
+                    } elseif ($c === $ch) {
+                        $i++;
+                        $closed = true;
+                        break;
+                    } else {
+                        $value .= $c;
+                        $i++;
+                    }
+                }
+                if (!$closed) {
+                    return false;
+                }
+                $tokens[] = array($ch === '`' ? 'identifier' : 'string', $value);
+                continue;
+            }
+
+            if (preg_match('/\G(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/', $sql, $match, 0, $i)) {
+                $tokens[] = array('number', $match[0]);
+                $i += strlen($match[0]);
+                continue;
+            }
+
+            if (preg_match('/\G[A-Za-z_\x80-\xff][A-Za-z0-9_$\x80-\xff]*/', $sql, $match, 0, $i)) {
+                $tokens[] = array('word', strtoupper($match[0]));
+                $i += strlen($match[0]);
+                continue;
+            }
+
+            if (strpos('(),;.', $ch) !== false) {
+                $tokens[] = array('punct', $ch);
+                $i++;
+                continue;
+            }
+
+            $tokens[] = array('operator', $ch);
+            $i++;
+        }
+
+        return $tokens;
+    }
+
     /**
      * Chat shortcode
      */